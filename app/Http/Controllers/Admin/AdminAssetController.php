@@ -380,6 +380,7 @@ protected function buildAssetDetailArray(Asset $asset, Request $request): array
                 'uploaded_by' => $v->uploadedBy ? ['id' => $v->uploadedBy->id, 'name' => $v->uploadedBy->name] : null,
                 'created_at' => $v->created_at?->toIso8601String(),
                 'pipeline_status' => $v->pipeline_status,
+                'content_integrity' => $v->metadata['content_integrity']['status'] ?? null,
                 'storage_class' => $v->storage_class,
                 'change_note' => $v->change_note,
                 'restored_from_version_id' => $v->restored_from_version_id,
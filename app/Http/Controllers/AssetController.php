@@ -261,6 +261,7 @@ public function index(Request $request): Response|JsonResponse
                 'access_rules' => $accessRules,
                 'template_exists' => $templateExists, // Flag to indicate if system template still exists
                 'deletion_available' => $deletionAvailable, // Flag to indicate if category can be deleted (template deleted)
+                'upload_image_processing' => $category->uploadImageProcessing(), // Add Asset: browser image preparation
             ]);
         }
 
@@ -3372,6 +3373,7 @@ public function initiateReplaceFile(Request $request, Asset $asset): JsonRespons
             'file_name' => 'required|string|max:255',
             'file_size' => 'required|integer|min:1',
             'mime_type' => 'nullable|string|max:255',
+            'paced' => 'sometimes|boolean',
         ]);
 
         try {
@@ -3382,7 +3384,8 @@ public function initiateReplaceFile(Request $request, Asset $asset): JsonRespons
                 $validated['file_name'],
                 $validated['file_size'],
                 $validated['mime_type'] ?? null,
-                null
+                null,
+                $request->boolean('paced')
             );
 
             return response()->json([
@@ -66,6 +66,7 @@ public function index(Asset $asset): JsonResponse
             ] : null,
             'created_at' => $v->created_at?->toIso8601String(),
             'pipeline_status' => $v->pipeline_status,
+            'content_integrity' => $v->metadata['content_integrity']['status'] ?? null,
             'storage_class' => $v->storage_class,
             'change_note' => $v->change_note,
             'restored_from_version_id' => $v->restored_from_version_id,
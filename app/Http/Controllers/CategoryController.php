@@ -415,6 +415,42 @@ public function patchAiLibraryReferences(Request $request, Brand $brand, Categor
         ]);
     }
 
+    /**
+     * Browser-side image preparation for uploads into this category (settings.upload_image_processing):
+     * optional downscale to a max long edge, or the untouched original (which clears the size cap).
+     */
+    public function patchUploadImageProcessing(Request $request, Brand $brand, Category $category): JsonResponse
+    {
+        $tenant = app('tenant');
+        $user = $request->user();
+
+        if ($brand->tenant_id !== $tenant->id || $category->tenant_id !== $tenant->id || $category->brand_id !== $brand->id) {
+            abort(403);
+        }
+
+        if (! $user->hasPermissionForTenant($tenant, 'metadata.tenant.visibility.manage')
+            && ! $user->hasPermissionForTenant($tenant, 'brand_categories.manage')) {
+            abort(403, 'You do not have permission to update this category setting.');
+        }
+
+        $validated = $request->validate([
+            'max_long_edge' => 'nullable|integer|min:512|max:16384',
+            'keep_original' => 'required|boolean',
+        ]);
+
+        $settings = $category->settings ?? [];
+        $settings['upload_image_processing'] = [
+            'max_long_edge' => $validated['keep_original'] ? null : ($validated['max_long_edge'] ?? null),
+            'keep_original' => $validated['keep_original'],
+        ];
+        $category->update(['settings' => $settings]);
+
+        return response()->json([
+            'success' => true,
+            'upload_image_processing' => $category->fresh()->uploadImageProcessing(),
+        ]);
+    }
+
     /**
      * Reorder metadata fields for a category.
      * PATCH /brands/{brand}/categories/{category}/fields/reorder
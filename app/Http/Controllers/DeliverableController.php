@@ -177,6 +177,7 @@ public function index(Request $request): Response|JsonResponse
                 'access_rules' => $accessRules,
                 // Drawer Brand Intelligence / Revue: must match AssetController (sidebar category list)
                 'ebi_enabled' => $category->isEbiEnabled(),
+                'upload_image_processing' => $category->uploadImageProcessing(), // Add Asset: browser image preparation
             ]);
         }
 
@@ -249,11 +249,12 @@ public function thumbnail(Request $request, Asset $asset): Response
     }
 
     /**
-     * GET /app/api/assets?limit=50&asset_type=asset|deliverable&category_id=&content_type=image|video&staged_only=1
+     * GET /app/api/assets?limit=50&asset_type=asset|deliverable&category_id=&content_type=image|video|psd&staged_only=1
      *
      * Assets for the editor picker: library (ASSET) or executions (DELIVERABLE).
      * Optional category_id filters metadata.category_id (Photography, Print, etc.).
-     * `content_type` defaults to `image` (raster/SVG). Use `video` for video/* rows (add video layer).
+     * `content_type` defaults to `image` (raster/SVG). Use `video` for video/* rows (add video layer),
+     * `psd` for Photoshop documents (Studio "Import PSD").
      * `staged_only=1` (library ASSET only): intake queue — same rows as /app/assets/staged (ASSET + AI_GENERATED);
      * category_id is ignored. Ignored for deliverables.
      */
@@ -304,6 +305,20 @@ public function index(Request $request): JsonResponse
 
         if ($contentType === 'video') {
             $query->where('mime_type', 'like', 'video/%');
+        } elseif ($contentType === 'psd') {
+            // Photoshop mimes vary by uploader (image/vnd.adobe.photoshop, application/x-photoshop,
+            // application/octet-stream); the extension is the reliable signal.
+            $query->where(function ($q) {
+                $q->whereIn('mime_type', [
+                    'image/vnd.adobe.photoshop',
+                    'image/psd',
+                    'image/x-photoshop',
+                    'application/photoshop',
+                    'application/x-photoshop',
+                    'application/psd',
+                ])
+                    ->orWhere('original_filename', 'like', '%.psd');
+            });
         } else {
             $query->where(function ($q) {
                 // SVG logos are often ingested with a non-image mime (application/octet-stream,
@@ -0,0 +1,406 @@
+<?php
+
+namespace App\Http\Controllers\Editor;
+
+use App\Http\Controllers\Controller;
+use App\Models\Brand;
+use App\Models\Composition;
+use App\Models\CompositionComment;
+use App\Models\CompositionCommentThread;
+use App\Models\User;
+use App\Services\NotificationGroupService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Str;
+
+/**
+ * Review comments pinned to a composition's canvas: threads anchored to document coordinates or a layer id,
+ * replies with @mentions (notified through the notification bell) and resolve / reopen.
+ *
+ * Anyone who can open the composition can comment; threads are deleted by their author or a brand admin.
+ */
+class EditorCompositionCommentController extends Controller
+{
+    private const BODY_MAX = 5000;
+
+    public function __construct(
+        protected NotificationGroupService $notifications,
+    ) {}
+
+    /**
+     * GET /app/api/compositions/{id}/comments
+     */
+    public function index(Request $request, int $id): JsonResponse
+    {
+        $composition = $this->resolveComposition($request, $id);
+        if (! $composition) {
+            return response()->json(['error' => 'Not found', 'threads' => []], 404);
+        }
+
+        $threads = $composition->commentThreads()
+            ->with(['user', 'resolvedBy', 'comments.user'])
+            ->limit(500)
+            ->get();
+
+        return response()->json([
+            'threads' => $threads->map(fn (CompositionCommentThread $t) => $this->threadJson($t))->values()->all(),
+        ]);
+    }
+
+    /**
+     * POST /app/api/compositions/{id}/comments — opens a thread with its first comment.
+     */
+    public function store(Request $request, int $id): JsonResponse
+    {
+        $composition = $this->resolveComposition($request, $id);
+        if (! $composition) {
+            return response()->json(['error' => 'Not found'], 404);
+        }
+        /** @var User $user */
+        $user = $request->user();
+
+        $validated = $request->validate([
+            'x' => 'required|numeric',
+            'y' => 'required|numeric',
+            'layer_id' => 'nullable|string|max:64',
+            'layer_rel_x' => 'nullable|required_with:layer_id|numeric|between:0,1',
+            'layer_rel_y' => 'nullable|required_with:layer_id|numeric|between:0,1',
+            'body' => 'required|string|max:'.self::BODY_MAX,
+            'mentioned_user_ids' => 'nullable|array|max:20',
+            'mentioned_user_ids.*' => 'integer',
+        ]);
+
+        $thread = CompositionCommentThread::query()->create([
+            'tenant_id' => $composition->tenant_id,
+            'brand_id' => $composition->brand_id,
+            'composition_id' => $composition->id,
+            'user_id' => $user->id,
+            'x' => (float) $validated['x'],
+            'y' => (float) $validated['y'],
+            ...$this->layerAnchor($validated),
+        ]);
+        $this->addComment($composition, $thread, $user, $validated['body'], $validated['mentioned_user_ids'] ?? []);
+
+        return response()->json(['thread' => $this->threadJson($this->reload($thread))]);
+    }
+
+    /**
+     * POST /app/api/compositions/{id}/comments/{threadId}/replies
+     */
+    public function reply(Request $request, int $id, int $threadId): JsonResponse
+    {
+        $composition = $this->resolveComposition($request, $id);
+        $thread = $composition ? $this->resolveThread($composition, $threadId) : null;
+        if (! $composition || ! $thread) {
+            return response()->json(['error' => 'Not found'], 404);
+        }
+        /** @var User $user */
+        $user = $request->user();
+
+        $validated = $request->validate([
+            'body' => 'required|string|max:'.self::BODY_MAX,
+            'mentioned_user_ids' => 'nullable|array|max:20',
+            'mentioned_user_ids.*' => 'integer',
+        ]);
+        $this->addComment($composition, $thread, $user, $validated['body'], $validated['mentioned_user_ids'] ?? []);
+        $thread->touch();
+
+        return response()->json(['thread' => $this->threadJson($this->reload($thread))]);
+    }
+
+    /**
+     * PATCH /app/api/compositions/{id}/comments/{threadId} — resolve / reopen, or move the pin.
+     */
+    public function update(Request $request, int $id, int $threadId): JsonResponse
+    {
+        $composition = $this->resolveComposition($request, $id);
+        $thread = $composition ? $this->resolveThread($composition, $threadId) : null;
+        if (! $composition || ! $thread) {
+            return response()->json(['error' => 'Not found'], 404);
+        }
+        /** @var User $user */
+        $user = $request->user();
+
+        $validated = $request->validate([
+            'resolved' => 'sometimes|boolean',
+            'x' => 'sometimes|numeric',
+            'y' => 'sometimes|numeric',
+            'layer_id' => 'sometimes|nullable|string|max:64',
+            'layer_rel_x' => 'nullable|required_with:layer_id|numeric|between:0,1',
+            'layer_rel_y' => 'nullable|required_with:layer_id|numeric|between:0,1',
+        ]);
+
+        if (array_key_exists('resolved', $validated)) {
+            $resolved = (bool) $validated['resolved'];
+            if ($resolved && $thread->resolved_at === null) {
+                $thread->resolved_at = now();
+                $thread->resolved_by_user_id = $user->id;
+            } elseif (! $resolved) {
+                $thread->resolved_at = null;
+                $thread->resolved_by_user_id = null;
+            }
+        }
+        foreach (['x', 'y'] as $axis) {
+            if (array_key_exists($axis, $validated)) {
+                $thread->{$axis} = (float) $validated[$axis];
+            }
+        }
+        if (array_key_exists('layer_id', $validated)) {
+            $thread->fill($this->layerAnchor($validated));
+        }
+        $thread->save();
+
+        return response()->json(['thread' => $this->threadJson($this->reload($thread))]);
+    }
+
+    /**
+     * DELETE /app/api/compositions/{id}/comments/{threadId}
+     */
+    public function destroy(Request $request, int $id, int $threadId): JsonResponse
+    {
+        $composition = $this->resolveComposition($request, $id);
+        $thread = $composition ? $this->resolveThread($composition, $threadId) : null;
+        if (! $composition || ! $thread) {
+            return response()->json(['error' => 'Not found'], 404);
+        }
+        /** @var User $user */
+        $user = $request->user();
+        if ((int) $thread->user_id !== (int) $user->id && $user->getRoleForBrand(app('brand')) !== 'admin') {
+            return response()->json(['error' => 'Only the author or a brand admin can delete this thread.'], 403);
+        }
+
+        $thread->delete();
+
+        return response()->json(['ok' => true]);
+    }
+
+    /**
+     * GET /app/api/compositions/{id}/comment-mentionables — active brand members who can open the composition,
+     * for @mention autocomplete.
+     */
+    public function mentionables(Request $request, int $id): JsonResponse
+    {
+        $composition = $this->resolveComposition($request, $id);
+        if (! $composition) {
+            return response()->json(['error' => 'Not found', 'users' => []], 404);
+        }
+
+        $users = $this->membersWhoCanOpen($composition, $this->brandMembers(app('brand'))
+            ->orderBy('users.first_name')
+            ->limit(500)
+            ->get());
+
+        return response()->json([
+            'users' => $users->map(fn (User $u) => $this->userJson($u))->values()->all(),
+        ]);
+    }
+
+    /**
+     * GET /app/api/compositions/comment-summary?ids[]=… — open / resolved thread counts per composition
+     * (Versions rail). Compositions the user can't open are left out.
+     */
+    public function summary(Request $request): JsonResponse
+    {
+        $tenant = app('tenant');
+        $brand = app('brand');
+        $user = $request->user();
+        if (! $tenant || ! $brand || ! $user instanceof User) {
+            return response()->json(['error' => 'Unauthorized', 'summary' => []], 403);
+        }
+
+        $validated = $request->validate([
+            'ids' => 'required|array|max:200',
+            'ids.*' => 'integer',
+        ]);
+
+        // Same rule as resolveComposition(): brand admins open private compositions too.
+        $visibleIds = Composition::query()
+            ->whereIn('id', $validated['ids'])
+            ->where('tenant_id', $tenant->id)
+            ->where('brand_id', $brand->id)
+            ->when($user->getRoleForBrand($brand) !== 'admin', fn ($q) => $q->visibleToUser($user))
+            ->pluck('id');
+
+        $threads = CompositionCommentThread::query()
+            ->whereIn('composition_id', $visibleIds)
+            ->with(['comments' => fn ($q) => $q->orderBy('id')])
+            ->orderByDesc('updated_at')
+            ->get();
+
+        $summary = [];
+        foreach ($visibleIds as $cid) {
+            $summary[(string) $cid] = ['open' => 0, 'resolved' => 0, 'open_previews' => []];
+        }
+        foreach ($threads as $t) {
+            $row = &$summary[(string) $t->composition_id];
+            if ($t->resolved_at === null) {
+                $row['open']++;
+                if (count($row['open_previews']) < 3) {
+                    $row['open_previews'][] = Str::limit((string) ($t->comments->first()?->body ?? ''), 80);
+                }
+            } else {
+                $row['resolved']++;
+            }
+            unset($row);
+        }
+
+        return response()->json(['summary' => $summary]);
+    }
+
+    /**
+     * @param  list<int>  $mentionedUserIds
+     */
+    private function addComment(Composition $composition, CompositionCommentThread $thread, User $author, string $body, array $mentionedUserIds): CompositionComment
+    {
+        $brand = app('brand');
+        // Only active brand members who can open the composition can be mentioned; other ids are dropped silently.
+        $mentioned = $mentionedUserIds === []
+            ? collect()
+            : $this->membersWhoCanOpen($composition, $this->brandMembers($brand)->whereIn('users.id', array_unique($mentionedUserIds))->get());
+
+        $comment = CompositionComment::query()->create([
+            'thread_id' => $thread->id,
+            'user_id' => $author->id,
+            'body' => $body,
+            'mentioned_user_ids' => $mentioned->pluck('id')->map(fn ($id) => (int) $id)->sort()->values()->all(),
+        ]);
+
+        $tenant = app('tenant');
+        foreach ($mentioned as $recipient) {
+            if ((int) $recipient->id === (int) $author->id) {
+                continue;
+            }
+            $this->notifications->upsert($recipient->id, 'studio_comment.mentioned', [
+                'tenant_id' => $tenant?->id,
+                'tenant_name' => $tenant?->name,
+                'brand_id' => $brand?->id,
+                'brand_name' => $brand?->name,
+                'actor_name' => $author->name,
+                'composition_name' => $composition->name,
+                'comment_excerpt' => Str::limit($body, 140),
+                'action_url' => route('generative.index', [], false).'?'.http_build_query([
+                    'composition' => $composition->id,
+                    'comment' => $thread->id,
+                ]),
+                'created_at' => now()->toISOString(),
+            ]);
+        }
+
+        return $comment;
+    }
+
+    /**
+     * @param  array<string, mixed>  $validated
+     * @return array{layer_id: string|null, layer_rel_x: float|null, layer_rel_y: float|null}
+     */
+    private function layerAnchor(array $validated): array
+    {
+        $layerId = $validated['layer_id'] ?? null;
+
+        return [
+            'layer_id' => $layerId,
+            'layer_rel_x' => $layerId !== null ? (float) $validated['layer_rel_x'] : null,
+            'layer_rel_y' => $layerId !== null ? (float) $validated['layer_rel_y'] : null,
+        ];
+    }
+
+    /**
+     * @return \Illuminate\Database\Eloquent\Relations\BelongsToMany<User, Brand>
+     */
+    private function brandMembers(Brand $brand)
+    {
+        return $brand->users()->wherePivotNull('removed_at');
+    }
+
+    /**
+     * Brand members (loaded through {@see brandMembers()}) who pass the resolveComposition() rule, so nobody is
+     * mentioned in — or notified about — a private composition they can't open.
+     *
+     * @param  Collection<int, User>  $members
+     * @return Collection<int, User>
+     */
+    private function membersWhoCanOpen(Composition $composition, Collection $members): Collection
+    {
+        return $members
+            ->filter(fn (User $u) => $composition->isVisibleToUser($u) || $u->pivot?->role === 'admin')
+            ->values();
+    }
+
+    private function reload(CompositionCommentThread $thread): CompositionCommentThread
+    {
+        return $thread->fresh(['user', 'resolvedBy', 'comments.user']) ?? $thread;
+    }
+
+    private function resolveThread(Composition $composition, int $threadId): ?CompositionCommentThread
+    {
+        return CompositionCommentThread::query()
+            ->where('id', $threadId)
+            ->where('composition_id', $composition->id)
+            ->first();
+    }
+
+    private function resolveComposition(Request $request, int $id): ?Composition
+    {
+        $tenant = app('tenant');
+        $brand = app('brand');
+        $user = $request->user();
+        if (! $tenant || ! $brand || ! $user instanceof User) {
+            return null;
+        }
+
+        $c = Composition::query()
+            ->where('id', $id)
+            ->where('tenant_id', $tenant->id)
+            ->where('brand_id', $brand->id)
+            ->first();
+        if (! $c) {
+            return null;
+        }
+        if ($c->isVisibleToUser($user) || $user->getRoleForBrand($brand) === 'admin') {
+            return $c;
+        }
+
+        return null;
+    }
+
+    /**
+     * @return array{id: int, name: string, avatar_url: string|null}
+     */
+    private function userJson(User $user): array
+    {
+        return [
+            'id' => $user->id,
+            'name' => $user->name !== '' ? $user->name : (string) $user->email,
+            'avatar_url' => $user->avatar_url,
+        ];
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function threadJson(CompositionCommentThread $thread): array
+    {
+        return [
+            'id' => (string) $thread->id,
+            'composition_id' => (string) $thread->composition_id,
+            'x' => $thread->x,
+            'y' => $thread->y,
+            'layer_id' => $thread->layer_id,
+            'layer_rel_x' => $thread->layer_rel_x,
+            'layer_rel_y' => $thread->layer_rel_y,
+            'resolved_at' => $thread->resolved_at?->toISOString(),
+            'resolved_by' => $thread->resolvedBy ? $this->userJson($thread->resolvedBy) : null,
+            'author' => $thread->user ? $this->userJson($thread->user) : null,
+            'created_at' => $thread->created_at?->toISOString(),
+            'updated_at' => $thread->updated_at?->toISOString(),
+            'comments' => $thread->comments->map(fn (CompositionComment $c) => [
+                'id' => (string) $c->id,
+                'body' => $c->body,
+                'mentioned_user_ids' => array_map('intval', $c->mentioned_user_ids ?? []),
+                'author' => $c->user ? $this->userJson($c->user) : null,
+                'created_at' => $c->created_at?->toISOString(),
+            ])->values()->all(),
+        ];
+    }
+}
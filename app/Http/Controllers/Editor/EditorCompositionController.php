@@ -158,6 +158,7 @@ private function compositionJson(Composition $c): array
             'thumbnail_url' => $this->resolveThumbnailUrl($c->thumbnail_asset_id),
             'created_at' => $c->created_at?->toIso8601String() ?? '',
             'updated_at' => $c->updated_at?->toIso8601String() ?? '',
+            'external_revision' => (int) ($c->external_revision ?? 0),
         ];
     }
 
@@ -571,6 +572,8 @@ public function storeBatch(Request $request): JsonResponse
      *
      * create_version: false = autosave (document + optional thumbnail PNG, no new version row).
      * When thumbnail_png_base64 is sent, the composition list preview is updated even for autosave.
+     * base_external_revision: the editor's last known `external_revision`; 409 when the server rewrote the
+     * document since (brand component propagation), so the rewrite isn't silently overwritten.
      */
     public function update(Request $request, int $id): JsonResponse
     {
@@ -594,8 +597,18 @@ public function update(Request $request, int $id): JsonResponse
             'thumbnail_png_base64' => 'nullable|string|max:6000000',
             'telemetry' => 'nullable|array',
             'telemetry.duration_ms' => 'nullable|integer|min:0|max:172800000',
+            'base_external_revision' => 'nullable|integer|min:0',
         ]);
 
+        if (isset($validated['base_external_revision'])
+            && (int) $validated['base_external_revision'] < (int) ($composition->external_revision ?? 0)) {
+            return response()->json([
+                'error' => 'This composition was updated from the brand component library while you were editing.',
+                'code' => 'external_revision_conflict',
+                'composition' => $this->compositionJson($composition),
+            ], 409);
+        }
+
         $createVersion = $request->boolean('create_version', true);
         $versionKind = $this->normalizeKind($validated['version_kind'] ?? null);
         $thumbBinary = $this->decodeThumbnailPayload($validated['thumbnail_png_base64'] ?? null);
@@ -615,7 +615,8 @@ private function compositionHasVisibleTextLayer(Composition $composition): bool
 
     /**
      * True when the composition document uses features the legacy FFmpeg exporter does not bake
-     * (text, masks, fills, non-normal blend on video). Image / generative_image blend modes are handled in FFmpeg-native.
+     * (text, masks, fills, keyframe animation, non-normal blend on video). Image / generative_image blend modes are
+     * handled in FFmpeg-native.
      */
     private function compositionNeedsCanvasRuntimeExport(Composition $composition): bool
     {
@@ -632,6 +633,9 @@ private function compositionNeedsCanvasRuntimeExport(Composition $composition):
             if (in_array($type, ['text', 'mask', 'fill'], true)) {
                 return true;
             }
+            if (StudioCompositionFfmpegNativeFeaturePolicy::layerHasKeyframeAnimation($ly)) {
+                return true;
+            }
             $blend = strtolower(trim((string) ($ly['blendMode'] ?? $ly['blend_mode'] ?? 'normal')));
             if ($blend === '') {
                 $blend = 'normal';
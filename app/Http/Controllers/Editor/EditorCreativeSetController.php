@@ -5,6 +5,7 @@
 use App\Http\Controllers\Controller;
 use App\Models\Asset;
 use App\Models\Composition;
+use App\Models\CompositionVersion;
 use App\Models\CreativeSet;
 use App\Models\CreativeSetVariant;
 use App\Models\GenerationJob;
@@ -15,6 +16,7 @@
 use App\Services\Studio\StudioCreativeSetGenerationItemRetryService;
 use App\Services\Studio\StudioCreativeSetGenerationService;
 use App\Services\Studio\StudioVariantGroupResolver;
+use App\Support\StudioCompositionLocalizer;
 use App\Enums\StudioVariantGroupType;
 use App\Models\StudioVariantGroup;
 use App\Models\StudioVariantGroupMember;
@@ -37,6 +39,7 @@ public function __construct(
         protected CreativeSetApplyCommandsService $applyCommands,
         protected StudioCreativeSetGenerationItemRetryService $generationItemRetry,
         protected StudioVariantGroupResolver $variantGroupResolver,
+        protected StudioCompositionLocalizer $localizer,
     ) {}
 
     private function resolveCreativeSet(Request $request, int $id): ?CreativeSet
@@ -531,6 +534,139 @@ public function storeVariant(Request $request, int $id): JsonResponse
         ], 201);
     }
 
+    /**
+     * POST /app/api/creative-sets/{id}/locale-variants
+     *
+     * One locale version of `source_composition_id` per entry in `locales`: new ones are duplicated from the
+     * source with its translations applied (axis `locale`); existing ones only have their copy refreshed, so
+     * per-market layout tweaks survive.
+     */
+    public function storeLocaleVariants(Request $request, int $id): JsonResponse
+    {
+        $tenant = app('tenant');
+        $brand = app('brand');
+        $user = $request->user();
+        if (! $tenant || ! $brand || ! $user) {
+            return response()->json(['error' => 'Unauthorized'], 403);
+        }
+
+        $set = $this->resolveCreativeSet($request, $id);
+        if (! $set) {
+            return response()->json(['error' => 'Not found'], 404);
+        }
+
+        $validated = $request->validate([
+            'source_composition_id' => 'required|integer',
+            'locales' => 'required|array|min:1|max:'.self::MAX_VARIANTS_PER_SET,
+            'locales.*' => 'required|string|max:35',
+        ]);
+
+        $sourceComposition = $this->resolveComposition($request, (int) $validated['source_composition_id']);
+        if (! $sourceComposition) {
+            return response()->json(['error' => 'Source composition not found'], 404);
+        }
+
+        $variants = CreativeSetVariant::query()
+            ->where('creative_set_id', $set->id)
+            ->where('status', '!=', CreativeSetVariant::STATUS_ARCHIVED)
+            ->get();
+        if (! $variants->contains(fn (CreativeSetVariant $v) => (int) $v->composition_id === (int) $sourceComposition->id)) {
+            return response()->json(['error' => 'Source composition is not in this Versions set.'], 422);
+        }
+
+        $sourceDoc = is_array($sourceComposition->document_json) ? $sourceComposition->document_json : [];
+        $sourceLocale = $this->localizer->normalizeLocale((string) ($sourceDoc['localization']['sourceLocale'] ?? 'en'));
+        $locales = [];
+        foreach ($validated['locales'] as $raw) {
+            $locale = $this->localizer->normalizeLocale($raw);
+            if ($locale === null || $locale === $sourceLocale) {
+                throw ValidationException::withMessages(['locales' => ["\"{$raw}\" is not a target language tag."]]);
+            }
+            $locales[$locale] = true;
+        }
+        $locales = array_keys($locales);
+
+        /** @var array<string, CreativeSetVariant> $existing */
+        $existing = [];
+        foreach ($variants as $v) {
+            $axis = is_array($v->axis) ? ($v->axis['locale'] ?? null) : null;
+            if (is_array($axis) && (string) ($axis['source_composition_id'] ?? '') === (string) $sourceComposition->id) {
+                $existing[(string) ($axis['id'] ?? '')] = $v;
+            }
+        }
+
+        $toCreate = array_values(array_filter($locales, fn (string $l) => ! isset($existing[$l])));
+        if ($variants->count() + count($toCreate) > self::MAX_VARIANTS_PER_SET) {
+            return response()->json([
+                'error' => 'Maximum number of versions in one set reached ('.self::MAX_VARIANTS_PER_SET.').',
+            ], 422);
+        }
+
+        $created = [];
+        $updated = [];
+        DB::transaction(function () use ($set, $sourceComposition, $sourceDoc, $user, $locales, $existing, $variants, &$created, &$updated): void {
+            $sort = (int) $variants->max('sort_order');
+            foreach ($locales as $locale) {
+                if (isset($existing[$locale])) {
+                    $composition = $existing[$locale]->composition;
+                    if (! $composition) {
+                        continue;
+                    }
+                    $doc = is_array($composition->document_json) ? $composition->document_json : [];
+                    $out = $this->localizer->syncFromSource($doc, $sourceDoc, $locale);
+                    if ($out['updated'] > 0) {
+                        CompositionVersion::query()->create([
+                            'composition_id' => $composition->id,
+                            'document_json' => $doc,
+                            'label' => 'Before translation refresh',
+                            'kind' => CompositionVersion::KIND_MANUAL,
+                            'created_at' => now(),
+                        ]);
+                        $composition->document_json = $out['document'];
+                        $composition->external_revision = (int) $composition->external_revision + 1;
+                        $composition->save();
+                        $updated[] = (string) $existing[$locale]->id;
+                    }
+
+                    continue;
+                }
+
+                $newComposition = $this->compositionDuplicate->duplicate($sourceComposition, $user, $sourceComposition->name.' · '.$locale, 'Duplicated');
+                $doc = $this->localizer->localize($sourceDoc, $locale);
+                $newComposition->document_json = $doc;
+                $newComposition->save();
+                CompositionVersion::query()
+                    ->where('composition_id', $newComposition->id)
+                    ->orderByDesc('id')
+                    ->limit(1)
+                    ->update(['document_json' => $doc]);
+
+                $variant = CreativeSetVariant::query()->create([
+                    'creative_set_id' => $set->id,
+                    'composition_id' => $newComposition->id,
+                    'sort_order' => ++$sort,
+                    'label' => $locale,
+                    'status' => CreativeSetVariant::STATUS_READY,
+                    'axis' => [
+                        'locale' => [
+                            'id' => $locale,
+                            'label' => $locale,
+                            'direction' => $this->localizer->direction($locale),
+                            'source_composition_id' => (string) $sourceComposition->id,
+                        ],
+                    ],
+                ]);
+                $created[] = (string) $variant->id;
+            }
+        });
+
+        return response()->json([
+            'created_variant_ids' => $created,
+            'updated_variant_ids' => $updated,
+            'creative_set' => $this->setJson($set->fresh(['variants'])),
+        ]);
+    }
+
     /**
      * DELETE /app/api/creative-sets/{id}/variants/{variantId}
      *
@@ -0,0 +1,199 @@
+<?php
+
+namespace App\Http\Controllers\Editor;
+
+use App\Http\Controllers\Controller;
+use App\Models\StudioBrandComponent;
+use App\Models\User;
+use App\Services\Studio\StudioBrandComponentPropagationService;
+use App\Support\StudioBrandComponentInstances;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
+
+/**
+ * Studio brand component library — reusable layer groups (logos, CTA buttons, disclaimers) stored per brand.
+ *
+ * Editing a master bumps its revision and re-materializes every linked instance across the brand's
+ * compositions; instance text / color overrides are kept.
+ */
+class EditorStudioBrandComponentController extends Controller
+{
+    public function __construct(
+        protected StudioBrandComponentInstances $instances,
+        protected StudioBrandComponentPropagationService $propagation,
+    ) {}
+
+    /**
+     * GET /app/api/studio-components
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $tenant = app('tenant');
+        $brand = app('brand');
+        $user = $request->user();
+        if (! $tenant || ! $brand || ! $user instanceof User) {
+            return response()->json(['error' => 'Unauthorized', 'components' => []], 403);
+        }
+
+        $rows = StudioBrandComponent::query()
+            ->where('tenant_id', $tenant->id)
+            ->where('brand_id', $brand->id)
+            ->orderBy('kind')
+            ->orderBy('name')
+            ->limit(200)
+            ->get();
+
+        return response()->json([
+            'components' => $rows->map(fn (StudioBrandComponent $c) => $this->componentJson($c))->values()->all(),
+        ]);
+    }
+
+    /**
+     * POST /app/api/studio-components
+     */
+    public function store(Request $request): JsonResponse
+    {
+        $tenant = app('tenant');
+        $brand = app('brand');
+        $user = $request->user();
+        if (! $tenant || ! $brand || ! $user instanceof User) {
+            return response()->json(['error' => 'Unauthorized'], 403);
+        }
+
+        $validated = $request->validate([
+            'name' => 'required|string|max:255',
+            'kind' => ['nullable', 'string', Rule::in(StudioBrandComponentInstances::KINDS)],
+            'definition' => 'required|array',
+        ]);
+        $definition = $this->instances->normalizeDefinition($validated['definition']);
+        if ($definition === null) {
+            return response()->json(['error' => 'Invalid component definition.'], 422);
+        }
+
+        $component = StudioBrandComponent::query()->create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $user->id,
+            'name' => $validated['name'],
+            'kind' => $validated['kind'] ?? 'other',
+            'definition_json' => $definition,
+            'revision' => 1,
+        ]);
+
+        return response()->json(['component' => $this->componentJson($component)]);
+    }
+
+    /**
+     * PUT /app/api/studio-components/{id}
+     *
+     * Creator or brand admin only. A new `definition` bumps the revision and propagates to every composition
+     * with an instance (including other users' private ones); renames don't.
+     */
+    public function update(Request $request, int $id): JsonResponse
+    {
+        $component = $this->resolveComponent($request, $id);
+        if (! $component) {
+            return response()->json(['error' => 'Not found'], 404);
+        }
+        if (! $this->canManage($component, $request->user())) {
+            return response()->json(['error' => 'Only the creator or a brand admin can edit this component.'], 403);
+        }
+
+        $validated = $request->validate([
+            'name' => 'sometimes|required|string|max:255',
+            'kind' => ['sometimes', 'nullable', 'string', Rule::in(StudioBrandComponentInstances::KINDS)],
+            'definition' => 'sometimes|required|array',
+        ]);
+
+        if (array_key_exists('name', $validated)) {
+            $component->name = $validated['name'];
+        }
+        if (array_key_exists('kind', $validated)) {
+            $component->kind = $validated['kind'] ?? 'other';
+        }
+        $definitionChanged = false;
+        if (array_key_exists('definition', $validated)) {
+            $definition = $this->instances->normalizeDefinition($validated['definition']);
+            if ($definition === null) {
+                return response()->json(['error' => 'Invalid component definition.'], 422);
+            }
+            if ($definition !== $component->definition_json) {
+                $component->definition_json = $definition;
+                $component->revision = (int) $component->revision + 1;
+                $definitionChanged = true;
+            }
+        }
+        $component->save();
+
+        $updatedCompositionIds = $definitionChanged ? $this->propagation->propagate($component) : [];
+
+        return response()->json([
+            'component' => $this->componentJson($component),
+            'propagation' => [
+                'updated_composition_ids' => $updatedCompositionIds,
+            ],
+        ]);
+    }
+
+    /**
+     * DELETE /app/api/studio-components/{id}
+     *
+     * Creator or brand admin only. Existing instances are detached (their layers stay as a plain group).
+     */
+    public function destroy(Request $request, int $id): JsonResponse
+    {
+        $component = $this->resolveComponent($request, $id);
+        if (! $component) {
+            return response()->json(['error' => 'Not found'], 404);
+        }
+        if (! $this->canManage($component, $request->user())) {
+            return response()->json(['error' => 'Only the creator or a brand admin can delete this component.'], 403);
+        }
+
+        $detached = $this->propagation->detachEverywhere($component);
+        $component->delete();
+
+        return response()->json([
+            'deleted' => true,
+            'propagation' => [
+                'updated_composition_ids' => $detached,
+            ],
+        ]);
+    }
+
+    private function canManage(StudioBrandComponent $component, User $user): bool
+    {
+        return (int) ($component->user_id ?? 0) === (int) $user->id
+            || $user->getRoleForBrand(app('brand')) === 'admin';
+    }
+
+    private function resolveComponent(Request $request, int $id): ?StudioBrandComponent
+    {
+        $tenant = app('tenant');
+        $brand = app('brand');
+        $user = $request->user();
+        if (! $tenant || ! $brand || ! $user instanceof User) {
+            return null;
+        }
+
+        return StudioBrandComponent::query()
+            ->where('id', $id)
+            ->where('tenant_id', $tenant->id)
+            ->where('brand_id', $brand->id)
+            ->first();
+    }
+
+    private function componentJson(StudioBrandComponent $c): array
+    {
+        return [
+            'id' => (string) $c->id,
+            'name' => $c->name,
+            'kind' => $c->kind ?? 'other',
+            'revision' => (int) $c->revision,
+            'definition' => $c->definition_json ?? ['width' => 0, 'height' => 0, 'layers' => []],
+            'owner_user_id' => $c->user_id !== null ? (string) $c->user_id : null,
+            'updated_at' => $c->updated_at?->toIso8601String() ?? '',
+        ];
+    }
+}
@@ -0,0 +1,221 @@
+<?php
+
+namespace App\Http\Controllers\Editor;
+
+use App\Http\Controllers\Controller;
+use App\Models\Composition;
+use App\Models\StudioBrandRecipe;
+use App\Models\User;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
+
+/**
+ * Brand recipe library — finished compositions saved as reusable wizard recipes, without a code deploy.
+ *
+ * Everyone on the brand can list recipes; only brand admins and brand managers author, edit or delete them.
+ * The definition is built client-side ({@see resources/js/utils/studioUserRecipes.mjs}); the server checks
+ * its shape and stores it verbatim.
+ */
+class EditorStudioBrandRecipeController extends Controller
+{
+    public const CATEGORIES = ['product', 'brand', 'lifestyle', 'event', 'tech', 'retail', 'reveal'];
+
+    public const BLUEPRINT_TYPES = ['text', 'fill', 'image', 'generative_image', 'mask'];
+
+    public const BLUEPRINT_ROLES = ['background', 'hero_image', 'text_boost', 'headline', 'subheadline', 'cta', 'cta_button', 'logo', 'body', 'overlay'];
+
+    public const CONTENT_BINDINGS = ['fixed', 'headline', 'subheadline', 'cta', 'body', 'product_name', 'url', 'brand_name', 'hero', 'secondary_hero', 'texture', 'logo', 'empty'];
+
+    public const COLOR_BINDINGS = ['fixed', 'primary', 'secondary', 'accent'];
+
+    private const AUTHOR_ROLES = ['admin', 'brand_manager'];
+
+    /**
+     * GET /app/api/studio-recipes
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $tenant = app('tenant');
+        $brand = app('brand');
+        $user = $request->user();
+        if (! $tenant || ! $brand || ! $user instanceof User) {
+            return response()->json(['error' => 'Unauthorized', 'recipes' => []], 403);
+        }
+
+        $rows = StudioBrandRecipe::query()
+            ->where('tenant_id', $tenant->id)
+            ->where('brand_id', $brand->id)
+            ->orderBy('name')
+            ->limit(200)
+            ->get();
+
+        return response()->json([
+            'recipes' => $rows->map(fn (StudioBrandRecipe $r) => $this->recipeJson($r))->values()->all(),
+            'can_author' => $this->canAuthor($user),
+        ]);
+    }
+
+    /**
+     * POST /app/api/studio-recipes
+     */
+    public function store(Request $request): JsonResponse
+    {
+        $tenant = app('tenant');
+        $brand = app('brand');
+        $user = $request->user();
+        if (! $tenant || ! $brand || ! $user instanceof User) {
+            return response()->json(['error' => 'Unauthorized'], 403);
+        }
+        if (! $this->canAuthor($user)) {
+            return response()->json(['error' => 'Only brand admins and brand managers can save recipes.'], 403);
+        }
+
+        $validated = $request->validate([
+            'name' => 'required|string|max:255',
+            'description' => 'nullable|string|max:500',
+            'category' => ['nullable', 'string', Rule::in(self::CATEGORIES)],
+            'source_composition_id' => 'nullable|integer',
+            ...$this->definitionRules('required'),
+        ]);
+
+        $sourceId = null;
+        if (! empty($validated['source_composition_id'])) {
+            $sourceId = Composition::query()
+                ->where('id', $validated['source_composition_id'])
+                ->where('tenant_id', $tenant->id)
+                ->where('brand_id', $brand->id)
+                ->value('id');
+        }
+
+        $recipe = StudioBrandRecipe::query()->create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $user->id,
+            'source_composition_id' => $sourceId,
+            'name' => $validated['name'],
+            'description' => $validated['description'] ?? null,
+            'category' => $validated['category'] ?? 'brand',
+            'definition_json' => $validated['definition'],
+        ]);
+
+        return response()->json(['recipe' => $this->recipeJson($recipe)]);
+    }
+
+    /**
+     * PUT /app/api/studio-recipes/{id}
+     */
+    public function update(Request $request, int $id): JsonResponse
+    {
+        $recipe = $this->resolveRecipe($request, $id);
+        if (! $recipe) {
+            return response()->json(['error' => 'Not found'], 404);
+        }
+        if (! $this->canAuthor($request->user())) {
+            return response()->json(['error' => 'Only brand admins and brand managers can edit recipes.'], 403);
+        }
+
+        $validated = $request->validate([
+            'name' => 'sometimes|required|string|max:255',
+            'description' => 'sometimes|nullable|string|max:500',
+            'category' => ['sometimes', 'nullable', 'string', Rule::in(self::CATEGORIES)],
+            ...$this->definitionRules('sometimes|required'),
+        ]);
+
+        foreach (['name', 'description'] as $field) {
+            if (array_key_exists($field, $validated)) {
+                $recipe->{$field} = $validated[$field];
+            }
+        }
+        if (array_key_exists('category', $validated)) {
+            $recipe->category = $validated['category'] ?? 'brand';
+        }
+        if (array_key_exists('definition', $validated)) {
+            $recipe->definition_json = $validated['definition'];
+        }
+        $recipe->save();
+
+        return response()->json(['recipe' => $this->recipeJson($recipe)]);
+    }
+
+    /**
+     * DELETE /app/api/studio-recipes/{id}
+     *
+     * Compositions already created from the recipe are independent copies and stay as they are.
+     */
+    public function destroy(Request $request, int $id): JsonResponse
+    {
+        $recipe = $this->resolveRecipe($request, $id);
+        if (! $recipe) {
+            return response()->json(['error' => 'Not found'], 404);
+        }
+        if (! $this->canAuthor($request->user())) {
+            return response()->json(['error' => 'Only brand admins and brand managers can delete recipes.'], 403);
+        }
+
+        $recipe->delete();
+
+        return response()->json(['deleted' => true]);
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function definitionRules(string $presence): array
+    {
+        return [
+            'definition' => "{$presence}|array",
+            'definition.version' => 'required_with:definition|integer|in:1',
+            'definition.width' => 'required_with:definition|integer|min:1|max:20000',
+            'definition.height' => 'required_with:definition|integer|min:1|max:20000',
+            'definition.blueprints' => 'required_with:definition|array|min:1|max:100',
+            'definition.blueprints.*.name' => 'required|string|max:255',
+            'definition.blueprints.*.type' => ['required', 'string', Rule::in(self::BLUEPRINT_TYPES)],
+            'definition.blueprints.*.role' => ['required', 'string', Rule::in(self::BLUEPRINT_ROLES)],
+            'definition.blueprints.*.xRatio' => 'required|numeric',
+            'definition.blueprints.*.yRatio' => 'required|numeric',
+            'definition.blueprints.*.widthRatio' => 'required|numeric|gt:0',
+            'definition.blueprints.*.heightRatio' => 'required|numeric|gt:0',
+            'definition.blueprints.*.groupKey' => 'nullable|string|max:64',
+            'definition.blueprints.*.defaults' => 'nullable|array',
+            'definition.blueprints.*.bind' => 'nullable|array',
+            'definition.blueprints.*.bind.content' => ['nullable', 'string', Rule::in(self::CONTENT_BINDINGS)],
+            'definition.blueprints.*.bind.color' => ['nullable', 'string', Rule::in(self::COLOR_BINDINGS)],
+        ];
+    }
+
+    private function canAuthor(User $user): bool
+    {
+        return in_array($user->getRoleForBrand(app('brand')), self::AUTHOR_ROLES, true);
+    }
+
+    private function resolveRecipe(Request $request, int $id): ?StudioBrandRecipe
+    {
+        $tenant = app('tenant');
+        $brand = app('brand');
+        $user = $request->user();
+        if (! $tenant || ! $brand || ! $user instanceof User) {
+            return null;
+        }
+
+        return StudioBrandRecipe::query()
+            ->where('id', $id)
+            ->where('tenant_id', $tenant->id)
+            ->where('brand_id', $brand->id)
+            ->first();
+    }
+
+    private function recipeJson(StudioBrandRecipe $r): array
+    {
+        return [
+            'id' => (string) $r->id,
+            'name' => $r->name,
+            'description' => $r->description ?? '',
+            'category' => $r->category ?? 'brand',
+            'definition' => $r->definition_json,
+            'source_composition_id' => $r->source_composition_id !== null ? (string) $r->source_composition_id : null,
+            'owner_user_id' => $r->user_id !== null ? (string) $r->user_id : null,
+            'updated_at' => $r->updated_at?->toIso8601String() ?? '',
+        ];
+    }
+}
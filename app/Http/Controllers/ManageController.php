@@ -90,6 +90,7 @@ private function categoriesPayloadForBrand(Brand $brand): Collection
                     'ai_use_library_references' => $category->is_system
                         ? false
                         : (bool) data_get($category->settings, 'ai_use_library_references', false),
+                    'upload_image_processing' => $category->uploadImageProcessing(),
                 ];
             })
             ->values();
@@ -26,6 +26,7 @@
 use App\Services\PlanService;
 use App\Services\ResumeMetadataService;
 use App\Services\UploadCompletionService;
+use App\Services\UploadDuplicateService;
 use App\Services\UploadInitiationService;
 use App\Services\UploadMetadataSchemaResolver;
 use App\Services\UploadPreflightService;
@@ -67,6 +68,7 @@ public function __construct(
         protected AssetEligibilityService $assetEligibilityService,
         protected UploadPreflightService $uploadPreflightService,
         protected FileTypeService $fileTypeService,
+        protected UploadDuplicateService $uploadDuplicateService,
     ) {}
 
     /**
@@ -489,6 +491,43 @@ public function preflight(Request $request): JsonResponse
         return response()->json($payload);
     }
 
+    /**
+     * Match client-computed SHA-256 fingerprints against existing versions before anything is uploaded.
+     *
+     * POST /uploads/duplicates
+     */
+    public function duplicates(Request $request): JsonResponse
+    {
+        $tenant = app('tenant');
+        $user = Auth::user();
+
+        if (! $user || ! $user->tenants()->where('tenants.id', $tenant->id)->exists()) {
+            return response()->json(['error' => 'Unauthorized'], 403);
+        }
+
+        if (! $this->userMayUploadForActiveBrand($user, $tenant, $request)) {
+            return response()->json([
+                'error' => 'You do not have permission to upload assets.',
+            ], 403);
+        }
+
+        $validated = $request->validate([
+            'brand_id' => 'required|integer|exists:brands,id',
+            'files' => 'required|array|min:1|max:'.UploadPreflightService::maxFilesPerBatch(),
+            'files.*.client_file_id' => 'required|uuid',
+            'files.*.sha256' => ['required', 'string', 'regex:/^[a-fA-F0-9]{64}$/'],
+            'files.*.size' => 'required|integer|min:1',
+        ]);
+
+        $brand = Brand::where('id', $validated['brand_id'])
+            ->where('tenant_id', $tenant->id)
+            ->firstOrFail();
+
+        return response()->json([
+            'duplicates' => (object) $this->uploadDuplicateService->findDuplicates($tenant, $brand, $user, $validated['files']),
+        ]);
+    }
+
     /**
      * Complete an upload session and create an asset.
      *
@@ -664,6 +703,8 @@ public function initiateBatch(Request $request): JsonResponse
             'category_id' => 'nullable|integer|exists:categories,id', // Category is optional for upload initiation (required for finalization)
             /** When set, each file must match a prior {@see preflight()} acceptance (tenant, user, brand, name, size). */
             'preflight_id' => 'nullable|uuid',
+            /** Client has an upload bandwidth cap: files above one S3 part go multipart so they can be paced per part. */
+            'paced' => 'sometimes|boolean',
         ]);
 
         // Verify brand belongs to tenant if provided
@@ -847,7 +888,8 @@ public function initiateBatch(Request $request): JsonResponse
                 $tenant,
                 $brand,
                 $files,
-                $batchReference
+                $batchReference,
+                $request->boolean('paced')
             );
 
             return response()->json([
@@ -1413,6 +1455,7 @@ public function getMultipartPartUrl(Request $request, UploadSession $uploadSessi
      *
      * This endpoint is idempotent - if a multipart upload is already initiated,
      * it returns the existing multipart_upload_id without creating a new one.
+     * Optional part_size (bandwidth-capped clients ask for small parts) is clamped by MultipartUploadService.
      */
     public function initMultipart(Request $request, UploadSession $uploadSession): JsonResponse
     {
@@ -1466,7 +1509,10 @@ public function initMultipart(Request $request, UploadSession $uploadSession): J
             ]);
 
             // Initiate multipart upload (idempotent)
-            $result = $this->multipartService->initiateMultipartUpload($uploadSession);
+            $result = $this->multipartService->initiateMultipartUpload(
+                $uploadSession,
+                $request->filled('part_size') ? (int) $request->input('part_size') : null
+            );
 
             // Refresh to get updated state
             $uploadSession->refresh();
@@ -1903,6 +1949,8 @@ public function finalize(Request $request): JsonResponse
             'manifest.*.collection_ids.*' => 'integer|exists:collections,id',
             // Client-generated UUID so the browser can map finalize results to local blob previews
             'manifest.*.client_file_id' => 'nullable|string|max:128',
+            // SHA-256 of the original computed in the browser; stored on the version and verified server-side
+            'manifest.*.content_sha256' => ['nullable', 'string', 'regex:/^[a-fA-F0-9]{64}$/'],
             // C9.2: Upload-time AI skip controls (Admin/Brand Manager only)
             'skip_ai_tagging' => 'nullable|boolean',
             'skip_ai_metadata' => 'nullable|boolean',
@@ -1981,6 +2029,14 @@ public function finalize(Request $request): JsonResponse
                     throw new \RuntimeException("Upload session not found: {$uploadSessionId}");
                 }
 
+                // Completion carries the session hash onto the version it creates (and queues verification).
+                if (! empty($item['content_sha256'])) {
+                    $contentSha256 = strtolower($item['content_sha256']);
+                    if ($uploadSession->content_sha256 !== $contentSha256) {
+                        $uploadSession->update(['content_sha256' => $contentSha256]);
+                    }
+                }
+
                 // IDEMPOTENCY CHECK: Check if asset already exists for this upload_session_id
                 // Uses upload_session_id only (unique constraint) - brand_id is determined by active brand context
                 // This makes finalize safe under retries, refreshes, and race conditions
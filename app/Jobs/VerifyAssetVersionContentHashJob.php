@@ -0,0 +1,169 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\AssetVersion;
+use App\Services\Reliability\ReliabilityEngine;
+use Aws\S3\S3Client;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Verify the client-computed SHA-256 sent with finalize against the stored original.
+ *
+ * Streams the version's object from S3 (never buffered whole — originals can be several GB) and
+ * records the outcome in asset_versions.metadata.content_integrity. On mismatch the server hash
+ * replaces content_sha256 so duplicate detection only ever matches bytes that are actually stored,
+ * an asset incident is raised, and the version list flags the version (content_integrity = mismatch).
+ */
+class VerifyAssetVersionContentHashJob implements ShouldQueue
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    public int $timeout = 1800;
+
+    public int $tries = 3;
+
+    /** @var array<int> */
+    public array $backoff = [60, 300];
+
+    protected const READ_BYTES = 8 * 1024 * 1024;
+
+    public function __construct(
+        public readonly string $versionId
+    ) {
+        $this->onQueue(config('queue.downloads_queue', 'default'));
+    }
+
+    public function handle(): void
+    {
+        $version = AssetVersion::find($this->versionId);
+        $clientHash = $version?->content_sha256;
+        if (! $version || ! $clientHash) {
+            return;
+        }
+
+        $maxBytes = (int) config('assets.upload_content_hash.verify_max_bytes', 0);
+        if ($maxBytes > 0 && (int) $version->file_size > $maxBytes) {
+            $this->recordIntegrity($version, ['status' => 'skipped', 'reason' => 'too_large']);
+
+            return;
+        }
+
+        $bucket = $version->asset?->storageBucket;
+        if (! $bucket) {
+            Log::warning('[VerifyAssetVersionContentHashJob] Asset has no storage bucket', [
+                'version_id' => $version->id,
+            ]);
+
+            return;
+        }
+
+        $result = $this->createS3Client()->getObject([
+            'Bucket' => $bucket->name,
+            'Key' => $version->file_path,
+            '@http' => ['stream' => true],
+        ]);
+
+        $body = $result['Body'];
+        $context = hash_init('sha256');
+        while (! $body->eof()) {
+            $chunk = $body->read(self::READ_BYTES);
+            if ($chunk === '') {
+                break;
+            }
+            hash_update($context, $chunk);
+        }
+        $serverHash = hash_final($context);
+
+        // The version may have been re-verified or replaced while we streamed.
+        $version->refresh();
+        if ($version->content_sha256 !== $clientHash) {
+            return;
+        }
+
+        if (hash_equals($serverHash, $clientHash)) {
+            $this->recordIntegrity($version, ['status' => 'verified']);
+
+            return;
+        }
+
+        Log::error('[VerifyAssetVersionContentHashJob] Stored object does not match the client SHA-256', [
+            'asset_id' => $version->asset_id,
+            'version_id' => $version->id,
+            'file_path' => $version->file_path,
+            'client_sha256' => $clientHash,
+            'server_sha256' => $serverHash,
+        ]);
+
+        $version->content_sha256 = $serverHash;
+        $this->recordIntegrity($version, ['status' => 'mismatch', 'client_sha256' => $clientHash]);
+        $this->reportMismatch($version, $clientHash, $serverHash);
+    }
+
+    protected function reportMismatch(AssetVersion $version, string $clientHash, string $serverHash): void
+    {
+        $asset = $version->asset;
+        if (! $asset) {
+            return;
+        }
+
+        try {
+            app(ReliabilityEngine::class)->report([
+                'source_type' => 'asset',
+                'source_id' => $asset->id,
+                'tenant_id' => $asset->tenant_id,
+                'severity' => 'error',
+                'title' => 'Stored file does not match the upload',
+                'message' => "Version {$version->version_number} differs from the file the uploader's browser hashed. Re-upload the original to be safe.",
+                'metadata' => [
+                    'version_id' => $version->id,
+                    'version_number' => $version->version_number,
+                    'client_sha256' => $clientHash,
+                    'server_sha256' => $serverHash,
+                ],
+                'retryable' => false,
+                'requires_support' => true,
+                'unique_signature' => "content_integrity_mismatch:{$version->id}",
+            ]);
+        } catch (\Throwable $e) {
+            Log::warning('[VerifyAssetVersionContentHashJob] Failed to record content integrity incident', [
+                'version_id' => $version->id,
+                'error' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * @param  array<string, mixed>  $outcome
+     */
+    protected function recordIntegrity(AssetVersion $version, array $outcome): void
+    {
+        $metadata = $version->metadata ?? [];
+        $metadata['content_integrity'] = $outcome + ['checked_at' => now()->toIso8601String()];
+        $version->metadata = $metadata;
+        $version->saveQuietly();
+    }
+
+    protected function createS3Client(): S3Client
+    {
+        if (app()->bound(S3Client::class)) {
+            return app(S3Client::class);
+        }
+
+        $config = [
+            'version' => 'latest',
+            'region' => config('filesystems.disks.s3.region', 'us-east-1'),
+        ];
+        if (config('filesystems.disks.s3.endpoint')) {
+            $config['endpoint'] = config('filesystems.disks.s3.endpoint');
+            $config['use_path_style_endpoint'] = config('filesystems.disks.s3.use_path_style_endpoint', false);
+        }
+
+        return new S3Client($config);
+    }
+}
@@ -36,6 +36,7 @@ class AssetVersion extends Model
         'width',
         'height',
         'checksum',
+        'content_sha256',
         'uploaded_by',
         'change_note',
         'pipeline_status',
@@ -173,6 +173,27 @@ public function isAiLibraryReferenceContextEnabled(): bool
         return (bool) data_get($this->settings, 'ai_use_library_references', false);
     }
 
+    /**
+     * Browser-side image preparation for uploads into this category (settings.upload_image_processing).
+     *
+     * max_long_edge: images larger than this are downscaled before upload (null = never).
+     * keep_original: upload the original bytes untouched (no HEIC conversion, rotation or downscale); the browser
+     * only builds previews. Defaults to false, and is exclusive with max_long_edge (setting one clears the other).
+     *
+     * @return array{max_long_edge: int|null, keep_original: bool}
+     */
+    public function uploadImageProcessing(): array
+    {
+        $policy = data_get($this->settings, 'upload_image_processing', []);
+        $keepOriginal = is_array($policy) && (bool) ($policy['keep_original'] ?? false);
+        $maxLongEdge = is_array($policy) && ! $keepOriginal ? (int) ($policy['max_long_edge'] ?? 0) : 0;
+
+        return [
+            'max_long_edge' => $maxLongEdge > 0 ? $maxLongEdge : null,
+            'keep_original' => $keepOriginal,
+        ];
+    }
+
     /**
      * Default EBI enablement for a system category slug (new categories + migration backfill).
      * Execution-style categories default on; core asset library categories (logos/photography/graphics) off.
@@ -30,6 +30,7 @@ protected function casts(): array
     {
         return [
             'document_json' => 'array',
+            'external_revision' => 'integer',
         ];
     }
 
@@ -53,6 +54,11 @@ public function versions(): HasMany
         return $this->hasMany(CompositionVersion::class)->orderByDesc('id');
     }
 
+    public function commentThreads(): HasMany
+    {
+        return $this->hasMany(CompositionCommentThread::class)->orderBy('id');
+    }
+
     public function thumbnailAsset(): BelongsTo
     {
         return $this->belongsTo(Asset::class, 'thumbnail_asset_id');
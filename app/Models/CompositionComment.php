@@ -0,0 +1,36 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * One message in a {@see CompositionCommentThread}; the first comment opens the thread.
+ */
+class CompositionComment extends Model
+{
+    protected $fillable = [
+        'thread_id',
+        'user_id',
+        'body',
+        'mentioned_user_ids',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'mentioned_user_ids' => 'array',
+        ];
+    }
+
+    public function thread(): BelongsTo
+    {
+        return $this->belongsTo(CompositionCommentThread::class, 'thread_id');
+    }
+
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+}
@@ -0,0 +1,59 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+/**
+ * Review thread pinned to a point of a composition's canvas (document px), optionally to a layer id.
+ * Threads live outside {@code document_json}, so they never reach exports or versions.
+ */
+class CompositionCommentThread extends Model
+{
+    protected $fillable = [
+        'tenant_id',
+        'brand_id',
+        'composition_id',
+        'user_id',
+        'x',
+        'y',
+        'layer_id',
+        'layer_rel_x',
+        'layer_rel_y',
+        'resolved_at',
+        'resolved_by_user_id',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'x' => 'float',
+            'y' => 'float',
+            'layer_rel_x' => 'float',
+            'layer_rel_y' => 'float',
+            'resolved_at' => 'datetime',
+        ];
+    }
+
+    public function composition(): BelongsTo
+    {
+        return $this->belongsTo(Composition::class);
+    }
+
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    public function resolvedBy(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'resolved_by_user_id');
+    }
+
+    public function comments(): HasMany
+    {
+        return $this->hasMany(CompositionComment::class, 'thread_id')->orderBy('id');
+    }
+}
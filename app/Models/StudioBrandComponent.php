@@ -0,0 +1,47 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * Reusable Studio layer group ("symbol") saved to a brand's component library. Compositions place linked
+ * instances of it; {@see \App\Support\StudioBrandComponentInstances} re-materializes them when
+ * {@code revision} moves.
+ */
+class StudioBrandComponent extends Model
+{
+    protected $fillable = [
+        'tenant_id',
+        'brand_id',
+        'user_id',
+        'name',
+        'kind',
+        'definition_json',
+        'revision',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'definition_json' => 'array',
+            'revision' => 'integer',
+        ];
+    }
+
+    public function brand(): BelongsTo
+    {
+        return $this->belongsTo(Brand::class);
+    }
+
+    public function tenant(): BelongsTo
+    {
+        return $this->belongsTo(Tenant::class);
+    }
+
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+}
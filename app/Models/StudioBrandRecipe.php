@@ -0,0 +1,52 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * User-authored Brand-DNA recipe: a finished composition captured as ratio-based layer blueprints whose
+ * text, image and color slots are bound to brand context. The template wizard lists these next to the
+ * built-in recipes.
+ */
+class StudioBrandRecipe extends Model
+{
+    protected $fillable = [
+        'tenant_id',
+        'brand_id',
+        'user_id',
+        'source_composition_id',
+        'name',
+        'description',
+        'category',
+        'definition_json',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'definition_json' => 'array',
+        ];
+    }
+
+    public function brand(): BelongsTo
+    {
+        return $this->belongsTo(Brand::class);
+    }
+
+    public function tenant(): BelongsTo
+    {
+        return $this->belongsTo(Tenant::class);
+    }
+
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    public function sourceComposition(): BelongsTo
+    {
+        return $this->belongsTo(Composition::class, 'source_composition_id');
+    }
+}
@@ -29,6 +29,7 @@ class UploadSession extends Model
         'mode', // Phase J.3.1: 'create' or 'replace'
         'asset_id', // Phase J.3.1: Asset ID when mode = 'replace'
         'expected_size',
+        'content_sha256', // Client-computed SHA-256 of the original, sent with finalize
         'uploaded_size',
         'expires_at',
         'failure_reason',
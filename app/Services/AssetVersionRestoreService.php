@@ -78,6 +78,7 @@ public function restore(
                 'width' => $sourceVersion->width,
                 'height' => $sourceVersion->height,
                 'checksum' => $sourceVersion->checksum,
+                'content_sha256' => $sourceVersion->content_sha256,
                 'uploaded_by' => $restoredBy,
                 'pipeline_status' => $rerunPipeline ? 'pending' : 'complete',
                 'is_current' => true,
@@ -49,6 +49,7 @@ public function createVersion(
                 'width' => null,
                 'height' => null,
                 'checksum' => $fileMeta['checksum'],
+                'content_sha256' => $fileMeta['content_sha256'] ?? null,
                 'uploaded_by' => $uploadedBy,
                 'change_note' => $changeNote,
                 'pipeline_status' => 'pending',
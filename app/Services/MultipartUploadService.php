@@ -44,6 +44,12 @@ class MultipartUploadService
      */
     protected const DEFAULT_CHUNK_SIZE = 10 * 1024 * 1024; // 10 MB
 
+    /**
+     * Smallest part S3 accepts (all but the last part). Bandwidth-capped clients ask for it so each request
+     * they pace is as short a burst as possible.
+     */
+    public const MIN_PART_SIZE = 5 * 1024 * 1024; // 5 MB
+
     /**
      * Default expiration time for presigned URLs (in seconds).
      */
@@ -65,6 +71,7 @@ public function __construct(
      * it returns the existing multipart_upload_id without creating a new one.
      *
      * @param UploadSession $session
+     * @param int|null $requestedPartSize Client-requested part size, clamped to MIN_PART_SIZE..DEFAULT_CHUNK_SIZE
      * @return array{
      *   multipart_upload_id: string,
      *   part_size: int,
@@ -73,7 +80,7 @@ public function __construct(
      * }
      * @throws \RuntimeException If session is invalid or initiation fails
      */
-    public function initiateMultipartUpload(UploadSession $session): array
+    public function initiateMultipartUpload(UploadSession $session, ?int $requestedPartSize = null): array
     {
         // Validate session state
         $this->validateSessionForMultipart($session);
@@ -111,8 +118,10 @@ public function initiateMultipartUpload(UploadSession $session): array
         }
 
         // Calculate part size and total parts
-        $partSize = self::DEFAULT_CHUNK_SIZE;
-        $totalParts = $this->calculateTotalParts($session->expected_size);
+        $partSize = $requestedPartSize !== null
+            ? max(self::MIN_PART_SIZE, min(self::DEFAULT_CHUNK_SIZE, $requestedPartSize))
+            : self::DEFAULT_CHUNK_SIZE;
+        $totalParts = $this->calculateTotalParts($session->expected_size, $partSize);
 
         // Get bucket and path
         $bucket = $session->storageBucket;
@@ -659,11 +668,12 @@ protected function getMultipartState(UploadSession $session): array
      * Calculate total number of parts for a file size.
      *
      * @param int $fileSize
+     * @param int $partSize
      * @return int
      */
-    protected function calculateTotalParts(int $fileSize): int
+    protected function calculateTotalParts(int $fileSize, int $partSize = self::DEFAULT_CHUNK_SIZE): int
     {
-        return (int) ceil($fileSize / self::DEFAULT_CHUNK_SIZE);
+        return (int) ceil($fileSize / $partSize);
     }
 
     /**
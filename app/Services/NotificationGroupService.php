@@ -18,7 +18,7 @@ class NotificationGroupService
      * Create or update a grouped notification.
      *
      * @param int $userId
-     * @param string $type e.g. 'asset.submitted', 'brand_research.ready', 'download.ready'
+     * @param string $type e.g. 'asset.submitted', 'brand_research.ready', 'download.ready', 'studio_comment.mentioned'
      * @param array $data Notification payload (must include brand_id when applicable)
      */
     public function upsert(int $userId, string $type, array $data): void
@@ -48,6 +48,8 @@ public function upsert(int $userId, string $type, array $data): void
             'asset_name' => $data['asset_name'] ?? null,
             'actor_name' => $data['actor_name'] ?? null,
             'download_title' => $data['download_title'] ?? null,
+            'composition_name' => $data['composition_name'] ?? null,
+            'comment_excerpt' => $data['comment_excerpt'] ?? null,
             'action_url' => $data['action_url'] ?? null,
             'asset_id' => $data['asset_id'] ?? null,
             'download_id' => $data['download_id'] ?? null,
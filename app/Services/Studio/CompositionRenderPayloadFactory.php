@@ -322,19 +322,28 @@ private static function buildFontsListFromLayers(array $layersSorted, ?array $br
                 continue;
             }
             $style = is_array($ly['style'] ?? null) ? $ly['style'] : [];
-            $fam = trim((string) ($style['fontFamily'] ?? ''));
-            if ($fam === '') {
-                continue;
+            $families = [(string) ($style['fontFamily'] ?? '')];
+            // Rich text runs may switch font per span.
+            foreach (is_array($ly['runs'] ?? null) ? $ly['runs'] : [] as $run) {
+                if (is_array($run) && is_string($run['fontFamily'] ?? null)) {
+                    $families[] = $run['fontFamily'];
+                }
             }
-            $key = 'text_family:'.$fam;
-            if (isset($seen[$key])) {
-                continue;
+            foreach ($families as $fam) {
+                $fam = trim($fam);
+                if ($fam === '') {
+                    continue;
+                }
+                $key = 'text_family:'.$fam;
+                if (isset($seen[$key])) {
+                    continue;
+                }
+                $seen[$key] = true;
+                $out[] = [
+                    'kind' => 'text_layer_family',
+                    'family' => $fam,
+                ];
             }
-            $seen[$key] = true;
-            $out[] = [
-                'kind' => 'text_layer_family',
-                'family' => $fam,
-            ];
         }
 
         return $out;
@@ -20,6 +20,9 @@ final class CreativeSetApplyCommandsService
 {
     public const MAX_COMMANDS = 25;
 
+    /** Mirrors `TEXT_RUNS_MAX` in `resources/js/utils/studioTextRuns.mjs`. */
+    public const MAX_TEXT_RUNS = 512;
+
     public function __construct(
         protected StudioCrossCompositionLayerResolver $layerResolver,
         protected StudioDocumentSyncRoleFinder $roleFinder,
@@ -354,6 +357,26 @@ private function assertUpdateTextContent(array $cmd, int $i): void
         if (! is_string($text) || mb_strlen($text) > 16_384) {
             throw ValidationException::withMessages(['commands' => "Command #{$i}: text must be a string (max 16384 chars)."]);
         }
+        $runs = $cmd['runs'] ?? null;
+        if ($runs !== null) {
+            if (! is_array($runs) || ! array_is_list($runs) || count($runs) > self::MAX_TEXT_RUNS) {
+                throw ValidationException::withMessages(['commands' => "Command #{$i}: runs must be a list (max ".self::MAX_TEXT_RUNS.' entries).']);
+            }
+            $joined = '';
+            foreach ($runs as $run) {
+                if (! is_array($run) || ! is_string($run['text'] ?? null)) {
+                    throw ValidationException::withMessages(['commands' => "Command #{$i}: every run needs a text string."]);
+                }
+                $joined .= $run['text'];
+            }
+            if ($joined !== $text) {
+                throw ValidationException::withMessages(['commands' => "Command #{$i}: runs must spell out text exactly."]);
+            }
+        }
+        $listStyle = $cmd['listStyle'] ?? null;
+        if ($listStyle !== null && ! in_array($listStyle, ['none', 'bullet', 'number'], true)) {
+            throw ValidationException::withMessages(['commands' => "Command #{$i}: invalid listStyle."]);
+        }
     }
 
     /**
@@ -440,7 +463,15 @@ private function applyUpdateTextContentOutcome(array $sourceDocument, array $doc
                 'failure_detail' => 'The mapped target layer is not a text layer, so headline-style text sync was skipped.',
             ];
         }
-        $next = $this->applyPatchToDocument($document, $tid, ['content' => $text], 'text');
+        $patch = ['content' => $text];
+        // Older clients send plain text only; the target keeps its runs and the renderer reconciles them.
+        if (array_key_exists('runs', $cmd)) {
+            $patch['runs'] = $cmd['runs'];
+        }
+        if (isset($cmd['listStyle'])) {
+            $patch['style'] = ['listStyle' => $cmd['listStyle']];
+        }
+        $next = $this->applyPatchToDocument($document, $tid, $patch, 'text');
         if ($next === null) {
             return [
                 'document' => null,
@@ -681,7 +712,7 @@ private function applyPatchToDocument(array $document, string $targetLayerId, ar
 
         $type = (string) ($target['type'] ?? '');
         $allowed = match ($type) {
-            'text' => ['content', 'visible', 'locked', 'transform', 'style', 'name'],
+            'text' => ['content', 'runs', 'visible', 'locked', 'transform', 'style', 'name'],
             'image' => ['visible', 'locked', 'transform', 'name', 'fit'],
             'fill' => [
                 'visible', 'locked', 'transform', 'name', 'fillKind', 'color',
@@ -718,6 +749,8 @@ private function applyPatchToDocument(array $document, string $targetLayerId, ar
                     $merged['style'] = array_merge($merged['style'], $v);
                 } elseif ($k === 'transform' && is_array($v) && is_array($merged['transform'] ?? null)) {
                     $merged['transform'] = array_merge($merged['transform'], $v);
+                } elseif ($k === 'runs' && $v === null) {
+                    unset($merged['runs']);
                 } else {
                     $merged[$k] = $v;
                 }
@@ -0,0 +1,95 @@
+<?php
+
+namespace App\Services\Studio;
+
+use App\Models\Composition;
+use App\Models\CompositionVersion;
+use App\Models\StudioBrandComponent;
+use App\Support\StudioBrandComponentInstances;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Pushes a brand component master into every composition of its brand that places an instance of it.
+ * Runs across all compositions (private ones included) — the library is brand-wide, so an instance must not
+ * silently fall behind because its composition is someone else's draft.
+ *
+ * Each rewrite keeps the previous document as a version (restorable from History) and bumps the composition's
+ * `external_revision`; an editor autosaving against an older revision gets a 409 and re-syncs its instances.
+ */
+final class StudioBrandComponentPropagationService
+{
+    public function __construct(
+        protected StudioBrandComponentInstances $instances,
+    ) {}
+
+    /**
+     * @return list<string> ids of compositions whose document changed
+     */
+    public function propagate(StudioBrandComponent $component): array
+    {
+        $definition = is_array($component->definition_json) ? $component->definition_json : [];
+
+        return $this->rewriteLinkedCompositions(
+            $component,
+            'Before component update: '.$component->name,
+            fn (array $doc) => $this->instances->sync($doc, (string) $component->id, (int) $component->revision, $definition),
+        );
+    }
+
+    /**
+     * Unlink instances before the master is deleted; their layers stay in each composition.
+     *
+     * @return list<string>
+     */
+    public function detachEverywhere(StudioBrandComponent $component): array
+    {
+        return $this->rewriteLinkedCompositions(
+            $component,
+            'Before component deleted: '.$component->name,
+            fn (array $doc) => $this->instances->detach($doc, (string) $component->id),
+        );
+    }
+
+    /**
+     * @param  callable(array<string, mixed>): array{document: array<string, mixed>, updated: int}  $rewrite
+     * @return list<string>
+     */
+    private function rewriteLinkedCompositions(StudioBrandComponent $component, string $versionLabel, callable $rewrite): array
+    {
+        $componentId = (string) $component->id;
+        $updated = [];
+
+        Composition::query()
+            ->where('tenant_id', $component->tenant_id)
+            ->where('brand_id', $component->brand_id)
+            // Coarse text match on the stored JSON; the exact check happens on the decoded document.
+            ->where('document_json', 'like', '%"componentId":"'.$componentId.'"%')
+            ->chunkById(50, function ($compositions) use ($componentId, $versionLabel, $rewrite, &$updated): void {
+                foreach ($compositions as $composition) {
+                    $doc = is_array($composition->document_json) ? $composition->document_json : [];
+                    if (! $this->instances->documentLinksComponent($doc, $componentId)) {
+                        continue;
+                    }
+                    $out = $rewrite($doc);
+                    if ($out['updated'] === 0) {
+                        continue;
+                    }
+                    DB::transaction(function () use ($composition, $doc, $out, $versionLabel): void {
+                        CompositionVersion::query()->create([
+                            'composition_id' => $composition->id,
+                            'document_json' => $doc,
+                            'label' => mb_substr($versionLabel, 0, 255),
+                            'kind' => CompositionVersion::KIND_MANUAL,
+                            'created_at' => now(),
+                        ]);
+                        $composition->document_json = $out['document'];
+                        $composition->external_revision = (int) $composition->external_revision + 1;
+                        $composition->save();
+                    });
+                    $updated[] = (string) $composition->id;
+                }
+            });
+
+        return $updated;
+    }
+}
@@ -166,14 +166,107 @@ public function mergeToTempMp4(
         ];
     }
 
+    /**
+     * Encode the captured PNG sequence on its own (no base clip, silent). Used for keyframe-animated compositions
+     * without a video layer: the capture already holds every pixel, so there is nothing to composite onto.
+     *
+     * @param  array<string, mixed>  $manifest  capture-manifest.json (decoded)
+     * @return array{
+     *     ok: true,
+     *     local_mp4_path: string,
+     *     diagnostics: array<string, mixed>
+     * }|array{
+     *     ok: false,
+     *     diagnostics: array<string, mixed>
+     * }
+     */
+    public function encodeFrameSequenceToTempMp4(
+        string $workingDirectory,
+        array $manifest,
+        float $outputDurationSeconds,
+        int $canvasWidth,
+        int $canvasHeight,
+    ): array {
+        $started = microtime(true);
+        $ffmpeg = (string) config('studio_video.ffmpeg_binary', 'ffmpeg');
+        $timeout = max(30.0, (float) config('studio_video.canvas_runtime_merge_timeout_seconds', 3600));
+        $diag = array_merge($this->baseDiagnostics($ffmpeg, $workingDirectory, $manifest, $outputDurationSeconds, false), [
+            'merge_visual_policy' => 'png_sequence_only_no_base_video',
+        ]);
+
+        $v = $this->validateInputs($workingDirectory, $manifest, null, 0.0, $outputDurationSeconds, $canvasWidth, $canvasHeight);
+        if ($v !== null) {
+            return [
+                'ok' => false,
+                'diagnostics' => array_merge($diag, [
+                    'phase' => 'validation_failed',
+                    'validation' => $v,
+                ]),
+            ];
+        }
+
+        $fps = (int) $manifest['fps'];
+        $pattern = (string) $manifest['frame_filename_pattern'];
+        $seqPath = rtrim($workingDirectory, DIRECTORY_SEPARATOR).DIRECTORY_SEPARATOR.ltrim($pattern, DIRECTORY_SEPARATOR.'/\\');
+
+        $tmpOut = storage_path('app/tmp/studio-canvas-merge-'.bin2hex(random_bytes(8)).'.mp4');
+        @mkdir(dirname($tmpOut), 0775, true);
+
+        $argv = [
+            $ffmpeg, '-y',
+            '-framerate', (string) $fps,
+            '-start_number', '0',
+            '-i', $seqPath,
+            '-t', sprintf('%.6f', max(0.04, $outputDurationSeconds)),
+            '-vf', 'format=yuv420p',
+            '-an',
+            '-c:v', 'libx264',
+            '-preset', (string) config('studio_video.canvas_runtime_merge_x264_preset', 'veryfast'),
+            '-crf', (string) (int) config('studio_video.canvas_runtime_merge_x264_crf', 23),
+            '-pix_fmt', (string) config('studio_video.canvas_runtime_merge_pixel_format', 'yuv420p'),
+            '-movflags', '+faststart',
+            $tmpOut,
+        ];
+
+        $result = $this->ffmpegInvoker->run($argv, null, $timeout);
+        $exit = $result['exitCode'];
+        $diag = array_merge($diag, [
+            'exit_code' => $exit,
+            'encode_wall_clock_ms' => (int) round((microtime(true) - $started) * 1000),
+            'ffmpeg_argv_redacted' => $this->redactArgvForDiagnostics($argv, $workingDirectory, '', $tmpOut),
+            'filter_complex_summary' => 'png(framerate)+yuv420p',
+            'stderr_tail' => mb_substr($result['stderr'], -8000),
+            'stdout_tail' => mb_substr($result['stdout'], -2000),
+        ]);
+
+        if ($exit !== 0 || ! is_file($tmpOut) || filesize($tmpOut) < 32) {
+            @unlink($tmpOut);
+
+            return [
+                'ok' => false,
+                'diagnostics' => array_merge($diag, ['phase' => 'ffmpeg_failed']),
+            ];
+        }
+
+        return [
+            'ok' => true,
+            'local_mp4_path' => $tmpOut,
+            'diagnostics' => array_merge($diag, [
+                'phase' => 'complete',
+                'output_bytes' => filesize($tmpOut),
+            ]),
+        ];
+    }
+
     /**
      * @param  array<string, mixed>  $manifest
+     * @param  string|null  $baseVideoLocalPath  null for frames-only encodes
      * @return array<string, mixed>|null  error payload or null if ok
      */
     private function validateInputs(
         string $workingDirectory,
         array $manifest,
-        string $baseVideoLocalPath,
+        ?string $baseVideoLocalPath,
         float $trimInSeconds,
         float $outputDurationSeconds,
         int $canvasWidth,
@@ -182,7 +275,7 @@ private function validateInputs(
         if (! is_dir($workingDirectory)) {
             return ['code' => 'working_directory_missing', 'path' => $workingDirectory];
         }
-        if (! is_file($baseVideoLocalPath) || filesize($baseVideoLocalPath) < 32) {
+        if ($baseVideoLocalPath !== null && (! is_file($baseVideoLocalPath) || filesize($baseVideoLocalPath) < 32)) {
             return ['code' => 'base_video_local_missing', 'path' => $baseVideoLocalPath];
         }
         if ($canvasWidth < 2 || $canvasHeight < 2) {
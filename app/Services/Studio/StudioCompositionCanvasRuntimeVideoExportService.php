@@ -20,6 +20,7 @@
 /**
  * Canvas-runtime composition export: signed internal render URL → Playwright PNG sequence → FFmpeg merge
  * over the legacy-trimmed base video → MP4 publish (same durable path as {@see StudioCompositionVideoExportService}).
+ * Keyframe-animated compositions without a video layer encode the PNG sequence on its own.
  */
 final class StudioCompositionCanvasRuntimeVideoExportService
 {
@@ -379,6 +380,11 @@ private function performMergeAndPublishPhase(
         $h = (int) ($doc['height'] ?? 0);
         $layers = is_array($doc['layers'] ?? null) ? $doc['layers'] : [];
         $videoLayer = StudioCompositionVideoExportMediaHelper::selectPrimaryVideoLayer($layers);
+        if ($videoLayer === null && $w >= 2 && $h >= 2 && StudioCompositionFfmpegNativeFeaturePolicy::documentHasKeyframeAnimation($doc)) {
+            $this->performFramesOnlyPublishPhase($row, $composition, $tenant, $user, $doc, $manifest, $workDir, $metaAfterCapture, $repairClassification);
+
+            return;
+        }
         if ($videoLayer === null || $w < 2 || $h < 2) {
             $this->failMerge($row, $metaAfterCapture, $workDir, 'canvas_runtime_merge_no_video_layer', 'Composition needs a valid canvas and primary video layer for merge (legacy export rules).', [
                 'canvas_width' => $w,
@@ -481,80 +487,166 @@ private function performMergeAndPublishPhase(
                 'canvas_runtime_manifest_fps' => (int) ($manifest['fps'] ?? 0),
             ];
 
-            try {
-                $published = $this->mp4Publisher->publish($row, $composition, $tenant, $user, $tmpOut, $w, $h, $technical);
-            } catch (Throwable $e) {
-                if (is_string($tmpOut) && $tmpOut !== '' && is_file($tmpOut)) {
-                    @unlink($tmpOut);
-                }
-                $this->failMerge($row, $metaAfterCapture, $workDir, 'canvas_runtime_publish_failed', 'MP4 publish step failed after merge.', [
-                    'exception_class' => $e::class,
-                    'message' => $e->getMessage(),
-                ]);
+            $this->publishMergedMp4($row, $composition, $tenant, $user, $workDir, $metaAfterCapture, $repairClassification, $tmpOut, $merge, $technical, $w, $h);
+        } catch (Throwable $e) {
+            if (is_string($tmpOut) && $tmpOut !== '' && is_file($tmpOut)) {
+                @unlink($tmpOut);
+            }
+            $this->failMerge($row, $metaAfterCapture, $workDir, 'canvas_runtime_merge_exception', $e->getMessage(), [
+                'exception_class' => $e::class,
+            ]);
+        } finally {
+            if (is_file($tmpBase)) {
+                @unlink($tmpBase);
+            }
+        }
+    }
 
-                return;
+    /**
+     * Publish the encoded MP4 and record the final job state (shared by the base-video merge and frames-only paths).
+     *
+     * @param  array<string, mixed>  $metaAfterCapture
+     * @param  array<string, mixed>  $merge  merger result
+     * @param  array<string, mixed>  $technical
+     */
+    private function publishMergedMp4(
+        StudioCompositionVideoExportJob $row,
+        Composition $composition,
+        Tenant $tenant,
+        User $user,
+        string $workDir,
+        array $metaAfterCapture,
+        ?string $repairClassification,
+        string $tmpOut,
+        array $merge,
+        array $technical,
+        int $w,
+        int $h,
+    ): void {
+        try {
+            $published = $this->mp4Publisher->publish($row, $composition, $tenant, $user, $tmpOut, $w, $h, $technical);
+        } catch (Throwable $e) {
+            if (is_string($tmpOut) && $tmpOut !== '' && is_file($tmpOut)) {
+                @unlink($tmpOut);
             }
+            $this->failMerge($row, $metaAfterCapture, $workDir, 'canvas_runtime_publish_failed', 'MP4 publish step failed after merge.', [
+                'exception_class' => $e::class,
+                'message' => $e->getMessage(),
+            ]);
 
-            @unlink($tmpOut);
+            return;
+        }
 
-            $mergeDiag = is_array($merge['diagnostics'] ?? null) ? $merge['diagnostics'] : [];
+        @unlink($tmpOut);
 
-            $pngCleanup = (bool) config('studio_video.canvas_runtime_merge_delete_png_frames_after_success', false);
+        $mergeDiag = is_array($merge['diagnostics'] ?? null) ? $merge['diagnostics'] : [];
 
-            $retention = [
-                'schema' => 'studio_canvas_runtime_retention_v1',
-                'working_directory' => $workDir,
-                'png_frames_deleted_after_success' => false,
-                'manifest_and_capture_diagnostics_retained_in_meta_json' => true,
-                'on_failure_working_directory_retained' => true,
-                'policy_note' => (string) config('studio_video.canvas_runtime_retention_policy_note', ''),
-            ];
+        $pngCleanup = (bool) config('studio_video.canvas_runtime_merge_delete_png_frames_after_success', false);
 
-            $captureBlock = array_merge(
-                is_array($metaAfterCapture['canvas_runtime_capture'] ?? null) ? $metaAfterCapture['canvas_runtime_capture'] : [],
-                [
-                    'phase' => 'complete',
-                    'ffmpeg_merge_pending' => false,
-                ]
-            );
+        $retention = [
+            'schema' => 'studio_canvas_runtime_retention_v1',
+            'working_directory' => $workDir,
+            'png_frames_deleted_after_success' => false,
+            'manifest_and_capture_diagnostics_retained_in_meta_json' => true,
+            'on_failure_working_directory_retained' => true,
+            'policy_note' => (string) config('studio_video.canvas_runtime_retention_policy_note', ''),
+        ];
 
-            $finalMeta = array_merge($metaAfterCapture, $published['technical'], [
-                'canvas_runtime_merge_diagnostics' => $mergeDiag,
-                'canvas_runtime_capture' => $captureBlock,
-                'canvas_runtime_retention' => $retention,
-            ]);
+        $captureBlock = array_merge(
+            is_array($metaAfterCapture['canvas_runtime_capture'] ?? null) ? $metaAfterCapture['canvas_runtime_capture'] : [],
+            [
+                'phase' => 'complete',
+                'ffmpeg_merge_pending' => false,
+            ]
+        );
 
-            if ($repairClassification !== null) {
-                $finalMeta['canvas_runtime_repair'] = [
-                    'schema' => 'studio_canvas_runtime_repair_v1',
-                    'repaired_at' => now()->toIso8601String(),
-                    'repair_classification' => $repairClassification,
-                    'repair_context' => 'merge_only_repair',
-                ];
+        $finalMeta = array_merge($metaAfterCapture, $published['technical'], [
+            'canvas_runtime_merge_diagnostics' => $mergeDiag,
+            'canvas_runtime_capture' => $captureBlock,
+            'canvas_runtime_retention' => $retention,
+        ]);
+
+        if ($repairClassification !== null) {
+            $finalMeta['canvas_runtime_repair'] = [
+                'schema' => 'studio_canvas_runtime_repair_v1',
+                'repaired_at' => now()->toIso8601String(),
+                'repair_classification' => $repairClassification,
+                'repair_context' => 'merge_only_repair',
+            ];
+        }
+
+        $row->update([
+            'status' => StudioCompositionVideoExportJob::STATUS_COMPLETE,
+            'error_json' => null,
+            'meta_json' => $finalMeta,
+            'output_asset_id' => $published['asset']->id,
+        ]);
+
+        if ($pngCleanup) {
+            $this->deleteCapturedPngFrames($workDir);
+            $row->refresh();
+            $m = is_array($row->meta_json) ? $row->meta_json : [];
+            if (isset($m['canvas_runtime_retention']) && is_array($m['canvas_runtime_retention'])) {
+                $m['canvas_runtime_retention']['png_frames_deleted_after_success'] = true;
+                $row->update(['meta_json' => $m]);
             }
+        }
 
-            $row->update([
-                'status' => StudioCompositionVideoExportJob::STATUS_COMPLETE,
-                'error_json' => null,
-                'meta_json' => $finalMeta,
-                'output_asset_id' => $published['asset']->id,
-            ]);
+        Log::info('[StudioCompositionCanvasRuntimeVideoExportService] merge and publish complete', [
+            'export_job_id' => $row->id,
+            'output_asset_id' => $published['asset']->id,
+            'repair' => $repairClassification !== null,
+        ]);
+    }
 
-            if ($pngCleanup) {
-                $this->deleteCapturedPngFrames($workDir);
-                $row->refresh();
-                $m = is_array($row->meta_json) ? $row->meta_json : [];
-                if (isset($m['canvas_runtime_retention']) && is_array($m['canvas_runtime_retention'])) {
-                    $m['canvas_runtime_retention']['png_frames_deleted_after_success'] = true;
-                    $row->update(['meta_json' => $m]);
-                }
+    /**
+     * Keyframe-animated compositions without a video layer: the captured frames are the whole picture, so they
+     * are encoded on their own (silent) at the composition length.
+     *
+     * @param  array<string, mixed>  $doc
+     * @param  array<string, mixed>  $manifest
+     * @param  array<string, mixed>  $metaAfterCapture
+     */
+    private function performFramesOnlyPublishPhase(
+        StudioCompositionVideoExportJob $row,
+        Composition $composition,
+        Tenant $tenant,
+        User $user,
+        array $doc,
+        array $manifest,
+        string $workDir,
+        array $metaAfterCapture,
+        ?string $repairClassification,
+    ): void {
+        $w = (int) ($doc['width'] ?? 0);
+        $h = (int) ($doc['height'] ?? 0);
+        $durationMs = max(0, (int) ($manifest['duration_ms'] ?? 0));
+        $outDurS = $durationMs / 1000.0;
+        $tmpOut = null;
+
+        try {
+            $merge = $this->merger->encodeFrameSequenceToTempMp4($workDir, $manifest, $outDurS, $w, $h);
+            if (! $merge['ok'] || ! isset($merge['local_mp4_path'])) {
+                $this->failMerge($row, $metaAfterCapture, $workDir, 'canvas_runtime_merge_ffmpeg_failed', 'FFmpeg encode of the captured frames failed or produced no output.', [
+                    'merge_diagnostics' => $merge['diagnostics'] ?? [],
+                ]);
+
+                return;
             }
+            $tmpOut = (string) $merge['local_mp4_path'];
 
-            Log::info('[StudioCompositionCanvasRuntimeVideoExportService] merge and publish complete', [
-                'export_job_id' => $row->id,
-                'output_asset_id' => $published['asset']->id,
-                'repair' => $repairClassification !== null,
-            ]);
+            $technical = [
+                'export_render_mode' => StudioCompositionVideoExportRenderMode::CANVAS_RUNTIME->value,
+                'include_audio' => false,
+                'audio_muxed' => false,
+                'ffmpeg_command_summary' => 'canvas_runtime: png sequence only (keyframe animation, no base video) + libx264',
+                'output_duration_cap_s' => $outDurS,
+                'composition_duration_ms' => $durationMs > 0 ? $durationMs : null,
+                'canvas_runtime_captured_frames' => (int) ($manifest['total_captured_frames'] ?? 0),
+                'canvas_runtime_manifest_fps' => (int) ($manifest['fps'] ?? 0),
+            ];
+
+            $this->publishMergedMp4($row, $composition, $tenant, $user, $workDir, $metaAfterCapture, $repairClassification, $tmpOut, $merge, $technical, $w, $h);
         } catch (Throwable $e) {
             if (is_string($tmpOut) && $tmpOut !== '' && is_file($tmpOut)) {
                 @unlink($tmpOut);
@@ -562,10 +654,6 @@ private function performMergeAndPublishPhase(
             $this->failMerge($row, $metaAfterCapture, $workDir, 'canvas_runtime_merge_exception', $e->getMessage(), [
                 'exception_class' => $e::class,
             ]);
-        } finally {
-            if (is_file($tmpBase)) {
-                @unlink($tmpBase);
-            }
         }
     }
 
@@ -29,6 +29,25 @@ public static function unsupportedCodes(Composition $composition): array
             if ($type === 'mask') {
                 $codes[] = 'mask_layer';
             }
+            // Vector shapes are SVG in the browser renderer; FFmpeg V1 has no drawing path for them.
+            if ($type === 'shape') {
+                $codes[] = 'shape_layer';
+            }
+            // Image adjustments (tone / blur / duotone / crop) are CSS + SVG filters in the browser renderer.
+            if ($type === 'image' && is_array($ly['adjustments'] ?? null) && $ly['adjustments'] !== []) {
+                $codes[] = 'image_adjustments';
+            }
+            if (($type === 'text' || $type === 'fill') && self::hasEnabledEffects($ly['effects'] ?? null)) {
+                $codes[] = 'layer_effects';
+            }
+            // The server text rasterizer draws `content` in one style; span styling and list markers need the browser.
+            if ($type === 'text' && self::hasRichText($ly)) {
+                $codes[] = 'rich_text';
+            }
+            // Keyframes are sampled per frame by the shared browser scene; V1 overlays are static.
+            if (self::layerHasKeyframeAnimation($ly)) {
+                $codes[] = 'keyframe_animation';
+            }
             $blend = strtolower(trim((string) ($ly['blendMode'] ?? $ly['blend_mode'] ?? 'normal')));
             if ($blend === '') {
                 $blend = 'normal';
@@ -43,6 +62,88 @@ public static function unsupportedCodes(Composition $composition): array
         return array_values(array_unique($codes));
     }
 
+    /**
+     * Drop shadow / glow / inner shadow entries; disabled ones keep their settings but don't render.
+     */
+    private static function hasEnabledEffects(mixed $effects): bool
+    {
+        if (! is_array($effects)) {
+            return false;
+        }
+        foreach (['dropShadow', 'outerGlow', 'innerShadow'] as $kind) {
+            $e = $effects[$kind] ?? null;
+            if (is_array($e) && ($e['enabled'] ?? true) !== false) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * True when any track of the layer's `animation` holds at least one keyframe.
+     *
+     * @param  array<string, mixed>  $layer
+     */
+    public static function layerHasKeyframeAnimation(array $layer): bool
+    {
+        $tracks = is_array($layer['animation'] ?? null) ? ($layer['animation']['tracks'] ?? null) : null;
+        if (! is_array($tracks)) {
+            return false;
+        }
+        foreach (['x', 'y', 'scale', 'rotation', 'opacity'] as $prop) {
+            if (is_array($tracks[$prop] ?? null) && $tracks[$prop] !== []) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Visible, animated layers anywhere in the document (drives video publish for documents without a clip).
+     *
+     * @param  array<string, mixed>  $document
+     */
+    public static function documentHasKeyframeAnimation(array $document): bool
+    {
+        foreach (is_array($document['layers'] ?? null) ? $document['layers'] : [] as $ly) {
+            if (is_array($ly) && ($ly['visible'] ?? true) !== false && self::layerHasKeyframeAnimation($ly)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * @param  array<string, mixed>  $layer
+     */
+    private static function hasRichText(array $layer): bool
+    {
+        $list = is_array($layer['style'] ?? null) ? ($layer['style']['listStyle'] ?? null) : null;
+        if ($list === 'bullet' || $list === 'number') {
+            return true;
+        }
+        foreach (is_array($layer['runs'] ?? null) ? $layer['runs'] : [] as $run) {
+            if (! is_array($run)) {
+                continue;
+            }
+            foreach (['bold', 'italic', 'underline'] as $flag) {
+                if (($run[$flag] ?? false) === true) {
+                    return true;
+                }
+            }
+            foreach (['color', 'fontFamily'] as $key) {
+                if (is_string($run[$key] ?? null) && trim($run[$key]) !== '') {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
     public static function isSupported(Composition $composition): bool
     {
         return self::unsupportedCodes($composition) === [];
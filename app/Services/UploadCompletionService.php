@@ -10,7 +10,9 @@
 use App\Events\AssetProcessingCompleteEvent;
 use App\Events\AssetUploaded;
 use App\Exceptions\UploadContentRejectedException;
+use App\Jobs\VerifyAssetVersionContentHashJob;
 use App\Models\Asset;
+use App\Models\AssetVersion;
 use App\Models\Brand;
 use App\Models\Category;
 use App\Models\Tenant;
@@ -542,9 +544,11 @@ public function complete(
                 'width' => null,
                 'height' => null,
                 'checksum' => $fileInfo['checksum'] ?? hash('sha256', $uploadSession->id.$fileInfo['size_bytes']),
+                'content_sha256' => $uploadSession->content_sha256,
             ];
-            $versionService->createVersion($asset, $fileMeta, $userId ? (string) $userId : null, null, null);
+            $version = $versionService->createVersion($asset, $fileMeta, $userId ? (string) $userId : null, null, null);
             $asset->update(['storage_root_path' => $versionedPath]);
+            $this->dispatchContentHashVerification($version);
 
             // 🚨 GUARDRAIL: Verify category_id persisted if it was provided
             // Note: In race condition (duplicate asset), the other request may have different metadata,
@@ -1283,6 +1287,18 @@ protected function getFileInfoFromS3(UploadSession $uploadSession, ?string $s3Ke
         }
     }
 
+    /**
+     * Queue server-side verification of the client SHA-256 sent with finalize (no-op without one).
+     */
+    protected function dispatchContentHashVerification(AssetVersion $version): void
+    {
+        if (! $version->content_sha256 || ! config('assets.upload_content_hash.verify', true)) {
+            return;
+        }
+
+        VerifyAssetVersionContentHashJob::dispatch($version->id)->afterCommit();
+    }
+
     /**
      * Copy file from temp upload location to versioned path.
      * Phase 2B: tenants/{tenant_uuid}/assets/{asset_uuid}/v{n}/original.{ext}
@@ -1979,8 +1995,10 @@ protected function completeReplaceWithVersion(
             'width' => null,
             'height' => null,
             'checksum' => $fileInfo['checksum'] ?? hash('sha256', $uploadSession->id.$fileInfo['size_bytes']),
+            'content_sha256' => $uploadSession->content_sha256,
         ];
         $newVersion = $versionService->createVersion($asset, $fileMeta, $userId ? (string) $userId : null, $comment, null);
+        $this->dispatchContentHashVerification($newVersion);
 
         // Minimal asset updates: reset processing state. Do NOT set mime_type/width/height (derive from currentVersion).
         // Do NOT mutate storage_root_path during processing (ProcessAssetJob); set here for legacy/display.
@@ -2206,9 +2224,14 @@ protected function completeReplaceInPlace(
                 $asset->mime_type = $fileInfo['mime_type'];
             }
 
+            // In-place replace keeps the version row, so its fingerprint must follow the new bytes.
             $currentVersion = $asset->currentVersion;
-            if ($currentVersion && $currentVersion->file_path !== $destPath) {
-                $currentVersion->update(['file_path' => $destPath]);
+            if ($currentVersion) {
+                $currentVersion->update([
+                    'file_path' => $destPath,
+                    'content_sha256' => $uploadSession->content_sha256,
+                ]);
+                $this->dispatchContentHashVerification($currentVersion);
             }
 
             $userForReplace = $userId ? User::find($userId) : null;
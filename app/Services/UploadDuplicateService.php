@@ -0,0 +1,69 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\AssetVersion;
+use App\Models\Brand;
+use App\Models\Tenant;
+use App\Models\User;
+use Illuminate\Support\Facades\Gate;
+
+/**
+ * Duplicate detection for Add Asset: match browser-computed SHA-256 fingerprints against
+ * asset_versions.content_sha256 before any bytes are uploaded.
+ *
+ * Scoped to the brand being uploaded into and to assets the user may view; trashed assets
+ * and versions never match. Size must match too, so a stray hash collision on a
+ * client-reported value cannot point at an unrelated file.
+ */
+class UploadDuplicateService
+{
+    /** Matches returned per file (newest first). */
+    public const MAX_MATCHES_PER_FILE = 3;
+
+    /**
+     * @param  array<int, array{client_file_id: string, sha256: string, size: int}>  $files
+     * @return array<string, array<int, array<string, mixed>>> keyed by client_file_id; files without a match are omitted
+     */
+    public function findDuplicates(Tenant $tenant, Brand $brand, User $user, array $files): array
+    {
+        $hashes = array_values(array_unique(array_map(fn ($f) => strtolower($f['sha256']), $files)));
+        if ($hashes === []) {
+            return [];
+        }
+
+        $versions = AssetVersion::query()
+            ->whereIn('content_sha256', $hashes)
+            ->whereHas('asset', fn ($q) => $q->where('tenant_id', $tenant->id)->where('brand_id', $brand->id))
+            ->with('asset')
+            ->orderByDesc('created_at')
+            ->get()
+            ->filter(fn (AssetVersion $v) => $v->asset && Gate::forUser($user)->allows('view', $v->asset));
+
+        $out = [];
+        foreach ($files as $file) {
+            $sha256 = strtolower($file['sha256']);
+            $matches = $versions
+                ->filter(fn (AssetVersion $v) => $v->content_sha256 === $sha256 && (int) $v->file_size === (int) $file['size'])
+                ->unique('asset_id')
+                ->take(self::MAX_MATCHES_PER_FILE)
+                ->map(fn (AssetVersion $v) => [
+                    'asset_id' => $v->asset_id,
+                    'title' => $v->asset->title,
+                    'original_filename' => $v->asset->original_filename,
+                    'version_id' => $v->id,
+                    'version_number' => $v->version_number,
+                    'is_current' => (bool) $v->is_current,
+                    'uploaded_at' => $v->created_at?->toIso8601String(),
+                ])
+                ->values()
+                ->all();
+
+            if ($matches !== []) {
+                $out[$file['client_file_id']] = $matches;
+            }
+        }
+
+        return $out;
+    }
+}
@@ -205,6 +205,7 @@ public function initiate(
      * @param int $fileSize
      * @param string|null $mimeType
      * @param string|null $clientReference Optional client reference UUID for frontend mapping
+     * @param bool $paced Client caps its upload bandwidth (see determineUploadType)
      * @return array{upload_session_id: string, client_reference: string|null, upload_type: string, upload_url: string|null, multipart_upload_id: string|null, chunk_size: int|null, expires_at: string}
      * @throws PlanLimitExceededException
      * @throws \Exception
@@ -216,7 +217,8 @@ public function initiateReplace(
         string $fileName,
         int $fileSize,
         ?string $mimeType = null,
-        ?string $clientReference = null
+        ?string $clientReference = null,
+        bool $paced = false
     ): array {
         // Validate plan limits
         $this->validatePlanLimits($tenant, $fileSize);
@@ -236,7 +238,7 @@ public function initiateReplace(
         $bucket = $this->getOrProvisionBucket($tenant);
 
         // Determine upload type
-        $uploadType = $this->determineUploadType($fileSize);
+        $uploadType = $this->determineUploadType($fileSize, $paced);
 
         // Calculate expiration time
         $expiresAt = now()->addMinutes(self::DEFAULT_EXPIRATION_MINUTES);
@@ -312,13 +314,15 @@ public function initiateReplace(
      * @param Brand|null $brand
      * @param array<array{file_name: string, file_size: int, mime_type: string|null, client_reference: string|null}> $files
      * @param string|null $batchReference Optional batch-level correlation ID for grouping/debugging/analytics
+     * @param bool $paced Client caps its upload bandwidth (see determineUploadType)
      * @return array<array{upload_session_id: string, client_reference: string|null, batch_reference: string|null, upload_session_status: string, upload_type: string, upload_url: string|null, multipart_upload_id: string|null, chunk_size: int|null, expires_at: string, error: string|null}>
      */
     public function initiateBatch(
         Tenant $tenant,
         ?Brand $brand,
         array $files,
-        ?string $batchReference = null
+        ?string $batchReference = null,
+        bool $paced = false
     ): array {
         $results = [];
 
@@ -370,7 +374,7 @@ public function initiateBatch(
                 $this->validatePlanLimits($tenant, $file['file_size']);
 
                 // Determine upload type
-                $uploadType = $this->determineUploadType($file['file_size']);
+                $uploadType = $this->determineUploadType($file['file_size'], $paced);
 
                 // Calculate expiration time
                 $expiresAt = now()->addMinutes(self::DEFAULT_EXPIRATION_MINUTES);
@@ -687,12 +691,18 @@ protected function getOrProvisionBucket(Tenant $tenant): StorageBucket
     /**
      * Determine upload type based on file size.
      *
+     * A paced (bandwidth-capped) client cannot slow a single PUT down once it has started, so anything larger
+     * than one minimum-size S3 part goes multipart and is paced part by part instead.
+     *
      * @param int $fileSize
+     * @param bool $paced
      * @return UploadType
      */
-    protected function determineUploadType(int $fileSize): UploadType
+    protected function determineUploadType(int $fileSize, bool $paced = false): UploadType
     {
-        return $fileSize > self::MULTIPART_THRESHOLD
+        $threshold = $paced ? MultipartUploadService::MIN_PART_SIZE : self::MULTIPART_THRESHOLD;
+
+        return $fileSize > $threshold
             ? UploadType::CHUNKED
             : UploadType::DIRECT;
     }
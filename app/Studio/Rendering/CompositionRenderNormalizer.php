@@ -162,6 +162,7 @@ public function buildOverlayPlan(
                 if (! in_array($textAlign, ['left', 'center', 'right'], true)) {
                     $textAlign = 'left';
                 }
+                $direction = ($style['direction'] ?? null) === 'rtl' ? 'rtl' : 'ltr';
                 $extra = [
                     'content' => $textBody,
                     'font_family' => $fontFamily,
@@ -170,6 +171,7 @@ public function buildOverlayPlan(
                     'color' => $color,
                     'line_height' => $lineHeight,
                     'text_align' => $textAlign,
+                    'direction' => $direction,
                 ];
                 $extra = StudioTextLayerFontExtras::mergeFromDocumentLayer($ly, $extra);
                 $extra['blend_mode'] = $blendModeNorm;
@@ -60,6 +60,7 @@ public function rasterizeToPath(
         if (! in_array($align, ['left', 'center', 'right'], true)) {
             $align = 'left';
         }
+        $rtl = ($layer->extra['direction'] ?? 'ltr') === 'rtl';
 
         $fontDebug = array_merge($resolved->debug, [
             'resolved_font_source' => $resolved->source,
@@ -77,6 +78,7 @@ public function rasterizeToPath(
             'c' => $color,
             'lh' => $lineHeight,
             'a' => $align,
+            'rtl' => $rtl,
             'font_debug' => $fontDebug,
         ];
         $hash = hash('sha256', json_encode($spec, JSON_THROW_ON_ERROR));
@@ -93,9 +95,9 @@ public function rasterizeToPath(
 
         try {
             if (class_exists(\Imagick::class)) {
-                $png = $this->rasterizeImagick($w, $h, $content, $fontPath, $fontSize, $color, $lineHeight, $align);
+                $png = $this->rasterizeImagick($w, $h, $content, $fontPath, $fontSize, $color, $lineHeight, $align, $rtl);
             } elseif (function_exists('imagecreatetruecolor') && function_exists('imagettftext')) {
-                $png = $this->rasterizeGd($w, $h, $content, $fontPath, $fontSize, $color, $lineHeight, $align);
+                $png = $this->rasterizeGd($w, $h, $content, $fontPath, $fontSize, $color, $lineHeight, $align, $rtl);
             } else {
                 throw new StudioFontResolutionException(
                     'rasterizer_missing_imagick_and_gd',
@@ -170,6 +172,7 @@ private function rasterizeImagick(
         string $colorCss,
         float $lineHeight,
         string $align,
+        bool $rtl,
     ): string {
         $img = new \Imagick;
         $img->newImage($w, $h, new \ImagickPixel('transparent'));
@@ -179,6 +182,10 @@ private function rasterizeImagick(
         $draw->setFontSize((float) $fontSize);
         $draw->setFillColor($this->imagickPixelFromCss($colorCss));
         $draw->setTextAntialias(true);
+        if ($rtl && method_exists($draw, 'setTextDirection')) {
+            // Bidi + shaping happen inside ImageMagick (needs a raqm-enabled build).
+            $draw->setTextDirection(\Imagick::DIRECTION_RIGHT_TO_LEFT);
+        }
 
         $lines = $this->wrapLines($text, $fontPath, $fontSize, $w - 8);
         $linePx = max((int) round($fontSize * $lineHeight), $fontSize + 2);
@@ -249,6 +256,7 @@ private function rasterizeGd(
         string $colorCss,
         float $lineHeight,
         string $align,
+        bool $rtl,
     ): string {
         $im = imagecreatetruecolor($w, $h);
         if ($im === false) {
@@ -266,6 +274,9 @@ private function rasterizeGd(
         $y0 = (int) max($fontSize, round(($h - $blockH) / 2 + $fontSize * 0.75));
         $y = $y0;
         foreach ($lines as $line) {
+            if ($rtl) {
+                $line = $this->visualOrderRtl($line);
+            }
             $bbox = imagettfbbox((float) $fontSize, 0.0, $fontPath, $line);
             $tw = $bbox !== false ? abs(($bbox[2] ?? 0) - ($bbox[0] ?? 0)) : 0;
             $x = match ($align) {
@@ -284,6 +295,22 @@ private function rasterizeGd(
         return $png;
     }
 
+    /**
+     * GD draws code points left to right with no bidi pass: reverse the line so right-to-left script reads
+     * correctly, keeping runs of digits and Latin (numbers, product names) in their own order. No contextual
+     * shaping — joined scripts (Arabic) come out in isolated forms; Imagick with raqm is needed for those.
+     */
+    private function visualOrderRtl(string $line): string
+    {
+        $runs = preg_split('/([0-9A-Za-z][0-9A-Za-z.,:%\/\-]*)/u', $line, -1, PREG_SPLIT_DELIM_CAPTURE | PREG_SPLIT_NO_EMPTY) ?: [];
+        $out = [];
+        foreach (array_reverse($runs) as $run) {
+            $out[] = preg_match('/^[0-9A-Za-z]/', $run) ? $run : implode('', array_reverse(mb_str_split($run)));
+        }
+
+        return implode('', $out);
+    }
+
     private function imagickPixelFromCss(string $css): \ImagickPixel
     {
         $rgb = $this->parseRgb($css);
@@ -0,0 +1,427 @@
+<?php
+
+namespace App\Support;
+
+use Illuminate\Support\Str;
+
+/**
+ * Server-side mirror of {@code resources/js/utils/studioBrandComponents.mjs}: re-materializes linked brand
+ * component instances inside a Studio {@code document_json} when the master changes.
+ *
+ * An instance is a document group with {@code component: {componentId, revision, base}}; members carry
+ * {@code componentLayerId}. Text content and colors that differ from {@code base} are per-instance overrides
+ * and survive the sync; everything else (geometry, styling, structure) follows the master.
+ *
+ * A multi-artboard document keeps the active board's content at the top level and every other board's in
+ * {@code artboards[*].layers / groups}; all of them are walked (as {@see StudioCompositionLocalizer} does).
+ */
+final class StudioBrandComponentInstances
+{
+    /** Mirrors {@code COMPONENT_LAYERS_MAX} in {@code studioBrandComponents.mjs}. */
+    public const LAYERS_MAX = 40;
+
+    /** @var list<string> */
+    public const KINDS = ['logo', 'cta', 'disclaimer', 'other'];
+
+    /**
+     * True when the document links at least one instance of the component (cheap pre-check for propagation).
+     *
+     * @param  array<string, mixed>  $document
+     */
+    public function documentLinksComponent(array $document, string $componentId): bool
+    {
+        $boards = [$document];
+        foreach (is_array($document['artboards'] ?? null) ? $document['artboards'] : [] as $board) {
+            if (is_array($board)) {
+                $boards[] = $board;
+            }
+        }
+        foreach ($boards as $board) {
+            foreach ($this->groups($board) as $group) {
+                if ($this->linkedComponentId($group) === $componentId) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Bring every instance of the component up to {@code $revision}.
+     *
+     * @param  array<string, mixed>  $document
+     * @param  array{width?: mixed, height?: mixed, layers?: mixed}  $definition
+     * @return array{document: array<string, mixed>, updated: int}
+     */
+    public function sync(array $document, string $componentId, int $revision, array $definition): array
+    {
+        return $this->mapBoards($document, function (array $board) use ($componentId, $revision, $definition): array {
+            $updated = 0;
+            foreach ($this->groups($board) as $group) {
+                if ($this->linkedComponentId($group) !== $componentId) {
+                    continue;
+                }
+                $link = $group['component'];
+                if ((int) ($link['revision'] ?? 0) === $revision) {
+                    continue;
+                }
+                $board = $this->replaceInstance($board, (string) $group['id'], $componentId, $revision, $definition, $link);
+                $updated++;
+            }
+
+            return ['document' => $board, 'updated' => $updated];
+        });
+    }
+
+    /**
+     * Unlink every instance of the component (used when the master is deleted); layers and groups stay.
+     *
+     * @param  array<string, mixed>  $document
+     * @return array{document: array<string, mixed>, updated: int}
+     */
+    public function detach(array $document, string $componentId): array
+    {
+        return $this->mapBoards($document, function (array $board) use ($componentId): array {
+            $groupIds = [];
+            $groups = [];
+            foreach ($this->groups($board) as $group) {
+                if ($this->linkedComponentId($group) === $componentId) {
+                    $groupIds[(string) $group['id']] = true;
+                    unset($group['component']);
+                }
+                $groups[] = $group;
+            }
+            if ($groupIds === []) {
+                return ['document' => $board, 'updated' => 0];
+            }
+            $layers = [];
+            foreach ($this->layers($board) as $layer) {
+                if (isset($groupIds[(string) ($layer['groupId'] ?? '')])) {
+                    unset($layer['componentLayerId']);
+                }
+                $layers[] = $layer;
+            }
+            $board['groups'] = $groups;
+            $board['layers'] = $layers;
+
+            return ['document' => $board, 'updated' => count($groupIds)];
+        });
+    }
+
+    /**
+     * Validate a client-submitted master definition; returns null when it is not usable.
+     *
+     * @param  mixed  $definition
+     * @return array{width: float, height: float, layers: list<array<string, mixed>>}|null
+     */
+    public function normalizeDefinition(mixed $definition): ?array
+    {
+        if (! is_array($definition) || ! isset($definition['layers']) || ! is_array($definition['layers'])) {
+            return null;
+        }
+        $layers = array_values($definition['layers']);
+        if ($layers === [] || count($layers) > self::LAYERS_MAX) {
+            return null;
+        }
+        $seen = [];
+        foreach ($layers as $layer) {
+            if (! is_array($layer) || ! is_string($layer['id'] ?? null) || $layer['id'] === '' || ! is_string($layer['type'] ?? null)) {
+                return null;
+            }
+            if (isset($seen[$layer['id']]) || ! $this->hasBox($layer)) {
+                return null;
+            }
+            $seen[$layer['id']] = true;
+        }
+
+        return [
+            'width' => (float) ($definition['width'] ?? 0),
+            'height' => (float) ($definition['height'] ?? 0),
+            'layers' => $layers,
+        ];
+    }
+
+    /**
+     * Apply {@code $fn} to the top-level (active) board and to each inactive board in {@code artboards}; every
+     * board has its own {@code layers}, {@code groups} and z-order.
+     *
+     * @param  array<string, mixed>  $document
+     * @param  callable(array<string, mixed>): array{document: array<string, mixed>, updated: int}  $fn
+     * @return array{document: array<string, mixed>, updated: int}
+     */
+    private function mapBoards(array $document, callable $fn): array
+    {
+        ['document' => $document, 'updated' => $updated] = $fn($document);
+        if (is_array($document['artboards'] ?? null)) {
+            foreach ($document['artboards'] as $i => $board) {
+                if (! is_array($board) || empty($board['groups'])) {
+                    continue;
+                }
+                $result = $fn($board);
+                $document['artboards'][$i] = $result['document'];
+                $updated += $result['updated'];
+            }
+        }
+
+        return ['document' => $document, 'updated' => $updated];
+    }
+
+    /**
+     * @param  array<string, mixed>  $document  A board: the document itself or one of its {@code artboards}
+     * @param  array<string, mixed>  $definition
+     * @param  array<string, mixed>  $link
+     * @return array<string, mixed>
+     */
+    private function replaceInstance(array $document, string $groupId, string $componentId, int $revision, array $definition, array $link): array
+    {
+        $allLayers = $this->layers($document);
+        $members = array_values(array_filter($allLayers, fn (array $l) => (string) ($l['groupId'] ?? '') === $groupId));
+        $base = is_array($link['base'] ?? null) ? $link['base'] : [];
+        $frame = $this->frame($members, $base);
+
+        $existingByMaster = [];
+        foreach ($members as $m) {
+            if (is_string($m['componentLayerId'] ?? null) && $m['componentLayerId'] !== '') {
+                $existingByMaster[$m['componentLayerId']] = $m;
+            }
+        }
+
+        $masterLayers = is_array($definition['layers'] ?? null) ? array_values($definition['layers']) : [];
+        usort($masterLayers, fn (array $a, array $b) => ((float) ($a['z'] ?? 0)) <=> ((float) ($b['z'] ?? 0)));
+
+        $nextBase = [];
+        $instanceLayers = [];
+        foreach ($masterLayers as $master) {
+            $masterId = (string) $master['id'];
+            $t = $master['transform'];
+            $nextBase[$masterId] = array_merge(
+                ['x' => $t['x'], 'y' => $t['y'], 'width' => $t['width'], 'height' => $t['height']],
+                $this->overrideValues($master),
+            );
+            $prev = $existingByMaster[$masterId] ?? null;
+            $layer = $master;
+            $layer['id'] = $prev !== null ? (string) $prev['id'] : $this->newId();
+            $layer['groupId'] = $groupId;
+            $layer['componentLayerId'] = $masterId;
+            $layer['transform'] = array_merge($t, [
+                'x' => $frame['x'] + $t['x'] * $frame['scaleX'],
+                'y' => $frame['y'] + $t['y'] * $frame['scaleY'],
+                'width' => $t['width'] * $frame['scaleX'],
+                'height' => $t['height'] * $frame['scaleY'],
+            ]);
+            if ($prev !== null) {
+                $layer['visible'] = $prev['visible'] ?? true;
+                $layer['locked'] = $prev['locked'] ?? false;
+                $layer = $this->applyOverrides($layer, $this->memberOverrides($prev, is_array($base[$masterId] ?? null) ? $base[$masterId] : null), $prev);
+            }
+            $instanceLayers[] = $layer;
+        }
+
+        $zStart = $members !== [] ? min(array_map(fn (array $m) => (float) ($m['z'] ?? 0), $members)) : count($allLayers);
+        $n = max(1, count($instanceLayers));
+        foreach ($instanceLayers as $i => $layer) {
+            $instanceLayers[$i]['z'] = $zStart + $i / $n;
+        }
+
+        $kept = array_values(array_filter($allLayers, fn (array $l) => (string) ($l['groupId'] ?? '') !== $groupId));
+        $document['layers'] = $this->normalizeZ(array_merge($kept, $instanceLayers));
+
+        $groups = [];
+        foreach ($this->groups($document) as $group) {
+            if ((string) $group['id'] === $groupId) {
+                $group['memberIds'] = array_map(fn (array $l) => (string) $l['id'], $instanceLayers);
+                $group['component'] = ['componentId' => $componentId, 'revision' => $revision, 'base' => $nextBase];
+            }
+            $groups[] = $group;
+        }
+        $document['groups'] = $groups;
+
+        return $document;
+    }
+
+    /**
+     * Instance placement from the first member whose master box is known; falls back to the members' top-left at 1:1.
+     *
+     * @param  list<array<string, mixed>>  $members
+     * @param  array<string, mixed>  $base
+     * @return array{x: float, y: float, scaleX: float, scaleY: float}
+     */
+    private function frame(array $members, array $base): array
+    {
+        usort($members, fn (array $a, array $b) => ((float) ($a['z'] ?? 0)) <=> ((float) ($b['z'] ?? 0)));
+        foreach ($members as $m) {
+            $b = is_string($m['componentLayerId'] ?? null) ? ($base[$m['componentLayerId']] ?? null) : null;
+            if (! is_array($b) || (float) ($b['width'] ?? 0) <= 0 || (float) ($b['height'] ?? 0) <= 0 || ! $this->hasBox($m)) {
+                continue;
+            }
+            $t = $m['transform'];
+            $sx = (float) $t['width'] / (float) $b['width'];
+            $sy = (float) $t['height'] / (float) $b['height'];
+
+            return ['x' => (float) $t['x'] - (float) $b['x'] * $sx, 'y' => (float) $t['y'] - (float) $b['y'] * $sy, 'scaleX' => $sx, 'scaleY' => $sy];
+        }
+
+        $x = null;
+        $y = null;
+        foreach ($members as $m) {
+            if ($this->hasBox($m)) {
+                $x = $x === null ? (float) $m['transform']['x'] : min($x, (float) $m['transform']['x']);
+                $y = $y === null ? (float) $m['transform']['y'] : min($y, (float) $m['transform']['y']);
+            }
+        }
+
+        return ['x' => $x ?? 0.0, 'y' => $y ?? 0.0, 'scaleX' => 1.0, 'scaleY' => 1.0];
+    }
+
+    /**
+     * @param  array<string, mixed>  $layer
+     * @return array{content?: string, color?: string}
+     */
+    private function overrideValues(array $layer): array
+    {
+        $type = (string) ($layer['type'] ?? '');
+        if ($type === 'text') {
+            $out = ['content' => is_string($layer['content'] ?? null) ? $layer['content'] : ''];
+            if (is_string($layer['style']['color'] ?? null)) {
+                $out['color'] = $layer['style']['color'];
+            }
+
+            return $out;
+        }
+        if ($type === 'fill' && is_string($layer['color'] ?? null)) {
+            return ['color' => $layer['color']];
+        }
+        if ($type === 'shape' && is_string($layer['fill'] ?? null)) {
+            return ['color' => $layer['fill']];
+        }
+
+        return [];
+    }
+
+    /**
+     * @param  array<string, mixed>  $member
+     * @param  array<string, mixed>|null  $base
+     * @return array{content?: string, color?: string}
+     */
+    private function memberOverrides(array $member, ?array $base): array
+    {
+        if ($base === null) {
+            return [];
+        }
+        $current = $this->overrideValues($member);
+        $out = [];
+        foreach (['content', 'color'] as $key) {
+            if (isset($base[$key], $current[$key]) && $current[$key] !== $base[$key]) {
+                $out[$key] = $current[$key];
+            }
+        }
+
+        return $out;
+    }
+
+    /**
+     * @param  array<string, mixed>  $layer
+     * @param  array{content?: string, color?: string}  $values
+     * @param  array<string, mixed>  $source
+     * @return array<string, mixed>
+     */
+    private function applyOverrides(array $layer, array $values, array $source): array
+    {
+        $type = (string) ($layer['type'] ?? '');
+        if (isset($values['content']) && $type === 'text') {
+            $layer['content'] = $values['content'];
+            unset($layer['runs']);
+            if (isset($source['runs'])) {
+                $layer['runs'] = $source['runs'];
+            }
+        }
+        if (isset($values['color'])) {
+            if ($type === 'text') {
+                $style = is_array($layer['style'] ?? null) ? $layer['style'] : [];
+                $style['color'] = $values['color'];
+                $layer['style'] = $style;
+            } elseif ($type === 'fill') {
+                $layer['color'] = $values['color'];
+            } elseif ($type === 'shape') {
+                $layer['fill'] = $values['color'];
+            }
+        }
+
+        return $layer;
+    }
+
+    /**
+     * Stable 0…n-1 z-order (same rule as {@code normalizeZ} in {@code documentModel.ts}).
+     *
+     * @param  list<array<string, mixed>>  $layers
+     * @return list<array<string, mixed>>
+     */
+    private function normalizeZ(array $layers): array
+    {
+        usort($layers, function (array $a, array $b): int {
+            $diff = ((float) ($a['z'] ?? 0)) <=> ((float) ($b['z'] ?? 0));
+
+            return $diff !== 0 ? $diff : strcmp((string) ($a['id'] ?? ''), (string) ($b['id'] ?? ''));
+        });
+        foreach ($layers as $i => $layer) {
+            $layers[$i]['z'] = $i;
+        }
+
+        return $layers;
+    }
+
+    /**
+     * @param  array<string, mixed>  $group
+     */
+    private function linkedComponentId(array $group): ?string
+    {
+        $link = $group['component'] ?? null;
+        if (! is_array($link) || ! isset($link['componentId'])) {
+            return null;
+        }
+
+        return (string) $link['componentId'];
+    }
+
+    /**
+     * @param  array<string, mixed>  $layer
+     */
+    private function hasBox(array $layer): bool
+    {
+        $t = $layer['transform'] ?? null;
+
+        return is_array($t)
+            && is_numeric($t['x'] ?? null)
+            && is_numeric($t['y'] ?? null)
+            && is_numeric($t['width'] ?? null)
+            && is_numeric($t['height'] ?? null);
+    }
+
+    /**
+     * @param  array<string, mixed>  $document
+     * @return list<array<string, mixed>>
+     */
+    private function layers(array $document): array
+    {
+        $layers = $document['layers'] ?? [];
+
+        return is_array($layers) ? array_values(array_filter($layers, 'is_array')) : [];
+    }
+
+    /**
+     * @param  array<string, mixed>  $document
+     * @return list<array<string, mixed>>
+     */
+    private function groups(array $document): array
+    {
+        $groups = $document['groups'] ?? [];
+
+        return is_array($groups) ? array_values(array_filter($groups, fn ($g) => is_array($g) && isset($g['id']))) : [];
+    }
+
+    private function newId(): string
+    {
+        return (string) Str::uuid();
+    }
+}
@@ -0,0 +1,173 @@
+<?php
+
+namespace App\Support;
+
+/**
+ * Server-side mirror of {@code applyLocale} / {@code localeDirection} in
+ * {@code resources/js/utils/studioLocalization.mjs}: turns a Studio {@code document_json} into one locale
+ * version, and refreshes the copy of an existing locale version from its source.
+ *
+ * Translatable text layers keep their source copy in {@code content} and per-locale strings in
+ * {@code translations}; layers flagged {@code translatable: false} are never touched.
+ */
+final class StudioCompositionLocalizer
+{
+    /** Mirrors {@code RTL_LANGUAGES} in {@code studioLocalization.mjs}. */
+    private const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ks', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+    private const RTL_SCRIPTS = ['Arab', 'Hebr', 'Thaa', 'Syrc'];
+
+    /**
+     * {@code de_de} → {@code de-DE}; null when the value is not a language tag.
+     */
+    public function normalizeLocale(string $raw): ?string
+    {
+        $parts = array_values(array_filter(preg_split('/[-_]/', trim($raw)) ?: [], static fn ($p) => $p !== ''));
+        if ($parts === [] || ! preg_match('/^[a-z]{2,3}$/i', $parts[0])) {
+            return null;
+        }
+        $out = [strtolower($parts[0])];
+        foreach (array_slice($parts, 1) as $p) {
+            if (preg_match('/^[a-z]{4}$/i', $p)) {
+                $out[] = ucfirst(strtolower($p));
+            } elseif (preg_match('/^([a-z]{2}|\d{3})$/i', $p)) {
+                $out[] = strtoupper($p);
+            } else {
+                return null;
+            }
+        }
+
+        return implode('-', $out);
+    }
+
+    /**
+     * @return 'ltr'|'rtl'
+     */
+    public function direction(?string $locale): string
+    {
+        $tag = $this->normalizeLocale((string) $locale);
+        if ($tag === null) {
+            return 'ltr';
+        }
+        $parts = explode('-', $tag);
+        foreach (array_slice($parts, 1) as $p) {
+            if (strlen($p) === 4) {
+                return in_array($p, self::RTL_SCRIPTS, true) ? 'rtl' : 'ltr';
+            }
+        }
+
+        return in_array($parts[0], self::RTL_LANGUAGES, true) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * The document as shown in {@code $locale}: translated copy, runs dropped where the text changed, text
+     * direction set (left / right alignment mirrored when the direction flips).
+     *
+     * @param  array<string, mixed>  $document
+     * @return array<string, mixed>
+     */
+    public function localize(array $document, string $locale): array
+    {
+        $sourceDirection = $this->direction($document['localization']['sourceLocale'] ?? null);
+
+        $document = $this->mapTextLayers($document, fn (array $layer) => $this->localizeLayer($layer, $locale, $sourceDirection));
+        $document['locale'] = $locale;
+
+        return $document;
+    }
+
+    /**
+     * Refresh a locale version from its source: every text layer that still exists in the source takes the
+     * source's {@code translations} and is re-localized. Geometry and styling edits made in the locale
+     * version are kept.
+     *
+     * @param  array<string, mixed>  $target
+     * @param  array<string, mixed>  $source
+     * @return array{document: array<string, mixed>, updated: int}
+     */
+    public function syncFromSource(array $target, array $source, string $locale): array
+    {
+        $translations = [];
+        $this->mapTextLayers($source, function (array $layer) use (&$translations) {
+            if (isset($layer['id']) && ($layer['translatable'] ?? true) !== false) {
+                $translations[(string) $layer['id']] = is_array($layer['translations'] ?? null) ? $layer['translations'] : [];
+            }
+
+            return $layer;
+        });
+
+        $sourceDirection = $this->direction($source['localization']['sourceLocale'] ?? null);
+        $updated = 0;
+        $target = $this->mapTextLayers($target, function (array $layer) use ($translations, $locale, $sourceDirection, &$updated) {
+            $id = (string) ($layer['id'] ?? '');
+            if (! array_key_exists($id, $translations) || ($layer['translatable'] ?? true) === false) {
+                return $layer;
+            }
+            $next = $this->localizeLayer(array_merge($layer, ['translations' => $translations[$id]]), $locale, $sourceDirection);
+            if ($next !== $layer) {
+                $updated++;
+            }
+
+            return $next;
+        });
+        $target['localization'] = $source['localization'] ?? ($target['localization'] ?? null);
+        $target['locale'] = $locale;
+
+        return ['document' => $target, 'updated' => $updated];
+    }
+
+    /**
+     * @param  array<string, mixed>  $layer
+     * @return array<string, mixed>
+     */
+    private function localizeLayer(array $layer, string $locale, string $sourceDirection): array
+    {
+        if (($layer['translatable'] ?? true) === false) {
+            return $layer;
+        }
+        $text = $layer['translations'][$locale] ?? null;
+        if (is_string($text) && $text !== '' && $text !== ($layer['content'] ?? null)) {
+            $layer['content'] = $text;
+            unset($layer['runs'], $layer['previousText']);
+        }
+        $direction = $this->direction($locale);
+        $style = is_array($layer['style'] ?? null) ? $layer['style'] : [];
+        if (($style['direction'] ?? $sourceDirection) !== $direction) {
+            $align = $style['textAlign'] ?? 'left';
+            $style['textAlign'] = match ($align) {
+                'left' => 'right',
+                'right' => 'left',
+                default => $align,
+            };
+        }
+        $style['direction'] = $direction;
+        $layer['style'] = $style;
+
+        return $layer;
+    }
+
+    /**
+     * Apply {@code $fn} to every text layer of the document, on the active canvas and on inactive artboards.
+     *
+     * @param  array<string, mixed>  $document
+     * @param  callable(array<string, mixed>): array<string, mixed>  $fn
+     * @return array<string, mixed>
+     */
+    private function mapTextLayers(array $document, callable $fn): array
+    {
+        $map = static fn ($layers) => is_array($layers)
+            ? array_map(static fn ($l) => is_array($l) && ($l['type'] ?? null) === 'text' ? $fn($l) : $l, $layers)
+            : $layers;
+
+        $document['layers'] = $map($document['layers'] ?? []);
+        if (is_array($document['artboards'] ?? null)) {
+            foreach ($document['artboards'] as $i => $board) {
+                if (is_array($board) && ! empty($board['layers'])) {
+                    $document['artboards'][$i]['layers'] = $map($board['layers']);
+                }
+            }
+        }
+
+        return $document;
+    }
+}
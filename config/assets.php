@@ -83,6 +83,23 @@
     */
     'upload_max_files_per_batch' => max(1, min(10000, (int) env('UPLOAD_MAX_FILES_PER_BATCH', 500))),
 
+    /*
+    |--------------------------------------------------------------------------
+    | Upload content fingerprints (SHA-256)
+    |--------------------------------------------------------------------------
+    |
+    | Add Asset hashes each file in the browser before upload and checks the hash
+    | against existing versions (POST /uploads/duplicates). The hash is sent with
+    | finalize; VerifyAssetVersionContentHashJob re-hashes the stored object and
+    | keeps the server value if they differ. Objects larger than
+    | verify_max_bytes are not re-hashed (0 = no limit).
+    |
+    */
+    'upload_content_hash' => [
+        'verify' => (bool) env('UPLOAD_CONTENT_HASH_VERIFY', true),
+        'verify_max_bytes' => (int) env('UPLOAD_CONTENT_HASH_VERIFY_MAX_BYTES', 0),
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Thumbnail Styles
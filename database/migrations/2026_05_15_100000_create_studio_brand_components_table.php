@@ -0,0 +1,30 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('studio_brand_components', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('tenant_id')->constrained()->cascadeOnDelete();
+            $table->foreignId('brand_id')->constrained()->cascadeOnDelete();
+            $table->foreignId('user_id')->nullable()->constrained()->nullOnDelete();
+            $table->string('name', 255);
+            $table->string('kind', 32)->default('other');
+            $table->longText('definition_json');
+            $table->unsignedInteger('revision')->default(1);
+            $table->timestamps();
+
+            $table->index(['tenant_id', 'brand_id']);
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('studio_brand_components');
+    }
+};
@@ -0,0 +1,48 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('composition_comment_threads', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('tenant_id')->constrained()->cascadeOnDelete();
+            $table->foreignId('brand_id')->constrained()->cascadeOnDelete();
+            $table->foreignId('composition_id')->constrained()->cascadeOnDelete();
+            $table->foreignId('user_id')->nullable()->constrained()->nullOnDelete();
+            // Pin in document px. When attached to a layer, `layer_rel_*` is the pin's position as a fraction of
+            // that layer's box so it follows moves / resizes; x / y stay the fallback once the layer is gone.
+            $table->float('x');
+            $table->float('y');
+            $table->string('layer_id', 64)->nullable();
+            $table->float('layer_rel_x')->nullable();
+            $table->float('layer_rel_y')->nullable();
+            $table->timestamp('resolved_at')->nullable();
+            $table->foreignId('resolved_by_user_id')->nullable()->constrained('users')->nullOnDelete();
+            $table->timestamps();
+
+            $table->index(['composition_id', 'resolved_at']);
+        });
+
+        Schema::create('composition_comments', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('thread_id')->constrained('composition_comment_threads')->cascadeOnDelete();
+            $table->foreignId('user_id')->nullable()->constrained()->nullOnDelete();
+            $table->text('body');
+            $table->json('mentioned_user_ids')->nullable();
+            $table->timestamps();
+
+            $table->index('thread_id');
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('composition_comments');
+        Schema::dropIfExists('composition_comment_threads');
+    }
+};
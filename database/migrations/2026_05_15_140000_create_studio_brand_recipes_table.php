@@ -0,0 +1,31 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('studio_brand_recipes', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('tenant_id')->constrained()->cascadeOnDelete();
+            $table->foreignId('brand_id')->constrained()->cascadeOnDelete();
+            $table->foreignId('user_id')->nullable()->constrained()->nullOnDelete();
+            $table->foreignId('source_composition_id')->nullable()->constrained('compositions')->nullOnDelete();
+            $table->string('name', 255);
+            $table->string('description', 500)->nullable();
+            $table->string('category', 32)->default('brand');
+            $table->longText('definition_json');
+            $table->timestamps();
+
+            $table->index(['tenant_id', 'brand_id']);
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('studio_brand_recipes');
+    }
+};
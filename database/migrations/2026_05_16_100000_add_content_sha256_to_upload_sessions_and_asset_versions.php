@@ -0,0 +1,37 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Upload fingerprints: client-computed SHA-256 of the original bytes.
+ * Sent with finalize (upload_sessions), carried onto the version it creates and
+ * verified server-side; asset_versions is indexed for duplicate detection.
+ */
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::table('upload_sessions', function (Blueprint $table) {
+            $table->char('content_sha256', 64)->nullable()->after('expected_size');
+        });
+
+        Schema::table('asset_versions', function (Blueprint $table) {
+            $table->char('content_sha256', 64)->nullable()->after('checksum');
+            $table->index('content_sha256');
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::table('asset_versions', function (Blueprint $table) {
+            $table->dropIndex(['content_sha256']);
+            $table->dropColumn('content_sha256');
+        });
+
+        Schema::table('upload_sessions', function (Blueprint $table) {
+            $table->dropColumn('content_sha256');
+        });
+    }
+};
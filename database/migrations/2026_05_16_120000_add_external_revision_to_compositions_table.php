@@ -0,0 +1,26 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Bumped when the server rewrites a document behind the editor's back (brand component propagation),
+     * so a stale autosave is rejected instead of overwriting the rewrite.
+     */
+    public function up(): void
+    {
+        Schema::table('compositions', function (Blueprint $table) {
+            $table->unsignedInteger('external_revision')->default(0)->after('document_json');
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::table('compositions', function (Blueprint $table) {
+            $table->dropColumn('external_revision');
+        });
+    }
+};
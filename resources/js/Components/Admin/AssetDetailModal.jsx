@@ -627,6 +627,11 @@ export default function AssetDetailModal({ data, onClose, onAction, onRefresh, o
                                                     <td className="px-4 py-3">
                                                         <span className={`rounded px-2 py-0.5 text-xs ${statusClass}`}>{status}</span>
                                                         {isArchived && <span className="ml-1 rounded px-2 py-0.5 text-xs bg-slate-200 text-slate-700">Archived</span>}
+                                                        {v.content_integrity === 'mismatch' && (
+                                                            <span className="ml-1 rounded px-2 py-0.5 text-xs bg-red-100 text-red-800" title="The stored file does not match the file hashed in the uploader's browser. Re-upload the original.">
+                                                                Integrity mismatch
+                                                            </span>
+                                                        )}
                                                     </td>
                                                     <td className="px-4 py-3">{fmtSize(v.file_size)}</td>
                                                     <td className="px-4 py-3">{fmtDate(v.created_at)}</td>
@@ -11,6 +11,8 @@
  * @param {boolean} props.isSelected - Whether this asset is currently selected
  * @param {string} props.primaryColor - Brand primary color for selected highlight
  * @param {string} props.cardStyle - 'default' | 'guidelines' — guidelines = flat tiles, label below (color-tile style), hover shadow
+ *
+ * Desktop: dragging the card out of the browser drops the original file (see utils/assetDragOut).
  */
 import { useMemo, useState, useEffect, useRef, useSyncExternalStore, useCallback } from 'react'
 import { usePage } from '@inertiajs/react'
@@ -37,6 +39,7 @@ import {
     subscribeUploadPreviewRegistry,
 } from '../utils/uploadPreviewRegistry'
 import { getAssetCardVisualState } from '../utils/assetCardVisualState'
+import { assetDownloadUrlDragData } from '../utils/assetDragOut'
 
 /** Grid video tile: same m:ss (or h:mm:ss) chip as {@link AudioCardVisual} duration overlay. */
 function formatVideoDurationForCard(seconds) {
@@ -605,6 +608,23 @@ export default function AssetCard({
         if (isMobile) e.preventDefault()
     }
 
+    /** Signed-in library grids only: public share tiles and virtual Google Fonts have no downloadable original. */
+    const canDragOut = Boolean(auth?.user) && !isMobile && !isVirtualGoogleFont && !splitTitleFooter && asset?.id != null
+    const handleDragStart = (e) => {
+        if (!canDragOut) {
+            e.preventDefault()
+            return
+        }
+        const downloadPath =
+            asset.download_url ||
+            (typeof route === 'function' ? route('assets.download', { asset: asset.id }) : `/app/assets/${asset.id}/download`)
+        const absoluteUrl = new URL(downloadPath, window.location.origin).href
+        e.dataTransfer.effectAllowed = 'copy'
+        e.dataTransfer.setData('DownloadURL', assetDownloadUrlDragData(asset, absoluteUrl, window.location.origin))
+        e.dataTransfer.setData('text/uri-list', absoluteUrl)
+        e.dataTransfer.setData('text/plain', absoluteUrl)
+    }
+
     // Convert hex color to RGB for shadow opacity
     const hexToRgb = (hex) => {
         const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex)
@@ -695,8 +715,9 @@ export default function AssetCard({
             onContextMenu={handleContextMenu}
             onMouseEnter={() => setIsCardHovering(true)}
             onMouseLeave={() => setIsCardHovering(false)}
-            draggable={false}
-            onDragStart={(e) => e.preventDefault()}
+            draggable={canDragOut}
+            onDragStart={handleDragStart}
+            data-asset-drag-out={canDragOut ? '' : undefined}
             className={`group relative select-none ${cardBgClass} rounded-2xl transition-all duration-200 cursor-pointer overflow-visible flex flex-col ${
                 !isGuidelines && !isCinematic ? '' : isGuidelines || showOuterCinematicChrome ? `border ${cardBorderClass} ${cardShadowClass}` : ''
             }`}
@@ -1985,6 +1985,14 @@ export default function AssetDetailPanel({
                                                                                         Archived
                                                                                     </span>
                                                                                 )}
+                                                                                {v.content_integrity === 'mismatch' && (
+                                                                                    <span
+                                                                                        className={`ml-1.5 inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-medium ${lb ? 'bg-red-950/60 text-red-200' : 'bg-red-100 text-red-800'}`}
+                                                                                        title="The stored file does not match the file hashed in the uploader's browser. Re-upload the original."
+                                                                                    >
+                                                                                        Integrity mismatch
+                                                                                    </span>
+                                                                                )}
                                                                             </td>
                                                                             <td className={`px-4 py-3 text-sm ${lb ? 'text-neutral-300' : 'text-gray-700'}`}>{fmtSize(v.file_size)}</td>
                                                                             <td className={`px-4 py-3 text-sm ${lb ? 'text-neutral-300' : 'text-gray-700'}`}>{fmtDate(v.created_at)}</td>
@@ -2074,7 +2082,14 @@ export default function AssetDetailPanel({
                                                                     <div className="min-w-0 flex-1">
                                                                         <div className="flex flex-wrap items-center justify-between gap-2">
                                                                             <span className="font-semibold text-neutral-100">v{v.version_number}</span>
-                                                                            <span className="text-[10px] font-medium uppercase tracking-wide text-neutral-500">{status}</span>
+                                                                            <span className="text-[10px] font-medium uppercase tracking-wide text-neutral-500">
+                                                                                {status}
+                                                                                {v.content_integrity === 'mismatch' && (
+                                                                                    <span className="ml-1.5 text-red-300" title="The stored file does not match the file hashed in the uploader's browser. Re-upload the original.">
+                                                                                        · Integrity mismatch
+                                                                                    </span>
+                                                                                )}
+                                                                            </span>
                                                                         </div>
                                                                         <div className="mt-1 text-sm text-neutral-400">
                                                                             {fmtSize(v.file_size)} · {fmtDate(v.created_at)}
@@ -2311,6 +2326,14 @@ export default function AssetDetailPanel({
                                                                         Archived
                                                                     </span>
                                                                 )}
+                                                                {v.content_integrity === 'mismatch' && (
+                                                                    <span
+                                                                        className="ml-1.5 inline-flex rounded-full bg-red-950/60 px-2 py-0.5 text-[11px] text-red-200"
+                                                                        title="The stored file does not match the file hashed in the uploader's browser. Re-upload the original."
+                                                                    >
+                                                                        Integrity mismatch
+                                                                    </span>
+                                                                )}
                                                             </td>
                                                             <td className="px-3 py-2.5 text-neutral-300">{fmtSize(v.file_size)}</td>
                                                             <td className="px-3 py-2.5 text-neutral-300">{fmtDate(v.created_at)}</td>
@@ -12,8 +12,8 @@
  * Live thumbnail updates are intentionally disabled in the grid context.
  * See AssetDrawer for live thumbnail behavior when viewing asset details.
  *
- * Desktop: click-drag (including from card chrome/thumbnail, not on controls) draws a marquee;
- * assets intersecting the rectangle are selected in SelectionContext (desktop-style). Hold Ctrl/Cmd
+ * Desktop: click-drag from the space around cards draws a marquee (dragging a card itself drags its file out of
+ * the browser, see AssetCard); assets intersecting the rectangle are selected in SelectionContext (desktop-style). Hold Ctrl/Cmd
  * or Shift anytime during the drag (or on release) to add to the current selection instead of
  * replacing it — same idea as additive multi-select on the desktop. Touch pointers are ignored.
  *
@@ -299,6 +299,8 @@ export default function AssetGrid({
             if (!selection) return
             if (onAssetSelect) return
             if (e.target.closest('button, a, input, select, textarea, [role="button"], label')) return
+            // Native drag-out takes over on these cards; a marquee would start alongside it
+            if (e.target.closest('[data-asset-drag-out]')) return
 
             const startX = e.clientX
             const startY = e.clientY
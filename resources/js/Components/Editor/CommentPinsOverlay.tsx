@@ -0,0 +1,98 @@
+import type { CSSProperties, MouseEvent as ReactMouseEvent } from 'react'
+
+export type CommentPinMark = {
+    id: string
+    /** Number shown in the pin (matches the comments panel). */
+    label: number
+    /** Document px. */
+    x: number
+    y: number
+    resolved: boolean
+    active: boolean
+    /** The pinned layer was deleted; drawn at the stored point. */
+    detached: boolean
+}
+
+type CommentPinsOverlayProps = {
+    /** Screen px per document px — pins keep a constant on-screen size. */
+    scale: number
+    pins: CommentPinMark[]
+    /** Where a new thread is being written, before it is posted. */
+    draft: { x: number; y: number } | null
+    /** While true the overlay takes clicks on the canvas to place a new pin. */
+    placing: boolean
+    onSelect: (threadId: string) => void
+    /** `layerId` is the topmost layer under the click unless Alt was held (free pin). */
+    onPlace: (x: number, y: number, layerId: string | null) => void
+}
+
+/**
+ * Review comment pins drawn over the stage. Editor-only: excluded from export capture, and threads are not
+ * part of the document, so `CompositionExportRender` never sees them.
+ */
+export default function CommentPinsOverlay({ scale, pins, draft, placing, onSelect, onPlace }: CommentPinsOverlayProps) {
+    const px = 1 / Math.max(0.05, scale)
+
+    const style: CSSProperties = {
+        position: 'absolute',
+        inset: 0,
+        pointerEvents: placing ? 'auto' : 'none',
+        cursor: placing ? 'crosshair' : undefined,
+        zIndex: 14,
+    }
+
+    const place = (e: ReactMouseEvent<HTMLDivElement>) => {
+        if (!placing || e.target !== e.currentTarget) return
+        const r = e.currentTarget.getBoundingClientRect()
+        const x = (e.clientX - r.left) / scale
+        const y = (e.clientY - r.top) / scale
+        let layerId: string | null = null
+        if (!e.altKey) {
+            const hit = globalThis.document
+                .elementsFromPoint(e.clientX, e.clientY)
+                .find((el) => el instanceof HTMLElement && el.dataset.studioLayerId)
+            layerId = (hit as HTMLElement | undefined)?.dataset.studioLayerId ?? null
+        }
+        onPlace(x, y, layerId)
+    }
+
+    return (
+        <div
+            data-jp-export-capture-exclude
+            style={style}
+            onMouseDown={(e) => placing && e.stopPropagation()}
+            onClick={place}
+            data-testid="comment-pins-overlay"
+        >
+            {pins.map((p) => (
+                <div key={p.id} className="absolute" style={{ left: p.x, top: p.y, transform: `scale(${px})`, transformOrigin: '0 0' }}>
+                    <button
+                        type="button"
+                        onMouseDown={(e) => e.stopPropagation()}
+                        onClick={(e) => {
+                            e.stopPropagation()
+                            onSelect(p.id)
+                        }}
+                        title={p.detached ? 'Pinned layer was deleted' : undefined}
+                        className={`pointer-events-auto absolute bottom-0 left-0 flex h-7 min-w-[28px] items-center justify-center rounded-full rounded-bl-none border-2 px-1.5 text-xs font-semibold shadow-md transition-transform ${
+                            p.active ? 'scale-110 border-white bg-indigo-600 text-white' : p.resolved
+                                ? 'border-white bg-gray-400 text-white'
+                                : 'border-white bg-amber-500 text-gray-950'
+                        } ${p.detached ? 'border-dashed' : ''}`}
+                        aria-label={`Comment ${p.label}`}
+                        aria-pressed={p.active}
+                    >
+                        {p.label}
+                    </button>
+                </div>
+            ))}
+            {draft && (
+                <div className="pointer-events-none absolute" style={{ left: draft.x, top: draft.y, transform: `scale(${px})`, transformOrigin: '0 0' }}>
+                    <span className="absolute bottom-0 left-0 flex h-7 w-7 items-center justify-center rounded-full rounded-bl-none border-2 border-white bg-indigo-600 text-xs font-semibold text-white shadow-md">
+                        +
+                    </span>
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,115 @@
+import type { CSSProperties } from 'react'
+
+export type SmartGuide = { kind: 'v' | 'h'; at: number; from: number; to: number }
+export type SpacingMark = { axis: 'x' | 'y'; from: number; to: number; at: number; distance: number; equal?: boolean }
+
+type SmartGuidesOverlayProps = {
+    /** Document-space width (px). */
+    docW: number
+    /** Document-space height (px). */
+    docH: number
+    /** Screen px per document px — keeps strokes, ticks and labels a constant on-screen size. */
+    scale: number
+    guides: SmartGuide[]
+    spacing: SpacingMark[]
+}
+
+const GUIDE_COLOR = 'rgba(236,72,153,0.95)'
+const EQUAL_COLOR = 'rgba(244,114,182,1)'
+const MEASURE_COLOR = 'rgba(56,189,248,0.95)'
+
+/**
+ * Non-interactive SVG drawn while dragging: object-to-object alignment guides plus distance readouts to
+ * the nearest neighbours (equal-spacing gaps highlighted). Excluded from export capture like the grid.
+ */
+export default function SmartGuidesOverlay({ docW, docH, scale, guides, spacing }: SmartGuidesOverlayProps) {
+    const px = 1 / Math.max(0.05, scale)
+    const tick = 4 * px
+    const fontSize = 10 * px
+
+    const style: CSSProperties = {
+        position: 'absolute',
+        inset: 0,
+        width: '100%',
+        height: '100%',
+        pointerEvents: 'none',
+        overflow: 'visible',
+        zIndex: 13,
+    }
+
+    return (
+        <svg
+            data-jp-export-capture-exclude
+            aria-hidden="true"
+            style={style}
+            viewBox={`0 0 ${docW} ${docH}`}
+            preserveAspectRatio="none"
+        >
+            {guides.map((g) =>
+                g.kind === 'v' ? (
+                    <line
+                        key={`g-v-${g.at}`}
+                        x1={g.at}
+                        x2={g.at}
+                        y1={g.from}
+                        y2={g.to}
+                        stroke={GUIDE_COLOR}
+                        strokeWidth={1}
+                        vectorEffect="non-scaling-stroke"
+                    />
+                ) : (
+                    <line
+                        key={`g-h-${g.at}`}
+                        x1={g.from}
+                        x2={g.to}
+                        y1={g.at}
+                        y2={g.at}
+                        stroke={GUIDE_COLOR}
+                        strokeWidth={1}
+                        vectorEffect="non-scaling-stroke"
+                    />
+                )
+            )}
+            {spacing.map((m) => {
+                const color = m.equal ? EQUAL_COLOR : MEASURE_COLOR
+                const mid = (m.from + m.to) / 2
+                const label = String(m.distance)
+                const labelW = (label.length * 6 + 8) * px
+                const labelH = 14 * px
+                const horizontal = m.axis === 'x'
+                const lx = horizontal ? mid - labelW / 2 : m.at + 3 * px
+                const ly = horizontal ? m.at - labelH - 3 * px : mid - labelH / 2
+                return (
+                    <g key={`s-${m.axis}-${m.from}-${m.to}-${m.at}`}>
+                        {horizontal ? (
+                            <>
+                                <line x1={m.from} x2={m.to} y1={m.at} y2={m.at} stroke={color} strokeWidth={1} vectorEffect="non-scaling-stroke" />
+                                <line x1={m.from} x2={m.from} y1={m.at - tick} y2={m.at + tick} stroke={color} strokeWidth={1} vectorEffect="non-scaling-stroke" />
+                                <line x1={m.to} x2={m.to} y1={m.at - tick} y2={m.at + tick} stroke={color} strokeWidth={1} vectorEffect="non-scaling-stroke" />
+                            </>
+                        ) : (
+                            <>
+                                <line x1={m.at} x2={m.at} y1={m.from} y2={m.to} stroke={color} strokeWidth={1} vectorEffect="non-scaling-stroke" />
+                                <line x1={m.at - tick} x2={m.at + tick} y1={m.from} y2={m.from} stroke={color} strokeWidth={1} vectorEffect="non-scaling-stroke" />
+                                <line x1={m.at - tick} x2={m.at + tick} y1={m.to} y2={m.to} stroke={color} strokeWidth={1} vectorEffect="non-scaling-stroke" />
+                            </>
+                        )}
+                        <rect x={lx} y={ly} width={labelW} height={labelH} rx={2 * px} fill={color} />
+                        <text
+                            x={lx + labelW / 2}
+                            y={ly + labelH / 2}
+                            fontSize={fontSize}
+                            fontFamily="ui-sans-serif, system-ui, sans-serif"
+                            fontWeight={600}
+                            fill="#ffffff"
+                            textAnchor="middle"
+                            dominantBaseline="central"
+                        >
+                            {label}
+                        </text>
+                    </g>
+                )
+            })}
+        </svg>
+    )
+}
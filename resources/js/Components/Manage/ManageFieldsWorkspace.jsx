@@ -746,6 +746,7 @@ export default function ManageFieldsWorkspace({
     const [pendingDisable, setPendingDisable] = useState(null)
     const [ebiToggleLoading, setEbiToggleLoading] = useState(false)
     const [aiLibRefToggleLoading, setAiLibRefToggleLoading] = useState(false)
+    const [uploadImageProcessingLoading, setUploadImageProcessingLoading] = useState(false)
     const [quickFieldName, setQuickFieldName] = useState('')
     const [quickFieldDraftType, setQuickFieldDraftType] = useState('select')
     const [newFieldSectionExpanded, setNewFieldSectionExpanded] = useState(false)
@@ -884,6 +885,48 @@ export default function ManageFieldsWorkspace({
         }
     }, [brand?.id, canToggleAiLibRef, selectedCategory, postNotice])
 
+    const uploadImageProcessing = selectedCategory?.upload_image_processing ?? { max_long_edge: null, keep_original: false }
+
+    const updateUploadImageProcessing = useCallback(async (changes) => {
+        if (!canToggleEbi || !selectedCategory) return
+        const brandId = brand.id
+        const current = selectedCategory.upload_image_processing ?? { max_long_edge: null, keep_original: false }
+        setUploadImageProcessingLoading(true)
+        try {
+            const url =
+                typeof route === 'function'
+                    ? route('brands.categories.upload-image-processing', { brand: brandId, category: selectedCategory.id })
+                    : `/app/api/brands/${brandId}/categories/${selectedCategory.id}/upload-image-processing`
+            const response = await fetch(url, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'X-CSRF-TOKEN': getCsrfToken(),
+                    Accept: 'application/json',
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({ ...current, ...changes }),
+            })
+            if (response.ok) {
+                postNotice('Upload image settings updated for this folder.')
+                router.reload({ only: ['categories'] })
+            } else {
+                const errorData = await response.json().catch(() => ({}))
+                postNotice(
+                    errorData.message || errorData.error || 'Failed to update upload image settings.',
+                    'error',
+                    4000
+                )
+            }
+        } catch (error) {
+            console.error('Failed to update upload_image_processing:', error)
+            postNotice('Failed to update upload image settings.', 'error')
+        } finally {
+            setUploadImageProcessingLoading(false)
+        }
+    }, [brand?.id, canToggleEbi, selectedCategory, postNotice])
+
     const loadFieldCategoryData = useCallback(async (field, forceRefetch = false) => {
         if (!forceRefetch && fieldCategoryDataRef.current[field.id]) {
             return fieldCategoryDataRef.current[field.id]
@@ -1593,6 +1636,68 @@ export default function ManageFieldsWorkspace({
                                             </button>
                                         </div>
                                     ) : null}
+                                    {canToggleEbi ? (
+                                        <div className="mt-3 flex flex-col gap-2 border-t border-slate-200/80 pt-3 sm:flex-row sm:items-center sm:justify-between sm:gap-3">
+                                            <div className="min-w-0 flex-1">
+                                                <p className="text-sm font-semibold text-slate-900">Upload images</p>
+                                                <p className="mt-0.5 text-xs leading-snug text-slate-600">
+                                                    {uploadImageProcessing.keep_original
+                                                        ? 'Originals are uploaded untouched; HEIC gets a local preview.'
+                                                        : 'Browsers convert HEIC to JPEG, fix orientation and apply the size cap before upload. JPEGs keep their EXIF and colour profile; HEIC, PNG and WebP metadata is dropped.'}
+                                                </p>
+                                            </div>
+                                            <div className="flex items-center gap-3">
+                                                <select
+                                                    value={uploadImageProcessing.max_long_edge ?? ''}
+                                                    disabled={uploadImageProcessingLoading}
+                                                    onChange={(e) =>
+                                                        // A size cap means preparing images, so it switches "Keep original" off
+                                                        updateUploadImageProcessing({
+                                                            max_long_edge: e.target.value === '' ? null : Number(e.target.value),
+                                                            ...(e.target.value === '' ? {} : { keep_original: false }),
+                                                        })
+                                                    }
+                                                    aria-label={`Maximum long edge for images uploaded to ${selectedCategory.name}`}
+                                                    className="rounded-md border-slate-300 py-1 pl-2 pr-7 text-xs text-slate-700 disabled:opacity-50"
+                                                >
+                                                    <option value="">Original size</option>
+                                                    {[2048, 3072, 4096].map((px) => (
+                                                        <option key={px} value={px}>
+                                                            Max {px} px
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                                <label className="flex items-center gap-1.5 text-xs text-slate-700">
+                                                    <button
+                                                        type="button"
+                                                        role="switch"
+                                                        aria-checked={uploadImageProcessing.keep_original}
+                                                        aria-label={`Keep original files for ${selectedCategory.name}: ${uploadImageProcessing.keep_original ? 'on' : 'off'}. Toggle to change.`}
+                                                        disabled={uploadImageProcessingLoading}
+                                                        onClick={() =>
+                                                            updateUploadImageProcessing({
+                                                                keep_original: !uploadImageProcessing.keep_original,
+                                                            })
+                                                        }
+                                                        className={`relative inline-flex h-5 w-9 flex-shrink-0 cursor-pointer rounded-full border-2 border-slate-300/80 transition-colors duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-[color:var(--wb-ring)] focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 ${
+                                                            uploadImageProcessing.keep_original
+                                                                ? 'bg-[var(--wb-accent)]'
+                                                                : 'bg-slate-200'
+                                                        }`}
+                                                    >
+                                                        <span
+                                                            className={`pointer-events-none inline-block h-4 w-4 transform rounded-full bg-white shadow ring-0 transition duration-200 ease-in-out ${
+                                                                uploadImageProcessing.keep_original
+                                                                    ? 'translate-x-4'
+                                                                    : 'translate-x-0'
+                                                            }`}
+                                                        />
+                                                    </button>
+                                                    Keep original
+                                                </label>
+                                            </div>
+                                        </div>
+                                    ) : null}
                                 </div>
                             ) : null}
 
@@ -119,6 +119,8 @@ export default function NotificationBell({ textColor = '#000000' }) {
                 return `Download${count > 1 ? 's' : ''} ready${suffix}`
             case 'brand_research.ready':
                 return `Brand research completed${suffix}`
+            case 'studio_comment.mentioned':
+                return `Mentioned in Studio comments${suffix}`
             default:
                 return `Notification${suffix}`
         }
@@ -148,6 +150,8 @@ export default function NotificationBell({ textColor = '#000000' }) {
                 return `"${downloadTitle}" is ready to download`
             case 'brand_research.ready':
                 return data?.title || 'Brand research is ready'
+            case 'studio_comment.mentioned':
+                return `${actorName} mentioned you on "${d?.composition_name || 'a composition'}"${d?.comment_excerpt ? `: ${d.comment_excerpt}` : ''}`
             default:
                 return 'New notification'
         }
@@ -191,6 +195,30 @@ export default function NotificationBell({ textColor = '#000000' }) {
             router.visit(data.action_url)
             return
         }
+        if (notification.type === 'studio_comment.mentioned' && data.action_url) {
+            setIsOpen(false)
+            // Compositions are brand-scoped: switch workspace first so the editor can open the thread.
+            if (needsCompanySwitch) {
+                showWorkspaceSwitchingOverlay('company')
+                const form = document.createElement('form')
+                form.method = 'POST'
+                form.action = `/app/companies/${notifTenantId}/switch`
+                form.innerHTML = `<input type="hidden" name="_token" value="${document.querySelector('meta[name="csrf-token"]')?.getAttribute('content')}" /><input type="hidden" name="redirect" value="${data.action_url}" />${notifBrandId ? `<input type="hidden" name="brand_id" value="${notifBrandId}" />` : ''}`
+                document.body.appendChild(form)
+                form.submit()
+                return
+            }
+            if (needsBrandSwitch) {
+                router.post(`/app/brands/${notifBrandId}/switch`, {}, {
+                    preserveState: true,
+                    preserveScroll: true,
+                    onSuccess: () => router.visit(data.action_url),
+                })
+                return
+            }
+            router.visit(data.action_url)
+            return
+        }
         if (notification.type === 'download.ready' && data.download_id) {
             setIsOpen(false)
             if (needsCompanySwitch) {
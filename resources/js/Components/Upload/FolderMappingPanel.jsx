@@ -0,0 +1,144 @@
+/**
+ * FolderMappingPanel - Map folder levels of a dropped / picked folder before preflight
+ *
+ * Shown when the added files come from a directory tree. Each folder level can be:
+ * - ignored
+ * - matched to a category (by name or slug)
+ * - used as the value of a metadata field (text, number, or a matching select option)
+ * - added as a tag
+ *
+ * Folders that do not resolve (no category / option with that name) are listed; those files keep the batch values.
+ */
+
+import { useMemo, useState } from 'react'
+import { FolderIcon } from '@heroicons/react/24/outline'
+import {
+    FOLDER_MAPPABLE_FIELD_TYPES,
+    applyFolderMapping,
+    folderLevels,
+    matchCategoryForFolder,
+} from '../../utils/uploadFolderMapping'
+
+function ruleValue(rule) {
+    if (!rule || rule.target === 'ignore') return 'ignore'
+    return rule.target === 'metadata' ? `metadata:${rule.fieldKey}` : rule.target
+}
+
+function ruleFromValue(value) {
+    if (value.startsWith('metadata:')) {
+        return { target: 'metadata', fieldKey: value.slice('metadata:'.length) }
+    }
+    return { target: value }
+}
+
+export default function FolderMappingPanel({ entries, categories = [], metadataSchema = null, onApply, onCancel, disabled = false }) {
+    const levels = useMemo(() => folderLevels(entries), [entries])
+
+    const fields = useMemo(() => {
+        const out = []
+        metadataSchema?.groups?.forEach((group) => {
+            group.fields?.forEach((field) => {
+                if (field.key !== 'tags' && field.key !== 'collection' && FOLDER_MAPPABLE_FIELD_TYPES.includes(field.type)) {
+                    out.push(field)
+                }
+            })
+        })
+        return out
+    }, [metadataSchema])
+
+    // A level whose folders all name existing categories is almost certainly the category level.
+    const [rules, setRules] = useState(() =>
+        levels.map((l) =>
+            l.folders.length > 0 && l.folders.every((f) => matchCategoryForFolder(f.name, categories))
+                ? { target: 'category' }
+                : { target: 'ignore' },
+        ),
+    )
+
+    const preview = useMemo(
+        () => applyFolderMapping(entries, rules, { categories, fields }),
+        [entries, rules, categories, fields],
+    )
+    const categorized = preview.assignments.filter((a) => a.categoryId != null).length
+    const withMetadata = preview.assignments.filter((a) => Object.keys(a.metadataDraft).length > 0).length
+
+    return (
+        <div className="mb-4 rounded-lg border border-gray-200 bg-gray-50 px-4 py-3">
+            <div className="flex items-center gap-2">
+                <FolderIcon className="h-5 w-5 text-gray-500" aria-hidden />
+                <h4 className="text-sm font-medium text-gray-900">
+                    Map folders for {entries.length} {entries.length === 1 ? 'file' : 'files'}
+                </h4>
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+                Use folder names as a category, a field value or tags. Paths are kept with each file.
+            </p>
+
+            <ul className="mt-3 space-y-2">
+                {levels.map((level, i) => (
+                    <li key={level.level} className="flex flex-wrap items-center gap-3">
+                        <span className="w-16 flex-shrink-0 text-xs font-medium text-gray-600">Level {i + 1}</span>
+                        <select
+                            value={ruleValue(rules[i])}
+                            onChange={(e) => {
+                                const next = [...rules]
+                                next[i] = ruleFromValue(e.target.value)
+                                setRules(next)
+                            }}
+                            disabled={disabled}
+                            aria-label={`Folder level ${i + 1}`}
+                            className="rounded-md border-gray-300 py-1 text-sm shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                        >
+                            <option value="ignore">Ignore</option>
+                            <option value="category">Category</option>
+                            <option value="tags">Tags</option>
+                            {fields.map((field) => (
+                                <option key={field.key} value={`metadata:${field.key}`}>
+                                    {field.display_label || field.key}
+                                </option>
+                            ))}
+                        </select>
+                        <span className="min-w-0 flex-1 truncate text-xs text-gray-500" title={level.folders.map((f) => f.name).join(', ')}>
+                            {level.folders.slice(0, 4).map((f) => `${f.name} (${f.files})`).join(', ')}
+                            {level.folders.length > 4 ? ` +${level.folders.length - 4} more` : ''}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+
+            {fields.length === 0 && (
+                <p className="mt-2 text-xs text-gray-400">Choose a category first to map folders to its fields.</p>
+            )}
+
+            <div className="mt-3 border-t border-gray-200 pt-3 text-xs text-gray-600">
+                {categorized} with a category, {withMetadata} with field values or tags.
+                {preview.unmatched.length > 0 && (
+                    <span className="mt-1 block text-amber-700">
+                        No match for: {preview.unmatched.slice(0, 5).map((u) => u.name).join(', ')}
+                        {preview.unmatched.length > 5 ? ` +${preview.unmatched.length - 5} more` : ''} — those files keep
+                        the batch values.
+                    </span>
+                )}
+            </div>
+
+            <div className="mt-3 flex justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    disabled={disabled}
+                    className="rounded-md px-3 py-1.5 text-sm font-medium text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                >
+                    Cancel
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onApply(preview.assignments)}
+                    disabled={disabled}
+                    className="rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50"
+                >
+                    Add {entries.length} {entries.length === 1 ? 'file' : 'files'}
+                </button>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,56 @@
+/**
+ * Upload tray header controls: pause / resume the whole queue, an upload bandwidth cap, and the live rate.
+ * State lives in UploadManager (persisted), so the cap and pause survive a reload.
+ */
+
+import { memo } from 'react'
+import { PauseIcon, PlayIcon } from '@heroicons/react/24/outline'
+import { formatBytesHuman } from '../../utils/formatBytesHuman'
+import { UPLOAD_BANDWIDTH_PRESETS } from '../../utils/uploadThroughput'
+
+function UploadQueueControls({ transferState, onTogglePause, onBandwidthLimitChange, disabled = false }) {
+    if (!transferState) return null
+    const { paused, bandwidthLimit, bytesPerSecond, partConcurrency } = transferState
+
+    return (
+        <div className="flex items-center gap-2 text-[11px] text-gray-500">
+            {!paused && bytesPerSecond > 0 && (
+                <span
+                    className="tabular-nums"
+                    title={`${partConcurrency} part${partConcurrency !== 1 ? 's' : ''} in parallel`}
+                >
+                    {formatBytesHuman(bytesPerSecond)}/s
+                </span>
+            )}
+            <label className="sr-only" htmlFor="upload-bandwidth-limit">
+                Upload speed limit
+            </label>
+            <select
+                id="upload-bandwidth-limit"
+                value={bandwidthLimit}
+                disabled={disabled}
+                onChange={(e) => onBandwidthLimitChange?.(Number(e.target.value))}
+                className="rounded border-gray-200 py-0.5 pl-1.5 pr-6 text-[11px] text-gray-700 focus:border-gray-400 focus:ring-0"
+                title="Upload speed limit"
+            >
+                {UPLOAD_BANDWIDTH_PRESETS.map((bps) => (
+                    <option key={bps} value={bps}>
+                        {bps === 0 ? 'No limit' : `${formatBytesHuman(bps)}/s`}
+                    </option>
+                ))}
+            </select>
+            <button
+                type="button"
+                onClick={onTogglePause}
+                disabled={disabled}
+                className="inline-flex items-center gap-1 rounded px-1.5 py-0.5 font-medium text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+                aria-pressed={paused}
+            >
+                {paused ? <PlayIcon className="h-3.5 w-3.5" /> : <PauseIcon className="h-3.5 w-3.5" />}
+                {paused ? 'Resume' : 'Pause'}
+            </button>
+        </div>
+    )
+}
+
+export default memo(UploadQueueControls)
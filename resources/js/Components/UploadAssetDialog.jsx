@@ -62,6 +62,22 @@ import {
 import { shouldRegisterGridBlobPreview } from '../utils/browserGridBlobPreview'
 import { getUploadAcceptAttribute, decideClientUpload } from '../utils/damFileTypes'
 import BatchNamingBar from './Upload/BatchNamingBar'
+import FolderMappingPanel from './Upload/FolderMappingPanel'
+import {
+    entriesFromDataTransfer,
+    entriesFromFileList,
+    folderCategoryMetadataGaps,
+    hasFolderStructure,
+    mergeUploadMetadataDrafts,
+} from '../utils/uploadFolderMapping'
+import { createUploadContentHasher } from '../utils/uploadContentHash'
+import {
+    isPreparableUploadImage,
+    preprocessUploadImage,
+    resolveUploadImagePolicy,
+    uploadImagePolicyKey,
+} from '../utils/uploadImagePreprocess'
+import { filesFromClipboardData } from '../utils/uploadPaste'
 import UploadBatchSummary from './Upload/UploadBatchSummary'
 import { FloatingUploadProgressTray } from './FloatingUploadProgressTray'
 import { formatBytesHuman } from '../utils/formatBytesHuman'
@@ -126,6 +142,38 @@ async function fetchThumbnailStatusBatch(assetIds) {
 const UPLOAD_DIALOG_MINIMIZED_KEY = 'uploadAssetDialogMinimized'
 
 /** Field keys in the upload metadata schema (used to drop stale global/per-file values when the category changes). */
+/**
+ * Upload metadata schema for a category (backend derives file kind from the category slug — matches Manage → Categories).
+ * @param {number|string} categoryId
+ * @returns {Promise<Object>}
+ */
+function fetchUploadMetadataSchema(categoryId) {
+    const params = new URLSearchParams({
+        category_id: categoryId.toString(),
+    })
+
+    return fetch(`/app/uploads/metadata-schema?${params.toString()}`, {
+        method: 'GET',
+        headers: {
+            'Accept': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest',
+        },
+        credentials: 'same-origin',
+    })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to fetch metadata schema: ${response.status}`)
+            }
+            return response.json()
+        })
+        .then(data => {
+            if (data.error) {
+                throw new Error(data.message || 'Failed to load metadata schema')
+            }
+            return data
+        })
+}
+
 function getUploadSchemaFieldKeySet(schema) {
     if (!schema?.groups?.length) {
         return new Set()
@@ -301,6 +349,9 @@ export default function UploadAssetDialog({
      * Declared before collectionFieldVisible useMemo (which depends on it).
      */
     const [uploadMetadataSchema, setUploadMetadataSchema] = useState(null)
+    /** Upload schemas of folder-mapped categories other than the batch one, by category id (null = failed to load). */
+    const [folderCategorySchemas, setFolderCategorySchemas] = useState({})
+    const folderCategorySchemaRequestsRef = useRef(new Set())
     const [isLoadingMetadataSchema, setIsLoadingMetadataSchema] = useState(false)
 
     /** C9: Collections to attach to uploaded assets (manifest.*.collection_ids) */
@@ -395,6 +446,8 @@ export default function UploadAssetDialog({
      * - progress: number (0-100)
      * - uploadKey?: string (set when upload completes, needed for finalize)
      * - metadataDraft: Record<string, any> (per-file metadata overrides, empty = inherit global)
+     * - relativePath: string (path inside an uploaded folder; the file name otherwise)
+     * - categoryId: number | null (per-file category from folder mapping; null = batch category)
      * - error: null | Error object
      */
     const [v2Files, setV2Files] = useState([])
@@ -405,6 +458,7 @@ export default function UploadAssetDialog({
     // FINAL FIX: Track mapping between v2File.clientId and UploadManager.clientReference for multipart uploads
     // This allows us to read status/progress from UploadManager instead of v2Files for chunked uploads
     const v2ToUploadManagerMapRef = useRef(new Map()) // Map<v2File.clientId, UploadManager.clientReference>
+    const directUploadAbortRef = useRef(new Map()) // Map<v2File.clientId, AbortController> for in-flight direct PUTs
     
     // FINAL FIX: Prevent AUTO_CLOSE_V2 from executing multiple times per dialog open cycle
     const autoClosedRef = useRef(false)
@@ -415,6 +469,9 @@ export default function UploadAssetDialog({
     useEffect(() => {
         v2FilesRef.current = v2Files
     }, [v2Files])
+    // Read by image preparation, which outlives the render that started it
+    const selectedCategoryIdRef = useRef(selectedCategoryId)
+    selectedCategoryIdRef.current = selectedCategoryId
 
     useEffect(() => {
         if (v2Files.length === 0) {
@@ -843,6 +900,8 @@ export default function UploadAssetDialog({
      */
     const uploadSingleFile = useCallback(async (fileEntry) => {
         const { clientId, file } = fileEntry
+        // Under a bandwidth cap the backend sends anything above one 5 MB part through multipart, paced per part
+        const paced = UploadManager.getTransferState().bandwidthLimit > 0
 
         try {
             // b. POST to /app/uploads/initiate-batch
@@ -862,11 +921,32 @@ export default function UploadAssetDialog({
                 if (includePreflight && preflightIdRef.current) {
                     p.preflight_id = preflightIdRef.current
                 }
+                if (paced) {
+                    p.paced = true
+                }
                 return p
             }
 
+            // Duplicate uploaded "as new version": the asset's replace-file session replaces initiate-batch
+            // (same direct / chunked response shape); finalize then sees mode=replace on the session.
+            const versionOfAssetId = fileEntry.versionOf?.asset_id || null
+
+            // A multipart upload interrupted by a reload (or a closed dialog) picks up from its finished parts
+            // instead of initiating a new session; UploadManager persists the parts it has sent.
+            const resumableClientRef = await UploadManager.findResumableUpload(file, {
+                brandId: auth.activeBrand?.id,
+                replaceAssetId: versionOfAssetId,
+            })
+            if (resumableClientRef) {
+                v2ToUploadManagerMapRef.current.set(clientId, resumableClientRef)
+                UploadManager.startUpload(resumableClientRef).catch(() => {})
+                return
+            }
+
+            const initiateUrl = versionOfAssetId ? `/app/assets/${versionOfAssetId}/replace-file` : '/app/uploads/initiate-batch'
+
             const postInitiate = async (payload) => {
-                let res = await fetch('/app/uploads/initiate-batch', {
+                let res = await fetch(initiateUrl, {
                     method: 'POST',
                     headers: uploadJsonFetchHeaders(),
                     credentials: 'same-origin',
@@ -875,7 +955,7 @@ export default function UploadAssetDialog({
                 if (res.status === 419) {
                     const newToken = await refreshCsrfToken()
                     if (newToken) {
-                        res = await fetch('/app/uploads/initiate-batch', {
+                        res = await fetch(initiateUrl, {
                             method: 'POST',
                             headers: uploadJsonFetchHeaders(newToken),
                             credentials: 'same-origin',
@@ -886,8 +966,17 @@ export default function UploadAssetDialog({
                 return res
             }
 
-            const preflightIdAtStart = preflightIdRef.current
-            let response = await postInitiate(buildPayload(true))
+            const preflightIdAtStart = versionOfAssetId ? null : preflightIdRef.current
+            let response = await postInitiate(
+                versionOfAssetId
+                    ? {
+                        file_name: file.name,
+                        file_size: file.size,
+                        mime_type: file.type || 'application/octet-stream',
+                        ...(paced ? { paced: true } : {}),
+                    }
+                    : buildPayload(true),
+            )
             if (response.status === 422 && preflightIdAtStart) {
                 let errJson = null
                 try {
@@ -959,9 +1048,9 @@ export default function UploadAssetDialog({
                 throw error
             }
             
-            const responseData = await parseUploadJsonResponse(response, 'initiate-batch')
+            const responseData = await parseUploadJsonResponse(response, versionOfAssetId ? 'replace-file' : 'initiate-batch')
 
-            const result = responseData.uploads[0]
+            const result = versionOfAssetId ? responseData : responseData.uploads[0]
             if (result.error) {
                 throw new Error(result.error)
             }
@@ -977,14 +1066,26 @@ export default function UploadAssetDialog({
                     throw new Error('No presigned URL returned for direct upload')
                 }
                 
-                // d. PUT the file to the returned presigned URL
-                const putResponse = await fetch(uploadUrl, {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': file.type || 'application/octet-stream',
-                    },
-                    body: file,
-                })
+                // d. PUT the file to the returned presigned URL (paced by the queue's bandwidth cap).
+                // Removing the file or pausing the queue aborts both the wait and the PUT.
+                const abortController = new AbortController()
+                directUploadAbortRef.current.set(clientId, abortController)
+                const unregisterDirectTransfer = UploadManager.registerDirectTransfer(abortController)
+                let putResponse
+                try {
+                    await UploadManager.waitForBandwidth(file.size, abortController.signal)
+                    putResponse = await fetch(uploadUrl, {
+                        method: 'PUT',
+                        headers: {
+                            'Content-Type': file.type || 'application/octet-stream',
+                        },
+                        body: file,
+                        signal: abortController.signal,
+                    })
+                } finally {
+                    unregisterDirectTransfer()
+                    directUploadAbortRef.current.delete(clientId)
+                }
                 
                 if (!putResponse.ok) {
                     throw new Error(`S3 upload failed: ${putResponse.status} ${putResponse.statusText}`)
@@ -995,6 +1096,9 @@ export default function UploadAssetDialog({
                 // Add file to UploadManager and get the clientReference
                 const clientReferences = UploadManager.addFiles([file], {
                     brandId: auth.activeBrand?.id,
+                    relativePaths: [fileEntry.relativePath || file.name],
+                    contentSha256s: [fileEntry.contentSha256 || null],
+                    replaceAssetIds: [versionOfAssetId],
                 })
                 
                 if (clientReferences.length === 0) {
@@ -1069,6 +1173,17 @@ export default function UploadAssetDialog({
                 uploadKey: uploadKey,
             }
         } catch (error) {
+            if (error.name === 'AbortError' || error.message === 'Upload cancelled') {
+                // Paused from the tray: back in the queue, restarted (new session) on resume.
+                // Otherwise the file was removed or the dialog reset, and there is nothing to update.
+                if (UploadManager.getTransferState().paused) {
+                    setV2Files((prevFiles) => prevFiles.map((f) => (
+                        f.clientId === clientId ? { ...f, status: 'selected', progress: 0, error: null } : f
+                    )))
+                }
+                return
+            }
+
             // Phase 2.5 Step 1: Normalize error for consistent AI-ready format
             const normalizedError = normalizeUploadError(error, {
                 httpStatus: error.response?.status || error.status,
@@ -1130,6 +1245,7 @@ export default function UploadAssetDialog({
                     mime_type: e.file.type || null,
                     extension: deriveExt(e.file),
                     last_modified: e.file.lastModified != null ? e.file.lastModified : undefined,
+                    relative_path: e.relativePath || undefined,
                 })),
             }
             const pendingIds = new Set(pending.map((p) => p.clientId))
@@ -1190,7 +1306,8 @@ export default function UploadAssetDialog({
                             }
                         }
                         if (acceptedIds.has(f.clientId)) {
-                            return { ...f, status: 'selected' }
+                            // Held until the content hash is checked for duplicates (see duplicate detection below)
+                            return { ...f, status: 'hashing' }
                         }
                         return {
                             ...f,
@@ -1235,6 +1352,156 @@ export default function UploadAssetDialog({
         [auth.activeBrand?.id, selectedCategoryId, selectedCollectionIds, applyAiMetadata],
     )
 
+    /**
+     * Duplicate detection: every added file is SHA-256 hashed in a Web Worker while preflight runs.
+     * Accepted files wait in 'hashing' until their hash is checked against existing versions
+     * (POST /app/uploads/duplicates); matches become 'duplicate' and wait for skip / new version / upload anyway
+     * in the tray, so nothing is sent to S3 first. Hash or lookup failures never block an upload.
+     */
+    const contentHasherRef = useRef(null)
+    const contentHashesRef = useRef(new Map()) // Map<clientId, Promise<string|null>>
+    const duplicateCheckStartedRef = useRef(new Set())
+    const duplicateCheckQueueRef = useRef([])
+    const duplicateCheckTimerRef = useRef(null)
+
+    useEffect(() => () => contentHasherRef.current?.terminate(), [])
+
+    const startContentHashes = useCallback((entries) => {
+        for (const entry of entries) {
+            if (entry.error || contentHashesRef.current.has(entry.clientId)) {
+                continue
+            }
+            if (!contentHasherRef.current) {
+                contentHasherRef.current = createUploadContentHasher()
+            }
+            let lastPercent = 0
+            const promise = contentHasherRef.current
+                .hash(entry.file, (hashedBytes, totalBytes) => {
+                    const percent = totalBytes > 0 ? Math.floor((hashedBytes / totalBytes) * 100) : 100
+                    if (percent - lastPercent < 2 && percent < 100) {
+                        return
+                    }
+                    lastPercent = percent
+                    setV2Files((prev) =>
+                        prev.map((f) => (f.clientId === entry.clientId ? { ...f, hashProgress: percent } : f)),
+                    )
+                })
+                .then((sha256) => {
+                    setV2Files((prev) =>
+                        prev.map((f) => (f.clientId === entry.clientId ? { ...f, contentSha256: sha256 } : f)),
+                    )
+                    return sha256
+                })
+                .catch((err) => {
+                    console.warn('[UPLOAD_V2] Content hash failed; uploading without a fingerprint', {
+                        clientId: entry.clientId,
+                        error: err?.message,
+                    })
+                    return null
+                })
+            contentHashesRef.current.set(entry.clientId, promise)
+        }
+    }, [])
+
+    const flushDuplicateChecks = useCallback(async () => {
+        duplicateCheckTimerRef.current = null
+        const batch = duplicateCheckQueueRef.current.splice(0)
+        if (batch.length === 0) {
+            return
+        }
+        let duplicates = {}
+        try {
+            const body = JSON.stringify({ brand_id: auth.activeBrand?.id, files: batch })
+            let res = await fetch('/app/uploads/duplicates', {
+                method: 'POST',
+                headers: uploadJsonFetchHeaders(),
+                credentials: 'same-origin',
+                body,
+            })
+            if (res.status === 419) {
+                const newToken = await refreshCsrfToken()
+                if (newToken) {
+                    res = await fetch('/app/uploads/duplicates', {
+                        method: 'POST',
+                        headers: uploadJsonFetchHeaders(newToken),
+                        credentials: 'same-origin',
+                        body,
+                    })
+                }
+            }
+            if (!res.ok) {
+                throw new Error(`Duplicate check failed (${res.status})`)
+            }
+            const data = await parseUploadJsonResponse(res, 'duplicates')
+            duplicates = data.duplicates || {}
+        } catch (err) {
+            console.warn('[UPLOAD_V2] Duplicate check failed; uploading without it', { error: err?.message })
+        }
+        const ids = new Set(batch.map((b) => b.client_file_id))
+        setV2Files((prev) =>
+            prev.map((f) => {
+                if (!ids.has(f.clientId) || f.status !== 'hashing') {
+                    return f
+                }
+                const matches = duplicates[f.clientId]
+                return matches?.length
+                    ? { ...f, status: 'duplicate', duplicateMatches: matches }
+                    : { ...f, status: 'selected' }
+            }),
+        )
+    }, [auth.activeBrand?.id])
+
+    useEffect(() => {
+        const hashingIds = new Set(v2Files.filter((f) => f.status === 'hashing').map((f) => f.clientId))
+        // A retried file comes back through preflight and must be checked again.
+        duplicateCheckStartedRef.current.forEach((id) => {
+            if (!hashingIds.has(id)) duplicateCheckStartedRef.current.delete(id)
+        })
+        for (const f of v2Files) {
+            if (f.status !== 'hashing' || duplicateCheckStartedRef.current.has(f.clientId)) {
+                continue
+            }
+            duplicateCheckStartedRef.current.add(f.clientId)
+            startContentHashes([f])
+            const hashPromise = contentHashesRef.current.get(f.clientId)
+            hashPromise.then((sha256) => {
+                // Superseded: the file was prepared again for another category and is being re-hashed
+                if (contentHashesRef.current.get(f.clientId) !== hashPromise) {
+                    return
+                }
+                if (!sha256) {
+                    setV2Files((prev) =>
+                        prev.map((x) => (x.clientId === f.clientId && x.status === 'hashing' ? { ...x, status: 'selected' } : x)),
+                    )
+                    return
+                }
+                // Files finish hashing one by one; a short delay lets neighbours share one request.
+                duplicateCheckQueueRef.current.push({ client_file_id: f.clientId, sha256, size: f.file.size })
+                if (!duplicateCheckTimerRef.current) {
+                    duplicateCheckTimerRef.current = setTimeout(flushDuplicateChecks, 150)
+                }
+            })
+        }
+    }, [v2Files, startContentHashes, flushDuplicateChecks])
+
+    /** Tray choice for a duplicate row. "New version" uploads through the asset's replace-file session instead. */
+    const resolveDuplicateV2 = useCallback((clientId, choice, match) => {
+        setV2Files((prev) =>
+            prev.map((f) => {
+                if (f.clientId !== clientId || f.status !== 'duplicate') {
+                    return f
+                }
+                if (choice === 'skip') {
+                    return { ...f, status: 'cancelled' }
+                }
+                if (choice === 'new_version' && match?.asset_id) {
+                    return { ...f, status: 'selected', versionOf: match }
+                }
+                return { ...f, status: 'selected', versionOf: null }
+            }),
+        )
+    }, [])
+
     /**
      * ═══════════════════════════════════════════════════════════════
      * CLEAN UPLOADER V2 — File Selection Handler
@@ -1243,7 +1510,72 @@ export default function UploadAssetDialog({
      * Clean file selection handler that populates v2Files state and triggers upload.
      * Does NOT reference any legacy upload logic, hooks, managers, or effects.
      */
-    const handleFileSelect = useCallback((selectedFiles) => {
+    /**
+     * Image preparation (HEIC, EXIF orientation, per-category downscale) runs before preflight and hashing so both
+     * see the bytes that will be uploaded. When the category keeps originals, only a local preview is registered.
+     * Images keep the picked file as `originalFile` so a later category change can prepare them again from it.
+     */
+    const prepareUploadImages = useCallback(async (entries) => {
+        const prepared = []
+        for (const entry of entries) {
+            const source = entry.originalFile || entry.file
+            if (entry.error || !isPreparableUploadImage(source)) {
+                prepared.push(entry)
+                continue
+            }
+            const categoryId = entry.categoryId ?? selectedCategoryIdRef.current
+            const category = categories.find((c) => c.id != null && String(c.id) === String(categoryId))
+            const policy = resolveUploadImagePolicy(category)
+            const result = await preprocessUploadImage(source, policy)
+            const next = {
+                ...entry,
+                file: result?.file || source,
+                originalFile: source,
+                imagePolicyKey: uploadImagePolicyKey(policy),
+                imagePrep: result
+                    ? {
+                          replaced: Boolean(result.file),
+                          converted: result.plan.converted,
+                          rotated: result.plan.rotated,
+                          downscaled: result.plan.downscaled,
+                          width: result.plan.width,
+                          height: result.plan.height,
+                      }
+                    : null,
+            }
+            // Re-preparing back to the original: its grid preview replaces the derivative's
+            const previewSource = result?.file
+                ? shouldRegisterGridBlobPreview(result.file) ? result.file : null
+                : result?.previewBlob || (entry.file !== source && shouldRegisterGridBlobPreview(source) ? source : null)
+            if (previewSource) {
+                try {
+                    registerUploadPreview(entry.clientId, URL.createObjectURL(previewSource), {
+                        filename: next.file.name,
+                        size: next.file.size,
+                        mimeType: next.file.type || '',
+                    })
+                } catch {
+                    /* local preview is optional */
+                }
+            }
+            prepared.push(next)
+        }
+
+        const changed = new Map(prepared.filter((e, i) => e !== entries[i]).map((e) => [e.clientId, e]))
+        if (changed.size > 0) {
+            setV2Files((prev) =>
+                prev.map((f) => {
+                    const p = changed.get(f.clientId)
+                    return p
+                        ? { ...f, file: p.file, originalFile: p.originalFile, imagePolicyKey: p.imagePolicyKey, imagePrep: p.imagePrep }
+                        : f
+                }),
+            )
+        }
+        return prepared
+    }, [categories])
+
+    const handleFileSelect = useCallback((selectedFiles, folderOptions = null) => {
         if (!selectedFiles || selectedFiles.length === 0) {
             return
         }
@@ -1319,7 +1651,9 @@ export default function UploadAssetDialog({
         // dam_file_types Inertia prop). Blocked / coming-soon / unregistered files
         // land as 'failed' immediately so the user sees a queue row with a clear
         // reason — no network round-trip required.
-        const newV2FileEntries = toAddFiles.map((file) => {
+        const newV2FileEntries = toAddFiles.map((file, index) => {
+            // Folder uploads: path inside the folder plus the category / metadata its folders mapped to
+            const folderAssignment = folderOptions?.assignments?.[index] || null
             // Generate UUID - crypto.randomUUID needs to be called with proper context
             let clientId
             if (window.crypto && window.crypto.randomUUID) {
@@ -1353,7 +1687,9 @@ export default function UploadAssetDialog({
                 uploadKey: null,
                 title: null,
                 resolvedFilename: null,
-                metadataDraft: {},
+                metadataDraft: { ...(folderAssignment?.metadataDraft || {}) },
+                relativePath: folderOptions?.relativePaths?.[index] || file.webkitRelativePath || file.name,
+                categoryId: folderAssignment?.categoryId ?? null,
                 error: unreadableFromZip
                     ? {
                           message:
@@ -1390,8 +1726,90 @@ export default function UploadAssetDialog({
         // Add new file entries to v2Files state ONLY
         // Upload coordinator useEffect will handle starting uploads automatically
         setV2Files((prevFiles) => [...prevFiles, ...newV2FileEntries])
-        void runUploadPreflight(newV2FileEntries)
-    }, [selectedCategoryId, runUploadPreflight, uploadMaxFilesPerBatch])
+        void prepareUploadImages(newV2FileEntries).then((preparedEntries) => {
+            startContentHashes(preparedEntries)
+            return runUploadPreflight(preparedEntries)
+        })
+
+        // Folder-mapped categories satisfy the "choose a category" step: default the batch to the most common one.
+        if (selectedCategoryId == null) {
+            const counts = new Map()
+            newV2FileEntries.forEach((e) => {
+                if (e.categoryId != null) counts.set(e.categoryId, (counts.get(e.categoryId) || 0) + 1)
+            })
+            const top = [...counts].sort((a, b) => b[1] - a[1])[0]
+            if (top) setSelectedCategoryId(top[0])
+        }
+    }, [selectedCategoryId, runUploadPreflight, startContentHashes, prepareUploadImages, uploadMaxFilesPerBatch])
+
+    /**
+     * Changing the batch category before files start uploading re-prepares their images under the new category's
+     * policy (from the picked originals), then sends them through hashing, duplicate check and preflight again.
+     * Files with a folder-mapped category keep theirs; files still being prepared read the new category themselves.
+     */
+    useEffect(() => {
+        const category = categories.find((c) => c.id != null && String(c.id) === String(selectedCategoryId))
+        const policyKey = uploadImagePolicyKey(resolveUploadImagePolicy(category))
+        const stale = v2FilesRef.current.filter(
+            (f) =>
+                f.originalFile &&
+                f.categoryId == null &&
+                !f.error &&
+                ['hashing', 'duplicate', 'selected'].includes(f.status) &&
+                f.imagePolicyKey !== policyKey,
+        )
+        if (stale.length === 0) {
+            return
+        }
+        const staleIds = new Set(stale.map((f) => f.clientId))
+        const reset = stale.map((f) => ({
+            ...f,
+            status: 'pending_preflight',
+            progress: 0,
+            contentSha256: null,
+            hashProgress: 0,
+            duplicateMatches: null,
+            versionOf: null,
+        }))
+        staleIds.forEach((id) => contentHashesRef.current.delete(id))
+        // Held at pending_preflight so the upload coordinator cannot pick them up while they are prepared
+        setV2Files((prev) => prev.map((f) => (staleIds.has(f.clientId) ? reset.find((r) => r.clientId === f.clientId) : f)))
+        void prepareUploadImages(reset).then((preparedEntries) => {
+            const current = new Set(
+                v2FilesRef.current.filter((f) => staleIds.has(f.clientId) && f.status === 'pending_preflight').map((f) => f.clientId),
+            )
+            const stillQueued = preparedEntries.filter((e) => current.has(e.clientId))
+            startContentHashes(stillQueued)
+            return runUploadPreflight(stillQueued)
+        })
+    }, [selectedCategoryId, categories]) // eslint-disable-line react-hooks/exhaustive-deps - re-plan on category changes only, not on every file update
+
+    /** Files from a folder pick / drop: ask how folder levels map before preflight; flat selections go straight in. */
+    const [pendingFolderEntries, setPendingFolderEntries] = useState(null)
+    const folderInputRef = useRef(null)
+
+    const handleFolderEntries = useCallback((entries) => {
+        if (!entries || entries.length === 0) {
+            return
+        }
+        if (hasFolderStructure(entries)) {
+            setPendingFolderEntries(entries)
+            return
+        }
+        handleFileSelect(
+            entries.map((e) => e.file),
+            { relativePaths: entries.map((e) => e.relativePath) },
+        )
+    }, [handleFileSelect])
+
+    const applyFolderMappingV2 = useCallback((assignments) => {
+        const entries = pendingFolderEntries || []
+        setPendingFolderEntries(null)
+        handleFileSelect(
+            entries.map((e) => e.file),
+            { relativePaths: entries.map((e) => e.relativePath), assignments },
+        )
+    }, [pendingFolderEntries, handleFileSelect])
     
     // DISABLED LEGACY CODE (commented out for clean uploader v2):
     /*
@@ -1565,11 +1983,27 @@ export default function UploadAssetDialog({
         e.stopPropagation()
         setIsDragging(false)
         
-        const files = e.dataTransfer.files
-        if (files.length > 0) {
+        // Dropped folders are walked recursively; relative paths are kept for the folder mapping step.
+        const flatFiles = Array.from(e.dataTransfer.files || [])
+        void entriesFromDataTransfer(e.dataTransfer)
+            .then(handleFolderEntries)
+            .catch(() => handleFileSelect(flatFiles))
+    }, [handleFolderEntries, handleFileSelect])
+
+    // Paste-to-upload while the dialog is open: screenshots and copied files become upload items.
+    // Text pastes (metadata fields) are left alone.
+    useEffect(() => {
+        if (!open || isFinalizeSuccess) return undefined
+        const onPaste = (e) => {
+            if (e.defaultPrevented) return
+            const files = filesFromClipboardData(e.clipboardData)
+            if (files.length === 0) return
+            e.preventDefault()
             handleFileSelect(files)
         }
-    }, [handleFileSelect])
+        document.addEventListener('paste', onPaste)
+        return () => document.removeEventListener('paste', onPaste)
+    }, [open, isFinalizeSuccess, handleFileSelect])
 
     /**
      * ═══════════════════════════════════════════════════════════════
@@ -1972,10 +2406,7 @@ export default function UploadAssetDialog({
         const file = v2Files.find((f) => f.clientId === clientId)
         if (!file) return {}
         
-        return {
-            ...globalMetadataDraft,
-            ...(file.metadataDraft || {}),
-        }
+        return mergeUploadMetadataDrafts(globalMetadataDraft, file.metadataDraft)
     }, [v2Files, globalMetadataDraft])
 
     /**
@@ -2125,8 +2556,12 @@ export default function UploadAssetDialog({
             }
         }
         
+        // Abort an in-flight direct PUT (or its wait for bandwidth)
+        directUploadAbortRef.current.get(clientId)?.abort()
+
         // Clean up mapping
         v2ToUploadManagerMapRef.current.delete(clientId)
+        contentHashesRef.current.delete(clientId)
         
         // Remove from v2Files
         setV2Files((prevFiles) => prevFiles.filter((f) => f.clientId !== clientId))
@@ -2827,6 +3262,21 @@ export default function UploadAssetDialog({
         })
         return unsubscribe
     }, [])
+
+    // Queue-level pause / bandwidth cap / rate for the tray header (refreshed on every UploadManager change)
+    const uploadTransferState = useMemo(
+        () => UploadManager.getTransferState(),
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+        [uploadManagerStateVersion]
+    )
+
+    const toggleUploadQueuePause = useCallback(() => {
+        if (UploadManager.getTransferState().paused) {
+            UploadManager.resumeAll()
+        } else {
+            UploadManager.pauseAll()
+        }
+    }, [])
     
     /**
      * Phase 2.8: Batch status computation includes UploadManager state for multipart uploads
@@ -3137,7 +3587,7 @@ export default function UploadAssetDialog({
         // Check for active uploads (direct or multipart) - ANY active upload blocks finalize
         const hasUploading = activeV2Files.some((f) => {
             // Direct uploads: check v2Files status
-            if (f.status === 'uploading' || f.status === 'selected' || f.status === 'pending_preflight') {
+            if (['uploading', 'selected', 'pending_preflight', 'hashing', 'duplicate'].includes(f.status)) {
                 return true
             }
             
@@ -3219,10 +3669,18 @@ export default function UploadAssetDialog({
             return 'Fix or remove failed uploads before finalizing.'
         }
 
+        if (activeV2Files.some((f) => f.status === 'duplicate')) {
+            return 'Choose what to do with files that are already in the library.'
+        }
+
+        if (uploadTransferState.paused) {
+            return 'Uploads are paused. Resume the queue to finish uploading.'
+        }
+
         const stillUploading =
             batchStatus === 'uploading' ||
             activeV2Files.some((f) => {
-                if (['uploading', 'selected', 'pending_preflight'].includes(f.status)) return true
+                if (['uploading', 'selected', 'pending_preflight', 'hashing'].includes(f.status)) return true
                 const ref = v2ToUploadManagerMapRef.current.get(f.clientId)
                 if (ref) {
                     const u = uploadManagerMap.get(ref)
@@ -3242,7 +3700,7 @@ export default function UploadAssetDialog({
         }
 
         return null
-    }, [isFinalizeSuccess, v2Files, canFinalizeV2, batchStatus, selectedCategoryId, uploadManagerStateVersion])
+    }, [isFinalizeSuccess, v2Files, canFinalizeV2, batchStatus, selectedCategoryId, uploadManagerStateVersion, uploadTransferState.paused])
 
     /** Amber callout under category control — keeps the footer from repeating the same guidance. */
     const showCategoryRequiredHint = useMemo(() => {
@@ -3375,6 +3833,24 @@ export default function UploadAssetDialog({
             return // Should not happen if canFinalizeV2 is true, but guard anyway
         }
 
+        // Folder-mapped files finalize into their own category: its required fields apply to them, not the batch form's.
+        const folderCategoryGaps = folderCategoryMetadataGaps(uploadedFiles, selectedCategoryId, folderCategorySchemas, metadataDraftForFinalize)
+        if (folderCategoryGaps.length > 0) {
+            const categoryName = (id) => categories.find((c) => c.id != null && String(c.id) === String(id))?.name || 'another folder'
+            const loading = folderCategoryGaps.find((g) => g.loading)
+            setFinalizeError(
+                loading
+                    ? `Still loading the fields for “${categoryName(loading.categoryId)}” — try again in a moment.`
+                    : folderCategoryGaps
+                          .map(
+                              (g) =>
+                                  `${g.fileCount} file${g.fileCount === 1 ? '' : 's'} mapped to “${categoryName(g.categoryId)}” need ${g.missingFields.join(', ')}.`,
+                          )
+                          .join(' ') + ' Upload those folders in their own batch with that category chosen, or map them to another category.',
+            )
+            return
+        }
+
         console.log('[FINALIZE_V2] Starting finalize', { uploadedCount: uploadedFiles.length })
 
         // Helper functions to derive title and resolvedFilename (matching usePhase3UploadManager logic)
@@ -3440,16 +3916,20 @@ export default function UploadAssetDialog({
             // Only include fields from upload schema, exclude empty values
             // CRITICAL: Read current state directly instead of using callback to avoid stale closures
             const file = v2Files.find((f) => f.clientId === fileEntry.clientId)
-            const effectiveMetadata = file ? {
-                ...metadataDraftForFinalize,
-                ...(file.metadataDraft || {}),
-            } : metadataDraftForFinalize
+            const effectiveMetadata = file
+                ? mergeUploadMetadataDrafts(metadataDraftForFinalize, file.metadataDraft)
+                : metadataDraftForFinalize
             const metadataPayload = {}
+            // A folder-mapped file in another category takes that category's fields
+            const fileSchema =
+                file?.categoryId != null && String(file.categoryId) !== String(selectedCategoryId)
+                    ? folderCategorySchemas[file.categoryId] || null
+                    : uploadMetadataSchema
             
-            if (uploadMetadataSchema && effectiveMetadata) {
+            if (fileSchema && effectiveMetadata) {
                 // Build set of valid field keys from schema
                 const validFieldKeys = new Set()
-                uploadMetadataSchema.groups?.forEach(group => {
+                fileSchema.groups?.forEach(group => {
                     group.fields?.forEach(field => {
                         validFieldKeys.add(field.key)
                     })
@@ -3472,7 +3952,7 @@ export default function UploadAssetDialog({
             } else {
                 // CRITICAL FIX: If we have effectiveMetadata but no schema, still send the metadata
                 // This prevents data loss when schema loading fails or is delayed
-                if (effectiveMetadata && !uploadMetadataSchema && Object.keys(effectiveMetadata).length > 0) {
+                if (effectiveMetadata && !fileSchema && Object.keys(effectiveMetadata).length > 0) {
                     Object.keys(effectiveMetadata).forEach(fieldKey => {
                         const value = effectiveMetadata[fieldKey]
                         if (value !== null && value !== undefined && value !== '') {
@@ -3516,6 +3996,10 @@ export default function UploadAssetDialog({
                 })
             }
             
+            const contentSha256 =
+                file?.contentSha256 ||
+                uploadManagerMap.get(v2ToUploadManagerMapRef.current.get(fileEntry.clientId))?.contentSha256 ||
+                null
             const manifestItem = {
                 upload_key: uploadKey,
                 expected_size: fileEntry.file.size,
@@ -3523,11 +4007,15 @@ export default function UploadAssetDialog({
                 // C9.1: Only include category_id if it's set (null/undefined means not selected)
                 // Backend requires category_id for new assets, so this should always be set if validation passed
                 ...(selectedCategoryId !== null && selectedCategoryId !== undefined && { category_id: selectedCategoryId }),
+                // Folder mapping: a file's own category (from its folder) wins over the batch category
+                ...(file?.categoryId != null && { category_id: file.categoryId }),
                 metadata: metadataPayload, // Phase 2 – Step 4: Only valid fields, no empty values
                 title: normalizedTitle, // This now includes user-edited title if available
                 resolved_filename: resolvedFilename,
                 // C9.1: Always include collection_ids (even if empty array) so backend can process
                 collection_ids: selectedCollectionIds || [],
+                // Browser SHA-256; stored on the version and verified server-side
+                ...(contentSha256 && { content_sha256: contentSha256 }),
             }
             
             // CRITICAL: Log the actual manifest item being sent
@@ -3951,6 +4439,8 @@ export default function UploadAssetDialog({
         getEffectiveMetadataV2,
         globalMetadataDraft,
         uploadMetadataSchema,
+        folderCategorySchemas,
+        categories,
         isAdminOrBrandManager,
         applyAiTagging,
         applyAiMetadata,
@@ -4254,28 +4744,8 @@ export default function UploadAssetDialog({
 
         // Upload schema: backend derives file kind (image|video|document) from category slug — matches Manage → Categories
         setIsLoadingMetadataSchema(true)
-        const params = new URLSearchParams({
-            category_id: selectedCategoryId.toString(),
-        })
-
-        fetch(`/app/uploads/metadata-schema?${params.toString()}`, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-                'X-Requested-With': 'XMLHttpRequest',
-            },
-            credentials: 'same-origin',
-        })
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`Failed to fetch metadata schema: ${response.status}`)
-                }
-                return response.json()
-            })
+        fetchUploadMetadataSchema(selectedCategoryId)
             .then(data => {
-                if (data.error) {
-                    throw new Error(data.message || 'Failed to load metadata schema')
-                }
                 setUploadMetadataSchema(data)
                 setIsLoadingMetadataSchema(false)
             })
@@ -4290,6 +4760,36 @@ export default function UploadAssetDialog({
             })
     }, [selectedCategoryId])
 
+    // Folder-mapped files keep their own category; load those categories' schemas so finalize can check them too.
+    const folderCategoryIdsKey = useMemo(
+        () =>
+            [...new Set(v2Files.map((f) => f.categoryId).filter((id) => id != null && String(id) !== String(selectedCategoryId)))]
+                .map(String)
+                .sort()
+                .join(','),
+        [v2Files, selectedCategoryId],
+    )
+    useEffect(() => {
+        if (!folderCategoryIdsKey) {
+            return
+        }
+        folderCategoryIdsKey.split(',').forEach((categoryId) => {
+            if (folderCategorySchemaRequestsRef.current.has(categoryId)) {
+                return
+            }
+            folderCategorySchemaRequestsRef.current.add(categoryId)
+            fetchUploadMetadataSchema(categoryId)
+                .then((data) => setFolderCategorySchemas((prev) => ({ ...prev, [categoryId]: data })))
+                .catch((error) => {
+                    console.error('[UploadAssetDialog] Failed to fetch folder category metadata schema', {
+                        error: error.message,
+                        categoryId,
+                    })
+                    setFolderCategorySchemas((prev) => ({ ...prev, [categoryId]: null }))
+                })
+        })
+    }, [folderCategoryIdsKey])
+
     // When the category’s schema changes, remove metadata keys that no longer exist (stale global + per-file).
     // Keeps the tray “Effective metadata” and override controls in sync with the selected category.
     useEffect(() => {
@@ -4315,7 +4815,8 @@ export default function UploadAssetDialog({
             let any = false
             const mapped = prev.map((f) => {
                 const d = f.metadataDraft || {}
-                if (Object.keys(d).length === 0) {
+                // Files in another (folder-mapped) category are checked against that category's schema at finalize.
+                if (Object.keys(d).length === 0 || (f.categoryId != null && String(f.categoryId) !== String(selectedCategoryIdRef.current))) {
                     return f
                 }
                 const nextDraft = { ...d }
@@ -4456,6 +4957,11 @@ export default function UploadAssetDialog({
             // Already uploading - wait for current upload to finish
             return
         }
+
+        // Queue paused from the tray: nothing new starts until it is resumed
+        if (UploadManager.getTransferState().paused) {
+            return
+        }
         
         // Find the next file with status === 'selected' to upload
         const nextFile = v2Files.find((f) => f.status === 'selected')
@@ -4526,6 +5032,15 @@ export default function UploadAssetDialog({
         setGlobalMetadataDraft({}) // Reset global metadata
         // FINAL FIX: Clear mapping when resetting state
         v2ToUploadManagerMapRef.current.clear()
+        directUploadAbortRef.current.forEach((controller) => controller.abort())
+        directUploadAbortRef.current.clear()
+        contentHasherRef.current?.terminate()
+        contentHasherRef.current = null
+        contentHashesRef.current.clear()
+        duplicateCheckStartedRef.current.clear()
+        duplicateCheckQueueRef.current = []
+        clearTimeout(duplicateCheckTimerRef.current)
+        duplicateCheckTimerRef.current = null
         try {
             if (typeof sessionStorage !== 'undefined') {
                 sessionStorage.removeItem(UPLOAD_DIALOG_MINIMIZED_KEY)
@@ -4685,6 +5200,7 @@ export default function UploadAssetDialog({
                     lifecycle: v2File.status,
                     progress: uploadManagerUpload.progress || 0,
                     originalFilename: v2File.file.name,
+                    relativePath: v2File.relativePath || null,
                     file: v2File.file,
                     title: v2File.title || null,
                     resolvedFilename: v2File.resolvedFilename || defaultResolvedFilename,
@@ -4696,6 +5212,8 @@ export default function UploadAssetDialog({
                     uploadSessionId: v2File.uploadSessionId ?? null,
                     serverPreviewUrl: v2File.serverPreviewUrl ?? null,
                     serverFinalThumbUrl: v2File.serverFinalThumbUrl ?? null,
+                    versionOf: v2File.versionOf ?? null,
+                    imagePrep: v2File.imagePrep ?? null,
                 }
             }
             
@@ -4716,7 +5234,11 @@ export default function UploadAssetDialog({
             let directUploadStatus =
                 v2File.status === 'pending_preflight' || v2File.status === 'selected'
                     ? 'queued'
-                    : v2File.status === 'uploading'
+                    : v2File.status === 'hashing'
+                      ? 'initiating'
+                      : v2File.status === 'duplicate'
+                        ? 'duplicate'
+                        : v2File.status === 'uploading'
                       ? 'uploading'
                       : v2File.status === 'uploaded'
                         ? 'complete'
@@ -4740,8 +5262,10 @@ export default function UploadAssetDialog({
                 clientId: v2File.clientId,
                 uploadStatus: directUploadStatus,
                 lifecycle: v2File.status,
-                progress: v2File.progress,
+                // While hashing, the bar shows how much of the file has been fingerprinted
+                progress: v2File.status === 'hashing' ? v2File.hashProgress || 0 : v2File.progress,
                 originalFilename: v2File.file.name,
+                relativePath: v2File.relativePath || null,
                 file: v2File.file,
                 title: v2File.title || null, // Use title from v2File if available
                 resolvedFilename: v2File.resolvedFilename || defaultResolvedFilename,
@@ -4753,6 +5277,9 @@ export default function UploadAssetDialog({
                 uploadSessionId: v2File.uploadSessionId ?? null,
                 serverPreviewUrl: v2File.serverPreviewUrl ?? null,
                 serverFinalThumbUrl: v2File.serverFinalThumbUrl ?? null,
+                duplicateMatches: v2File.duplicateMatches ?? null,
+                versionOf: v2File.versionOf ?? null,
+                imagePrep: v2File.imagePrep ?? null,
             }
         })
         
@@ -5416,6 +5943,30 @@ export default function UploadAssetDialog({
                                     />
                                 </div>
                             )}
+                        {pendingFolderEntries && (
+                            <FolderMappingPanel
+                                entries={pendingFolderEntries}
+                                categories={filteredCategories}
+                                metadataSchema={uploadMetadataSchema}
+                                onApply={applyFolderMappingV2}
+                                onCancel={() => setPendingFolderEntries(null)}
+                                disabled={isFinalizeSuccess}
+                            />
+                        )}
+                        {/* Folder picker — paths come back in File.webkitRelativePath */}
+                        <input
+                            ref={folderInputRef}
+                            type="file"
+                            multiple
+                            webkitdirectory=""
+                            directory=""
+                            className="hidden"
+                            onChange={(e) => {
+                                handleFolderEntries(entriesFromFileList(e.target.files))
+                                e.target.value = ''
+                            }}
+                            disabled={isFinalizeSuccess}
+                        />
                         {/* File Drop Zone - always visible */}
                         {!hasFiles ? (
                             <div className="mb-4">
@@ -5447,13 +5998,24 @@ export default function UploadAssetDialog({
                                                 Upload your assets
                                             </h3>
                                             <p className="text-sm text-gray-500">
-                                                Drag &amp; drop or select files to start organizing your content
+                                                Drag &amp; drop, paste or select files to start organizing your content
                                             </p>
                                         </div>
                                     </div>
                                     <p className="pointer-events-none mt-4 text-xs text-gray-400">
                                         Supports JPG, PNG, MP4, PSD
                                     </p>
+                                    <button
+                                        type="button"
+                                        className="mt-2 text-xs font-medium text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                                        onClick={(e) => {
+                                            e.stopPropagation()
+                                            folderInputRef.current?.click()
+                                        }}
+                                        disabled={isFinalizeSuccess}
+                                    >
+                                        Or upload a whole folder
+                                    </button>
                                     <input
                                         ref={fileInputRef}
                                         type="file"
@@ -5488,7 +6050,23 @@ export default function UploadAssetDialog({
                                         <p className="text-sm text-gray-600">
                                             {isDragging
                                                 ? 'Drop files here'
-                                                : 'Add more files (drag & drop or click)'}
+                                                : 'Add more files (drag & drop, paste or click)'}
+                                            {!isDragging && (
+                                                <>
+                                                    {' · '}
+                                                    <button
+                                                        type="button"
+                                                        className="font-medium text-indigo-600 hover:text-indigo-800"
+                                                        onClick={(e) => {
+                                                            e.stopPropagation()
+                                                            folderInputRef.current?.click()
+                                                        }}
+                                                        disabled={isFinalizeSuccess}
+                                                    >
+                                                        add a folder
+                                                    </button>
+                                                </>
+                                            )}
                                         </p>
                                         <input
                                             ref={fileInputRef}
@@ -5529,6 +6107,10 @@ export default function UploadAssetDialog({
                                         removeFile(clientId)
                                     }}
                                     onRetryItem={handleRetryTrayItem}
+                                    onResolveDuplicate={resolveDuplicateV2}
+                                    transferState={uploadTransferState}
+                                    onTogglePause={toggleUploadQueuePause}
+                                    onBandwidthLimitChange={(bytesPerSecond) => UploadManager.setBandwidthLimit(bytesPerSecond)}
                                     disabled={batchStatus === 'finalizing' || isFinalizeSuccess}
                                     brandPrimary={brandPrimary}
                                 />
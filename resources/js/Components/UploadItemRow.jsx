@@ -18,7 +18,8 @@ import {
     ChevronDownIcon,
     ChevronUpIcon,
     XMarkIcon,
-    PencilIcon
+    PencilIcon,
+    DocumentDuplicateIcon
 } from '@heroicons/react/24/outline';
 import MetadataFieldRenderer from './MetadataFieldRenderer';
 import FileTypeIcon from './FileTypeIcon';
@@ -31,6 +32,7 @@ import {
     revokeClientUploadPreview,
 } from '../utils/uploadPreviewRegistry';
 import { shouldRegisterGridBlobPreview } from '../utils/browserGridBlobPreview';
+import { describeUploadImagePrep } from '../utils/uploadImagePreprocess';
 
 /**
  * Phase 3.0B: Performance instrumentation
@@ -220,6 +222,16 @@ function getStatusConfig(status) {
                 iconColor: 'text-red-600',
                 pulse: false
             };
+        case 'duplicate':
+            return {
+                label: 'Duplicate',
+                tooltip: 'This exact file is already in the library — choose what to do before it uploads',
+                bgColor: 'bg-amber-50 border border-amber-200',
+                textColor: 'text-amber-900',
+                icon: DocumentDuplicateIcon,
+                iconColor: 'text-amber-600',
+                pulse: false
+            };
         case 'skipped':
             return {
                 label: 'Skipped',
@@ -250,6 +262,7 @@ function getStatusConfig(status) {
  * @param {UploadItem} props.item - Upload item to display
  * @param {Object} props.uploadManager - Phase 3 upload manager instance
  * @param {Function} [props.onRemove] - Callback when item should be removed
+ * @param {Function} [props.onResolveDuplicate] - (clientId, 'skip' | 'new_version' | 'upload_anyway', match) => void
  */
 /**
  * Phase 3.0B: UploadItemRow with render containment optimization
@@ -275,7 +288,7 @@ function deriveBadgeKey(item, displayStatus) {
     return displayStatus
 }
 
-function UploadItemRow({ item, uploadManager, onRemove, onRetry, disabled = false, containPerformance = false, brandPrimary = null }) {
+function UploadItemRow({ item, uploadManager, onRemove, onRetry, onResolveDuplicate, disabled = false, containPerformance = false, brandPrimary = null }) {
     const { auth } = usePage().props
     const canManageBilling =
         Array.isArray(auth?.effective_permissions) && auth.effective_permissions.includes('billing.manage')
@@ -313,6 +326,8 @@ function UploadItemRow({ item, uploadManager, onRemove, onRetry, disabled = fals
     // Safe filename accessors with defaults
     const originalFilename = item.originalFilename || 'unknown';
     const resolvedFilename = item.resolvedFilename || originalFilename;
+    // Folder uploads: show where the file sat in the dropped folder (e.g. "Shoot/Day 1/a.jpg").
+    const sourcePath = item.relativePath && item.relativePath.includes('/') ? item.relativePath : originalFilename;
     
     const [isExpanded, setIsExpanded] = useState(false);
     const [titleEditing, setTitleEditing] = useState(false);
@@ -343,6 +358,8 @@ function UploadItemRow({ item, uploadManager, onRemove, onRetry, disabled = fals
     }
 
     const badgeKey = deriveBadgeKey(item, displayStatus);
+    // Newest matching asset; "Upload as new version" targets this one.
+    const duplicateMatch = item.duplicateMatches?.[0] || null;
     const statusConfig = getStatusConfig(badgeKey);
     const StatusIcon = statusConfig.icon;
     
@@ -385,8 +402,6 @@ function UploadItemRow({ item, uploadManager, onRemove, onRetry, disabled = fals
     const isImage =
         (item.file?.type && item.file.type.startsWith('image/')) ||
         (extension && isLocalImagePreviewUnsupported(extension, item.file?.type));
-    const trayNoLocalBrowserPreview =
-        isImage && isLocalImagePreviewUnsupported(extension, item.file?.type);
     /** Single blob URL per file: parent registers JPG/PNG/WebP/GIF in uploadPreviewRegistry on file pick. */
     const registrySnapshot = useSyncExternalStore(
         subscribeUploadPreviewRegistry,
@@ -394,6 +409,10 @@ function UploadItemRow({ item, uploadManager, onRemove, onRetry, disabled = fals
         () => getUploadPreviewSnapshotForClient(item.clientId),
     );
     const registryUrl = registrySnapshot.split('\u0001')[1] || null;
+    // HEIC the browser could decode gets a JPEG preview registered by the dialog's image preparation
+    const trayNoLocalBrowserPreview =
+        !registryUrl && isImage && isLocalImagePreviewUnsupported(extension, item.file?.type);
+    const imagePrepNote = describeUploadImagePrep(item.imagePrep);
 
     const [orphanBlobUrl, setOrphanBlobUrl] = useState(null);
     useEffect(() => {
@@ -553,6 +572,7 @@ function UploadItemRow({ item, uploadManager, onRemove, onRetry, disabled = fals
         life !== 'finalizing' &&
         item.uploadStatus !== 'processing' &&
         (item.uploadStatus === 'queued' ||
+            item.uploadStatus === 'duplicate' ||
             item.uploadStatus === 'failed' ||
             item.uploadStatus === 'complete' ||
             item.uploadStatus === 'uploading');
@@ -735,12 +755,22 @@ function UploadItemRow({ item, uploadManager, onRemove, onRetry, disabled = fals
                                     </div>
                                 )}
                             </div>
-                            <p className="mt-0.5 truncate text-xs text-gray-500" title={originalFilename}>
-                                {originalFilename}
+                            <p className="mt-0.5 truncate text-xs text-gray-500" title={sourcePath}>
+                                {sourcePath}
                             </p>
                             <p className="text-xs text-gray-500">
                                 {item.file?.size ? formatBytesHuman(item.file.size) : 'Unknown size'}
                             </p>
+                            {item.versionOf && (
+                                <p className="mt-0.5 truncate text-xs text-indigo-700">
+                                    New version of “{item.versionOf.title || item.versionOf.original_filename}”
+                                </p>
+                            )}
+                            {imagePrepNote && (
+                                <p className="mt-0.5 truncate text-xs text-gray-500" title={imagePrepNote}>
+                                    {imagePrepNote}
+                                </p>
+                            )}
 
                             {showByteProgress && (
                                 <div className="mt-2 w-full">
@@ -852,6 +882,56 @@ function UploadItemRow({ item, uploadManager, onRemove, onRetry, disabled = fals
                     </div>
                 </div>
 
+                {/* Duplicate of an existing asset: nothing is sent to S3 until the user picks an option */}
+                {item.uploadStatus === 'duplicate' && duplicateMatch && (
+                    <div className="mt-2 ml-8 rounded-md border border-amber-200 bg-amber-50 px-3 py-2">
+                        <p className="text-sm text-amber-900">
+                            Already in the library as “{duplicateMatch.title || duplicateMatch.original_filename}”
+                            {duplicateMatch.version_number > 1 ? ` (version ${duplicateMatch.version_number})` : ''}.
+                            {item.duplicateMatches.length > 1 && (
+                                <span className="text-amber-700"> Also matches {item.duplicateMatches.length - 1} more.</span>
+                            )}
+                        </p>
+                        {onResolveDuplicate && (
+                            <div className="mt-2 flex flex-wrap gap-2">
+                                <button
+                                    type="button"
+                                    disabled={disabled}
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        onResolveDuplicate(item.clientId, 'skip', duplicateMatch);
+                                    }}
+                                    className="rounded px-2 py-1 text-xs font-medium text-gray-700 ring-1 ring-gray-300 transition-colors hover:bg-white disabled:opacity-50"
+                                >
+                                    Skip
+                                </button>
+                                <button
+                                    type="button"
+                                    disabled={disabled}
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        onResolveDuplicate(item.clientId, 'new_version', duplicateMatch);
+                                    }}
+                                    className="rounded px-2 py-1 text-xs font-medium text-indigo-700 ring-1 ring-indigo-200 transition-colors hover:bg-indigo-50 disabled:opacity-50"
+                                >
+                                    Upload as new version
+                                </button>
+                                <button
+                                    type="button"
+                                    disabled={disabled}
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        onResolveDuplicate(item.clientId, 'upload_anyway', duplicateMatch);
+                                    }}
+                                    className="rounded px-2 py-1 text-xs font-medium text-gray-700 ring-1 ring-gray-300 transition-colors hover:bg-white disabled:opacity-50"
+                                >
+                                    Upload anyway
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 {/* Error message (if failed) - safe access */}
                 {/* Phase 2.5 Step 1: Display normalized errors with retryability indicator */}
                 {/* Phase 2.5 Step 5: Enhanced retry-state clarity - visual indicators for retryability */}
@@ -1219,6 +1299,9 @@ export default memo(UploadItemRow, (prevProps, nextProps) => {
         prev.progress === next.progress &&
         prev.title === next.title &&
         prev.resolvedFilename === next.resolvedFilename &&
+        prev.duplicateMatches === next.duplicateMatches &&
+        prev.versionOf === next.versionOf &&
+        prev.imagePrep === next.imagePrep &&
         ((!prev.error && !next.error) ||
             (prev.error?.message === next.error?.message &&
                 prev.error?.stage === next.error?.stage &&
@@ -1240,6 +1323,9 @@ export default memo(UploadItemRow, (prevProps, nextProps) => {
     if (prevProps.onRemove !== nextProps.onRemove) {
         return false;
     }
+    if (prevProps.onResolveDuplicate !== nextProps.onResolveDuplicate) {
+        return false;
+    }
     if (prevProps.containPerformance !== nextProps.containPerformance) {
         return false;
     }
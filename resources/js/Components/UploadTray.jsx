@@ -6,6 +6,7 @@
 import { useState, useMemo, useRef, useEffect, useCallback } from 'react'
 import UploadItemRow from './UploadItemRow'
 import UploadBatchSummaryBar from './Upload/UploadBatchSummaryBar'
+import UploadQueueControls from './Upload/UploadQueueControls'
 import { computeUploadCounts } from '../utils/uploadTrayCounts'
 import {
     computeOverallBatchUploadPercent,
@@ -80,7 +81,7 @@ function itemFilterBucket(item) {
         return 'ready'
     }
     if (life === 'finalizing' || item.uploadStatus === 'processing') return 'processing'
-    if (item.uploadStatus === 'uploading' || item.uploadStatus === 'queued') return 'uploading'
+    if (item.uploadStatus === 'uploading' || item.uploadStatus === 'queued' || item.uploadStatus === 'duplicate') return 'uploading'
     return 'all'
 }
 
@@ -100,6 +101,8 @@ function buildCollapsedVisibleIdSet(items) {
     for (const it of items) {
         const b = itemFilterBucket(it)
         if (b === 'failed' || b === 'skipped') add(it)
+        // Duplicates wait on a choice in the row, so they are never collapsed away
+        if (it.uploadStatus === 'duplicate') add(it)
         if (b === 'uploading' || b === 'processing') add(it)
         const life = it.lifecycle || ''
         // Bytes on S3, not yet finalized — still “active” for the user
@@ -130,6 +133,10 @@ function countPerFilter(items, filterId) {
  * @param {string} props.batchStatus
  * @param {Function} [props.onRemoveItem]
  * @param {Function} [props.onRetryItem] — (clientId) => void
+ * @param {Function} [props.onResolveDuplicate] — (clientId, choice, match) => void; duplicate rows show skip / new version / upload anyway
+ * @param {Object} [props.transferState] — UploadManager.getTransferState(); shows pause / speed limit controls when set
+ * @param {Function} [props.onTogglePause] — pause or resume the whole queue
+ * @param {Function} [props.onBandwidthLimitChange] — (bytesPerSecond) => void; 0 = unlimited
  * @param {string} [props.className]
  * @param {boolean} [props.disabled]
  * @param {string|null} [props.brandPrimary] — workspace primary for batch + row progress fills
@@ -139,6 +146,10 @@ export default function UploadTray({
     batchStatus = 'idle',
     onRemoveItem,
     onRetryItem,
+    onResolveDuplicate,
+    transferState = null,
+    onTogglePause,
+    onBandwidthLimitChange,
     className = '',
     disabled = false,
     brandPrimary = null,
@@ -254,7 +265,15 @@ export default function UploadTray({
             <div className="sticky top-0 z-20 border-b border-gray-200 bg-white/95 px-4 py-2.5 backdrop-blur-sm">
                 <div className="mb-2 flex items-center justify-between gap-2">
                     <h3 className="text-sm font-medium text-gray-900">Upload queue</h3>
-                    <span className="text-xs text-gray-500 tabular-nums">{items.length} files</span>
+                    <div className="flex items-center gap-3">
+                        <UploadQueueControls
+                            transferState={transferState}
+                            onTogglePause={onTogglePause}
+                            onBandwidthLimitChange={onBandwidthLimitChange}
+                            disabled={disabled}
+                        />
+                        <span className="text-xs text-gray-500 tabular-nums">{items.length} files</span>
+                    </div>
                 </div>
                 <UploadBatchSummaryBar
                     totalCount={items.length}
@@ -365,6 +384,7 @@ export default function UploadTray({
                                 uploadManager={uploadManager}
                                 onRemove={onRemoveItem}
                                 onRetry={onRetryItem}
+                                onResolveDuplicate={onResolveDuplicate}
                                 disabled={disabled}
                                 containPerformance={containPerformance}
                                 brandPrimary={brandPrimary}
@@ -35,6 +35,7 @@ import {
     resolveWorkspaceSidebarSurface,
 } from '../../utils/colorUtils'
 import { isUploadAllowedForDroppedFile } from '../../utils/damFileTypes'
+import { filesFromClipboardData } from '../../utils/uploadPaste'
 import { isCategoryCompatible } from '../../utils/filterScopeRules'
 import { parseFiltersFromUrl } from '../../utils/filterUrlUtils'
 import { usePermission } from '../../hooks/usePermission'
@@ -927,6 +928,23 @@ export default function AssetsIndex({
         }
     }, [canUpload, handleOpenUploadDialog, pageProps.dam_file_types])
 
+    // Paste-to-upload anywhere on the page (screenshots, copied files) opens Add Asset with those files.
+    // While the dialog is open it handles pastes itself; text pastes (search box "paste asset ID") pass through.
+    useEffect(() => {
+        if (!canUpload || isUploadDialogOpen) return undefined
+        const onPaste = (e) => {
+            if (e.defaultPrevented) return
+            const files = filesFromClipboardData(e.clipboardData).filter((f) =>
+                isUploadAllowedForDroppedFile(f, pageProps.dam_file_types)
+            )
+            if (files.length === 0) return
+            e.preventDefault()
+            handleOpenUploadDialog(files)
+        }
+        document.addEventListener('paste', onPaste)
+        return () => document.removeEventListener('paste', onPaste)
+    }, [canUpload, isUploadDialogOpen, handleOpenUploadDialog, pageProps.dam_file_types])
+
     // Phase L.6.2: Detect pending publication or unpublished mode from URL
     const [isPendingApprovalMode, setIsPendingApprovalMode] = useState(() => {
         if (typeof window !== 'undefined') {
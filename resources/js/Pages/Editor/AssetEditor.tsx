@@ -7,6 +7,7 @@ import {
     useState,
     type ComponentType,
     type CSSProperties,
+    type MutableRefObject,
     type ReactNode,
     type SVGProps,
 } from 'react'
@@ -23,6 +24,8 @@ import {
     ArrowPathIcon,
     ArrowUpIcon,
     ArrowsRightLeftIcon,
+    BookmarkSquareIcon,
+    LanguageIcon,
     ChevronDownIcon,
     ChevronRightIcon,
     ChevronUpIcon,
@@ -51,17 +54,23 @@ import {
     SunIcon,
     SwatchIcon,
     Bars3BottomLeftIcon,
+    PuzzlePieceIcon,
     Bars3Icon,
+    ChatBubbleLeftRightIcon,
     ArrowsPointingInIcon,
     ArrowsPointingOutIcon,
     Square2StackIcon,
+    RectangleStackIcon,
     Squares2X2Icon,
     TrashIcon,
     ViewfinderCircleIcon,
     MagnifyingGlassIcon,
     XMarkIcon,
+    ArrowUturnLeftIcon,
+    ArrowUturnRightIcon,
 } from '@heroicons/react/24/outline'
 import type {
+    Artboard,
     BrandContext,
     CopyScore,
     DamPickerAsset,
@@ -73,6 +82,9 @@ import type {
     LayerBlendMode,
     MaskLayer,
     TextLayer,
+    TextListStyle,
+    TextRun,
+    TextRunStyle,
     VideoLayer,
 } from './documentModel'
 import {
@@ -114,6 +126,12 @@ import {
     unionRectForGroup,
     createGroup,
     createDefaultMaskLayer,
+    createDefaultShapeLayer,
+    isShapeLayer,
+    shapeHasEditablePoints,
+    type ImageAdjustments,
+    type ShapeLayer,
+    type ShapePreset,
     ungroup as ungroupInDoc,
     updateGroup as updateGroupInDoc,
     addLayerToGroup as addLayerToGroupInDoc,
@@ -126,15 +144,36 @@ import {
 } from './documentModel'
 import FillGradientStopField, { BrandColorSwatchStrip } from './FillGradientStopField'
 import { TEMPLATE_CATEGORIES, allFormats, blueprintToLayers, blueprintToLayersAndGroups, buildLayersForStyle, getAllLayoutStyles, textBoostToFillFields, inferTextBoostStyle, type LayerBlueprint, type TemplateFormat, type TemplateCategory, type LayoutStyleId } from './templateConfig'
-import { FORMAT_PACKS } from './recipes'
-import { buildTestPsdFromFlattenedPng } from './studioPsdExport'
+import { FORMAT_PACKS, userRecipeStyleId } from './recipes'
+import { buildLayeredPsdFromDocument } from './studioPsdExport'
+import {
+    buildPrintPdfFromPages,
+    buildVectorPageFromDocument,
+    describeVectorExportResult,
+    vectorPageToSvgString,
+    type VectorPage,
+    type VectorRasterizedLayer,
+} from './studioVectorExport'
+import {
+    DEFAULT_PRINT_PDF_SETTINGS,
+    EditorPrintPdfOptionsFields,
+    type PrintPdfSettings,
+} from './components/EditorPrintPdfOptionsFields'
+import { importStudioDocumentFromPsd } from './studioPsdImport'
+import { describePsdImportResult } from '../../utils/studioPsdImport.mjs'
 import { applyWizardAssetDefaults, fetchWizardDefaults, type WizardDefaults } from './wizardDefaults'
 import { applyStudioBriefToBlueprints, WIZARD_POST_GOALS, defaultWizardPostGoal, type StudioBrief, type WizardPostGoalId } from './wizardBrief'
 import GridOverlay from '../../Components/Editor/GridOverlay'
+import SmartGuidesOverlay, { type SmartGuide, type SpacingMark } from '../../Components/Editor/SmartGuidesOverlay'
+import CommentPinsOverlay, { type CommentPinMark } from '../../Components/Editor/CommentPinsOverlay'
 import EditorSlotReelLoader from '../../Components/Editor/EditorSlotReelLoader'
 import PlacementPicker from '../../Components/Editor/PlacementPicker'
 import {
+    applyAllBrandLintIssueFixes,
+    applyBrandLintIssueFix,
+    type BrandLintIssue,
     INITIAL_STUDIO_PROPERTIES_SECTION_OPEN,
+    lintCompositionAgainstBrand,
     studioPanelChrome,
     studioPanelInputs,
     studioPanelSurfaces,
@@ -144,6 +183,8 @@ import {
     StudioOverlayRange,
     StudioPanelGroup,
     StudioPrecisionTransformControls,
+    StudioLayerEffectsControls,
+    StudioRichTextControls,
     StudioSegmentedControl,
     type StudioSegment,
     StudioSliderField,
@@ -153,11 +194,13 @@ import {
 import {
     placementToXY,
     snapMove as snapEngineMove,
+    snapPoint as snapEnginePoint,
     snapRectLineAlignCenterOnly,
     snapResize as snapEngineResize,
     xyToPlacement,
     type GridDensity,
     type Placement,
+    type Rect as SnapRect,
     type SnapHit,
     type SnapMode,
 } from '../../utils/snapEngine'
@@ -202,6 +245,7 @@ import {
     postCompositionsBatch,
     postCompositionVersion,
     putComposition,
+    CompositionConflictError,
 } from './editorCompositionBridge'
 import type { CompositionSummaryDto, CompositionVisibility } from './editorCompositionBridge'
 import {
@@ -212,6 +256,7 @@ import {
     fetchGenerationPresets,
     patchCreativeSetHero,
     postCreativeSet,
+    postCreativeSetLocaleVariants,
     postCreativeSetVariant,
     postRetryGenerationJobItem,
 } from './studioCreativeSetBridge'
@@ -222,6 +267,9 @@ import {
     type GenerateStudioVersionsInitialAxes,
 } from './components/VersionsRail/GenerateStudioVersionsModal'
 import { VersionBuilderModal } from './components/VersionsRail/VersionBuilderModal'
+import { ResizeToFormatsModal } from './components/VersionsRail/ResizeToFormatsModal'
+import { DataFeedVersionsModal } from './components/VersionsRail/DataFeedVersionsModal'
+import type { FormatPackSize } from './recipes/formatPack'
 import {
     StudioAnimateCompositionModal,
     type SourceKind as StudioAnimateSourceKind,
@@ -245,7 +293,28 @@ import {
 } from './editorStudioVideoBridge'
 import { VersionsRail, type StudioVersionsHandoffChrome } from './components/VersionsRail/VersionsRail'
 import { EditorCompositionVideoPlaybackBar } from './components/EditorCompositionVideoPlaybackBar'
+import { EditorKeyframeTimelinePanel } from './components/EditorKeyframeTimelinePanel'
+import { EditorAlignDistributeBar, type AlignMode } from './components/EditorAlignDistributeBar'
+import { EditorBrandComponentsPanel, type BrandComponentInstanceSelection } from './components/EditorBrandComponentsPanel'
+import { EditorArtboardsOverview } from './components/EditorArtboardsOverview'
+import { EditorArtboardsPanel } from './components/EditorArtboardsPanel'
+import { EditorCommentsPanel } from './components/EditorCommentsPanel'
+import {
+    COMPARE_CURRENT_ID,
+    EditorVersionCompareDialog,
+    type VersionCompareDiff,
+    type VersionCompareResult,
+} from './components/EditorVersionCompareDialog'
+import { EditorSaveRecipeDialog, type SaveRecipeInput } from './components/EditorSaveRecipeDialog'
+import { EditorLocalizationDialog } from './components/EditorLocalizationDialog'
+import { EditorBrandLintPanel } from './components/EditorBrandLintPanel'
 import { CompositionScene } from '../../components/studio/composition/CompositionScene'
+import {
+    CompositionRichTextContent,
+    fillRichTextElement,
+    resolvedTextLayerRuns,
+    textLayerHasRichContent,
+} from '../../components/studio/composition/CompositionRichText'
 import type { CompositionSceneEditorHandlers } from '../../components/studio/composition/types'
 import { EditorStudioAnimationCanvasPreviewBar } from './components/EditorStudioAnimationCanvasPreviewBar'
 import {
@@ -257,9 +326,89 @@ import {
     sortCompositionIdsByVariantSortOrder,
 } from '../../utils/studioVersionsHandoffHelpers.mjs'
 import { buildRasterBundleZip } from '../../utils/studioVersionsExportBundle.mjs'
+import {
+    canRedoStudioHistory,
+    canUndoStudioHistory,
+    createStudioHistory,
+    jumpStudioHistory,
+    recordStudioHistory,
+    sealStudioHistory,
+} from '../../utils/studioDocumentHistory.mjs'
+import {
+    constrainToAngleStep,
+    reframeShapePoints,
+    SHAPE_MAX_SIDES,
+    SHAPE_MIN_SIDES,
+} from '../../utils/studioShapeGeometry.mjs'
+import {
+    IMAGE_ADJUSTMENT_RANGES,
+    IMAGE_CROP_MAX_INSET,
+    normalizeImageAdjustments,
+} from '../../utils/studioImageAdjustments.mjs'
+import { applyTextRunStyle, reconcileTextRuns, textRunStyleInRange } from '../../utils/studioTextRuns.mjs'
+import { hasLayerAnimation } from '../../utils/studioKeyframes.mjs'
+import {
+    buildComponentDefinition,
+    COMPONENT_LAYERS_MAX,
+    componentInstanceFrame,
+    componentInstanceOverrideCount,
+    componentKindFromLayers,
+    detachComponentInstance,
+    linkedComponentIds,
+    linkGroupToComponent,
+    placeComponentInstance,
+    syncComponentInstances,
+} from '../../utils/studioBrandComponents.mjs'
+import { inferLayerConstraints, resizeDocumentWithConstraints } from '../../utils/studioConstraintResize.mjs'
+import {
+    alignRects,
+    distributeRects,
+    measureSpacing,
+    mergeSpacingMarks,
+    smartGuidesForRect,
+    snapRectToObjects,
+    snapResizeToObjects,
+} from '../../utils/studioSmartGuides.mjs'
+import {
+    activeArtboardId,
+    addArtboard,
+    artboardDocument,
+    copyLayersToArtboard,
+    duplicateArtboard,
+    listArtboards,
+    removeArtboard,
+    renameArtboard,
+    switchArtboard,
+} from '../../utils/studioArtboards.mjs'
+import { commentPinAt, commentPinPosition } from '../../utils/studioComments.mjs'
+import { diffDocumentVersions } from '../../utils/studioVersionDiff.mjs'
+import {
+    deleteCommentThread,
+    fetchCommentMentionables,
+    fetchCommentSummary,
+    fetchCommentThreads,
+    patchCommentThread,
+    postCommentReply,
+    postCommentThread,
+    type CommentPinDto,
+    type CommentSummaryDto,
+    type CommentThreadDto,
+    type CommentUserDto,
+} from './editorCompositionCommentsBridge'
+import {
+    deleteBrandComponent,
+    fetchBrandComponents,
+    postBrandComponent,
+    putBrandComponent,
+    type BrandComponentDto,
+    type BrandComponentKind,
+} from './editorBrandComponentsBridge'
+import { deleteBrandRecipe, fetchBrandRecipes, postBrandRecipe, putBrandRecipe, type BrandRecipeDto } from './editorBrandRecipesBridge'
+import { richTextSelectionOffsets, setRichTextSelectionOffsets } from './editorRichTextSelection'
 import {
     orderExportCompositionIdsHeroFirst,
     studioHandoffBundleZipFilename,
+    studioHandoffPrintPdfFilename,
     studioHandoffVersionRasterFilename,
 } from '../../utils/studioVersionsExportNaming.mjs'
 import { areAllRequiredFieldsSatisfied } from '../../utils/metadataValidation'
@@ -370,6 +519,7 @@ const REPLACE_ASPECT_WARN_RATIO = 1.75
 const ASSET_EDITOR_PROPERTIES_WIDTH_KEY = 'asset-editor:properties-panel-width'
 const ASSET_EDITOR_GRID_ENABLED_KEY = 'asset-editor:grid-enabled'
 const ASSET_EDITOR_SNAP_ENABLED_KEY = 'asset-editor:snap-enabled'
+const ASSET_EDITOR_SMART_GUIDES_KEY = 'asset-editor:smart-guides'
 const ASSET_EDITOR_GRID_DENSITY_KEY = 'asset-editor:grid-density'
 /**
  * Remember whether the user has the Canvas (document-level) section expanded
@@ -408,6 +558,13 @@ const OBJECT_FIT_CHOICES: ReadonlyArray<{
 /** Target pixels (screen space) for line_align snap threshold — converted to doc space per-drag. */
 const SNAP_THRESHOLD_SCREEN_PX = 8
 
+/** Boxes a drag can smart-snap to and measure against: every visible layer except the ones being dragged. */
+function smartGuideTargets(doc: DocumentModel, exclude: ReadonlySet<string>): SnapRect[] {
+    return doc.layers
+        .filter((l) => l.visible && !exclude.has(l.id) && l.transform.width > 0 && l.transform.height > 0)
+        .map((l) => ({ x: l.transform.x, y: l.transform.y, width: l.transform.width, height: l.transform.height }))
+}
+
 function readStoredFlag(key: string, fallback: boolean): boolean {
     if (typeof window === 'undefined') return fallback
     const v = window.localStorage.getItem(key)
@@ -444,6 +601,14 @@ function readStoredPropertiesPanelWidth(): number {
 const GENERATE_DEBOUNCE_MS = 400
 const COPY_ASSIST_DEBOUNCE_MS = 400
 const TEXT_INPUT_DEBOUNCE_MS = 140
+
+type TextRunStylePatch = Partial<Record<keyof TextRunStyle, boolean | string | null>>
+
+/**
+ * Styles the current selection of the text layer being edited. `makePatch` receives the style shared by
+ * the selected characters (for toggles). Returns false when there is no usable selection.
+ */
+type RichTextStyleCommand = (makePatch: (current: TextRunStyle) => TextRunStylePatch) => boolean
 /**
  * Rough luminance of a CSS hex color (`#rgb`, `#rrggbb`, or `#rrggbbaa`).
  * Returns a 0–1 value; white ≈ 1, black ≈ 0. Non-hex inputs return 0.5 (treat as mid-tone).
@@ -738,9 +903,26 @@ type DragState =
           /** Same as move — Alt-drill resize of one member without grid snap. */
           skipSnap?: boolean
       }
+    | {
+          /** Shape layer endpoint / vertex drag; the box is re-fit around the points on every move. */
+          kind: 'shape_point'
+          layerId: string
+          pointIndex: number
+          /** Every vertex in document space at drag-start. */
+          startPoints: Array<{ x: number; y: number }>
+      }
 
-/** In-canvas undo for move/resize gestures (Ctrl/Cmd+Z). Server version history stays separate. */
-const MAX_CANVAS_UNDO = 50
+/** Local document undo/redo (Ctrl/Cmd+Z, History panel). Server version history stays separate. */
+type StudioDocumentHistoryEntry = {
+    id: number
+    kind: string
+    label: string
+    at: number
+    document: DocumentModel
+}
+type StudioDocumentHistoryState = { entries: StudioDocumentHistoryEntry[]; index: number; nextId: number }
+/** Overrides the inferred history label for the next recorded document (server replaces, version restores). */
+type StudioDocumentHistoryHint = { label: string; kind: 'restore' | 'server' }
 
 const UNTITLED_DRAFT_NAME = 'Untitled draft'
 
@@ -761,7 +943,24 @@ function canvasImageObjectFit(
     return { className: 'object-cover', value: 'cover' }
 }
 
-type AddLayerMenuChoice = 'text' | 'image' | 'video' | 'ai_video' | 'generative' | 'fill' | 'mask'
+type AddLayerMenuChoice =
+    | 'text'
+    | 'image'
+    | 'video'
+    | 'ai_video'
+    | 'generative'
+    | 'fill'
+    | 'mask'
+    | `shape:${ShapePreset}`
+
+const ADD_LAYER_SHAPE_PRESETS: Array<{ preset: ShapePreset; label: string; glyph: string }> = [
+    { preset: 'arrow', label: 'Arrow', glyph: '➝' },
+    { preset: 'line', label: 'Line', glyph: '╱' },
+    { preset: 'callout', label: 'Callout', glyph: '💬' },
+    { preset: 'polygon', label: 'Polygon', glyph: '⬡' },
+    { preset: 'star', label: 'Star', glyph: '★' },
+    { preset: 'path', label: 'Path', glyph: '〰' },
+]
 
 /** Shared grid for "Add layer" — used at the top and bottom of the layer stack panel. */
 function AddLayerTypeMenu({ onPick }: { onPick: (choice: AddLayerMenuChoice) => void }) {
@@ -852,6 +1051,22 @@ function AddLayerTypeMenu({ onPick }: { onPick: (choice: AddLayerMenuChoice) =>
                     </button>
                 )}
             </div>
+            <p className="mb-2 mt-4 text-[10px] font-semibold uppercase tracking-wider text-gray-400">Shapes</p>
+            <div className="grid grid-cols-3 gap-2">
+                {ADD_LAYER_SHAPE_PRESETS.map(({ preset, label, glyph }) => (
+                    <button
+                        key={preset}
+                        type="button"
+                        onClick={() => onPick(`shape:${preset}`)}
+                        className="flex flex-col items-center gap-1 rounded-md border border-gray-700 bg-gray-800 px-1 py-2 text-gray-300 transition-colors hover:border-gray-500 hover:bg-gray-700 hover:text-white"
+                    >
+                        <span className="flex h-5 w-5 items-center justify-center text-base leading-none" aria-hidden>
+                            {glyph}
+                        </span>
+                        <span className="text-[10px] font-medium">{label}</span>
+                    </button>
+                ))}
+            </div>
         </div>
     )
 }
@@ -871,6 +1086,7 @@ function TextLayerEditable({
     onStopEdit,
     onTextHeightChange,
     onAutoFitFontSize,
+    richTextCommandRef,
 }: {
     layer: TextLayer
     editing: boolean
@@ -878,14 +1094,18 @@ function TextLayerEditable({
     brandContext: BrandContext | null
     /** Increments after brand @font-face / FontFace registration completes. */
     brandFontsEpoch?: number
-    onChange: (text: string) => void
+    /** `runs` is the rich text overlay reconciled against `text` (undefined = plain). */
+    onChange: (text: string, runs: TextRun[] | undefined) => void
     onStopEdit: () => void
     onTextHeightChange: (height: number) => void
     onAutoFitFontSize: (size: number) => void
+    /** Set while editing so the properties panel can style the selection. */
+    richTextCommandRef?: MutableRefObject<RichTextStyleCommand | null>
 }) {
     const readRef = useRef<HTMLDivElement>(null)
     const editRef = useRef<HTMLDivElement>(null)
     const draftRef = useRef(layer.content)
+    const draftRunsRef = useRef<TextRun[] | undefined>(resolvedTextLayerRuns(layer))
     const debounceTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null)
     const onTextHeightChangeRef = useRef(onTextHeightChange)
     onTextHeightChangeRef.current = onTextHeightChange
@@ -902,7 +1122,7 @@ function TextLayerEditable({
             clearTimeout(debounceTimerRef.current)
             debounceTimerRef.current = null
         }
-        onChange(draftRef.current)
+        onChange(draftRef.current, draftRunsRef.current)
     }, [onChange])
 
     const scheduleTextDebounced = useCallback(() => {
@@ -911,15 +1131,16 @@ function TextLayerEditable({
         }
         debounceTimerRef.current = setTimeout(() => {
             debounceTimerRef.current = null
-            onChange(draftRef.current)
+            onChange(draftRef.current, draftRunsRef.current)
         }, TEXT_INPUT_DEBOUNCE_MS)
     }, [onChange])
 
     useEffect(() => {
         if (!editing) {
             draftRef.current = layer.content
+            draftRunsRef.current = resolvedTextLayerRuns(layer)
         }
-    }, [layer.content, editing])
+    }, [layer.content, layer.runs, editing])
 
     const measureEl = useCallback((el: HTMLDivElement | null) => {
         if (!el || autoFit) {
@@ -936,8 +1157,10 @@ function TextLayerEditable({
 
     useLayoutEffect(() => {
         if (editing && editRef.current) {
-            editRef.current.textContent = layer.content
+            // Edit mode shows styled spans but no list markers, so the DOM text is exactly `content`.
+            fillRichTextElement(editRef.current, layer, brandContext, { markers: false })
             draftRef.current = layer.content
+            draftRunsRef.current = resolvedTextLayerRuns(layer)
             editRef.current.focus()
             requestAnimationFrame(() => measureEl(editRef.current))
         }
@@ -950,6 +1173,8 @@ function TextLayerEditable({
     }, [
         editing,
         layer.content,
+        layer.runs,
+        layer.style.listStyle,
         layer.style.fontSize,
         layer.style.fontWeight,
         layer.style.fontFamily,
@@ -976,7 +1201,11 @@ function TextLayerEditable({
                 lineHeight: layer.style.lineHeight,
                 letterSpacing: layer.style.letterSpacing,
                 textAlign: layer.style.textAlign,
-            }
+                direction: layer.style.direction,
+            },
+            textLayerHasRichContent(layer)
+                ? (probe) => fillRichTextElement(probe, layer, brandContext, { markers: true })
+                : undefined
         )
         if (Math.round(next) !== Math.round(layer.style.fontSize)) {
             onAutoFitFontSizeRef.current(next)
@@ -988,6 +1217,8 @@ function TextLayerEditable({
         cssFontFamilyStack,
         layer.id,
         layer.content,
+        layer.runs,
+        layer.style.listStyle,
         layer.transform.width,
         layer.transform.height,
         layer.style.fontSize,
@@ -996,6 +1227,7 @@ function TextLayerEditable({
         layer.style.lineHeight,
         layer.style.letterSpacing,
         layer.style.textAlign,
+        layer.style.direction,
     ])
 
     const lh = layer.style.lineHeight ?? 1.25
@@ -1069,17 +1301,52 @@ function TextLayerEditable({
         >
             <div
                 ref={readRef}
+                dir={layer.style.direction ?? 'auto'}
                 className="pointer-events-none min-h-0 min-w-0 w-full max-w-full flex-1 select-none"
                 style={{
                     ...textStyle,
                     overflow: autoFit ? 'hidden' : 'visible',
                 }}
             >
-                {layer.content}
+                <CompositionRichTextContent layer={layer} brandContext={brandContext} />
             </div>
         </div>
     )
 
+    const applyRunStyle: RichTextStyleCommand = (makePatch) => {
+        const el = editRef.current
+        const sel = el ? richTextSelectionOffsets(el) : null
+        if (!el || !sel || sel.start === sel.end) {
+            return false
+        }
+        const draft = el.innerText ?? ''
+        const base = reconcileTextRuns(draft, draftRunsRef.current) as TextRun[] | undefined
+        const patch = makePatch(textRunStyleInRange(draft, base, sel.start, sel.end) as TextRunStyle)
+        const runs = applyTextRunStyle(draft, base, sel.start, sel.end, patch) as TextRun[] | undefined
+        draftRef.current = draft
+        draftRunsRef.current = runs
+        fillRichTextElement(el, { ...layer, content: draft, runs }, brandContext, { markers: false })
+        setRichTextSelectionOffsets(el, sel.start, sel.end)
+        scheduleTextDebounced()
+        measureEl(el)
+        return true
+    }
+    const applyRunStyleRef = useRef(applyRunStyle)
+    applyRunStyleRef.current = applyRunStyle
+
+    useEffect(() => {
+        if (!editing || !richTextCommandRef) {
+            return
+        }
+        const command: RichTextStyleCommand = (makePatch) => applyRunStyleRef.current(makePatch)
+        richTextCommandRef.current = command
+        return () => {
+            if (richTextCommandRef.current === command) {
+                richTextCommandRef.current = null
+            }
+        }
+    }, [editing, richTextCommandRef])
+
     if (!editing) {
         return (
             <div className="relative h-full min-h-0 w-full">
@@ -1108,6 +1375,7 @@ function TextLayerEditable({
             >
                 <div
                     ref={editRef}
+                    dir={layer.style.direction ?? 'auto'}
                     contentEditable
                     suppressContentEditableWarning
                     className="min-h-0 min-w-0 w-full flex-1 cursor-text outline-none"
@@ -1116,9 +1384,25 @@ function TextLayerEditable({
                         overflow: autoFit ? 'hidden' : 'visible',
                     }}
                     onMouseDown={(e) => e.stopPropagation()}
+                    onKeyDown={(e) => {
+                        if (!(e.metaKey || e.ctrlKey) || e.altKey || e.shiftKey) {
+                            return
+                        }
+                        const key = e.key.toLowerCase()
+                        const flag = key === 'b' ? 'bold' : key === 'i' ? 'italic' : key === 'u' ? 'underline' : null
+                        if (!flag) {
+                            return
+                        }
+                        // Never let the browser insert <b>/<i>/<u> — runs are the only styling model.
+                        e.preventDefault()
+                        applyRunStyle((current) => ({ [flag]: !current[flag] }))
+                    }}
                     onInput={(e) => {
                         const el = e.currentTarget as HTMLDivElement
                         draftRef.current = el.innerText ?? ''
+                        draftRunsRef.current = reconcileTextRuns(draftRef.current, draftRunsRef.current) as
+                            | TextRun[]
+                            | undefined
                         scheduleTextDebounced()
                         measureEl(el)
                     }}
@@ -1578,12 +1862,14 @@ export default function AssetEditor() {
         setSelectedGroupIdState(id)
     }, [])
     const [editingTextLayerId, setEditingTextLayerId] = useState<string | null>(null)
+    /** Registered by the text layer being edited; styles its current selection (rich text runs). */
+    const richTextCommandRef = useRef<RichTextStyleCommand | null>(null)
     const selectedLayerIdRef = useRef<string | null>(null)
     selectedLayerIdRef.current = selectedLayerId
     const editingTextLayerIdRef = useRef<string | null>(null)
     editingTextLayerIdRef.current = editingTextLayerId
     const [pickerOpen, setPickerOpen] = useState(false)
-    const [pickerMode, setPickerMode] = useState<'add' | 'add_video' | 'replace' | 'references' | null>(null)
+    const [pickerMode, setPickerMode] = useState<'add' | 'add_video' | 'replace' | 'references' | 'import_psd' | null>(null)
     /**
      * Guards against double-clicks on a picker tile: `handlePickDamAsset`
      * awaits an image-probe network hop before mutating state and closing
@@ -1708,6 +1994,8 @@ export default function AssetEditor() {
     }, [])
     /** Timestamp of the last autosave version-row snapshot (not just document write). */
     const lastAutosaveSnapshotAtRef = useRef<number>(Date.now())
+    /** Server `external_revision` this document is based on; saves against an older one get a 409. */
+    const compositionExternalRevisionRef = useRef<number>(0)
     /** Serialized doc captured at the time of the last autosave snapshot — skip snapshot if unchanged. */
     const lastAutosaveSnapshotSerializedRef = useRef<string>(JSON.stringify(initialDocumentRef.current!))
     const [compositionBootstrapping, setCompositionBootstrapping] = useState(Boolean(compositionIdFromUrl))
@@ -1717,6 +2005,8 @@ export default function AssetEditor() {
     // Grid + snap: overlay vs composition snapping (see Properties → Canvas).
     const [gridEnabled, setGridEnabled] = useState<boolean>(() => readStoredFlag(ASSET_EDITOR_GRID_ENABLED_KEY, true))
     const [snapEnabled, setSnapEnabled] = useState<boolean>(() => readStoredFlag(ASSET_EDITOR_SNAP_ENABLED_KEY, true))
+    /** Object-to-object guides, equal spacing and distance readouts while dragging. */
+    const [smartGuidesEnabled, setSmartGuidesEnabled] = useState<boolean>(() => readStoredFlag(ASSET_EDITOR_SMART_GUIDES_KEY, true))
     const [gridDensity, setGridDensity] = useState<GridDensity>(readStoredGridDensity)
     // Canvas (document-level) properties section — collapsed by default so
     // the layer editing content stays above the fold, but sticky across
@@ -1730,6 +2020,9 @@ export default function AssetEditor() {
     /** Raster (image / generative): X/Y/W/H collapsed by default; fit, quadrant, and rotation stay visible. */
     const [propertiesRasterNumericTransformOpen, setPropertiesRasterNumericTransformOpen] = useState(false)
     const [propertiesImageEditModelOpen, setPropertiesImageEditModelOpen] = useState(false)
+    const [propertiesImageAdjustmentsOpen, setPropertiesImageAdjustmentsOpen] = useState(false)
+    const [propertiesLayerEffectsOpen, setPropertiesLayerEffectsOpen] = useState(false)
+    const [propertiesRichTextOpen, setPropertiesRichTextOpen] = useState(false)
     const [propertiesMaskDetailsOpen, setPropertiesMaskDetailsOpen] = useState(false)
     const [propertiesVideoDetailsOpen, setPropertiesVideoDetailsOpen] = useState(false)
     const [textFineTypographyOpen, setTextFineTypographyOpen] = useState(false)
@@ -1742,6 +2035,7 @@ export default function AssetEditor() {
     const propertiesPanelScrollRef = useRef<HTMLDivElement>(null)
     const [snapHits, setSnapHits] = useState<SnapHit[]>([])
     const snapHitsClearTimerRef = useRef<number | null>(null)
+    const [smartGuideMarks, setSmartGuideMarks] = useState<{ guides: SmartGuide[]; spacing: SpacingMark[] } | null>(null)
     useEffect(() => {
         if (typeof window === 'undefined') return
         window.localStorage.setItem(ASSET_EDITOR_GRID_ENABLED_KEY, gridEnabled ? '1' : '0')
@@ -1750,6 +2044,10 @@ export default function AssetEditor() {
         if (typeof window === 'undefined') return
         window.localStorage.setItem(ASSET_EDITOR_SNAP_ENABLED_KEY, snapEnabled ? '1' : '0')
     }, [snapEnabled])
+    useEffect(() => {
+        if (typeof window === 'undefined') return
+        window.localStorage.setItem(ASSET_EDITOR_SMART_GUIDES_KEY, smartGuidesEnabled ? '1' : '0')
+    }, [smartGuidesEnabled])
     useEffect(() => {
         if (typeof window === 'undefined') return
         window.localStorage.setItem(ASSET_EDITOR_GRID_DENSITY_KEY, String(gridDensity))
@@ -1830,6 +2128,10 @@ export default function AssetEditor() {
     /** Increment when opening Generate Versions so the modal remounts (avoids stale internal picks). */
     const [generateVersionsModalMountKey, setGenerateVersionsModalMountKey] = useState(0)
     const [versionBuilderPackBusy, setVersionBuilderPackBusy] = useState(false)
+    const [resizeToFormatsOpen, setResizeToFormatsOpen] = useState(false)
+    const [resizeToFormatsBusy, setResizeToFormatsBusy] = useState(false)
+    const [dataFeedVersionsOpen, setDataFeedVersionsOpen] = useState(false)
+    const [dataFeedVersionsBusy, setDataFeedVersionsBusy] = useState(false)
     const [studioGenerationPollJobId, setStudioGenerationPollJobId] = useState<string | null>(null)
     const [studioRetryGenerationItemBusy, setStudioRetryGenerationItemBusy] = useState<string | null>(null)
     const [studioAnimateModalOpen, setStudioAnimateModalOpen] = useState(false)
@@ -1867,6 +2169,7 @@ export default function AssetEditor() {
     const [compositionPlaybackAutoplayNonce, setCompositionPlaybackAutoplayNonce] = useState(0)
     /** Shared with {@link CompositionScene} so composition video layers track the playback bar / export playhead. */
     const [compositionPlayheadMs, setCompositionPlayheadMs] = useState(0)
+    const [keyframeTimelineOpen, setKeyframeTimelineOpen] = useState(false)
     const [compositionAnimations, setCompositionAnimations] = useState<StudioAnimationJobDto[]>([])
     const [animationsLoading, setAnimationsLoading] = useState(false)
     const [studioApplyScope, setStudioApplyScope] = useState<StudioApplyScope>('this_version')
@@ -1882,9 +2185,11 @@ export default function AssetEditor() {
     const [studioHandoffSelectedCompositionIds, setStudioHandoffSelectedCompositionIds] = useState<string[]>([])
     const [studioHandoffExportBusy, setStudioHandoffExportBusy] = useState(false)
     const [studioHandoffExportPhase, setStudioHandoffExportPhase] = useState<
-        'idle' | 'capturing' | 'zipping' | 'downloading'
+        'idle' | 'capturing' | 'zipping' | 'writing_pdf' | 'downloading'
     >('idle')
     const [studioHandoffExportDetail, setStudioHandoffExportDetail] = useState('')
+    /** Bleed / crop marks for print PDF (Export menu and Versions handoff). */
+    const [printPdfSettings, setPrintPdfSettings] = useState<PrintPdfSettings>(DEFAULT_PRINT_PDF_SETTINGS)
     const [pickerSearch, setPickerSearch] = useState('')
     const [pickerView, setPickerView] = useState<'grid' | 'list'>('grid')
     /** Open-dialog list scope: team = default visibility rules, mine = only my comps, all = every private+shared (brand admin only). */
@@ -1908,9 +2213,8 @@ export default function AssetEditor() {
     const [compareOpen, setCompareOpen] = useState(false)
     const [compareLeftId, setCompareLeftId] = useState<string | null>(null)
     const [compareRightId, setCompareRightId] = useState<string | null>(null)
-    const [compareUrls, setCompareUrls] = useState<[string, string] | null>(null)
+    const [compareResult, setCompareResult] = useState<VersionCompareResult | null>(null)
     const [compareBusy, setCompareBusy] = useState(false)
-    const [compareSlider, setCompareSlider] = useState(50)
     const documentBeforeCompareRef = useRef<DocumentModel | null>(null)
     const [uiMode, setUiMode] = useState<'edit' | 'preview'>('edit')
     const [previewFrame, setPreviewFrame] = useState<'social' | 'banner'>('social')
@@ -1942,9 +2246,6 @@ export default function AssetEditor() {
     const studioCreativeSetIdForNewcomerUxRef = useRef<string | null>(null)
 
     useEffect(() => {
-        undoStackRef.current = []
-        redoStackRef.current = []
-        dragUndoBaselineRef.current = null
         prevSelectedLayerForPlaybackRef.current = null
     }, [compositionId])
     const studioCreativeSetIdRef = useRef<string | null>(null)
@@ -2000,11 +2301,13 @@ export default function AssetEditor() {
         mode: effectiveSnapMode,
         density: effectiveGridDensity,
         screenScale: effectiveScale,
+        smartGuides: smartGuidesEnabled,
     })
     snapConfigRef.current = {
         mode: effectiveSnapMode,
         density: effectiveGridDensity,
         screenScale: effectiveScale,
+        smartGuides: smartGuidesEnabled,
     }
     const reportSnapHits = useCallback((hits: SnapHit[]) => {
         setSnapHits(hits)
@@ -2026,7 +2329,9 @@ export default function AssetEditor() {
         }
     }, [])
 
-    const [leftPanel, setLeftPanel] = useState<'layers' | 'assets' | 'templates' | 'menu' | 'history' | 'outputs' | null>(
+    const [leftPanel, setLeftPanel] = useState<
+        'layers' | 'assets' | 'components' | 'artboards' | 'comments' | 'templates' | 'menu' | 'history' | 'outputs' | null
+    >(
         'layers',
     )
     const leftPanelRef = useRef(leftPanel)
@@ -2228,18 +2533,54 @@ export default function AssetEditor() {
     const getEditorStageEl = useCallback((): HTMLElement | null => stageRef.current, [])
     const studioAnimationCanvasPreviewVideoRef = useRef<HTMLVideoElement | null>(null)
     const dragRef = useRef<DragState | null>(null)
-    const undoStackRef = useRef<string[]>([])
-    const redoStackRef = useRef<string[]>([])
-    /** Full document JSON captured at move/resize pointer-down; compared on pointer-up. */
-    const dragUndoBaselineRef = useRef<string | null>(null)
-
-    /** Server-driven doc replaces (e.g. studio video layer) must not leave stale local undo that reverts under persisted state. */
-    const clearCanvasUndoHistory = useCallback(() => {
-        undoStackRef.current = []
-        redoStackRef.current = []
-        dragUndoBaselineRef.current = null
+    /** Ref is the source of truth for recording; state mirrors it for the History panel. */
+    const documentHistoryRef = useRef<StudioDocumentHistoryState | null>(null)
+    const [documentHistory, setDocumentHistoryState] = useState<StudioDocumentHistoryState | null>(null)
+    const documentHistoryCompositionIdRef = useRef<string | null>(null)
+    const documentHistoryHintRef = useRef<StudioDocumentHistoryHint | null>(null)
+    /** Set when a draft is saved for the first time — the new composition id keeps the session's edit history. */
+    const documentHistoryKeepOnIdChangeRef = useRef(false)
+
+    const commitDocumentHistory = useCallback((next: StudioDocumentHistoryState) => {
+        documentHistoryRef.current = next
+        setDocumentHistoryState(next)
     }, [])
 
+    /**
+     * Records `doc` as the next history step (no-op when it equals the current step).
+     * Skipped mid-gesture and during compare capture; gestures record once on pointer-up.
+     */
+    const recordDocumentHistory = useCallback(
+        (doc: DocumentModel) => {
+            const h = documentHistoryRef.current
+            if (!h || dragRef.current || documentBeforeCompareRef.current) {
+                return
+            }
+            const hint = documentHistoryHintRef.current
+            documentHistoryHintRef.current = null
+            const next: StudioDocumentHistoryState = recordStudioHistory(h, doc, hint ?? undefined)
+            if (next !== h) {
+                commitDocumentHistory(next)
+            }
+        },
+        [commitDocumentHistory]
+    )
+
+    useEffect(() => {
+        const h = documentHistoryRef.current
+        if (!h || documentHistoryCompositionIdRef.current !== compositionId) {
+            const keep = h !== null && documentHistoryKeepOnIdChangeRef.current
+            documentHistoryKeepOnIdChangeRef.current = false
+            documentHistoryCompositionIdRef.current = compositionId
+            if (!keep) {
+                documentHistoryHintRef.current = null
+                commitDocumentHistory(createStudioHistory(document))
+                return
+            }
+        }
+        recordDocumentHistory(document)
+    }, [document, compositionId, commitDocumentHistory, recordDocumentHistory])
+
     const layersForPanel = useMemo(() => sortLayersPanelFrontAtTop(document.layers), [document.layers])
     const toggleGroupingSelection = useCallback((layerId: string) => {
         setGroupingSelection((prev) => {
@@ -2558,7 +2899,9 @@ export default function AssetEditor() {
                         ? '◑'
                         : layer.type === 'video'
                           ? '🎬'
-                          : '▣'
+                          : layer.type === 'shape'
+                            ? '⬠'
+                            : '▣'
         return (
             <li
                 key={layer.id}
@@ -3013,15 +3356,15 @@ export default function AssetEditor() {
                     updated_at: new Date().toISOString(),
                 }
             }
+            documentHistoryHintRef.current = { label: 'Add video layer', kind: 'server' }
             setDocument(doc)
             const ser = JSON.stringify(doc)
             setLastSavedSerialized(ser)
             lastAutosaveSnapshotSerializedRef.current = ser
-            clearCanvasUndoHistory()
             setActivityToast('Video added to the composition')
             return doc
         },
-        [compositionId, clearCanvasUndoHistory]
+        [compositionId]
     )
 
     const handleRequestBakedCompositionVideoExport = useCallback(async (): Promise<string | null> => {
@@ -3080,6 +3423,12 @@ export default function AssetEditor() {
         [document.layers],
     )
 
+    /** Keyframed layers publish as a baked MP4 even without a video layer. */
+    const hasKeyframeAnimationInDoc = useMemo(
+        () => document.layers.some((l) => l.visible && Boolean(hasLayerAnimation(l.animation))),
+        [document.layers],
+    )
+
     const publishModalPrimaryVideo = useMemo(
         () => getPrimaryVideoLayerForDocumentExport(document.layers),
         [document.layers],
@@ -3144,15 +3493,6 @@ export default function AssetEditor() {
         return layer.assetId
     }, [pickerOpen, pickerMode, replaceLayerId, document.layers])
 
-    const compareLeftMeta = useMemo(
-        () => versions.find((v) => v.id === compareLeftId),
-        [versions, compareLeftId]
-    )
-    const compareRightMeta = useMemo(
-        () => versions.find((v) => v.id === compareRightId),
-        [versions, compareRightId]
-    )
-
     useEffect(() => {
         if (!suggestionToast) {
             return
@@ -3227,6 +3567,7 @@ export default function AssetEditor() {
                     setCompositionFolder(fd)
                     setLastSavedFolder(fd)
                     setCompositionOwnerUserId(c.owner_user_id ?? null)
+                    compositionExternalRevisionRef.current = c.external_revision ?? 0
                     setDocument(doc)
                     setLastSavedSerialized(JSON.stringify(doc))
                     setSelectedLayerId(null)
@@ -3497,6 +3838,23 @@ export default function AssetEditor() {
         studioPackNewcomerPrevLenRef.current = n
     }, [studioPackNewcomerCompositionIds, studioUnviewedNewcomerCompositionIds, studioCreativeSet])
 
+    /**
+     * Save rejected with 409: a brand component master was pushed into this composition on the server. Local edits
+     * stay; the library is re-fetched so linked instances re-sync to the new masters, and the next save goes
+     * against the server's revision.
+     */
+    const recoverFromCompositionConflict = useCallback((e: CompositionConflictError) => {
+        compositionExternalRevisionRef.current =
+            e.composition?.external_revision ?? compositionExternalRevisionRef.current + 1
+        setBrandComponentsError(null)
+        setBrandComponents(null)
+        // Re-arms autosave even when the re-sync turns out to change nothing
+        setDocument((prev) => ({ ...prev, updated_at: new Date().toISOString() }))
+        setSaveState('idle')
+        setSaveError(null)
+        setActivityToast('Brand components changed while you were editing — merging the new masters into your copy')
+    }, [])
+
     useEffect(() => {
         if (!compositionId || !dirty) {
             return
@@ -3533,7 +3891,9 @@ export default function AssetEditor() {
                         thumbnailPngBase64: thumb,
                         visibility: compositionVisibility,
                         folder: compositionFolder.trim() || null,
+                        baseExternalRevision: compositionExternalRevisionRef.current,
                     })
+                    compositionExternalRevisionRef.current = updated.external_revision ?? compositionExternalRevisionRef.current
                     const vis = compositionVisibilityFromApi(updated.visibility)
                     setCompositionVisibility(vis)
                     setLastSavedVisibility(vis)
@@ -3553,13 +3913,26 @@ export default function AssetEditor() {
                     setLastSavedAt(Date.now())
                     setSaveState('saved')
                 } catch (e) {
+                    if (e instanceof CompositionConflictError) {
+                        recoverFromCompositionConflict(e)
+                        return
+                    }
                     setSaveState('error')
                     setSaveError(handleAIError(e))
                 }
             })()
         }, AUTOSAVE_MS)
         return () => window.clearTimeout(t)
-    }, [document, compositionId, dirty, compositionName, compositionVisibility, compositionFolder, refreshVersions])
+    }, [
+        document,
+        compositionId,
+        dirty,
+        compositionName,
+        compositionVisibility,
+        compositionFolder,
+        refreshVersions,
+        recoverFromCompositionConflict,
+    ])
 
     useEffect(() => {
         setVariationHoverIdx(null)
@@ -3878,85 +4251,58 @@ export default function AssetEditor() {
         }))
     }, [])
 
-    const performCanvasUndo = useCallback(() => {
-        if (dragRef.current) {
-            return
-        }
-        const stack = undoStackRef.current
-        if (stack.length === 0) {
-            return
-        }
-        const prevJson = stack.pop()!
-        let restored: DocumentModel
-        try {
-            restored = parseDocumentFromApi(JSON.parse(prevJson))
-        } catch {
-            stack.push(prevJson)
-            undoStackRef.current = stack
-            return
-        }
-        redoStackRef.current.push(JSON.stringify(documentRef.current))
-        undoStackRef.current = stack
-        setDocument(restored)
+    /** Applies history step `index` (undo / redo / History panel jump) and drops selection that no longer exists. */
+    const goToDocumentHistoryIndex = useCallback(
+        (index: number) => {
+            if (dragRef.current) {
+                return
+            }
+            const h = documentHistoryRef.current
+            if (!h) {
+                return
+            }
+            const next: StudioDocumentHistoryState = jumpStudioHistory(sealStudioHistory(h), index)
+            if (next.index === h.index) {
+                return
+            }
+            const restored = next.entries[next.index].document
+            commitDocumentHistory(next)
+            setDocument({ ...restored, updated_at: new Date().toISOString() })
 
-        const sel = selectedLayerIdRef.current
-        if (!sel || !restored.layers.some((l) => l.id === sel)) {
-            setSelectedLayerId(null)
-            setSelectedGroupId(null)
-            setEditingTextLayerId(null)
-            setGroupingSelection(new Set())
-            layerPanelRangeAnchorIdRef.current = null
-        } else {
-            const gid = selectedGroupIdRef.current
-            if (gid && !(restored.groups ?? []).some((g) => g.id === gid)) {
+            const sel = selectedLayerIdRef.current
+            if (!sel || !restored.layers.some((l) => l.id === sel)) {
+                setSelectedLayerId(null)
                 setSelectedGroupId(null)
-            }
-            const edit = editingTextLayerIdRef.current
-            if (edit && !restored.layers.some((l) => l.id === edit && l.type === 'text')) {
                 setEditingTextLayerId(null)
+                setGroupingSelection(new Set())
+                layerPanelRangeAnchorIdRef.current = null
+            } else {
+                const gid = selectedGroupIdRef.current
+                if (gid && !(restored.groups ?? []).some((g) => g.id === gid)) {
+                    setSelectedGroupId(null)
+                }
+                const edit = editingTextLayerIdRef.current
+                if (edit && !restored.layers.some((l) => l.id === edit && l.type === 'text')) {
+                    setEditingTextLayerId(null)
+                }
             }
-        }
-    }, [setSelectedGroupId])
+        },
+        [commitDocumentHistory, setSelectedGroupId]
+    )
 
-    const performCanvasRedo = useCallback(() => {
-        if (dragRef.current) {
-            return
-        }
-        const stack = redoStackRef.current
-        if (stack.length === 0) {
-            return
-        }
-        const nextJson = stack.pop()!
-        let restored: DocumentModel
-        try {
-            restored = parseDocumentFromApi(JSON.parse(nextJson))
-        } catch {
-            stack.push(nextJson)
-            redoStackRef.current = stack
-            return
+    const performCanvasUndo = useCallback(() => {
+        const h = documentHistoryRef.current
+        if (h && canUndoStudioHistory(h)) {
+            goToDocumentHistoryIndex(h.index - 1)
         }
-        undoStackRef.current.push(JSON.stringify(documentRef.current))
-        redoStackRef.current = stack
-        setDocument(restored)
+    }, [goToDocumentHistoryIndex])
 
-        const sel = selectedLayerIdRef.current
-        if (!sel || !restored.layers.some((l) => l.id === sel)) {
-            setSelectedLayerId(null)
-            setSelectedGroupId(null)
-            setEditingTextLayerId(null)
-            setGroupingSelection(new Set())
-            layerPanelRangeAnchorIdRef.current = null
-        } else {
-            const gid = selectedGroupIdRef.current
-            if (gid && !(restored.groups ?? []).some((g) => g.id === gid)) {
-                setSelectedGroupId(null)
-            }
-            const edit = editingTextLayerIdRef.current
-            if (edit && !restored.layers.some((l) => l.id === edit && l.type === 'text')) {
-                setEditingTextLayerId(null)
-            }
+    const performCanvasRedo = useCallback(() => {
+        const h = documentHistoryRef.current
+        if (h && canRedoStudioHistory(h)) {
+            goToDocumentHistoryIndex(h.index + 1)
         }
-    }, [setSelectedGroupId])
+    }, [goToDocumentHistoryIndex])
 
     useEffect(() => {
         const isTypingTarget = () => {
@@ -3975,14 +4321,14 @@ export default function AssetEditor() {
                 ((e.metaKey || e.ctrlKey) && e.shiftKey && (e.key === 'z' || e.key === 'Z')) ||
                 (e.ctrlKey && !e.metaKey && (e.key === 'y' || e.key === 'Y'))
             if ((e.metaKey || e.ctrlKey) && (e.key === 'z' || e.key === 'Z') && !e.shiftKey) {
-                if (undoStackRef.current.length > 0) {
+                if (documentHistoryRef.current && canUndoStudioHistory(documentHistoryRef.current)) {
                     e.preventDefault()
                     performCanvasUndo()
                 }
                 return
             }
             if (redoKey) {
-                if (redoStackRef.current.length > 0) {
+                if (documentHistoryRef.current && canRedoStudioHistory(documentHistoryRef.current)) {
                     e.preventDefault()
                     performCanvasRedo()
                 }
@@ -4177,6 +4523,7 @@ export default function AssetEditor() {
                     folder: compositionFolder.trim() || null,
                 })
                 const doc = parseDocumentFromApi(c.document)
+                documentHistoryKeepOnIdChangeRef.current = true
                 setCompositionId(c.id)
                 const resolvedName = c.name?.trim() ? c.name : UNTITLED_DRAFT_NAME
                 setCompositionName(resolvedName)
@@ -4188,6 +4535,7 @@ export default function AssetEditor() {
                 setCompositionFolder(fd)
                 setLastSavedFolder(fd)
                 setCompositionOwnerUserId(c.owner_user_id ?? null)
+                compositionExternalRevisionRef.current = c.external_revision ?? 0
                 setDocument(doc)
                 const serialized = JSON.stringify(doc)
                 setLastSavedSerialized(serialized)
@@ -4202,7 +4550,9 @@ export default function AssetEditor() {
                     thumbnailPngBase64: thumb,
                     visibility: compositionVisibility,
                     folder: compositionFolder.trim() || null,
+                    baseExternalRevision: compositionExternalRevisionRef.current,
                 })
+                compositionExternalRevisionRef.current = updated.external_revision ?? compositionExternalRevisionRef.current
                 const vis = compositionVisibilityFromApi(updated.visibility)
                 setCompositionVisibility(vis)
                 setLastSavedVisibility(vis)
@@ -4227,6 +4577,10 @@ export default function AssetEditor() {
             })
             await refreshVersions()
         } catch (e) {
+            if (e instanceof CompositionConflictError) {
+                recoverFromCompositionConflict(e)
+                return
+            }
             setSaveState('error')
             setSaveError(handleAIError(e))
         }
@@ -4238,6 +4592,7 @@ export default function AssetEditor() {
         compositionBootstrapping,
         refreshVersions,
         promptForText,
+        recoverFromCompositionConflict,
     ])
 
     const handleSave = useCallback(() => {
@@ -4259,6 +4614,7 @@ export default function AssetEditor() {
                 return
             }
             const doc = parseDocumentFromApi(v.document)
+            documentHistoryHintRef.current = { label: 'Load saved version', kind: 'restore' }
             flushSync(() => {
                 setDocument(doc)
                 setSelectedLayerId(null)
@@ -4292,6 +4648,7 @@ export default function AssetEditor() {
                 setCompositionVisibility(vis)
                 setLastSavedVisibility(vis)
                 setCompositionOwnerUserId(c.owner_user_id ?? null)
+                compositionExternalRevisionRef.current = c.external_revision ?? 0
                 const fd = (c.folder ?? '').trim()
                 setCompositionFolder(fd)
                 setLastSavedFolder(fd)
@@ -4321,6 +4678,7 @@ export default function AssetEditor() {
             setCompositionVisibility(vis)
             setLastSavedVisibility(vis)
             setCompositionOwnerUserId(c.owner_user_id ?? null)
+            compositionExternalRevisionRef.current = c.external_revision ?? 0
             const fd = (c.folder ?? '').trim()
             setCompositionFolder(fd)
             setLastSavedFolder(fd)
@@ -4367,6 +4725,7 @@ export default function AssetEditor() {
                     setCompositionVisibility(vis)
                     setLastSavedVisibility(vis)
                     setCompositionOwnerUserId(c.owner_user_id ?? null)
+                    compositionExternalRevisionRef.current = c.external_revision ?? 0
                     const fd = (c.folder ?? '').trim()
                     setCompositionFolder(fd)
                     setLastSavedFolder(fd)
@@ -4702,6 +5061,104 @@ export default function AssetEditor() {
         void duplicateStudioVariant()
     }, [duplicateStudioVariant])
 
+    const handleVersionBuilderResizeToFormats = useCallback(() => {
+        setVersionBuilderOpen(false)
+        setResizeToFormatsOpen(true)
+    }, [])
+
+    /**
+     * Adds one version per document to the open Versions set: the server duplicates the open composition, then
+     * the copy's document is replaced. No generation job is involved.
+     */
+    const createStudioVersionsFromDocuments = useCallback(
+        async (items: { label: string; document: DocumentModel; versionLabel: string }[]): Promise<boolean> => {
+            if (!compositionId || !studioCreativeSet || items.length === 0) {
+                return false
+            }
+            const created: string[] = []
+            try {
+                for (const item of items) {
+                    const { creative_set, variant } = await postCreativeSetVariant(studioCreativeSet.id, {
+                        source_composition_id: compositionId,
+                        label: item.label,
+                    })
+                    await putComposition(String(variant.composition_id), item.document, {
+                        versionLabel: item.versionLabel,
+                    })
+                    created.push(String(variant.composition_id))
+                    setStudioCreativeSet(creative_set)
+                }
+                setActivityToast(`Created ${created.length} version${created.length === 1 ? '' : 's'}`)
+                return true
+            } catch (e) {
+                setActivityToast(
+                    `${e instanceof Error ? e.message : 'Could not create versions'}${created.length > 0 ? ` (${created.length} created)` : ''}`
+                )
+                return false
+            } finally {
+                if (created.length > 0) {
+                    setStudioPackNewcomerCompositionIds((prev) => [...prev, ...created.filter((id) => !prev.includes(id))])
+                    setStudioUnviewedNewcomerCompositionIds((prev) => [
+                        ...prev,
+                        ...created.filter((id) => !prev.includes(id)),
+                    ])
+                    setStudioPostCreateBannerDismissed(false)
+                }
+            }
+        },
+        [compositionId, studioCreativeSet]
+    )
+
+    /** Each size is the open document re-flowed with the layers' resize constraints (`utils/studioConstraintResize.mjs`). */
+    const resizeCompositionToFormats = useCallback(
+        async (sizes: FormatPackSize[]) => {
+            setResizeToFormatsBusy(true)
+            const ok = await createStudioVersionsFromDocuments(
+                sizes.map((size) => ({
+                    label: `${size.label} ${size.width}×${size.height}`,
+                    document: resizeDocumentWithConstraints(documentRef.current, size) as DocumentModel,
+                    versionLabel: `Resized to ${size.width}×${size.height}`,
+                }))
+            )
+            setResizeToFormatsBusy(false)
+            if (ok) {
+                setResizeToFormatsOpen(false)
+            }
+        },
+        [createStudioVersionsFromDocuments]
+    )
+
+    const handleVersionBuilderDataFeed = useCallback(() => {
+        setVersionBuilderOpen(false)
+        setDataFeedVersionsOpen(true)
+    }, [])
+
+    const lookupDataFeedAssets = useCallback(async (ids: string[]) => {
+        const found: Record<string, DamPickerAsset | null> = {}
+        for (let i = 0; i < ids.length; i += 6) {
+            const batch = ids.slice(i, i + 6)
+            const assets = await Promise.all(batch.map((id) => fetchEditorAssetById(id).catch(() => null)))
+            batch.forEach((id, n) => {
+                found[id] = assets[n]
+            })
+        }
+        return found
+    }, [])
+
+    const createDataFeedVersions = useCallback(
+        async (items: { label: string; document: DocumentModel }[]) => {
+            setDataFeedVersionsBusy(true)
+            const ok = await createStudioVersionsFromDocuments(
+                items.map((item) => ({ ...item, versionLabel: 'Created from data feed' }))
+            )
+            setDataFeedVersionsBusy(false)
+            if (ok) {
+                setDataFeedVersionsOpen(false)
+            }
+        },
+        [createStudioVersionsFromDocuments]
+    )
+
     const handleVersionBuilderAdvanced = useCallback(() => {
         bumpGenerateVersionsModal()
         setGenerateVersionsPrefill(null)
@@ -4808,19 +5265,20 @@ export default function AssetEditor() {
             return
         }
         setCompareBusy(true)
-        setCompareUrls(null)
+        setCompareResult(null)
         documentBeforeCompareRef.current = documentRef.current
         try {
-            const [va, vb] = await Promise.all([
-                getCompositionVersion(compositionId, compareLeftId),
-                getCompositionVersion(compositionId, compareRightId),
-            ])
-            if (!va || !vb) {
+            const current = documentRef.current
+            const load = async (id: string) => {
+                if (id === COMPARE_CURRENT_ID) return current
+                const v = await getCompositionVersion(compositionId, id)
+                return v ? parseDocumentFromApi(v.document) : null
+            }
+            const [docA, docB] = await Promise.all([load(compareLeftId), load(compareRightId)])
+            if (!docA || !docB) {
                 window.alert('Could not load one or both versions.')
                 return
             }
-            const docA = parseDocumentFromApi(va.document)
-            const docB = parseDocumentFromApi(vb.document)
             const capture = async (doc: DocumentModel) => {
                 flushSync(() => {
                     setDocument(doc)
@@ -4851,7 +5309,14 @@ export default function AssetEditor() {
             }
             const urlA = await capture(docA)
             const urlB = await capture(docB)
-            setCompareUrls([urlA, urlB])
+            setCompareResult({
+                urls: [urlA, urlB],
+                sizes: [
+                    { width: docA.width, height: docA.height },
+                    { width: docB.width, height: docB.height },
+                ],
+                diff: diffDocumentVersions(docA, docB) as VersionCompareDiff,
+            })
         } catch (e) {
             window.alert(e instanceof Error ? e.message : 'Compare failed')
         } finally {
@@ -4871,7 +5336,7 @@ export default function AssetEditor() {
 
     const downloadExport = useCallback(
         async (
-            kind: 'png' | 'jpeg' | 'json' | 'psd',
+            kind: 'png' | 'jpeg' | 'json' | 'psd' | 'svg' | 'pdf',
             opts?: { downloadBaseName?: string; returnBlob?: boolean }
         ): Promise<{ blob: Blob } | void> => {
             const doc = documentRef.current
@@ -4901,6 +5366,35 @@ export default function AssetEditor() {
                 URL.revokeObjectURL(a.href)
                 return
             }
+            if (kind === 'svg' || kind === 'pdf') {
+                if (opts?.returnBlob) {
+                    throw new Error('returnBlob is only supported for PNG or JPEG')
+                }
+                const label = compositionNameRef.current.trim() || defaultCompositionName(doc)
+                setActivityToast(kind === 'svg' ? 'Building SVG…' : 'Building print PDF…')
+                try {
+                    const { page, rasterizedLayers } = await buildVectorPageFromDocument(doc, {
+                        brandContext,
+                        target: kind,
+                        label,
+                    })
+                    const blob =
+                        kind === 'svg'
+                            ? new Blob([vectorPageToSvgString(page)], { type: 'image/svg+xml' })
+                            : new Blob([await buildPrintPdfFromPages([page], { ...printPdfSettings, title: label })], {
+                                  type: 'application/pdf',
+                              })
+                    const a = window.document.createElement('a')
+                    a.href = URL.createObjectURL(blob)
+                    a.download = `${fileStem}.${kind}`
+                    a.click()
+                    URL.revokeObjectURL(a.href)
+                    setActivityToast(describeVectorExportResult(kind === 'svg' ? 'SVG' : 'Print PDF', rasterizedLayers))
+                } catch (e) {
+                    setActivityToast(e instanceof Error ? e.message : 'Vector export failed')
+                }
+                return
+            }
             const node = stageRef.current
             if (!node) {
                 return
@@ -4941,14 +5435,17 @@ export default function AssetEditor() {
                     if (opts?.returnBlob) {
                         throw new Error('returnBlob is only supported for PNG or JPEG')
                     }
-                    const bytes = await buildTestPsdFromFlattenedPng(dataUrl, doc.width, doc.height)
+                    const bytes = await buildLayeredPsdFromDocument(doc, {
+                        compositeDataUrl: dataUrl,
+                        brandContext,
+                    })
                     const blob = new Blob([bytes], { type: 'application/octet-stream' })
                     const a = window.document.createElement('a')
                     a.href = URL.createObjectURL(blob)
                     a.download = `${fileStem}.psd`
                     a.click()
                     URL.revokeObjectURL(a.href)
-                    setActivityToast('PSD exported (test)')
+                    setActivityToast('Layered PSD exported')
                     return
                 }
                 if (opts?.returnBlob === true) {
@@ -4964,7 +5461,7 @@ export default function AssetEditor() {
                 flushSync(() => setUiMode(priorUiMode))
             }
         },
-        [uiMode]
+        [uiMode, brandContext, printPdfSettings]
     )
 
     const runStudioHandoffExportIds = useCallback(
@@ -5104,66 +5601,170 @@ export default function AssetEditor() {
         [studioCreativeSet, discardRequiresConfirmation, editorConfirm, switchToSiblingComposition, downloadExport]
     )
 
-    const setStudioHandoffMode = useCallback((next: boolean) => {
-        setStudioHandoffSelectionMode(next)
-        if (next) {
-            setStudioApplyScope('this_version')
-            setStudioVersionPickMode(false)
-            setStudioApplySelectedCompositionIds([])
-        } else {
-            setStudioHandoffSelectedCompositionIds([])
-        }
-    }, [])
-
-    const toggleStudioHandoffComposition = useCallback((id: string) => {
-        setStudioHandoffSelectedCompositionIds((prev) => {
-            const s = new Set(prev)
-            if (s.has(id)) {
-                s.delete(id)
-            } else {
-                s.add(id)
+    /** One print PDF with a page per version (hero first), built from the vector export of each composition. */
+    const runStudioHandoffPrintPdf = useCallback(
+        async (compositionIds: string[]) => {
+            const STUDIO_HANDOFF_PDF_MAX = 24
+            if (!studioCreativeSet || compositionIds.length === 0) {
+                return
             }
-            return [...s]
-        })
-    }, [])
-
-    const studioHandoffSelectAll = useCallback(() => {
-        if (!studioCreativeSet) {
-            return
-        }
-        setStudioHandoffSelectedCompositionIds(studioCreativeSet.variants.map((x) => x.composition_id))
-    }, [studioCreativeSet])
-
-    const studioHandoffSelectHero = useCallback(() => {
-        const h = studioCreativeSet?.hero_composition_id
-        if (!h) {
-            setActivityToast('Set a hero version first (star on a tile)')
-            return
-        }
-        setStudioHandoffSelectedCompositionIds([h])
-    }, [studioCreativeSet])
-
-    const studioHandoffSelectNew = useCallback(() => {
-        if (studioPackNewcomerCompositionIds.length === 0) {
-            setActivityToast('No “new” versions in the current batch')
-            return
-        }
-        setStudioHandoffSelectedCompositionIds([...studioPackNewcomerCompositionIds])
-    }, [studioPackNewcomerCompositionIds])
-
-    const studioHandoffClearSelection = useCallback(() => {
-        setStudioHandoffSelectedCompositionIds([])
-    }, [])
-
-    const studioHandoffSetSelectedIds = useCallback((ids: string[]) => {
-        setStudioHandoffSelectedCompositionIds(ids)
-    }, [])
-
-    const exportStudioHandoffSelectedPng = useCallback(() => {
-        if (studioHandoffSelectedCompositionIds.length === 0) {
-            setActivityToast('Select at least one version')
-            return
-        }
+            let sorted = sortCompositionIdsByVariantSortOrder(compositionIds, studioCreativeSet.variants)
+            sorted = orderExportCompositionIdsHeroFirst(sorted, studioCreativeSet.hero_composition_id)
+            if (sorted.length === 0) {
+                return
+            }
+            if (sorted.length > STUDIO_HANDOFF_PDF_MAX) {
+                setActivityToast(`Choose at most ${STUDIO_HANDOFF_PDF_MAX} versions per PDF`)
+                return
+            }
+            if (discardRequiresConfirmation) {
+                const ok = await editorConfirm({
+                    title: 'Export print PDF',
+                    message:
+                        'Each version is rendered from the editor into one PDF. The canvas may switch between versions; unsaved changes on a version you leave can be lost. Continue?',
+                    confirmText: 'Continue',
+                    variant: 'warning',
+                })
+                if (!ok) {
+                    return
+                }
+            }
+            const batchStamp = new Date().toISOString().slice(0, 19).replace(/T/, '_').replace(/:/g, '-')
+            setStudioHandoffExportBusy(true)
+            setStudioHandoffExportPhase('capturing')
+            setStudioHandoffExportDetail('')
+            try {
+                const pages: VectorPage[] = []
+                const rasterized: VectorRasterizedLayer[] = []
+                const failures: { id: string; message: string }[] = []
+                for (let i = 0; i < sorted.length; i += 1) {
+                    const id = sorted[i]
+                    setStudioHandoffExportDetail(`Rendering page ${i + 1} of ${sorted.length}…`)
+                    try {
+                        if (compositionIdRef.current !== id) {
+                            await switchToSiblingComposition(id, { skipDiscardConfirm: true })
+                        }
+                        await new Promise<void>((r) =>
+                            requestAnimationFrame(() => requestAnimationFrame(() => r()))
+                        )
+                        const v = studioCreativeSet.variants.find((x) => x.composition_id === id)
+                        const built = await buildVectorPageFromDocument(documentRef.current, {
+                            brandContext,
+                            target: 'pdf',
+                            label: v?.label || `Version ${i + 1}`,
+                        })
+                        pages.push(built.page)
+                        rasterized.push(...built.rasterizedLayers)
+                    } catch (err) {
+                        failures.push({
+                            id: String(id),
+                            message: err instanceof Error ? err.message : String(err),
+                        })
+                    }
+                }
+                if (pages.length === 0) {
+                    setActivityToast('PDF failed — could not render any version')
+                    return
+                }
+                setStudioHandoffExportPhase('writing_pdf')
+                setStudioHandoffExportDetail('Embedding fonts and images…')
+                const bytes = await buildPrintPdfFromPages(pages, {
+                    ...printPdfSettings,
+                    title: studioCreativeSet.name,
+                })
+                setStudioHandoffExportPhase('downloading')
+                setStudioHandoffExportDetail('Starting download…')
+                const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }))
+                const a = window.document.createElement('a')
+                a.href = url
+                a.download = studioHandoffPrintPdfFilename({
+                    setName: studioCreativeSet.name,
+                    setId: studioCreativeSet.id,
+                    stamp: batchStamp,
+                })
+                a.click()
+                URL.revokeObjectURL(url)
+                const skipNote = failures.length ? ` — ${failures.length} skipped` : ''
+                const what = `Print PDF (${pages.length} page${pages.length === 1 ? '' : 's'})`
+                setActivityToast(`${describeVectorExportResult(what, rasterized)}${skipNote}`)
+            } catch (e) {
+                setActivityToast(e instanceof Error ? e.message : 'PDF export failed')
+            } finally {
+                setStudioHandoffExportBusy(false)
+                setStudioHandoffExportPhase('idle')
+                setStudioHandoffExportDetail('')
+            }
+        },
+        [
+            studioCreativeSet,
+            discardRequiresConfirmation,
+            editorConfirm,
+            switchToSiblingComposition,
+            brandContext,
+            printPdfSettings,
+        ]
+    )
+
+    const setStudioHandoffMode = useCallback((next: boolean) => {
+        setStudioHandoffSelectionMode(next)
+        if (next) {
+            setStudioApplyScope('this_version')
+            setStudioVersionPickMode(false)
+            setStudioApplySelectedCompositionIds([])
+        } else {
+            setStudioHandoffSelectedCompositionIds([])
+        }
+    }, [])
+
+    const toggleStudioHandoffComposition = useCallback((id: string) => {
+        setStudioHandoffSelectedCompositionIds((prev) => {
+            const s = new Set(prev)
+            if (s.has(id)) {
+                s.delete(id)
+            } else {
+                s.add(id)
+            }
+            return [...s]
+        })
+    }, [])
+
+    const studioHandoffSelectAll = useCallback(() => {
+        if (!studioCreativeSet) {
+            return
+        }
+        setStudioHandoffSelectedCompositionIds(studioCreativeSet.variants.map((x) => x.composition_id))
+    }, [studioCreativeSet])
+
+    const studioHandoffSelectHero = useCallback(() => {
+        const h = studioCreativeSet?.hero_composition_id
+        if (!h) {
+            setActivityToast('Set a hero version first (star on a tile)')
+            return
+        }
+        setStudioHandoffSelectedCompositionIds([h])
+    }, [studioCreativeSet])
+
+    const studioHandoffSelectNew = useCallback(() => {
+        if (studioPackNewcomerCompositionIds.length === 0) {
+            setActivityToast('No “new” versions in the current batch')
+            return
+        }
+        setStudioHandoffSelectedCompositionIds([...studioPackNewcomerCompositionIds])
+    }, [studioPackNewcomerCompositionIds])
+
+    const studioHandoffClearSelection = useCallback(() => {
+        setStudioHandoffSelectedCompositionIds([])
+    }, [])
+
+    const studioHandoffSetSelectedIds = useCallback((ids: string[]) => {
+        setStudioHandoffSelectedCompositionIds(ids)
+    }, [])
+
+    const exportStudioHandoffSelectedPng = useCallback(() => {
+        if (studioHandoffSelectedCompositionIds.length === 0) {
+            setActivityToast('Select at least one version')
+            return
+        }
         void runStudioHandoffExportIds(studioHandoffSelectedCompositionIds, 'png')
     }, [runStudioHandoffExportIds, studioHandoffSelectedCompositionIds])
 
@@ -5175,6 +5776,14 @@ export default function AssetEditor() {
         void runStudioHandoffExportIds(studioHandoffSelectedCompositionIds, 'jpeg')
     }, [runStudioHandoffExportIds, studioHandoffSelectedCompositionIds])
 
+    const exportStudioHandoffSelectedPdf = useCallback(() => {
+        if (studioHandoffSelectedCompositionIds.length === 0) {
+            setActivityToast('Select at least one version')
+            return
+        }
+        void runStudioHandoffPrintPdf(studioHandoffSelectedCompositionIds)
+    }, [runStudioHandoffPrintPdf, studioHandoffSelectedCompositionIds])
+
     const exportStudioHandoffHeroPng = useCallback(() => {
         const h = studioCreativeSet?.hero_composition_id
         if (!h) {
@@ -5244,6 +5853,9 @@ export default function AssetEditor() {
             onSetSelectedCompositionIds: studioHandoffSetSelectedIds,
             onExportSelectedPng: exportStudioHandoffSelectedPng,
             onExportSelectedJpeg: exportStudioHandoffSelectedJpeg,
+            onExportSelectedPdf: exportStudioHandoffSelectedPdf,
+            printPdfSettings,
+            onPrintPdfSettingsChange: setPrintPdfSettings,
             onExportHeroPng: exportStudioHandoffHeroPng,
             onExportHeroJpeg: exportStudioHandoffHeroJpeg,
             onExportHeroAndAlternatesPng: exportStudioHandoffHeroAndAltsPng,
@@ -5265,6 +5877,8 @@ export default function AssetEditor() {
         studioHandoffSetSelectedIds,
         exportStudioHandoffSelectedPng,
         exportStudioHandoffSelectedJpeg,
+        exportStudioHandoffSelectedPdf,
+        printPdfSettings,
         exportStudioHandoffHeroPng,
         exportStudioHandoffHeroJpeg,
         exportStudioHandoffHeroAndAltsPng,
@@ -5294,12 +5908,11 @@ export default function AssetEditor() {
             setSaveError(null)
             setPromoteOk(false)
             setPromoteError(null)
-            setCompareUrls(null)
+            setCompareResult(null)
             setCompareOpen(false)
             setHistoryOpen(false)
             setOpenCompositionPicker(false)
             setCompositionLoadError(null)
-            setCompareSlider(50)
             setUiMode('edit')
             setWelcomeDismissed(false)
             setDraftCompositionCreditsUsed(0)
@@ -5474,12 +6087,10 @@ export default function AssetEditor() {
     }, [compositionAnimations, studioAnimationDetailJobId, animationsLoading])
 
     useEffect(() => {
-        if (compareOpen && versions.length >= 2 && !compareLeftId && !compareRightId) {
-            setCompareLeftId(versions[0]?.id ?? null)
-            setCompareRightId(versions[1]?.id ?? null)
-        }
-        if (compareOpen) {
-            setCompareSlider(50)
+        // Versions are newest first: default to the previous save (A, before) against the latest one (B, after).
+        if (compareOpen && versions.length >= 1 && !compareLeftId && !compareRightId) {
+            setCompareLeftId(versions[1]?.id ?? versions[0].id)
+            setCompareRightId(versions.length >= 2 ? versions[0].id : COMPARE_CURRENT_ID)
         }
     }, [compareOpen, versions, compareLeftId, compareRightId])
 
@@ -5669,7 +6280,7 @@ export default function AssetEditor() {
         const categoryId =
             pickerCategoryFilterId === '' ? undefined : Math.floor(Number(pickerCategoryFilterId))
         const search = pickerSearchDebounced.length > 0 ? pickerSearchDebounced : undefined
-        const contentType = pickerMode === 'add_video' ? 'video' : 'image'
+        const contentType = pickerMode === 'add_video' ? 'video' : pickerMode === 'import_psd' ? 'psd' : 'image'
         const stagedOnly =
             pickerStagedLibraryOnly && pickerScope === 'library' && assetType === 'asset'
         fetchEditorAssets(80, {
@@ -5719,6 +6330,17 @@ export default function AssetEditor() {
         setPickerOpen(true)
     }, [])
 
+    const openPickerForImportPsd = useCallback(() => {
+        setPickerMode('import_psd')
+        setReplaceLayerId(null)
+        setReferencePickerLayerId(null)
+        setReferenceSelectionIds([])
+        setPickerStagedLibraryOnly(false)
+        setPickerSearchInput('')
+        setPickerSearchDebounced('')
+        setPickerOpen(true)
+    }, [])
+
     const openPickerForReplaceImage = useCallback((layerId: string) => {
         setPickerMode('replace')
         setReplaceLayerId(layerId)
@@ -5818,6 +6440,38 @@ export default function AssetEditor() {
             if (pickerPickingRef.current) {
                 return
             }
+            if (pickerMode === 'import_psd') {
+                pickerPickingRef.current = asset.id
+                setPickerPickingAssetId(asset.id)
+                setActivityToast('Reading PSD…')
+                try {
+                    const res = await fetch(editorBridgeFileUrlForAssetId(asset.id), { credentials: 'same-origin' })
+                    if (!res.ok) {
+                        throw new Error(`Could not download the PSD (${res.status})`)
+                    }
+                    const baseName = (asset.name?.trim() || 'Imported PSD').replace(/\.psd$/i, '')
+                    const { document: imported, warnings } = await importStudioDocumentFromPsd(await res.arrayBuffer(), {
+                        uploadRaster: (file) =>
+                            uploadEditorLibraryImage(file, {
+                                name: `${baseName} — ${file.name.replace(/\.png$/i, '')}`,
+                                editorSource: 'studio_psd_import',
+                            }),
+                        onProgress: (done, total) =>
+                            setActivityToast(total > 0 ? `Importing PSD layers… ${done}/${total}` : 'Importing PSD…'),
+                    })
+                    const c = await postCompositionFromDocument(baseName, imported, { visibility: 'private' })
+                    setPickerOpen(false)
+                    setPickerMode(null)
+                    setActivityToast(describePsdImportResult(warnings))
+                    await navigateToComposition(c.id)
+                } catch (e) {
+                    setActivityToast(handleAIError(e))
+                } finally {
+                    pickerPickingRef.current = null
+                    setPickerPickingAssetId(null)
+                }
+                return
+            }
             if (pickerMode === 'add_video') {
                 const cid = compositionIdRef.current
                 if (!cid) {
@@ -5841,11 +6495,11 @@ export default function AssetEditor() {
                         stacking: 'back',
                     })
                     const doc = parseDocumentFromApi(r.document_json)
+                    documentHistoryHintRef.current = { label: 'Add video layer', kind: 'server' }
                     setDocument(doc)
                     const ser = JSON.stringify(doc)
                     setLastSavedSerialized(ser)
                     lastAutosaveSnapshotSerializedRef.current = ser
-                    clearCanvasUndoHistory()
                     setPickerOpen(false)
                     setPickerMode(null)
                     setReplaceLayerId(null)
@@ -5934,7 +6588,7 @@ export default function AssetEditor() {
             document.layers,
             setDocument,
             setLastSavedSerialized,
-            clearCanvasUndoHistory,
+            navigateToComposition,
         ]
     )
 
@@ -6127,7 +6781,8 @@ export default function AssetEditor() {
                 return
             }
             const compositionIdForPublish = compositionId ?? compositionIdFromUrl
-            const isVideoPublish = Boolean(compositionIdForPublish) && hasVisibleVideoLayerInDoc
+            const isVideoPublish =
+                Boolean(compositionIdForPublish) && (hasVisibleVideoLayerInDoc || hasKeyframeAnimationInDoc)
             setPromoteSaving(true)
             setPromoteError(null)
             setPromoteOk(false)
@@ -6283,13 +6938,26 @@ export default function AssetEditor() {
             compositionId,
             compositionIdFromUrl,
             hasVisibleVideoLayerInDoc,
+            hasKeyframeAnimationInDoc,
             publishIncludeAudio,
             waitForImagesToLoad,
             editorHtmlToImageFetchRequestInit,
         ]
     )
 
-    const submitPublishModal = useCallback(() => {
+    /** Brand lint of the live document while the publish dialog is open. */
+    const publishBrandLintIssues = useMemo(
+        () => (publishModalOpen ? lintCompositionAgainstBrand(document, brandContext) : []),
+        [publishModalOpen, document, brandContext]
+    )
+    const fixBrandLintIssue = useCallback((issue: BrandLintIssue) => {
+        setDocument((prev) => ({ ...applyBrandLintIssueFix(prev, issue), updated_at: new Date().toISOString() }))
+    }, [])
+    const fixAllBrandLintIssues = useCallback(() => {
+        setDocument((prev) => ({ ...applyAllBrandLintIssueFixes(prev, brandContext), updated_at: new Date().toISOString() }))
+    }, [brandContext])
+
+    const submitPublishModal = useCallback(async () => {
         if (publishCategoryId === '') {
             setPromoteError('Choose a folder.')
             return
@@ -6304,6 +6972,18 @@ export default function AssetEditor() {
             setPromoteError('Complete the required metadata fields.')
             return
         }
+        // Brand lint runs right before promoteCompositionToAsset; errors need an explicit override.
+        const brandErrors = lintCompositionAgainstBrand(documentRef.current, brandContext).filter((i) => i.level === 'error')
+        if (brandErrors.length > 0) {
+            const ok = await editorConfirm({
+                title: 'Publish with brand issues?',
+                message: `The brand check found ${brandErrors.length} error${brandErrors.length === 1 ? '' : 's'}: ${brandErrors[0].message} Fix them from the Brand check list, or publish anyway.`,
+                confirmText: 'Publish anyway',
+                cancelText: 'Review issues',
+                variant: 'warning',
+            })
+            if (!ok) return
+        }
         void runPublishToLibrary({
             title: publishTitle,
             categoryId: publishCategoryId,
@@ -6319,6 +6999,8 @@ export default function AssetEditor() {
         publishMetadataValues,
         publishCollectionIds,
         runPublishToLibrary,
+        brandContext,
+        editorConfirm,
     ])
 
     const addGenerativeImageLayer = useCallback(() => {
@@ -7491,6 +8173,21 @@ export default function AssetEditor() {
         })
     }, [auth?.activeBrand?.primary_color])
 
+    const addShapeLayer = useCallback(
+        (preset: ShapePreset) => {
+            setDocument((prev) => {
+                const layer = createDefaultShapeLayer(preset, nextZIndex(prev.layers), prev, brandContext)
+                setSelectedLayerId(layer.id)
+                return {
+                    ...prev,
+                    layers: normalizeZ([...prev.layers, layer]),
+                    updated_at: new Date().toISOString(),
+                }
+            })
+        },
+        [brandContext]
+    )
+
     /**
      * Insert a new mask layer on top of the current stack. By default it's
      * placed directly above the currently-selected non-mask layer so the
@@ -7529,79 +8226,891 @@ export default function AssetEditor() {
                 layers,
                 updated_at: new Date().toISOString(),
             }
-        })
-    }, [selectedLayerId])
+        })
+    }, [selectedLayerId])
+
+    const handleAddLayerMenuChoice = useCallback(
+        (c: AddLayerMenuChoice) => {
+            setAddLayerUI(null)
+            if (c.startsWith('shape:')) {
+                addShapeLayer(c.slice('shape:'.length) as ShapePreset)
+                return
+            }
+            switch (c) {
+                case 'text':
+                    addTextLayer()
+                    break
+                case 'image':
+                    openPickerForAddImage()
+                    break
+                case 'video':
+                    openPickerForAddVideo()
+                    break
+                case 'ai_video':
+                    openStudioAnimateFromAddLayer()
+                    break
+                case 'generative':
+                    addGenerativeImageLayer()
+                    break
+                case 'fill':
+                    addFillLayer()
+                    break
+                case 'mask':
+                    addMaskLayer()
+                    break
+                default:
+                    break
+            }
+        },
+        [
+            addTextLayer,
+            addFillLayer,
+            addGenerativeImageLayer,
+            addMaskLayer,
+            addShapeLayer,
+            openPickerForAddImage,
+            openPickerForAddVideo,
+            openStudioAnimateFromAddLayer,
+        ],
+    )
+
+    /**
+     * Resolve a canvas/panel click into the correct selection:
+     *
+     *   - If the layer belongs to a group and the user didn't hold Alt, select
+     *     the group (we still surface `selectedLayerId = clicked id` so the
+     *     properties panel remains layer-centric).
+     *   - If Alt is held, drill into the single layer even if grouped.
+     *
+     * This is the ONE way selection should change in response to a user click.
+     * Other callers (programmatic: start-new, load-draft) clear both ids
+     * directly — that's fine, they're explicit.
+     */
+    const selectLayerOrGroup = useCallback(
+        (layerId: string, opts?: { alt?: boolean }) => {
+            const doc = documentRef.current
+            const layer = doc.layers.find((l) => l.id === layerId)
+            if (!layer) {
+                setSelectedLayerId(null)
+                setSelectedGroupId(null)
+                return
+            }
+            if (layer.groupId && !opts?.alt) {
+                setSelectedLayerId(layerId)
+                setSelectedGroupId(layer.groupId)
+                return
+            }
+            setSelectedLayerId(layerId)
+            setSelectedGroupId(null)
+        },
+        [setSelectedGroupId]
+    )
+
+    // ── Align / distribute ──────────────────────────────────────────────────
+    /** Layers the align bar acts on: shift-clicked rows, else the members of the selected group. */
+    const alignTarget = useMemo(() => {
+        if (groupingSelection.size >= 2) {
+            const ids = document.layers.filter((l) => groupingSelection.has(l.id)).map((l) => l.id)
+            return { ids, label: `Align ${ids.length} layers` }
+        }
+        const group = selectedGroupId ? document.groups?.find((g) => g.id === selectedGroupId) : undefined
+        if (group && group.memberIds.length >= 2) {
+            return { ids: group.memberIds, label: `Align “${group.name}”` }
+        }
+        return null
+    }, [document.layers, document.groups, groupingSelection, selectedGroupId])
+    const alignTargetMovableCount = useMemo(() => {
+        if (!alignTarget) return 0
+        const ids = new Set(alignTarget.ids)
+        return document.layers.filter((l) => ids.has(l.id) && !l.locked).length
+    }, [alignTarget, document.layers])
+
+    /** Moves the unlocked target layers to the positions `arrange` returns for their transform boxes. */
+    const arrangeAlignTarget = useCallback(
+        (arrange: (rects: (SnapRect & { id: string })[]) => (SnapRect & { id: string })[]) => {
+            if (!alignTarget) return
+            const ids = new Set(alignTarget.ids)
+            const rects = documentRef.current.layers
+                .filter((l) => ids.has(l.id) && !l.locked)
+                .map((l) => ({ id: l.id, x: l.transform.x, y: l.transform.y, width: l.transform.width, height: l.transform.height }))
+            if (rects.length < 2) return
+            const next = new Map(arrange(rects).map((r) => [r.id, r] as const))
+            setDocument((prev) => ({
+                ...prev,
+                layers: prev.layers.map((l) => {
+                    const r = next.get(l.id)
+                    return r ? { ...l, transform: { ...l.transform, x: r.x, y: r.y } } : l
+                }),
+                updated_at: new Date().toISOString(),
+            }))
+        },
+        [alignTarget]
+    )
+    const alignSelectedLayers = useCallback(
+        (mode: AlignMode) => arrangeAlignTarget((rects) => alignRects(rects, mode)),
+        [arrangeAlignTarget]
+    )
+    const distributeSelectedLayers = useCallback(
+        (axis: 'x' | 'y') => arrangeAlignTarget((rects) => distributeRects(rects, axis)),
+        [arrangeAlignTarget]
+    )
+
+    // ── Brand recipes (compositions saved as wizard recipes) ────────────────
+    const [brandRecipes, setBrandRecipes] = useState<BrandRecipeDto[]>([])
+    const [brandRecipesCanAuthor, setBrandRecipesCanAuthor] = useState(false)
+    const [brandRecipeBusy, setBrandRecipeBusy] = useState(false)
+    const [saveRecipeDialogOpen, setSaveRecipeDialogOpen] = useState(false)
+
+    const refreshBrandRecipes = useCallback(async () => {
+        try {
+            const { recipes, canAuthor } = await fetchBrandRecipes()
+            setBrandRecipes(recipes)
+            setBrandRecipesCanAuthor(canAuthor)
+        } catch {
+            // The wizard still offers the built-in recipes.
+        }
+    }, [])
+
+    useEffect(() => {
+        void refreshBrandRecipes()
+    }, [activeBrandId, refreshBrandRecipes])
+
+    useEffect(() => {
+        if (templateWizardOpen) void refreshBrandRecipes()
+    }, [templateWizardOpen, refreshBrandRecipes])
+
+    const brandRecipePalette = useMemo(() => {
+        const slots = brandContext?.brand_color_slots
+        return {
+            primary: slots?.primary ?? auth?.activeBrand?.primary_color ?? null,
+            secondary: slots?.secondary ?? null,
+            accent: slots?.accent ?? null,
+        }
+    }, [brandContext?.brand_color_slots, auth?.activeBrand?.primary_color])
+
+    const saveBrandRecipe = useCallback(
+        async (input: SaveRecipeInput) => {
+            setBrandRecipeBusy(true)
+            try {
+                const { replaceId, ...fields } = input
+                const recipe = replaceId
+                    ? await putBrandRecipe(replaceId, fields)
+                    : await postBrandRecipe({ ...fields, source_composition_id: compositionIdRef.current })
+                setBrandRecipes((prev) =>
+                    [...prev.filter((r) => r.id !== recipe.id), recipe].sort((a, b) => a.name.localeCompare(b.name))
+                )
+                setSaveRecipeDialogOpen(false)
+                setActivityToast(`Saved recipe “${recipe.name}” — it’s in the template wizard for this brand`)
+            } catch (e) {
+                setActivityToast(e instanceof Error ? e.message : 'Could not save recipe')
+            } finally {
+                setBrandRecipeBusy(false)
+            }
+        },
+        []
+    )
+
+    const removeBrandRecipe = useCallback(async (recipe: BrandRecipeDto) => {
+        const ok = await editorConfirm({
+            title: `Delete recipe “${recipe.name}”?`,
+            message: 'It disappears from the template wizard. Compositions already made from it are not affected.',
+            confirmText: 'Delete',
+            variant: 'danger',
+        })
+        if (!ok) return
+        setBrandRecipeBusy(true)
+        try {
+            await deleteBrandRecipe(recipe.id)
+            setBrandRecipes((prev) => prev.filter((r) => r.id !== recipe.id))
+            setWizardLayoutStyle((cur) => (cur === userRecipeStyleId(recipe.id) ? null : cur))
+        } catch (e) {
+            setActivityToast(e instanceof Error ? e.message : 'Could not delete recipe')
+        } finally {
+            setBrandRecipeBusy(false)
+        }
+    }, [])
+
+    // ── Translations (locale versions of the composition) ───────────────────
+    const [localizationDialogOpen, setLocalizationDialogOpen] = useState(false)
+    const [localizationBusy, setLocalizationBusy] = useState(false)
+
+    const measureLocaleFit = useCallback(
+        (layer: TextLayer, text: string) =>
+            computeAutoFitTextFontSize(text, layer.transform.width, layer.transform.height, layer.style.fontSize, {
+                fontFamily: formatCssFontFamilyStack(resolveCanvasFontFamily(brandContext, layer.style.fontFamily)),
+                fontWeight: layer.style.fontWeight,
+                lineHeight: layer.style.lineHeight,
+                letterSpacing: layer.style.letterSpacing,
+                textAlign: layer.style.textAlign,
+                direction: layer.style.direction,
+            }),
+        [brandContext]
+    )
+
+    const localeVersionsBlockedReason = useMemo(() => {
+        if (document.locale) return 'This is a locale version — edit translations in the source composition'
+        if (!compositionId) return 'Save the composition first'
+        if (!studioCreativeSet) return 'Create a Versions set first (Versions panel)'
+        return null
+    }, [document.locale, compositionId, studioCreativeSet])
+
+    const applyLocalization = useCallback((doc: DocumentModel) => {
+        setDocument(doc)
+        setLocalizationDialogOpen(false)
+    }, [])
+
+    /** Locale versions are built server-side from the saved source, so the translations are saved first. */
+    const applyAndCreateLocaleVersions = useCallback(
+        async (doc: DocumentModel, locales: string[]) => {
+            if (!compositionId || !studioCreativeSet) return
+            setLocalizationBusy(true)
+            try {
+                flushSync(() => setDocument(doc))
+                await performManualSave()
+                const { creative_set, created_variant_ids, updated_variant_ids } = await postCreativeSetLocaleVariants(studioCreativeSet.id, {
+                    source_composition_id: compositionId,
+                    locales,
+                })
+                setStudioCreativeSet(creative_set)
+                setStudioVersionsPanelOpen(true)
+                setLocalizationDialogOpen(false)
+                const unchanged = locales.length - created_variant_ids.length - updated_variant_ids.length
+                setActivityToast(
+                    [
+                        created_variant_ids.length > 0 ? `${created_variant_ids.length} locale version${created_variant_ids.length === 1 ? '' : 's'} created` : '',
+                        updated_variant_ids.length > 0 ? `${updated_variant_ids.length} updated` : '',
+                        unchanged > 0 ? `${unchanged} already up to date` : '',
+                    ]
+                        .filter(Boolean)
+                        .join(', ')
+                )
+            } catch (e) {
+                setActivityToast(e instanceof Error ? e.message : 'Could not create locale versions')
+            } finally {
+                setLocalizationBusy(false)
+            }
+        },
+        [compositionId, studioCreativeSet, performManualSave]
+    )
+
+    // ── Brand components (linked instances) ─────────────────────────────────
+    const [brandComponents, setBrandComponents] = useState<BrandComponentDto[] | null>(null)
+    const [brandComponentsLoading, setBrandComponentsLoading] = useState(false)
+    const [brandComponentsError, setBrandComponentsError] = useState<string | null>(null)
+    const [brandComponentsBusy, setBrandComponentsBusy] = useState(false)
+
+    const refreshBrandComponents = useCallback(async () => {
+        setBrandComponentsLoading(true)
+        setBrandComponentsError(null)
+        try {
+            setBrandComponents(await fetchBrandComponents())
+        } catch (e) {
+            setBrandComponentsError(e instanceof Error ? e.message : 'Could not load components')
+        } finally {
+            setBrandComponentsLoading(false)
+        }
+    }, [])
+
+    const linkedComponentIdsKey = useMemo(
+        () => (linkedComponentIds(document) as string[]).join(','),
+        // eslint-disable-next-line react-hooks/exhaustive-deps -- links only live on groups
+        [document.groups]
+    )
+
+    useEffect(() => {
+        if (brandComponents !== null || brandComponentsLoading || brandComponentsError) return
+        if (leftPanel === 'components' || linkedComponentIdsKey !== '') {
+            void refreshBrandComponents()
+        }
+    }, [brandComponents, brandComponentsLoading, brandComponentsError, leftPanel, linkedComponentIdsKey, refreshBrandComponents])
+
+    /** Instances saved against an older master revision catch up as soon as the library is known. */
+    useEffect(() => {
+        if (!brandComponents || linkedComponentIdsKey === '') return
+        const linked = new Set(linkedComponentIdsKey.split(','))
+        let doc = documentRef.current
+        let updated = 0
+        for (const component of brandComponents) {
+            if (!linked.has(component.id)) continue
+            const res = syncComponentInstances(doc, component, { newId: generateId })
+            doc = res.doc as DocumentModel
+            updated += res.updated as number
+        }
+        if (updated > 0) {
+            setDocument({ ...doc, updated_at: new Date().toISOString() })
+            setActivityToast(`Updated ${updated} component instance${updated === 1 ? '' : 's'} from the brand library`)
+        }
+    }, [brandComponents, linkedComponentIdsKey])
+
+    const selectedComponentInstance = useMemo((): BrandComponentInstanceSelection | null => {
+        const group = selectedGroupId ? document.groups?.find((g) => g.id === selectedGroupId) : undefined
+        if (!group?.component) return null
+        const link = group.component
+        return {
+            groupId: group.id,
+            component: brandComponents?.find((c) => c.id === link.componentId) ?? null,
+            revision: link.revision,
+            overrideCount: componentInstanceOverrideCount(document, group) as number,
+        }
+    }, [brandComponents, document, selectedGroupId])
+
+    const brandComponentSaveLabel = useMemo((): string | null => {
+        if (selectedGroupId) {
+            const group = document.groups?.find((g) => g.id === selectedGroupId)
+            return group && !group.component ? group.name : null
+        }
+        const layer = selectedLayerId ? document.layers.find((l) => l.id === selectedLayerId) : undefined
+        return layer && !layer.groupId ? layer.name || layer.type : null
+    }, [document.groups, document.layers, selectedGroupId, selectedLayerId])
+
+    /** Saves the selected group (or a single ungrouped layer) as a master and links the selection to it. */
+    const saveSelectionAsBrandComponent = useCallback(async () => {
+        const doc = documentRef.current
+        const group = selectedGroupId ? doc.groups?.find((g) => g.id === selectedGroupId) : undefined
+        const single = !group && selectedLayerId ? doc.layers.find((l) => l.id === selectedLayerId && !l.groupId) : undefined
+        const layers = group ? groupMemberLayers(doc, group.id) : single ? [single] : []
+        if (layers.length === 0 || group?.component) return
+        if (layers.length > COMPONENT_LAYERS_MAX) {
+            setActivityToast(`Components can hold up to ${COMPONENT_LAYERS_MAX} layers`)
+            return
+        }
+        const entered = await promptForText({
+            title: 'Save as component',
+            message: 'Saved to this brand’s library. Copies placed in any composition stay linked to the master.',
+            label: 'Component name',
+            initialValue: group?.name ?? single?.name ?? 'Component',
+            confirmText: 'Save',
+        })
+        const name = entered?.trim()
+        if (!name) return
+        setBrandComponentsBusy(true)
+        try {
+            const component = await postBrandComponent({
+                name,
+                kind: componentKindFromLayers(layers) as BrandComponentKind,
+                definition: buildComponentDefinition(layers),
+            })
+            setBrandComponents((prev) => [...(prev ?? []), component])
+            const groupId = group?.id ?? generateId()
+            setDocument((prev) => {
+                let next = prev
+                if (!group && single) {
+                    next = {
+                        ...prev,
+                        layers: prev.layers.map((l) => (l.id === single.id ? ({ ...l, groupId } as Layer) : l)),
+                        groups: [
+                            ...(prev.groups ?? []),
+                            { id: groupId, name, memberIds: [single.id], locked: false, collapsed: true },
+                        ],
+                    }
+                }
+                return {
+                    ...(linkGroupToComponent(next, groupId, component, { newId: generateId }) as DocumentModel),
+                    updated_at: new Date().toISOString(),
+                }
+            })
+            setSelectedGroupId(groupId)
+            setActivityToast(`Saved “${component.name}” to the component library`)
+        } catch (e) {
+            setActivityToast(e instanceof Error ? e.message : 'Could not save component')
+        } finally {
+            setBrandComponentsBusy(false)
+        }
+    }, [promptForText, selectedGroupId, selectedLayerId, setSelectedGroupId])
+
+    const insertBrandComponent = useCallback(
+        (component: BrandComponentDto) => {
+            const doc = documentRef.current
+            const res = placeComponentInstance(doc, component, {
+                x: Math.round((doc.width - component.definition.width) / 2),
+                y: Math.round((doc.height - component.definition.height) / 2),
+                newId: generateId,
+            })
+            const next = res.doc as DocumentModel
+            setDocument({ ...next, updated_at: new Date().toISOString() })
+            const first = next.groups?.find((g) => g.id === res.groupId)?.memberIds[0]
+            if (first) {
+                setSelectedLayerId(first)
+                setSelectedGroupId(res.groupId as string)
+            }
+        },
+        [setSelectedGroupId]
+    )
+
+    /** The selected instance becomes the master; the server re-materializes every instance in the brand. */
+    const pushInstanceToBrandComponent = useCallback(
+        async (groupId: string) => {
+            const doc = documentRef.current
+            const link = doc.groups?.find((g) => g.id === groupId)?.component
+            const master = link ? brandComponents?.find((c) => c.id === link.componentId) : undefined
+            if (!link || !master) return
+            const ok = await editorConfirm({
+                title: `Update “${master.name}”?`,
+                message:
+                    'This copy becomes the master and every linked copy in this brand’s compositions is updated. Text and colors changed on other copies are kept.',
+                confirmText: 'Update master',
+                variant: 'warning',
+            })
+            if (!ok) return
+            const members = groupMemberLayers(documentRef.current, groupId)
+            setBrandComponentsBusy(true)
+            try {
+                const { component, propagation } = await putBrandComponent(master.id, {
+                    definition: buildComponentDefinition(members, { frame: componentInstanceFrame(members, link) }),
+                })
+                setDocument((prev) => ({
+                    ...(syncComponentInstances(prev, component, { newId: generateId }).doc as DocumentModel),
+                    updated_at: new Date().toISOString(),
+                }))
+                setBrandComponents((prev) => (prev ?? []).map((c) => (c.id === component.id ? component : c)))
+                const others = propagation.updated_composition_ids.filter((id) => id !== compositionIdRef.current).length
+                setActivityToast(
+                    others > 0
+                        ? `Updated “${component.name}” in ${others} other composition${others === 1 ? '' : 's'}`
+                        : `Updated “${component.name}”`
+                )
+            } catch (e) {
+                setActivityToast(e instanceof Error ? e.message : 'Could not update component')
+            } finally {
+                setBrandComponentsBusy(false)
+            }
+        },
+        [brandComponents, editorConfirm]
+    )
+
+    const resetBrandComponentOverrides = useCallback(
+        (groupId: string) => {
+            const link = documentRef.current.groups?.find((g) => g.id === groupId)?.component
+            const master = link ? brandComponents?.find((c) => c.id === link.componentId) : undefined
+            if (!master) return
+            setDocument((prev) => ({
+                ...(syncComponentInstances(prev, master, {
+                    newId: generateId,
+                    force: true,
+                    onlyGroupId: groupId,
+                    resetOverrides: true,
+                }).doc as DocumentModel),
+                updated_at: new Date().toISOString(),
+            }))
+        },
+        [brandComponents]
+    )
+
+    const detachBrandComponentInstance = useCallback((groupId: string) => {
+        setDocument((prev) => ({
+            ...(detachComponentInstance(prev, groupId) as DocumentModel),
+            updated_at: new Date().toISOString(),
+        }))
+        setActivityToast('Detached from the component — edits no longer follow the master')
+    }, [])
+
+    const deleteBrandComponentFromLibrary = useCallback(
+        async (component: BrandComponentDto) => {
+            const ok = await editorConfirm({
+                title: `Delete “${component.name}”?`,
+                message: 'Placed copies keep their layers but stop following the master. This cannot be undone.',
+                confirmText: 'Delete',
+                variant: 'danger',
+            })
+            if (!ok) return
+            setBrandComponentsBusy(true)
+            try {
+                await deleteBrandComponent(component.id)
+                setBrandComponents((prev) => (prev ?? []).filter((c) => c.id !== component.id))
+                setDocument((prev) => {
+                    let next = prev
+                    for (const g of prev.groups ?? []) {
+                        if (g.component?.componentId === component.id) {
+                            next = detachComponentInstance(next, g.id) as DocumentModel
+                        }
+                    }
+                    return next === prev ? prev : { ...next, updated_at: new Date().toISOString() }
+                })
+            } catch (e) {
+                setActivityToast(e instanceof Error ? e.message : 'Could not delete component')
+            } finally {
+                setBrandComponentsBusy(false)
+            }
+        },
+        [editorConfirm]
+    )
+
+    const [commentState, setCommentState] = useState<{ compositionId: string; threads: CommentThreadDto[] } | null>(null)
+    const commentThreads = commentState && commentState.compositionId === compositionId ? commentState.threads : null
+    const [commentsLoading, setCommentsLoading] = useState(false)
+    const [commentsError, setCommentsError] = useState<string | null>(null)
+    const [commentsBusy, setCommentsBusy] = useState(false)
+    const [commentMentionables, setCommentMentionables] = useState<CommentUserDto[]>([])
+    const [activeCommentThreadId, setActiveCommentThreadId] = useState<string | null>(null)
+    const [commentPlacing, setCommentPlacing] = useState(false)
+    const [commentDraftPin, setCommentDraftPin] = useState<CommentPinDto | null>(null)
+    const [showResolvedComments, setShowResolvedComments] = useState(false)
+    const [commentSummary, setCommentSummary] = useState<Record<string, CommentSummaryDto>>({})
+
+    const refreshCommentThreads = useCallback(async () => {
+        const id = compositionIdRef.current
+        if (!id) return
+        setCommentsLoading(true)
+        setCommentsError(null)
+        try {
+            const [threads, people] = await Promise.all([fetchCommentThreads(id), fetchCommentMentionables(id)])
+            if (compositionIdRef.current !== id) return
+            setCommentState({ compositionId: id, threads })
+            setCommentMentionables(people)
+        } catch (e) {
+            setCommentsError(e instanceof Error ? e.message : 'Could not load comments')
+        } finally {
+            setCommentsLoading(false)
+        }
+    }, [])
+
+    useEffect(() => {
+        if (leftPanel !== 'comments' || !compositionId || commentState?.compositionId === compositionId) return
+        void refreshCommentThreads()
+    }, [leftPanel, compositionId, commentState?.compositionId, refreshCommentThreads])
+
+    // Pins and drafts belong to the composition they were made on.
+    useEffect(() => {
+        setActiveCommentThreadId(null)
+        setCommentPlacing(false)
+        setCommentDraftPin(null)
+    }, [compositionId])
+
+    useEffect(() => {
+        if (leftPanel !== 'comments') {
+            setCommentPlacing(false)
+            setCommentDraftPin(null)
+        }
+    }, [leftPanel])
+
+    /** Mention notifications link to `?composition=…&comment=…`: open the thread once, then drop the param. */
+    useEffect(() => {
+        if (!compositionId || typeof window === 'undefined') return
+        const url = new URL(window.location.href)
+        const threadId = url.searchParams.get('comment')
+        if (!threadId || url.searchParams.get('composition') !== compositionId) return
+        url.searchParams.delete('comment')
+        window.history.replaceState(window.history.state, '', url.toString())
+        setLeftPanel('comments')
+        setActiveCommentThreadId(threadId)
+    }, [compositionId])
+
+    useEffect(() => {
+        if (!commentPlacing) return
+        const onKey = (e: KeyboardEvent) => {
+            if (e.key === 'Escape') setCommentPlacing(false)
+        }
+        window.addEventListener('keydown', onKey)
+        return () => window.removeEventListener('keydown', onKey)
+    }, [commentPlacing])
+
+    const commentSummaryIdsKey = studioCreativeSet ? studioCreativeSet.variants.map((v) => v.composition_id).join(',') : ''
+
+    const refreshCommentSummary = useCallback(async () => {
+        if (!commentSummaryIdsKey) {
+            setCommentSummary({})
+            return
+        }
+        try {
+            setCommentSummary(await fetchCommentSummary(commentSummaryIdsKey.split(',')))
+        } catch {
+            // Counts are a hint on the rail; keep the last known ones.
+        }
+    }, [commentSummaryIdsKey])
+
+    useEffect(() => {
+        void refreshCommentSummary()
+    }, [refreshCommentSummary])
+
+    const commentPinLabels = useMemo(
+        () => Object.fromEntries((commentThreads ?? []).map((t, i) => [t.id, i + 1])) as Record<string, number>,
+        [commentThreads]
+    )
+
+    const commentPinMarks = useMemo((): CommentPinMark[] => {
+        const marks: CommentPinMark[] = []
+        for (const t of commentThreads ?? []) {
+            if (t.resolved_at && !showResolvedComments && t.id !== activeCommentThreadId) continue
+            const at = commentPinPosition(t, document) as { x: number; y: number; detached: boolean } | null
+            if (!at) continue
+            marks.push({
+                id: t.id,
+                label: commentPinLabels[t.id],
+                ...at,
+                resolved: Boolean(t.resolved_at),
+                active: t.id === activeCommentThreadId,
+            })
+        }
+        return marks
+    }, [commentThreads, commentPinLabels, showResolvedComments, activeCommentThreadId, document])
+
+    const placeCommentPin = useCallback((x: number, y: number, layerId: string | null) => {
+        const layer = layerId ? documentRef.current.layers.find((l) => l.id === layerId) ?? null : null
+        setCommentDraftPin(commentPinAt(x, y, layer) as CommentPinDto)
+        setCommentPlacing(false)
+        setActiveCommentThreadId(null)
+    }, [])
+
+    const storeCommentThread = useCallback(
+        (thread: CommentThreadDto) => {
+            setCommentState((prev) => {
+                if (!prev || prev.compositionId !== thread.composition_id) return prev
+                const exists = prev.threads.some((t) => t.id === thread.id)
+                return {
+                    ...prev,
+                    threads: exists ? prev.threads.map((t) => (t.id === thread.id ? thread : t)) : [...prev.threads, thread],
+                }
+            })
+            void refreshCommentSummary()
+        },
+        [refreshCommentSummary]
+    )
+
+    const createCommentThread = useCallback(
+        async (body: string, mentionedUserIds: number[]): Promise<boolean> => {
+            const id = compositionIdRef.current
+            if (!id || !commentDraftPin) return false
+            setCommentsBusy(true)
+            try {
+                const thread = await postCommentThread(id, { ...commentDraftPin, body, mentioned_user_ids: mentionedUserIds })
+                storeCommentThread(thread)
+                setCommentDraftPin(null)
+                setActiveCommentThreadId(thread.id)
+                return true
+            } catch (e) {
+                setActivityToast(e instanceof Error ? e.message : 'Could not post comment')
+                return false
+            } finally {
+                setCommentsBusy(false)
+            }
+        },
+        [commentDraftPin, storeCommentThread]
+    )
+
+    const replyToCommentThread = useCallback(
+        async (threadId: string, body: string, mentionedUserIds: number[]): Promise<boolean> => {
+            const id = compositionIdRef.current
+            if (!id) return false
+            setCommentsBusy(true)
+            try {
+                storeCommentThread(await postCommentReply(id, threadId, { body, mentioned_user_ids: mentionedUserIds }))
+                return true
+            } catch (e) {
+                setActivityToast(e instanceof Error ? e.message : 'Could not post reply')
+                return false
+            } finally {
+                setCommentsBusy(false)
+            }
+        },
+        [storeCommentThread]
+    )
 
-    const handleAddLayerMenuChoice = useCallback(
-        (c: AddLayerMenuChoice) => {
-            setAddLayerUI(null)
-            switch (c) {
-                case 'text':
-                    addTextLayer()
-                    break
-                case 'image':
-                    openPickerForAddImage()
-                    break
-                case 'video':
-                    openPickerForAddVideo()
-                    break
-                case 'ai_video':
-                    openStudioAnimateFromAddLayer()
-                    break
-                case 'generative':
-                    addGenerativeImageLayer()
-                    break
-                case 'fill':
-                    addFillLayer()
-                    break
-                case 'mask':
-                    addMaskLayer()
-                    break
-                default:
-                    break
+    const setCommentThreadResolved = useCallback(
+        async (thread: CommentThreadDto, resolved: boolean) => {
+            setCommentsBusy(true)
+            try {
+                storeCommentThread(await patchCommentThread(thread.composition_id, thread.id, { resolved }))
+            } catch (e) {
+                setActivityToast(e instanceof Error ? e.message : 'Could not update thread')
+            } finally {
+                setCommentsBusy(false)
             }
         },
-        [
-            addTextLayer,
-            addFillLayer,
-            addGenerativeImageLayer,
-            addMaskLayer,
-            openPickerForAddImage,
-            openPickerForAddVideo,
-            openStudioAnimateFromAddLayer,
-        ],
+        [storeCommentThread]
     )
 
-    /**
-     * Resolve a canvas/panel click into the correct selection:
-     *
-     *   - If the layer belongs to a group and the user didn't hold Alt, select
-     *     the group (we still surface `selectedLayerId = clicked id` so the
-     *     properties panel remains layer-centric).
-     *   - If Alt is held, drill into the single layer even if grouped.
-     *
-     * This is the ONE way selection should change in response to a user click.
-     * Other callers (programmatic: start-new, load-draft) clear both ids
-     * directly — that's fine, they're explicit.
-     */
-    const selectLayerOrGroup = useCallback(
-        (layerId: string, opts?: { alt?: boolean }) => {
-            const doc = documentRef.current
-            const layer = doc.layers.find((l) => l.id === layerId)
-            if (!layer) {
+    const removeCommentThread = useCallback(
+        async (thread: CommentThreadDto) => {
+            const ok = await editorConfirm({
+                title: 'Delete comment thread?',
+                message: 'The thread and all of its replies will be removed for everyone.',
+                confirmText: 'Delete',
+                variant: 'danger',
+            })
+            if (!ok) return
+            setCommentsBusy(true)
+            try {
+                await deleteCommentThread(thread.composition_id, thread.id)
+                setCommentState((prev) =>
+                    prev && prev.compositionId === thread.composition_id
+                        ? { ...prev, threads: prev.threads.filter((t) => t.id !== thread.id) }
+                        : prev
+                )
+                setActiveCommentThreadId((cur) => (cur === thread.id ? null : cur))
+                void refreshCommentSummary()
+            } catch (e) {
+                setActivityToast(e instanceof Error ? e.message : 'Could not delete thread')
+            } finally {
+                setCommentsBusy(false)
+            }
+        },
+        [editorConfirm, refreshCommentSummary]
+    )
+
+    const artboards = useMemo(() => listArtboards(document) as Artboard[], [document])
+    const currentArtboardId = activeArtboardId(document)
+    const [artboardsOverviewOpen, setArtboardsOverviewOpen] = useState(false)
+    const [artboardExportBusy, setArtboardExportBusy] = useState(false)
+
+    /** Layers "Copy selection here" takes: the panel multi-select, else the selected group or layer. */
+    const artboardCopySelection = useMemo((): { ids: string[]; label: string } | null => {
+        if (groupingSelection.size > 0) {
+            const ids = document.layers.filter((l) => groupingSelection.has(l.id)).map((l) => l.id)
+            return ids.length ? { ids, label: `${ids.length} layer${ids.length === 1 ? '' : 's'}` } : null
+        }
+        const group = selectedGroupId ? document.groups?.find((g) => g.id === selectedGroupId) : undefined
+        if (group) return { ids: group.memberIds, label: `“${group.name}”` }
+        const layer = selectedLayerId ? document.layers.find((l) => l.id === selectedLayerId) : undefined
+        return layer ? { ids: [layer.id], label: `“${layer.name || layer.type}”` } : null
+    }, [document.layers, document.groups, groupingSelection, selectedGroupId, selectedLayerId])
+
+    /** Commits an artboard change; the selection belongs to the board being left, so it is cleared when the board changes. */
+    const applyArtboardChange = useCallback(
+        (change: (doc: DocumentModel) => DocumentModel) => {
+            const prev = documentRef.current
+            const next = change(prev)
+            if (next === prev) return
+            if (activeArtboardId(next) !== activeArtboardId(prev)) {
                 setSelectedLayerId(null)
                 setSelectedGroupId(null)
-                return
+                setEditingTextLayerId(null)
+                setGroupingSelection(new Set())
+                layerPanelRangeAnchorIdRef.current = null
+                fitToView()
             }
-            if (layer.groupId && !opts?.alt) {
-                setSelectedLayerId(layerId)
-                setSelectedGroupId(layer.groupId)
-                return
+            setDocument({ ...next, updated_at: new Date().toISOString() })
+        },
+        [fitToView, setSelectedGroupId]
+    )
+
+    const openArtboard = useCallback(
+        (id: string) => {
+            applyArtboardChange((d) => switchArtboard(d, id) as DocumentModel)
+            setArtboardsOverviewOpen(false)
+        },
+        [applyArtboardChange]
+    )
+
+    const renameArtboardPrompt = useCallback(
+        async (board: Artboard) => {
+            const entered = await promptForText({
+                title: 'Rename artboard',
+                label: 'Artboard name',
+                initialValue: board.name,
+                confirmText: 'Rename',
+            })
+            if (entered === null) return
+            applyArtboardChange((d) => renameArtboard(d, board.id, entered) as DocumentModel)
+        },
+        [applyArtboardChange, promptForText]
+    )
+
+    const deleteArtboard = useCallback(
+        async (board: Artboard) => {
+            if (board.layers.length > 0) {
+                const ok = await editorConfirm({
+                    title: `Delete “${board.name}”?`,
+                    message: `Its ${board.layers.length} layer${board.layers.length === 1 ? '' : 's'} will be removed. You can undo this.`,
+                    confirmText: 'Delete',
+                    variant: 'danger',
+                })
+                if (!ok) return
             }
-            setSelectedLayerId(layerId)
-            setSelectedGroupId(null)
+            applyArtboardChange((d) => removeArtboard(d, board.id) as DocumentModel)
         },
-        [setSelectedGroupId]
+        [applyArtboardChange, editorConfirm]
+    )
+
+    const copySelectionToArtboard = useCallback(
+        (targetId: string) => {
+            if (!artboardCopySelection) return
+            const target = artboards.find((b) => b.id === targetId)
+            applyArtboardChange((d) => copyLayersToArtboard(d, artboardCopySelection.ids, targetId, generateId) as DocumentModel)
+            setActivityToast(`Copied ${artboardCopySelection.label} to “${target?.name ?? 'artboard'}”`)
+        },
+        [applyArtboardChange, artboardCopySelection, artboards]
+    )
+
+    /** One artboard as SVG or a one-page print PDF. */
+    const exportArtboard = useCallback(
+        async (id: string, kind: 'svg' | 'pdf') => {
+            const doc = artboardDocument(documentRef.current, id) as DocumentModel | null
+            const board = artboards.find((b) => b.id === id)
+            if (!doc || !board) return
+            const label = `${compositionNameRef.current.trim() || defaultCompositionName(doc)} — ${board.name}`
+            setArtboardExportBusy(true)
+            setActivityToast(kind === 'svg' ? 'Building SVG…' : 'Building print PDF…')
+            try {
+                const { page, rasterizedLayers } = await buildVectorPageFromDocument(doc, { brandContext, target: kind, label })
+                const blob =
+                    kind === 'svg'
+                        ? new Blob([vectorPageToSvgString(page)], { type: 'image/svg+xml' })
+                        : new Blob([await buildPrintPdfFromPages([page], { ...printPdfSettings, title: label })], {
+                              type: 'application/pdf',
+                          })
+                const a = window.document.createElement('a')
+                a.href = URL.createObjectURL(blob)
+                a.download = `${label.replace(/[^a-z0-9-_]+/gi, '_')}.${kind}`
+                a.click()
+                URL.revokeObjectURL(a.href)
+                setActivityToast(describeVectorExportResult(kind === 'svg' ? 'SVG' : 'Print PDF', rasterizedLayers))
+            } catch (e) {
+                setActivityToast(e instanceof Error ? e.message : 'Vector export failed')
+            } finally {
+                setArtboardExportBusy(false)
+            }
+        },
+        [artboards, brandContext, printPdfSettings]
+    )
+
+    /** Every artboard: one print PDF with a page per board, or a ZIP with an SVG per board. */
+    const exportAllArtboards = useCallback(
+        async (kind: 'pdf' | 'zip') => {
+            const doc = documentRef.current
+            const title = compositionNameRef.current.trim() || defaultCompositionName(doc)
+            const stem = title.replace(/[^a-z0-9-_]+/gi, '_')
+            const boards = listArtboards(doc) as Artboard[]
+            setArtboardExportBusy(true)
+            setActivityToast(`Building ${boards.length} artboards…`)
+            try {
+                const pages: VectorPage[] = []
+                const rasterized: VectorRasterizedLayer[] = []
+                for (const board of boards) {
+                    const built = await buildVectorPageFromDocument(artboardDocument(doc, board.id) as DocumentModel, {
+                        brandContext,
+                        target: kind === 'pdf' ? 'pdf' : 'svg',
+                        label: board.name,
+                    })
+                    pages.push(built.page)
+                    rasterized.push(...built.rasterizedLayers)
+                }
+                let blob: Blob
+                if (kind === 'pdf') {
+                    blob = new Blob([await buildPrintPdfFromPages(pages, { ...printPdfSettings, title })], { type: 'application/pdf' })
+                } else {
+                    const entries = pages.map((page, i) => ({
+                        path: `${String(i + 1).padStart(2, '0')}-${boards[i].name.replace(/[^a-z0-9-_]+/gi, '_')}-${boards[i].width}x${boards[i].height}.svg`,
+                        blob: new Blob([vectorPageToSvgString(page)], { type: 'image/svg+xml' }),
+                    }))
+                    blob = await buildRasterBundleZip(
+                        entries,
+                        [`Studio — artboards of “${title}”`, '', 'Included files:', ...entries.map((e) => `  ${e.path}`)].join('\n')
+                    )
+                }
+                const a = window.document.createElement('a')
+                a.href = URL.createObjectURL(blob)
+                a.download = `${stem}-artboards.${kind}`
+                a.click()
+                URL.revokeObjectURL(a.href)
+                const what = kind === 'pdf' ? `Print PDF (${pages.length} pages)` : `SVG bundle (${pages.length} files)`
+                setActivityToast(describeVectorExportResult(what, rasterized))
+            } catch (e) {
+                setActivityToast(e instanceof Error ? e.message : 'Artboard export failed')
+            } finally {
+                setArtboardExportBusy(false)
+            }
+        },
+        [brandContext, printPdfSettings]
     )
 
     const switchStudioAiStillOrClip = useCallback(
@@ -7709,7 +9218,6 @@ export default function AssetEditor() {
             }
             e.stopPropagation()
             e.preventDefault()
-            dragUndoBaselineRef.current = JSON.stringify(documentRef.current)
             const { x, y } = clientToDoc(e.clientX, e.clientY)
 
             // If the clicked layer is in a group AND the group is currently
@@ -7771,7 +9279,6 @@ export default function AssetEditor() {
             e.preventDefault()
             setSelectedLayerId(layerId)
             setEditingTextLayerId(null)
-            dragUndoBaselineRef.current = JSON.stringify(documentRef.current)
             const { x, y } = clientToDoc(e.clientX, e.clientY)
 
             // Group resize: we treat the union rect as the subject and every
@@ -7831,6 +9338,29 @@ export default function AssetEditor() {
         [clientToDoc]
     )
 
+    const beginShapePointDrag = useCallback(
+        (layerId: string, pointIndex: number, e: React.MouseEvent) => {
+            const layer = documentRef.current.layers.find((l) => l.id === layerId)
+            if (!layer || !isShapeLayer(layer) || layer.locked || !layer.visible || !shapeHasEditablePoints(layer)) {
+                return
+            }
+            const points = layer.points ?? []
+            if ((layer.transform.rotation ?? 0) !== 0 || !points[pointIndex]) {
+                return
+            }
+            e.stopPropagation()
+            e.preventDefault()
+            const t = layer.transform
+            dragRef.current = {
+                kind: 'shape_point',
+                layerId,
+                pointIndex,
+                startPoints: points.map((p) => ({ x: t.x + p.x * t.width, y: t.y + p.y * t.height })),
+            }
+        },
+        []
+    )
+
     const studioCompositionEditorHandlers = useMemo((): CompositionSceneEditorHandlers => {
         return {
             onLayerMouseDown: (layer, e, opts) => {
@@ -7860,6 +9390,7 @@ export default function AssetEditor() {
             setSelectedLayerId,
             beginMove,
             beginResize,
+            beginShapePointDrag,
             openPickerForReplaceImage,
             runGenerativeGeneration,
             runGenerativeVariations,
@@ -7876,6 +9407,7 @@ export default function AssetEditor() {
         setEditingTextLayerId,
         setSelectedLayerId,
         beginResize,
+        beginShapePointDrag,
         openPickerForReplaceImage,
         runGenerativeGeneration,
         runGenerativeVariations,
@@ -7897,6 +9429,73 @@ export default function AssetEditor() {
             const altDisable = e.altKey
             const doc = documentRef.current
             const thresholdDoc = (SNAP_THRESHOLD_SCREEN_PX / Math.max(0.05, snapCfg.screenScale))
+            const smartSnapping = snapCfg.smartGuides && !altDisable && snapCfg.mode !== 'off'
+            // Smart guides: snap the dragged box to the other layers — on each axis an object match wins
+            // over the grid result — then publish alignment guides and distance readouts for the overlay.
+            // Readouts stay on with Alt held; only the snapping is suspended.
+            const applySmartMove = (
+                raw: SnapRect,
+                exclude: ReadonlySet<string>,
+                grid: { x: number; y: number; hits: SnapHit[] }
+            ) => {
+                if (!snapCfg.smartGuides || raw.width <= 0 || raw.height <= 0) {
+                    return grid
+                }
+                const others = smartGuideTargets(doc, exclude)
+                let { x, y, hits } = grid
+                let equalSpacing: SpacingMark[] = []
+                if (smartSnapping) {
+                    const obj = snapRectToObjects({ rect: raw, others, docW: doc.width, docH: doc.height, thresholdDoc })
+                    if (obj.snappedX) {
+                        x = obj.x
+                        hits = hits.filter((h) => h.kind !== 'v')
+                    }
+                    if (obj.snappedY) {
+                        y = obj.y
+                        hits = hits.filter((h) => h.kind !== 'h')
+                    }
+                    equalSpacing = obj.equalSpacing
+                }
+                const box = { x, y, width: raw.width, height: raw.height }
+                setSmartGuideMarks({
+                    guides: smartGuidesForRect(box, others, doc.width, doc.height),
+                    spacing: mergeSpacingMarks(equalSpacing, measureSpacing(box, others, doc.width, doc.height)),
+                })
+                return { x, y, hits }
+            }
+            if (d.kind === 'shape_point') {
+                // Shift locks the dragged segment to 45° steps from its neighbour (previous vertex,
+                // or the next one when dragging the first point).
+                let p = { x: mx, y: my }
+                if (e.shiftKey && d.startPoints.length > 1) {
+                    const anchor = d.startPoints[d.pointIndex === 0 ? 1 : d.pointIndex - 1]
+                    p = constrainToAngleStep(anchor, p)
+                }
+                let hits: SnapHit[] = []
+                if (!altDisable && snapCfg.mode !== 'off') {
+                    const res = snapEnginePoint({
+                        x: p.x,
+                        y: p.y,
+                        docW: doc.width,
+                        docH: doc.height,
+                        mode: snapCfg.mode,
+                        density: snapCfg.density,
+                        thresholdDoc,
+                    })
+                    p = { x: res.x, y: res.y }
+                    hits = res.hits
+                }
+                reportSnapHits(hits)
+                const abs = d.startPoints.map((sp, i) => (i === d.pointIndex ? p : sp))
+                updateLayer(d.layerId, (l) => {
+                    if (!isShapeLayer(l)) {
+                        return l
+                    }
+                    const { rect, points } = reframeShapePoints(abs, Math.max(8, l.strokeWidth))
+                    return { ...l, points, transform: { ...l.transform, ...rect } }
+                })
+                return
+            }
             if (d.kind === 'move') {
                 const dx = mx - d.startDocX
                 const dy = my - d.startDocY
@@ -7948,6 +9547,11 @@ export default function AssetEditor() {
                         finalY = res.y
                         hits = res.hits
                     }
+                    ;({ x: finalX, y: finalY, hits } = applySmartMove(
+                        { x: rawX, y: rawY, width: startRect.width, height: startRect.height },
+                        new Set(d.groupMembers.map((m) => m.layerId)),
+                        { x: finalX, y: finalY, hits }
+                    ))
                     reportSnapHits(hits)
                     const deltaX = finalX - startRect.x
                     const deltaY = finalY - startRect.y
@@ -7993,6 +9597,11 @@ export default function AssetEditor() {
                     finalY = res.y
                     hits = res.hits
                 }
+                ;({ x: finalX, y: finalY, hits } = applySmartMove(
+                    { x: rawX, y: rawY, width: w, height: h },
+                    new Set([d.layerId]),
+                    { x: finalX, y: finalY, hits }
+                ))
                 reportSnapHits(hits)
                 updateLayer(d.layerId, (l) => ({
                     ...l,
@@ -8045,6 +9654,28 @@ export default function AssetEditor() {
                 finalRect = { x: res.x, y: res.y, width: res.width, height: res.height }
                 hits = res.hits
             }
+            // Free resizes also snap the moving edges to other layers; aspect-locked ones would have to
+            // move both axes at once, so they keep the grid / canvas snap only.
+            const resizeExclude = new Set(d.groupMembers ? d.groupMembers.map((m) => m.layerId) : [d.layerId])
+            if (smartSnapping && !d.skipSnap && !lockAspect) {
+                const obj = snapResizeToObjects({
+                    rect: { x, y, width: w, height: h },
+                    corner: d.corner,
+                    others: smartGuideTargets(doc, resizeExclude),
+                    docW: doc.width,
+                    docH: doc.height,
+                    thresholdDoc: thresholdDoc * 2,
+                    minSize: min,
+                })
+                if (obj.snappedX) {
+                    finalRect = { ...finalRect, x: obj.x, width: obj.width }
+                    hits = hits.filter((h) => h.kind !== 'v')
+                }
+                if (obj.snappedY) {
+                    finalRect = { ...finalRect, y: obj.y, height: obj.height }
+                    hits = hits.filter((h) => h.kind !== 'h')
+                }
+            }
 
             // Canvas-bounds clamp: if the layer started fully inside the
             // canvas, its resized form should stay inside. This is the
@@ -8105,6 +9736,13 @@ export default function AssetEditor() {
                 }
             }
             reportSnapHits(hits)
+            if (snapCfg.smartGuides) {
+                const others = smartGuideTargets(doc, resizeExclude)
+                setSmartGuideMarks({
+                    guides: smartGuidesForRect(finalRect, others, doc.width, doc.height),
+                    spacing: measureSpacing(finalRect, others, doc.width, doc.height),
+                })
+            }
 
             // Group resize: union rect transforms into finalRect, and each
             // member's (x, y, w, h) gets mapped into the new rect preserving
@@ -8149,26 +9787,15 @@ export default function AssetEditor() {
             }))
         }
         const onUp = () => {
-            const baseline = dragUndoBaselineRef.current
-            dragUndoBaselineRef.current = null
             dragRef.current = null
             reportSnapHits([])
-            if (baseline === null) {
-                return
-            }
+            setSmartGuideMarks(null)
             queueMicrotask(() => {
-                try {
-                    const after = JSON.stringify(documentRef.current)
-                    if (after !== baseline) {
-                        const u = undoStackRef.current
-                        u.push(baseline)
-                        while (u.length > MAX_CANVAS_UNDO) {
-                            u.shift()
-                        }
-                        redoStackRef.current = []
-                    }
-                } catch {
-                    /* ignore */
+                recordDocumentHistory(documentRef.current)
+                const h = documentHistoryRef.current
+                const sealed: StudioDocumentHistoryState | null = h ? sealStudioHistory(h) : null
+                if (sealed && sealed !== h) {
+                    commitDocumentHistory(sealed)
                 }
             })
         }
@@ -8178,7 +9805,7 @@ export default function AssetEditor() {
             window.removeEventListener('mousemove', onMove)
             window.removeEventListener('mouseup', onUp)
         }
-    }, [clientToDoc, updateLayer, reportSnapHits])
+    }, [clientToDoc, updateLayer, reportSnapHits, recordDocumentHistory, commitDocumentHistory])
 
     const clearSelection = useCallback((e: React.MouseEvent) => {
         if (e.target === e.currentTarget) {
@@ -8759,6 +10386,18 @@ export default function AssetEditor() {
                                     <PhotoIcon className="h-7 w-7" aria-hidden />
                                     <span className="mt-1 text-[10px] font-medium leading-none">Assets</span>
                                 </button>
+                                <button type="button" onClick={() => setLeftPanel(leftPanel === 'components' ? null : 'components')} className={`flex h-14 w-14 flex-col items-center justify-center rounded-xl transition-colors ${leftPanel === 'components' ? 'bg-gray-700 text-white' : 'text-gray-400 hover:bg-gray-800 hover:text-white'}`} title="Brand components">
+                                    <PuzzlePieceIcon className="h-7 w-7" aria-hidden />
+                                    <span className="mt-1 text-[10px] font-medium leading-none">Parts</span>
+                                </button>
+                                <button type="button" onClick={() => setLeftPanel(leftPanel === 'artboards' ? null : 'artboards')} className={`flex h-14 w-14 flex-col items-center justify-center rounded-xl transition-colors ${leftPanel === 'artboards' ? 'bg-gray-700 text-white' : 'text-gray-400 hover:bg-gray-800 hover:text-white'}`} title="Artboards">
+                                    <RectangleStackIcon className="h-7 w-7" aria-hidden />
+                                    <span className="mt-1 text-[10px] font-medium leading-none">Boards</span>
+                                </button>
+                                <button type="button" onClick={() => setLeftPanel(leftPanel === 'comments' ? null : 'comments')} className={`flex h-14 w-14 flex-col items-center justify-center rounded-xl transition-colors ${leftPanel === 'comments' ? 'bg-gray-700 text-white' : 'text-gray-400 hover:bg-gray-800 hover:text-white'}`} title="Review comments">
+                                    <ChatBubbleLeftRightIcon className="h-7 w-7" aria-hidden />
+                                    <span className="mt-1 text-[10px] font-medium leading-none">Review</span>
+                                </button>
                                 <button type="button" onClick={() => setLeftPanel(leftPanel === 'templates' ? null : 'templates')} className={`flex h-14 w-14 flex-col items-center justify-center rounded-xl transition-colors ${leftPanel === 'templates' ? 'bg-gray-700 text-white' : 'text-gray-400 hover:bg-gray-800 hover:text-white'}`} title="Templates">
                                     <Squares2X2Icon className="h-7 w-7" aria-hidden />
                                     <span className="mt-1 text-[10px] font-medium leading-none">Templates</span>
@@ -8832,6 +10471,10 @@ export default function AssetEditor() {
                                                 <span className="text-gray-300">Edit text</span>
                                                 <span className="text-gray-500">Double-click text</span>
                                             </div>
+                                            <div className="flex items-center justify-between">
+                                                <span className="text-gray-300">Undo / redo</span>
+                                                <span className="text-gray-500">Ctrl/Cmd+Z · Shift+Ctrl/Cmd+Z</span>
+                                            </div>
                                             <div className="flex items-center justify-between">
                                                 <span className="text-gray-300">Deselect</span>
                                                 <kbd className="rounded bg-gray-700 px-1.5 py-0.5 text-[10px] font-medium text-gray-300 ring-1 ring-gray-600">Esc</kbd>
@@ -8871,12 +10514,43 @@ export default function AssetEditor() {
                                             <button type="button" onClick={() => { setLeftPanel(null); openCompositionPickerAndLoad() }} className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800">
                                                 <FolderOpenIcon className="h-4 w-4 shrink-0 text-gray-400" /> Open
                                             </button>
+                                            <button type="button" onClick={() => { setLeftPanel(null); openPickerForImportPsd() }} className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800">
+                                                <DocumentIcon className="h-4 w-4 shrink-0 text-gray-400" /> Import PSD from library…
+                                            </button>
                                             <button type="button" onClick={() => { setLeftPanel(null); handleSave() }} className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800">
                                                 <svg className="h-4 w-4 shrink-0 text-gray-400" fill="none" viewBox="0 0 24 24" strokeWidth="1.5" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3" /></svg> Save
                                             </button>
                                             <button type="button" onClick={() => { setLeftPanel(null); void duplicateWholeComposition() }} disabled={!compositionId} className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800 disabled:opacity-40 disabled:cursor-not-allowed">
                                                 <DocumentDuplicateIcon className="h-4 w-4 shrink-0 text-gray-400" /> Duplicate
                                             </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => {
+                                                    setLeftPanel(null)
+                                                    setSaveRecipeDialogOpen(true)
+                                                }}
+                                                disabled={!brandRecipesCanAuthor || document.layers.length === 0}
+                                                className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                                                title={
+                                                    !brandRecipesCanAuthor
+                                                        ? 'Brand admins and brand managers can save recipes'
+                                                        : 'Reuse this layout in the template wizard, filled from brand context'
+                                                }
+                                            >
+                                                <BookmarkSquareIcon className="h-4 w-4 shrink-0 text-gray-400" /> Save as brand recipe…
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => {
+                                                    setLeftPanel(null)
+                                                    setLocalizationDialogOpen(true)
+                                                }}
+                                                disabled={document.layers.length === 0}
+                                                className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                                                title="Per-language copy, CSV / XLIFF import and export, and locale versions"
+                                            >
+                                                <LanguageIcon className="h-4 w-4 shrink-0 text-gray-400" /> Translations…
+                                            </button>
                                             {studioStillToVideoProductEnabled && (
                                                 <button
                                                     type="button"
@@ -8948,8 +10622,15 @@ export default function AssetEditor() {
                                                 <PhotoIcon className="h-4 w-4 shrink-0 text-gray-400" /> Export JPG
                                             </button>
                                             <button type="button" onClick={() => { setLeftPanel(null); void downloadExport('psd') }} className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800">
-                                                <DocumentIcon className="h-4 w-4 shrink-0 text-gray-400" /> Export PSD (test)
+                                                <DocumentIcon className="h-4 w-4 shrink-0 text-gray-400" /> Export PSD (layered)
                                             </button>
+                                            <button type="button" onClick={() => { setLeftPanel(null); void downloadExport('svg') }} className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800" title="Vector SVG — text stays live with fonts embedded">
+                                                <DocumentIcon className="h-4 w-4 shrink-0 text-gray-400" /> Export SVG (vector)
+                                            </button>
+                                            <button type="button" onClick={() => { setLeftPanel(null); void downloadExport('pdf') }} className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800" title="Print-ready PDF with embedded fonts (96 px = 1 inch)">
+                                                <DocumentIcon className="h-4 w-4 shrink-0 text-gray-400" /> Export PDF (print)
+                                            </button>
+                                            <EditorPrintPdfOptionsFields value={printPdfSettings} onChange={setPrintPdfSettings} className="px-3 pb-1 pl-9" />
                                             <button type="button" onClick={() => { setLeftPanel(null); void downloadExport('json') }} className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800">
                                                 <svg className="h-4 w-4 shrink-0 text-gray-400" fill="none" viewBox="0 0 24 24" strokeWidth="1.5" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" d="M17.25 6.75L22.5 12l-5.25 5.25m-10.5 0L1.5 12l5.25-5.25m7.5-3l-4.5 16.5" /></svg> Export JSON
                                             </button>
@@ -8992,7 +10673,7 @@ export default function AssetEditor() {
                                             <button type="button" onClick={() => { setLeftPanel('history'); if (compositionId) { void refreshVersions(); void refreshCompositionAnimations() } }} className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800">
                                                 <ClockIcon className="h-4 w-4 shrink-0 text-gray-400" /> History
                                             </button>
-                                            <button type="button" onClick={() => { setLeftPanel(null); setCompareOpen(true) }} disabled={!compositionId || versions.length < 2} className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800 disabled:opacity-40 disabled:cursor-not-allowed">
+                                            <button type="button" onClick={() => { setLeftPanel(null); setCompareOpen(true) }} disabled={!compositionId || versions.length < 1} className="flex w-full items-center gap-2.5 rounded-md px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-800 disabled:opacity-40 disabled:cursor-not-allowed">
                                                 <ArrowsRightLeftIcon className="h-4 w-4 shrink-0 text-gray-400" /> Compare versions
                                             </button>
 
@@ -9071,6 +10752,14 @@ export default function AssetEditor() {
                                                 </div>
                                             </div>
                                         )}
+                                        {alignTarget && (
+                                            <EditorAlignDistributeBar
+                                                label={alignTarget.label}
+                                                count={alignTargetMovableCount}
+                                                onAlign={alignSelectedLayers}
+                                                onDistribute={distributeSelectedLayers}
+                                            />
+                                        )}
                                         <div className="flex-1 overflow-y-auto p-2">
                                             {layerPanelRows.length === 0 ? (
                                                 <p className="px-2 py-4 text-center text-xs text-gray-500">No layers yet</p>
@@ -9094,7 +10783,21 @@ export default function AssetEditor() {
                                                                         >
                                                                             {g.collapsed ? '▸' : '▾'}
                                                                         </button>
-                                                                        <span className="shrink-0 text-[10px] opacity-70 w-4 text-center">⧉</span>
+                                                                        {g.component ? (
+                                                                            <span
+                                                                                className="shrink-0 w-4 text-center text-violet-300"
+                                                                                title={(() => {
+                                                                                    const overrides = componentInstanceOverrideCount(document, g) as number
+                                                                                    return overrides > 0
+                                                                                        ? `Linked component · ${overrides} override${overrides === 1 ? '' : 's'}`
+                                                                                        : 'Linked component'
+                                                                                })()}
+                                                                            >
+                                                                                <PuzzlePieceIcon className="mx-auto h-3 w-3" aria-hidden />
+                                                                            </span>
+                                                                        ) : (
+                                                                            <span className="shrink-0 text-[10px] opacity-70 w-4 text-center">⧉</span>
+                                                                        )}
                                                                         <button
                                                                             type="button"
                                                                             className="min-w-0 flex-1 truncate text-left font-medium"
@@ -9453,6 +11156,70 @@ export default function AssetEditor() {
                                         </div>
                                     </div>
                                 )}
+                                {leftPanel === 'components' && (
+                                    <EditorBrandComponentsPanel
+                                        components={brandComponents}
+                                        loading={brandComponentsLoading}
+                                        error={brandComponentsError}
+                                        busy={brandComponentsBusy}
+                                        saveSelectionLabel={brandComponentSaveLabel}
+                                        instance={selectedComponentInstance}
+                                        onRefresh={() => void refreshBrandComponents()}
+                                        onSaveSelection={() => void saveSelectionAsBrandComponent()}
+                                        onInsert={insertBrandComponent}
+                                        onDelete={(c) => void deleteBrandComponentFromLibrary(c)}
+                                        onPushToMaster={(id) => void pushInstanceToBrandComponent(id)}
+                                        onResetOverrides={resetBrandComponentOverrides}
+                                        onDetach={detachBrandComponentInstance}
+                                        onClose={() => setLeftPanel(null)}
+                                    />
+                                )}
+                                {leftPanel === 'artboards' && (
+                                    <EditorArtboardsPanel
+                                        boards={artboards}
+                                        activeId={currentArtboardId}
+                                        busy={artboardExportBusy}
+                                        copySelectionLabel={artboardCopySelection?.label ?? null}
+                                        overviewOpen={artboardsOverviewOpen}
+                                        defaultSize={{ width: document.width, height: document.height }}
+                                        onSwitch={openArtboard}
+                                        onAdd={(spec) => applyArtboardChange((d) => addArtboard(d, spec, generateId) as DocumentModel)}
+                                        onRename={(b) => void renameArtboardPrompt(b)}
+                                        onDuplicate={(id) => applyArtboardChange((d) => duplicateArtboard(d, id, generateId) as DocumentModel)}
+                                        onDelete={(b) => void deleteArtboard(b)}
+                                        onCopySelectionTo={copySelectionToArtboard}
+                                        onExport={(id, kind) => void exportArtboard(id, kind)}
+                                        onExportAll={(kind) => void exportAllArtboards(kind)}
+                                        onToggleOverview={() => setArtboardsOverviewOpen((o) => !o)}
+                                        onClose={() => setLeftPanel(null)}
+                                    />
+                                )}
+                                {leftPanel === 'comments' && (
+                                    <EditorCommentsPanel
+                                        threads={commentThreads}
+                                        labels={commentPinLabels}
+                                        loading={commentsLoading}
+                                        error={commentsError}
+                                        busy={commentsBusy}
+                                        canComment={Boolean(compositionId)}
+                                        mentionables={commentMentionables}
+                                        currentUserId={auth?.user?.id ?? null}
+                                        activeThreadId={activeCommentThreadId}
+                                        placing={commentPlacing}
+                                        hasDraft={commentDraftPin !== null}
+                                        showResolved={showResolvedComments}
+                                        onShowResolvedChange={setShowResolvedComments}
+                                        onTogglePlacing={() => setCommentPlacing((p) => !p)}
+                                        onCreate={createCommentThread}
+                                        onCancelDraft={() => setCommentDraftPin(null)}
+                                        onSelect={(id) => setActiveCommentThreadId((cur) => (cur === id ? null : id))}
+                                        onReply={replyToCommentThread}
+                                        onResolve={(t, resolved) => void setCommentThreadResolved(t, resolved)}
+                                        onDelete={(t) => void removeCommentThread(t)}
+                                        onRefresh={() => void refreshCommentThreads()}
+                                        onClose={() => setLeftPanel(null)}
+                                    />
+                                )}
                                 {leftPanel === 'templates' && (
                                     <div className="flex flex-1 flex-col">
                                         <div className="flex items-center justify-between border-b border-gray-700 px-3 py-2">
@@ -9603,6 +11370,64 @@ export default function AssetEditor() {
                                             <button type="button" onClick={() => setLeftPanel(null)} className="text-gray-500 hover:text-gray-300"><XMarkIcon className="h-4 w-4" /></button>
                                         </div>
                                         <div className="flex-1 overflow-y-auto p-2 text-xs">
+                                            <div className="mb-2 border-b border-gray-700 pb-3">
+                                                <div className="flex items-center justify-between px-2 pb-1">
+                                                    <h3 className="text-[10px] font-semibold uppercase tracking-wide text-gray-500">Edits</h3>
+                                                    <div className="flex items-center gap-0.5">
+                                                        <button
+                                                            type="button"
+                                                            onClick={performCanvasUndo}
+                                                            disabled={!documentHistory || !canUndoStudioHistory(documentHistory)}
+                                                            className="rounded p-1 text-gray-400 hover:bg-gray-800 hover:text-white disabled:cursor-not-allowed disabled:opacity-40"
+                                                            title="Undo (Ctrl/Cmd+Z)"
+                                                        >
+                                                            <ArrowUturnLeftIcon className="h-3.5 w-3.5" />
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            onClick={performCanvasRedo}
+                                                            disabled={!documentHistory || !canRedoStudioHistory(documentHistory)}
+                                                            className="rounded p-1 text-gray-400 hover:bg-gray-800 hover:text-white disabled:cursor-not-allowed disabled:opacity-40"
+                                                            title="Redo (Ctrl/Cmd+Shift+Z)"
+                                                        >
+                                                            <ArrowUturnRightIcon className="h-3.5 w-3.5" />
+                                                        </button>
+                                                    </div>
+                                                </div>
+                                                <p className="px-2 pb-1 text-[9px] leading-snug text-gray-600">
+                                                    This session only. Click a step to jump back to it; your next edit replaces the steps above.
+                                                </p>
+                                                <div className="max-h-56 overflow-y-auto">
+                                                    {documentHistory &&
+                                                        documentHistory.entries
+                                                            .map((entry, i) => ({ entry, i }))
+                                                            .reverse()
+                                                            .map(({ entry, i }) => {
+                                                                const current = i === documentHistory.index
+                                                                const undone = i > documentHistory.index
+                                                                return (
+                                                                    <button
+                                                                        key={entry.id}
+                                                                        type="button"
+                                                                        onClick={() => goToDocumentHistoryIndex(i)}
+                                                                        aria-current={current ? 'step' : undefined}
+                                                                        className={`flex w-full items-center justify-between gap-2 rounded px-2 py-1 text-left ${
+                                                                            current
+                                                                                ? 'bg-indigo-500/20 text-indigo-200'
+                                                                                : undone
+                                                                                  ? 'text-gray-600 hover:bg-gray-800'
+                                                                                  : 'text-gray-300 hover:bg-gray-800'
+                                                                        }`}
+                                                                    >
+                                                                        <span className={`truncate ${undone ? 'line-through' : ''}`}>{entry.label}</span>
+                                                                        <span className="shrink-0 text-[9px] text-gray-500">
+                                                                            {new Date(entry.at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                                                                        </span>
+                                                                    </button>
+                                                                )
+                                                            })}
+                                                </div>
+                                            </div>
                                             {versionsLoading && (
                                                 <div className="flex items-center gap-2 py-6 text-gray-400" role="status" aria-busy="true">
                                                     <ArrowPathIcon className="h-4 w-4 shrink-0 animate-spin text-indigo-400" />
@@ -9882,15 +11707,29 @@ export default function AssetEditor() {
                                                         </div>
                                                         <button
                                                             type="button"
-                                                            onClick={() => { if (v.document) { setDocument(typeof v.document === 'string' ? JSON.parse(v.document) : v.document); setLastSavedSerialized(JSON.stringify(v.document)); setEditingTextLayerId(null) } }}
+                                                            onClick={() => { if (v.document) { documentHistoryHintRef.current = { label: 'Restore saved version', kind: 'restore' }; setDocument(typeof v.document === 'string' ? JSON.parse(v.document) : v.document); setLastSavedSerialized(JSON.stringify(v.document)); setEditingTextLayerId(null) } }}
                                                             className="shrink-0 rounded bg-gray-700 px-2 py-1 text-[10px] font-medium text-gray-300 hover:bg-gray-600 hover:text-white"
                                                         >
                                                             Restore
                                                         </button>
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => {
+                                                                setCompareLeftId(v.id)
+                                                                setCompareRightId(COMPARE_CURRENT_ID)
+                                                                setCompareResult(null)
+                                                                setCompareOpen(true)
+                                                            }}
+                                                            className="shrink-0 rounded p-1 text-gray-500 hover:bg-gray-700 hover:text-white"
+                                                            title="Compare with the current canvas"
+                                                            aria-label="Compare with the current canvas"
+                                                        >
+                                                            <ArrowsRightLeftIcon className="h-3.5 w-3.5" />
+                                                        </button>
                                                     </div>
                                                 )
                                             })}
-                                            {compositionId && !versionsLoading && versions.length >= 2 && (
+                                            {compositionId && !versionsLoading && versions.length >= 1 && (
                                                 <button
                                                     type="button"
                                                     onClick={() => setCompareOpen(true)}
@@ -10001,7 +11840,7 @@ export default function AssetEditor() {
                             // the shell's `dark` class can't flip it to black.
                             : `bg-neutral-200${
                                   uiMode === 'edit'
-                                      ? hasVisibleVideoLayerInDoc || showStudioAnimCanvasPreview
+                                      ? hasVisibleVideoLayerInDoc || showStudioAnimCanvasPreview || keyframeTimelineOpen
                                           ? ' pb-20'
                                           : ' pb-10'
                                       : ''
@@ -10015,6 +11854,18 @@ export default function AssetEditor() {
                 >
                     {/* Zoom controls moved to top bar */}
 
+                    {uiMode === 'edit' && artboardsOverviewOpen && (
+                        <EditorArtboardsOverview
+                            boards={artboards}
+                            activeId={currentArtboardId}
+                            document={document}
+                            brandContext={brandContext}
+                            brandFontsEpoch={brandFontsEpoch}
+                            onOpenArtboard={openArtboard}
+                            onClose={() => setArtboardsOverviewOpen(false)}
+                        />
+                    )}
+
                     {document.layers.length === 0 && !welcomeDismissed && (
                         <div className="pointer-events-none absolute inset-0 z-10 flex items-center justify-center p-6">
                             {/*
@@ -10290,8 +12141,27 @@ export default function AssetEditor() {
                                 <GridOverlay
                                     docW={document.width}
                                     docH={document.height}
-                                    density={effectiveGridDensity}
-                                    hits={snapHits}
+                                    density={effectiveGridDensity}
+                                    hits={snapHits}
+                                />
+                            )}
+                            {uiMode === 'edit' && !showStudioAnimCanvasPreview && smartGuideMarks && (
+                                <SmartGuidesOverlay
+                                    docW={document.width}
+                                    docH={document.height}
+                                    scale={effectiveScale}
+                                    guides={smartGuideMarks.guides}
+                                    spacing={smartGuideMarks.spacing}
+                                />
+                            )}
+                            {uiMode === 'edit' && !showStudioAnimCanvasPreview && leftPanel === 'comments' && (
+                                <CommentPinsOverlay
+                                    scale={effectiveScale}
+                                    pins={commentPinMarks}
+                                    draft={commentDraftPin}
+                                    placing={commentPlacing}
+                                    onSelect={setActiveCommentThreadId}
+                                    onPlace={placeCommentPin}
                                 />
                             )}
                             {uiMode === 'edit' && showStudioAnimCanvasPreview && studioAnimCanvasPreviewInfo ? (
@@ -10334,11 +12204,12 @@ export default function AssetEditor() {
                                                       assistLoading={copyAssistLoadingId === layer.id}
                                                       brandContext={brandContext}
                                                       brandFontsEpoch={brandFontsEpoch}
-                                                      onChange={(text) =>
+                                                      onChange={(text, runs) =>
                                                           updateLayer(layer.id, (l) =>
-                                                              isTextLayer(l) ? { ...l, content: text } : l
+                                                              isTextLayer(l) ? { ...l, content: text, runs } : l
                                                           )
                                                       }
+                                                      richTextCommandRef={richTextCommandRef}
                                                       onStopEdit={() =>
                                                           setEditingTextLayerId((id) =>
                                                               id === layer.id ? null : id
@@ -10387,9 +12258,34 @@ export default function AssetEditor() {
                         <div className="pointer-events-none absolute inset-x-0 bottom-0 z-40 flex w-full max-w-full flex-col">
                             <div className="flex items-center justify-between border-t border-gray-300/50 bg-neutral-200/95 px-4 py-2 text-[11px] text-gray-500 shadow-[0_-1px_0_rgba(0,0,0,0.06)]">
                                 <span className="pointer-events-auto tabular-nums">
+                                    {artboards.length > 1 && (
+                                        <span className="mr-1.5 font-medium text-gray-600">
+                                            {artboards.find((b) => b.id === currentArtboardId)?.name} ·
+                                        </span>
+                                    )}
                                     {document.width} &times; {document.height}
                                 </span>
                                 <div className="pointer-events-auto flex items-center gap-3">
+                                    {artboards.length > 1 && (
+                                        <button
+                                            type="button"
+                                            onClick={() => setArtboardsOverviewOpen((o) => !o)}
+                                            className={artboardsOverviewOpen ? 'text-indigo-600' : 'hover:text-gray-300'}
+                                            title="All artboards"
+                                            aria-pressed={artboardsOverviewOpen}
+                                        >
+                                            <RectangleStackIcon className="h-4 w-4" />
+                                        </button>
+                                    )}
+                                    <button
+                                        type="button"
+                                        onClick={() => setKeyframeTimelineOpen((o) => !o)}
+                                        className={keyframeTimelineOpen ? 'text-indigo-600' : 'hover:text-gray-300'}
+                                        title="Keyframe timeline"
+                                        aria-pressed={keyframeTimelineOpen}
+                                    >
+                                        <ClockIcon className="h-4 w-4" />
+                                    </button>
                                     <button
                                         type="button"
                                         onClick={fitToView}
@@ -10407,13 +12303,33 @@ export default function AssetEditor() {
                                     previewKey={studioAnimCanvasPreviewInfo.jobId}
                                 />
                             ) : (
-                                <EditorCompositionVideoPlaybackBar
-                                    document={document}
-                                    getStageEl={getEditorStageEl}
-                                    autoplayNonce={compositionPlaybackAutoplayNonce}
-                                    playheadMs={compositionPlayheadMs}
-                                    onPlayheadMsChange={setCompositionPlayheadMs}
-                                />
+                                <>
+                                    {keyframeTimelineOpen ? (
+                                        <EditorKeyframeTimelinePanel
+                                            document={document}
+                                            selectedLayer={selectedLayer ?? null}
+                                            playheadMs={compositionPlayheadMs}
+                                            onPlayheadMsChange={setCompositionPlayheadMs}
+                                            onLayerAnimationChange={(layerId, animation) =>
+                                                updateLayer(layerId, (l) => ({ ...l, animation }))
+                                            }
+                                            onDurationMsChange={(ms) =>
+                                                setDocument((d) => ({
+                                                    ...d,
+                                                    studio_timeline: { ...d.studio_timeline, duration_ms: ms },
+                                                }))
+                                            }
+                                            onClose={() => setKeyframeTimelineOpen(false)}
+                                        />
+                                    ) : null}
+                                    <EditorCompositionVideoPlaybackBar
+                                        document={document}
+                                        getStageEl={getEditorStageEl}
+                                        autoplayNonce={compositionPlaybackAutoplayNonce}
+                                        playheadMs={compositionPlayheadMs}
+                                        onPlayheadMsChange={setCompositionPlayheadMs}
+                                    />
+                                </>
                             )}
                         </div>
                     )}
@@ -10518,6 +12434,11 @@ export default function AssetEditor() {
                                     onRequestRemoveVariant={removeStudioVariantFromSet}
                                     onDissolveSet={dissolveStudioVersionsSet}
                                     dissolveSetBusy={studioDissolveSetBusy}
+                                    commentSummaryByCompositionId={commentSummary}
+                                    onOpenVariantComments={(id) => {
+                                        setLeftPanel('comments')
+                                        if (id !== compositionId) void switchToSiblingComposition(id)
+                                    }}
                                 />
                             </div>
                         ) : (
@@ -10570,11 +12491,34 @@ export default function AssetEditor() {
                         onChooseScenePack={handleVersionBuilderScenePack}
                         onChooseDuplicateCurrent={handleVersionBuilderDuplicate}
                         duplicateBusy={studioCreativeSetDuplicateBusy}
+                        onChooseResizeToFormats={handleVersionBuilderResizeToFormats}
+                        onChooseDataFeed={handleVersionBuilderDataFeed}
                         packBusy={versionBuilderPackBusy}
                         onChooseAdvanced={handleVersionBuilderAdvanced}
                         onChooseAnimateVideo={handleVersionBuilderAnimateVideo}
                     />
                 )}
+                {dataFeedVersionsOpen && studioCreativeSet && compositionId && (
+                    <DataFeedVersionsModal
+                        open
+                        master={document}
+                        busy={dataFeedVersionsBusy}
+                        measureFit={measureLocaleFit}
+                        onClose={() => setDataFeedVersionsOpen(false)}
+                        lookupAssets={lookupDataFeedAssets}
+                        onCreate={(items) => void createDataFeedVersions(items)}
+                    />
+                )}
+                {resizeToFormatsOpen && studioCreativeSet && compositionId && (
+                    <ResizeToFormatsModal
+                        open
+                        sourceWidth={document.width}
+                        sourceHeight={document.height}
+                        busy={resizeToFormatsBusy}
+                        onClose={() => setResizeToFormatsOpen(false)}
+                        onConfirm={(sizes) => void resizeCompositionToFormats(sizes)}
+                    />
+                )}
                 {generateVersionsModalOpen && studioCreativeSet && compositionId && (
                     <GenerateStudioVersionsModal
                         key={generateVersionsModalMountKey}
@@ -10859,6 +12803,15 @@ export default function AssetEditor() {
                                             Show grid overlay
                                             <span className="ml-auto text-[10px] text-gray-500">G</span>
                                         </label>
+                                        <label className="flex items-center gap-2 text-[11px] text-gray-300">
+                                            <input
+                                                type="checkbox"
+                                                checked={smartGuidesEnabled}
+                                                onChange={(e) => setSmartGuidesEnabled(e.target.checked)}
+                                                className="rounded border-gray-600 bg-gray-900 text-indigo-500 focus:ring-indigo-500"
+                                            />
+                                            Smart guides &amp; spacing
+                                        </label>
                                         <p className={studioPanelText.microHint}>G toggles grid · Alt ignores snap while dragging</p>
                                     </div>
                                 </div>
@@ -11745,6 +13698,211 @@ export default function AssetEditor() {
                                             </div>
                                         </StudioSmartActionCard>
                                     )}
+                                    {isImageLayer(selectedLayer) &&
+                                        (() => {
+                                            const img = selectedLayer
+                                            const adj: ImageAdjustments = img.adjustments ?? {}
+                                            const patchAdjustments = (patch: Partial<ImageAdjustments>) =>
+                                                updateLayer(img.id, (l) =>
+                                                    isImageLayer(l)
+                                                        ? {
+                                                              ...l,
+                                                              adjustments: normalizeImageAdjustments({
+                                                                  ...(l.adjustments ?? {}),
+                                                                  ...patch,
+                                                              }),
+                                                          }
+                                                        : l
+                                                )
+                                            const tone: Array<{
+                                                key: 'brightness' | 'contrast' | 'saturation' | 'hue' | 'grayscale' | 'blur'
+                                                label: string
+                                                unit?: string
+                                            }> = [
+                                                { key: 'brightness', label: 'Brightness' },
+                                                { key: 'contrast', label: 'Contrast' },
+                                                { key: 'saturation', label: 'Saturation' },
+                                                { key: 'hue', label: 'Hue', unit: '°' },
+                                                { key: 'grayscale', label: 'Grayscale', unit: '%' },
+                                                { key: 'blur', label: 'Blur', unit: 'px' },
+                                            ]
+                                            const crop = adj.crop ?? { left: 0, top: 0, right: 0, bottom: 0 }
+                                            const cropSides: Array<{ key: keyof typeof crop; label: string }> = [
+                                                { key: 'left', label: 'Crop left' },
+                                                { key: 'right', label: 'Crop right' },
+                                                { key: 'top', label: 'Crop top' },
+                                                { key: 'bottom', label: 'Crop bottom' },
+                                            ]
+                                            return (
+                                                <StudioDisclosureSection
+                                                    id="jp-image-adjustments"
+                                                    title="Adjustments"
+                                                    subtitle="Tone, blur, duotone & crop — the original file is never changed"
+                                                    variant="default"
+                                                    open={propertiesImageAdjustmentsOpen}
+                                                    onOpenChange={setPropertiesImageAdjustmentsOpen}
+                                                >
+                                                    <div className="space-y-3">
+                                                        {tone.map(({ key, label, unit }) => (
+                                                            <StudioSliderField
+                                                                key={key}
+                                                                id={`img-adj-${key}-${img.id}`}
+                                                                label={label}
+                                                                min={IMAGE_ADJUSTMENT_RANGES[key].min}
+                                                                max={IMAGE_ADJUSTMENT_RANGES[key].max}
+                                                                step={1}
+                                                                unit={unit}
+                                                                disabled={img.locked}
+                                                                value={adj[key] ?? 0}
+                                                                showReset={(adj[key] ?? 0) !== 0}
+                                                                onReset={() => patchAdjustments({ [key]: 0 })}
+                                                                onChange={(n) => patchAdjustments({ [key]: n })}
+                                                            />
+                                                        ))}
+                                                        <label className="flex items-center gap-2 text-[11px] text-gray-300">
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={Boolean(adj.duotone)}
+                                                                disabled={img.locked}
+                                                                onChange={(e) => {
+                                                                    const on = e.target.checked
+                                                                    // Seed from the brand palette; the duotone filter needs #rrggbb stops.
+                                                                    const hex = labeledBrandPalette(brandContext)
+                                                                        .map((c) => c.color.trim())
+                                                                        .filter((c) => /^#[0-9a-fA-F]{6}$/.test(c))
+                                                                    patchAdjustments({
+                                                                        duotone: on
+                                                                            ? { shadow: hex[0] ?? '#111827', highlight: hex[1] ?? '#f9fafb' }
+                                                                            : null,
+                                                                    })
+                                                                }}
+                                                                className="rounded border-gray-600 bg-gray-900 text-indigo-500 focus:ring-indigo-500"
+                                                            />
+                                                            Duotone
+                                                        </label>
+                                                        {adj.duotone && (
+                                                            <div className="space-y-3">
+                                                                <FillGradientStopField
+                                                                    label="Shadows"
+                                                                    value={adj.duotone.shadow}
+                                                                    disabled={img.locked}
+                                                                    allowTransparent={false}
+                                                                    brandContext={brandContext}
+                                                                    onChange={(c) =>
+                                                                        adj.duotone && patchAdjustments({ duotone: { ...adj.duotone, shadow: c } })
+                                                                    }
+                                                                />
+                                                                <FillGradientStopField
+                                                                    label="Highlights"
+                                                                    value={adj.duotone.highlight}
+                                                                    disabled={img.locked}
+                                                                    allowTransparent={false}
+                                                                    brandContext={brandContext}
+                                                                    onChange={(c) =>
+                                                                        adj.duotone && patchAdjustments({ duotone: { ...adj.duotone, highlight: c } })
+                                                                    }
+                                                                />
+                                                            </div>
+                                                        )}
+                                                        <div className="space-y-3 border-t border-white/[0.06] pt-3">
+                                                            {cropSides.map(({ key, label }) => (
+                                                                <StudioSliderField
+                                                                    key={key}
+                                                                    id={`img-crop-${key}-${img.id}`}
+                                                                    label={label}
+                                                                    min={0}
+                                                                    max={Math.round(IMAGE_CROP_MAX_INSET * 100)}
+                                                                    step={1}
+                                                                    unit="%"
+                                                                    disabled={img.locked}
+                                                                    value={Math.round(crop[key] * 100)}
+                                                                    onChange={(n) => patchAdjustments({ crop: { ...crop, [key]: n / 100 } })}
+                                                                />
+                                                            ))}
+                                                        </div>
+                                                        <button
+                                                            type="button"
+                                                            disabled={img.locked || !img.adjustments}
+                                                            onClick={() =>
+                                                                updateLayer(img.id, (l) => (isImageLayer(l) ? { ...l, adjustments: undefined } : l))
+                                                            }
+                                                            className="rounded border border-gray-700 bg-gray-800 px-2 py-1 text-[11px] text-gray-200 hover:bg-gray-700 disabled:opacity-40"
+                                                        >
+                                                            Reset all adjustments
+                                                        </button>
+                                                    </div>
+                                                </StudioDisclosureSection>
+                                            )
+                                        })()}
+                                    {isTextLayer(selectedLayer) && (
+                                        <StudioDisclosureSection
+                                            id="jp-rich-text"
+                                            title="Rich text"
+                                            subtitle="Bold, italic, color & font per word; lists"
+                                            variant="default"
+                                            open={propertiesRichTextOpen}
+                                            onOpenChange={setPropertiesRichTextOpen}
+                                        >
+                                            <StudioRichTextControls
+                                                listStyle={selectedLayer.style.listStyle}
+                                                hasRuns={Boolean(selectedLayer.runs?.length)}
+                                                editing={editingTextLayerId === selectedLayer.id}
+                                                disabled={selectedLayer.locked}
+                                                brandContext={brandContext}
+                                                fonts={(() => {
+                                                    const out: Array<{ label: string; family: string }> = []
+                                                    const push = (label: string, family: string | undefined) => {
+                                                        if (family && !out.some((f) => fontFamilyMatches(f.family, family))) {
+                                                            out.push({ label, family })
+                                                        }
+                                                    }
+                                                    push('Primary', effectivePrimaryFontFamily(brandContext))
+                                                    push('Secondary', brandContext?.typography?.secondary_font?.trim() || undefined)
+                                                    push(firstFontFamilyToken(DEFAULT_TEXT_FONT_FAMILY), DEFAULT_TEXT_FONT_FAMILY)
+                                                    return out
+                                                })()}
+                                                onListStyleChange={(listStyle: TextListStyle) =>
+                                                    updateLayer(selectedLayer.id, (l) =>
+                                                        isTextLayer(l)
+                                                            ? {
+                                                                  ...l,
+                                                                  style: {
+                                                                      ...l.style,
+                                                                      listStyle: listStyle === 'none' ? undefined : listStyle,
+                                                                  },
+                                                              }
+                                                            : l
+                                                    )
+                                                }
+                                                onClearRuns={() =>
+                                                    updateLayer(selectedLayer.id, (l) => (isTextLayer(l) ? { ...l, runs: undefined } : l))
+                                                }
+                                                onStyleSelection={(makePatch) => richTextCommandRef.current?.(makePatch) ?? false}
+                                            />
+                                        </StudioDisclosureSection>
+                                    )}
+                                    {(isTextLayer(selectedLayer) || isFillLayer(selectedLayer)) && (
+                                        <StudioDisclosureSection
+                                            id="jp-layer-effects"
+                                            title="Effects"
+                                            subtitle="Drop shadow, outer glow & inner shadow"
+                                            variant="default"
+                                            open={propertiesLayerEffectsOpen}
+                                            onOpenChange={setPropertiesLayerEffectsOpen}
+                                        >
+                                            <StudioLayerEffectsControls
+                                                layerId={selectedLayer.id}
+                                                effects={selectedLayer.effects}
+                                                disabled={selectedLayer.locked}
+                                                brandContext={brandContext}
+                                                onChange={(effects) =>
+                                                    updateLayer(selectedLayer.id, (l) =>
+                                                        isTextLayer(l) || isFillLayer(l) ? { ...l, effects } : l
+                                                    )
+                                                }
+                                            />
+                                        </StudioDisclosureSection>
+                                    )}
                                     <StudioDisclosureSection
                                         id="jp-element-positioning"
                                         title="Positioning & sizing"
@@ -11979,6 +14137,13 @@ export default function AssetEditor() {
                                                             transform: { ...l.transform, ...patch },
                                                         }))
                                                     }
+                                                    inferredConstraints={inferLayerConstraints(selectedLayer, document)}
+                                                    onChangeConstraints={(constraints) =>
+                                                        updateLayer(selectedLayer.id, (l) => ({
+                                                            ...l,
+                                                            transform: { ...l.transform, constraints },
+                                                        }))
+                                                    }
                                                 />
                                             </StudioDisclosureSection>
                                         ) : (
@@ -11995,6 +14160,13 @@ export default function AssetEditor() {
                                                             transform: { ...l.transform, ...patch },
                                                         }))
                                                     }
+                                                    inferredConstraints={inferLayerConstraints(selectedLayer, document)}
+                                                    onChangeConstraints={(constraints) =>
+                                                        updateLayer(selectedLayer.id, (l) => ({
+                                                            ...l,
+                                                            transform: { ...l.transform, constraints },
+                                                        }))
+                                                    }
                                                 />
                                             </div>
                                         )}
@@ -12460,6 +14632,198 @@ export default function AssetEditor() {
                                     </div>
                                 )}
 
+                                {isShapeLayer(selectedLayer) &&
+                                    (() => {
+                                        const shape = selectedLayer
+                                        const patchShape = (fn: (l: ShapeLayer) => ShapeLayer) =>
+                                            updateLayer(shape.id, (l) => (isShapeLayer(l) ? fn(l) : l))
+                                        const closed =
+                                            shape.shape === 'polygon' ||
+                                            shape.shape === 'star' ||
+                                            (shape.shape === 'path' && Boolean(shape.closed))
+                                        const pointCount = shape.points?.length ?? 0
+                                        const minPoints = shape.shape === 'path' && shape.closed ? 3 : 2
+                                        return (
+                                            <div className="space-y-3 border-t border-gray-700 pt-3">
+                                                <h3 className="text-[11px] font-semibold uppercase tracking-wide text-gray-500">
+                                                    Shape
+                                                </h3>
+                                                {shape.shape === 'polygon' && (
+                                                    <StudioSliderField
+                                                        id={`shape-sides-${shape.id}`}
+                                                        label="Sides"
+                                                        min={SHAPE_MIN_SIDES}
+                                                        max={SHAPE_MAX_SIDES}
+                                                        step={1}
+                                                        disabled={shape.locked}
+                                                        value={shape.sides ?? 6}
+                                                        onChange={(n) => patchShape((l) => ({ ...l, sides: n }))}
+                                                    />
+                                                )}
+                                                {shape.shape === 'star' && (
+                                                    <>
+                                                        <StudioSliderField
+                                                            id={`shape-star-points-${shape.id}`}
+                                                            label="Points"
+                                                            min={SHAPE_MIN_SIDES}
+                                                            max={SHAPE_MAX_SIDES}
+                                                            step={1}
+                                                            disabled={shape.locked}
+                                                            value={shape.starPoints ?? 5}
+                                                            onChange={(n) => patchShape((l) => ({ ...l, starPoints: n }))}
+                                                        />
+                                                        <StudioSliderField
+                                                            id={`shape-star-inner-${shape.id}`}
+                                                            label="Inner radius"
+                                                            min={10}
+                                                            max={95}
+                                                            step={1}
+                                                            unit="%"
+                                                            disabled={shape.locked}
+                                                            value={Math.round((shape.innerRadius ?? 0.5) * 100)}
+                                                            onChange={(n) => patchShape((l) => ({ ...l, innerRadius: n / 100 }))}
+                                                        />
+                                                    </>
+                                                )}
+                                                <FillGradientStopField
+                                                    label="Stroke"
+                                                    value={shape.stroke}
+                                                    disabled={shape.locked}
+                                                    allowTransparent={closed}
+                                                    brandContext={brandContext}
+                                                    onChange={(c) => patchShape((l) => ({ ...l, stroke: c }))}
+                                                />
+                                                <StudioSliderField
+                                                    id={`shape-stroke-width-${shape.id}`}
+                                                    label="Stroke width"
+                                                    min={0}
+                                                    max={64}
+                                                    step={1}
+                                                    unit="px"
+                                                    disabled={shape.locked}
+                                                    value={Math.round(shape.strokeWidth)}
+                                                    onChange={(n) => patchShape((l) => ({ ...l, strokeWidth: n }))}
+                                                />
+                                                <div>
+                                                    <label className="mb-1 block text-gray-400">Stroke style</label>
+                                                    <select
+                                                        value={shape.strokeDash ?? 'solid'}
+                                                        disabled={shape.locked}
+                                                        onChange={(e) => {
+                                                            const v = e.target.value as NonNullable<ShapeLayer['strokeDash']>
+                                                            patchShape((l) => ({ ...l, strokeDash: v }))
+                                                        }}
+                                                        className="w-full rounded border border-gray-700 bg-gray-800 px-2 py-1 text-gray-200"
+                                                    >
+                                                        <option value="solid">Solid</option>
+                                                        <option value="dashed">Dashed</option>
+                                                        <option value="dotted">Dotted</option>
+                                                    </select>
+                                                </div>
+                                                {closed && (
+                                                    <FillGradientStopField
+                                                        label="Fill"
+                                                        value={shape.fill}
+                                                        disabled={shape.locked}
+                                                        allowTransparent
+                                                        brandContext={brandContext}
+                                                        onChange={(c) => patchShape((l) => ({ ...l, fill: c }))}
+                                                    />
+                                                )}
+                                                {shape.shape === 'path' && (
+                                                    <label className="flex items-center gap-2 text-[11px] text-gray-300">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={Boolean(shape.closed)}
+                                                            disabled={shape.locked || (!shape.closed && pointCount < 3)}
+                                                            onChange={(e) => {
+                                                                const on = e.target.checked
+                                                                patchShape((l) => ({ ...l, closed: on }))
+                                                            }}
+                                                            className="rounded border-gray-600 bg-gray-900 text-indigo-500 focus:ring-indigo-500"
+                                                        />
+                                                        Closed path
+                                                    </label>
+                                                )}
+                                                {!closed && (
+                                                    <div className="flex flex-wrap gap-x-4 gap-y-1">
+                                                        <label className="flex items-center gap-2 text-[11px] text-gray-300">
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={Boolean(shape.arrowStart)}
+                                                                disabled={shape.locked}
+                                                                onChange={(e) => {
+                                                                    const on = e.target.checked
+                                                                    patchShape((l) => ({ ...l, arrowStart: on }))
+                                                                }}
+                                                                className="rounded border-gray-600 bg-gray-900 text-indigo-500 focus:ring-indigo-500"
+                                                            />
+                                                            Arrow at start
+                                                        </label>
+                                                        <label className="flex items-center gap-2 text-[11px] text-gray-300">
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={shape.arrowEnd ?? shape.shape === 'arrow'}
+                                                                disabled={shape.locked}
+                                                                onChange={(e) => {
+                                                                    const on = e.target.checked
+                                                                    patchShape((l) => ({ ...l, arrowEnd: on }))
+                                                                }}
+                                                                className="rounded border-gray-600 bg-gray-900 text-indigo-500 focus:ring-indigo-500"
+                                                            />
+                                                            Arrow at end
+                                                        </label>
+                                                    </div>
+                                                )}
+                                                {shape.shape === 'path' && (
+                                                    <div className="flex items-center gap-2">
+                                                        <button
+                                                            type="button"
+                                                            disabled={shape.locked || pointCount >= 32}
+                                                            onClick={() =>
+                                                                patchShape((l) => {
+                                                                    const pts = l.points ?? []
+                                                                    if (pts.length < 2) return l
+                                                                    const a = pts[pts.length - 2]
+                                                                    const b = pts[pts.length - 1]
+                                                                    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+                                                                    return { ...l, points: [...pts.slice(0, -1), mid, b] }
+                                                                })
+                                                            }
+                                                            className="rounded border border-gray-700 bg-gray-800 px-2 py-1 text-[11px] text-gray-200 hover:bg-gray-700 disabled:opacity-40"
+                                                        >
+                                                            Add point
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            disabled={shape.locked || pointCount <= minPoints}
+                                                            onClick={() =>
+                                                                patchShape((l) => {
+                                                                    const pts = l.points ?? []
+                                                                    if (pts.length <= minPoints) return l
+                                                                    const t = l.transform
+                                                                    const abs = pts
+                                                                        .slice(0, -1)
+                                                                        .map((p) => ({ x: t.x + p.x * t.width, y: t.y + p.y * t.height }))
+                                                                    const { rect, points } = reframeShapePoints(abs, Math.max(8, l.strokeWidth))
+                                                                    return { ...l, points, transform: { ...t, ...rect } }
+                                                                })
+                                                            }
+                                                            className="rounded border border-gray-700 bg-gray-800 px-2 py-1 text-[11px] text-gray-200 hover:bg-gray-700 disabled:opacity-40"
+                                                        >
+                                                            Remove last point
+                                                        </button>
+                                                    </div>
+                                                )}
+                                                <p className="text-[9px] text-gray-500">
+                                                    {shapeHasEditablePoints(shape)
+                                                        ? 'Drag the round handles on the canvas to move points. Shift locks 45°, Alt ignores snap.'
+                                                        : 'Resize the box on the canvas to stretch the shape.'}
+                                                </p>
+                                            </div>
+                                        )
+                                    })()}
+
                                 {isFillLayer(selectedLayer) && selectedLayer.kind !== 'text_boost' && (
                                     <div className="space-y-3 border-t border-gray-700 pt-3">
                                         {/* Border stroke — used for hollow frames (holding shape) and
@@ -14892,157 +17256,46 @@ export default function AssetEditor() {
             )}
 
             {compareOpen && (
-                <div
-                    className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4"
-                    role="dialog"
-                    aria-modal="true"
-                    aria-labelledby="compare-dialog-title"
-                >
-                    <div className="flex max-h-[90vh] w-full max-w-4xl flex-col overflow-hidden rounded-lg border border-gray-200 bg-white shadow-xl dark:border-gray-700 dark:bg-gray-900">
-                        <div className="flex items-center justify-between border-b border-gray-200 px-4 py-3 dark:border-gray-700">
-                            <h3
-                                id="compare-dialog-title"
-                                className="text-sm font-semibold text-gray-100"
-                            >
-                                Compare versions
-                            </h3>
-                            <button
-                                type="button"
-                                className="rounded p-1 text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
-                                onClick={() => {
-                                    setCompareOpen(false)
-                                    setCompareUrls(null)
-                                }}
-                                aria-label="Close"
-                            >
-                                <XMarkIcon className="h-5 w-5" />
-                            </button>
-                        </div>
-                        <div className="space-y-4 overflow-y-auto p-4 text-xs">
-                            <p className="text-gray-400">
-                                Image preview only (no layer diff). Drag the slider to compare A vs B.
-                            </p>
-                            <div className="flex flex-wrap items-end gap-3">
-                                <div>
-                                    <label className="mb-1 block text-[10px] font-semibold uppercase tracking-wide text-gray-500">Version A (left)</label>
-                                    <select
-                                        value={compareLeftId ?? ''}
-                                        onChange={(e) => setCompareLeftId(e.target.value || null)}
-                                        className="max-w-[220px] rounded border border-gray-300 bg-white px-2 py-1.5 text-gray-900 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-100"
-                                    >
-                                        <option value="">Select…</option>
-                                        {versions.map((v) => (
-                                            <option key={v.id} value={v.id}>
-                                                {v.label ? `${v.label} — ` : ''}
-                                                {new Date(v.created_at).toLocaleString()}
-                                            </option>
-                                        ))}
-                                    </select>
-                                </div>
-                                <div>
-                                    <label className="mb-1 block text-[10px] font-semibold uppercase tracking-wide text-gray-500">Version B (right)</label>
-                                    <select
-                                        value={compareRightId ?? ''}
-                                        onChange={(e) => setCompareRightId(e.target.value || null)}
-                                        className="max-w-[220px] rounded border border-gray-300 bg-white px-2 py-1.5 text-gray-900 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-100"
-                                    >
-                                        <option value="">Select…</option>
-                                        {versions.map((v) => (
-                                            <option key={`r-${v.id}`} value={v.id}>
-                                                {v.label ? `${v.label} — ` : ''}
-                                                {new Date(v.created_at).toLocaleString()}
-                                            </option>
-                                        ))}
-                                    </select>
-                                </div>
-                                <button
-                                    type="button"
-                                    disabled={
-                                        compareBusy ||
-                                        !compareLeftId ||
-                                        !compareRightId ||
-                                        compareLeftId === compareRightId
-                                    }
-                                    onClick={() => void runCompareCapture()}
-                                    className="rounded-md bg-indigo-600 px-3 py-1.5 font-semibold text-white hover:bg-indigo-500 disabled:cursor-not-allowed disabled:opacity-50"
-                                >
-                                    {compareBusy ? 'Rendering…' : 'Render preview'}
-                                </button>
-                            </div>
-                            {compareLeftId &&
-                                compareRightId &&
-                                compareLeftId === compareRightId && (
-                                    <p className="text-amber-700 dark:text-amber-400" role="status">
-                                        Select two different versions to compare.
-                                    </p>
-                                )}
-                            {compareUrls && (
-                                <div className="space-y-3">
-                                    <div className="flex flex-col gap-1 sm:flex-row sm:justify-between sm:gap-4">
-                                        <div className="rounded-md border border-indigo-200 bg-indigo-50/80 px-2 py-1.5 text-[11px] text-indigo-950 dark:border-indigo-950 dark:bg-indigo-950/40 dark:text-indigo-100">
-                                            <span className="font-semibold">A</span>{' '}
-                                            {compareLeftMeta?.label && (
-                                                <span className="text-indigo-200">
-                                                    {compareLeftMeta.label} ·{' '}
-                                                </span>
-                                            )}
-                                            <span className="text-indigo-700/90 dark:text-indigo-300/90">
-                                                {compareLeftMeta
-                                                    ? new Date(compareLeftMeta.created_at).toLocaleString()
-                                                    : '—'}
-                                            </span>
-                                        </div>
-                                        <div className="rounded-md border border-violet-200 bg-violet-50/80 px-2 py-1.5 text-[11px] text-violet-950 dark:border-violet-950 dark:bg-violet-950/40 dark:text-violet-100">
-                                            <span className="font-semibold">B</span>{' '}
-                                            {compareRightMeta?.label && (
-                                                <span className="text-violet-800 dark:text-violet-200">
-                                                    {compareRightMeta.label} ·{' '}
-                                                </span>
-                                            )}
-                                            <span className="text-violet-700/90 dark:text-violet-300/90">
-                                                {compareRightMeta
-                                                    ? new Date(compareRightMeta.created_at).toLocaleString()
-                                                    : '—'}
-                                            </span>
-                                        </div>
-                                    </div>
-                                    <div className="relative overflow-hidden rounded-xl border border-gray-200 bg-neutral-100 shadow-inner dark:border-gray-700 dark:bg-neutral-900">
-                                        <img
-                                            src={compareUrls[1]}
-                                            alt="Version B"
-                                            className="relative z-0 block w-full object-contain"
-                                        />
-                                        <img
-                                            src={compareUrls[0]}
-                                            alt="Version A"
-                                            className="absolute left-0 top-0 z-10 h-full w-full object-contain"
-                                            style={{
-                                                clipPath: `inset(0 ${100 - compareSlider}% 0 0)`,
-                                            }}
-                                        />
-                                        <div
-                                            className="pointer-events-none absolute inset-y-0 z-20 w-0.5 bg-white shadow-[0_0_0_1px_rgba(0,0,0,0.15)]"
-                                            style={{ left: `${compareSlider}%`, transform: 'translateX(-50%)' }}
-                                        />
-                                    </div>
-                                    <label className="flex items-center gap-3 text-[11px] text-gray-400">
-                                        <span className="shrink-0 font-medium text-gray-200">A</span>
-                                        <StudioOverlayRange
-                                            className="min-w-0 flex-1"
-                                            min={0}
-                                            max={100}
-                                            value={compareSlider}
-                                            onChange={(e) => setCompareSlider(Number(e.target.value))}
-                                            aria-label="Compare blend between versions A and B"
-                                            inputClassName="cursor-ew-resize"
-                                        />
-                                        <span className="shrink-0 font-medium text-gray-200">B</span>
-                                    </label>
-                                </div>
-                            )}
-                        </div>
-                    </div>
-                </div>
+                <EditorVersionCompareDialog
+                    versions={versions}
+                    leftId={compareLeftId}
+                    rightId={compareRightId}
+                    onLeftChange={setCompareLeftId}
+                    onRightChange={setCompareRightId}
+                    busy={compareBusy}
+                    result={compareResult}
+                    onRender={() => void runCompareCapture()}
+                    onClose={() => {
+                        setCompareOpen(false)
+                        setCompareResult(null)
+                    }}
+                />
+            )}
+
+            {localizationDialogOpen && (
+                <EditorLocalizationDialog
+                    document={document}
+                    exportName={compositionName}
+                    measureFit={measureLocaleFit}
+                    versionsBlockedReason={localeVersionsBlockedReason}
+                    busy={localizationBusy}
+                    onClose={() => setLocalizationDialogOpen(false)}
+                    onApply={applyLocalization}
+                    onApplyAndCreateVersions={(doc, locales) => void applyAndCreateLocaleVersions(doc, locales)}
+                />
+            )}
+            {saveRecipeDialogOpen && (
+                <EditorSaveRecipeDialog
+                    document={document}
+                    defaultName={compositionName}
+                    palette={brandRecipePalette}
+                    logoAssetId={wizardDefaults?.logo?.id ?? null}
+                    recipes={brandRecipes}
+                    busy={brandRecipeBusy}
+                    onClose={() => setSaveRecipeDialogOpen(false)}
+                    onSave={(input) => void saveBrandRecipe(input)}
+                    onDelete={(recipe) => void removeBrandRecipe(recipe)}
+                />
             )}
 
             {publishModalOpen && (
@@ -15091,7 +17344,7 @@ export default function AssetEditor() {
                             <div className="space-y-0">
                                 <div className="space-y-3 px-4 pb-3 pt-4 text-sm text-gray-900">
                                     <p className="text-xs leading-relaxed text-gray-600">
-                                        {hasVisibleVideoLayerInDoc && compositionId
+                                        {(hasVisibleVideoLayerInDoc || hasKeyframeAnimationInDoc) && compositionId
                                             ? 'Renders a baked MP4 and creates a new library asset. Pick a library or deliverable category — metadata uses the same schema as file uploads. Export runs on a server queue; after you publish you can keep editing — progress and errors show in the top bar (thumbnails may update shortly after the job completes).'
                                             : 'Publishes a JPEG export of the canvas. The file is compressed so publish works on servers with a strict upload size cap (about 1MB for the whole request).'}
                                     </p>
@@ -15296,6 +17549,14 @@ export default function AssetEditor() {
                                             <p className="text-xs text-gray-500">No extra metadata fields for this category.</p>
                                         )}
                                 </div>
+
+                                <EditorBrandLintPanel
+                                    issues={publishBrandLintIssues}
+                                    disabled={promoteSaving}
+                                    onFix={fixBrandLintIssue}
+                                    onFixAll={fixAllBrandLintIssues}
+                                    onSelectLayer={(id) => selectLayerOrGroup(id, { alt: true })}
+                                />
                             </div>
                         </div>
                         <div className="flex shrink-0 justify-end gap-2 border-t border-gray-200 bg-white px-5 py-3.5">
@@ -15397,7 +17658,9 @@ export default function AssetEditor() {
                                       ? 'Replace image'
                                       : pickerMode === 'add_video'
                                         ? 'Add video from library'
-                                        : 'Add image from library'}
+                                        : pickerMode === 'import_psd'
+                                          ? 'Import PSD as a new composition'
+                                          : 'Add image from library'}
                             </h3>
                             <button
                                 type="button"
@@ -15575,7 +17838,12 @@ export default function AssetEditor() {
                                 </a>{' '}
                                 in a new tab to upload or manage files, then return here and refresh the list.
                             </p>
-                            {pickerMode === 'add_video' ? (
+                            {pickerMode === 'import_psd' ? (
+                                <p className="mt-3 rounded-md border border-gray-600 bg-gray-800/50 px-3 py-2.5 text-[10px] leading-snug text-gray-400">
+                                    Pixel layers become image layers (saved to the library), type layers stay editable
+                                    text, and top-level folders become groups. Adjustment layers are skipped.
+                                </p>
+                            ) : pickerMode === 'add_video' ? (
                                 <p className="mt-3 rounded-md border border-gray-600 bg-gray-800/50 px-3 py-2.5 text-[10px] leading-snug text-gray-400">
                                     Upload new videos from the{' '}
                                     <a
@@ -15871,7 +18139,7 @@ export default function AssetEditor() {
 
                 const applyTemplate = (fmt: TemplateFormat, name: string, styleId: LayoutStyleId | null) => {
                     const brandColor = typeof auth?.activeBrand?.primary_color === 'string' ? auth.activeBrand.primary_color : undefined
-                    const baseBps = styleId ? buildLayersForStyle(styleId, fmt.width, fmt.height, auth?.activeBrand ?? null, wizardDefaults) : fmt.layers
+                    const baseBps = styleId ? buildLayersForStyle(styleId, fmt.width, fmt.height, auth?.activeBrand ?? null, wizardDefaults, brandRecipes) : fmt.layers
                     // Seed background randomization by format+style+brand so the wizard
                     // gives varied output across templates but is stable for a given
                     // (brand, format, style) combo. Date.now() would make every re-open
@@ -15953,7 +18221,7 @@ export default function AssetEditor() {
 
                         const items = pack.sizes.map((size) => {
                             const baseBps = styleId
-                                ? buildLayersForStyle(styleId, size.width, size.height, auth?.activeBrand ?? null, wizardDefaults)
+                                ? buildLayersForStyle(styleId, size.width, size.height, auth?.activeBrand ?? null, wizardDefaults, brandRecipes)
                                 : platformFallback.layers
                             // Per-size seed so each format's background pick is
                             // deterministic but varied — re-running the batch
@@ -16109,7 +18377,7 @@ export default function AssetEditor() {
                                             <h3 className="mb-1 text-sm font-semibold text-gray-200">Ad Type</h3>
                                             <p className="mb-5 text-xs text-gray-500">This determines which layers are set up for your composition.</p>
                                             <div className="grid grid-cols-2 gap-4 sm:grid-cols-4">
-                                                {getAllLayoutStyles().map((style) => {
+                                                {getAllLayoutStyles(brandRecipes).map((style) => {
                                                     const isSelected = wizardLayoutStyle === style.id
                                                     return (
                                                         <button
@@ -16148,6 +18416,9 @@ export default function AssetEditor() {
                                                                             <path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 1 1-6 0 3 3 0 0 1 6 0Z" />
                                                                         </>
                                                                     )}
+                                                                    {style.icon === 'brand_recipe' && (
+                                                                        <path strokeLinecap="round" strokeLinejoin="round" d="M17.593 3.322c1.1.128 1.907 1.077 1.907 2.185V21L12 17.25 4.5 21V5.507c0-1.108.806-2.057 1.907-2.185a48.507 48.507 0 0 1 11.186 0Z" />
+                                                                    )}
                                                                 </svg>
                                                             </div>
                                                             <span className={`text-sm font-semibold ${isSelected ? 'text-white' : 'text-gray-200'}`}>{style.name}</span>
@@ -16161,7 +18432,7 @@ export default function AssetEditor() {
                                                 // Build blueprint list for the chosen style and merge in the wizard's
                                                 // per-index overrides (enabled + placement). `activeBps` is what both
                                                 // the layer checkbox list and the mini-preview render from.
-                                                const baseBps = buildLayersForStyle(wizardLayoutStyle, selectedFormatObj.width, selectedFormatObj.height, auth?.activeBrand ?? null, wizardDefaults)
+                                                const baseBps = buildLayersForStyle(wizardLayoutStyle, selectedFormatObj.width, selectedFormatObj.height, auth?.activeBrand ?? null, wizardDefaults, brandRecipes)
                                                 const activeBps = applyWizardOverrides(baseBps)
                                                 const brandLogoUrl = (auth?.activeBrand?.logo_dark_path
                                                     || auth?.activeBrand?.logo_path
@@ -16341,7 +18612,7 @@ export default function AssetEditor() {
                                                                     <span className="font-medium text-gray-200">{selectedPlatformObj?.name} — {selectedFormatObj.name}</span>
                                                                 </p>
                                                                 <p className="text-[10px] text-gray-500">{selectedFormatObj.width} × {selectedFormatObj.height}px</p>
-                                                                <p className="mt-1 text-[10px] text-indigo-400">{getAllLayoutStyles().find(s => s.id === wizardLayoutStyle)?.name}</p>
+                                                                <p className="mt-1 text-[10px] text-indigo-400">{getAllLayoutStyles(brandRecipes).find(s => s.id === wizardLayoutStyle)?.name}</p>
                                                             </div>
                                                         </div>
                                                     </div>
@@ -16360,7 +18631,7 @@ export default function AssetEditor() {
 
                                 {wizardStep === 3 && selectedFormatObj && (() => {
                                     const baseLayers = wizardLayoutStyle
-                                        ? buildLayersForStyle(wizardLayoutStyle, selectedFormatObj.width, selectedFormatObj.height, auth?.activeBrand ?? null, wizardDefaults)
+                                        ? buildLayersForStyle(wizardLayoutStyle, selectedFormatObj.width, selectedFormatObj.height, auth?.activeBrand ?? null, wizardDefaults, brandRecipes)
                                         : selectedFormatObj.layers
                                     // Mirror the same enrichment applyTemplate uses so the step-3
                                     // preview list accurately reflects what the user will get
@@ -16541,7 +18812,7 @@ export default function AssetEditor() {
                                             )}
                                             <div className="mb-6">
                                                 <h4 className="mb-2 text-xs font-semibold text-gray-300">
-                                                    {wizardLayoutStyle ? `${getAllLayoutStyles().find(s => s.id === wizardLayoutStyle)?.name ?? 'Template'} ` : ''}Layer Stack
+                                                    {wizardLayoutStyle ? `${getAllLayoutStyles(brandRecipes).find(s => s.id === wizardLayoutStyle)?.name ?? 'Template'} ` : ''}Layer Stack
                                                 </h4>
                                                 <p className="mb-3 text-[11px] text-gray-500">These layers will be pre-populated. You can add, remove, or reorder them later.</p>
                                                 <div className="space-y-1 rounded-lg border border-gray-700 bg-gray-800/50 p-2">
@@ -16616,7 +18887,7 @@ export default function AssetEditor() {
                                             <p className="mt-3 text-sm font-medium text-gray-200">{selectedPlatformObj?.name} — {selectedFormatObj.name}</p>
                                             <p className="mt-1 text-xs text-gray-500">{selectedFormatObj.width} &times; {selectedFormatObj.height}px</p>
                                             {wizardLayoutStyle && (
-                                                <p className="mt-1 text-xs text-indigo-400">{getAllLayoutStyles().find(s => s.id === wizardLayoutStyle)?.name}</p>
+                                                <p className="mt-1 text-xs text-indigo-400">{getAllLayoutStyles(brandRecipes).find(s => s.id === wizardLayoutStyle)?.name}</p>
                                             )}
                                         </div>
                                     </div>
@@ -0,0 +1,77 @@
+import type { ReactNode } from 'react'
+
+export type AlignMode = 'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom'
+
+type Props = {
+    /** What the commands act on, e.g. “3 layers” or “Group members”. */
+    label: string
+    /** Unlocked layers the commands would move. Align needs 2, distribute 3. */
+    count: number
+    onAlign: (mode: AlignMode) => void
+    onDistribute: (axis: 'x' | 'y') => void
+}
+
+const icon = (children: ReactNode) => (
+    <svg className="h-3.5 w-3.5" viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.4" aria-hidden>
+        {children}
+    </svg>
+)
+
+const ALIGN_BUTTONS: ReadonlyArray<{ mode: AlignMode; title: string; glyph: ReactNode }> = [
+    { mode: 'left', title: 'Align left edges', glyph: icon(<><path d="M2 1.5v13" /><rect x="4" y="3.5" width="8" height="3" /><rect x="4" y="9.5" width="5" height="3" /></>) },
+    { mode: 'center', title: 'Align horizontal centers', glyph: icon(<><path d="M8 1.5v13" /><rect x="3" y="3.5" width="10" height="3" /><rect x="5" y="9.5" width="6" height="3" /></>) },
+    { mode: 'right', title: 'Align right edges', glyph: icon(<><path d="M14 1.5v13" /><rect x="4" y="3.5" width="8" height="3" /><rect x="7" y="9.5" width="5" height="3" /></>) },
+    { mode: 'top', title: 'Align top edges', glyph: icon(<><path d="M1.5 2h13" /><rect x="3.5" y="4" width="3" height="8" /><rect x="9.5" y="4" width="3" height="5" /></>) },
+    { mode: 'middle', title: 'Align vertical centers', glyph: icon(<><path d="M1.5 8h13" /><rect x="3.5" y="3" width="3" height="10" /><rect x="9.5" y="5" width="3" height="6" /></>) },
+    { mode: 'bottom', title: 'Align bottom edges', glyph: icon(<><path d="M1.5 14h13" /><rect x="3.5" y="4" width="3" height="8" /><rect x="9.5" y="7" width="3" height="5" /></>) },
+]
+
+const DISTRIBUTE_BUTTONS: ReadonlyArray<{ axis: 'x' | 'y'; title: string; glyph: ReactNode }> = [
+    { axis: 'x', title: 'Distribute horizontally (equal gaps)', glyph: icon(<><path d="M1.5 2v12M14.5 2v12" /><rect x="6" y="4" width="4" height="8" /></>) },
+    { axis: 'y', title: 'Distribute vertically (equal gaps)', glyph: icon(<><path d="M2 1.5h12M2 14.5h12" /><rect x="4" y="6" width="8" height="4" /></>) },
+]
+
+const buttonClass =
+    'flex h-6 w-6 items-center justify-center rounded text-gray-300 hover:bg-gray-800 hover:text-white disabled:cursor-not-allowed disabled:opacity-40'
+
+/**
+ * Align (edges / centers to the selection bounds) and distribute (equal gaps) for a multi-layer selection.
+ * Locked layers are left where they are.
+ */
+export function EditorAlignDistributeBar({ label, count, onAlign, onDistribute }: Props) {
+    return (
+        <div
+            className="flex items-center gap-1 border-b border-gray-800 bg-gray-900/60 px-3 py-1 text-[11px] text-gray-400"
+            data-testid="editor-align-distribute-bar"
+        >
+            <span className="mr-auto truncate">{label}</span>
+            {ALIGN_BUTTONS.map((b) => (
+                <button
+                    key={b.mode}
+                    type="button"
+                    className={buttonClass}
+                    title={b.title}
+                    aria-label={b.title}
+                    disabled={count < 2}
+                    onClick={() => onAlign(b.mode)}
+                >
+                    {b.glyph}
+                </button>
+            ))}
+            <span className="mx-0.5 h-4 w-px bg-gray-700" aria-hidden />
+            {DISTRIBUTE_BUTTONS.map((b) => (
+                <button
+                    key={b.axis}
+                    type="button"
+                    className={buttonClass}
+                    title={count < 3 ? `${b.title} — needs 3 or more unlocked layers` : b.title}
+                    aria-label={b.title}
+                    disabled={count < 3}
+                    onClick={() => onDistribute(b.axis)}
+                >
+                    {b.glyph}
+                </button>
+            ))}
+        </div>
+    )
+}
@@ -0,0 +1,158 @@
+import { useCallback, useLayoutEffect, useRef, useState } from 'react'
+import type { PointerEvent as ReactPointerEvent, WheelEvent as ReactWheelEvent } from 'react'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+import { CompositionScene } from '../../../components/studio/composition/CompositionScene'
+import type { Artboard, BrandContext, DocumentModel } from '../documentModel'
+
+const PAD = 48
+
+/**
+ * Infinite-canvas view of every artboard side by side, rendered read-only. Drag to pan, wheel to zoom,
+ * click a board to edit it. Covers the editor stage while open.
+ */
+export function EditorArtboardsOverview(props: {
+    /** Resolved boards (see `listArtboards`); `document` supplies shared fields such as the timeline. */
+    boards: Artboard[]
+    activeId: string
+    document: DocumentModel
+    brandContext: BrandContext | null
+    brandFontsEpoch: number
+    onOpenArtboard: (id: string) => void
+    onClose: () => void
+}) {
+    const { boards, activeId, document } = props
+    const rootRef = useRef<HTMLDivElement>(null)
+    const [view, setView] = useState<{ scale: number; x: number; y: number } | null>(null)
+    const dragRef = useRef<{ startX: number; startY: number; x: number; y: number; moved: boolean } | null>(null)
+
+    const minX = Math.min(...boards.map((b) => b.x))
+    const minY = Math.min(...boards.map((b) => b.y))
+    const spanW = Math.max(...boards.map((b) => b.x + b.width)) - minX
+    const spanH = Math.max(...boards.map((b) => b.y + b.height)) - minY
+
+    const fit = useCallback(() => {
+        const el = rootRef.current
+        if (!el) return
+        const r = el.getBoundingClientRect()
+        const scale = Math.min((r.width - PAD * 2) / spanW, (r.height - PAD * 2) / spanH, 1)
+        setView({
+            scale,
+            x: (r.width - spanW * scale) / 2 - minX * scale,
+            y: (r.height - spanH * scale) / 2 - minY * scale,
+        })
+    }, [minX, minY, spanW, spanH])
+
+    useLayoutEffect(() => {
+        if (!view) fit()
+    }, [view, fit])
+
+    const onWheel = (e: ReactWheelEvent<HTMLDivElement>) => {
+        if (!view || !rootRef.current) return
+        const r = rootRef.current.getBoundingClientRect()
+        const px = e.clientX - r.left
+        const py = e.clientY - r.top
+        const scale = Math.max(0.02, Math.min(4, view.scale * (1 - e.deltaY * 0.0015)))
+        const k = scale / view.scale
+        setView({ scale, x: px - (px - view.x) * k, y: py - (py - view.y) * k })
+    }
+
+    const onPointerDown = (e: ReactPointerEvent<HTMLDivElement>) => {
+        e.stopPropagation()
+        if (!view || e.button !== 0) return
+        dragRef.current = { startX: e.clientX, startY: e.clientY, x: view.x, y: view.y, moved: false }
+        e.currentTarget.setPointerCapture(e.pointerId)
+    }
+
+    const onPointerMove = (e: ReactPointerEvent<HTMLDivElement>) => {
+        const d = dragRef.current
+        if (!d || !view) return
+        const dx = e.clientX - d.startX
+        const dy = e.clientY - d.startY
+        if (Math.abs(dx) + Math.abs(dy) > 3) d.moved = true
+        setView({ ...view, x: d.x + dx, y: d.y + dy })
+    }
+
+    const onPointerUp = (e: ReactPointerEvent<HTMLDivElement>) => {
+        e.stopPropagation()
+        const d = dragRef.current
+        dragRef.current = null
+        if (!d || d.moved) return
+        // A click (no drag) on a board opens it. Pointer capture retargets the event, so hit-test the point.
+        const hit = globalThis.document.elementFromPoint(e.clientX, e.clientY)?.closest<HTMLElement>('[data-artboard-id]')
+        if (hit?.dataset.artboardId) props.onOpenArtboard(hit.dataset.artboardId)
+    }
+
+    return (
+        <div
+            ref={rootRef}
+            className="absolute inset-0 z-30 cursor-grab overflow-hidden bg-neutral-300 active:cursor-grabbing"
+            style={
+                view
+                    ? {
+                          backgroundImage: 'radial-gradient(circle, rgba(0,0,0,0.12) 1px, transparent 1px)',
+                          backgroundSize: '24px 24px',
+                          backgroundPosition: `${view.x % 24}px ${view.y % 24}px`,
+                      }
+                    : undefined
+            }
+            onWheel={onWheel}
+            onPointerDown={onPointerDown}
+            onPointerMove={onPointerMove}
+            onPointerUp={onPointerUp}
+            data-testid="artboards-overview"
+        >
+            {view && (
+                <div className="absolute left-0 top-0 origin-top-left" style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})` }}>
+                    {boards.map((b) => (
+                        <div key={b.id} className="absolute" style={{ left: b.x, top: b.y, width: b.width, height: b.height }} data-artboard-id={b.id}>
+                            <p
+                                className={`absolute bottom-full left-0 mb-1 origin-bottom-left whitespace-nowrap text-xs font-medium ${
+                                    b.id === activeId ? 'text-indigo-700' : 'text-gray-600'
+                                }`}
+                                style={{ transform: `scale(${1 / view.scale})` }}
+                            >
+                                {b.name} · {b.width}×{b.height}
+                            </p>
+                            <div
+                                className="pointer-events-none relative h-full w-full overflow-hidden bg-white"
+                                style={{
+                                    // Outline stays a constant screen width at any zoom.
+                                    boxShadow:
+                                        b.id === activeId
+                                            ? `0 0 0 ${3 / view.scale}px rgb(99 102 241)`
+                                            : `0 0 0 ${1 / view.scale}px rgba(0,0,0,0.1)`,
+                                }}
+                            >
+                                <CompositionScene
+                                    mode="export"
+                                    document={{ ...document, width: b.width, height: b.height, layers: b.layers, groups: b.groups ?? [] }}
+                                    currentTimeMs={0}
+                                    brandContext={props.brandContext}
+                                    brandFontsEpoch={props.brandFontsEpoch}
+                                    stageScale={1}
+                                />
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+            <div className="absolute right-3 top-3 flex items-center gap-1" onPointerDown={(e) => e.stopPropagation()} onPointerUp={(e) => e.stopPropagation()}>
+                <button
+                    type="button"
+                    onClick={fit}
+                    className="rounded-md border border-gray-300 bg-white px-2 py-1 text-[11px] font-medium text-gray-700 shadow-sm hover:bg-gray-50"
+                >
+                    Fit all
+                </button>
+                <button
+                    type="button"
+                    onClick={props.onClose}
+                    className="rounded-md border border-gray-300 bg-white p-1 text-gray-600 shadow-sm hover:bg-gray-50"
+                    aria-label="Close artboards overview"
+                >
+                    <XMarkIcon className="h-4 w-4" />
+                </button>
+            </div>
+        </div>
+    )
+}
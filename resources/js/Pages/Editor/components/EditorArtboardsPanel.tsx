@@ -0,0 +1,192 @@
+import { useState } from 'react'
+import { DocumentDuplicateIcon, PencilSquareIcon, PlusIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import type { Artboard } from '../documentModel'
+import { COMPREHENSIVE_PACK } from '../recipes/formatPack'
+
+const buttonClass =
+    'rounded border border-gray-700 bg-gray-800 px-2 py-1 text-[11px] text-gray-200 hover:border-gray-600 disabled:cursor-not-allowed disabled:opacity-40'
+
+const inputClass = 'w-full rounded border border-gray-700 bg-gray-800 px-2 py-1 text-[11px] text-gray-100 focus:border-indigo-500 focus:outline-none'
+
+/**
+ * Left-rail list of the document's artboards: switch, add (pack size or custom), rename, duplicate, delete,
+ * copy the current selection onto a board, and export one board or all of them.
+ */
+export function EditorArtboardsPanel(props: {
+    boards: Artboard[]
+    activeId: string
+    busy: boolean
+    /** Label of what "Copy selection here" would copy, or null when nothing is selected. */
+    copySelectionLabel: string | null
+    overviewOpen: boolean
+    /** Size the add form starts from (the active board). */
+    defaultSize: { width: number; height: number }
+    onSwitch: (id: string) => void
+    onAdd: (spec: { name: string; width: number; height: number }) => void
+    onRename: (board: Artboard) => void
+    onDuplicate: (id: string) => void
+    onDelete: (board: Artboard) => void
+    onCopySelectionTo: (id: string) => void
+    onExport: (id: string, kind: 'svg' | 'pdf') => void
+    onExportAll: (kind: 'pdf' | 'zip') => void
+    onToggleOverview: () => void
+    onClose: () => void
+}) {
+    const { boards, activeId, busy, copySelectionLabel } = props
+    const [adding, setAdding] = useState(false)
+    const [name, setName] = useState('')
+    const [width, setWidth] = useState(props.defaultSize.width)
+    const [height, setHeight] = useState(props.defaultSize.height)
+
+    const openAddForm = () => {
+        setName('')
+        setWidth(props.defaultSize.width)
+        setHeight(props.defaultSize.height)
+        setAdding(true)
+    }
+
+    const validSize = width >= 1 && height >= 1 && width <= 8000 && height <= 8000
+
+    return (
+        <div className="flex min-h-0 flex-1 flex-col">
+            <div className="flex shrink-0 items-center justify-between border-b border-gray-700 px-3 py-2">
+                <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-400">Artboards</h2>
+                <button type="button" onClick={props.onClose} className="text-gray-500 hover:text-gray-300" aria-label="Close artboards panel">
+                    <XMarkIcon className="h-4 w-4" />
+                </button>
+            </div>
+
+            <div className="shrink-0 space-y-2 border-b border-gray-700 px-3 py-2">
+                <div className="flex flex-wrap gap-1">
+                    <button type="button" className={buttonClass} onClick={openAddForm} disabled={adding}>
+                        <PlusIcon className="mr-1 inline h-3 w-3" aria-hidden />
+                        Add artboard
+                    </button>
+                    <button type="button" className={buttonClass} onClick={props.onToggleOverview} aria-pressed={props.overviewOpen}>
+                        {props.overviewOpen ? 'Back to editing' : 'View all'}
+                    </button>
+                </div>
+                {adding && (
+                    <form
+                        className="space-y-1.5 rounded border border-gray-700 bg-gray-800/50 p-2"
+                        onSubmit={(e) => {
+                            e.preventDefault()
+                            if (!validSize) return
+                            props.onAdd({ name, width, height })
+                            setAdding(false)
+                        }}
+                    >
+                        <input className={inputClass} placeholder={`Artboard ${boards.length + 1}`} value={name} onChange={(e) => setName(e.target.value)} aria-label="Artboard name" />
+                        <select
+                            className={inputClass}
+                            value=""
+                            onChange={(e) => {
+                                const size = COMPREHENSIVE_PACK.sizes[Number(e.target.value)]
+                                if (!size) return
+                                setWidth(size.width)
+                                setHeight(size.height)
+                                if (!name.trim()) setName(size.label)
+                            }}
+                            aria-label="Preset size"
+                        >
+                            <option value="">Preset size…</option>
+                            {COMPREHENSIVE_PACK.sizes.map((s, i) => (
+                                <option key={`${s.label}-${s.width}x${s.height}`} value={i}>
+                                    {s.label} · {s.width}×{s.height}
+                                </option>
+                            ))}
+                        </select>
+                        <div className="flex items-center gap-1 text-[11px] text-gray-400">
+                            <input type="number" min={1} max={8000} className={inputClass} value={width} onChange={(e) => setWidth(Number(e.target.value))} aria-label="Width" />
+                            ×
+                            <input type="number" min={1} max={8000} className={inputClass} value={height} onChange={(e) => setHeight(Number(e.target.value))} aria-label="Height" />
+                        </div>
+                        <div className="flex justify-end gap-1">
+                            <button type="button" className={buttonClass} onClick={() => setAdding(false)}>
+                                Cancel
+                            </button>
+                            <button type="submit" className={buttonClass} disabled={!validSize}>
+                                Add
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+
+            <ul className="min-h-0 flex-1 space-y-1 overflow-y-auto p-2">
+                {boards.map((b) => {
+                    const active = b.id === activeId
+                    return (
+                        <li
+                            key={b.id}
+                            className={`rounded-md border px-2 py-1.5 ${active ? 'border-indigo-500/70 bg-indigo-500/10' : 'border-gray-700 bg-gray-800/40'}`}
+                        >
+                            <div className="flex items-center gap-1">
+                                <button
+                                    type="button"
+                                    className="min-w-0 flex-1 text-left"
+                                    onClick={() => props.onSwitch(b.id)}
+                                    title={active ? 'Editing this artboard' : 'Edit this artboard'}
+                                >
+                                    <span className="block truncate text-xs font-medium text-gray-100">{b.name}</span>
+                                    <span className="block text-[10px] tabular-nums text-gray-500">
+                                        {b.width} × {b.height} · {b.layers.length} layer{b.layers.length === 1 ? '' : 's'}
+                                    </span>
+                                </button>
+                                <button type="button" onClick={() => props.onRename(b)} className="rounded p-1 text-gray-500 hover:text-gray-300" title="Rename" aria-label={`Rename ${b.name}`}>
+                                    <PencilSquareIcon className="h-3.5 w-3.5" />
+                                </button>
+                                <button type="button" onClick={() => props.onDuplicate(b.id)} className="rounded p-1 text-gray-500 hover:text-gray-300" title="Duplicate" aria-label={`Duplicate ${b.name}`}>
+                                    <DocumentDuplicateIcon className="h-3.5 w-3.5" />
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => props.onDelete(b)}
+                                    disabled={boards.length < 2}
+                                    className="rounded p-1 text-gray-500 hover:text-red-400 disabled:opacity-30"
+                                    title={boards.length < 2 ? 'A document keeps at least one artboard' : 'Delete'}
+                                    aria-label={`Delete ${b.name}`}
+                                >
+                                    <TrashIcon className="h-3.5 w-3.5" />
+                                </button>
+                            </div>
+                            <div className="mt-1 flex flex-wrap gap-1">
+                                {!active && (
+                                    <button
+                                        type="button"
+                                        className={buttonClass}
+                                        onClick={() => props.onCopySelectionTo(b.id)}
+                                        disabled={!copySelectionLabel}
+                                        title={copySelectionLabel ? `Copy ${copySelectionLabel} onto this artboard` : 'Select layers on the current artboard first'}
+                                    >
+                                        Copy selection here
+                                    </button>
+                                )}
+                                <button type="button" className={buttonClass} onClick={() => props.onExport(b.id, 'svg')} disabled={busy}>
+                                    SVG
+                                </button>
+                                <button type="button" className={buttonClass} onClick={() => props.onExport(b.id, 'pdf')} disabled={busy}>
+                                    PDF
+                                </button>
+                            </div>
+                        </li>
+                    )
+                })}
+            </ul>
+
+            {boards.length > 1 && (
+                <div className="shrink-0 space-y-1 border-t border-gray-700 px-3 py-2">
+                    <p className="text-[10px] font-semibold uppercase tracking-wider text-gray-500">Export all {boards.length}</p>
+                    <div className="flex gap-1">
+                        <button type="button" className={buttonClass} onClick={() => props.onExportAll('pdf')} disabled={busy} title="One print PDF, a page per artboard">
+                            Print PDF
+                        </button>
+                        <button type="button" className={buttonClass} onClick={() => props.onExportAll('zip')} disabled={busy} title="ZIP with an SVG per artboard">
+                            SVG bundle (ZIP)
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,179 @@
+import { ArrowPathIcon, LinkSlashIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import type { BrandComponentDto, BrandComponentKind } from '../editorBrandComponentsBridge'
+
+const KIND_LABELS: Record<BrandComponentKind, string> = {
+    logo: 'Logos',
+    cta: 'CTA buttons',
+    disclaimer: 'Disclaimers',
+    other: 'Other',
+}
+
+const KIND_ORDER: BrandComponentKind[] = ['logo', 'cta', 'disclaimer', 'other']
+
+const buttonClass =
+    'rounded border border-gray-700 bg-gray-800 px-2 py-1 text-[11px] text-gray-200 hover:border-gray-600 disabled:cursor-not-allowed disabled:opacity-40'
+
+/** The selected group when it is a linked instance. */
+export type BrandComponentInstanceSelection = {
+    groupId: string
+    component: BrandComponentDto | null
+    revision: number
+    overrideCount: number
+}
+
+/**
+ * Left-rail library of the brand's reusable components. Saves the current selection as a master, places
+ * linked instances, and — for a selected instance — pushes its edits to the master (which updates every
+ * instance in the brand), resets its text / color overrides or detaches it.
+ */
+export function EditorBrandComponentsPanel(props: {
+    components: BrandComponentDto[] | null
+    loading: boolean
+    error: string | null
+    busy: boolean
+    /** Label of what "Save as component" would capture, or null when nothing savable is selected. */
+    saveSelectionLabel: string | null
+    instance: BrandComponentInstanceSelection | null
+    onRefresh: () => void
+    onSaveSelection: () => void
+    onInsert: (component: BrandComponentDto) => void
+    onDelete: (component: BrandComponentDto) => void
+    onPushToMaster: (groupId: string) => void
+    onResetOverrides: (groupId: string) => void
+    onDetach: (groupId: string) => void
+    onClose: () => void
+}) {
+    const { components, loading, error, busy, saveSelectionLabel, instance } = props
+    const byKind = KIND_ORDER.map((kind) => ({
+        kind,
+        items: (components ?? []).filter((c) => (KIND_ORDER.includes(c.kind) ? c.kind : 'other') === kind),
+    })).filter((g) => g.items.length > 0)
+
+    return (
+        <div className="flex min-h-0 flex-1 flex-col">
+            <div className="flex shrink-0 items-center justify-between border-b border-gray-700 px-3 py-2">
+                <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-400">Components</h2>
+                <div className="flex items-center gap-1">
+                    <button
+                        type="button"
+                        onClick={props.onRefresh}
+                        disabled={loading}
+                        className="rounded p-1 text-gray-500 hover:text-gray-300 disabled:opacity-40"
+                        title="Reload the brand component library"
+                        aria-label="Reload components"
+                    >
+                        <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                    </button>
+                    <button type="button" onClick={props.onClose} className="text-gray-500 hover:text-gray-300" aria-label="Close components panel">
+                        <XMarkIcon className="h-4 w-4" />
+                    </button>
+                </div>
+            </div>
+
+            <div className="shrink-0 space-y-2 border-b border-gray-700 px-3 py-2 text-[11px] text-gray-300">
+                {instance ? (
+                    <>
+                        <p className="leading-snug">
+                            <span className="font-medium text-gray-100">{instance.component?.name ?? 'Deleted component'}</span>
+                            <span className="text-gray-500">
+                                {' '}
+                                · linked instance
+                                {instance.overrideCount > 0 ? ` · ${instance.overrideCount} override${instance.overrideCount === 1 ? '' : 's'}` : ''}
+                            </span>
+                        </p>
+                        {instance.component && instance.component.revision !== instance.revision && (
+                            <p className="text-amber-300/90">The master changed since this instance was last synced.</p>
+                        )}
+                        <div className="flex flex-wrap gap-1.5">
+                            <button
+                                type="button"
+                                className={buttonClass}
+                                disabled={busy || !instance.component}
+                                onClick={() => props.onPushToMaster(instance.groupId)}
+                                title="Save this instance as the new master and update every instance across the brand"
+                            >
+                                Update master
+                            </button>
+                            <button
+                                type="button"
+                                className={buttonClass}
+                                disabled={busy || !instance.component || instance.overrideCount === 0}
+                                onClick={() => props.onResetOverrides(instance.groupId)}
+                                title="Drop this instance's text and color overrides"
+                            >
+                                Reset overrides
+                            </button>
+                            <button
+                                type="button"
+                                className={`${buttonClass} inline-flex items-center gap-1`}
+                                disabled={busy}
+                                onClick={() => props.onDetach(instance.groupId)}
+                                title="Keep the layers but stop following the master"
+                            >
+                                <LinkSlashIcon className="h-3 w-3" aria-hidden />
+                                Detach
+                            </button>
+                        </div>
+                    </>
+                ) : (
+                    <>
+                        <p className="leading-snug text-gray-400">
+                            Save a logo, CTA button or disclaimer group once, then place linked copies. Editing the master updates
+                            every copy; text and colors changed on a copy are kept.
+                        </p>
+                        <button
+                            type="button"
+                            className={buttonClass}
+                            disabled={busy || !saveSelectionLabel}
+                            onClick={props.onSaveSelection}
+                            title={saveSelectionLabel ? `Save “${saveSelectionLabel}” to the brand library` : 'Select a layer or group first'}
+                        >
+                            Save selection as component
+                        </button>
+                    </>
+                )}
+            </div>
+
+            <div className="min-h-0 flex-1 overflow-y-auto p-2">
+                {error && <p className="px-1 py-2 text-[11px] text-red-400">{error}</p>}
+                {components === null && loading && <p className="px-1 py-4 text-center text-xs text-gray-500">Loading…</p>}
+                {components !== null && components.length === 0 && (
+                    <p className="px-1 py-4 text-center text-xs text-gray-500">No components saved for this brand yet</p>
+                )}
+                {byKind.map(({ kind, items }) => (
+                    <div key={kind} className="mb-3">
+                        <h3 className="mb-1 px-1 text-[9px] font-bold uppercase tracking-wide text-gray-500">{KIND_LABELS[kind]}</h3>
+                        <ul className="space-y-0.5">
+                            {items.map((c) => (
+                                <li key={c.id} className="group flex items-center gap-1.5 rounded px-2 py-1.5 text-xs text-gray-200 hover:bg-gray-800">
+                                    <button
+                                        type="button"
+                                        className="min-w-0 flex-1 truncate text-left"
+                                        disabled={busy}
+                                        onClick={() => props.onInsert(c)}
+                                        title={`Place a linked “${c.name}” on the canvas`}
+                                    >
+                                        {c.name}
+                                    </button>
+                                    <span className="shrink-0 text-[10px] text-gray-500">
+                                        {Math.round(c.definition.width)}×{Math.round(c.definition.height)}
+                                    </span>
+                                    <button
+                                        type="button"
+                                        className="shrink-0 text-gray-600 opacity-0 hover:text-red-400 group-hover:opacity-100"
+                                        disabled={busy}
+                                        onClick={() => props.onDelete(c)}
+                                        title="Delete from the library (placed copies stay, unlinked)"
+                                        aria-label={`Delete ${c.name}`}
+                                    >
+                                        <TrashIcon className="h-3.5 w-3.5" />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                ))}
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,93 @@
+import { CheckCircleIcon, ExclamationTriangleIcon, XCircleIcon } from '@heroicons/react/24/outline'
+import type { BrandLintIssue, BrandLintRule } from './studioPropertiesPanel'
+
+type Props = {
+    issues: BrandLintIssue[]
+    disabled?: boolean
+    onFix: (issue: BrandLintIssue) => void
+    onFixAll: () => void
+    /** Selects the offending layer on the canvas. */
+    onSelectLayer: (layerId: string) => void
+}
+
+const RULE_LABEL: Record<BrandLintRule, string> = {
+    font: 'Font',
+    off_palette: 'Palette',
+    contrast: 'Contrast',
+    text_too_small: 'Text size',
+    logo_min_size: 'Logo size',
+    logo_clear_space: 'Clear space',
+}
+
+/**
+ * Brand check shown in the publish dialog: every lint finding with its one-click fix.
+ */
+export function EditorBrandLintPanel({ issues, disabled, onFix, onFixAll, onSelectLayer }: Props) {
+    const errors = issues.filter((i) => i.level === 'error').length
+    const fixable = issues.filter((i) => i.fix).length
+
+    return (
+        <div className="border-t border-gray-200 bg-white px-4 py-4" data-testid="publish-brand-check">
+            <div className="mb-2 flex items-center gap-2">
+                <p className="text-xs font-medium text-gray-800">Brand check</p>
+                {issues.length === 0 ? (
+                    <span className="inline-flex items-center gap-1 text-[11px] text-emerald-700">
+                        <CheckCircleIcon className="h-3.5 w-3.5" aria-hidden />
+                        No issues
+                    </span>
+                ) : (
+                    <span className={`text-[11px] ${errors > 0 ? 'text-red-700' : 'text-amber-700'}`}>
+                        {errors > 0 ? `${errors} error${errors === 1 ? '' : 's'} · ` : ''}
+                        {issues.length - errors} warning{issues.length - errors === 1 ? '' : 's'}
+                    </span>
+                )}
+                {fixable > 1 && (
+                    <button
+                        type="button"
+                        className="ml-auto rounded-md border border-gray-300 bg-white px-2 py-0.5 text-[11px] font-medium text-gray-800 hover:bg-gray-50 disabled:opacity-50"
+                        onClick={onFixAll}
+                        disabled={disabled}
+                    >
+                        Fix all ({fixable})
+                    </button>
+                )}
+            </div>
+            {issues.length > 0 && (
+                <ul className="max-h-[min(30vh,240px)] divide-y divide-gray-100 overflow-y-auto rounded-lg border border-gray-200">
+                    {issues.map((issue) => (
+                        <li key={issue.id} className="flex items-start gap-2 px-2.5 py-2 text-xs">
+                            {issue.level === 'error' ? (
+                                <XCircleIcon className="mt-0.5 h-4 w-4 shrink-0 text-red-500" aria-label="Error" />
+                            ) : (
+                                <ExclamationTriangleIcon className="mt-0.5 h-4 w-4 shrink-0 text-amber-500" aria-label="Warning" />
+                            )}
+                            <button
+                                type="button"
+                                className="min-w-0 flex-1 text-left text-gray-800 hover:text-indigo-700"
+                                onClick={() => onSelectLayer(issue.layerId)}
+                                title="Select layer"
+                            >
+                                <span className="mr-1.5 text-[10px] font-semibold uppercase tracking-wide text-gray-500">
+                                    {RULE_LABEL[issue.rule]}
+                                </span>
+                                {issue.message}
+                            </button>
+                            {issue.fix ? (
+                                <button
+                                    type="button"
+                                    className="shrink-0 rounded-md border border-indigo-200 bg-indigo-50 px-2 py-0.5 text-[11px] font-medium text-indigo-800 hover:bg-indigo-100 disabled:opacity-50"
+                                    onClick={() => onFix(issue)}
+                                    disabled={disabled}
+                                >
+                                    {issue.fix.label}
+                                </button>
+                            ) : (
+                                <span className="shrink-0 text-[11px] text-gray-400">Fix manually</span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    )
+}
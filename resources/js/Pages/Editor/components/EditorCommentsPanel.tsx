@@ -0,0 +1,367 @@
+import { useEffect, useRef, useState } from 'react'
+import { ArrowPathIcon, CheckCircleIcon, MapPinIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import type { CommentThreadDto, CommentUserDto } from '../editorCompositionCommentsBridge'
+import {
+    filterMentionables,
+    insertMention,
+    mentionQueryAt,
+    mentionedUserIds,
+    splitCommentBody,
+} from '../../../utils/studioComments.mjs'
+
+const buttonClass =
+    'rounded border border-gray-700 bg-gray-800 px-2 py-1 text-[11px] text-gray-200 hover:border-gray-600 disabled:cursor-not-allowed disabled:opacity-40'
+
+function formatWhen(iso: string): string {
+    const d = new Date(iso)
+    return Number.isNaN(d.getTime()) ? '' : d.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+/**
+ * Textarea with `@name` autocomplete over the brand's members. Submits the body plus the ids of the people
+ * still mentioned in it (Cmd/Ctrl+Enter or the button).
+ */
+function CommentComposer(props: {
+    mentionables: CommentUserDto[]
+    placeholder: string
+    submitLabel: string
+    busy: boolean
+    autoFocus?: boolean
+    onSubmit: (body: string, mentionedUserIds: number[]) => Promise<boolean>
+    onCancel?: () => void
+}) {
+    const [body, setBody] = useState('')
+    const [caret, setCaret] = useState(0)
+    const [highlight, setHighlight] = useState(0)
+    const ref = useRef<HTMLTextAreaElement>(null)
+
+    useEffect(() => {
+        if (props.autoFocus) ref.current?.focus()
+    }, [props.autoFocus])
+
+    const query = mentionQueryAt(body, caret) as { start: number; query: string } | null
+    const suggestions: CommentUserDto[] = query ? filterMentionables(props.mentionables, query.query) : []
+
+    const pick = (user: CommentUserDto) => {
+        if (!query) return
+        const next = insertMention(body, query.start, caret, user.name)
+        setBody(next.text)
+        setCaret(next.caret)
+        setHighlight(0)
+        requestAnimationFrame(() => {
+            ref.current?.focus()
+            ref.current?.setSelectionRange(next.caret, next.caret)
+        })
+    }
+
+    const submit = async () => {
+        const text = body.trim()
+        if (!text || props.busy) return
+        if (await props.onSubmit(text, mentionedUserIds(text, props.mentionables) as number[])) {
+            setBody('')
+            setCaret(0)
+        }
+    }
+
+    return (
+        <div className="relative space-y-1.5">
+            <textarea
+                ref={ref}
+                rows={3}
+                value={body}
+                placeholder={props.placeholder}
+                className="w-full resize-none rounded border border-gray-700 bg-gray-800 px-2 py-1.5 text-[11px] text-gray-100 placeholder:text-gray-500 focus:border-indigo-500 focus:outline-none"
+                onChange={(e) => {
+                    setBody(e.target.value)
+                    setCaret(e.target.selectionStart)
+                    setHighlight(0)
+                }}
+                onSelect={(e) => setCaret(e.currentTarget.selectionStart)}
+                onKeyDown={(e) => {
+                    if (suggestions.length > 0) {
+                        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                            e.preventDefault()
+                            const step = e.key === 'ArrowDown' ? 1 : -1
+                            setHighlight((h) => (h + step + suggestions.length) % suggestions.length)
+                            return
+                        }
+                        if (e.key === 'Enter' || e.key === 'Tab') {
+                            e.preventDefault()
+                            pick(suggestions[Math.min(highlight, suggestions.length - 1)])
+                            return
+                        }
+                    }
+                    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+                        e.preventDefault()
+                        void submit()
+                    } else if (e.key === 'Escape' && props.onCancel) {
+                        e.preventDefault()
+                        props.onCancel()
+                    }
+                }}
+                aria-label={props.placeholder}
+            />
+            {suggestions.length > 0 && (
+                <ul className="absolute left-0 right-0 top-full z-10 mt-0.5 overflow-hidden rounded border border-gray-700 bg-gray-900 shadow-lg" role="listbox">
+                    {suggestions.map((u, i) => (
+                        <li key={u.id} role="option" aria-selected={i === highlight}>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => {
+                                    e.preventDefault()
+                                    pick(u)
+                                }}
+                                className={`flex w-full items-center gap-2 px-2 py-1 text-left text-[11px] ${
+                                    i === highlight ? 'bg-indigo-600 text-white' : 'text-gray-200 hover:bg-gray-800'
+                                }`}
+                            >
+                                {u.avatar_url ? (
+                                    <img src={u.avatar_url} alt="" className="h-4 w-4 rounded-full object-cover" />
+                                ) : (
+                                    <span className="flex h-4 w-4 items-center justify-center rounded-full bg-gray-700 text-[8px] font-semibold">
+                                        {u.name.slice(0, 1).toUpperCase()}
+                                    </span>
+                                )}
+                                {u.name}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex justify-end gap-1">
+                {props.onCancel && (
+                    <button type="button" className={buttonClass} onClick={props.onCancel}>
+                        Cancel
+                    </button>
+                )}
+                <button type="button" className={buttonClass} disabled={props.busy || !body.trim()} onClick={() => void submit()}>
+                    {props.submitLabel}
+                </button>
+            </div>
+        </div>
+    )
+}
+
+function CommentBody(props: { body: string; mentionedIds: number[]; people: CommentUserDto[] }) {
+    const mentioned = props.people.filter((u) => props.mentionedIds.includes(u.id))
+    const segments = splitCommentBody(props.body, mentioned) as { text: string; mention: boolean }[]
+    return (
+        <p className="whitespace-pre-wrap break-words text-[11px] leading-snug text-gray-200">
+            {segments.map((seg, i) =>
+                seg.mention ? (
+                    <span key={i} className="font-medium text-indigo-300">
+                        {seg.text}
+                    </span>
+                ) : (
+                    <span key={i}>{seg.text}</span>
+                )
+            )}
+        </p>
+    )
+}
+
+/**
+ * Left-rail review comments for the open composition: place a pin on the canvas, discuss in threads with
+ * @mentions, resolve / reopen, and jump to a pin. Threads are stored next to the composition, not in it.
+ */
+export function EditorCommentsPanel(props: {
+    threads: CommentThreadDto[] | null
+    /** Pin number per thread id (creation order, same as on the canvas). */
+    labels: Record<string, number>
+    loading: boolean
+    error: string | null
+    busy: boolean
+    /** False until the composition has been saved once. */
+    canComment: boolean
+    mentionables: CommentUserDto[]
+    currentUserId: number | null
+    activeThreadId: string | null
+    placing: boolean
+    /** A pin has been placed and the first comment is being written. */
+    hasDraft: boolean
+    showResolved: boolean
+    onShowResolvedChange: (next: boolean) => void
+    onTogglePlacing: () => void
+    onCreate: (body: string, mentionedUserIds: number[]) => Promise<boolean>
+    onCancelDraft: () => void
+    onSelect: (threadId: string) => void
+    onReply: (threadId: string, body: string, mentionedUserIds: number[]) => Promise<boolean>
+    onResolve: (thread: CommentThreadDto, resolved: boolean) => void
+    onDelete: (thread: CommentThreadDto) => void
+    onRefresh: () => void
+    onClose: () => void
+}) {
+    const { threads, labels, loading, error, busy, activeThreadId, showResolved } = props
+    const activeRef = useRef<HTMLLIElement>(null)
+    const open = (threads ?? []).filter((t) => !t.resolved_at)
+    const resolved = (threads ?? []).filter((t) => t.resolved_at)
+    const visible = showResolved ? [...open, ...resolved] : open
+    // People the comments may mention, including authors who have since left the brand.
+    const people = [...props.mentionables]
+    for (const t of threads ?? []) {
+        for (const c of t.comments) {
+            if (c.author && !people.some((u) => u.id === c.author?.id)) people.push(c.author)
+        }
+    }
+
+    useEffect(() => {
+        activeRef.current?.scrollIntoView({ block: 'nearest' })
+    }, [activeThreadId])
+
+    return (
+        <div className="flex min-h-0 flex-1 flex-col">
+            <div className="flex shrink-0 items-center justify-between border-b border-gray-700 px-3 py-2">
+                <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-400">Comments</h2>
+                <div className="flex items-center gap-1">
+                    <button
+                        type="button"
+                        onClick={props.onRefresh}
+                        disabled={loading || !props.canComment}
+                        className="rounded p-1 text-gray-500 hover:text-gray-300 disabled:opacity-40"
+                        title="Reload comments"
+                        aria-label="Reload comments"
+                    >
+                        <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                    </button>
+                    <button type="button" onClick={props.onClose} className="text-gray-500 hover:text-gray-300" aria-label="Close comments panel">
+                        <XMarkIcon className="h-4 w-4" />
+                    </button>
+                </div>
+            </div>
+
+            <div className="shrink-0 space-y-2 border-b border-gray-700 px-3 py-2 text-[11px] text-gray-300">
+                {!props.canComment ? (
+                    <p className="leading-snug text-gray-400">Save the composition to start a review thread.</p>
+                ) : props.hasDraft ? (
+                    <CommentComposer
+                        mentionables={props.mentionables}
+                        placeholder="Add a comment… (@ to mention)"
+                        submitLabel="Post"
+                        busy={busy}
+                        autoFocus
+                        onSubmit={props.onCreate}
+                        onCancel={props.onCancelDraft}
+                    />
+                ) : (
+                    <>
+                        <button
+                            type="button"
+                            className={`${buttonClass} inline-flex items-center gap-1 ${props.placing ? 'border-indigo-500 text-indigo-200' : ''}`}
+                            onClick={props.onTogglePlacing}
+                            aria-pressed={props.placing}
+                        >
+                            <MapPinIcon className="h-3 w-3" aria-hidden />
+                            {props.placing ? 'Click the canvas… (Esc to cancel)' : 'Add comment'}
+                        </button>
+                        {props.placing && (
+                            <p className="leading-snug text-gray-500">The pin follows the layer you click on. Hold Alt to pin to the canvas instead.</p>
+                        )}
+                    </>
+                )}
+                <label className="flex items-center gap-1.5 text-gray-400">
+                    <input
+                        type="checkbox"
+                        checked={showResolved}
+                        onChange={(e) => props.onShowResolvedChange(e.target.checked)}
+                        className="rounded border-gray-600 bg-gray-800"
+                    />
+                    Show resolved ({resolved.length})
+                </label>
+            </div>
+
+            <ul className="min-h-0 flex-1 space-y-1.5 overflow-y-auto p-2">
+                {error && <li className="px-1 py-2 text-[11px] text-red-400">{error}</li>}
+                {threads === null && loading && <li className="px-1 py-4 text-center text-xs text-gray-500">Loading…</li>}
+                {threads !== null && visible.length === 0 && (
+                    <li className="px-1 py-4 text-center text-xs text-gray-500">
+                        {resolved.length > 0 ? 'All comments are resolved.' : 'No comments yet.'}
+                    </li>
+                )}
+                {visible.map((t) => {
+                    const active = t.id === activeThreadId
+                    const [first, ...replies] = t.comments
+                    return (
+                        <li
+                            key={t.id}
+                            ref={active ? activeRef : undefined}
+                            className={`rounded-md border p-2 ${
+                                active ? 'border-indigo-500 bg-gray-800' : 'border-gray-700 bg-gray-800/50 hover:border-gray-600'
+                            } ${t.resolved_at ? 'opacity-70' : ''}`}
+                        >
+                            <button type="button" onClick={() => props.onSelect(t.id)} className="flex w-full items-start gap-2 text-left">
+                                <span
+                                    className={`flex h-5 min-w-[20px] shrink-0 items-center justify-center rounded-full rounded-bl-none px-1 text-[10px] font-semibold ${
+                                        t.resolved_at ? 'bg-gray-600 text-white' : 'bg-amber-500 text-gray-950'
+                                    }`}
+                                >
+                                    {labels[t.id] ?? '•'}
+                                </span>
+                                <span className="min-w-0 flex-1">
+                                    <span className="block truncate text-[11px] font-medium text-gray-100">{t.author?.name ?? 'Former member'}</span>
+                                    <span className="block text-[10px] text-gray-500">{formatWhen(t.created_at)}</span>
+                                </span>
+                            </button>
+                            {first && (
+                                <div className="mt-1.5">
+                                    <CommentBody body={first.body} mentionedIds={first.mentioned_user_ids} people={people} />
+                                </div>
+                            )}
+                            {active && (
+                                <div className="mt-2 space-y-2">
+                                    {replies.map((c) => (
+                                        <div key={c.id} className="border-l-2 border-gray-700 pl-2">
+                                            <p className="text-[10px] text-gray-500">
+                                                <span className="font-medium text-gray-300">{c.author?.name ?? 'Former member'}</span> · {formatWhen(c.created_at)}
+                                            </p>
+                                            <CommentBody body={c.body} mentionedIds={c.mentioned_user_ids} people={people} />
+                                        </div>
+                                    ))}
+                                    {t.resolved_at && (
+                                        <p className="text-[10px] text-gray-500">
+                                            Resolved{t.resolved_by ? ` by ${t.resolved_by.name}` : ''} · {formatWhen(t.resolved_at)}
+                                        </p>
+                                    )}
+                                    <CommentComposer
+                                        key={t.id}
+                                        mentionables={props.mentionables}
+                                        placeholder="Reply… (@ to mention)"
+                                        submitLabel="Reply"
+                                        busy={busy}
+                                        onSubmit={(body, ids) => props.onReply(t.id, body, ids)}
+                                    />
+                                    <div className="flex flex-wrap gap-1">
+                                        <button
+                                            type="button"
+                                            className={`${buttonClass} inline-flex items-center gap-1`}
+                                            disabled={busy}
+                                            onClick={() => props.onResolve(t, !t.resolved_at)}
+                                        >
+                                            <CheckCircleIcon className="h-3 w-3" aria-hidden />
+                                            {t.resolved_at ? 'Reopen' : 'Resolve'}
+                                        </button>
+                                        {t.author?.id === props.currentUserId && (
+                                            <button
+                                                type="button"
+                                                className={`${buttonClass} inline-flex items-center gap-1 hover:text-red-300`}
+                                                disabled={busy}
+                                                onClick={() => props.onDelete(t)}
+                                            >
+                                                <TrashIcon className="h-3 w-3" aria-hidden />
+                                                Delete
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            )}
+                            {!active && replies.length > 0 && (
+                                <p className="mt-1 text-[10px] text-gray-500">
+                                    {replies.length} repl{replies.length === 1 ? 'y' : 'ies'}
+                                </p>
+                            )}
+                        </li>
+                    )
+                })}
+            </ul>
+        </div>
+    )
+}
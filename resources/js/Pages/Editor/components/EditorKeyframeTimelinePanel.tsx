@@ -0,0 +1,273 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { PauseIcon, PlayIcon } from '@heroicons/react/24/solid'
+import { TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import type { DocumentModel, KeyframeEasing, KeyframeProperty, Layer, LayerAnimation } from '../documentModel'
+import { isMaskLayer } from '../documentModel'
+import {
+    KEYFRAME_EASINGS,
+    KEYFRAME_PROPERTIES,
+    normalizeLayerAnimation,
+    removeKeyframe,
+    sampleLayerAnimation,
+    upsertKeyframe,
+} from '../../../utils/studioKeyframes.mjs'
+
+const PROPERTY_META: Record<KeyframeProperty, { label: string; unit: string; step: number }> = {
+    x: { label: 'Offset X', unit: 'px', step: 1 },
+    y: { label: 'Offset Y', unit: 'px', step: 1 },
+    scale: { label: 'Scale', unit: '×', step: 0.05 },
+    rotation: { label: 'Rotation', unit: '°', step: 1 },
+    opacity: { label: 'Opacity', unit: '', step: 0.05 },
+}
+
+const EASING_LABELS: Record<KeyframeEasing, string> = {
+    linear: 'Linear',
+    ease_in: 'Ease in',
+    ease_out: 'Ease out',
+    ease_in_out: 'Ease in-out',
+    hold: 'Hold',
+}
+
+const fieldClass = 'rounded border border-gray-700 bg-gray-800 px-1.5 py-0.5 text-[11px] text-gray-200'
+
+function fmt(ms: number): string {
+    return `${(ms / 1000).toFixed(2)}s`
+}
+
+/**
+ * Keyframe timeline under the canvas: plays / scrubs the shared composition playhead and edits the selected
+ * layer's `animation` tracks. Playback is clock-driven (no video needed); the scene samples keyframes from
+ * the same playhead the export steps through, so what plays here is what renders.
+ */
+export function EditorKeyframeTimelinePanel(props: {
+    document: DocumentModel
+    selectedLayer: Layer | null
+    playheadMs: number
+    onPlayheadMsChange: (ms: number) => void
+    onLayerAnimationChange: (layerId: string, animation: LayerAnimation | undefined) => void
+    onDurationMsChange: (ms: number) => void
+    onClose: () => void
+}) {
+    const { document: doc, selectedLayer, playheadMs, onPlayheadMsChange, onLayerAnimationChange, onDurationMsChange, onClose } =
+        props
+    const durationMs = Math.max(1000, doc.studio_timeline?.duration_ms ?? 30_000)
+    const [playing, setPlaying] = useState(false)
+    const [selectedKey, setSelectedKey] = useState<{ prop: KeyframeProperty; at: number } | null>(null)
+
+    const animation = useMemo(
+        () => normalizeLayerAnimation(selectedLayer?.animation) as LayerAnimation | undefined,
+        [selectedLayer?.animation],
+    )
+    const animatable = selectedLayer !== null && !isMaskLayer(selectedLayer)
+
+    useEffect(() => {
+        setSelectedKey(null)
+    }, [selectedLayer?.id])
+
+    const playRef = useRef({ onPlayheadMsChange, playheadMs, durationMs })
+    playRef.current = { onPlayheadMsChange, playheadMs, durationMs }
+
+    useEffect(() => {
+        if (!playing) {
+            return undefined
+        }
+        const { playheadMs: from, durationMs: end } = playRef.current
+        const startAt = from >= end ? 0 : from
+        const t0 = performance.now()
+        let raf = 0
+        const tick = () => {
+            const ms = Math.min(end, Math.round(startAt + performance.now() - t0))
+            playRef.current.onPlayheadMsChange(ms)
+            if (ms >= end) {
+                setPlaying(false)
+                return
+            }
+            raf = requestAnimationFrame(tick)
+        }
+        raf = requestAnimationFrame(tick)
+        return () => cancelAnimationFrame(raf)
+    }, [playing])
+
+    const write = (next: unknown) => {
+        if (selectedLayer) {
+            onLayerAnimationChange(selectedLayer.id, next as LayerAnimation | undefined)
+        }
+    }
+
+    const addKeyframe = (prop: KeyframeProperty) => {
+        const current = (sampleLayerAnimation(animation, playheadMs) as Record<KeyframeProperty, number>)[prop]
+        write(upsertKeyframe(animation, prop, playheadMs, current))
+        setSelectedKey({ prop, at: Math.round(playheadMs) })
+    }
+
+    const selected = selectedKey
+        ? animation?.tracks[selectedKey.prop]?.find((k) => k.at_ms === selectedKey.at) ?? null
+        : null
+
+    return (
+        <div
+            className="pointer-events-auto z-40 shrink-0 border-t border-indigo-900/50 bg-gray-900/95 px-3 py-2 text-[11px] text-gray-300 shadow-[0_-4px_16px_rgba(0,0,0,0.12)]"
+            data-testid="editor-keyframe-timeline-panel"
+        >
+            <div className="flex items-center gap-2">
+                <span className="text-[9px] font-semibold uppercase tracking-wider text-indigo-300/90">Timeline</span>
+                <button
+                    type="button"
+                    onClick={() => setPlaying((p) => !p)}
+                    className="inline-flex h-7 w-7 items-center justify-center rounded-md border border-indigo-500/50 bg-gray-800 text-indigo-100 hover:border-indigo-400/60 hover:bg-gray-700"
+                    title={playing ? 'Pause' : 'Play'}
+                    aria-label={playing ? 'Pause animation' : 'Play animation'}
+                >
+                    {playing ? <PauseIcon className="h-4 w-4" /> : <PlayIcon className="h-4 w-4" />}
+                </button>
+                <span className="tabular-nums text-[10px] text-gray-400">
+                    {fmt(playheadMs)} / {fmt(durationMs)}
+                </span>
+                <input
+                    type="range"
+                    min={0}
+                    max={durationMs}
+                    step={10}
+                    value={Math.min(playheadMs, durationMs)}
+                    onChange={(e) => {
+                        setPlaying(false)
+                        onPlayheadMsChange(Number(e.target.value))
+                    }}
+                    className="h-1.5 min-w-[8rem] flex-1 cursor-pointer accent-indigo-500"
+                    aria-label="Animation playhead"
+                />
+                <label className="flex items-center gap-1 text-[10px] text-gray-500">
+                    Length (s)
+                    <input
+                        type="number"
+                        min={1}
+                        step={0.5}
+                        value={durationMs / 1000}
+                        onChange={(e) => onDurationMsChange(Math.max(1000, Math.round(Number(e.target.value) * 1000) || 1000))}
+                        className={`${fieldClass} w-16`}
+                    />
+                </label>
+                <button
+                    type="button"
+                    onClick={onClose}
+                    className="rounded p-1 text-gray-500 hover:bg-gray-800 hover:text-gray-200"
+                    title="Close timeline"
+                    aria-label="Close timeline"
+                >
+                    <XMarkIcon className="h-4 w-4" />
+                </button>
+            </div>
+
+            {!animatable ? (
+                <p className="mt-2 text-[10px] text-gray-500">
+                    {selectedLayer ? 'Mask layers can’t be animated.' : 'Select a layer to add keyframes at the playhead.'}
+                </p>
+            ) : (
+                <div className="mt-2 space-y-1">
+                    {KEYFRAME_PROPERTIES.map((prop: KeyframeProperty) => {
+                        const track = animation?.tracks[prop] ?? []
+                        return (
+                            <div key={prop} className="flex items-center gap-2">
+                                <span className="w-16 shrink-0 text-[10px] text-gray-400">{PROPERTY_META[prop].label}</span>
+                                <button
+                                    type="button"
+                                    onClick={() => addKeyframe(prop)}
+                                    className="shrink-0 rounded px-1 text-[11px] text-indigo-300 hover:bg-gray-800"
+                                    title={`Add ${PROPERTY_META[prop].label.toLowerCase()} keyframe at the playhead`}
+                                    aria-label={`Add ${PROPERTY_META[prop].label} keyframe`}
+                                >
+                                    ◆+
+                                </button>
+                                <div className="relative h-4 flex-1 rounded bg-gray-800/80">
+                                    <div
+                                        className="pointer-events-none absolute inset-y-0 w-px bg-indigo-400/70"
+                                        style={{ left: `${(Math.min(playheadMs, durationMs) / durationMs) * 100}%` }}
+                                    />
+                                    {track.map((k) => {
+                                        const active = selectedKey?.prop === prop && selectedKey.at === k.at_ms
+                                        return (
+                                            <button
+                                                key={k.at_ms}
+                                                type="button"
+                                                onClick={() => {
+                                                    setPlaying(false)
+                                                    setSelectedKey({ prop, at: k.at_ms })
+                                                    onPlayheadMsChange(k.at_ms)
+                                                }}
+                                                className={`absolute top-1/2 h-2.5 w-2.5 -translate-x-1/2 -translate-y-1/2 rotate-45 border ${
+                                                    active ? 'border-white bg-indigo-400' : 'border-indigo-300 bg-gray-900 hover:bg-indigo-500/60'
+                                                }`}
+                                                style={{ left: `${(Math.min(k.at_ms, durationMs) / durationMs) * 100}%` }}
+                                                title={`${fmt(k.at_ms)} · ${k.value}${PROPERTY_META[prop].unit}`}
+                                                aria-label={`${PROPERTY_META[prop].label} keyframe at ${fmt(k.at_ms)}`}
+                                            />
+                                        )
+                                    })}
+                                </div>
+                            </div>
+                        )
+                    })}
+                    {selected && selectedKey ? (
+                        <div className="flex flex-wrap items-center gap-2 border-t border-gray-800 pt-1.5">
+                            <span className="text-[10px] text-gray-400">
+                                {PROPERTY_META[selectedKey.prop].label} @ {fmt(selected.at_ms)}
+                            </span>
+                            <input
+                                type="number"
+                                step={PROPERTY_META[selectedKey.prop].step}
+                                value={selected.value}
+                                onChange={(e) => {
+                                    const v = Number(e.target.value)
+                                    if (Number.isFinite(v)) {
+                                        write(upsertKeyframe(animation, selectedKey.prop, selected.at_ms, v))
+                                    }
+                                }}
+                                className={`${fieldClass} w-20`}
+                                aria-label="Keyframe value"
+                            />
+                            <select
+                                value={selected.easing ?? 'linear'}
+                                onChange={(e) =>
+                                    write(
+                                        upsertKeyframe(
+                                            animation,
+                                            selectedKey.prop,
+                                            selected.at_ms,
+                                            selected.value,
+                                            e.target.value as KeyframeEasing,
+                                        ),
+                                    )
+                                }
+                                className={fieldClass}
+                                aria-label="Easing to the next keyframe"
+                                title="Easing to the next keyframe"
+                            >
+                                {KEYFRAME_EASINGS.map((e: KeyframeEasing) => (
+                                    <option key={e} value={e}>
+                                        {EASING_LABELS[e]}
+                                    </option>
+                                ))}
+                            </select>
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    write(removeKeyframe(animation, selectedKey.prop, selected.at_ms))
+                                    setSelectedKey(null)
+                                }}
+                                className="rounded p-1 text-gray-500 hover:bg-gray-800 hover:text-red-300"
+                                title="Delete keyframe"
+                                aria-label="Delete keyframe"
+                            >
+                                <TrashIcon className="h-3.5 w-3.5" />
+                            </button>
+                        </div>
+                    ) : (
+                        <p className="pt-1 text-[10px] text-gray-500">
+                            Keyframes are offsets from the layer’s position, size and rotation. Click a diamond to edit it.
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,331 @@
+import { useMemo, useRef, useState } from 'react'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+import type { DocumentModel, TextLayer } from '../documentModel'
+import {
+    localeDirection,
+    localeFitReport,
+    localizationToCsv,
+    localizationToXliff,
+    normalizeLocale,
+    parseLocalizationCsv,
+    parseLocalizationXliff,
+    setTranslatable,
+    setTranslations,
+    translatableTextLayers,
+    withLocales,
+} from '../../../utils/studioLocalization.mjs'
+
+type LocaleFitIssue = {
+    layerId: string
+    layerName: string
+    locale: string
+    kind: 'missing' | 'overflow' | 'shrinks'
+    fontSize: number
+    fittedSize: number
+}
+
+type TranslationEntry = { id: string; locale: string; text: string }
+
+const fieldClass =
+    'rounded border border-gray-300 bg-white px-2 py-1 text-gray-900 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-100'
+const toolButtonClass =
+    'rounded-md border border-gray-300 px-2.5 py-1 text-xs font-medium text-gray-700 hover:bg-gray-100 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-600 dark:text-gray-200 dark:hover:bg-gray-800'
+
+type EditorLocalizationDialogProps = {
+    document: DocumentModel
+    /** File name stem for CSV / XLIFF downloads (the composition name). */
+    exportName: string
+    /** Largest font size at which `text` fits the layer box, measured with the canvas font. */
+    measureFit: (layer: TextLayer, text: string) => number
+    /** Why locale versions can't be created right now; null when they can. */
+    versionsBlockedReason: string | null
+    busy: boolean
+    onClose: () => void
+    onApply: (doc: DocumentModel) => void
+    onApplyAndCreateVersions: (doc: DocumentModel, locales: string[]) => void
+}
+
+function download(text: string, type: string, fileName: string) {
+    const a = window.document.createElement('a')
+    a.href = URL.createObjectURL(new Blob([text], { type }))
+    a.download = fileName
+    a.click()
+    URL.revokeObjectURL(a.href)
+}
+
+/**
+ * Translations for the composition's text layers: target languages, a per-locale grid, CSV / XLIFF round trips
+ * for translators, and a fit check that flags copy which would overflow its box. Edits stay in a draft until
+ * applied; locale versions are then made (or refreshed) in the composition's Versions set.
+ */
+export function EditorLocalizationDialog({
+    document: doc,
+    exportName,
+    measureFit,
+    versionsBlockedReason,
+    busy,
+    onClose,
+    onApply,
+    onApplyAndCreateVersions,
+}: EditorLocalizationDialogProps) {
+    const [draft, setDraft] = useState<DocumentModel>(() => withLocales(doc, []) as DocumentModel)
+    const [newLocale, setNewLocale] = useState('')
+    const [notice, setNotice] = useState<{ text: string; error?: boolean } | null>(null)
+    const [issues, setIssues] = useState<LocaleFitIssue[] | null>(null)
+    const fileRef = useRef<HTMLInputElement>(null)
+
+    const localization = draft.localization ?? { sourceLocale: 'en', locales: [] }
+    const locales = localization.locales
+    const rows = useMemo(() => translatableTextLayers(draft, { includeExcluded: true }) as TextLayer[], [draft])
+    const issueByCell = useMemo(() => new Map((issues ?? []).map((i) => [`${i.layerId}|${i.locale}`, i])), [issues])
+    const stem = (exportName.trim() || 'composition').replace(/[^a-z0-9-_]+/gi, '_')
+
+    const edit = (next: DocumentModel) => {
+        setDraft(next)
+        setIssues(null)
+    }
+
+    const addLocale = () => {
+        const tag = normalizeLocale(newLocale)
+        if (!tag) {
+            setNotice({ text: `“${newLocale}” isn’t a language tag — use codes like de-DE, fr or ar.`, error: true })
+            return
+        }
+        edit(withLocales(draft, [tag]) as DocumentModel)
+        setNewLocale('')
+        setNotice(null)
+    }
+
+    const removeLocale = (locale: string) => {
+        edit({ ...draft, localization: { ...localization, locales: locales.filter((l) => l !== locale) } })
+    }
+
+    const setSourceLocale = (raw: string) => {
+        const tag = normalizeLocale(raw)
+        if (tag) edit(withLocales({ ...draft, localization: { ...localization, sourceLocale: tag } }, []) as DocumentModel)
+    }
+
+    const importFile = async (file: File) => {
+        try {
+            const text = await file.text()
+            const parsed = (/\.csv$/i.test(file.name) ? parseLocalizationCsv(text) : parseLocalizationXliff(text)) as {
+                locales: string[]
+                entries: TranslationEntry[]
+            }
+            const merged = setTranslations(draft, parsed.entries) as { doc: DocumentModel; updated: number; unknownIds: string[] }
+            edit(withLocales(merged.doc, parsed.locales) as DocumentModel)
+            const unknown = merged.unknownIds.length
+            setNotice({
+                text:
+                    `Imported ${merged.updated} string${merged.updated === 1 ? '' : 's'} for ${parsed.locales.join(', ') || 'no languages'}.` +
+                    (unknown > 0 ? ` ${unknown} row${unknown === 1 ? '' : 's'} matched no text layer and were skipped.` : ''),
+            })
+        } catch (e) {
+            setNotice({ text: e instanceof Error ? e.message : 'Could not read the file', error: true })
+        }
+    }
+
+    const checkFit = () => {
+        const found = localeFitReport(draft, locales, (layer: TextLayer, text: string) => measureFit(layer, text)) as LocaleFitIssue[]
+        setIssues(found)
+        setNotice(
+            found.length === 0
+                ? { text: 'All translations fit their text boxes.' }
+                : { text: `${found.length} issue${found.length === 1 ? '' : 's'} — flagged cells are outlined below.`, error: true }
+        )
+    }
+
+    const describe = (i: LocaleFitIssue) =>
+        i.kind === 'missing'
+            ? 'no translation — the source copy will be used'
+            : i.kind === 'overflow'
+              ? `overflows: fits only at ${Math.round(i.fittedSize)}px (set to ${Math.round(i.fontSize)}px)`
+              : `auto-fit shrinks it to ${Math.round(i.fittedSize)}px`
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" role="dialog" aria-modal="true" aria-labelledby="localization-title">
+            <div className="flex max-h-[90vh] w-full max-w-5xl flex-col overflow-hidden rounded-lg border border-gray-200 bg-white shadow-xl dark:border-gray-700 dark:bg-gray-900">
+                <div className="flex items-center justify-between border-b border-gray-200 px-4 py-3 dark:border-gray-700">
+                    <h3 id="localization-title" className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                        Translations
+                    </h3>
+                    <button type="button" className="rounded p-1 text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800" onClick={onClose} aria-label="Close">
+                        <XMarkIcon className="h-5 w-5" />
+                    </button>
+                </div>
+                <div className="flex flex-wrap items-end gap-3 border-b border-gray-200 px-4 py-3 text-xs dark:border-gray-700">
+                    <div>
+                        <label htmlFor="localization-source" className="mb-1 block text-[10px] font-semibold uppercase tracking-wide text-gray-500">
+                            Source language
+                        </label>
+                        <input
+                            id="localization-source"
+                            defaultValue={localization.sourceLocale}
+                            onBlur={(e) => setSourceLocale(e.target.value)}
+                            className={`${fieldClass} w-24`}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="localization-add" className="mb-1 block text-[10px] font-semibold uppercase tracking-wide text-gray-500">
+                            Add language
+                        </label>
+                        <div className="flex gap-1">
+                            <input
+                                id="localization-add"
+                                value={newLocale}
+                                onChange={(e) => setNewLocale(e.target.value)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') addLocale()
+                                }}
+                                placeholder="de-DE"
+                                className={`${fieldClass} w-24`}
+                            />
+                            <button type="button" onClick={addLocale} disabled={newLocale.trim() === ''} className={toolButtonClass}>
+                                Add
+                            </button>
+                        </div>
+                    </div>
+                    <ul className="flex flex-1 flex-wrap gap-1">
+                        {locales.map((l) => (
+                            <li key={l} className="flex items-center gap-1 rounded-full bg-gray-100 py-0.5 pl-2 pr-1 text-gray-700 dark:bg-gray-800 dark:text-gray-200">
+                                {l}
+                                {localeDirection(l) === 'rtl' && <span className="text-[9px] font-semibold uppercase text-indigo-500">RTL</span>}
+                                <button type="button" onClick={() => removeLocale(l)} className="rounded-full p-0.5 text-gray-400 hover:text-red-500" aria-label={`Remove ${l}`}>
+                                    <XMarkIcon className="h-3 w-3" />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+                <div className="min-h-0 flex-1 overflow-auto p-4 text-xs">
+                    {rows.length === 0 ? (
+                        <p className="text-gray-500">This composition has no text layers to translate.</p>
+                    ) : (
+                        <table className="w-full border-separate border-spacing-0">
+                            <thead>
+                                <tr className="text-left text-[10px] font-semibold uppercase tracking-wide text-gray-500">
+                                    <th className="sticky left-0 z-10 min-w-[200px] bg-white pb-2 pr-3 dark:bg-gray-900">Layer · {localization.sourceLocale}</th>
+                                    {locales.map((l) => (
+                                        <th key={l} className="min-w-[180px] pb-2 pr-2">
+                                            {l}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map((layer) => {
+                                    const excluded = layer.translatable === false
+                                    return (
+                                        <tr key={layer.id} className="align-top">
+                                            <td className="sticky left-0 z-10 border-t border-gray-100 bg-white py-2 pr-3 dark:border-gray-800 dark:bg-gray-900">
+                                                <p className="font-medium text-gray-800 dark:text-gray-100">{layer.name || 'Text'}</p>
+                                                <p className="mt-0.5 whitespace-pre-wrap text-gray-500 dark:text-gray-400" dir="auto">
+                                                    {layer.content}
+                                                </p>
+                                                <label className="mt-1 flex items-center gap-1 text-[11px] text-gray-500">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={excluded}
+                                                        onChange={(e) => edit(setTranslatable(draft, layer.id, !e.target.checked) as DocumentModel)}
+                                                    />
+                                                    Don’t translate
+                                                </label>
+                                            </td>
+                                            {locales.map((l) => {
+                                                const issue = issueByCell.get(`${layer.id}|${l}`)
+                                                return (
+                                                    <td key={l} className="border-t border-gray-100 py-2 pr-2 dark:border-gray-800">
+                                                        {excluded ? (
+                                                            <span className="text-gray-400">—</span>
+                                                        ) : (
+                                                            <>
+                                                                <textarea
+                                                                    value={layer.translations?.[l] ?? ''}
+                                                                    onChange={(e) =>
+                                                                        edit((setTranslations(draft, [{ id: layer.id, locale: l, text: e.target.value }]) as { doc: DocumentModel }).doc)
+                                                                    }
+                                                                    dir={localeDirection(l)}
+                                                                    lang={l}
+                                                                    rows={2}
+                                                                    aria-label={`${layer.name || 'Text'} in ${l}`}
+                                                                    className={`${fieldClass} w-full ${issue && issue.kind !== 'missing' ? 'border-red-500 dark:border-red-500' : ''}`}
+                                                                />
+                                                                {issue && (
+                                                                    <p className={issue.kind === 'missing' ? 'text-gray-500' : 'text-red-600 dark:text-red-400'}>{describe(issue)}</p>
+                                                                )}
+                                                            </>
+                                                        )}
+                                                    </td>
+                                                )
+                                            })}
+                                        </tr>
+                                    )
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+                    {locales.length === 0 && rows.length > 0 && (
+                        <p className="mt-3 text-gray-500">Add the languages you publish in, or import a CSV / XLIFF file from your translators.</p>
+                    )}
+                </div>
+                {notice && (
+                    <p className={`border-t border-gray-200 px-4 py-2 text-xs dark:border-gray-700 ${notice.error ? 'text-amber-700 dark:text-amber-400' : 'text-gray-600 dark:text-gray-300'}`} role="status">
+                        {notice.text}
+                    </p>
+                )}
+                <div className="flex flex-wrap items-center gap-2 border-t border-gray-200 px-4 py-3 dark:border-gray-700">
+                    <input
+                        ref={fileRef}
+                        type="file"
+                        accept=".csv,.xlf,.xliff,.xml,text/csv,application/xliff+xml"
+                        className="hidden"
+                        onChange={(e) => {
+                            const file = e.target.files?.[0]
+                            e.target.value = ''
+                            if (file) void importFile(file)
+                        }}
+                    />
+                    <button type="button" onClick={() => fileRef.current?.click()} className={toolButtonClass}>
+                        Import…
+                    </button>
+                    <button
+                        type="button"
+                        disabled={rows.length === 0}
+                        onClick={() => download(localizationToCsv(draft), 'text/csv;charset=utf-8', `${stem}-translations.csv`)}
+                        className={toolButtonClass}
+                    >
+                        Export CSV
+                    </button>
+                    <button
+                        type="button"
+                        disabled={rows.length === 0 || locales.length === 0}
+                        onClick={() => download(localizationToXliff(draft, locales, exportName), 'application/xliff+xml', `${stem}.xlf`)}
+                        className={toolButtonClass}
+                    >
+                        Export XLIFF
+                    </button>
+                    <button type="button" disabled={locales.length === 0} onClick={checkFit} className={toolButtonClass}>
+                        Check fit
+                    </button>
+                    <div className="ml-auto flex items-center gap-2">
+                        <button type="button" onClick={onClose} className="rounded-md px-3 py-1.5 text-xs font-medium text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-800">
+                            Cancel
+                        </button>
+                        <button type="button" disabled={busy} onClick={() => onApply(draft)} className={toolButtonClass}>
+                            Apply
+                        </button>
+                        <button
+                            type="button"
+                            disabled={busy || locales.length === 0 || versionsBlockedReason !== null}
+                            title={versionsBlockedReason ?? 'One version per language in this Versions set; existing ones get the new copy'}
+                            onClick={() => onApplyAndCreateVersions(draft, locales)}
+                            className="rounded-md bg-indigo-600 px-3 py-1.5 text-xs font-semibold text-white hover:bg-indigo-500 disabled:cursor-not-allowed disabled:opacity-50"
+                        >
+                            {busy ? 'Working…' : 'Apply & update locale versions'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,48 @@
+import type { PrintPdfOptions } from '../studioVectorExport'
+import { PRINT_BLEED_MM_MAX } from '../../../utils/studioVectorExport.mjs'
+
+export type PrintPdfSettings = Pick<PrintPdfOptions, 'bleedMm' | 'cropMarks'>
+
+export const DEFAULT_PRINT_PDF_SETTINGS: PrintPdfSettings = { bleedMm: 3, cropMarks: true }
+
+/** Bleed (mm) + crop marks for print PDF export; shared by the Export menu and the Versions handoff bar. */
+export function EditorPrintPdfOptionsFields(props: {
+    value: PrintPdfSettings
+    onChange: (next: PrintPdfSettings) => void
+    disabled?: boolean
+    className?: string
+}) {
+    const { value, onChange, disabled, className } = props
+    return (
+        <div className={`flex items-center gap-2 text-[10px] text-gray-400 ${className ?? ''}`}>
+            <label className="flex items-center gap-1">
+                Bleed
+                <input
+                    type="number"
+                    min={0}
+                    max={PRINT_BLEED_MM_MAX}
+                    step={0.5}
+                    value={value.bleedMm}
+                    disabled={disabled}
+                    onChange={(e) => {
+                        const mm = Number(e.target.value)
+                        onChange({ ...value, bleedMm: Number.isFinite(mm) ? Math.min(PRINT_BLEED_MM_MAX, Math.max(0, mm)) : 0 })
+                    }}
+                    className="w-12 rounded border border-gray-700 bg-gray-800 px-1 py-0.5 text-[10px] text-gray-200 disabled:opacity-40"
+                    aria-label="Bleed in millimetres"
+                />
+                mm
+            </label>
+            <label className="flex items-center gap-1">
+                <input
+                    type="checkbox"
+                    checked={value.cropMarks}
+                    disabled={disabled}
+                    onChange={(e) => onChange({ ...value, cropMarks: e.target.checked })}
+                    className="h-3 w-3 rounded border-gray-600 bg-gray-800 text-indigo-500"
+                />
+                Crop marks
+            </label>
+        </div>
+    )
+}
@@ -0,0 +1,278 @@
+import { useMemo, useState } from 'react'
+import { TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import type { DocumentModel } from '../documentModel'
+import type {
+    BrandRecipeCategory,
+    BrandRecipeDefinition,
+    BrandRecipeDto,
+    RecipeColorBinding,
+    RecipeImageBinding,
+    RecipeSlotBinding,
+    RecipeTextBinding,
+} from '../editorBrandRecipesBridge'
+import { recipeDefinitionFromDocument, suggestRecipeBindings } from '../../../utils/studioUserRecipes.mjs'
+
+export type SaveRecipeInput = {
+    name: string
+    description: string
+    category: BrandRecipeCategory
+    definition: BrandRecipeDefinition
+    /** Overwrite this saved recipe instead of creating a new one. */
+    replaceId: string | null
+}
+
+const TEXT_OPTIONS: { value: RecipeTextBinding; label: string }[] = [
+    { value: 'fixed', label: 'Keep this text' },
+    { value: 'headline', label: 'Brief headline' },
+    { value: 'subheadline', label: 'Brief subline' },
+    { value: 'cta', label: 'CTA label' },
+    { value: 'body', label: 'Body copy' },
+    { value: 'product_name', label: 'Product name' },
+    { value: 'url', label: 'Website URL' },
+    { value: 'brand_name', label: 'Brand name' },
+]
+
+const IMAGE_OPTIONS: { value: RecipeImageBinding; label: string }[] = [
+    { value: 'fixed', label: 'Keep this image' },
+    { value: 'hero', label: 'Hero image' },
+    { value: 'secondary_hero', label: 'Second hero image' },
+    { value: 'texture', label: 'Texture' },
+    { value: 'logo', label: 'Brand logo' },
+    { value: 'empty', label: 'Empty placeholder' },
+]
+
+const COLOR_OPTIONS: { value: RecipeColorBinding; label: string }[] = [
+    { value: 'fixed', label: 'Keep color' },
+    { value: 'primary', label: 'Brand primary' },
+    { value: 'secondary', label: 'Brand secondary' },
+    { value: 'accent', label: 'Brand accent' },
+]
+
+const CATEGORIES: BrandRecipeCategory[] = ['brand', 'product', 'lifestyle', 'event', 'tech', 'retail', 'reveal']
+
+const fieldClass =
+    'w-full rounded border border-gray-300 bg-white px-2 py-1.5 text-gray-900 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-100'
+const selectClass =
+    'rounded border border-gray-300 bg-white px-1.5 py-1 text-[11px] text-gray-900 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-100'
+
+type EditorSaveRecipeDialogProps = {
+    /** The active artboard is what gets captured. */
+    document: DocumentModel
+    /** Prefills the recipe name (the composition's name). */
+    defaultName: string
+    palette: { primary?: string | null; secondary?: string | null; accent?: string | null }
+    logoAssetId?: string | null
+    recipes: BrandRecipeDto[]
+    busy: boolean
+    onClose: () => void
+    onSave: (input: SaveRecipeInput) => void
+    onDelete: (recipe: BrandRecipeDto) => void
+}
+
+/**
+ * "Save as brand recipe": binds the composition's text, image and color slots to brand context and saves it
+ * to the brand's recipe library, where the template wizard offers it next to the built-in recipes.
+ */
+export function EditorSaveRecipeDialog({ document: doc, defaultName, palette, logoAssetId, recipes, busy, onClose, onSave, onDelete }: EditorSaveRecipeDialogProps) {
+    const [bindings, setBindings] = useState<Record<string, RecipeSlotBinding>>(
+        () => suggestRecipeBindings(doc, { palette, logoAssetId }) as Record<string, RecipeSlotBinding>
+    )
+    const [name, setName] = useState(defaultName || 'Brand recipe')
+    const [description, setDescription] = useState('')
+    const [category, setCategory] = useState<BrandRecipeCategory>('brand')
+    const [replaceId, setReplaceId] = useState<string | null>(null)
+
+    const { definition, skipped } = useMemo(
+        () => recipeDefinitionFromDocument(doc, bindings) as { definition: BrandRecipeDefinition; skipped: string[] },
+        [doc, bindings]
+    )
+
+    /** Top of the stack first, like the layers panel. */
+    const rows = useMemo(
+        () => [...doc.layers].sort((a, b) => b.z - a.z).filter((l) => bindings[l.id] !== undefined),
+        [doc.layers, bindings]
+    )
+
+    const bind = (layerId: string, patch: RecipeSlotBinding) =>
+        setBindings((prev) => ({ ...prev, [layerId]: { ...prev[layerId], ...patch } }))
+
+    const pickReplace = (id: string | null) => {
+        setReplaceId(id)
+        const existing = recipes.find((r) => r.id === id)
+        if (existing) {
+            setName(existing.name)
+            setDescription(existing.description)
+            setCategory(existing.category)
+        }
+    }
+
+    const canSave = !busy && name.trim() !== '' && definition.blueprints.length > 0
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" role="dialog" aria-modal="true" aria-labelledby="save-recipe-title">
+            <div className="flex max-h-[90vh] w-full max-w-3xl flex-col overflow-hidden rounded-lg border border-gray-200 bg-white shadow-xl dark:border-gray-700 dark:bg-gray-900">
+                <div className="flex items-center justify-between border-b border-gray-200 px-4 py-3 dark:border-gray-700">
+                    <h3 id="save-recipe-title" className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                        Save as brand recipe
+                    </h3>
+                    <button type="button" className="rounded p-1 text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800" onClick={onClose} aria-label="Close">
+                        <XMarkIcon className="h-5 w-5" />
+                    </button>
+                </div>
+                <div className="grid min-h-0 flex-1 gap-4 overflow-y-auto p-4 text-xs md:grid-cols-[220px_minmax(0,1fr)]">
+                    <div className="space-y-3">
+                        <div>
+                            <label className="mb-1 block text-[10px] font-semibold uppercase tracking-wide text-gray-500">Save to</label>
+                            <select value={replaceId ?? ''} onChange={(e) => pickReplace(e.target.value || null)} className={fieldClass}>
+                                <option value="">New recipe</option>
+                                {recipes.map((r) => (
+                                    <option key={r.id} value={r.id}>
+                                        Replace “{r.name}”
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="recipe-name" className="mb-1 block text-[10px] font-semibold uppercase tracking-wide text-gray-500">Name</label>
+                            <input id="recipe-name" value={name} onChange={(e) => setName(e.target.value)} maxLength={255} className={fieldClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="recipe-description" className="mb-1 block text-[10px] font-semibold uppercase tracking-wide text-gray-500">Description</label>
+                            <textarea
+                                id="recipe-description"
+                                value={description}
+                                onChange={(e) => setDescription(e.target.value)}
+                                maxLength={500}
+                                rows={3}
+                                placeholder="Shown on the wizard card"
+                                className={fieldClass}
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="recipe-category" className="mb-1 block text-[10px] font-semibold uppercase tracking-wide text-gray-500">Category</label>
+                            <select id="recipe-category" value={category} onChange={(e) => setCategory(e.target.value as BrandRecipeCategory)} className={fieldClass}>
+                                {CATEGORIES.map((c) => (
+                                    <option key={c} value={c}>
+                                        {c.charAt(0).toUpperCase() + c.slice(1)}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        {recipes.length > 0 && (
+                            <section>
+                                <p className="mb-1 text-[10px] font-semibold uppercase tracking-wide text-gray-500">Saved recipes</p>
+                                <ul className="space-y-0.5">
+                                    {recipes.map((r) => (
+                                        <li key={r.id} className="flex items-center gap-1 rounded px-1 py-0.5 hover:bg-gray-100 dark:hover:bg-gray-800">
+                                            <span className="min-w-0 flex-1 truncate text-gray-700 dark:text-gray-200" title={r.description || r.name}>
+                                                {r.name}
+                                            </span>
+                                            <button
+                                                type="button"
+                                                disabled={busy}
+                                                onClick={() => onDelete(r)}
+                                                className="rounded p-0.5 text-gray-400 hover:text-red-500 disabled:opacity-40"
+                                                aria-label={`Delete recipe ${r.name}`}
+                                            >
+                                                <TrashIcon className="h-3.5 w-3.5" />
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </section>
+                        )}
+                    </div>
+                    <div className="min-w-0 space-y-2">
+                        <p className="text-gray-600 dark:text-gray-300">
+                            Choose what each layer takes from the brand when the recipe is used. Layout is kept as proportions of a {doc.width}×{doc.height} canvas.
+                        </p>
+                        <ul className="divide-y divide-gray-100 rounded border border-gray-200 dark:divide-gray-800 dark:border-gray-700">
+                            {rows.map((l) => {
+                                const b = bindings[l.id] ?? {}
+                                const color = l.type === 'text' ? l.style?.color : l.type === 'fill' ? l.color : undefined
+                                return (
+                                    <li key={l.id} className="flex flex-wrap items-center gap-2 px-2 py-1.5">
+                                        <div className="min-w-0 flex-1">
+                                            <p className="truncate font-medium text-gray-800 dark:text-gray-100">
+                                                <span className="mr-1 text-[10px] font-semibold uppercase text-gray-400">{l.type.replace('_', ' ')}</span>
+                                                {l.name || l.type}
+                                            </p>
+                                            {l.type === 'text' && (
+                                                <p className="truncate text-[11px] text-gray-500 dark:text-gray-400" title={l.content}>
+                                                    {l.content}
+                                                </p>
+                                            )}
+                                        </div>
+                                        {l.type === 'text' && (
+                                            <select
+                                                value={b.content ?? 'fixed'}
+                                                onChange={(e) => bind(l.id, { content: e.target.value as RecipeTextBinding })}
+                                                className={selectClass}
+                                                aria-label={`Text source for ${l.name || 'text'}`}
+                                            >
+                                                {TEXT_OPTIONS.map((o) => (
+                                                    <option key={o.value} value={o.value}>
+                                                        {o.label}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        )}
+                                        {l.type === 'image' && (
+                                            <select
+                                                value={b.content ?? 'fixed'}
+                                                onChange={(e) => bind(l.id, { content: e.target.value as RecipeImageBinding })}
+                                                className={selectClass}
+                                                aria-label={`Image source for ${l.name || 'image'}`}
+                                            >
+                                                {IMAGE_OPTIONS.map((o) => (
+                                                    <option key={o.value} value={o.value}>
+                                                        {o.label}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        )}
+                                        {color !== undefined && (
+                                            <span className="flex items-center gap-1">
+                                                <span className="h-4 w-4 rounded border border-gray-300 dark:border-gray-600" style={{ background: color }} aria-hidden />
+                                                <select
+                                                    value={b.color ?? 'fixed'}
+                                                    onChange={(e) => bind(l.id, { color: e.target.value as RecipeColorBinding })}
+                                                    className={selectClass}
+                                                    aria-label={`Color source for ${l.name || l.type}`}
+                                                >
+                                                    {COLOR_OPTIONS.map((o) => (
+                                                        <option key={o.value} value={o.value} disabled={o.value !== 'fixed' && !palette[o.value]}>
+                                                            {o.label}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            </span>
+                                        )}
+                                    </li>
+                                )
+                            })}
+                        </ul>
+                        {skipped.length > 0 && (
+                            <p className="text-amber-700 dark:text-amber-400" role="status">
+                                Not included (video and vector shapes aren’t supported in recipes): {skipped.join(', ')}
+                            </p>
+                        )}
+                    </div>
+                </div>
+                <div className="flex items-center justify-end gap-2 border-t border-gray-200 px-4 py-3 dark:border-gray-700">
+                    <button type="button" onClick={onClose} className="rounded-md px-3 py-1.5 text-xs font-medium text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-800">
+                        Cancel
+                    </button>
+                    <button
+                        type="button"
+                        disabled={!canSave}
+                        onClick={() => onSave({ name: name.trim(), description: description.trim(), category, definition, replaceId })}
+                        className="rounded-md bg-indigo-600 px-3 py-1.5 text-xs font-semibold text-white hover:bg-indigo-500 disabled:cursor-not-allowed disabled:opacity-50"
+                    >
+                        {busy ? 'Saving…' : replaceId ? 'Replace recipe' : 'Save recipe'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
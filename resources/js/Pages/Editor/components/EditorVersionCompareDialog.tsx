@@ -0,0 +1,285 @@
+import { useState } from 'react'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+import type { CompositionVersionMeta } from '../editorCompositionBridge'
+import { StudioOverlayRange, StudioSegmentedControl } from './studioPropertiesPanel'
+import { describeLayerChange } from '../../../utils/studioVersionDiff.mjs'
+
+/** Select value standing for the unsaved canvas, so a version can be compared with the work in progress. */
+export const COMPARE_CURRENT_ID = 'current'
+
+type Box = { x: number; y: number; width: number; height: number; rotation?: number }
+type LayerRef = { id: string; name: string; type: string; before: Box | null; after: Box | null }
+type LayerChange = { kind: string; field: string; before: unknown; after: unknown }
+
+/** Mirrors `VersionDiff` in `utils/studioVersionDiff.mjs`. */
+export type VersionCompareDiff = {
+    canvas: { field: 'width' | 'height'; before: number; after: number }[]
+    added: LayerRef[]
+    removed: LayerRef[]
+    changed: (LayerRef & { changes: LayerChange[] })[]
+    total: number
+}
+
+export type VersionCompareResult = {
+    /** PNG data URLs for A and B. */
+    urls: [string, string]
+    sizes: [{ width: number; height: number }, { width: number; height: number }]
+    diff: VersionCompareDiff
+}
+
+type ViewMode = 'side' | 'onion' | 'slider'
+
+const selectClass =
+    'max-w-[220px] rounded border border-gray-300 bg-white px-2 py-1.5 text-gray-900 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-100'
+
+function versionLabel(v: CompositionVersionMeta): string {
+    return `${v.label ? `${v.label} — ` : ''}${new Date(v.created_at).toLocaleString()}`
+}
+
+/** Outline of a layer box over a rendered version, in % of that version's canvas. */
+function BoxMark(props: { box: Box; size: { width: number; height: number }; color: string }) {
+    const { box, size } = props
+    return (
+        <div
+            className="pointer-events-none absolute z-30 outline outline-2"
+            style={{
+                left: `${(box.x / size.width) * 100}%`,
+                top: `${(box.y / size.height) * 100}%`,
+                width: `${(box.width / size.width) * 100}%`,
+                height: `${(box.height / size.height) * 100}%`,
+                transform: box.rotation ? `rotate(${box.rotation}deg)` : undefined,
+                outlineColor: props.color,
+                boxShadow: '0 0 0 9999px rgba(0,0,0,0.25)',
+            }}
+        />
+    )
+}
+
+const A_COLOR = 'rgb(99 102 241)'
+const B_COLOR = 'rgb(139 92 246)'
+
+/**
+ * Two saved versions (or a version and the current canvas) rendered side by side, as an onion skin or under a
+ * wipe slider, next to the structural changes between them. Hovering a change outlines the layer.
+ */
+export function EditorVersionCompareDialog(props: {
+    versions: CompositionVersionMeta[]
+    leftId: string | null
+    rightId: string | null
+    onLeftChange: (id: string | null) => void
+    onRightChange: (id: string | null) => void
+    busy: boolean
+    result: VersionCompareResult | null
+    onRender: () => void
+    onClose: () => void
+}) {
+    const { versions, leftId, rightId, result } = props
+    const [mode, setMode] = useState<ViewMode>('side')
+    const [slider, setSlider] = useState(50)
+    const [onion, setOnion] = useState(50)
+    const [hoverId, setHoverId] = useState<string | null>(null)
+
+    const metaFor = (id: string | null) => {
+        if (id === COMPARE_CURRENT_ID) return 'Current canvas'
+        const v = versions.find((x) => x.id === id)
+        return v ? versionLabel(v) : '—'
+    }
+
+    const hovered = result
+        ? [...result.diff.added, ...result.diff.removed, ...result.diff.changed].find((l) => l.id === hoverId) ?? null
+        : null
+    const sameSize =
+        result !== null &&
+        result.sizes[0].width === result.sizes[1].width &&
+        result.sizes[0].height === result.sizes[1].height
+
+    const options = (prefix: string) => (
+        <>
+            <option value="">Select…</option>
+            <option value={COMPARE_CURRENT_ID}>Current canvas (unsaved)</option>
+            {versions.map((v) => (
+                <option key={`${prefix}-${v.id}`} value={v.id}>
+                    {versionLabel(v)}
+                </option>
+            ))}
+        </>
+    )
+
+    const layerRow = (l: LayerRef, lines: string[], tone: string) => (
+        <li
+            key={`${tone}-${l.id}`}
+            onMouseEnter={() => setHoverId(l.id)}
+            onMouseLeave={() => setHoverId((cur) => (cur === l.id ? null : cur))}
+            className="rounded px-2 py-1 hover:bg-gray-100 dark:hover:bg-gray-800"
+        >
+            <p className="truncate font-medium text-gray-800 dark:text-gray-100">
+                <span className={`mr-1 text-[10px] font-semibold uppercase ${tone}`}>{l.type}</span>
+                {l.name}
+            </p>
+            {lines.map((line, i) => (
+                <p key={i} className="truncate pl-2 text-[11px] text-gray-500 dark:text-gray-400" title={line}>
+                    {line}
+                </p>
+            ))}
+        </li>
+    )
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" role="dialog" aria-modal="true" aria-labelledby="compare-dialog-title">
+            <div className="flex max-h-[90vh] w-full max-w-6xl flex-col overflow-hidden rounded-lg border border-gray-200 bg-white shadow-xl dark:border-gray-700 dark:bg-gray-900">
+                <div className="flex items-center justify-between border-b border-gray-200 px-4 py-3 dark:border-gray-700">
+                    <h3 id="compare-dialog-title" className="text-sm font-semibold text-gray-100">
+                        Compare versions
+                    </h3>
+                    <button
+                        type="button"
+                        className="rounded p-1 text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+                        onClick={props.onClose}
+                        aria-label="Close"
+                    >
+                        <XMarkIcon className="h-5 w-5" />
+                    </button>
+                </div>
+                <div className="space-y-4 overflow-y-auto p-4 text-xs">
+                    <div className="flex flex-wrap items-end gap-3">
+                        <div>
+                            <label className="mb-1 block text-[10px] font-semibold uppercase tracking-wide text-gray-500">Version A (before)</label>
+                            <select value={leftId ?? ''} onChange={(e) => props.onLeftChange(e.target.value || null)} className={selectClass}>
+                                {options('l')}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="mb-1 block text-[10px] font-semibold uppercase tracking-wide text-gray-500">Version B (after)</label>
+                            <select value={rightId ?? ''} onChange={(e) => props.onRightChange(e.target.value || null)} className={selectClass}>
+                                {options('r')}
+                            </select>
+                        </div>
+                        <button
+                            type="button"
+                            disabled={props.busy || !leftId || !rightId || leftId === rightId}
+                            onClick={props.onRender}
+                            className="rounded-md bg-indigo-600 px-3 py-1.5 font-semibold text-white hover:bg-indigo-500 disabled:cursor-not-allowed disabled:opacity-50"
+                        >
+                            {props.busy ? 'Rendering…' : 'Compare'}
+                        </button>
+                        {result && (
+                            <div className="ml-auto w-64">
+                                <StudioSegmentedControl
+                                    aria-label="Compare view"
+                                    value={mode}
+                                    onChange={setMode}
+                                    segments={[
+                                        { value: 'side', label: 'Side by side' },
+                                        { value: 'onion', label: 'Onion skin', title: 'B over A with adjustable opacity' },
+                                        { value: 'slider', label: 'Slider', title: 'Wipe between A and B' },
+                                    ]}
+                                />
+                            </div>
+                        )}
+                    </div>
+                    {leftId && rightId && leftId === rightId && (
+                        <p className="text-amber-700 dark:text-amber-400" role="status">
+                            Select two different versions to compare.
+                        </p>
+                    )}
+                    {result && (
+                        <div className="grid gap-4 lg:grid-cols-[minmax(0,1fr)_260px]">
+                            <div className="space-y-3">
+                                <div className="flex flex-col gap-1 sm:flex-row sm:justify-between sm:gap-4">
+                                    <div className="rounded-md border border-indigo-200 bg-indigo-50/80 px-2 py-1.5 text-[11px] text-indigo-950 dark:border-indigo-950 dark:bg-indigo-950/40 dark:text-indigo-100">
+                                        <span className="font-semibold">A</span> {metaFor(leftId)}
+                                    </div>
+                                    <div className="rounded-md border border-violet-200 bg-violet-50/80 px-2 py-1.5 text-[11px] text-violet-950 dark:border-violet-950 dark:bg-violet-950/40 dark:text-violet-100">
+                                        <span className="font-semibold">B</span> {metaFor(rightId)}
+                                    </div>
+                                </div>
+                                {mode === 'side' ? (
+                                    <div className="grid grid-cols-2 gap-3">
+                                        {([0, 1] as const).map((i) => {
+                                            const box = i === 0 ? hovered?.before : hovered?.after
+                                            return (
+                                                <div key={i} className="relative self-start overflow-hidden rounded-xl border border-gray-200 bg-neutral-100 dark:border-gray-700 dark:bg-neutral-900">
+                                                    <img src={result.urls[i]} alt={i === 0 ? 'Version A' : 'Version B'} className="block w-full" />
+                                                    {box && <BoxMark box={box} size={result.sizes[i]} color={i === 0 ? A_COLOR : B_COLOR} />}
+                                                </div>
+                                            )
+                                        })}
+                                    </div>
+                                ) : (
+                                    <>
+                                        <div className="relative overflow-hidden rounded-xl border border-gray-200 bg-neutral-100 shadow-inner dark:border-gray-700 dark:bg-neutral-900">
+                                            <img src={result.urls[0]} alt="Version A" className="relative z-0 block w-full object-contain" />
+                                            <img
+                                                src={result.urls[1]}
+                                                alt="Version B"
+                                                className="absolute left-0 top-0 z-10 h-full w-full object-contain"
+                                                style={
+                                                    mode === 'onion'
+                                                        ? { opacity: onion / 100 }
+                                                        : { clipPath: `inset(0 0 0 ${slider}%)` }
+                                                }
+                                            />
+                                            {mode === 'slider' && (
+                                                <div
+                                                    className="pointer-events-none absolute inset-y-0 z-20 w-0.5 bg-white shadow-[0_0_0_1px_rgba(0,0,0,0.15)]"
+                                                    style={{ left: `${slider}%`, transform: 'translateX(-50%)' }}
+                                                />
+                                            )}
+                                            {sameSize && hovered?.before && <BoxMark box={hovered.before} size={result.sizes[0]} color={A_COLOR} />}
+                                            {sameSize && hovered?.after && <BoxMark box={hovered.after} size={result.sizes[1]} color={B_COLOR} />}
+                                        </div>
+                                        <label className="flex items-center gap-3 text-[11px] text-gray-400">
+                                            <span className="shrink-0 font-medium text-gray-200">A</span>
+                                            <StudioOverlayRange
+                                                className="min-w-0 flex-1"
+                                                min={0}
+                                                max={100}
+                                                value={mode === 'onion' ? onion : slider}
+                                                onChange={(e) => (mode === 'onion' ? setOnion : setSlider)(Number(e.target.value))}
+                                                aria-label={mode === 'onion' ? 'Opacity of version B over version A' : 'Wipe between versions A and B'}
+                                                inputClassName={mode === 'slider' ? 'cursor-ew-resize' : ''}
+                                            />
+                                            <span className="shrink-0 font-medium text-gray-200">B</span>
+                                        </label>
+                                    </>
+                                )}
+                            </div>
+                            <div className="min-h-0 space-y-3 lg:max-h-[60vh] lg:overflow-y-auto">
+                                <h4 className="text-[10px] font-semibold uppercase tracking-wide text-gray-500">
+                                    {result.diff.total === 0 ? 'No structural changes' : `${result.diff.total} change${result.diff.total === 1 ? '' : 's'}`}
+                                </h4>
+                                {result.diff.canvas.length > 0 && (
+                                    <p className="px-2 text-gray-600 dark:text-gray-300">
+                                        Canvas {result.sizes[0].width}×{result.sizes[0].height} → {result.sizes[1].width}×{result.sizes[1].height}
+                                    </p>
+                                )}
+                                {result.diff.added.length > 0 && (
+                                    <section>
+                                        <p className="mb-1 px-2 font-semibold text-emerald-700 dark:text-emerald-400">Added ({result.diff.added.length})</p>
+                                        <ul>{result.diff.added.map((l) => layerRow(l, [], 'text-emerald-600 dark:text-emerald-400'))}</ul>
+                                    </section>
+                                )}
+                                {result.diff.removed.length > 0 && (
+                                    <section>
+                                        <p className="mb-1 px-2 font-semibold text-red-700 dark:text-red-400">Removed ({result.diff.removed.length})</p>
+                                        <ul>{result.diff.removed.map((l) => layerRow(l, [], 'text-red-600 dark:text-red-400'))}</ul>
+                                    </section>
+                                )}
+                                {result.diff.changed.length > 0 && (
+                                    <section>
+                                        <p className="mb-1 px-2 font-semibold text-amber-700 dark:text-amber-400">Changed ({result.diff.changed.length})</p>
+                                        <ul>
+                                            {result.diff.changed.map((l) =>
+                                                layerRow(l, l.changes.map((c) => describeLayerChange(c) as string), 'text-amber-600 dark:text-amber-400')
+                                            )}
+                                        </ul>
+                                    </section>
+                                )}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,214 @@
+import { useState } from 'react'
+import type { DocumentModel, TextLayer } from '../../documentModel'
+import { inferStudioSyncRole } from '../../studioSemanticApplyCommands'
+import {
+    applyDataFeedRow,
+    DATA_FEED_ROWS_MAX,
+    dataFeedAssetIds,
+    dataFeedRowName,
+    parseDataFeed,
+    validateDataFeedRows,
+} from '../../../../utils/studioVersionsDataFeed.mjs'
+
+type DataFeedAsset = { id: string; file_url: string; width?: number; height?: number; name?: string }
+type DataFeedIssue = { level: 'error' | 'warning'; field: string; message: string }
+type DataFeedRowReport = { index: number; name: string; issues: DataFeedIssue[]; hasErrors: boolean }
+
+type Checked = {
+    rows: Record<string, string>[]
+    columns: string[]
+    notice: string | null
+    assets: Record<string, DataFeedAsset | null>
+    report: DataFeedRowReport[]
+}
+
+type Props = {
+    open: boolean
+    /** The open composition — every row is applied to it. */
+    master: DocumentModel
+    busy: boolean
+    onClose: () => void
+    /** Largest font size at which `text` fits the layer box — flags feed copy that overflows. */
+    measureFit: (layer: TextLayer, text: string) => number
+    /** Resolves DAM ids referenced by the feed; missing ids map to `null`. */
+    lookupAssets: (ids: string[]) => Promise<Record<string, DataFeedAsset | null>>
+    /** Rows without errors, already applied to the master. */
+    onCreate: (items: { label: string; document: DocumentModel }[]) => void
+}
+
+/**
+ * Paste or upload a CSV / JSON feed (headline, subheadline, CTA, price, product image asset id…), check every
+ * row against the master, then create one version per valid row.
+ */
+export function DataFeedVersionsModal(props: Props) {
+    const { open, master, busy, onClose, measureFit, lookupAssets, onCreate } = props
+    const [text, setText] = useState('')
+    const [checking, setChecking] = useState(false)
+    const [error, setError] = useState<string | null>(null)
+    const [checked, setChecked] = useState<Checked | null>(null)
+
+    if (!open) {
+        return null
+    }
+
+    const runCheck = async (source: string) => {
+        setError(null)
+        setChecked(null)
+        const parsed = parseDataFeed(source) as { columns: string[]; rows: Record<string, string>[]; error: string | null }
+        if (parsed.rows.length === 0) {
+            setError(parsed.error ?? 'The feed has no data rows.')
+            return
+        }
+        setChecking(true)
+        try {
+            const assets = await lookupAssets(dataFeedAssetIds(parsed.rows) as string[])
+            const report = validateDataFeedRows(master, parsed.rows, {
+                roleOf: inferStudioSyncRole,
+                assets,
+                fit: (layer: TextLayer, text: string) => measureFit(layer, text),
+            }) as DataFeedRowReport[]
+            setChecked({ rows: parsed.rows, columns: parsed.columns, notice: parsed.error, assets, report })
+        } catch (e) {
+            setError(e instanceof Error ? e.message : 'Could not check the feed')
+        } finally {
+            setChecking(false)
+        }
+    }
+
+    const readyCount = checked ? checked.report.filter((r) => !r.hasErrors).length : 0
+
+    const create = () => {
+        if (!checked) return
+        onCreate(
+            checked.report
+                .filter((r) => !r.hasErrors)
+                .map((r) => ({
+                    label: dataFeedRowName(checked.rows[r.index], r.index) as string,
+                    document: applyDataFeedRow(master, checked.rows[r.index], {
+                        roleOf: inferStudioSyncRole,
+                        assets: checked.assets,
+                    }) as DocumentModel,
+                }))
+        )
+    }
+
+    return (
+        <div className="fixed inset-0 z-[101] flex items-center justify-center bg-black/60 p-4">
+            <div
+                role="dialog"
+                aria-labelledby="data-feed-versions-title"
+                data-testid="data-feed-versions-dialog"
+                className="flex max-h-[88vh] w-full max-w-2xl flex-col rounded-xl border border-gray-700 bg-gray-900 p-5 shadow-2xl"
+            >
+                <h2 id="data-feed-versions-title" className="text-lg font-semibold text-white">
+                    Versions from a data feed
+                </h2>
+                <p className="mt-1 text-sm text-gray-400">
+                    One version per row. Columns <code className="text-gray-300">headline</code>,{' '}
+                    <code className="text-gray-300">subheadline</code>, <code className="text-gray-300">cta</code>,{' '}
+                    <code className="text-gray-300">price</code>, <code className="text-gray-300">disclaimer</code> fill the
+                    matching text layers; <code className="text-gray-300">product_image_asset_id</code> swaps the product
+                    image. Any column can also be used as a <code className="text-gray-300">{'{{column}}'}</code> placeholder.
+                    Up to {DATA_FEED_ROWS_MAX} rows.
+                </p>
+
+                {!checked ? (
+                    <>
+                        <textarea
+                            value={text}
+                            onChange={(e) => setText(e.target.value)}
+                            rows={8}
+                            spellCheck={false}
+                            placeholder={'headline,cta,price,product_image_asset_id\nSpring sale,Shop now,$19,1234'}
+                            className="mt-3 w-full rounded-md border border-gray-700 bg-gray-950 px-2 py-1.5 font-mono text-[11px] text-gray-200"
+                        />
+                        <div className="mt-2 flex items-center gap-3">
+                            <label className="cursor-pointer text-[11px] text-indigo-300 hover:text-indigo-200">
+                                Upload .csv / .json…
+                                <input
+                                    type="file"
+                                    accept=".csv,.json,.txt,text/csv,application/json"
+                                    className="sr-only"
+                                    onChange={(e) => {
+                                        const file = e.target.files?.[0]
+                                        e.target.value = ''
+                                        if (!file) return
+                                        void file.text().then((t) => {
+                                            setText(t)
+                                            void runCheck(t)
+                                        })
+                                    }}
+                                />
+                            </label>
+                            {error && <p className="text-[11px] text-red-400">{error}</p>}
+                        </div>
+                    </>
+                ) : (
+                    <div className="mt-3 flex min-h-0 flex-1 flex-col">
+                        <p className="text-xs text-gray-300">
+                            {readyCount} of {checked.report.length} rows ready
+                            {checked.notice ? <span className="text-amber-300"> · {checked.notice}</span> : null}
+                        </p>
+                        <ul className="mt-2 min-h-0 flex-1 divide-y divide-gray-800 overflow-y-auto rounded-md border border-gray-800">
+                            {checked.report.map((r) => (
+                                <li key={r.index} className="px-3 py-1.5 text-xs">
+                                    <div className="flex items-center gap-2">
+                                        <span className="w-8 shrink-0 tabular-nums text-gray-500">{r.index + 1}</span>
+                                        <span className="min-w-0 flex-1 truncate text-gray-200">{r.name}</span>
+                                        <span
+                                            className={`shrink-0 text-[10px] font-semibold ${
+                                                r.hasErrors ? 'text-red-400' : r.issues.length > 0 ? 'text-amber-300' : 'text-emerald-400'
+                                            }`}
+                                        >
+                                            {r.hasErrors ? 'Skipped' : r.issues.length > 0 ? 'Warnings' : 'Ready'}
+                                        </span>
+                                    </div>
+                                    {r.issues.length > 0 && (
+                                        <ul className="ml-10 mt-0.5 space-y-0.5">
+                                            {r.issues.map((i, n) => (
+                                                <li key={n} className={i.level === 'error' ? 'text-red-300' : 'text-amber-200/90'}>
+                                                    {i.message}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                <div className="mt-4 flex justify-end gap-2">
+                    <button
+                        type="button"
+                        onClick={checked ? () => setChecked(null) : onClose}
+                        className="rounded-md border border-gray-600 px-3 py-1.5 text-sm font-medium text-gray-300 hover:bg-gray-800"
+                    >
+                        {checked ? 'Back' : 'Cancel'}
+                    </button>
+                    {checked ? (
+                        <button
+                            type="button"
+                            data-testid="data-feed-versions-create"
+                            onClick={create}
+                            disabled={busy || readyCount === 0}
+                            className="rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-semibold text-white hover:bg-indigo-500 disabled:cursor-not-allowed disabled:opacity-40"
+                        >
+                            {busy ? 'Creating…' : `Create ${readyCount} version${readyCount === 1 ? '' : 's'}`}
+                        </button>
+                    ) : (
+                        <button
+                            type="button"
+                            data-testid="data-feed-versions-check"
+                            onClick={() => void runCheck(text)}
+                            disabled={checking || text.trim() === ''}
+                            className="rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-semibold text-white hover:bg-indigo-500 disabled:cursor-not-allowed disabled:opacity-40"
+                        >
+                            {checking ? 'Checking…' : 'Check rows'}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    )
+}
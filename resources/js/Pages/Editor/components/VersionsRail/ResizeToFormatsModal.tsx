@@ -0,0 +1,158 @@
+import { useMemo, useState } from 'react'
+import { FORMAT_PACKS, type FormatPackSize } from '../../recipes/formatPack'
+
+type Props = {
+    open: boolean
+    /** Size of the open composition (marked, and skipped by “Select all”). */
+    sourceWidth: number
+    sourceHeight: number
+    busy: boolean
+    onClose: () => void
+    /** Re-flow the open composition into each size as a new version (no generation). */
+    onConfirm: (sizes: FormatPackSize[]) => void
+}
+
+const sizeKey = (s: { width: number; height: number }) => `${s.width}x${s.height}`
+
+/**
+ * Picks target sizes from the canonical format packs for constraint-based resizing of the open composition.
+ */
+export function ResizeToFormatsModal(props: Props) {
+    const { open, sourceWidth, sourceHeight, busy, onClose, onConfirm } = props
+    const [packId, setPackId] = useState(FORMAT_PACKS[0]?.id ?? '')
+    const [picked, setPicked] = useState<Record<string, FormatPackSize>>({})
+
+    const sizes = useMemo(() => {
+        const pack = FORMAT_PACKS.find((p) => p.id === packId)
+        const seen = new Set<string>()
+        return (pack?.sizes ?? []).filter((s) => {
+            const k = sizeKey(s)
+            if (seen.has(k)) return false
+            seen.add(k)
+            return true
+        })
+    }, [packId])
+
+    if (!open) {
+        return null
+    }
+
+    const currentKey = sizeKey({ width: sourceWidth, height: sourceHeight })
+    const pickedList = Object.values(picked)
+    const toggle = (s: FormatPackSize) =>
+        setPicked((prev) => {
+            const next = { ...prev }
+            if (next[sizeKey(s)]) {
+                delete next[sizeKey(s)]
+            } else {
+                next[sizeKey(s)] = s
+            }
+            return next
+        })
+
+    return (
+        <div className="fixed inset-0 z-[101] flex items-center justify-center bg-black/60 p-4">
+            <div
+                role="dialog"
+                aria-labelledby="resize-to-formats-title"
+                data-testid="resize-to-formats-dialog"
+                className="flex max-h-[85vh] w-full max-w-md flex-col rounded-xl border border-gray-700 bg-gray-900 p-5 shadow-2xl"
+            >
+                <h2 id="resize-to-formats-title" className="text-lg font-semibold text-white">
+                    Resize to formats
+                </h2>
+                <p className="mt-1 text-sm text-gray-400">
+                    Re-flows this layout into each size using the layers’ resize constraints — no generation. Each size
+                    becomes a new version.
+                </p>
+
+                <div className="mt-3 flex flex-wrap gap-1.5">
+                    {FORMAT_PACKS.map((p) => (
+                        <button
+                            key={p.id}
+                            type="button"
+                            onClick={() => setPackId(p.id)}
+                            className={`rounded-md px-2 py-1 text-[11px] font-medium ${
+                                p.id === packId ? 'bg-indigo-600 text-white' : 'border border-gray-700 text-gray-300 hover:bg-gray-800'
+                            }`}
+                            title={p.description}
+                        >
+                            {p.name}
+                        </button>
+                    ))}
+                </div>
+
+                <ul className="mt-3 min-h-0 flex-1 space-y-0.5 overflow-y-auto">
+                    {sizes.map((s) => {
+                        const k = sizeKey(s)
+                        return (
+                            <li key={k}>
+                                <label className="flex cursor-pointer items-center gap-2 rounded px-2 py-1 text-xs text-gray-200 hover:bg-gray-800">
+                                    <input
+                                        type="checkbox"
+                                        checked={Boolean(picked[k])}
+                                        onChange={() => toggle(s)}
+                                        className="rounded border-gray-600 bg-gray-800"
+                                    />
+                                    <span className="min-w-0 flex-1 truncate">{s.label}</span>
+                                    <span className="shrink-0 tabular-nums text-gray-500">
+                                        {s.width}×{s.height}
+                                        {k === currentKey ? ' · current' : ''}
+                                    </span>
+                                </label>
+                            </li>
+                        )
+                    })}
+                </ul>
+
+                <div className="mt-2 flex gap-3 text-[11px]">
+                    <button
+                        type="button"
+                        className="text-gray-400 underline decoration-dotted underline-offset-2 hover:text-gray-200"
+                        onClick={() =>
+                            setPicked((prev) => {
+                                const next = { ...prev }
+                                for (const s of sizes) {
+                                    if (sizeKey(s) !== currentKey) next[sizeKey(s)] = s
+                                }
+                                return next
+                            })
+                        }
+                    >
+                        Select all
+                    </button>
+                    <button
+                        type="button"
+                        className="text-gray-400 underline decoration-dotted underline-offset-2 hover:text-gray-200"
+                        onClick={() => setPicked({})}
+                    >
+                        Clear
+                    </button>
+                </div>
+
+                <div className="mt-4 flex justify-end gap-2">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="rounded-md border border-gray-600 px-3 py-1.5 text-sm font-medium text-gray-300 hover:bg-gray-800"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="button"
+                        data-testid="resize-to-formats-confirm"
+                        onClick={() => onConfirm(pickedList)}
+                        disabled={busy || pickedList.length === 0}
+                        className="rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-semibold text-white hover:bg-indigo-500 disabled:cursor-not-allowed disabled:opacity-40"
+                    >
+                        {busy
+                            ? 'Resizing…'
+                            : pickedList.length === 0
+                              ? 'Create versions'
+                              : `Create ${pickedList.length} version${pickedList.length === 1 ? '' : 's'}`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
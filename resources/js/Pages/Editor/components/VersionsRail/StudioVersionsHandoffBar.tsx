@@ -1,4 +1,5 @@
 import { ArrowDownTrayIcon } from '@heroicons/react/24/outline'
+import { EditorPrintPdfOptionsFields, type PrintPdfSettings } from '../EditorPrintPdfOptionsFields'
 
 type Props = {
     selectedCount: number
@@ -6,7 +7,7 @@ type Props = {
     heroCompositionId: string | null
     packNewcomerCompositionIds: string[]
     exportBusy: boolean
-    exportPhase: 'idle' | 'capturing' | 'zipping' | 'downloading'
+    exportPhase: 'idle' | 'capturing' | 'zipping' | 'writing_pdf' | 'downloading'
     exportDetail: string
     sameFormatDisabled: boolean
     sameFormatTitle: string
@@ -18,6 +19,9 @@ type Props = {
     onSelectSameFormat: () => void
     onExportSelectedPng: () => void
     onExportSelectedJpeg: () => void
+    onExportSelectedPdf: () => void
+    printPdfSettings: PrintPdfSettings
+    onPrintPdfSettingsChange: (next: PrintPdfSettings) => void
     onExportHeroPng: () => void
     onExportHeroJpeg: () => void
     onExportHeroAndAlternatesPng: () => void
@@ -44,6 +48,9 @@ export function StudioVersionsHandoffBar(props: Props) {
         onSelectSameFormat,
         onExportSelectedPng,
         onExportSelectedJpeg,
+        onExportSelectedPdf,
+        printPdfSettings,
+        onPrintPdfSettingsChange,
         onExportHeroPng,
         onExportHeroJpeg,
         onExportHeroAndAlternatesPng,
@@ -122,7 +129,7 @@ export function StudioVersionsHandoffBar(props: Props) {
                         One file when a single version is selected; otherwise one ZIP (hero first when marked).
                     </p>
                     <p className="mt-1 text-[8px] leading-snug text-sky-200/45">
-                        Design versions only (PNG/JPG from the canvas). AI video runs are separate — use the video tile, then
+                        Design versions only (PNG/JPG/PDF from the canvas). AI video runs are separate — use the video tile, then
                         &quot;Open in library&quot; in the job detail, or download the MP4 from the asset.
                     </p>
                 </div>
@@ -150,6 +157,22 @@ export function StudioVersionsHandoffBar(props: Props) {
                     <ArrowDownTrayIcon className="h-3 w-3" aria-hidden />
                     Selected JPG{selectedCount > 1 ? ' (ZIP)' : ''}
                 </button>
+                <button
+                    type="button"
+                    disabled={exportBusy || selectedCount < 1}
+                    onClick={() => onExportSelectedPdf()}
+                    className="inline-flex items-center gap-0.5 rounded border border-sky-700/60 bg-sky-900/35 px-1.5 py-0.5 text-[9px] font-semibold text-sky-50 hover:bg-sky-900/55 disabled:cursor-not-allowed disabled:opacity-40"
+                    title="Print PDF: one page per selected version, vector text with embedded fonts"
+                >
+                    <ArrowDownTrayIcon className="h-3 w-3" aria-hidden />
+                    Print PDF
+                </button>
+                <EditorPrintPdfOptionsFields
+                    value={printPdfSettings}
+                    onChange={onPrintPdfSettingsChange}
+                    disabled={exportBusy}
+                    className="w-full text-[9px]"
+                />
                 <button
                     type="button"
                     disabled={exportBusy || !hasHero}
@@ -191,6 +214,7 @@ export function StudioVersionsHandoffBar(props: Props) {
                     <p className="font-semibold">
                         {exportPhase === 'capturing' && 'Preparing bundle — capturing…'}
                         {exportPhase === 'zipping' && 'Preparing bundle — building ZIP…'}
+                        {exportPhase === 'writing_pdf' && 'Preparing print PDF — writing pages…'}
                         {exportPhase === 'downloading' && 'Bundle ready — downloading…'}
                         {exportPhase === 'idle' && 'Working…'}
                     </p>
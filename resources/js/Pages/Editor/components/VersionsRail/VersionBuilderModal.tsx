@@ -15,6 +15,10 @@ type Props = {
     /** Manual duplicate of the open composition. */
     onChooseDuplicateCurrent: () => void
     duplicateBusy: boolean
+    /** Constraint-based resize of the open composition into format-pack sizes (no generation). */
+    onChooseResizeToFormats: () => void
+    /** One version per row of a CSV / JSON feed (copy + product image), no generation. */
+    onChooseDataFeed: () => void
     /** True while a quick pack is resolving presets (disables pack buttons). */
     packBusy?: boolean
     /** Full color × scene × format picker. */
@@ -32,6 +36,8 @@ export function VersionBuilderModal(props: Props) {
         onChooseScenePack,
         onChooseDuplicateCurrent,
         duplicateBusy,
+        onChooseResizeToFormats,
+        onChooseDataFeed,
         packBusy = false,
         onChooseAdvanced,
         onChooseAnimateVideo,
@@ -104,6 +110,30 @@ export function VersionBuilderModal(props: Props) {
                             Same layout, no generation — for a manual branch.
                         </p>
                     </button>
+                    <button
+                        type="button"
+                        data-testid="version-builder-resize-formats"
+                        onClick={() => onChooseResizeToFormats()}
+                        disabled={duplicateBusy}
+                        className="rounded-lg border border-dashed border-gray-600 bg-gray-900/60 p-3 text-left transition-colors hover:border-gray-500 hover:bg-gray-800/80 disabled:cursor-not-allowed disabled:opacity-40"
+                    >
+                        <p className="text-sm font-semibold text-gray-200">Resize to formats</p>
+                        <p className="mt-0.5 text-[11px] leading-snug text-gray-500">
+                            Re-flow this layout into IAB or social sizes — no generation.
+                        </p>
+                    </button>
+                    <button
+                        type="button"
+                        data-testid="version-builder-data-feed"
+                        onClick={() => onChooseDataFeed()}
+                        disabled={duplicateBusy}
+                        className="rounded-lg border border-dashed border-gray-600 bg-gray-900/60 p-3 text-left transition-colors hover:border-gray-500 hover:bg-gray-800/80 disabled:cursor-not-allowed disabled:opacity-40"
+                    >
+                        <p className="text-sm font-semibold text-gray-200">From a data feed</p>
+                        <p className="mt-0.5 text-[11px] leading-snug text-gray-500">
+                            CSV / JSON rows of copy, prices and product images — one version each.
+                        </p>
+                    </button>
                     <button
                         type="button"
                         data-testid="version-builder-animate-video"
@@ -1,11 +1,13 @@
 import type { RefObject } from 'react'
-import { InformationCircleIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import { ChatBubbleOvalLeftIcon, InformationCircleIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
 import { CheckIcon, PlusIcon, StarIcon } from '@heroicons/react/24/solid'
 import { StudioVersionsHandoffBar } from './StudioVersionsHandoffBar'
 import { StudioAnimationRailChips } from './StudioAnimationRailChips'
 import type { StudioAnimationJobDto } from '../../editorStudioAnimationBridge'
+import type { CommentSummaryDto } from '../../editorCompositionCommentsBridge'
 import type { StudioCreativeSetDto, StudioCreativeSetVariantDto } from '../../studioCreativeSetTypes'
 import type { StudioApplyScope } from './ApplyScopeBar'
+import type { PrintPdfSettings } from '../EditorPrintPdfOptionsFields'
 import {
     buildSameColorSelection,
     buildSameFormatSelection,
@@ -54,7 +56,7 @@ export type StudioVersionsHandoffChrome = {
     selectionMode: boolean
     selectedCompositionIds: string[]
     exportBusy: boolean
-    exportPhase: 'idle' | 'capturing' | 'zipping' | 'downloading'
+    exportPhase: 'idle' | 'capturing' | 'zipping' | 'writing_pdf' | 'downloading'
     exportDetail: string
     onModeChange: (next: boolean) => void
     onToggleComposition: (compositionId: string) => void
@@ -65,6 +67,10 @@ export type StudioVersionsHandoffChrome = {
     onSetSelectedCompositionIds: (compositionIds: string[]) => void
     onExportSelectedPng: () => void
     onExportSelectedJpeg: () => void
+    /** One print PDF, a page per selected version. */
+    onExportSelectedPdf: () => void
+    printPdfSettings: PrintPdfSettings
+    onPrintPdfSettingsChange: (next: PrintPdfSettings) => void
     onExportHeroPng: () => void
     onExportHeroJpeg: () => void
     onExportHeroAndAlternatesPng: () => void
@@ -127,6 +133,10 @@ export function VersionsRail(props: {
     dissolveSetBusy?: boolean
     /** When false, hide AI image-to-video job chips in the rail (use layer Properties instead). */
     showCompositionAnimationChips?: boolean
+    /** Review comment counts per variant composition id (tiles without threads show no chip). */
+    commentSummaryByCompositionId?: Record<string, CommentSummaryDto>
+    /** Open a variant with the comments panel showing. */
+    onOpenVariantComments?: (compositionId: string) => void
 }) {
     const {
         creativeSet,
@@ -165,6 +175,8 @@ export function VersionsRail(props: {
         onDissolveSet,
         dissolveSetBusy = false,
         showCompositionAnimationChips = true,
+        commentSummaryByCompositionId = {},
+        onOpenVariantComments,
     } = props
 
     const showPickChrome = applyScope === 'selected_versions'
@@ -381,6 +393,9 @@ export function VersionsRail(props: {
                     onSelectSameFormat={() => studioHandoff.onSetSelectedCompositionIds(sameFormatPreset.ids)}
                     onExportSelectedPng={() => studioHandoff.onExportSelectedPng()}
                     onExportSelectedJpeg={() => studioHandoff.onExportSelectedJpeg()}
+                    onExportSelectedPdf={() => studioHandoff.onExportSelectedPdf()}
+                    printPdfSettings={studioHandoff.printPdfSettings}
+                    onPrintPdfSettingsChange={studioHandoff.onPrintPdfSettingsChange}
                     onExportHeroPng={() => studioHandoff.onExportHeroPng()}
                     onExportHeroJpeg={() => studioHandoff.onExportHeroJpeg()}
                     onExportHeroAndAlternatesPng={() => studioHandoff.onExportHeroAndAlternatesPng()}
@@ -525,6 +540,7 @@ export function VersionsRail(props: {
                     const isBase = baseCompositionId !== null && v.composition_id === baseCompositionId
                     const axisChips = getVariantAxisChipTexts(v.axis)
                     const tagged = variantHasAxisMetadata(v.axis)
+                    const commentSummary = commentSummaryByCompositionId[v.composition_id]
                     const isUnviewedNewcomer = unviewedNewSet.has(v.composition_id)
                     const isHero = heroCompositionId !== null && v.composition_id === heroCompositionId
                     let thumbRing = statusRingClass(v.status, active)
@@ -685,6 +701,41 @@ export function VersionsRail(props: {
                                                 Manual
                                             </span>
                                         )}
+                                        {commentSummary && commentSummary.open + commentSummary.resolved > 0 && (
+                                            <span
+                                                role="button"
+                                                tabIndex={0}
+                                                data-testid={`studio-variant-comments-${v.composition_id}`}
+                                                title={
+                                                    commentSummary.open > 0
+                                                        ? [
+                                                              `${commentSummary.open} open comment${commentSummary.open === 1 ? '' : 's'}`,
+                                                              ...commentSummary.open_previews.map((p) => `• ${p}`),
+                                                          ].join('\n')
+                                                        : 'All comments resolved'
+                                                }
+                                                className={`flex items-center gap-0.5 rounded px-1 py-px text-[7px] font-semibold ${
+                                                    commentSummary.open > 0
+                                                        ? 'bg-amber-900/70 text-amber-100 hover:bg-amber-800/80'
+                                                        : 'bg-gray-800/60 text-gray-500 hover:text-gray-300'
+                                                }`}
+                                                onClick={(e) => {
+                                                    e.stopPropagation()
+                                                    e.preventDefault()
+                                                    onOpenVariantComments?.(v.composition_id)
+                                                }}
+                                                onKeyDown={(e) => {
+                                                    if (e.key === 'Enter' || e.key === ' ') {
+                                                        e.preventDefault()
+                                                        e.stopPropagation()
+                                                        onOpenVariantComments?.(v.composition_id)
+                                                    }
+                                                }}
+                                            >
+                                                <ChatBubbleOvalLeftIcon className="h-2.5 w-2.5" aria-hidden />
+                                                {commentSummary.open > 0 ? commentSummary.open : '✓'}
+                                            </span>
+                                        )}
                                     </div>
                                 </button>
                             </div>
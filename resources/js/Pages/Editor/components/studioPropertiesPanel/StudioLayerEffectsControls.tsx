@@ -0,0 +1,125 @@
+import type { BrandContext, LayerEffects, LayerShadowEffect } from '../../documentModel'
+import FillGradientStopField from '../../FillGradientStopField'
+import { LAYER_EFFECT_DEFAULTS, LAYER_EFFECT_LIMITS } from '../../../../utils/studioLayerEffects.mjs'
+import { StudioSliderField } from './StudioSliderField'
+
+type EffectKind = keyof LayerEffects
+
+const EFFECT_ROWS: Array<{ kind: EffectKind; label: string; offsets: boolean }> = [
+    { kind: 'dropShadow', label: 'Drop shadow', offsets: true },
+    { kind: 'outerGlow', label: 'Outer glow', offsets: false },
+    { kind: 'innerShadow', label: 'Inner shadow', offsets: true },
+]
+
+/**
+ * Drop shadow / outer glow / inner shadow editor for text and fill layers. Toggling an effect off keeps
+ * its settings on the layer (`enabled: false`) so switching back restores the last look.
+ */
+export function StudioLayerEffectsControls({
+    layerId,
+    effects,
+    disabled,
+    brandContext,
+    onChange,
+}: {
+    layerId: string
+    effects: LayerEffects | undefined
+    disabled?: boolean
+    brandContext: BrandContext | null
+    onChange: (next: LayerEffects) => void
+}) {
+    const patch = (kind: EffectKind, next: Partial<LayerShadowEffect>) => {
+        const current: LayerShadowEffect = effects?.[kind] ?? { ...LAYER_EFFECT_DEFAULTS[kind] }
+        const merged: LayerEffects = { ...(effects ?? {}), [kind]: { ...current, ...next } }
+        onChange(merged)
+    }
+
+    return (
+        <div className="space-y-3">
+            {EFFECT_ROWS.map(({ kind, label, offsets }) => {
+                const e = effects?.[kind]
+                const on = Boolean(e?.enabled)
+                return (
+                    <div key={kind} className="space-y-2 rounded border border-white/[0.06] bg-gray-950/30 p-2">
+                        <label className="flex items-center gap-2 text-[11px] text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={on}
+                                disabled={disabled}
+                                onChange={(ev) => patch(kind, { enabled: ev.target.checked })}
+                                className="rounded border-gray-600 bg-gray-900 text-indigo-500 focus:ring-indigo-500"
+                            />
+                            {label}
+                        </label>
+                        {on && e ? (
+                            <div className="space-y-3">
+                                <FillGradientStopField
+                                    label="Color"
+                                    value={e.color}
+                                    disabled={disabled}
+                                    allowTransparent={false}
+                                    brandContext={brandContext}
+                                    onChange={(c) => patch(kind, { color: c })}
+                                />
+                                <StudioSliderField
+                                    id={`fx-${kind}-opacity-${layerId}`}
+                                    label="Opacity"
+                                    min={0}
+                                    max={100}
+                                    unit="%"
+                                    disabled={disabled}
+                                    value={Math.round(e.opacity * 100)}
+                                    onChange={(n) => patch(kind, { opacity: n / 100 })}
+                                />
+                                {offsets ? (
+                                    <>
+                                        <StudioSliderField
+                                            id={`fx-${kind}-x-${layerId}`}
+                                            label="Offset X"
+                                            min={-LAYER_EFFECT_LIMITS.offset}
+                                            max={LAYER_EFFECT_LIMITS.offset}
+                                            unit="px"
+                                            disabled={disabled}
+                                            value={e.offsetX}
+                                            onChange={(n) => patch(kind, { offsetX: n })}
+                                        />
+                                        <StudioSliderField
+                                            id={`fx-${kind}-y-${layerId}`}
+                                            label="Offset Y"
+                                            min={-LAYER_EFFECT_LIMITS.offset}
+                                            max={LAYER_EFFECT_LIMITS.offset}
+                                            unit="px"
+                                            disabled={disabled}
+                                            value={e.offsetY}
+                                            onChange={(n) => patch(kind, { offsetY: n })}
+                                        />
+                                    </>
+                                ) : null}
+                                <StudioSliderField
+                                    id={`fx-${kind}-blur-${layerId}`}
+                                    label="Blur"
+                                    min={0}
+                                    max={LAYER_EFFECT_LIMITS.blur}
+                                    unit="px"
+                                    disabled={disabled}
+                                    value={e.blur}
+                                    onChange={(n) => patch(kind, { blur: n })}
+                                />
+                                <StudioSliderField
+                                    id={`fx-${kind}-spread-${layerId}`}
+                                    label="Spread"
+                                    min={0}
+                                    max={LAYER_EFFECT_LIMITS.spread}
+                                    unit="px"
+                                    disabled={disabled}
+                                    value={e.spread}
+                                    onChange={(n) => patch(kind, { spread: n })}
+                                />
+                            </div>
+                        ) : null}
+                    </div>
+                )
+            })}
+        </div>
+    )
+}
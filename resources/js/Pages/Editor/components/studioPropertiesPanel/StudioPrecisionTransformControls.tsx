@@ -1,15 +1,45 @@
-import type { Layer } from '../../documentModel'
+import type { Layer, LayerConstraints } from '../../documentModel'
+
+const HORIZONTAL_LABELS: Record<NonNullable<LayerConstraints['horizontal']>, string> = {
+    left: 'Left',
+    right: 'Right',
+    center: 'Center',
+    stretch: 'Left & right',
+    scale: 'Scale',
+}
+
+const VERTICAL_LABELS: Record<NonNullable<LayerConstraints['vertical']>, string> = {
+    top: 'Top',
+    bottom: 'Bottom',
+    center: 'Center',
+    stretch: 'Top & bottom',
+    scale: 'Scale',
+}
+
+const inputClass = 'w-full rounded-md border border-gray-700/90 bg-gray-900/55 px-2 py-1 text-[11px] text-gray-200'
 
 export function StudioPrecisionTransformControls({
     layer,
     disabled,
     onChangeXYWH,
+    inferredConstraints,
+    onChangeConstraints,
 }: {
     layer: Layer
     disabled?: boolean
     onChangeXYWH: (patch: Partial<{ x: number; y: number; width: number; height: number }>) => void
+    /** What "Auto" resolves to for this layer when resizing to another format. */
+    inferredConstraints?: Required<LayerConstraints>
+    /** When set, shows the resize constraint pickers; `undefined` clears both axes back to auto. */
+    onChangeConstraints?: (next: LayerConstraints | undefined) => void
 }) {
     const t = layer.transform
+    const constraints = t.constraints ?? {}
+    const setAxis = (axis: keyof LayerConstraints, value: string) => {
+        const next: LayerConstraints = { ...constraints, [axis]: value === '' ? undefined : value }
+        if (next[axis] === undefined) delete next[axis]
+        onChangeConstraints?.(next.horizontal || next.vertical ? next : undefined)
+    }
     return (
         <div className="grid grid-cols-2 gap-1.5">
             {(
@@ -32,10 +62,52 @@ export function StudioPrecisionTransformControls({
                             const v = key === 'width' || key === 'height' ? Math.max(20, n) : n
                             onChangeXYWH({ [key]: v })
                         }}
-                        className="w-full rounded-md border border-gray-700/90 bg-gray-900/55 px-2 py-1 text-[11px] text-gray-200"
+                        className={inputClass}
                     />
                 </div>
             ))}
+            {onChangeConstraints && (
+                <>
+                    <div>
+                        <label className="mb-0.5 block text-[10px] text-gray-400" title="How this layer re-flows when the composition is resized to another format">
+                            Resize ↔
+                        </label>
+                        <select
+                            disabled={disabled}
+                            value={constraints.horizontal ?? ''}
+                            onChange={(e) => setAxis('horizontal', e.target.value)}
+                            className={inputClass}
+                        >
+                            <option value="">
+                                Auto{inferredConstraints ? ` (${HORIZONTAL_LABELS[inferredConstraints.horizontal]})` : ''}
+                            </option>
+                            {Object.entries(HORIZONTAL_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>
+                                    {label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="mb-0.5 block text-[10px] text-gray-400">Resize ↕</label>
+                        <select
+                            disabled={disabled}
+                            value={constraints.vertical ?? ''}
+                            onChange={(e) => setAxis('vertical', e.target.value)}
+                            className={inputClass}
+                        >
+                            <option value="">
+                                Auto{inferredConstraints ? ` (${VERTICAL_LABELS[inferredConstraints.vertical]})` : ''}
+                            </option>
+                            {Object.entries(VERTICAL_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>
+                                    {label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </>
+            )}
         </div>
     )
 }
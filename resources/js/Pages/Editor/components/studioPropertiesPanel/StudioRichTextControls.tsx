@@ -0,0 +1,150 @@
+import { useState } from 'react'
+import type { MouseEvent } from 'react'
+import type { BrandContext, TextListStyle, TextRunStyle } from '../../documentModel'
+import { labeledBrandPalette } from '../../documentModel'
+import { StudioSegmentedControl } from './StudioSegmentedControl'
+
+type SelectionPatch = Partial<Record<keyof TextRunStyle, boolean | string | null>>
+
+const LIST_SEGMENTS: Array<{ value: TextListStyle; label: string; title: string }> = [
+    { value: 'none', label: 'None', title: 'Plain paragraphs' },
+    { value: 'bullet', label: '• Bullets', title: 'One bullet per line' },
+    { value: 'number', label: '1. Numbered', title: 'One numbered item per line' },
+]
+
+const chipClass =
+    'rounded border border-gray-700 bg-gray-800 px-2 py-1 text-[11px] text-gray-200 hover:bg-gray-700 disabled:opacity-40'
+
+/**
+ * Per-span styling for text layers. Selection buttons keep focus in the canvas text editor (mousedown is
+ * cancelled) and go through `onStyleSelection`, which the editing text box provides.
+ */
+export function StudioRichTextControls({
+    listStyle,
+    hasRuns,
+    editing,
+    disabled,
+    brandContext,
+    fonts,
+    onListStyleChange,
+    onClearRuns,
+    onStyleSelection,
+}: {
+    listStyle: TextListStyle | undefined
+    hasRuns: boolean
+    /** True while the layer's text is being edited on canvas (a selection can exist). */
+    editing: boolean
+    disabled?: boolean
+    brandContext: BrandContext | null
+    /** Span font choices (canvas font stacks). */
+    fonts: Array<{ label: string; family: string }>
+    onListStyleChange: (next: TextListStyle) => void
+    onClearRuns: () => void
+    onStyleSelection: (makePatch: (current: TextRunStyle) => SelectionPatch) => boolean
+}) {
+    const [hint, setHint] = useState<string | null>(null)
+    const keepFocus = (e: MouseEvent) => e.preventDefault()
+    const style = (makePatch: (current: TextRunStyle) => SelectionPatch) => {
+        setHint(onStyleSelection(makePatch) ? null : 'Select some text in the layer first.')
+    }
+    const selectionDisabled = disabled || !editing
+    const palette = labeledBrandPalette(brandContext)
+
+    return (
+        <div className="space-y-3">
+            <div className="space-y-1.5">
+                <p className="text-[9px] font-semibold uppercase tracking-wider text-gray-500">List</p>
+                <StudioSegmentedControl
+                    aria-label="List style"
+                    value={listStyle ?? 'none'}
+                    disabled={disabled}
+                    onChange={onListStyleChange}
+                    segments={LIST_SEGMENTS}
+                />
+            </div>
+            <div className="space-y-1.5">
+                <p className="text-[9px] font-semibold uppercase tracking-wider text-gray-500">Selected text</p>
+                <div className="flex gap-1">
+                    {(
+                        [
+                            ['bold', 'B', 'Bold (⌘B)', 'font-bold'],
+                            ['italic', 'I', 'Italic (⌘I)', 'italic'],
+                            ['underline', 'U', 'Underline (⌘U)', 'underline'],
+                        ] as const
+                    ).map(([key, label, title, cls]) => (
+                        <button
+                            key={key}
+                            type="button"
+                            title={title}
+                            disabled={selectionDisabled}
+                            onMouseDown={keepFocus}
+                            onClick={() => style((current) => ({ [key]: !current[key] }))}
+                            className={`${chipClass} w-8 ${cls}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex flex-wrap items-center gap-1.5">
+                    {palette.map(({ label, color }) => (
+                        <button
+                            key={`${label}-${color}`}
+                            type="button"
+                            title={`${label} brand color`}
+                            disabled={selectionDisabled || !/^#[0-9a-fA-F]{6}$/.test(color.trim())}
+                            onMouseDown={keepFocus}
+                            onClick={() => style(() => ({ color: color.trim() }))}
+                            className="h-6 w-6 rounded border-2 border-gray-700 shadow-sm disabled:opacity-40"
+                            style={{ backgroundColor: color }}
+                        />
+                    ))}
+                    <button
+                        type="button"
+                        title="Use the layer color"
+                        disabled={selectionDisabled}
+                        onMouseDown={keepFocus}
+                        onClick={() => style(() => ({ color: null }))}
+                        className={chipClass}
+                    >
+                        Layer color
+                    </button>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                    {fonts.map((f) => (
+                        <button
+                            key={f.family}
+                            type="button"
+                            title={f.family}
+                            disabled={selectionDisabled}
+                            onMouseDown={keepFocus}
+                            onClick={() => style(() => ({ fontFamily: f.family }))}
+                            className={chipClass}
+                            style={{ fontFamily: f.family }}
+                        >
+                            {f.label}
+                        </button>
+                    ))}
+                    <button
+                        type="button"
+                        title="Use the layer font"
+                        disabled={selectionDisabled}
+                        onMouseDown={keepFocus}
+                        onClick={() => style(() => ({ fontFamily: null }))}
+                        className={chipClass}
+                    >
+                        Layer font
+                    </button>
+                </div>
+                <p className="text-[10px] leading-snug text-gray-500">
+                    {hint ??
+                        (editing
+                            ? 'Select words on the canvas, then pick a style.'
+                            : 'Double-click the text on the canvas and select words to style them.')}
+                </p>
+            </div>
+            <button type="button" disabled={disabled || !hasRuns} onClick={onClearRuns} className={chipClass}>
+                Clear span styles
+            </button>
+        </div>
+    )
+}
@@ -1,4 +1,7 @@
 import type { BrandContext, DocumentModel } from '../../documentModel'
+import { defaultTextFontKeyFromBrand, effectivePrimaryFontFamily, labeledBrandPalette } from '../../documentModel'
+import { inferStudioSyncRole } from '../../studioSemanticApplyCommands'
+import { applyAllBrandLintFixes, applyBrandLintFix, lintCompositionForBrand } from '../../../../utils/studioBrandLint.mjs'
 
 export type CompositionBrandAnalysisLevel = 'strong' | 'review' | 'concerns'
 
@@ -6,26 +9,94 @@ export type CompositionBrandAnalysisResult = {
     level: CompositionBrandAnalysisLevel
     summary: string
     suggestions: string[]
+    /** Rule-by-rule findings behind {@link summary} (see {@link lintCompositionAgainstBrand}). */
+    issues?: BrandLintIssue[]
     /** Reserved for future server-backed analysis job ids. */
     jobId?: string
 }
 
+export type BrandLintRule = 'font' | 'off_palette' | 'contrast' | 'text_too_small' | 'logo_min_size' | 'logo_clear_space'
+
+export type BrandLintIssue = {
+    /** Stable per layer + rule + property — use as a React key. */
+    id: string
+    rule: BrandLintRule
+    level: 'error' | 'warning'
+    layerId: string
+    message: string
+    /** One-click fix; `null` when no safe automatic change exists. */
+    fix: { layerId: string; label: string; patch: Record<string, unknown> } | null
+}
+
+/** Palette, fonts and logo role resolution for `utils/studioBrandLint.mjs`. */
+function brandLintOptions(brand: BrandContext | null | undefined) {
+    const typo = brand?.typography
+    return {
+        palette: labeledBrandPalette(brand),
+        fonts: [
+            typo?.canvas_primary_font_family,
+            typo?.primary_font,
+            typo?.secondary_font,
+            ...(typo?.font_face_sources ?? []).map((f) => f.family),
+        ].filter((f): f is string => typeof f === 'string' && f.trim() !== ''),
+        primaryFont: effectivePrimaryFontFamily(brand) ?? null,
+        // Only licensed faces have a stable key; otherwise the server maps the family name.
+        fontKeyFor: (weight: number) => {
+            const key = defaultTextFontKeyFromBrand(brand, weight)
+            return key.startsWith('tenant:') ? key : undefined
+        },
+        roleOf: inferStudioSyncRole,
+    }
+}
+
+/**
+ * Brand compliance lint: off-palette colors, off-brand fonts, WCAG contrast, logo clear space / minimum size
+ * and text too small for the format. Checks without brand data (no palette, no fonts) are skipped.
+ */
+export function lintCompositionAgainstBrand(
+    document: DocumentModel,
+    brand: BrandContext | null | undefined
+): BrandLintIssue[] {
+    return lintCompositionForBrand(document, brandLintOptions(brand)) as BrandLintIssue[]
+}
+
+export function applyBrandLintIssueFix(document: DocumentModel, issue: BrandLintIssue): DocumentModel {
+    return applyBrandLintFix(document, issue) as DocumentModel
+}
+
+export function applyAllBrandLintIssueFixes(
+    document: DocumentModel,
+    brand: BrandContext | null | undefined
+): DocumentModel {
+    return applyAllBrandLintFixes(document, brandLintOptions(brand)) as DocumentModel
+}
+
 /**
  * Hook point for full-composition brand analysis before publish/export.
- * Stub: returns soft guidance without blocking callers.
+ * Runs the brand lint locally; never blocks callers — gating is up to the caller.
  */
 export async function analyzeCompositionForBrandBeforeExport(
-    _document: DocumentModel,
-    _brand: BrandContext | null | undefined,
+    document: DocumentModel,
+    brand: BrandContext | null | undefined,
     _opts?: { signal?: AbortSignal }
 ): Promise<CompositionBrandAnalysisResult> {
+    const issues = lintCompositionAgainstBrand(document, brand)
+    const errors = issues.filter((i) => i.level === 'error').length
+    if (issues.length === 0) {
+        return {
+            level: 'strong',
+            summary: 'No brand issues found in palette, fonts, contrast, logo placement or text size.',
+            suggestions: [],
+            issues,
+        }
+    }
     return {
-        level: 'review',
+        level: errors > 0 ? 'concerns' : 'review',
         summary:
-            'Composition-level brand alignment is evaluated before you publish (logos, palette, and headline treatments).',
-        suggestions: [
-            'Use approved brand assets for logos and primary copy.',
-            'Confirm colors in the preview match your brand palette.',
-        ],
+            errors > 0
+                ? `${errors} brand issue${errors === 1 ? '' : 's'} should be fixed before publishing.`
+                : `${issues.length} brand suggestion${issues.length === 1 ? '' : 's'} to review.`,
+        suggestions: issues.slice(0, 5).map((i) => i.message),
+        issues,
     }
 }
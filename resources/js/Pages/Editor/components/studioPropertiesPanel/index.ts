@@ -17,8 +17,20 @@ export { StudioOverlayRange, StudioSliderField } from './StudioSliderField'
 export { StudioCompactField, StudioNumberInput } from './StudioCompactField'
 export { StudioSmartActionCard } from './StudioSmartActionCard'
 export { StudioPrecisionTransformControls } from './StudioPrecisionTransformControls'
+export { StudioLayerEffectsControls } from './StudioLayerEffectsControls'
+export { StudioRichTextControls } from './StudioRichTextControls'
 export { StudioBrandFitCard } from './StudioBrandFitCard'
 export { getLayerBrandFitGuidance } from './layerBrandFitGuidance'
 export type { BrandFitTone, LayerBrandFitGuidance } from './layerBrandFitGuidance'
-export { analyzeCompositionForBrandBeforeExport } from './compositionBrandAnalysis'
-export type { CompositionBrandAnalysisLevel, CompositionBrandAnalysisResult } from './compositionBrandAnalysis'
+export {
+    analyzeCompositionForBrandBeforeExport,
+    applyAllBrandLintIssueFixes,
+    applyBrandLintIssueFix,
+    lintCompositionAgainstBrand,
+} from './compositionBrandAnalysis'
+export type {
+    BrandLintIssue,
+    BrandLintRule,
+    CompositionBrandAnalysisLevel,
+    CompositionBrandAnalysisResult,
+} from './compositionBrandAnalysis'
@@ -70,16 +70,47 @@ export type DocumentModel = {
      */
     groups?: Group[]
     /**
-     * Optional Studio timeline: total composition length for video layers / export.
+     * Optional Studio timeline: total composition length for video layers, keyframe animation and export.
      * Extended without breaking older clients.
      */
     studio_timeline?: {
         duration_ms: number
     }
+    /**
+     * Extra named canvases in the same document, laid out side by side (see `utils/studioArtboards.mjs`).
+     * The active board's content is the top-level `width` / `height` / `preset` / `layers` / `groups`;
+     * its entry here keeps only name and position. Unset means a single board.
+     */
+    artboards?: Artboard[]
+    activeArtboardId?: string
+    /**
+     * Markets this composition is translated for (see `utils/studioLocalization.mjs`). Source copy stays in
+     * each text layer's `content`; target copy lives in its `translations`.
+     */
+    localization?: {
+        sourceLocale: string
+        locales: string[]
+    }
+    /** Set on a locale version: the language its text layers show. */
+    locale?: string
     created_at?: string
     updated_at?: string
 }
 
+/** One named canvas of a multi-artboard document; `x` / `y` place it on the overview canvas. */
+export type Artboard = {
+    id: string
+    name: string
+    width: number
+    height: number
+    x: number
+    y: number
+    preset?: DocumentPreset
+    /** Empty for the active board (its layers are the document's). */
+    layers: Layer[]
+    groups?: Group[]
+}
+
 /**
  * A named collection of layers that move/resize/toggle together. The group is
  * the atom of selection in the editor — clicking any member selects the whole
@@ -99,11 +130,33 @@ export type Group = {
     locked: boolean
     /** When true, the layer panel collapses members under a single row. */
     collapsed: boolean
+    /** Set when this group is a linked instance of a brand component (see `utils/studioBrandComponents.mjs`). */
+    component?: ComponentInstanceLink
+}
+
+/**
+ * Master box + text / color values a member was last materialized from, keyed by master layer id. Member
+ * values that differ from these are the instance's overrides.
+ */
+export type ComponentLayerBase = {
+    x: number
+    y: number
+    width: number
+    height: number
+    content?: string
+    color?: string
+}
+
+export type ComponentInstanceLink = {
+    componentId: string
+    /** Master revision the members were materialized from; older than the library's means a sync is due. */
+    revision: number
+    base: Record<string, ComponentLayerBase>
 }
 
 export type BaseLayer = {
     id: string
-    type: 'image' | 'text' | 'generative_image' | 'fill' | 'mask' | 'video'
+    type: 'image' | 'text' | 'generative_image' | 'fill' | 'mask' | 'video' | 'shape'
     name?: string
     visible: boolean
     locked: boolean
@@ -126,9 +179,59 @@ export type BaseLayer = {
         scaleX?: number
         /** Reserved for Phase 7+ (default 1). */
         scaleY?: number
+        /** How the box re-flows when the composition is resized to another format; unset axes are inferred. */
+        constraints?: LayerConstraints
     }
     /** When set, cross-version sync can target this layer by semantic role. */
     studioSyncRole?: StudioSyncRole
+    /** Master layer id when this layer is a member of a brand component instance ({@link Group.component}). */
+    componentLayerId?: string
+    /** Keyframed motion relative to {@link transform} (see `utils/studioKeyframes.mjs`). */
+    animation?: LayerAnimation
+}
+
+/**
+ * Per-axis resize behavior (see `utils/studioConstraintResize.mjs`): pin to an edge or the center, stretch
+ * between both edges, or scale with the canvas.
+ */
+export type LayerConstraints = {
+    horizontal?: 'left' | 'right' | 'center' | 'stretch' | 'scale'
+    vertical?: 'top' | 'bottom' | 'center' | 'stretch' | 'scale'
+}
+
+export type KeyframeProperty = 'x' | 'y' | 'scale' | 'rotation' | 'opacity'
+
+export type KeyframeEasing = 'linear' | 'ease_in' | 'ease_out' | 'ease_in_out' | 'hold'
+
+/** One key on a track. `easing` shapes the segment leaving this key (default linear). */
+export type LayerKeyframe = {
+    at_ms: number
+    value: number
+    easing?: KeyframeEasing
+}
+
+/**
+ * Per-property keyframe tracks. `x` / `y` are px offsets, `scale` multiplies around the center, `rotation`
+ * is degrees added to `transform.rotation`, `opacity` is 0–1.
+ */
+export type LayerAnimation = {
+    tracks: Partial<Record<KeyframeProperty, LayerKeyframe[]>>
+}
+
+/**
+ * Image layer adjustment stack (see `utils/studioImageAdjustments.mjs` for ranges and render order).
+ * Brightness / contrast / saturation are −100…100 (0 = unchanged), hue is degrees, blur is document px,
+ * grayscale is percent. Crop insets are fractions of the source removed from each side.
+ */
+export type ImageAdjustments = {
+    brightness?: number
+    contrast?: number
+    saturation?: number
+    hue?: number
+    blur?: number
+    grayscale?: number
+    duotone?: { shadow: string; highlight: string } | null
+    crop?: { left: number; top: number; right: number; bottom: number } | null
 }
 
 export type ImageLayer = BaseLayer & {
@@ -141,6 +244,8 @@ export type ImageLayer = BaseLayer & {
     naturalWidth?: number
     naturalHeight?: number
     fit?: 'cover' | 'contain' | 'fill'
+    /** Non-destructive tonal adjustments + crop; rendered by the shared composition renderer, never baked into `src`. */
+    adjustments?: ImageAdjustments
     /** Provenance when this image layer was created from Studio “Extract layers (AI)”. */
     studioLayerExtraction?: {
         created_by?: 'ai_layer_extraction'
@@ -197,11 +302,62 @@ export type CopyScore = {
     feedback: string[]
 }
 
+/**
+ * One shadow-style effect. Offsets, blur and spread are document px; blur uses CSS semantics (σ = blur / 2).
+ * `enabled: false` keeps the settings without rendering. Outer glow ignores offsets.
+ */
+export type LayerShadowEffect = {
+    enabled: boolean
+    /** `#rrggbb` */
+    color: string
+    /** 0–1 */
+    opacity: number
+    offsetX: number
+    offsetY: number
+    blur: number
+    spread: number
+}
+
+/**
+ * Styled span inside a text layer (see `utils/studioTextRuns.mjs`). Run texts concatenate to
+ * {@link TextLayer.content}; unset keys inherit the layer style.
+ */
+export type TextRun = {
+    text: string
+    bold?: boolean
+    italic?: boolean
+    underline?: boolean
+    /** `#rrggbb` */
+    color?: string
+    /** Canvas font family (same values as {@link TextLayer.style.fontFamily}). */
+    fontFamily?: string
+}
+
+export type TextRunStyle = Omit<TextRun, 'text'>
+
+export type TextListStyle = 'none' | 'bullet' | 'number'
+
+/** Layer effects for text and fill layers (see `utils/studioLayerEffects.mjs`). */
+export type LayerEffects = {
+    dropShadow?: LayerShadowEffect
+    outerGlow?: LayerShadowEffect
+    innerShadow?: LayerShadowEffect
+}
+
 export type TextLayer = BaseLayer & {
     type: 'text'
     content: string
+    /**
+     * Optional rich text overlay on {@link content}. Renderers reconcile it against the current content, so
+     * plain-text writers (copy assist, revert) may leave it untouched.
+     */
+    runs?: TextRun[]
     /** Undo stack for copy assist (most recent last); capped client-side. */
     previousText?: string[]
+    /** Per-locale copy keyed by language tag (`de-DE`); see {@link DocumentModel.localization}. */
+    translations?: Record<string, string>
+    /** `false` = do not translate (wordmarks, product codes): skipped by export, import and locale versions. */
+    translatable?: boolean
     style: {
         /**
          * Stable token for native export: bundled:…, google:…, tenant:{assetId}.
@@ -222,6 +378,8 @@ export type TextLayer = BaseLayer & {
         color: string
         textAlign?: 'left' | 'center' | 'right'
         verticalAlign?: 'top' | 'middle' | 'bottom'
+        /** Base text direction; unset = detected from the first strong character (`dir="auto"`). */
+        direction?: 'ltr' | 'rtl'
         /** When true, font size is reduced to fit the layer box. */
         autoFit?: boolean
         /**
@@ -233,7 +391,11 @@ export type TextLayer = BaseLayer & {
         strokeWidth?: number
         /** Stroke color. Defaults to {@link TextLayer.style.color} when unset. */
         strokeColor?: string
+        /** Bullet / numbered list: one item per line, with a hanging marker. */
+        listStyle?: TextListStyle
     }
+    /** Drop shadow / glow / inner shadow, drawn from the glyph outlines. */
+    effects?: LayerEffects
 }
 
 /** Server-built list for FontFace + /api/assets/{id}/file (same-origin); asset IDs from Brand DNA only. */
@@ -450,6 +612,8 @@ export type FillLayer = BaseLayer & {
     gradientAngleDeg?: number
     /** Optional border-radius in px. Used for pill/rounded-button CTA backgrounds. */
     borderRadius?: number
+    /** Drop shadow / glow / inner shadow around the fill box (follows {@link borderRadius}). */
+    effects?: LayerEffects
     /**
      * When set to 'text_boost', this fill layer is a semantic scrim behind
      * headline/body copy. We treat it specially so the properties panel can
@@ -596,9 +760,52 @@ export type MaskLayer = BaseLayer & {
     groupId?: string
 }
 
-export type Layer = ImageLayer | TextLayer | GenerativeImageLayer | FillLayer | MaskLayer | VideoLayer
+export type ShapeKind = 'line' | 'arrow' | 'polygon' | 'star' | 'path'
 
-const ALLOWED_LAYER_TYPES = new Set(['image', 'text', 'generative_image', 'fill', 'mask', 'video'])
+/** Point normalized to the layer box (0 = left/top, 1 = right/bottom). */
+export type ShapePoint = { x: number; y: number }
+
+/**
+ * Vector shape — callouts, arrows, badges. Geometry lives in `utils/studioShapeGeometry.mjs` and is drawn
+ * as SVG by the shared renderer, so editor, PNG/PSD export and the canvas export page match.
+ */
+export type ShapeLayer = BaseLayer & {
+    type: 'shape'
+    shape: ShapeKind
+    /** `line` / `arrow`: two points. `path`: two or more vertices. Unused for polygon / star. */
+    points?: ShapePoint[]
+    /** `path` only — join the last vertex back to the first (fill applies when closed). */
+    closed?: boolean
+    /** `polygon` — 3–12. */
+    sides?: number
+    /** `star` — number of tips, 3–12. */
+    starPoints?: number
+    /** `star` — inner radius as a fraction of the outer radius (0.1–0.95). */
+    innerRadius?: number
+    /** CSS color or `transparent`. Ignored for open shapes. */
+    fill: string
+    stroke: string
+    /** Stroke width in px; 0 = no stroke. */
+    strokeWidth: number
+    strokeDash?: 'solid' | 'dashed' | 'dotted'
+    /** Open shapes — arrowhead at the first point. */
+    arrowStart?: boolean
+    /** Open shapes — arrowhead at the last point. Defaults to on for `arrow`. */
+    arrowEnd?: boolean
+}
+
+export type Layer = ImageLayer | TextLayer | GenerativeImageLayer | FillLayer | MaskLayer | VideoLayer | ShapeLayer
+
+const ALLOWED_LAYER_TYPES = new Set(['image', 'text', 'generative_image', 'fill', 'mask', 'video', 'shape'])
+
+export function isShapeLayer(l: Layer): l is ShapeLayer {
+    return l.type === 'shape'
+}
+
+/** Open shapes carry editable endpoints / vertices on canvas. */
+export function shapeHasEditablePoints(l: ShapeLayer): boolean {
+    return l.shape === 'line' || l.shape === 'arrow' || l.shape === 'path'
+}
 
 export function isFillLayer(l: Layer): l is FillLayer {
     return l.type === 'fill'
@@ -981,6 +1188,7 @@ export function createGroup(
 /**
  * Dissolve a group: removes the {@link Group} entry and strips `groupId`
  * from every member. Layers retain all other properties (z, transform, …).
+ * Ungrouping a component instance also unlinks it from the master.
  */
 export function ungroup(doc: DocumentModel, groupId: string): DocumentModel {
     if (!doc.groups?.some((g) => g.id === groupId)) {
@@ -989,7 +1197,7 @@ export function ungroup(doc: DocumentModel, groupId: string): DocumentModel {
     return {
         ...doc,
         groups: (doc.groups ?? []).filter((g) => g.id !== groupId),
-        layers: doc.layers.map((l) => (l.groupId === groupId ? { ...l, groupId: undefined } : l)),
+        layers: doc.layers.map((l) => (l.groupId === groupId ? { ...l, groupId: undefined, componentLayerId: undefined } : l)),
         updated_at: new Date().toISOString(),
     }
 }
@@ -1038,17 +1246,17 @@ export function removeLayerFromGroup(doc: DocumentModel, layerId: string): Docum
         g.id === gid ? { ...g, memberIds: g.memberIds.filter((id) => id !== layerId) } : g
     )
     // Prune groups that end up with fewer than 2 members — a group of one
-    // is meaningless and just pollutes the panel.
-    const prunedGroups = groups.filter((g) => g.memberIds.length >= 2)
-    const droppedGroupIds = new Set(
-        groups.filter((g) => g.memberIds.length < 2).map((g) => g.id)
-    )
+    // is meaningless and just pollutes the panel. Component instances are
+    // the exception: a one-layer component (a logo) is still an instance.
+    const keepGroup = (g: Group) => g.memberIds.length >= (g.component ? 1 : 2)
+    const prunedGroups = groups.filter(keepGroup)
+    const droppedGroupIds = new Set(groups.filter((g) => !keepGroup(g)).map((g) => g.id))
     return {
         ...doc,
         groups: prunedGroups,
         layers: doc.layers.map((l) => {
-            if (l.id === layerId) return { ...l, groupId: undefined }
-            if (l.groupId && droppedGroupIds.has(l.groupId)) return { ...l, groupId: undefined }
+            if (l.id === layerId) return { ...l, groupId: undefined, componentLayerId: undefined }
+            if (l.groupId && droppedGroupIds.has(l.groupId)) return { ...l, groupId: undefined, componentLayerId: undefined }
             return l
         }),
         updated_at: new Date().toISOString(),
@@ -1207,15 +1415,9 @@ export function normalizeImageLayerSrcAfterApiLoad(layer: Layer): Layer {
 }
 
 /** Normalize JSON from the server into a {@link DocumentModel}. */
-export function parseDocumentFromApi(raw: unknown): DocumentModel {
-    if (!raw || typeof raw !== 'object') {
-        return createInitialDocument()
-    }
-    const o = raw as Record<string, unknown>
-    const w = typeof o.width === 'number' && o.width > 0 ? o.width : 1080
-    const h = typeof o.height === 'number' && o.height > 0 ? o.height : 1080
-    const layersRaw = Array.isArray(o.layers) ? (o.layers as unknown[]) : []
-    const layers = normalizeZ(
+function parseLayersFromApi(raw: unknown): Layer[] {
+    const layersRaw = Array.isArray(raw) ? (raw as unknown[]) : []
+    return normalizeZ(
         layersRaw.filter((raw): raw is Layer => {
             if (!raw || typeof raw !== 'object') {
                 return false
@@ -1224,11 +1426,14 @@ export function parseDocumentFromApi(raw: unknown): DocumentModel {
             return typeof t === 'string' && ALLOWED_LAYER_TYPES.has(t)
         }) as Layer[]
     ).map(normalizeImageLayerSrcAfterApiLoad)
-    // Parse groups[] defensively — old documents won't have this field, and
-    // we don't want a stray string/number crashing reducers that iterate the
-    // list. Anything shaped wrong gets dropped; the rest is kept verbatim.
-    const groupsRaw = Array.isArray(o.groups) ? (o.groups as unknown[]) : []
-    const groups: Group[] = groupsRaw
+}
+
+// Parse groups[] defensively — old documents won't have this field, and
+// we don't want a stray string/number crashing reducers that iterate the
+// list. Anything shaped wrong gets dropped; the rest is kept verbatim.
+function parseGroupsFromApi(raw: unknown): Group[] {
+    const groupsRaw = Array.isArray(raw) ? (raw as unknown[]) : []
+    return groupsRaw
         .filter((g): g is Record<string, unknown> => !!g && typeof g === 'object')
         .map((g) => ({
             id: typeof g.id === 'string' ? g.id : generateId(),
@@ -1236,7 +1441,63 @@ export function parseDocumentFromApi(raw: unknown): DocumentModel {
             memberIds: Array.isArray(g.memberIds) ? g.memberIds.filter((x): x is string => typeof x === 'string') : [],
             locked: !!g.locked,
             collapsed: !!g.collapsed,
+            ...(g.component && typeof g.component === 'object' ? { component: g.component as ComponentInstanceLink } : {}),
+        }))
+}
+
+function parsePresetFromApi(raw: unknown): DocumentPreset | undefined {
+    return raw === 'instagram_post' || raw === 'web_banner' || raw === 'custom' ? raw : undefined
+}
+
+/** Boards with a bad id or size are dropped; a single surviving board means a single-canvas document. */
+function parseArtboardsFromApi(raw: unknown, activeRaw: unknown): Pick<DocumentModel, 'artboards' | 'activeArtboardId'> {
+    if (!Array.isArray(raw)) {
+        return {}
+    }
+    const artboards: Artboard[] = (raw as unknown[])
+        .filter((b): b is Record<string, unknown> => !!b && typeof b === 'object')
+        .filter((b) => typeof b.id === 'string' && typeof b.width === 'number' && b.width > 0 && typeof b.height === 'number' && b.height > 0)
+        .map((b, i) => ({
+            id: b.id as string,
+            name: typeof b.name === 'string' && b.name.trim() ? b.name : `Artboard ${i + 1}`,
+            width: b.width as number,
+            height: b.height as number,
+            x: typeof b.x === 'number' ? b.x : 0,
+            y: typeof b.y === 'number' ? b.y : 0,
+            preset: parsePresetFromApi(b.preset),
+            layers: parseLayersFromApi(b.layers),
+            groups: parseGroupsFromApi(b.groups),
         }))
+    if (artboards.length < 2) {
+        return {}
+    }
+    const active = typeof activeRaw === 'string' && artboards.some((b) => b.id === activeRaw) ? activeRaw : artboards[0].id
+    return { artboards, activeArtboardId: active }
+}
+
+function parseLocalizationFromApi(raw: unknown): DocumentModel['localization'] {
+    if (!raw || typeof raw !== 'object') {
+        return undefined
+    }
+    const l = raw as Record<string, unknown>
+    if (typeof l.sourceLocale !== 'string' || !l.sourceLocale.trim()) {
+        return undefined
+    }
+    return {
+        sourceLocale: l.sourceLocale,
+        locales: Array.isArray(l.locales) ? l.locales.filter((x): x is string => typeof x === 'string' && x.trim() !== '') : [],
+    }
+}
+
+export function parseDocumentFromApi(raw: unknown): DocumentModel {
+    if (!raw || typeof raw !== 'object') {
+        return createInitialDocument()
+    }
+    const o = raw as Record<string, unknown>
+    const w = typeof o.width === 'number' && o.width > 0 ? o.width : 1080
+    const h = typeof o.height === 'number' && o.height > 0 ? o.height : 1080
+    const layers = parseLayersFromApi(o.layers)
+    const groups = parseGroupsFromApi(o.groups)
 
     let studioBrief: DocumentModel['studioBrief']
     if (o.studioBrief && typeof o.studioBrief === 'object') {
@@ -1262,14 +1523,14 @@ export function parseDocumentFromApi(raw: unknown): DocumentModel {
         id: typeof o.id === 'string' ? o.id : generateId(),
         width: w,
         height: h,
-        preset:
-            o.preset === 'instagram_post' || o.preset === 'web_banner' || o.preset === 'custom'
-                ? o.preset
-                : undefined,
+        preset: parsePresetFromApi(o.preset),
         layers,
         groups,
         studioBrief,
         studio_timeline,
+        ...parseArtboardsFromApi(o.artboards, o.activeArtboardId),
+        localization: parseLocalizationFromApi(o.localization),
+        locale: typeof o.locale === 'string' && o.locale.trim() ? o.locale : undefined,
         created_at: typeof o.created_at === 'string' ? o.created_at : undefined,
         updated_at: typeof o.updated_at === 'string' ? o.updated_at : undefined,
     }
@@ -1844,13 +2105,16 @@ const AUTO_FIT_MIN = 8
 
 /**
  * Shrinks font size until text fits a box (simple decrement loop; off-DOM measurement).
+ * Pass `populate` to fill the probe with the same markup the renderer uses (rich text runs, list markers);
+ * otherwise `text` is measured as plain text.
  */
 export function computeAutoFitTextFontSize(
     text: string,
     boxWidth: number,
     boxHeight: number,
     startFontSize: number,
-    style: Pick<TextLayer['style'], 'fontFamily' | 'fontWeight' | 'lineHeight' | 'letterSpacing' | 'textAlign'>
+    style: Pick<TextLayer['style'], 'fontFamily' | 'fontWeight' | 'lineHeight' | 'letterSpacing' | 'textAlign' | 'direction'>,
+    populate?: (probe: HTMLDivElement) => void
 ): number {
     if (typeof document === 'undefined') {
         return Math.max(AUTO_FIT_MIN, startFontSize)
@@ -1874,9 +2138,14 @@ export function computeAutoFitTextFontSize(
     div.style.lineHeight = String(lh)
     div.style.letterSpacing = `${ls}px`
     div.style.textAlign = ta
+    div.dir = style.direction ?? 'auto'
     div.style.whiteSpace = 'pre-wrap'
     div.style.wordBreak = 'break-word'
-    div.textContent = text
+    if (populate) {
+        populate(div)
+    } else {
+        div.textContent = text
+    }
     document.body.appendChild(div)
 
     let size = Math.max(AUTO_FIT_MIN, Math.round(startFontSize))
@@ -2065,6 +2334,87 @@ export function createDefaultMaskLayer(
     }
 }
 
+export type ShapePreset = ShapeKind | 'callout'
+
+/**
+ * Factory for a new {@link ShapeLayer}. Colors come from the brand palette (primary for ink, secondary /
+ * accent for fills) so a fresh callout or arrow is on-brand without touching the panel.
+ */
+export function createDefaultShapeLayer(
+    preset: ShapePreset,
+    z: number,
+    doc: Pick<DocumentModel, 'width' | 'height'>,
+    brand?: BrandContext | null
+): ShapeLayer {
+    const palette = labeledBrandPalette(brand)
+    const ink = palette[0]?.color ?? '#111827'
+    const accent = palette[1]?.color ?? palette[0]?.color ?? '#6366f1'
+    const open = preset === 'line' || preset === 'arrow'
+    const width = Math.round(doc.width * (open ? 0.4 : 0.3))
+    const height = open ? 24 : preset === 'callout' ? Math.round(width * 0.7) : width
+    const { x, y } = centerLayerInDocument(doc, width, height)
+    const base = {
+        id: generateId(),
+        type: 'shape' as const,
+        visible: true,
+        locked: false,
+        z,
+        transform: defaultTransform({ x, y, width, height }),
+        stroke: ink,
+        strokeWidth: open ? 6 : 0,
+        fill: 'transparent',
+    }
+    switch (preset) {
+        case 'line':
+            return { ...base, name: 'Line', shape: 'line', points: [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }] }
+        case 'arrow':
+            return {
+                ...base,
+                name: 'Arrow',
+                shape: 'arrow',
+                points: [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }],
+                arrowEnd: true,
+            }
+        case 'polygon':
+            return { ...base, name: 'Polygon', shape: 'polygon', sides: 6, fill: accent }
+        case 'star':
+            return { ...base, name: 'Star', shape: 'star', starPoints: 5, innerRadius: 0.5, fill: accent }
+        case 'callout':
+            return {
+                ...base,
+                name: 'Callout',
+                shape: 'path',
+                closed: true,
+                fill: '#ffffff',
+                strokeWidth: 4,
+                points: [
+                    { x: 0, y: 0 },
+                    { x: 1, y: 0 },
+                    { x: 1, y: 0.75 },
+                    { x: 0.4, y: 0.75 },
+                    { x: 0.2, y: 1 },
+                    { x: 0.22, y: 0.75 },
+                    { x: 0, y: 0.75 },
+                ],
+            }
+        case 'path':
+        default:
+            return {
+                ...base,
+                name: 'Path',
+                shape: 'path',
+                closed: false,
+                strokeWidth: 6,
+                points: [
+                    { x: 0, y: 0.8 },
+                    { x: 0.33, y: 0.2 },
+                    { x: 0.66, y: 0.8 },
+                    { x: 1, y: 0.2 },
+                ],
+            }
+    }
+}
+
 export function createDefaultTextLayer(
     z: number,
     doc: Pick<DocumentModel, 'width' | 'height'>,
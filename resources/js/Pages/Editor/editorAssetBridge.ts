@@ -88,8 +88,8 @@ export async function fetchEditorPublishCategories(): Promise<EditorPublishCateg
 export type FetchEditorAssetsOptions = {
     /** Library (default) vs executions / deliverables */
     assetType?: 'asset' | 'deliverable'
-    /** `image` (default) = raster/SVG in asset picker; `video` = video/* only */
-    contentType?: 'image' | 'video'
+    /** `image` (default) = raster/SVG in asset picker; `video` = video/* only; `psd` = Photoshop files (Studio import) */
+    contentType?: 'image' | 'video' | 'psd'
     /** Filter by DAM category (metadata.category_id), e.g. Photography, Print */
     categoryId?: number
     /** Server-side match on title / original filename (Studio asset picker search) */
@@ -110,8 +110,8 @@ export async function fetchEditorAssets(
     if (options?.assetType === 'deliverable') {
         params.set('asset_type', 'deliverable')
     }
-    if (options?.contentType === 'video') {
-        params.set('content_type', 'video')
+    if (options?.contentType === 'video' || options?.contentType === 'psd') {
+        params.set('content_type', options.contentType)
     }
     if (options?.categoryId != null && Number.isFinite(options.categoryId) && options.categoryId > 0) {
         params.set('category_id', String(Math.floor(options.categoryId)))
@@ -370,6 +370,8 @@ export async function uploadEditorLibraryImage(
         categoryId?: number
         /** Display name; defaults to filename stem. */
         name?: string
+        /** `metadata.editor_source` provenance tag; defaults to `studio_picker`. */
+        editorSource?: string
     }
 ): Promise<{ assetId: string }> {
     const csrf = document.querySelector('meta[name="csrf-token"]')?.content
@@ -381,7 +383,7 @@ export async function uploadEditorLibraryImage(
     if (options?.categoryId != null && Number.isFinite(options.categoryId) && options.categoryId > 0) {
         fd.append('category_id', String(Math.floor(options.categoryId)))
     }
-    fd.append('metadata', JSON.stringify({ editor_source: 'studio_picker' }))
+    fd.append('metadata', JSON.stringify({ editor_source: options?.editorSource ?? 'studio_picker' }))
     const res = await fetch('/app/api/assets', {
         method: 'POST',
         headers: { Accept: 'application/json', 'X-CSRF-TOKEN': csrf ?? '' },
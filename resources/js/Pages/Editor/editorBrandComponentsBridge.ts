@@ -0,0 +1,106 @@
+import type { Layer } from './documentModel'
+
+export type BrandComponentKind = 'logo' | 'cta' | 'disclaimer' | 'other'
+
+/** Master layers are stored relative to the component's top-left (see `utils/studioBrandComponents.mjs`). */
+export type BrandComponentDefinition = {
+    width: number
+    height: number
+    layers: Layer[]
+}
+
+export type BrandComponentDto = {
+    id: string
+    name: string
+    kind: BrandComponentKind
+    revision: number
+    definition: BrandComponentDefinition
+    owner_user_id: string | null
+    updated_at: string
+}
+
+export type BrandComponentPropagation = {
+    /** Compositions the server re-materialized (may include the one open in the editor). */
+    updated_composition_ids: string[]
+}
+
+function csrfHeaders(): HeadersInit {
+    const csrf = document.querySelector<HTMLMetaElement>('meta[name="csrf-token"]')?.content
+    return {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        'X-CSRF-TOKEN': csrf ?? '',
+    }
+}
+
+async function readJson<T>(res: Response, fallback: string): Promise<T> {
+    const text = await res.text()
+    let data: T & { error?: string; message?: string }
+    try {
+        data = JSON.parse(text) as T & { error?: string; message?: string }
+    } catch {
+        throw new Error(text || fallback)
+    }
+    if (!res.ok) {
+        throw new Error(data.error || data.message || fallback)
+    }
+    return data
+}
+
+export async function fetchBrandComponents(): Promise<BrandComponentDto[]> {
+    const res = await fetch('/app/api/studio-components', {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' },
+    })
+    const data = await readJson<{ components?: BrandComponentDto[] }>(res, 'Could not load components')
+    return data.components ?? []
+}
+
+export async function postBrandComponent(input: {
+    name: string
+    kind: BrandComponentKind
+    definition: BrandComponentDefinition
+}): Promise<BrandComponentDto> {
+    const res = await fetch('/app/api/studio-components', {
+        method: 'POST',
+        headers: csrfHeaders(),
+        credentials: 'same-origin',
+        body: JSON.stringify(input),
+    })
+    const data = await readJson<{ component?: BrandComponentDto }>(res, 'Could not save component')
+    if (!data.component) {
+        throw new Error('Invalid response')
+    }
+    return data.component
+}
+
+/** Saving a new `definition` bumps the revision and updates every linked instance server-side. */
+export async function putBrandComponent(
+    id: string,
+    patch: { name?: string; kind?: BrandComponentKind; definition?: BrandComponentDefinition }
+): Promise<{ component: BrandComponentDto; propagation: BrandComponentPropagation }> {
+    const res = await fetch(`/app/api/studio-components/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        headers: csrfHeaders(),
+        credentials: 'same-origin',
+        body: JSON.stringify(patch),
+    })
+    const data = await readJson<{ component?: BrandComponentDto; propagation?: BrandComponentPropagation }>(
+        res,
+        'Could not update component'
+    )
+    if (!data.component) {
+        throw new Error('Invalid response')
+    }
+    return { component: data.component, propagation: data.propagation ?? { updated_composition_ids: [] } }
+}
+
+export async function deleteBrandComponent(id: string): Promise<BrandComponentPropagation> {
+    const res = await fetch(`/app/api/studio-components/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        headers: csrfHeaders(),
+        credentials: 'same-origin',
+    })
+    const data = await readJson<{ propagation?: BrandComponentPropagation }>(res, 'Could not delete component')
+    return data.propagation ?? { updated_composition_ids: [] }
+}
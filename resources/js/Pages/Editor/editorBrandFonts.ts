@@ -62,6 +62,49 @@ function injectStylesheet(url: string): Promise<void> {
     })
 }
 
+const fontFileBytesByAssetId = new Map<string, Promise<ArrayBuffer | null>>()
+
+/**
+ * Raw bytes of a licensed / uploaded font file (GET /app/api/assets/{id}/file). Cached per asset so vector
+ * export can embed the same file the canvas registered without a second download. Null on any failure.
+ */
+export function fetchBrandFontFileBytes(assetId: number | string): Promise<ArrayBuffer | null> {
+    const cacheKey = String(assetId)
+    const cached = fontFileBytesByAssetId.get(cacheKey)
+    if (cached) {
+        return cached
+    }
+    const pending = (async (): Promise<ArrayBuffer | null> => {
+        const csrf = document.querySelector('meta[name="csrf-token"]')?.content
+        const url = `/app/api/assets/${assetId}/file`
+        const res = await fetch(url, {
+            credentials: 'same-origin',
+            headers: {
+                Accept: 'font/woff2,font/woff,font/ttf,application/octet-stream,*/*',
+                ...(csrf ? { 'X-CSRF-TOKEN': csrf } : {}),
+            },
+        })
+        if (!res.ok) {
+            logBrandFont('fetch failed', { url, status: res.status })
+            return null
+        }
+        const buf = await res.arrayBuffer()
+        if (buf.byteLength === 0) {
+            logBrandFont('empty response', { url })
+            return null
+        }
+        return buf
+    })().catch(() => null)
+    fontFileBytesByAssetId.set(cacheKey, pending)
+    // Failures are not cached — a later load or export retries.
+    void pending.then((buf) => {
+        if (!buf) {
+            fontFileBytesByAssetId.delete(cacheKey)
+        }
+    })
+    return pending
+}
+
 async function injectFontFaceFromAsset(
     family: string,
     assetId: number | string,
@@ -75,30 +118,16 @@ async function injectFontFaceFromAsset(
     }
     loadedFontFaceKeys.add(key)
 
-    const csrf = document.querySelector('meta[name="csrf-token"]')?.content
-    const url = `/app/api/assets/${assetId}/file`
-    logBrandFont('fetch font bytes', { url, family, weight, style })
-    const res = await fetch(url, {
-        credentials: 'same-origin',
-        headers: {
-            Accept: 'font/woff2,font/woff,font/ttf,application/octet-stream,*/*',
-            ...(csrf ? { 'X-CSRF-TOKEN': csrf } : {}),
-        },
-    })
-    if (!res.ok) {
-        logBrandFont('fetch failed', { url, status: res.status, family })
-        loadedFontFaceKeys.delete(key)
-        return
-    }
-    const buf = await res.arrayBuffer()
-    if (buf.byteLength === 0) {
-        logBrandFont('empty response', { url, family })
+    logBrandFont('fetch font bytes', { assetId, family, weight, style })
+    const buf = await fetchBrandFontFileBytes(assetId)
+    if (!buf) {
         loadedFontFaceKeys.delete(key)
         return
     }
 
     try {
-        const face = new FontFace(family, buf, {
+        // Copy: the cached bytes are shared with vector export.
+        const face = new FontFace(family, buf.slice(0), {
             weight: weight || '400',
             style: style || 'normal',
         })
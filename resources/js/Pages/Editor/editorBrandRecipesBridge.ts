@@ -0,0 +1,117 @@
+import type { LayerBlueprint } from './templateConfig'
+import type { RecipeDescriptor } from './recipes'
+
+export type RecipeTextBinding = 'fixed' | 'headline' | 'subheadline' | 'cta' | 'body' | 'product_name' | 'url' | 'brand_name'
+export type RecipeImageBinding = 'fixed' | 'hero' | 'secondary_hero' | 'texture' | 'logo' | 'empty'
+export type RecipeColorBinding = 'fixed' | 'primary' | 'secondary' | 'accent'
+
+export type RecipeSlotBinding = {
+    content?: RecipeTextBinding | RecipeImageBinding
+    color?: RecipeColorBinding
+}
+
+export type BrandRecipeBlueprint = Omit<LayerBlueprint, 'placement' | 'enabled' | 'defaults'> & {
+    defaults: Record<string, unknown>
+    bind?: RecipeSlotBinding
+}
+
+/** Ratio blueprints captured from a composition (see `utils/studioUserRecipes.mjs`). */
+export type BrandRecipeDefinition = {
+    version: 1
+    /** Size of the source composition; pixel defaults (font sizes, radii) scale from it. */
+    width: number
+    height: number
+    blueprints: BrandRecipeBlueprint[]
+}
+
+export type BrandRecipeCategory = RecipeDescriptor['category']
+
+export type BrandRecipeDto = {
+    id: string
+    name: string
+    description: string
+    category: BrandRecipeCategory
+    definition: BrandRecipeDefinition
+    source_composition_id: string | null
+    owner_user_id: string | null
+    updated_at: string
+}
+
+function csrfHeaders(): HeadersInit {
+    const csrf = document.querySelector<HTMLMetaElement>('meta[name="csrf-token"]')?.content
+    return {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        'X-CSRF-TOKEN': csrf ?? '',
+    }
+}
+
+async function readJson<T>(res: Response, fallback: string): Promise<T> {
+    const text = await res.text()
+    let data: T & { error?: string; message?: string }
+    try {
+        data = JSON.parse(text) as T & { error?: string; message?: string }
+    } catch {
+        throw new Error(text || fallback)
+    }
+    if (!res.ok) {
+        throw new Error(data.error || data.message || fallback)
+    }
+    return data
+}
+
+/** `canAuthor` is true for brand admins and brand managers — only they may save, edit or delete recipes. */
+export async function fetchBrandRecipes(): Promise<{ recipes: BrandRecipeDto[]; canAuthor: boolean }> {
+    const res = await fetch('/app/api/studio-recipes', {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' },
+    })
+    const data = await readJson<{ recipes?: BrandRecipeDto[]; can_author?: boolean }>(res, 'Could not load recipes')
+    return { recipes: data.recipes ?? [], canAuthor: data.can_author === true }
+}
+
+export async function postBrandRecipe(input: {
+    name: string
+    description?: string
+    category: BrandRecipeCategory
+    source_composition_id?: string | null
+    definition: BrandRecipeDefinition
+}): Promise<BrandRecipeDto> {
+    const res = await fetch('/app/api/studio-recipes', {
+        method: 'POST',
+        headers: csrfHeaders(),
+        credentials: 'same-origin',
+        body: JSON.stringify(input),
+    })
+    const data = await readJson<{ recipe?: BrandRecipeDto }>(res, 'Could not save recipe')
+    if (!data.recipe) {
+        throw new Error('Invalid response')
+    }
+    return data.recipe
+}
+
+export async function putBrandRecipe(
+    id: string,
+    patch: { name?: string; description?: string; category?: BrandRecipeCategory; definition?: BrandRecipeDefinition }
+): Promise<BrandRecipeDto> {
+    const res = await fetch(`/app/api/studio-recipes/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        headers: csrfHeaders(),
+        credentials: 'same-origin',
+        body: JSON.stringify(patch),
+    })
+    const data = await readJson<{ recipe?: BrandRecipeDto }>(res, 'Could not update recipe')
+    if (!data.recipe) {
+        throw new Error('Invalid response')
+    }
+    return data.recipe
+}
+
+export async function deleteBrandRecipe(id: string): Promise<void> {
+    const res = await fetch(`/app/api/studio-recipes/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        headers: csrfHeaders(),
+        credentials: 'same-origin',
+    })
+    await readJson<{ deleted?: boolean }>(res, 'Could not delete recipe')
+}
@@ -21,6 +21,22 @@ export type CompositionDto = {
     thumbnail_url?: string | null
     created_at: string
     updated_at: string
+    /** Bumped when the server rewrites the document (brand component propagation); sent back on save. */
+    external_revision?: number
+}
+
+/**
+ * PUT rejected with 409: the server rewrote the document since `baseExternalRevision` (a brand component
+ * master changed). `composition` is the current server copy.
+ */
+export class CompositionConflictError extends Error {
+    composition: CompositionDto | null
+
+    constructor(message: string, composition: CompositionDto | null) {
+        super(message)
+        this.name = 'CompositionConflictError'
+        this.composition = composition
+    }
 }
 
 export type CompositionVersionKind = 'manual' | 'autosave'
@@ -104,6 +120,8 @@ export async function putComposition(
         telemetry?: CompositionTelemetry
         visibility?: CompositionVisibility
         folder?: string | null
+        /** Last `external_revision` the editor saw; omitted = no conflict check. */
+        baseExternalRevision?: number
     }
 ): Promise<CompositionDto> {
     const trimmedName = typeof opts?.name === 'string' ? opts.name.trim() : ''
@@ -116,6 +134,7 @@ export async function putComposition(
         create_version: opts?.createVersion ?? true,
         thumbnail_png_base64: opts?.thumbnailPngBase64 ?? undefined,
         telemetry: opts?.telemetry,
+        base_external_revision: opts?.baseExternalRevision,
     }
     if (trimmedName !== '') {
         body.name = trimmedName
@@ -128,12 +147,15 @@ export async function putComposition(
         body: JSON.stringify(body),
     })
     const text = await res.text()
-    let data: { composition?: CompositionDto; error?: string }
+    let data: { composition?: CompositionDto; error?: string; code?: string }
     try {
-        data = JSON.parse(text) as { composition?: CompositionDto; error?: string }
+        data = JSON.parse(text) as { composition?: CompositionDto; error?: string; code?: string }
     } catch {
         throw new Error(text || 'Save failed')
     }
+    if (res.status === 409 && data.code === 'external_revision_conflict') {
+        throw new CompositionConflictError(data.error || 'Composition changed on the server', data.composition ?? null)
+    }
     if (!res.ok) {
         throw new Error(data.error || text || 'Save failed')
     }
@@ -0,0 +1,160 @@
+export type CommentUserDto = {
+    id: number
+    name: string
+    avatar_url: string | null
+}
+
+export type CompositionCommentDto = {
+    id: string
+    body: string
+    mentioned_user_ids: number[]
+    author: CommentUserDto | null
+    created_at: string
+}
+
+/**
+ * Pinned at document px `x` / `y`. With `layer_id`, `layer_rel_*` place the pin as a fraction of that layer's
+ * box so it follows the layer; `x` / `y` remain the fallback once the layer is deleted.
+ */
+export type CommentThreadDto = {
+    id: string
+    composition_id: string
+    x: number
+    y: number
+    layer_id: string | null
+    layer_rel_x: number | null
+    layer_rel_y: number | null
+    resolved_at: string | null
+    resolved_by: CommentUserDto | null
+    author: CommentUserDto | null
+    created_at: string
+    updated_at: string
+    comments: CompositionCommentDto[]
+}
+
+export type CommentPinDto = Pick<CommentThreadDto, 'x' | 'y' | 'layer_id' | 'layer_rel_x' | 'layer_rel_y'>
+
+/** Per-composition thread counts for the Versions rail. */
+export type CommentSummaryDto = {
+    open: number
+    resolved: number
+    /** First comment of up to three open threads, most recently active first. */
+    open_previews: string[]
+}
+
+function csrfHeaders(): HeadersInit {
+    const csrf = document.querySelector<HTMLMetaElement>('meta[name="csrf-token"]')?.content
+    return {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        'X-CSRF-TOKEN': csrf ?? '',
+    }
+}
+
+async function readJson<T>(res: Response, fallback: string): Promise<T> {
+    const text = await res.text()
+    let data: T & { error?: string; message?: string }
+    try {
+        data = JSON.parse(text) as T & { error?: string; message?: string }
+    } catch {
+        throw new Error(text || fallback)
+    }
+    if (!res.ok) {
+        throw new Error(data.error || data.message || fallback)
+    }
+    return data
+}
+
+function threadFrom(data: { thread?: CommentThreadDto }): CommentThreadDto {
+    if (!data.thread) {
+        throw new Error('Invalid response')
+    }
+    return data.thread
+}
+
+const base = (compositionId: string) => `/app/api/compositions/${encodeURIComponent(compositionId)}`
+
+export async function fetchCommentThreads(compositionId: string): Promise<CommentThreadDto[]> {
+    const res = await fetch(`${base(compositionId)}/comments`, {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' },
+    })
+    const data = await readJson<{ threads?: CommentThreadDto[] }>(res, 'Could not load comments')
+    return data.threads ?? []
+}
+
+export async function postCommentThread(
+    compositionId: string,
+    input: CommentPinDto & { body: string; mentioned_user_ids: number[] }
+): Promise<CommentThreadDto> {
+    const res = await fetch(`${base(compositionId)}/comments`, {
+        method: 'POST',
+        headers: csrfHeaders(),
+        credentials: 'same-origin',
+        body: JSON.stringify(input),
+    })
+    return threadFrom(await readJson<{ thread?: CommentThreadDto }>(res, 'Could not post comment'))
+}
+
+export async function postCommentReply(
+    compositionId: string,
+    threadId: string,
+    input: { body: string; mentioned_user_ids: number[] }
+): Promise<CommentThreadDto> {
+    const res = await fetch(`${base(compositionId)}/comments/${encodeURIComponent(threadId)}/replies`, {
+        method: 'POST',
+        headers: csrfHeaders(),
+        credentials: 'same-origin',
+        body: JSON.stringify(input),
+    })
+    return threadFrom(await readJson<{ thread?: CommentThreadDto }>(res, 'Could not post reply'))
+}
+
+/** Resolve / reopen (`resolved`) or move the pin. */
+export async function patchCommentThread(
+    compositionId: string,
+    threadId: string,
+    patch: { resolved?: boolean } & Partial<CommentPinDto>
+): Promise<CommentThreadDto> {
+    const res = await fetch(`${base(compositionId)}/comments/${encodeURIComponent(threadId)}`, {
+        method: 'PATCH',
+        headers: csrfHeaders(),
+        credentials: 'same-origin',
+        body: JSON.stringify(patch),
+    })
+    return threadFrom(await readJson<{ thread?: CommentThreadDto }>(res, 'Could not update thread'))
+}
+
+export async function deleteCommentThread(compositionId: string, threadId: string): Promise<void> {
+    const res = await fetch(`${base(compositionId)}/comments/${encodeURIComponent(threadId)}`, {
+        method: 'DELETE',
+        headers: csrfHeaders(),
+        credentials: 'same-origin',
+    })
+    await readJson<{ ok?: boolean }>(res, 'Could not delete thread')
+}
+
+export async function fetchCommentMentionables(compositionId: string): Promise<CommentUserDto[]> {
+    const res = await fetch(`${base(compositionId)}/comment-mentionables`, {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' },
+    })
+    const data = await readJson<{ users?: CommentUserDto[] }>(res, 'Could not load people')
+    return data.users ?? []
+}
+
+export async function fetchCommentSummary(compositionIds: string[]): Promise<Record<string, CommentSummaryDto>> {
+    if (compositionIds.length === 0) {
+        return {}
+    }
+    const qs = new URLSearchParams()
+    for (const id of compositionIds) {
+        qs.append('ids[]', id)
+    }
+    const res = await fetch(`/app/api/compositions/comment-summary?${qs.toString()}`, {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' },
+    })
+    const data = await readJson<{ summary?: Record<string, CommentSummaryDto> }>(res, 'Could not load comment counts')
+    return data.summary ?? {}
+}
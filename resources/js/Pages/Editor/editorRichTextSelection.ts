@@ -0,0 +1,146 @@
+/**
+ * Maps a DOM selection inside the text-layer contentEditable to offsets in the plain `content` string
+ * (what `innerText` returns), and back. Browsers insert `<div>` / `<br>` on Enter, so the walk follows the
+ * `innerText` rules for those (block boundaries and `<br>` become `\n`).
+ */
+
+type Piece = { kind: 'text'; text: string } | { kind: 'break' } | { kind: 'mark'; index: number }
+
+const BLOCK_TAGS = new Set(['DIV', 'P', 'LI', 'UL', 'OL'])
+
+function collect(node: Node, points: Array<{ node: Node; offset: number }>, out: Piece[]): void {
+    const marksAt = (offset: number) => {
+        points.forEach((p, index) => {
+            if (p.node === node && p.offset === offset) {
+                out.push({ kind: 'mark', index })
+            }
+        })
+    }
+    if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.nodeValue ?? ''
+        const cuts = [...new Set(points.filter((p) => p.node === node).map((p) => Math.min(text.length, p.offset)))].sort(
+            (a, b) => a - b
+        )
+        let from = 0
+        for (const cut of cuts) {
+            out.push({ kind: 'text', text: text.slice(from, cut) })
+            marksAt(cut)
+            from = cut
+        }
+        out.push({ kind: 'text', text: text.slice(from) })
+        return
+    }
+    if (!(node instanceof HTMLElement)) {
+        return
+    }
+    if (node.tagName === 'BR') {
+        out.push({ kind: 'text', text: '\n' })
+        return
+    }
+    const block = BLOCK_TAGS.has(node.tagName)
+    if (block) {
+        out.push({ kind: 'break' })
+    }
+    node.childNodes.forEach((child, i) => {
+        marksAt(i)
+        collect(child, points, out)
+    })
+    marksAt(node.childNodes.length)
+    if (block) {
+        out.push({ kind: 'break' })
+    }
+}
+
+/** Serialize `root` like `innerText` and resolve each point to an offset in that string. */
+function serializeWithPoints(
+    root: HTMLElement,
+    points: Array<{ node: Node; offset: number }>
+): { text: string; offsets: number[] } {
+    const pieces: Piece[] = []
+    root.childNodes.forEach((child, i) => {
+        points.forEach((p, index) => {
+            if (p.node === root && p.offset === i) {
+                pieces.push({ kind: 'mark', index })
+            }
+        })
+        collect(child, points, pieces)
+    })
+    points.forEach((p, index) => {
+        if (p.node === root && p.offset >= root.childNodes.length) {
+            pieces.push({ kind: 'mark', index })
+        }
+    })
+    let text = ''
+    let pendingBreak = false
+    const offsets = points.map(() => 0)
+    for (const piece of pieces) {
+        if (piece.kind === 'break') {
+            pendingBreak = text !== ''
+        } else if (piece.kind === 'mark') {
+            offsets[piece.index] = text.length + (pendingBreak ? 1 : 0)
+        } else if (piece.text !== '') {
+            if (pendingBreak) {
+                text += '\n'
+                pendingBreak = false
+            }
+            text += piece.text
+        }
+    }
+    return { text, offsets: offsets.map((o) => Math.min(o, text.length)) }
+}
+
+/**
+ * Selection offsets inside `root`, or `null` when the selection is elsewhere or the markup is something
+ * this walker does not model (its serialization disagrees with `innerText`).
+ */
+export function richTextSelectionOffsets(root: HTMLElement): { start: number; end: number } | null {
+    const sel = root.ownerDocument.getSelection()
+    if (!sel || sel.rangeCount === 0) {
+        return null
+    }
+    const range = sel.getRangeAt(0)
+    if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) {
+        return null
+    }
+    const { text, offsets } = serializeWithPoints(root, [
+        { node: range.startContainer, offset: range.startOffset },
+        { node: range.endContainer, offset: range.endOffset },
+    ])
+    if (text !== (root.innerText ?? '')) {
+        return null
+    }
+    return { start: Math.min(offsets[0], offsets[1]), end: Math.max(offsets[0], offsets[1]) }
+}
+
+/**
+ * Select `[start, end)` in a flat root (text nodes and inline spans only — what `fillRichTextElement`
+ * writes in edit mode).
+ */
+export function setRichTextSelectionOffsets(root: HTMLElement, start: number, end: number): void {
+    const sel = root.ownerDocument.getSelection()
+    if (!sel) {
+        return
+    }
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT)
+    const locate = (target: number): { node: Node; offset: number } => {
+        walker.currentNode = root
+        let seen = 0
+        let last: Text | null = null
+        for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+            const t = n as Text
+            if (target <= seen + t.length) {
+                return { node: t, offset: target - seen }
+            }
+            seen += t.length
+            last = t
+        }
+        return last ? { node: last, offset: last.length } : { node: root, offset: root.childNodes.length }
+    }
+    const a = locate(start)
+    const b = locate(end)
+    const range = root.ownerDocument.createRange()
+    range.setStart(a.node, a.offset)
+    range.setEnd(b.node, b.offset)
+    sel.removeAllRanges()
+    sel.addRange(range)
+}
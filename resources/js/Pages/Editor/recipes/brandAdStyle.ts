@@ -21,6 +21,8 @@ import type { WizardDefaults } from '../wizardDefaults'
  */
 export type BrandAdStyleHint = {
     id?: string | number | null
+    /** Display name — user-authored recipes can bind text slots to it. */
+    name?: string | null
     primary_color?: string | null
     secondary_color?: string | null
     accent_color?: string | null
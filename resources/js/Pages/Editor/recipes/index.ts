@@ -40,6 +40,9 @@ export type { FormatPack, FormatPackSize, FormatPackRenderResult } from './forma
 export { buildRecipeDocument } from './buildDocument'
 export type { BuildRecipeDocumentInput } from './buildDocument'
 
+export { composeUserRecipe, findUserRecipe, isUserRecipeStyleId, userRecipeStyleId } from './userRecipes'
+export type { UserRecipeStyleId } from './userRecipes'
+
 // Primitives are re-exported for recipe authors building new recipes.
 export {
     hexToRgba,
@@ -0,0 +1,71 @@
+/**
+ * Brand-DNA Ad Recipes — user-authored recipes.
+ *
+ * Brand managers save a finished composition as a recipe from the editor; it
+ * is stored per brand (`/app/api/studio-recipes`) rather than registered in
+ * `./registry.ts`, so it shows up in the template wizard without a deploy.
+ * Style ids are `user:<recipe id>` to keep them apart from {@link RecipeKey}.
+ */
+
+import type { LayerBlueprint } from '../templateConfig'
+import type { BrandRecipeDefinition, BrandRecipeDto } from '../editorBrandRecipesBridge'
+import { editorBridgeFileUrlForAssetId } from '../documentModel'
+import { resolveUserRecipe } from '../../../utils/studioUserRecipes.mjs'
+import type { RecipeInput, RecipeOutput } from './types'
+
+export type UserRecipeStyleId = `user:${string}`
+
+export function userRecipeStyleId(recipeId: string): UserRecipeStyleId {
+    return `user:${recipeId}`
+}
+
+export function isUserRecipeStyleId(id: string): id is UserRecipeStyleId {
+    return id.startsWith('user:')
+}
+
+export function findUserRecipe(
+    styleId: string,
+    recipes: readonly BrandRecipeDto[] | null | undefined,
+): BrandRecipeDto | undefined {
+    if (!isUserRecipeStyleId(styleId)) return undefined
+    const id = styleId.slice('user:'.length)
+    return recipes?.find((r) => r.id === id)
+}
+
+/**
+ * Run a saved recipe against brand DNA + content. Text slots read the same
+ * content fields the built-in recipes use (`filledWord` is the headline);
+ * `brandName` feeds slots bound to the brand name.
+ */
+export function composeUserRecipe(
+    definition: BrandRecipeDefinition,
+    { style, format, content }: RecipeInput,
+    brandName?: string | null,
+): RecipeOutput {
+    const resolved = resolveUserRecipe(definition, format, {
+        colors: { primary: style.primaryColor, secondary: style.secondaryColor, accent: style.accentColor },
+        text: {
+            headline: content.filledWord,
+            subheadline: content.subline,
+            cta: content.cta,
+            body: content.body,
+            product_name: content.productName,
+            url: content.url,
+            brand_name: brandName,
+        },
+        images: {
+            hero: content.heroAssetId,
+            secondary_hero: content.secondaryHeroAssetId,
+            texture: content.textureAssetId,
+            logo: style.primaryLogoAssetId,
+        },
+    }) as LayerBlueprint[]
+
+    const blueprints = resolved.map((bp) => {
+        const assetId = bp.type === 'image' ? bp.defaults?.assetId : undefined
+        return typeof assetId === 'string' && assetId !== ''
+            ? { ...bp, defaults: { ...bp.defaults, assetUrl: editorBridgeFileUrlForAssetId(assetId) } }
+            : bp
+    })
+    return { blueprints }
+}
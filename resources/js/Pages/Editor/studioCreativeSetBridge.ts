@@ -87,6 +87,43 @@ export async function postCreativeSetVariant(
     return { creative_set: data.creative_set, variant: data.variant }
 }
 
+/**
+ * Create (or refresh the copy of) one locale version of `source_composition_id` per language tag.
+ * The source must be saved first — the server localizes its stored document.
+ */
+export async function postCreativeSetLocaleVariants(
+    creativeSetId: string,
+    body: { source_composition_id: string; locales: string[] }
+): Promise<{ creative_set: StudioCreativeSetDto; created_variant_ids: string[]; updated_variant_ids: string[] }> {
+    const res = await fetch(`/app/api/creative-sets/${encodeURIComponent(creativeSetId)}/locale-variants`, {
+        method: 'POST',
+        headers: csrfHeaders(),
+        credentials: 'same-origin',
+        body: JSON.stringify({
+            source_composition_id: Number(body.source_composition_id),
+            locales: body.locales,
+        }),
+    })
+    const data = (await res.json().catch(() => ({}))) as {
+        creative_set?: StudioCreativeSetDto
+        created_variant_ids?: string[]
+        updated_variant_ids?: string[]
+        error?: string
+        message?: string
+    }
+    if (!res.ok) {
+        throw new Error(data.error || data.message || 'Could not create locale versions')
+    }
+    if (!data.creative_set) {
+        throw new Error('Invalid response')
+    }
+    return {
+        creative_set: data.creative_set,
+        created_variant_ids: data.created_variant_ids ?? [],
+        updated_variant_ids: data.updated_variant_ids ?? [],
+    }
+}
+
 /**
  * Delete the whole Versions (creative) set. Compositions stay in the library; only
  * the grouping, variant links, and related generation job rows are removed.
@@ -1,3 +1,5 @@
+import type { TextListStyle, TextRun } from './documentModel'
+
 /** Studio UI: "Versions" — backend {@link CreativeSet} / {@link CreativeSetVariant}. */
 
 export type StudioVariantGroupMemberDto = {
@@ -134,6 +136,9 @@ export type CreativeSetApplyCommand =
           type: 'update_text_content'
           role: SyncTextContentRole
           text: string
+          /** Rich text overlay spelling out `text` exactly; `null` clears sibling runs. Omitted by older clients. */
+          runs?: TextRun[] | null
+          listStyle?: TextListStyle
       }
     | {
           type: 'update_layer_visibility'
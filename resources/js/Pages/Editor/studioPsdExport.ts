@@ -1,48 +1,251 @@
-import { writePsdUint8Array, type Psd } from 'ag-psd'
+import { writePsdUint8Array, type BlendMode, type Layer as PsdLayer, type LayerTextData, type Psd } from 'ag-psd'
+import { toCanvas } from 'html-to-image'
+import { createElement } from 'react'
+import { flushSync } from 'react-dom'
+import { createRoot } from 'react-dom/client'
+import { CompositionScene } from '../../components/studio/composition/CompositionScene'
+import { sortLayersForCanvas } from '../../components/studio/composition/canvasLayout'
+import {
+    buildMaskDataUrlForTarget,
+    isMaskLayer,
+    isTextLayer,
+    masksAffectingLayer,
+    type BrandContext,
+    type DocumentModel,
+    type Group,
+    type Layer,
+    type MaskLayer,
+    type TextLayer,
+} from './documentModel'
+import { resolveCanvasFontFamily } from './editorBrandFonts'
+import { editorHtmlToImageFetchRequestInit, waitForImagesToLoad } from './editorHardening'
+import {
+    buildPsdTextData,
+    psdFontNameForTextLayer,
+    psdLayerTree,
+    STUDIO_TO_PSD_BLEND_MODE,
+} from '../../utils/studioPsdExport.mjs'
 
-function loadImageFromDataUrl(dataUrl: string): Promise<HTMLImageElement> {
+function loadImage(src: string): Promise<HTMLImageElement> {
     return new Promise((resolve, reject) => {
         const img = new Image()
         img.onload = () => resolve(img)
         img.onerror = () => reject(new Error('Failed to decode export image for PSD'))
-        img.src = dataUrl
+        img.src = src
     })
 }
 
+function nextFrame(): Promise<void> {
+    return new Promise<void>((r) => requestAnimationFrame(() => requestAnimationFrame(() => r())))
+}
+
+async function canvasFromDataUrl(dataUrl: string, width: number, height: number): Promise<HTMLCanvasElement> {
+    const img = await loadImage(dataUrl)
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+    if (!ctx) {
+        throw new Error('Canvas not available for PSD export')
+    }
+    ctx.drawImage(img, 0, 0, width, height)
+    return canvas
+}
+
 /**
- * v1 test PSD: one raster layer matching the flattened stage PNG (same as Export PNG).
- * Proves the pipeline; future versions can map real layers.
+ * Photoshop font name for a text layer (see {@link psdFontNameForTextLayer}), checked against the faces
+ * this browser has loaded.
  */
-export async function buildTestPsdFromFlattenedPng(
-    dataUrl: string,
-    width: number,
-    height: number
-): Promise<Uint8Array> {
-    const img = await loadImageFromDataUrl(dataUrl)
-    const layerCanvas = document.createElement('canvas')
-    layerCanvas.width = width
-    layerCanvas.height = height
-    const ctx = layerCanvas.getContext('2d')
+function psdFontNameInBrowser(layer: TextLayer, brand: BrandContext | null): string | null {
+    const isFaceLoaded =
+        typeof document !== 'undefined' && document.fonts?.check ? (font: string) => document.fonts.check(font) : undefined
+    return psdFontNameForTextLayer(layer, resolveCanvasFontFamily(brand, layer.style.fontFamily), isFaceLoaded)
+}
+
+/**
+ * Grayscale user mask (white = visible) for a layer, intersecting every Studio mask that targets it.
+ * Reuses {@link buildMaskDataUrlForTarget} over the full document rect so shapes, feather and
+ * gradients match the editor exactly.
+ */
+async function buildPsdUserMaskCanvas(masks: MaskLayer[], doc: DocumentModel): Promise<HTMLCanvasElement | null> {
+    if (masks.length === 0) {
+        return null
+    }
+    const canvas = document.createElement('canvas')
+    canvas.width = doc.width
+    canvas.height = doc.height
+    const ctx = canvas.getContext('2d')
     if (!ctx) {
-        throw new Error('Canvas not available for PSD export')
+        return null
     }
     ctx.fillStyle = '#ffffff'
-    ctx.fillRect(0, 0, width, height)
-    ctx.drawImage(img, 0, 0, width, height)
+    ctx.fillRect(0, 0, doc.width, doc.height)
+    ctx.globalCompositeOperation = 'multiply'
+    const fullRect = { x: 0, y: 0, width: doc.width, height: doc.height }
+    for (const m of masks) {
+        const cssUrl = buildMaskDataUrlForTarget(m, fullRect)
+        const src = cssUrl.replace(/^url\("/, '').replace(/"\)$/, '')
+        const img = await loadImage(src)
+        ctx.drawImage(img, 0, 0, doc.width, doc.height)
+    }
+    return canvas
+}
+
+/**
+ * Isolated raster for one layer: the shared {@link CompositionScene} (export mode) renders a
+ * single-layer document off-screen, so pixels match the editor/export renderer. Masks and blend
+ * mode are stripped here — both are carried as native PSD properties instead.
+ */
+async function rasterizeLayerInIsolation(
+    layer: Layer,
+    doc: DocumentModel,
+    brandContext: BrandContext | null,
+    host: HTMLDivElement,
+    root: ReturnType<typeof createRoot>,
+): Promise<HTMLCanvasElement> {
+    const isolated: Layer = {
+        ...layer,
+        visible: true,
+        locked: false,
+        blendMode: undefined,
+        groupId: undefined,
+    } as Layer
+    const single: DocumentModel = {
+        ...doc,
+        layers: [isolated],
+        groups: [],
+    }
+    flushSync(() => {
+        root.render(
+            createElement(CompositionScene, {
+                mode: 'export',
+                document: single,
+                currentTimeMs: 0,
+                brandContext,
+                stageScale: 1,
+            }),
+        )
+    })
+    await waitForImagesToLoad(host)
+    if (typeof document !== 'undefined' && document.fonts?.ready) {
+        await document.fonts.ready
+    }
+    await nextFrame()
+    const sceneEl = host.firstElementChild as HTMLElement | null
+    if (!sceneEl) {
+        throw new Error('Could not render layer for PSD export')
+    }
+    return toCanvas(sceneEl, {
+        cacheBust: true,
+        skipFonts: true,
+        pixelRatio: 1,
+        width: doc.width,
+        height: doc.height,
+        canvasWidth: doc.width,
+        canvasHeight: doc.height,
+        fetchRequestInit: editorHtmlToImageFetchRequestInit,
+        style: {
+            transform: 'none',
+            background: 'transparent',
+            width: `${doc.width}px`,
+            height: `${doc.height}px`,
+        },
+    })
+}
 
+/**
+ * Layered PSD from the live {@link DocumentModel}: one PSD layer per image / AI image / fill /
+ * text / shape / mask layer (back → front), keeping name, visibility, blend mode and {@link Group} folders.
+ *
+ * - Text layers are editable type layers when {@link psdFontNameInBrowser} knows the face;
+ *   otherwise they ship as rasters. Both carry the rendered pixels so non-Adobe viewers match.
+ * - Studio masks are applied to their targets as PSD user masks; the mask layer itself is
+ *   exported as a hidden shape layer so designers can see (and reuse) the original extent.
+ * - `compositeDataUrl` (the flattened Export PNG) becomes the PSD composite/preview image.
+ */
+export async function buildLayeredPsdFromDocument(
+    doc: DocumentModel,
+    opts: { compositeDataUrl: string; brandContext: BrandContext | null },
+): Promise<Uint8Array> {
+    const { width, height } = doc
+    const host = document.createElement('div')
+    host.setAttribute('aria-hidden', 'true')
+    host.style.position = 'fixed'
+    host.style.left = '-100000px'
+    host.style.top = '0'
+    host.style.pointerEvents = 'none'
+    document.body.appendChild(host)
+    const root = createRoot(host)
+
+    const children: PsdLayer[] = []
+
+    const toPsdLayer = async (layer: Layer): Promise<PsdLayer> => {
+        const name = layer.name?.trim() || (isTextLayer(layer) ? layer.content.slice(0, 48) : layer.type)
+        const psdLayer: PsdLayer = {
+            name,
+            top: 0,
+            left: 0,
+            bottom: height,
+            right: width,
+            blendMode: (STUDIO_TO_PSD_BLEND_MODE[layer.blendMode ?? 'normal'] ?? 'normal') as BlendMode,
+            hidden: isMaskLayer(layer) ? true : !layer.visible,
+            ...(layer.locked ? { protected: { transparency: true, composite: true, position: true } } : {}),
+        }
+
+        if (isMaskLayer(layer)) {
+            psdLayer.name = `${name} (mask)`
+            const shape = await buildPsdUserMaskCanvas([{ ...layer, invert: false, visible: true }], doc)
+            if (shape) {
+                psdLayer.canvas = shape
+            }
+            return psdLayer
+        }
+        psdLayer.canvas = await rasterizeLayerInIsolation(layer, doc, opts.brandContext, host, root)
+        const userMask = await buildPsdUserMaskCanvas(masksAffectingLayer(layer, doc.layers), doc)
+        if (userMask) {
+            psdLayer.mask = { top: 0, left: 0, bottom: height, right: width, defaultColor: 255, canvas: userMask }
+        }
+        if (isTextLayer(layer)) {
+            const fontName = psdFontNameInBrowser(layer, opts.brandContext)
+            if (fontName) {
+                psdLayer.text = buildPsdTextData(layer, fontName) as LayerTextData
+            }
+        }
+        return psdLayer
+    }
+
+    try {
+        const tree = psdLayerTree(sortLayersForCanvas(doc.layers), doc.groups ?? []) as Array<
+            { layer: Layer } | { group: Group; layers: Layer[] }
+        >
+        for (const node of tree) {
+            if ('layer' in node) {
+                children.push(await toPsdLayer(node.layer))
+                continue
+            }
+            const { group } = node
+            const folder: PsdLayer = {
+                name: group.name,
+                opened: !group.collapsed,
+                children: [],
+                ...(group.locked ? { protected: { transparency: true, composite: true, position: true } } : {}),
+            }
+            for (const layer of node.layers) {
+                folder.children?.push(await toPsdLayer(layer))
+            }
+            children.push(folder)
+        }
+    } finally {
+        root.unmount()
+        host.remove()
+    }
+
+    const composite = await canvasFromDataUrl(opts.compositeDataUrl, width, height)
     const psd: Psd = {
         width,
         height,
-        children: [
-            {
-                name: 'Studio (v1 test — flattened)',
-                top: 0,
-                left: 0,
-                bottom: height,
-                right: width,
-                canvas: layerCanvas,
-            },
-        ],
-    }
-    return writePsdUint8Array(psd)
+        canvas: composite,
+        children,
+    }
+    return writePsdUint8Array(psd, { invalidateTextLayers: true, noBackground: true, generateThumbnail: true })
 }
@@ -0,0 +1,201 @@
+import { readPsd, type Layer as PsdLayer } from 'ag-psd'
+import {
+    editorBridgeFileUrlForAssetId,
+    generateId,
+    parseDocumentFromApi,
+    type DocumentModel,
+    type Group,
+    type ImageLayer,
+    type Layer,
+    type LayerBlendMode,
+    type TextLayer,
+} from './documentModel'
+import {
+    flattenPsdLayerTree,
+    pruneImportedPsdGroups,
+    psdBounds,
+    studioBlendModeFromPsd,
+    studioTextLayerFromPsd,
+} from '../../utils/studioPsdImport.mjs'
+
+export type StudioPsdImportOptions = {
+    /**
+     * Persist one raster layer's pixels (PNG) and return the DAM asset id. Image layers reference
+     * the asset through the same-origin editor bridge so native export can stage the bytes.
+     */
+    uploadRaster: (file: File) => Promise<{ assetId: string }>
+    /** Called after each raster upload (done / total) for progress UI. */
+    onProgress?: (done: number, total: number) => void
+}
+
+export type StudioPsdImportResult = {
+    document: DocumentModel
+    /** Human-readable notes for PSD features that were approximated or dropped. */
+    warnings: string[]
+}
+
+type PendingRaster = {
+    layer: ImageLayer
+    canvas: HTMLCanvasElement
+}
+
+/**
+ * Copy the layer raster with PSD opacity and user mask baked into alpha — Studio image layers
+ * have neither, so this keeps the imported look without a separate mask layer per PSD layer.
+ */
+function bakeRaster(l: PsdLayer, docWidth: number, docHeight: number): HTMLCanvasElement | null {
+    const src = l.canvas
+    if (!src || src.width < 1 || src.height < 1) {
+        return null
+    }
+    const out = document.createElement('canvas')
+    out.width = src.width
+    out.height = src.height
+    const ctx = out.getContext('2d')
+    if (!ctx) {
+        return null
+    }
+    ctx.globalAlpha = typeof l.opacity === 'number' ? Math.max(0, Math.min(1, l.opacity)) : 1
+    ctx.drawImage(src, 0, 0)
+    ctx.globalAlpha = 1
+
+    const mask = l.mask
+    if (mask?.canvas && !mask.disabled) {
+        const layerLeft = l.left ?? 0
+        const layerTop = l.top ?? 0
+        const maskLeft = mask.left ?? 0
+        const maskTop = mask.top ?? 0
+        const maskCtx = mask.canvas.getContext('2d')
+        if (maskCtx && mask.canvas.width > 0 && mask.canvas.height > 0) {
+            const maskPixels = maskCtx.getImageData(0, 0, mask.canvas.width, mask.canvas.height).data
+            const img = ctx.getImageData(0, 0, out.width, out.height)
+            const outside = (mask.defaultColor ?? 255) / 255
+            for (let y = 0; y < out.height; y++) {
+                const docY = layerTop + y
+                const my = docY - maskTop
+                for (let x = 0; x < out.width; x++) {
+                    const docX = layerLeft + x
+                    const mx = docX - maskLeft
+                    let m = outside
+                    if (mx >= 0 && my >= 0 && mx < mask.canvas.width && my < mask.canvas.height && docX < docWidth && docY < docHeight) {
+                        m = maskPixels[(my * mask.canvas.width + mx) * 4] / 255
+                    }
+                    const i = (y * out.width + x) * 4 + 3
+                    img.data[i] = Math.round(img.data[i] * m)
+                }
+            }
+            ctx.putImageData(img, 0, 0)
+        }
+    }
+    return out
+}
+
+async function canvasToPngFile(canvas: HTMLCanvasElement, name: string): Promise<File> {
+    const blob = await new Promise<Blob | null>((resolve) => canvas.toBlob(resolve, 'image/png'))
+    if (!blob) {
+        throw new Error(`Could not encode PSD layer “${name}”`)
+    }
+    const stem = name.replace(/[^a-z0-9-_ ]+/gi, '_').trim() || 'layer'
+    return new File([blob], `${stem}.png`, { type: 'image/png' })
+}
+
+/**
+ * Build a Studio {@link DocumentModel} from PSD bytes (ag-psd).
+ *
+ * - Pixel layers (including smart objects, rendered) → {@link ImageLayer}s backed by uploaded PNGs.
+ * - Type layers → {@link TextLayer}s (first style run; font resolved from the PostScript name).
+ * - Top-level folders → {@link Group}s. Studio groups are flat, so nested folders merge into
+ *   their top-level folder; folders with fewer than two importable layers are dropped.
+ * - Adjustment / vector-only layers have no Studio equivalent and are skipped with a warning.
+ *
+ * The mapping itself lives in `utils/studioPsdImport.mjs`; this adds the rasters. The result goes through
+ * {@link parseDocumentFromApi} (and so `migrateDocumentIfNeeded`).
+ */
+export async function importStudioDocumentFromPsd(
+    bytes: ArrayBuffer,
+    opts: StudioPsdImportOptions,
+): Promise<StudioPsdImportResult> {
+    const psd = readPsd(bytes, { skipThumbnail: true })
+    const tree = flattenPsdLayerTree(psd.children, generateId)
+    const warnings: string[] = tree.warnings
+    const layers: Layer[] = []
+    const pending: PendingRaster[] = []
+    let z = 0
+
+    for (const { node: leaf, hidden, group } of tree.leaves as Array<{ node: PsdLayer; hidden: boolean; group: Group | null }>) {
+        let layer: Layer
+        if (leaf.text) {
+            layer = studioTextLayerFromPsd(leaf, { id: generateId(), z: z++, hidden }) as TextLayer
+        } else {
+            const raster = bakeRaster(leaf, psd.width, psd.height)
+            if (!raster) {
+                warnings.push(`“${leaf.name?.trim() || 'Layer'}” has no pixels Studio can use (adjustment or vector-only layer) and was skipped.`)
+                continue
+            }
+            const imageLayer: ImageLayer = {
+                id: generateId(),
+                type: 'image',
+                name: leaf.name?.trim() || 'Layer',
+                visible: !hidden,
+                locked: false,
+                z: z++,
+                blendMode: studioBlendModeFromPsd(leaf) as LayerBlendMode | undefined,
+                transform: psdBounds(leaf),
+                src: '',
+                naturalWidth: raster.width,
+                naturalHeight: raster.height,
+                fit: 'fill',
+            }
+            pending.push({ layer: imageLayer, canvas: raster })
+            layer = imageLayer
+        }
+        if (group) {
+            layer.groupId = group.id
+            group.memberIds.push(layer.id)
+        }
+        layers.push(layer)
+    }
+    const groups = pruneImportedPsdGroups(tree.groups, layers) as Group[]
+
+    if (layers.length === 0 && psd.canvas) {
+        const flattened: ImageLayer = {
+            id: generateId(),
+            type: 'image',
+            name: 'Background',
+            visible: true,
+            locked: false,
+            z: z++,
+            transform: { x: 0, y: 0, width: psd.width, height: psd.height },
+            src: '',
+            naturalWidth: psd.width,
+            naturalHeight: psd.height,
+            fit: 'fill',
+        }
+        layers.push(flattened)
+        pending.push({ layer: flattened, canvas: psd.canvas })
+        warnings.push('The PSD has no layers; the flattened image was imported as one layer.')
+    }
+
+    let done = 0
+    opts.onProgress?.(done, pending.length)
+    for (const p of pending) {
+        const file = await canvasToPngFile(p.canvas, p.layer.name ?? 'layer')
+        const { assetId } = await opts.uploadRaster(file)
+        p.layer.assetId = assetId
+        p.layer.src = editorBridgeFileUrlForAssetId(assetId)
+        done++
+        opts.onProgress?.(done, pending.length)
+    }
+
+    const document = parseDocumentFromApi({
+        id: generateId(),
+        width: psd.width,
+        height: psd.height,
+        preset: 'custom',
+        layers,
+        groups,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+    })
+    return { document, warnings }
+}
@@ -1,5 +1,6 @@
-import type { FillLayer, ImageLayer, Layer, StudioSyncRole, TextLayer } from './documentModel'
+import type { FillLayer, ImageLayer, Layer, StudioSyncRole, TextLayer, TextRun } from './documentModel'
 import { isFillLayer } from './documentModel'
+import { reconcileTextRuns } from '../../utils/studioTextRuns.mjs'
 import type {
     CreativeSetApplyCommand,
     SyncTextAlignRole,
@@ -230,6 +231,8 @@ export function buildSemanticApplyCommandsFromLayer(layer: Layer): CreativeSetAp
                 type: 'update_text_content',
                 role: contentRole,
                 text: t.content,
+                runs: (reconcileTextRuns(t.content, t.runs) as TextRun[] | undefined) ?? null,
+                listStyle: t.style?.listStyle ?? 'none',
             },
         ]
         if (
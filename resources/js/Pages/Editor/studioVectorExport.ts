@@ -0,0 +1,755 @@
+import { toCanvas } from 'html-to-image'
+import { createElement } from 'react'
+import { flushSync } from 'react-dom'
+import { createRoot } from 'react-dom/client'
+import { CompositionScene } from '../../components/studio/composition/CompositionScene'
+import { sortLayersForCanvas } from '../../components/studio/composition/canvasLayout'
+import {
+    isFillLayer,
+    isMaskLayer,
+    isShapeLayer,
+    isTextLayer,
+    masksAffectingLayer,
+    resolvedFillGradientStops,
+    type BrandContext,
+    type DocumentModel,
+    type FillLayer,
+    type Layer,
+    type ShapeLayer,
+    type TextLayer,
+} from './documentModel'
+import { fetchBrandFontFileBytes } from './editorBrandFonts'
+import { editorHtmlToImageFetchRequestInit, waitForImagesToLoad } from './editorHardening'
+import { sampleLayerAnimation } from '../../utils/studioKeyframes.mjs'
+import { hasActiveLayerEffects } from '../../utils/studioLayerEffects.mjs'
+import { buildShapeGeometry } from '../../utils/studioShapeGeometry.mjs'
+import {
+    buildVectorPdf,
+    cssLinearGradientLine,
+    fontEmbeddingRestricted,
+    layerBoxMatrix,
+    parseCssColor,
+    roundedRectPath,
+    textNeedsOutlines,
+    vectorPageToSvg,
+} from '../../utils/studioVectorExport.mjs'
+
+/** Mirrors the JSDoc model in `utils/studioVectorExport.mjs`. */
+type Rgba = { r: number; g: number; b: number; a: number }
+type Matrix = [number, number, number, number, number, number]
+type VectorFont = {
+    id: string
+    postscriptName: string
+    program: Uint8Array | null
+    cff: boolean
+    unitsPerEm: number
+    ascender: number
+    descender: number
+    capHeight: number
+    italicAngle: number
+    bbox: [number, number, number, number]
+    advanceWidths: Record<number, number>
+    restricted: boolean
+    dataUrl: string
+}
+type VectorItemBase = { opacity?: number; blend?: string; matrix?: Matrix }
+type VectorItem =
+    | (VectorItemBase & {
+          type: 'path'
+          d: string
+          fill?: { kind: 'solid'; color: Rgba } | { kind: 'linear'; x1: number; y1: number; x2: number; y2: number; from: Rgba; to: Rgba }
+          stroke?: { color: Rgba; width: number; dash?: number[]; cap?: 'butt' | 'round' }
+      })
+    | (VectorItemBase & {
+          type: 'image'
+          x: number
+          y: number
+          width: number
+          height: number
+          pixelWidth: number
+          pixelHeight: number
+          rgba: Uint8ClampedArray
+          dataUrl: string
+      })
+    | (VectorItemBase & {
+          type: 'text'
+          font: VectorFont
+          size: number
+          color: Rgba
+          stroke?: { color: Rgba; width: number }
+          glyphs: Array<{ ch: string; gid: number; x: number; y: number }>
+      })
+
+export type VectorPage = { width: number; height: number; label?: string; items: VectorItem[] }
+
+export type VectorExportTarget = 'svg' | 'pdf'
+
+/** A text / fill / shape layer that could not stay vector, with a short human reason. */
+export type VectorRasterizedLayer = { layerId: string; name: string; reason: string }
+
+export type PrintPdfOptions = { bleedMm: number; cropMarks: boolean; title?: string }
+
+/** Minimal slice of opentype.js we use (the package ships no types). */
+type OpenTypeGlyph = { advanceWidth?: number; getPath: (x: number, y: number, size: number) => { toPathData: (d?: number) => string } }
+type OpenTypeFont = {
+    unitsPerEm: number
+    outlinesFormat: string
+    names: { postScriptName?: Record<string, string>; fontFamily?: Record<string, string> }
+    tables: {
+        head?: { xMin: number; yMin: number; xMax: number; yMax: number }
+        hhea?: { ascender: number; descender: number }
+        os2?: { sTypoAscender: number; sTypoDescender: number; sCapHeight?: number; fsType?: number; fsSelection?: number }
+        post?: { italicAngle?: number }
+    }
+    charToGlyphIndex: (ch: string) => number
+    glyphs: { get: (index: number) => OpenTypeGlyph }
+}
+
+type LoadedFont = {
+    font: OpenTypeFont
+    vector: VectorFont
+    /** Ascent / descent (font units) Chrome uses for the inline box — locates the baseline inside a Range rect. */
+    lineAscent: number
+    lineDescent: number
+}
+
+/** Largest raster edge for fallback layers; keeps a 3× print raster of a big canvas within memory. */
+const RASTER_MAX_EDGE_PX = 4800
+
+const loadedFontsBySource = new Map<string, Promise<LoadedFont | null>>()
+
+function nextFrame(): Promise<void> {
+    return new Promise<void>((r) => requestAnimationFrame(() => requestAnimationFrame(() => r())))
+}
+
+function blobToDataUrl(blob: Blob): Promise<string> {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader()
+        reader.onload = () => resolve(String(reader.result))
+        reader.onerror = () => reject(reader.error ?? new Error('Could not read font data'))
+        reader.readAsDataURL(blob)
+    })
+}
+
+let colorProbe: CanvasRenderingContext2D | null = null
+
+/** Any CSS color (named, hsl, …) → {@link Rgba} via the canvas color parser; null when invalid. */
+function cssColor(raw: string | undefined): Rgba | null {
+    const direct = parseCssColor(raw) as Rgba | null
+    if (direct || !raw) {
+        return direct
+    }
+    colorProbe ??= document.createElement('canvas').getContext('2d')
+    if (!colorProbe) {
+        return null
+    }
+    colorProbe.fillStyle = '#010203'
+    colorProbe.fillStyle = raw
+    const normalized = String(colorProbe.fillStyle)
+    if (normalized === '#010203' && raw.trim().toLowerCase() !== '#010203') {
+        return null
+    }
+    return parseCssColor(normalized) as Rgba | null
+}
+
+function sfntFlavor(bytes: Uint8Array): 'truetype' | 'cff' | 'woff' | 'other' {
+    const tag = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3])
+    if (tag === 'OTTO') {
+        return 'cff'
+    }
+    if (tag === 'true' || (bytes[0] === 0 && bytes[1] === 1 && bytes[2] === 0 && bytes[3] === 0)) {
+        return 'truetype'
+    }
+    return tag === 'wOFF' ? 'woff' : 'other'
+}
+
+function weightNumber(raw: string | number | undefined): number {
+    const s = String(raw ?? '').trim().toLowerCase()
+    if (s === 'bold') {
+        return 700
+    }
+    const n = parseInt(s, 10)
+    return Number.isFinite(n) ? n : 400
+}
+
+function unquoteFamily(raw: string): string {
+    return raw.split(',')[0].trim().replace(/^["']|["']$/g, '')
+}
+
+/** Whether a CSS `unicode-range` (`U+0000-00FF, U+0131, U+4??`) includes `codePoint`. */
+function unicodeRangeCovers(range: string, codePoint: number): boolean {
+    return range.split(',').some((part) => {
+        const m = /^\s*U\+([0-9a-f?]+)(?:-([0-9a-f]+))?\s*$/i.exec(part)
+        if (!m) {
+            return false
+        }
+        const lo = parseInt(m[1].replace(/\?/g, '0'), 16)
+        const hi = m[2] ? parseInt(m[2], 16) : parseInt(m[1].replace(/\?/g, 'f'), 16)
+        return codePoint >= lo && codePoint <= hi
+    })
+}
+
+/**
+ * Where the bytes of one face live: a brand DNA / library upload (authenticated asset file) or an
+ * `@font-face` rule from a loaded stylesheet (needs CORS-readable CSS, which the brand loader requests).
+ */
+function fontSourceFor(
+    family: string,
+    weight: number,
+    italic: boolean,
+    brand: BrandContext | null,
+): { key: string; assetId?: number | string; url?: string } | null {
+    const want = family.toLowerCase()
+    const faces = (brand?.typography?.font_face_sources ?? []).filter((f) => unquoteFamily(f.family).toLowerCase() === want)
+    if (faces.length > 0) {
+        const score = (f: (typeof faces)[number]) =>
+            Math.abs(weightNumber(f.weight) - weight) + ((f.style === 'italic') === italic ? 0 : 1000)
+        const best = [...faces].sort((a, b) => score(a) - score(b))[0]
+        return { key: `asset:${String(best.asset_id)}`, assetId: best.asset_id }
+    }
+    let bestUrl: string | null = null
+    let bestScore = Infinity
+    for (const sheet of Array.from(document.styleSheets)) {
+        let rules: CSSRuleList
+        try {
+            rules = sheet.cssRules
+        } catch {
+            continue
+        }
+        for (const rule of Array.from(rules)) {
+            if (!(rule instanceof CSSFontFaceRule)) {
+                continue
+            }
+            const style = rule.style
+            if (unquoteFamily(style.getPropertyValue('font-family')).toLowerCase() !== want) {
+                continue
+            }
+            const range = style.getPropertyValue('unicode-range')
+            if (range && !unicodeRangeCovers(range, 0x41)) {
+                // Skip subset files that don't carry Basic Latin (Google splits cyrillic, greek, …).
+                continue
+            }
+            const src = /url\((["']?)([^"')]+)\1\)/.exec(style.getPropertyValue('src'))?.[2]
+            if (!src) {
+                continue
+            }
+            const [lo, hi = lo] = style.getPropertyValue('font-weight').split(/\s+/).map(weightNumber)
+            const s =
+                (weight < lo ? lo - weight : weight > hi ? weight - hi : 0) +
+                ((style.getPropertyValue('font-style') === 'italic') === italic ? 0 : 1000)
+            if (s < bestScore) {
+                bestScore = s
+                bestUrl = new URL(src, sheet.href ?? window.location.href).toString()
+            }
+        }
+    }
+    return bestUrl ? { key: `url:${bestUrl}`, url: bestUrl } : null
+}
+
+async function loadFontSource(source: { key: string; assetId?: number | string; url?: string }): Promise<LoadedFont | null> {
+    let buf: ArrayBuffer | null = null
+    if (source.assetId !== undefined) {
+        buf = await fetchBrandFontFileBytes(source.assetId)
+    } else if (source.url) {
+        const res = await fetch(source.url, { credentials: 'omit' })
+        buf = res.ok ? await res.arrayBuffer() : null
+    }
+    if (!buf || buf.byteLength < 12) {
+        return null
+    }
+    const bytes = new Uint8Array(buf.slice(0))
+    const flavor = sfntFlavor(bytes)
+    if (flavor === 'other') {
+        // WOFF2 / EOT: opentype.js can't read them, so there are no metrics or outlines to export.
+        return null
+    }
+    const opentype = await import('opentype.js')
+    const font = opentype.parse(bytes.buffer) as OpenTypeFont
+    const os2 = font.tables.os2
+    const hhea = font.tables.hhea
+    const head = font.tables.head
+    const useTypo = Boolean(os2 && (os2.fsSelection ?? 0) & 0x80)
+    const lineAscent = useTypo && os2 ? os2.sTypoAscender : (hhea?.ascender ?? font.unitsPerEm * 0.8)
+    const lineDescent = useTypo && os2 ? os2.sTypoDescender : (hhea?.descender ?? -font.unitsPerEm * 0.2)
+    // Restricted fonts are outlined in both formats, so their bytes never leave the browser.
+    const restricted = fontEmbeddingRestricted(os2?.fsType)
+    const embeddable = !restricted && (flavor === 'truetype' || flavor === 'cff')
+    const mime = flavor === 'woff' ? 'font/woff' : flavor === 'cff' ? 'font/otf' : 'font/ttf'
+    const postscriptName =
+        font.names.postScriptName?.en ?? Object.values(font.names.postScriptName ?? {})[0] ?? font.names.fontFamily?.en ?? 'Font'
+    return {
+        font,
+        lineAscent,
+        lineDescent,
+        vector: {
+            id: source.key,
+            postscriptName,
+            program: embeddable ? bytes : null,
+            cff: flavor === 'cff',
+            unitsPerEm: font.unitsPerEm,
+            ascender: hhea?.ascender ?? lineAscent,
+            descender: hhea?.descender ?? lineDescent,
+            capHeight: os2?.sCapHeight ?? 0,
+            italicAngle: font.tables.post?.italicAngle ?? 0,
+            bbox: head ? [head.xMin, head.yMin, head.xMax, head.yMax] : [0, lineDescent, font.unitsPerEm, lineAscent],
+            advanceWidths: {},
+            restricted,
+            dataUrl: restricted ? '' : await blobToDataUrl(new Blob([bytes], { type: mime })),
+        },
+    }
+}
+
+function loadFontFace(family: string, weight: number, italic: boolean, brand: BrandContext | null): Promise<LoadedFont | null> {
+    const source = fontSourceFor(family, weight, italic, brand)
+    if (!source) {
+        return Promise.resolve(null)
+    }
+    let pending = loadedFontsBySource.get(source.key)
+    if (!pending) {
+        pending = loadFontSource(source).catch(() => null)
+        loadedFontsBySource.set(source.key, pending)
+    }
+    return pending
+}
+
+function sceneHost(): { host: HTMLDivElement; root: ReturnType<typeof createRoot>; dispose: () => void } {
+    const host = document.createElement('div')
+    host.setAttribute('aria-hidden', 'true')
+    host.style.position = 'fixed'
+    host.style.left = '-100000px'
+    host.style.top = '0'
+    host.style.pointerEvents = 'none'
+    document.body.appendChild(host)
+    const root = createRoot(host)
+    return {
+        host,
+        root,
+        dispose: () => {
+            root.unmount()
+            host.remove()
+        },
+    }
+}
+
+/** Render `layers` alone through the shared scene (export mode, masks applied, mask layers hidden). */
+async function renderIsolated(
+    doc: DocumentModel,
+    layers: Layer[],
+    brandContext: BrandContext | null,
+    host: HTMLDivElement,
+    root: ReturnType<typeof createRoot>,
+): Promise<HTMLElement> {
+    flushSync(() => {
+        root.render(
+            createElement(CompositionScene, {
+                mode: 'export',
+                document: { ...doc, layers, groups: [] },
+                currentTimeMs: 0,
+                brandContext,
+                stageScale: 1,
+                compositionUiMode: 'preview',
+            }),
+        )
+    })
+    await waitForImagesToLoad(host)
+    if (document.fonts?.ready) {
+        await document.fonts.ready
+    }
+    await nextFrame()
+    const sceneEl = host.firstElementChild as HTMLElement | null
+    if (!sceneEl) {
+        throw new Error('Could not render layer for vector export')
+    }
+    return sceneEl
+}
+
+/**
+ * Raster fallback for one layer: rendered as drawn (rotation, keyframes at 0 s, masks) at print density,
+ * trimmed to its visible pixels. Blend mode stays native on the item.
+ */
+async function rasterLayerItem(
+    layer: Layer,
+    doc: DocumentModel,
+    brandContext: BrandContext | null,
+    target: VectorExportTarget,
+    host: HTMLDivElement,
+    root: ReturnType<typeof createRoot>,
+): Promise<VectorItem | null> {
+    const isolated = { ...layer, visible: true, locked: false, blendMode: undefined, groupId: undefined } as Layer
+    const sceneEl = await renderIsolated(doc, [...masksAffectingLayer(layer, doc.layers), isolated], brandContext, host, root)
+    const edge = Math.max(doc.width, doc.height)
+    const ratio = Math.max(1, Math.min(target === 'pdf' ? 3 : 2, RASTER_MAX_EDGE_PX / edge))
+    const canvas = await toCanvas(sceneEl, {
+        cacheBust: true,
+        skipFonts: true,
+        pixelRatio: ratio,
+        width: doc.width,
+        height: doc.height,
+        canvasWidth: doc.width,
+        canvasHeight: doc.height,
+        fetchRequestInit: editorHtmlToImageFetchRequestInit,
+        style: {
+            transform: 'none',
+            background: 'transparent',
+            width: `${doc.width}px`,
+            height: `${doc.height}px`,
+        },
+    })
+    const ctx = canvas.getContext('2d')
+    if (!ctx) {
+        return null
+    }
+    const { width: cw, height: ch } = canvas
+    const all = ctx.getImageData(0, 0, cw, ch).data
+    let x0 = cw
+    let y0 = ch
+    let x1 = -1
+    let y1 = -1
+    for (let y = 0; y < ch; y++) {
+        for (let x = 0; x < cw; x++) {
+            if (all[(y * cw + x) * 4 + 3] !== 0) {
+                x0 = Math.min(x0, x)
+                x1 = Math.max(x1, x)
+                y0 = Math.min(y0, y)
+                y1 = Math.max(y1, y)
+            }
+        }
+    }
+    if (x1 < 0) {
+        return null
+    }
+    const pw = x1 - x0 + 1
+    const ph = y1 - y0 + 1
+    const crop = document.createElement('canvas')
+    crop.width = pw
+    crop.height = ph
+    const cropCtx = crop.getContext('2d')
+    if (!cropCtx) {
+        return null
+    }
+    const pixels = ctx.getImageData(x0, y0, pw, ph)
+    cropCtx.putImageData(pixels, 0, 0)
+    const scaleX = cw / doc.width
+    const scaleY = ch / doc.height
+    return {
+        type: 'image',
+        x: x0 / scaleX,
+        y: y0 / scaleY,
+        width: pw / scaleX,
+        height: ph / scaleY,
+        pixelWidth: pw,
+        pixelHeight: ph,
+        rgba: pixels.data,
+        dataUrl: crop.toDataURL('image/png'),
+        blend: layer.blendMode && layer.blendMode !== 'normal' ? layer.blendMode : undefined,
+    }
+}
+
+function layerPlacement(layer: Layer): VectorItemBase {
+    const t = layer.transform
+    const motion = layer.animation ? (sampleLayerAnimation(layer.animation, 0) as Record<string, number>) : null
+    return {
+        matrix: layerBoxMatrix(t, {
+            rotationDeg: (t.rotation ?? 0) + (motion?.rotation ?? 0),
+            dx: motion?.x ?? 0,
+            dy: motion?.y ?? 0,
+            scale: motion?.scale ?? 1,
+        }) as Matrix,
+        opacity: motion ? motion.opacity : undefined,
+        blend: layer.blendMode && layer.blendMode !== 'normal' ? layer.blendMode : undefined,
+    }
+}
+
+/** Fill layer as a rounded-rect path (solid or two-stop linear gradient) plus its inside border. */
+function fillLayerItems(layer: FillLayer): VectorItem[] | string {
+    if (layer.fillKind !== 'solid' && layer.kind === 'text_boost' && layer.textBoostStyle && layer.textBoostStyle !== 'solid') {
+        return 'text boost scrim'
+    }
+    const { width: w, height: h } = layer.transform
+    const placement = layerPlacement(layer)
+    const radius = layer.borderRadius ?? 0
+    const items: VectorItem[] = []
+    if (layer.fillKind === 'solid') {
+        const color = cssColor(layer.color)
+        if (!color) {
+            return 'unsupported fill color'
+        }
+        items.push({ ...placement, type: 'path', d: roundedRectPath(0, 0, w, h, radius), fill: { kind: 'solid', color } })
+    } else {
+        const stops = resolvedFillGradientStops(layer)
+        const from = cssColor(stops.start)
+        const to = cssColor(stops.end)
+        if (!from || !to) {
+            return 'unsupported gradient color'
+        }
+        items.push({
+            ...placement,
+            type: 'path',
+            d: roundedRectPath(0, 0, w, h, radius),
+            fill: { kind: 'linear', ...cssLinearGradientLine(layer.gradientAngleDeg ?? 180, w, h), from, to },
+        })
+    }
+    const bw = layer.borderStrokeWidth ?? 0
+    if (bw > 0) {
+        const color = cssColor(layer.borderStrokeColor ?? layer.color)
+        if (!color) {
+            return 'unsupported border color'
+        }
+        // CSS borders sit inside the box (border-box sizing): stroke the inset outline.
+        items.push({
+            ...placement,
+            type: 'path',
+            d: roundedRectPath(bw / 2, bw / 2, Math.max(0, w - bw), Math.max(0, h - bw), Math.max(0, radius - bw / 2)),
+            stroke: { color, width: bw },
+        })
+    }
+    return items
+}
+
+/** Shape layer: same geometry and stroke rules as the scene's SVG. */
+function shapeLayerItems(layer: ShapeLayer): VectorItem[] | string {
+    const w = Math.max(1, layer.transform.width)
+    const h = Math.max(1, layer.transform.height)
+    const g = buildShapeGeometry(layer, w, h) as { body: string; closed: boolean; heads: string[] }
+    const sw = Math.max(0, layer.strokeWidth || 0)
+    const placement = layerPlacement(layer)
+    const fill = g.closed ? cssColor(layer.fill || 'transparent') : null
+    const stroke = sw > 0 ? cssColor(layer.stroke) : null
+    if ((g.closed && layer.fill && !fill) || (sw > 0 && !stroke)) {
+        return 'unsupported shape color'
+    }
+    const items: VectorItem[] = [
+        {
+            ...placement,
+            type: 'path',
+            d: g.body,
+            fill: fill && fill.a > 0 ? { kind: 'solid', color: fill } : undefined,
+            stroke:
+                stroke && stroke.a > 0
+                    ? {
+                          color: stroke,
+                          width: sw,
+                          dash: layer.strokeDash === 'dashed' ? [sw * 3, sw * 2] : layer.strokeDash === 'dotted' ? [0, sw * 2] : undefined,
+                          cap: layer.strokeDash === 'dotted' || !g.closed ? 'round' : 'butt',
+                      }
+                    : undefined,
+        },
+    ]
+    if (stroke && stroke.a > 0) {
+        for (const d of g.heads) {
+            items.push({
+                ...placement,
+                type: 'path',
+                d,
+                fill: { kind: 'solid', color: stroke },
+                stroke: { color: stroke, width: Math.min(sw, 2) },
+            })
+        }
+    }
+    return items
+}
+
+function hasPaintStyles(el: Element, stop: Element): boolean {
+    for (let node: Element | null = el; node && node !== stop; node = node.parentElement) {
+        const cs = getComputedStyle(node)
+        if (
+            (cs.transform && cs.transform !== 'none') ||
+            (cs.filter && cs.filter !== 'none') ||
+            (cs.textShadow && cs.textShadow !== 'none') ||
+            cs.backgroundClip === 'text' ||
+            cs.getPropertyValue('-webkit-background-clip') === 'text'
+        ) {
+            return true
+        }
+    }
+    return false
+}
+
+/**
+ * Text layer as live text: the layer is rendered unrotated, every character is located with a DOM Range
+ * (so wrapping, kerning, letter-spacing, runs and list markers match the canvas exactly) and placed on its
+ * baseline; the layer transform is applied on top. Returns a reason string when it has to be rasterized.
+ */
+async function textLayerItems(
+    layer: TextLayer,
+    doc: DocumentModel,
+    brandContext: BrandContext | null,
+    target: VectorExportTarget,
+    host: HTMLDivElement,
+    root: ReturnType<typeof createRoot>,
+): Promise<VectorItem[] | string> {
+    if (hasActiveLayerEffects(layer.effects)) {
+        return 'text effects'
+    }
+    const upright = {
+        ...layer,
+        visible: true,
+        blendMode: undefined,
+        groupId: undefined,
+        animation: undefined,
+        transform: { ...layer.transform, rotation: 0 },
+    } as TextLayer
+    const sceneEl = await renderIsolated(doc, [upright], brandContext, host, root)
+    const wrapper = sceneEl.querySelector<HTMLElement>(`[data-studio-layer-id="${CSS.escape(layer.id)}"]`)
+    if (!wrapper) {
+        return 'not rendered'
+    }
+    const origin = wrapper.getBoundingClientRect()
+    const placement = layerPlacement(layer)
+    const items: VectorItem[] = []
+    const walker = document.createTreeWalker(wrapper, NodeFilter.SHOW_TEXT)
+    const range = document.createRange()
+    type Run = Extract<VectorItem, { type: 'text' }>
+    let run: Run | null = null
+    let runKey = ''
+
+    for (let node = walker.nextNode() as Text | null; node; node = walker.nextNode() as Text | null) {
+        const parent = node.parentElement
+        if (!parent || !node.data) {
+            continue
+        }
+        if (hasPaintStyles(parent, wrapper)) {
+            return 'styled text'
+        }
+        const cs = getComputedStyle(parent)
+        const family = unquoteFamily(cs.fontFamily)
+        const weight = weightNumber(cs.fontWeight)
+        const italic = cs.fontStyle === 'italic' || cs.fontStyle.startsWith('oblique')
+        const size = parseFloat(cs.fontSize)
+        const color = cssColor(cs.getPropertyValue('-webkit-text-fill-color') || cs.color)
+        const strokeWidth = parseFloat(cs.getPropertyValue('-webkit-text-stroke-width')) || 0
+        const strokeColor = strokeWidth > 0 ? cssColor(cs.getPropertyValue('-webkit-text-stroke-color')) : null
+        if (!color || !(size > 0) || (strokeWidth > 0 && !strokeColor)) {
+            return 'unsupported text color'
+        }
+        const loaded = await loadFontFace(family, weight, italic, brandContext)
+        if (!loaded) {
+            return `font “${family}” can’t be embedded`
+        }
+        const transformCase = cs.textTransform
+        const key = `${loaded.vector.id}|${size}|${JSON.stringify(color)}|${strokeWidth}|${JSON.stringify(strokeColor)}`
+        const chars = Array.from(node.data)
+        let offset = 0
+        for (const raw of chars) {
+            const start = offset
+            offset += raw.length
+            if (raw === '\n' || raw === '\r') {
+                continue
+            }
+            range.setStart(node, start)
+            range.setEnd(node, offset)
+            const rect = Array.from(range.getClientRects()).find((r) => r.height > 0)
+            if (!rect) {
+                continue
+            }
+            const ch = transformCase === 'uppercase' ? raw.toUpperCase() : transformCase === 'lowercase' ? raw.toLowerCase() : raw
+            if (/^\s$/.test(ch)) {
+                continue
+            }
+            const gid = loaded.font.charToGlyphIndex(ch)
+            if (gid === 0) {
+                // The browser drew this character from a fallback font we don't have.
+                return `font “${family}” has no glyph for “${ch}”`
+            }
+            const upm = loaded.font.unitsPerEm
+            const boxH = ((loaded.lineAscent - loaded.lineDescent) / upm) * size
+            const baseline = rect.top - origin.top + (rect.height - boxH) / 2 + (loaded.lineAscent / upm) * size
+            const x = rect.left - origin.left
+            if (textNeedsOutlines(loaded.vector, target)) {
+                // Not embeddable (license-restricted, or WOFF in a PDF): keep it vector as outlines.
+                items.push({
+                    ...placement,
+                    type: 'path',
+                    d: loaded.font.glyphs.get(gid).getPath(x, baseline, size).toPathData(3),
+                    fill: { kind: 'solid', color },
+                    stroke: strokeColor ? { color: strokeColor, width: strokeWidth } : undefined,
+                })
+                continue
+            }
+            loaded.vector.advanceWidths[gid] ??= loaded.font.glyphs.get(gid).advanceWidth ?? upm
+            if (!run || runKey !== key) {
+                run = {
+                    ...placement,
+                    type: 'text',
+                    font: loaded.vector,
+                    size,
+                    color,
+                    stroke: strokeColor ? { color: strokeColor, width: strokeWidth } : undefined,
+                    glyphs: [],
+                }
+                runKey = key
+                items.push(run)
+            }
+            run.glyphs.push({ ch, gid, x, y: baseline })
+        }
+    }
+    range.detach()
+    return items
+}
+
+/**
+ * One composition as a {@link VectorPage}: fills, shapes and text stay vector; image, AI image and video
+ * layers — and anything the vector path can't reproduce exactly (effects, masks, text-boost scrims,
+ * fonts we can't read) — become trimmed rasters at print density. Keyframed layers are placed as they
+ * stand at 0 s.
+ */
+export async function buildVectorPageFromDocument(
+    doc: DocumentModel,
+    opts: { brandContext: BrandContext | null; target: VectorExportTarget; label?: string },
+): Promise<{ page: VectorPage; rasterizedLayers: VectorRasterizedLayer[] }> {
+    const { host, root, dispose } = sceneHost()
+    const items: VectorItem[] = []
+    const rasterizedLayers: VectorRasterizedLayer[] = []
+    try {
+        for (const layer of sortLayersForCanvas(doc.layers)) {
+            if (!layer.visible || isMaskLayer(layer)) {
+                continue
+            }
+            let vector: VectorItem[] | string | null = null
+            if (masksAffectingLayer(layer, doc.layers).length > 0) {
+                vector = 'masked'
+            } else if (isFillLayer(layer)) {
+                vector = hasActiveLayerEffects(layer.effects) ? 'fill effects' : fillLayerItems(layer)
+            } else if (isShapeLayer(layer)) {
+                vector = shapeLayerItems(layer)
+            } else if (isTextLayer(layer)) {
+                vector = await textLayerItems(layer, doc, opts.brandContext, opts.target, host, root)
+            }
+            if (Array.isArray(vector)) {
+                items.push(...vector)
+                continue
+            }
+            if (typeof vector === 'string') {
+                const name = layer.name?.trim() || (isTextLayer(layer) ? layer.content.slice(0, 48) : layer.type)
+                rasterizedLayers.push({ layerId: layer.id, name, reason: vector })
+            }
+            const raster = await rasterLayerItem(layer, doc, opts.brandContext, opts.target, host, root)
+            if (raster) {
+                items.push(raster)
+            }
+        }
+    } finally {
+        dispose()
+    }
+    return { page: { width: doc.width, height: doc.height, label: opts.label, items }, rasterizedLayers }
+}
+
+/** Standalone SVG (fonts and rasters embedded as data URLs). */
+export function vectorPageToSvgString(page: VectorPage): string {
+    return vectorPageToSvg(page) as string
+}
+
+/** Print PDF: one page per version, TrimBox / BleedBox, optional crop marks, fonts embedded. */
+export function buildPrintPdfFromPages(pages: VectorPage[], opts: PrintPdfOptions): Promise<Uint8Array<ArrayBuffer>> {
+    return buildVectorPdf(pages, opts) as Promise<Uint8Array<ArrayBuffer>>
+}
+
+/** Toast copy after a vector export; names why text / fill / shape layers had to be rasterized. */
+export function describeVectorExportResult(what: string, rasterizedLayers: VectorRasterizedLayer[]): string {
+    if (rasterizedLayers.length === 0) {
+        return `${what} exported`
+    }
+    const reasons = [...new Set(rasterizedLayers.map((r) => r.reason))].slice(0, 2).join('; ')
+    const n = rasterizedLayers.length
+    return `${what} exported — ${n} layer${n === 1 ? '' : 's'} rasterized (${reasons})`
+}
@@ -1,7 +1,8 @@
 import type { Layer, StudioSyncRole, TextBoostStyle } from './documentModel'
 import { generateId, tintTextBoostCssColor } from './documentModel'
 import { placementToXY, type Placement } from '../../utils/snapEngine'
-import { composeRecipe, deriveBrandAdStyle, getRecipeDescriptor, RECIPE_REGISTRY, type BrandAdStyleHint, type RecipeKey } from './recipes'
+import { composeRecipe, composeUserRecipe, deriveBrandAdStyle, findUserRecipe, getRecipeDescriptor, RECIPE_REGISTRY, userRecipeStyleId, type BrandAdStyleHint, type RecipeKey, type UserRecipeStyleId } from './recipes'
+import type { BrandRecipeDto } from './editorBrandRecipesBridge'
 import type { WizardDefaults } from './wizardDefaults'
 
 // ── Types ──────────────────────────────────────────────────────────
@@ -386,7 +387,7 @@ export const TEMPLATE_CATEGORIES: TemplateCategoryDef[] = [
 
 // ── Layout Styles (Ad Types) ──────────────────────────────────────
 
-export type LayoutStyleId = 'product_focused' | 'brand_focused' | 'lifestyle' | 'special' | RecipeKey
+export type LayoutStyleId = 'product_focused' | 'brand_focused' | 'lifestyle' | 'special' | RecipeKey | UserRecipeStyleId
 
 export type LayoutStyle = {
     id: LayoutStyleId
@@ -498,7 +499,25 @@ export function buildLayersForStyle(
     height: number,
     brand?: BrandAdStyleHint | null,
     wizardDefaults?: WizardDefaults | null,
+    userRecipes?: readonly BrandRecipeDto[] | null,
 ): LayerBlueprint[] {
+    // Brand recipes saved from the editor (`user:<id>`) resolve against the
+    // brand's list. A deleted recipe falls back to a blank background.
+    const userRecipe = findUserRecipe(styleId, userRecipes)
+    if (userRecipe) {
+        const style = deriveBrandAdStyle(brand ?? null, wizardDefaults ?? null)
+        const { blueprints } = composeUserRecipe(
+            userRecipe.definition,
+            {
+                style,
+                format: { width, height },
+                content: { heroAssetId: wizardDefaults?.background_candidates?.[0]?.id },
+            },
+            brand?.name,
+        )
+        return blueprints
+    }
+
     // Recipe keys are dispatched to the recipe engine first. Any unregistered
     // key (recipe not yet implemented) falls through to the legacy LAYOUT_STYLES
     // lookup so the wizard still works on old-style LAYOUT_STYLES ids.
@@ -554,13 +573,34 @@ export const RECIPE_LAYOUT_STYLES: LayoutStyle[] = RECIPE_REGISTRY.map((rd) => (
     },
 }))
 
+/**
+ * Wizard entries for the brand's saved recipes. `buildLayers` renders the
+ * recipe at its source size with neutral brand DNA, like
+ * {@link RECIPE_LAYOUT_STYLES}; the wizard itself goes through
+ * {@link buildLayersForStyle}.
+ */
+export function userRecipeLayoutStyles(recipes: readonly BrandRecipeDto[]): LayoutStyle[] {
+    return recipes.map((r) => ({
+        id: userRecipeStyleId(r.id),
+        name: r.name,
+        description: r.description || 'Saved from a brand composition.',
+        icon: 'brand_recipe',
+        buildLayers: (_isVertical: boolean, _isBanner: boolean): LayerBlueprint[] =>
+            composeUserRecipe(r.definition, {
+                style: deriveBrandAdStyle(null, null),
+                format: { width: r.definition.width, height: r.definition.height },
+                content: {},
+            }).blueprints,
+    }))
+}
+
 /**
  * LAYOUT_STYLES merged with the recipe-backed entries. Use this in the wizard
  * style picker so recipes appear as selectable cards alongside the classic
- * styles.
+ * styles. Brand recipes, when passed, come last.
  */
-export function getAllLayoutStyles(): LayoutStyle[] {
-    return [...LAYOUT_STYLES, ...RECIPE_LAYOUT_STYLES]
+export function getAllLayoutStyles(userRecipes?: readonly BrandRecipeDto[] | null): LayoutStyle[] {
+    return [...LAYOUT_STYLES, ...RECIPE_LAYOUT_STYLES, ...userRecipeLayoutStyles(userRecipes ?? [])]
 }
 
 // ── Helpers ────────────────────────────────────────────────────────
@@ -4,6 +4,21 @@
  */
 export const COMPOSITION_RENDER_CONTRACT_VERSION = 1 as const
 
+/**
+ * Layer `type` values the shared scene can draw. Anything else is reported in
+ * {@link CompositionSceneDiagnostics.unsupportedLayerTypes}. `shape` layers are self-contained vector
+ * geometry (no assets to preload).
+ */
+export const COMPOSITION_RENDER_LAYER_TYPES = [
+    'image',
+    'text',
+    'generative_image',
+    'fill',
+    'mask',
+    'video',
+    'shape',
+] as const
+
 /** Diagnostics surfaced to Playwright via {@link CompositionExportBridgeState}. */
 export type CompositionSceneDiagnostics = {
     sceneContractVersion: number
@@ -17,6 +32,8 @@ export type CompositionSceneDiagnostics = {
     assetsFailed: Array<{ layerId: string; url?: string; reason: string }>
     unsupportedLayerTypes: string[]
     lastSetTimeMs: number
+    /** Time the scene last committed (keyframe poses applied); trails {@link lastSetTimeMs} until React renders. */
+    renderedTimeMs: number
     renderReadyMs: number | null
     lastError: string | null
 }
@@ -44,7 +61,15 @@ export type CompositionRenderPayloadV1 = {
         color?: string
         fillKind?: string
     }
-    /** Layers sorted ascending by `z` (paint order). */
+    /**
+     * Layers sorted ascending by `z` (paint order); `type` is one of {@link COMPOSITION_RENDER_LAYER_TYPES}.
+     * `image` layers may carry an optional `adjustments` stack (tone, blur, duotone, crop) that the scene
+     * applies at draw time — the referenced asset is always the untouched original. `text` and `fill` layers
+     * may carry `effects` (drop shadow / outer glow / inner shadow) that paint outside the layer box. `text`
+     * layers may carry `runs` (styled spans over `content`) and `style.listStyle` (bullet / numbered lines).
+     * Any layer may carry `animation` keyframe tracks (x / y / scale / rotation / opacity), sampled at the
+     * bridge time so each captured frame is deterministic.
+     */
     layers: Record<string, unknown>[]
     /** Declarative font-related entries (stylesheets, DNA font_face rows, text-layer families). */
     fonts: Record<string, unknown>[]
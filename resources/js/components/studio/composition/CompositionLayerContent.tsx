@@ -1,16 +1,26 @@
 import { ExclamationTriangleIcon, LockClosedIcon, SparklesIcon } from '@heroicons/react/24/outline'
-import { useCallback, useState, type ReactNode } from 'react'
+import { createElement, useCallback, useState, type ReactNode } from 'react'
 import type { BrandContext, Layer, TextLayer } from '../../../Pages/Editor/documentModel'
 import {
     fillLayerBackgroundCss,
     isFillLayer,
     isGenerativeImageLayer,
     isMaskLayer,
+    isShapeLayer,
     isTextLayer,
     isVideoLayer,
     PLACEHOLDER_IMAGE_SRC,
 } from '../../../Pages/Editor/documentModel'
 import EditorSlotReelLoader from '../../../Components/Editor/EditorSlotReelLoader'
+import { buildShapeGeometry } from '../../../utils/studioShapeGeometry.mjs'
+import {
+    DUOTONE_LUMINANCE_MATRIX,
+    duotoneTableValues,
+    imageAdjustmentsCssFilter,
+    imageCropLayout,
+    normalizeImageAdjustments,
+} from '../../../utils/studioImageAdjustments.mjs'
+import { layerEffectsBoxShadow, layerEffectsSvgFilter } from '../../../utils/studioLayerEffects.mjs'
 import { canvasImageObjectFit } from './canvasLayout'
 import { CompositionTextReadonly } from './CompositionTextReadonly'
 import type { CompositionSceneMode, CompositionSceneEditorHandlers } from './types'
@@ -22,6 +32,45 @@ const LAYER_AI_BUSY_OVERLAY =
     'flex flex-col items-center justify-center gap-2 bg-indigo-600/50 backdrop-blur-sm ring-1 ring-inset ring-indigo-950/15 dark:bg-indigo-900/55 dark:ring-white/10'
 const LAYER_AI_BUSY_LABEL = 'text-white drop-shadow-[0_1px_2px_rgba(0,0,0,0.45)]'
 
+type SvgFilterPrimitive = { type: string; attrs: Record<string, string | number>; children?: SvgFilterPrimitive[] }
+
+function renderFilterPrimitive(p: SvgFilterPrimitive, key: number): ReactNode {
+    return createElement(p.type, { key, ...p.attrs }, p.children?.map(renderFilterPrimitive))
+}
+
+/**
+ * Text layer effects: an inline SVG filter (glyph-alpha based) applied to the text block. Returns the
+ * children untouched when the layer has no active effects.
+ */
+function TextEffectsWrapper(props: { layer: TextLayer; children: ReactNode }) {
+    const { layer, children } = props
+    const filter = layerEffectsSvgFilter(layer.effects, layer.transform.width, layer.transform.height) as {
+        region: { x: number; y: number; width: number; height: number }
+        primitives: SvgFilterPrimitive[]
+    } | null
+    if (!filter) {
+        return <>{children}</>
+    }
+    const id = `jp-fx-${layer.id}`
+    return (
+        <div className="relative h-full min-h-0 w-full" style={{ filter: `url(#${id})` }}>
+            <svg className="absolute h-0 w-0" aria-hidden focusable="false">
+                <filter
+                    id={id}
+                    x={filter.region.x}
+                    y={filter.region.y}
+                    width={filter.region.width}
+                    height={filter.region.height}
+                    colorInterpolationFilters="sRGB"
+                >
+                    {filter.primitives.map(renderFilterPrimitive)}
+                </filter>
+            </svg>
+            {children}
+        </div>
+    )
+}
+
 export function CompositionLayerContent(props: {
     layer: Layer
     allLayers: Layer[]
@@ -47,6 +96,8 @@ export function CompositionLayerContent(props: {
     } = props
 
     const [localImageFailed, setLocalImageFailed] = useState(false)
+    /** Decoded size for crop layout when the layer doesn't carry `naturalWidth` / `naturalHeight`. */
+    const [loadedNaturalSize, setLoadedNaturalSize] = useState<{ w: number; h: number } | null>(null)
     const markImageFailed = useCallback(() => {
         if (setImageLoadFailedByLayerId) {
             setImageLoadFailedByLayerId((p) => ({ ...p, [layer.id]: true }))
@@ -153,11 +204,86 @@ export function CompositionLayerContent(props: {
     }
 
     if (layer.type === 'image') {
+        const adjustments = normalizeImageAdjustments(layer.adjustments)
+        const duotoneFilterId = adjustments?.duotone ? `jp-duotone-${layer.id}` : null
+        const cssFilter = imageAdjustmentsCssFilter(adjustments, duotoneFilterId)
+        const crop = imageCropLayout({
+            boxWidth: layer.transform.width,
+            boxHeight: layer.transform.height,
+            naturalWidth: layer.naturalWidth ?? loadedNaturalSize?.w,
+            naturalHeight: layer.naturalHeight ?? loadedNaturalSize?.h,
+            fit: layer.fit,
+            crop: adjustments?.crop,
+        })
         return (
             <div className="relative h-full min-h-0 w-full min-w-0 overflow-hidden">
+                {duotoneFilterId && adjustments?.duotone
+                    ? (() => {
+                          const t = duotoneTableValues(adjustments.duotone)
+                          return (
+                              <svg className="absolute h-0 w-0" aria-hidden focusable="false">
+                                  <filter id={duotoneFilterId} colorInterpolationFilters="sRGB">
+                                      <feColorMatrix type="matrix" values={DUOTONE_LUMINANCE_MATRIX} />
+                                      <feComponentTransfer>
+                                          <feFuncR type="table" tableValues={t.r} />
+                                          <feFuncG type="table" tableValues={t.g} />
+                                          <feFuncB type="table" tableValues={t.b} />
+                                      </feComponentTransfer>
+                                  </filter>
+                              </svg>
+                          )
+                      })()
+                    : null}
                 {layer.src ? (
                     (() => {
                         const o = canvasImageObjectFit(layer.fit)
+                        const onError = () => {
+                            markImageFailed()
+                            editorHandlers?.updateLayer(layer.id, (l) =>
+                                l.type === 'image' && l.src !== PLACEHOLDER_IMAGE_SRC
+                                    ? { ...l, src: PLACEHOLDER_IMAGE_SRC }
+                                    : l,
+                            )
+                        }
+                        if (crop) {
+                            // Cropped: the clip box is the visible (fitted) region; the full source is positioned
+                            // inside it so the kept rect fills the box exactly. Filter sits on the clip so blur
+                            // edges match the uncropped path.
+                            return (
+                                <div
+                                    className="pointer-events-none absolute overflow-hidden"
+                                    style={{
+                                        left: `${crop.clip.left}%`,
+                                        top: `${crop.clip.top}%`,
+                                        width: `${crop.clip.width}%`,
+                                        height: `${crop.clip.height}%`,
+                                        filter: cssFilter,
+                                    }}
+                                >
+                                    <img
+                                        key={`${layer.id}-crop`}
+                                        src={layer.src}
+                                        alt=""
+                                        draggable={false}
+                                        className="pointer-events-none absolute min-h-0 min-w-0 max-w-none max-h-none select-none"
+                                        style={{
+                                            left: `${crop.image.left}%`,
+                                            top: `${crop.image.top}%`,
+                                            width: `${crop.image.width}%`,
+                                            height: `${crop.image.height}%`,
+                                            objectFit: 'fill',
+                                        }}
+                                        onLoad={(e) => {
+                                            const el = e.currentTarget
+                                            if (!layer.naturalWidth && el.naturalWidth > 0) {
+                                                setLoadedNaturalSize({ w: el.naturalWidth, h: el.naturalHeight })
+                                            }
+                                        }}
+                                        onError={onError}
+                                    />
+                                </div>
+                            )
+                        }
                         return (
                             <img
                                 key={`${layer.id}-${o.value}`}
@@ -165,15 +291,8 @@ export function CompositionLayerContent(props: {
                                 alt=""
                                 draggable={false}
                                 className={`pointer-events-none absolute inset-0 !h-full !w-full min-h-0 min-w-0 max-w-none max-h-full select-none ${o.className}`}
-                                style={{ objectPosition: 'center' }}
-                                onError={() => {
-                                    markImageFailed()
-                                    editorHandlers?.updateLayer(layer.id, (l) =>
-                                        l.type === 'image' && l.src !== PLACEHOLDER_IMAGE_SRC
-                                            ? { ...l, src: PLACEHOLDER_IMAGE_SRC }
-                                            : l,
-                                    )
-                                }}
+                                style={{ objectPosition: 'center', filter: cssFilter }}
+                                onError={onError}
                             />
                         )
                     })()
@@ -285,29 +404,67 @@ export function CompositionLayerContent(props: {
                             ? `${layer.borderStrokeWidth}px solid ${layer.borderStrokeColor ?? layer.color}`
                             : undefined,
                     boxSizing: 'border-box',
+                    boxShadow: layerEffectsBoxShadow(layer.effects),
                 }}
             />
         )
     }
 
+    if (isShapeLayer(layer)) {
+        const w = Math.max(1, layer.transform.width)
+        const h = Math.max(1, layer.transform.height)
+        const g = buildShapeGeometry(layer, w, h)
+        const sw = Math.max(0, layer.strokeWidth || 0)
+        const dash =
+            layer.strokeDash === 'dashed'
+                ? `${sw * 3} ${sw * 2}`
+                : layer.strokeDash === 'dotted'
+                  ? `0 ${sw * 2}`
+                  : undefined
+        return (
+            <svg
+                className="pointer-events-none absolute inset-0 h-full w-full"
+                viewBox={`0 0 ${w} ${h}`}
+                preserveAspectRatio="none"
+                overflow="visible"
+                aria-hidden
+            >
+                <path
+                    d={g.body}
+                    fill={g.closed ? layer.fill || 'transparent' : 'none'}
+                    stroke={sw > 0 ? layer.stroke : 'none'}
+                    strokeWidth={sw}
+                    strokeDasharray={dash}
+                    strokeLinecap={layer.strokeDash === 'dotted' ? 'round' : g.closed ? 'butt' : 'round'}
+                    strokeLinejoin="round"
+                />
+                {g.heads.map((d: string, i: number) => (
+                    <path key={i} d={d} fill={layer.stroke} stroke={layer.stroke} strokeWidth={Math.min(sw, 2)} strokeLinejoin="round" />
+                ))}
+            </svg>
+        )
+    }
+
     if (isTextLayer(layer)) {
         if (renderTextLayer) {
-            return <>{renderTextLayer(layer)}</>
+            return <TextEffectsWrapper layer={layer}>{renderTextLayer(layer)}</TextEffectsWrapper>
         }
         return (
-            <CompositionTextReadonly
-                layer={layer}
-                brandContext={brandContext}
-                brandFontsEpoch={brandFontsEpoch}
-                onAutoFitFontSize={
-                    mode === 'editor' && editorHandlers
-                        ? (size) =>
-                              editorHandlers.updateLayer(layer.id, (l) =>
-                                  isTextLayer(l) ? { ...l, style: { ...l.style, fontSize: size } } : l,
-                              )
-                        : undefined
-                }
-            />
+            <TextEffectsWrapper layer={layer}>
+                <CompositionTextReadonly
+                    layer={layer}
+                    brandContext={brandContext}
+                    brandFontsEpoch={brandFontsEpoch}
+                    onAutoFitFontSize={
+                        mode === 'editor' && editorHandlers
+                            ? (size) =>
+                                  editorHandlers.updateLayer(layer.id, (l) =>
+                                      isTextLayer(l) ? { ...l, style: { ...l.style, fontSize: size } } : l,
+                                  )
+                            : undefined
+                    }
+                />
+            </TextEffectsWrapper>
         )
     }
 
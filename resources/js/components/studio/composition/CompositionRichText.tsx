@@ -0,0 +1,160 @@
+import type { CSSProperties, ReactNode } from 'react'
+import type { BrandContext, TextLayer, TextRun } from '../../../Pages/Editor/documentModel'
+import { formatCssFontFamilyStack, resolveCanvasFontFamily } from '../../../Pages/Editor/editorBrandFonts'
+import { reconcileTextRuns, textListMarker, textRunsToParagraphs } from '../../../utils/studioTextRuns.mjs'
+
+/**
+ * Rich text runs + list markup for text layers, in two flavors that must stay in sync: JSX for the
+ * renderer ({@link CompositionRichTextContent}) and imperative DOM ({@link fillRichTextElement}) for the
+ * contentEditable editor and the auto-fit probe.
+ */
+
+function listStyleOf(layer: TextLayer): 'bullet' | 'number' | null {
+    const l = layer.style.listStyle
+    return l === 'bullet' || l === 'number' ? l : null
+}
+
+/** Runs reconciled against the current `content` (stale overlays from plain-text writers are remapped). */
+export function resolvedTextLayerRuns(layer: TextLayer): TextRun[] | undefined {
+    return reconcileTextRuns(layer.content, layer.runs) as TextRun[] | undefined
+}
+
+/** False for plain layers — callers keep rendering `content` as a bare string. */
+export function textLayerHasRichContent(layer: TextLayer): boolean {
+    return listStyleOf(layer) !== null || resolvedTextLayerRuns(layer) !== undefined
+}
+
+/** Distinct resolved font stacks used by runs (for font preloading). */
+export function textLayerRunFontFamilies(layer: TextLayer, brandContext: BrandContext | null): string[] {
+    const out = new Set<string>()
+    for (const r of resolvedTextLayerRuns(layer) ?? []) {
+        if (r.fontFamily) {
+            out.add(resolveCanvasFontFamily(brandContext, r.fontFamily))
+        }
+    }
+    return [...out]
+}
+
+function runCss(run: TextRun, layer: TextLayer, brandContext: BrandContext | null): CSSProperties {
+    const css: CSSProperties = {}
+    if (run.bold) {
+        css.fontWeight = (layer.style.fontWeight ?? 400) >= 700 ? 900 : 700
+    }
+    if (run.italic) {
+        css.fontStyle = 'italic'
+    }
+    if (run.underline) {
+        css.textDecoration = 'underline'
+    }
+    if (run.color) {
+        css.color = run.color
+    }
+    if (run.fontFamily) {
+        css.fontFamily = formatCssFontFamilyStack(resolveCanvasFontFamily(brandContext, run.fontFamily))
+    }
+    return css
+}
+
+function isUnstyled(run: TextRun): boolean {
+    return !run.bold && !run.italic && !run.underline && !run.color && !run.fontFamily
+}
+
+const LIST_LINE_STYLE: CSSProperties = { display: 'flex', alignItems: 'baseline' }
+const LIST_MARKER_STYLE: CSSProperties = { flex: '0 0 auto', minWidth: '1.2em', paddingRight: '0.35em', textAlign: 'right' }
+const LIST_BODY_STYLE: CSSProperties = { flex: '1 1 auto', minWidth: 0 }
+
+/**
+ * Children for a text layer's text box. Plain layers return `content` unchanged.
+ */
+export function CompositionRichTextContent(props: { layer: TextLayer; brandContext: BrandContext | null }): ReactNode {
+    const { layer, brandContext } = props
+    const list = listStyleOf(layer)
+    const runs = resolvedTextLayerRuns(layer)
+    if (!list && !runs) {
+        return layer.content
+    }
+    const renderRuns = (segments: TextRun[]) =>
+        segments.map((r, i) =>
+            isUnstyled(r) ? (
+                r.text
+            ) : (
+                <span key={i} style={runCss(r, layer, brandContext)}>
+                    {r.text}
+                </span>
+            )
+        )
+    if (!list) {
+        return renderRuns(runs ?? [])
+    }
+    let item = 0
+    return textRunsToParagraphs(layer.content, runs).map((segments: TextRun[], i: number) => {
+        if (segments.length === 0) {
+            return (
+                <div key={i}>
+                    <br />
+                </div>
+            )
+        }
+        const marker = textListMarker(list, item++)
+        return (
+            <div key={i} style={LIST_LINE_STYLE}>
+                <span style={LIST_MARKER_STYLE}>{marker}</span>
+                <span style={LIST_BODY_STYLE}>{renderRuns(segments)}</span>
+            </div>
+        )
+    })
+}
+
+/**
+ * Replace `el`'s children with the layer's styled text. `markers: false` (contentEditable) skips list
+ * markup so the DOM text stays exactly `content` and caret offsets map 1:1.
+ */
+export function fillRichTextElement(
+    el: HTMLElement,
+    layer: TextLayer,
+    brandContext: BrandContext | null,
+    options: { markers: boolean }
+): void {
+    el.textContent = ''
+    const list = options.markers ? listStyleOf(layer) : null
+    const runs = resolvedTextLayerRuns(layer)
+    const doc = el.ownerDocument
+    const appendRuns = (parent: HTMLElement, segments: TextRun[]) => {
+        for (const r of segments) {
+            if (isUnstyled(r)) {
+                parent.appendChild(doc.createTextNode(r.text))
+                continue
+            }
+            const span = doc.createElement('span')
+            Object.assign(span.style, runCss(r, layer, brandContext))
+            span.textContent = r.text
+            parent.appendChild(span)
+        }
+    }
+    if (!list) {
+        if (runs) {
+            appendRuns(el, runs)
+        } else {
+            el.textContent = layer.content
+        }
+        return
+    }
+    let item = 0
+    for (const segments of textRunsToParagraphs(layer.content, runs) as TextRun[][]) {
+        const line = doc.createElement('div')
+        if (segments.length === 0) {
+            line.appendChild(doc.createElement('br'))
+            el.appendChild(line)
+            continue
+        }
+        Object.assign(line.style, LIST_LINE_STYLE)
+        const marker = doc.createElement('span')
+        Object.assign(marker.style, LIST_MARKER_STYLE)
+        marker.textContent = textListMarker(list, item++)
+        const body = doc.createElement('span')
+        Object.assign(body.style, LIST_BODY_STYLE)
+        appendRuns(body, segments)
+        line.append(marker, body)
+        el.appendChild(line)
+    }
+}
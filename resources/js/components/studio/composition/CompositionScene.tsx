@@ -6,7 +6,9 @@ import {
     isGenerativeImageLayer,
     isImageLayer,
     isMaskLayer,
+    isShapeLayer,
     isTextLayer,
+    shapeHasEditablePoints,
 } from '../../../Pages/Editor/documentModel'
 import type { CompositionRenderPayloadV1 } from '../../../Pages/StudioExport/compositionRenderContract'
 import { LockClosedIcon } from '@heroicons/react/24/outline'
@@ -14,6 +16,8 @@ import { CompositionLayerContent } from './CompositionLayerContent'
 import { documentFromRenderPayloadV1 } from './payloadAdapter'
 import { sortLayersForCanvas } from './canvasLayout'
 import { applyVideosCurrentTimeInContainer } from './timing'
+import { hasOuterLayerEffects } from '../../../utils/studioLayerEffects.mjs'
+import { layerAnimationCss, sampleLayerAnimation } from '../../../utils/studioKeyframes.mjs'
 import type { CompositionSceneEditorHandlers, CompositionSceneProps } from './types'
 import type { DocumentModel } from '../../../Pages/Editor/documentModel'
 
@@ -110,6 +114,14 @@ export const CompositionScene = forwardRef<HTMLDivElement, CompositionSceneProps
                         Boolean(selectedGroupId && !isSelected && layer.groupId === selectedGroupId)
                     const t = layer.transform
                     const rot = t.rotation ?? 0
+                    // Keyframes are sampled from the scene time so editor scrubbing and export frames agree.
+                    // Mask geometry stays static (other layers reference it through CSS masks).
+                    const motion = layer.animation && !isMaskLayer(layer)
+                        ? (layerAnimationCss(sampleLayerAnimation(layer.animation, currentTimeMs), rot) as {
+                              transform: string | undefined
+                              opacity: number | undefined
+                          })
+                        : null
 
                     return (
                         <div
@@ -134,12 +146,18 @@ export const CompositionScene = forwardRef<HTMLDivElement, CompositionSceneProps
                                 width: t.width,
                                 height: t.height,
                                 zIndex: Number.isFinite(Number(layer.z)) ? Number(layer.z) : 0,
-                                overflow: isTextLayer(layer)
-                                    ? layer.style?.autoFit
-                                        ? 'hidden'
-                                        : 'visible'
-                                    : 'hidden',
-                                transform: rot !== 0 ? `rotate(${rot}deg)` : undefined,
+                                // Drop shadow / glow paint outside the box; autoFit text still clips its own inner block.
+                                overflow:
+                                    isShapeLayer(layer) ||
+                                    ((isTextLayer(layer) || isFillLayer(layer)) && hasOuterLayerEffects(layer.effects))
+                                        ? 'visible'
+                                        : isTextLayer(layer)
+                                          ? layer.style?.autoFit
+                                              ? 'hidden'
+                                              : 'visible'
+                                          : 'hidden',
+                                transform: motion ? motion.transform : rot !== 0 ? `rotate(${rot}deg)` : undefined,
+                                opacity: motion?.opacity,
                                 ...(layer.blendMode && layer.blendMode !== 'normal'
                                     ? {
                                           mixBlendMode: layer.blendMode as CSSProperties['mixBlendMode'],
@@ -237,6 +255,27 @@ export const CompositionScene = forwardRef<HTMLDivElement, CompositionSceneProps
                                         }}
                                     />
                                 ))}
+                            {mode === 'editor' &&
+                                editorHandlers?.beginShapePointDrag &&
+                                isSelected &&
+                                !layer.locked &&
+                                isShapeLayer(layer) &&
+                                shapeHasEditablePoints(layer) &&
+                                rot === 0 &&
+                                (layer.points ?? []).map((p, i) => (
+                                    <button
+                                        key={`pt-${i}`}
+                                        type="button"
+                                        data-jp-export-capture-exclude
+                                        aria-label={`Move point ${i + 1}`}
+                                        className="absolute z-20 h-3 w-3 -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-indigo-500 bg-white shadow dark:border-indigo-400"
+                                        style={{ left: `${p.x * 100}%`, top: `${p.y * 100}%`, cursor: 'crosshair' }}
+                                        onMouseDown={(e) => {
+                                            e.stopPropagation()
+                                            editorHandlers.beginShapePointDrag?.(layer.id, i, e)
+                                        }}
+                                    />
+                                ))}
                         </div>
                     )
                 })}
@@ -3,6 +3,12 @@ import type { CSSProperties } from 'react'
 import type { BrandContext, TextLayer } from '../../../Pages/Editor/documentModel'
 import { computeAutoFitTextFontSize } from '../../../Pages/Editor/documentModel'
 import { ensureCanvasFontLoaded, formatCssFontFamilyStack, resolveCanvasFontFamily } from '../../../Pages/Editor/editorBrandFonts'
+import {
+    CompositionRichTextContent,
+    fillRichTextElement,
+    textLayerHasRichContent,
+    textLayerRunFontFamilies,
+} from './CompositionRichText'
 
 /**
  * Read-only canvas text — same CSS stack as {@link TextLayerEditable} read mode (no contentEditable).
@@ -52,6 +58,9 @@ export function CompositionTextReadonly(props: {
         let cancelled = false
         const run = async () => {
             await ensureCanvasFontLoaded(resolvedFontFamily, layer.style.fontSize, layer.style.fontWeight ?? 400)
+            for (const family of textLayerRunFontFamilies(layer, brandContext)) {
+                await ensureCanvasFontLoaded(family, layer.style.fontSize, layer.style.fontWeight ?? 400)
+            }
             if (cancelled || !readRef.current) {
                 return
             }
@@ -71,7 +80,9 @@ export function CompositionTextReadonly(props: {
         cssFontFamilyStack,
         layer.style.fontSize,
         layer.style.fontWeight,
+        layer.style.listStyle,
         layer.content,
+        layer.runs,
         brandFontsEpoch,
     ])
 
@@ -91,7 +102,11 @@ export function CompositionTextReadonly(props: {
                 lineHeight: layer.style.lineHeight,
                 letterSpacing: layer.style.letterSpacing,
                 textAlign: layer.style.textAlign,
+                direction: layer.style.direction,
             },
+            textLayerHasRichContent(layer)
+                ? (probe) => fillRichTextElement(probe, layer, brandContext, { markers: true })
+                : undefined,
         )
         if (Math.round(next) !== Math.round(layer.style.fontSize)) {
             onAutoFitFontSize(next)
@@ -104,6 +119,8 @@ export function CompositionTextReadonly(props: {
         cssFontFamilyStack,
         layer.id,
         layer.content,
+        layer.runs,
+        layer.style.listStyle,
         layer.transform.width,
         layer.transform.height,
         layer.style.fontSize,
@@ -112,6 +129,7 @@ export function CompositionTextReadonly(props: {
         layer.style.lineHeight,
         layer.style.letterSpacing,
         layer.style.textAlign,
+        layer.style.direction,
     ])
 
     return (
@@ -122,13 +140,14 @@ export function CompositionTextReadonly(props: {
             >
                 <div
                     ref={readRef}
+                    dir={layer.style.direction ?? 'auto'}
                     className="pointer-events-none min-h-0 min-w-0 w-full max-w-full flex-1 select-none"
                     style={{
                         ...textStyle,
                         overflow: autoFit ? 'hidden' : 'visible',
                     }}
                 >
-                    {layer.content}
+                    <CompositionRichTextContent layer={layer} brandContext={brandContext} />
                 </div>
             </div>
         </div>
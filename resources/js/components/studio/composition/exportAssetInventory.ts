@@ -6,15 +6,9 @@ import {
     isVideoLayer,
 } from '../../../Pages/Editor/documentModel'
 import { formatCssFontFamilyStack, resolveCanvasFontFamily } from '../../../Pages/Editor/editorBrandFonts'
+import { COMPOSITION_RENDER_LAYER_TYPES } from '../../../Pages/StudioExport/compositionRenderContract'
 
-const SUPPORTED_LAYER_TYPES = new Set([
-    'image',
-    'text',
-    'generative_image',
-    'fill',
-    'mask',
-    'video',
-])
+const SUPPORTED_LAYER_TYPES = new Set<string>(COMPOSITION_RENDER_LAYER_TYPES)
 
 export type RasterSourceEntry = { layerId: string; url: string; kind: 'image' | 'generative' | 'video' }
 
@@ -77,24 +71,33 @@ export function verifyCanvasFontsForVisibleText(
         if (!layer.visible || !isTextLayer(layer)) {
             continue
         }
-        const resolved = resolveCanvasFontFamily(brandContext, layer.style.fontFamily)
-        const stack = formatCssFontFamilyStack(resolved)
-        const weight = String(layer.style.fontWeight ?? 400)
-        const spec = `${weight} ${layer.style.fontSize}px ${stack}`
-        try {
-            if (!document.fonts.check(spec)) {
+        // Rich text runs may switch font per span; each family must be ready too.
+        const families = new Set([layer.style.fontFamily])
+        for (const run of layer.runs ?? []) {
+            if (run.fontFamily) {
+                families.add(run.fontFamily)
+            }
+        }
+        for (const family of families) {
+            const resolved = resolveCanvasFontFamily(brandContext, family)
+            const stack = formatCssFontFamilyStack(resolved)
+            const weight = String(layer.style.fontWeight ?? 400)
+            const spec = `${weight} ${layer.style.fontSize}px ${stack}`
+            try {
+                if (!document.fonts.check(spec)) {
+                    failed.push({
+                        family: stack,
+                        layerId: layer.id,
+                        reason: 'document.fonts.check returned false for visible text layer',
+                    })
+                }
+            } catch (e) {
                 failed.push({
                     family: stack,
                     layerId: layer.id,
-                    reason: 'document.fonts.check returned false for visible text layer',
+                    reason: e instanceof Error ? e.message : 'document.fonts.check threw',
                 })
             }
-        } catch (e) {
-            failed.push({
-                family: stack,
-                layerId: layer.id,
-                reason: e instanceof Error ? e.message : 'document.fonts.check threw',
-            })
         }
     }
     return failed
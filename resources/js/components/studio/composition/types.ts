@@ -12,6 +12,8 @@ export type CompositionSceneEditorHandlers = {
     setSelectedLayerId: (id: string | null) => void
     beginMove: (layerId: string, e: MouseEvent) => void
     beginResize: (layerId: string, corner: 'nw' | 'ne' | 'sw' | 'se', e: MouseEvent) => void
+    /** Shape layers: drag one endpoint / vertex (line, arrow, path). */
+    beginShapePointDrag?: (layerId: string, pointIndex: number, e: MouseEvent) => void
     openPickerForReplaceImage: (layerId: string) => void
     runGenerativeGeneration: (layerId: string) => void | Promise<void>
     runGenerativeVariations: (layerId: string) => void | Promise<void>
@@ -14,12 +14,14 @@ import uploadManager from '../utils/UploadManager'
  */
 export function useUploadManager() {
     const [uploads, setUploads] = useState(() => uploadManager.getUploads())
+    const [transferState, setTransferState] = useState(() => uploadManager.getTransferState())
     const fileInputRefs = useRef(new Map())
 
     // Subscribe to upload state changes
     useEffect(() => {
         const unsubscribe = uploadManager.subscribe((newUploads) => {
             setUploads([...newUploads])
+            setTransferState(uploadManager.getTransferState())
         })
 
         // Rehydrate on mount - restore persisted uploads
@@ -111,6 +113,9 @@ export function useUploadManager() {
      * @param {Object} options
      * @param {string} [options.brandId]
      * @param {string} [options.batchReference]
+     * @param {string[]} [options.relativePaths] - Folder-relative path per file (folder uploads)
+     * @param {Array<string|null>} [options.contentSha256s] - Pre-computed SHA-256 per file (duplicate check)
+     * @param {Array<string|null>} [options.replaceAssetIds] - Asset each file is a new version of
      * @param {HTMLInputElement} [options.fileInput] - File input element for rehydration
      * @returns {string[]} Array of client references
      */
@@ -168,6 +173,28 @@ export function useUploadManager() {
         fileInputRefs.current.delete(clientReference)
     }, [])
 
+    /**
+     * Pause the whole queue (multipart uploads keep their finished parts)
+     */
+    const pauseAll = useCallback(() => {
+        uploadManager.pauseAll()
+    }, [])
+
+    /**
+     * Resume a paused queue
+     */
+    const resumeAll = useCallback(() => {
+        uploadManager.resumeAll()
+    }, [])
+
+    /**
+     * Set the upload bandwidth cap
+     * @param {number} bytesPerSecond - 0 for unlimited
+     */
+    const setBandwidthLimit = useCallback((bytesPerSecond) => {
+        uploadManager.setBandwidthLimit(bytesPerSecond)
+    }, [])
+
     /**
      * Get upload by client reference
      * @param {string} clientReference
@@ -211,6 +238,7 @@ export function useUploadManager() {
         completedUploads: uploads.filter(u => u.status === 'completed'),
         failedUploads: uploads.filter(u => u.status === 'failed'),
         cancelledUploads: uploads.filter(u => u.status === 'cancelled'),
+        transferState,
         
         // Methods
         addFiles,
@@ -219,6 +247,9 @@ export function useUploadManager() {
         cancelUpload,
         retryUpload,
         removeUpload,
+        pauseAll,
+        resumeAll,
+        setBandwidthLimit,
         getUpload,
         getAggregateProgress,
         getUploadsByStatus,
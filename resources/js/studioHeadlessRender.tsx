@@ -0,0 +1,30 @@
+/**
+ * Offline render entry for `scripts/studio-headless-export.mjs`: mounts {@link CompositionExportSurface} for a
+ * render payload the CLI injects before navigation, with no Inertia app, session or Laravel server behind it.
+ * Built separately with `npm run build:headless-render`.
+ */
+import '../css/app.css'
+import { createRoot } from 'react-dom/client'
+import { CompositionExportSurface } from './components/studio/composition/CompositionExportSurface'
+import type { CompositionRenderPayloadV1 } from './Pages/StudioExport/compositionRenderContract'
+
+declare global {
+    interface Window {
+        __COMPOSITION_RENDER_PAYLOAD__?: CompositionRenderPayloadV1
+    }
+}
+
+const el = document.getElementById('app')
+const payload = window.__COMPOSITION_RENDER_PAYLOAD__
+
+if (el && payload) {
+    createRoot(el).render(
+        <CompositionExportSurface
+            renderPayload={payload}
+            exportJobId={String(payload.export_job_id ?? 'headless')}
+            compositionId={String(payload.composition_id ?? '')}
+        />,
+    )
+} else if (el) {
+    el.textContent = 'window.__COMPOSITION_RENDER_PAYLOAD__ is not set'
+}
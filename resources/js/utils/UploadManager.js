@@ -6,6 +6,7 @@
  * - Resumable uploads
  * - Retries and cancellation
  * - Refresh-safe state recovery
+ * - Adaptive multipart part concurrency, an optional bandwidth cap and queue-wide pause/resume
  * 
  * SAFETY RULES:
  * - Never guesses backend state - always queries /resume endpoint
@@ -18,13 +19,19 @@
 
 // Phase 2.5: Import error classifier
 import { classifyUploadError, sendDiagnostics } from './uploadErrorClassifier'
+import { createAdaptiveConcurrency, createBandwidthLimiter } from './uploadThroughput'
 
 const STORAGE_KEY = 'upload_manager_state'
+const SETTINGS_STORAGE_KEY = 'upload_manager_settings' // Bandwidth cap + paused flag (survive reloads)
 const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024 // 5 MB (legacy, for backward compatibility)
 const MULTIPART_CHUNK_SIZE = 10 * 1024 * 1024 // 10 MB (matches backend MultipartUploadService::DEFAULT_CHUNK_SIZE)
 const MULTIPART_THRESHOLD = 100 * 1024 * 1024 // 100 MB (matches backend UploadInitiationService::MULTIPART_THRESHOLD)
+const CAPPED_PART_SIZE = 5 * 1024 * 1024 // 5 MB S3 minimum (backend MultipartUploadService::MIN_PART_SIZE): pacing slice under a cap
 const MAX_PARALLEL_UPLOADS = 5 // Configurable limit
-const MAX_PARALLEL_PARTS = 3 // Max concurrent part uploads for multipart (conservative, can be increased later)
+const MIN_PARALLEL_PARTS = 1 // Adaptive part concurrency floor (flaky links)
+const INITIAL_PARALLEL_PARTS = 2
+const MAX_PARALLEL_PARTS = 6 // Browsers open at most 6 HTTP/1.1 connections per host
+const MAX_PART_ATTEMPTS = 3 // Network errors and 5xx on a part are retried before the upload fails
 const ACTIVITY_UPDATE_INTERVAL = 10000 // 10 seconds
 
 /**
@@ -34,13 +41,17 @@ const ACTIVITY_UPDATE_INTERVAL = 10000 // 10 seconds
  * @property {string} [uploadSessionId] - Backend upload session ID
  * @property {File} file - The file being uploaded
  * @property {string} fileName - Original filename
+ * @property {string} [relativePath] - Path inside an uploaded folder (e.g. "Shoot/Day 1/a.jpg"); file name otherwise
+ * @property {string|null} [contentSha256] - SHA-256 computed before upload (duplicate check); sent with finalize
  * @property {number} fileSize - File size in bytes
+ * @property {number|null} [lastModified] - File.lastModified, used to match a re-selected file after a reload
+ * @property {string|null} [replaceAssetId] - Asset whose file this session replaces (new version); null for new assets
  * @property {string} mimeType - MIME type
  * @property {('direct'|'chunked')} uploadType - Upload strategy
  * @property {number} [chunkSize] - Chunk size for multipart uploads
  * @property {string} [multipartUploadId] - S3 multipart upload ID
  * @property {string} [uploadUrl] - Pre-signed URL for direct uploads (temporary, not persisted)
- * @property {('pending'|'initiating'|'uploading'|'completing'|'completed'|'failed'|'cancelled')} status - Upload status
+ * @property {('pending'|'initiating'|'uploading'|'paused'|'completing'|'completed'|'failed'|'cancelled')} status - Upload status
  * @property {number} progress - Upload progress (0-100)
  * @property {string} [error] - Error message if failed
  * @property {number} lastUpdatedAt - Timestamp of last update
@@ -58,7 +69,11 @@ const ACTIVITY_UPDATE_INTERVAL = 10000 // 10 seconds
  * @property {string} clientReference
  * @property {string} [uploadSessionId]
  * @property {string} fileName
+ * @property {string} [relativePath]
+ * @property {string|null} [contentSha256]
  * @property {number} fileSize
+ * @property {number|null} [lastModified]
+ * @property {string|null} [replaceAssetId]
  * @property {string} mimeType
  * @property {('direct'|'chunked')} uploadType
  * @property {number} [chunkSize]
@@ -81,8 +96,24 @@ class UploadManager {
         this.activityTimers = new Map()
         this.listeners = new Set()
         this.maxParallelUploads = MAX_PARALLEL_UPLOADS
+        // Multipart parts share one adaptive pool across uploads: it measures the link, not a file
+        this.partConcurrency = createAdaptiveConcurrency({
+            min: MIN_PARALLEL_PARTS,
+            max: MAX_PARALLEL_PARTS,
+            initial: INITIAL_PARALLEL_PARTS,
+        })
+        this.activePartRequests = 0
+        /** @type {Set<Function>} */
+        this.partSlotWaiters = new Set()
+        this.bandwidthLimiter = createBandwidthLimiter()
+        /** @type {Set<Function>} */
+        this.bandwidthWaiters = new Set()
+        /** Direct PUTs the upload dialog runs itself; pauseAll() aborts them. @type {Set<AbortController>} */
+        this.directTransfers = new Set()
+        this.queuePaused = false
         
         // Load persisted state from localStorage
+        this.rehydrateSettings()
         this.rehydrateFromStorage()
     }
 
@@ -233,6 +264,8 @@ class UploadManager {
                 // Restore without File object (must be re-attached)
                 this.uploads.set(item.clientReference, {
                     ...item,
+                    // No request survives a reload; completedParts/progress are kept so the upload resumes
+                    status: ['initiating', 'uploading'].includes(item.status) ? 'paused' : item.status,
                     file: null, // File must be re-attached
                 })
             })
@@ -241,6 +274,34 @@ class UploadManager {
         }
     }
 
+    /**
+     * Persist queue settings (bandwidth cap, paused flag)
+     */
+    persistSettings() {
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+                bandwidthLimit: this.bandwidthLimiter.bytesPerSecond,
+                paused: this.queuePaused,
+            }))
+        } catch (error) {
+            console.warn('Failed to persist upload settings to localStorage:', error)
+        }
+    }
+
+    /**
+     * Load queue settings from localStorage
+     */
+    rehydrateSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null')
+            if (!stored) return
+            this.bandwidthLimiter.setRate(Number(stored.bandwidthLimit) || 0)
+            this.queuePaused = stored.paused === true
+        } catch (error) {
+            console.warn('Failed to rehydrate upload settings from localStorage:', error)
+        }
+    }
+
     /**
      * Reattach File object to persisted upload item
      * @param {string} clientReference
@@ -261,12 +322,18 @@ class UploadManager {
      * @param {Object} options
      * @param {string} [options.brandId]
      * @param {string} [options.batchReference]
+     * @param {string[]} [options.relativePaths] - Folder-relative path per file (same order as files). Dropped
+     *   folders cannot set File.webkitRelativePath, so callers pass it here; defaults to webkitRelativePath.
+     * @param {Array<string|null>} [options.contentSha256s] - Pre-computed SHA-256 per file (same order as files), kept
+     *   with the persisted entry so a resumed upload still finalizes with its fingerprint.
+     * @param {Array<string|null>} [options.replaceAssetIds] - Asset each file is a new version of (same order as files);
+     *   lets {@link UploadManager#findResumableUpload} tell replace sessions from new-asset sessions.
      * @returns {string[]} Array of client references
      */
     addFiles(files, options = {}) {
         const clientReferences = []
 
-        files.forEach(file => {
+        files.forEach((file, index) => {
             const clientReference = this.generateClientReference()
             
             // Phase 2.6: Determine upload type based on file size threshold
@@ -277,7 +344,11 @@ class UploadManager {
                 uploadSessionId: null,
                 file,
                 fileName: file.name,
+                relativePath: options.relativePaths?.[index] || file.webkitRelativePath || file.name,
+                contentSha256: options.contentSha256s?.[index] || null,
                 fileSize: file.size,
+                lastModified: file.lastModified ?? null,
+                replaceAssetId: options.replaceAssetIds?.[index] || null,
                 mimeType: file.type || 'application/octet-stream',
                 uploadType: isMultipart ? 'chunked' : 'direct',
                 chunkSize: isMultipart ? MULTIPART_CHUNK_SIZE : undefined,
@@ -332,6 +403,15 @@ class UploadManager {
             return // Already in progress
         }
 
+        // Queue paused: resumeAll() starts it later
+        if (this.queuePaused) {
+            upload.status = 'paused'
+            upload.lastUpdatedAt = Date.now()
+            this.persistToStorage()
+            this.notifyListeners()
+            return
+        }
+
         // Check parallel upload limit
         if (this.activeUploads.size >= this.maxParallelUploads) {
             upload.status = 'paused'
@@ -390,9 +470,10 @@ class UploadManager {
             if (resumeData.total_parts) {
                 upload.totalParts = resumeData.total_parts
             }
-            // Restore completed parts from multipart_state if available
+            // Restore completed parts from multipart_state if available (merged: parts this tab
+            // recorded before a pause or reload stay valid until the multipart upload is re-initiated)
             if (resumeData.multipart_state?.completed_parts) {
-                upload.completedParts = {}
+                upload.completedParts = { ...(upload.completedParts || {}) }
                 Object.entries(resumeData.multipart_state.completed_parts).forEach(([partNum, etag]) => {
                     upload.completedParts[parseInt(partNum)] = etag
                 })
@@ -477,6 +558,7 @@ class UploadManager {
                 }],
                 brand_id: upload.brandId,
                 batch_reference: upload.batchReference,
+                ...(this.isBandwidthCapped() ? { paced: true } : {}),
             })
 
             const result = response.data.uploads[0]
@@ -625,8 +707,11 @@ class UploadManager {
                 throw new Error('No upload URL available for direct upload')
             }
 
+            await this.waitForBandwidth(upload.fileSize, abortController.signal)
+
             // Track upload progress
             const xhr = new XMLHttpRequest()
+            abortController.signal.addEventListener('abort', () => xhr.abort(), { once: true })
             
             return new Promise((resolve, reject) => {
                 xhr.upload.addEventListener('progress', (e) => {
@@ -714,6 +799,11 @@ class UploadManager {
                 })
 
                 xhr.addEventListener('abort', () => {
+                    if (this.queuePaused) {
+                        this.requeuePausedDirectUpload(clientReference)
+                        resolve()
+                        return
+                    }
                     upload.status = 'cancelled'
                     upload.lastUpdatedAt = Date.now()
                     this.persistToStorage()
@@ -726,6 +816,12 @@ class UploadManager {
                 xhr.send(upload.file)
             })
         } catch (error) {
+            if (error.message === 'Upload cancelled' && this.queuePaused) {
+                // Paused while waiting for bandwidth
+                this.requeuePausedDirectUpload(clientReference)
+                return
+            }
+
             // Phase 2.5: Classify error and send diagnostics
             const classifiedError = classifyUploadError(error, {
                 requestPhase: 'upload',
@@ -757,13 +853,32 @@ class UploadManager {
     }
 
 
+    /**
+     * pauseAll() stopped a direct upload. A single PUT cannot continue where it stopped and its session cannot be
+     * resumed, so drop the session: resumeAll() initiates the file again.
+     * @param {string} clientReference
+     */
+    requeuePausedDirectUpload(clientReference) {
+        const upload = this.uploads.get(clientReference)
+        if (!upload) return
+        upload.status = 'paused'
+        upload.progress = 0
+        upload.uploadSessionId = null
+        upload.uploadUrl = null
+        upload.lastUpdatedAt = Date.now()
+        this.activeUploads.delete(clientReference)
+        this.stopActivityUpdates(clientReference)
+        this.persistToStorage()
+        this.notifyListeners()
+    }
+
     /**
      * Phase 2.6: Perform multipart chunked upload to S3
      * 
      * Flow:
      * 1. Initiate multipart upload (if not already initiated)
      * 2. Resume: Check multipart_state.completed_parts from backend
-     * 3. Upload missing parts sequentially (with limited parallelism)
+     * 3. Upload missing parts in parallel (adaptive concurrency, optional bandwidth cap)
      * 4. Track per-part progress
      * 5. Complete multipart upload when all parts done
      * 
@@ -791,8 +906,11 @@ class UploadManager {
                 this.notifyListeners()
 
                 try {
+                    // Under a bandwidth cap ask for minimum-size parts: the cap paces part starts, so smaller
+                    // parts mean smaller bursts
                     const initResponse = await window.axios.post(
-                        `/app/uploads/${upload.uploadSessionId}/multipart/init`
+                        `/app/uploads/${upload.uploadSessionId}/multipart/init`,
+                        this.isBandwidthCapped() ? { part_size: CAPPED_PART_SIZE } : {}
                     )
 
                     upload.multipartUploadId = initResponse.data.multipart_upload_id
@@ -835,22 +953,23 @@ class UploadManager {
                 }
             }
 
-            // Phase 2.6: Step 2 - Resume: Get completed parts from backend multipart_state
-            let completedPartsMap = upload.completedParts || {}
+            // Phase 2.6: Step 2 - Resume: merge parts the backend knows about with the ones this tab recorded
+            // (persisted, so they survive pauses and reloads). multipart_state.completed_parts is only written
+            // on complete; for an interrupted upload already_uploaded_parts (S3 ListParts) is the backend truth.
+            const completedPartsMap = { ...(upload.completedParts || {}) }
             
-            // Query backend for resume metadata (includes multipart_state.completed_parts)
             try {
                 const resumeData = await this.fetchResumeMetadata(upload.uploadSessionId)
                 
-                // If backend has multipart_state, use it for resume
-                if (resumeData.multipart_state?.completed_parts) {
-                    // Convert backend format { "1": "etag1", "2": "etag2" } to our format
-                    completedPartsMap = {}
-                    Object.entries(resumeData.multipart_state.completed_parts).forEach(([partNum, etag]) => {
-                        completedPartsMap[parseInt(partNum)] = etag
-                    })
-                    upload.completedParts = completedPartsMap
-                }
+                Object.entries(resumeData.multipart_state?.completed_parts || {}).forEach(([partNum, etag]) => {
+                    completedPartsMap[parseInt(partNum)] = etag
+                })
+                ;(resumeData.already_uploaded_parts || []).forEach((part) => {
+                    if (part?.PartNumber && part.ETag) {
+                        completedPartsMap[parseInt(part.PartNumber)] = String(part.ETag).replace(/"/g, '')
+                    }
+                })
+                upload.completedParts = completedPartsMap
             } catch (error) {
                 // Resume query failed - continue with local state (best-effort)
                 console.warn('[UploadManager] Failed to fetch resume metadata, using local state:', error)
@@ -881,136 +1000,42 @@ class UploadManager {
 
             // Phase 2.6: Step 4 - Upload missing parts
             upload.status = 'uploading'
+            upload.progress = Math.round((Object.keys(completedPartsMap).length / totalParts) * 100)
+            this.persistToStorage()
             this.notifyListeners()
 
-            // Upload parts sequentially (can be parallelized later if needed)
-            for (const partNumber of partsToUpload) {
-                if (abortController.signal.aborted) {
-                    throw new Error('Upload cancelled')
-                }
-
-                // Calculate chunk boundaries
-                const start = (partNumber - 1) * partSize
-                const end = Math.min(start + partSize, file.size)
-                const chunk = file.slice(start, end)
-
-                // Initialize part progress
-                upload.partProgress = upload.partProgress || {}
-                upload.partProgress[partNumber] = 0
-
-                try {
-                    // Phase 2.6: Get presigned URL for this part
-                    const signResponse = await window.axios.post(
-                        `/app/uploads/${upload.uploadSessionId}/multipart/sign-part`,
-                        { part_number: partNumber }
-                    )
-
-                    const partUrl = signResponse.data.upload_url
-
-                    // Phase 2.5: Store diagnostics
-                    upload.diagnostics = upload.diagnostics || {}
-                    upload.diagnostics.part_number = partNumber
-                    upload.diagnostics.last_presigned_url = partUrl
-                    upload.diagnostics.request_phase = 'multipart_upload_part'
-
-                    // Upload chunk to S3
-                    let partResponse
+            // Workers only bound how many parts this upload queues; how many are actually in flight is
+            // decided by the manager-wide adaptive slot pool (acquirePartSlot).
+            const queue = [...partsToUpload]
+            let firstError = null
+            const worker = async () => {
+                while (queue.length > 0 && !firstError) {
+                    const partNumber = queue.shift()
                     try {
-                        partResponse = await fetch(partUrl, {
-                            method: 'PUT',
-                            body: chunk,
-                            signal: abortController.signal,
-                        })
-                    } catch (fetchError) {
-                        // Phase 2.6: Classify fetch errors
-                        const classifiedError = classifyUploadError(fetchError, {
-                            requestPhase: 'multipart_upload_part',
-                            uploadSessionId: upload.uploadSessionId,
-                            fileName: upload.fileName,
-                            fileSize: upload.fileSize,
-                            presignedUrl: partUrl,
-                        })
-                        
-                        upload.errorInfo = classifiedError
-                        upload.diagnostics.last_error_type = classifiedError.type
-                        upload.diagnostics.last_error_message = classifiedError.message
-                        upload.diagnostics.last_http_status = classifiedError.http_status
-                        upload.diagnostics.timestamp = classifiedError.timestamp
-                        
-                        sendDiagnostics(classifiedError).catch(() => {})
-                        throw new Error(classifiedError.message)
+                        await this.uploadPart(clientReference, partNumber, completedPartsMap, abortController.signal)
+                    } catch (error) {
+                        firstError = firstError || error
                     }
-
-                    // Phase 2.5: Store HTTP status
-                    upload.diagnostics.last_http_status = partResponse.status
-
-                    if (!partResponse.ok) {
-                        // Phase 2.6: Classify HTTP error
-                        const errorBody = await partResponse.text().catch(() => '')
-                        const errorResponse = {
-                            message: `Failed to upload part ${partNumber}: ${partResponse.statusText}`,
-                            response: { status: partResponse.status },
-                            body: errorBody,
-                        }
-                        
-                        const classifiedError = classifyUploadError(errorResponse, {
-                            httpStatus: partResponse.status,
-                            requestPhase: 'multipart_upload_part',
-                            uploadSessionId: upload.uploadSessionId,
-                            fileName: upload.fileName,
-                            fileSize: upload.fileSize,
-                            presignedUrl: partUrl,
-                        })
-                        
-                        upload.errorInfo = classifiedError
-                        upload.diagnostics.last_error_type = classifiedError.type
-                        upload.diagnostics.last_error_message = classifiedError.message
-                        upload.diagnostics.last_http_status = classifiedError.http_status
-                        upload.diagnostics.timestamp = classifiedError.timestamp
-                        
-                        sendDiagnostics(classifiedError).catch(() => {})
-                        throw new Error(classifiedError.message)
-                    }
-
-                    const etag = partResponse.headers.get('ETag')?.replace(/"/g, '')
-
-                    if (!etag) {
-                        throw new Error(`No ETag received for part ${partNumber}`)
-                    }
-
-                    // Store completed part
-                    completedPartsMap[partNumber] = etag
-                    upload.completedParts = completedPartsMap
-                    upload.partProgress[partNumber] = 100
-
-                    // Update overall progress
-                    const completedCount = Object.keys(completedPartsMap).length
-                    upload.progress = Math.round((completedCount / totalParts) * 100)
-                    upload.lastUpdatedAt = Date.now()
-                    
-                    // Throttle persistence (every 10% or on completion)
-                    const shouldPersist = upload.progress % 10 === 0 || upload.progress === 100
-                    if (shouldPersist) {
-                        this.persistToStorage()
-                    }
-                    this.notifyListeners()
-                } catch (error) {
-                    // Part upload failed - mark part as failed but continue with other parts
-                    upload.partProgress[partNumber] = -1 // -1 indicates failed
-                    upload.lastUpdatedAt = Date.now()
-                    this.notifyListeners()
-                    
-                    // Re-throw to abort entire upload (can be changed to continue on part failure if needed)
-                    throw error
                 }
             }
+            await Promise.all(
+                Array.from({ length: Math.min(MAX_PARALLEL_PARTS, partsToUpload.length) }, worker)
+            )
+            if (firstError) {
+                throw firstError
+            }
 
             // Phase 2.6: Step 5 - Complete multipart upload
             upload.status = 'completing'
             this.notifyListeners()
             await this.completeMultipartUpload(clientReference, completedPartsMap)
         } catch (error) {
-            if (error.name === 'AbortError' || error.message === 'Upload cancelled') {
+            if ((error.name === 'AbortError' || error.message === 'Upload cancelled') && this.queuePaused) {
+                // pauseAll(): keep the multipart upload and its parts on S3; resumeAll() continues from them
+                upload.status = 'paused'
+                upload.error = null
+                upload.errorInfo = null
+            } else if (error.name === 'AbortError' || error.message === 'Upload cancelled') {
                 upload.status = 'cancelled'
                 upload.error = null
                 upload.errorInfo = null
@@ -1061,6 +1086,385 @@ class UploadManager {
         }
     }
 
+    /**
+     * Upload one multipart part: sign it, wait for a shared part slot and the bandwidth cap, then PUT the slice.
+     *
+     * Network errors and 5xx responses are retried up to MAX_PART_ATTEMPTS times (each one backs off the
+     * adaptive concurrency); anything else, or the last attempt, throws and fails the upload.
+     *
+     * @param {string} clientReference
+     * @param {number} partNumber
+     * @param {Object<number, string>} completedPartsMap - Updated in place with the part's ETag
+     * @param {AbortSignal} signal
+     */
+    async uploadPart(clientReference, partNumber, completedPartsMap, signal) {
+        const upload = this.uploads.get(clientReference)
+        const file = upload.file
+        const partSize = upload.partSize || MULTIPART_CHUNK_SIZE
+        const totalParts = upload.totalParts || Math.ceil(file.size / partSize)
+
+        // Calculate chunk boundaries
+        const start = (partNumber - 1) * partSize
+        const end = Math.min(start + partSize, file.size)
+        const chunk = file.slice(start, end)
+
+        // Initialize part progress
+        upload.partProgress = upload.partProgress || {}
+        upload.partProgress[partNumber] = 0
+
+        for (let attempt = 1; ; attempt++) {
+            await this.acquirePartSlot(signal)
+            let etag
+            try {
+                etag = await this.putPart(upload, partNumber, chunk, signal)
+            } catch (error) {
+                const aborted = signal.aborted || error.name === 'AbortError'
+                if (aborted || !error.retryable || attempt >= MAX_PART_ATTEMPTS) {
+                    if (!aborted) {
+                        // Part upload failed - mark part as failed
+                        upload.partProgress[partNumber] = -1 // -1 indicates failed
+                        upload.lastUpdatedAt = Date.now()
+                        this.notifyListeners()
+                    }
+                    throw error
+                }
+                this.partConcurrency.recordFailure()
+                continue
+            } finally {
+                this.releasePartSlot()
+            }
+
+            // Store completed part
+            completedPartsMap[partNumber] = etag
+            upload.completedParts = completedPartsMap
+            upload.partProgress[partNumber] = 100
+
+            // Update overall progress
+            const completedCount = Object.keys(completedPartsMap).length
+            upload.progress = Math.round((completedCount / totalParts) * 100)
+            upload.lastUpdatedAt = Date.now()
+
+            // Persist every part: this is what lets a reload resume instead of restarting
+            this.persistToStorage()
+            this.notifyListeners()
+            return
+        }
+    }
+
+    /**
+     * PUT one part to its presigned URL and return the ETag. Request time (after the bandwidth wait) feeds
+     * the adaptive concurrency. Thrown errors carry `retryable` for network failures and 5xx.
+     *
+     * @param {UploadItem} upload
+     * @param {number} partNumber
+     * @param {Blob} chunk
+     * @param {AbortSignal} signal
+     * @returns {Promise<string>}
+     */
+    async putPart(upload, partNumber, chunk, signal) {
+        // Phase 2.6: Get presigned URL for this part
+        const signResponse = await window.axios.post(
+            `/app/uploads/${upload.uploadSessionId}/multipart/sign-part`,
+            { part_number: partNumber }
+        )
+
+        const partUrl = signResponse.data.upload_url
+
+        // Phase 2.5: Store diagnostics
+        upload.diagnostics = upload.diagnostics || {}
+        upload.diagnostics.part_number = partNumber
+        upload.diagnostics.last_presigned_url = partUrl
+        upload.diagnostics.request_phase = 'multipart_upload_part'
+
+        await this.waitForBandwidth(chunk.size, signal)
+
+        // Upload chunk to S3
+        const startedAt = Date.now()
+        let partResponse
+        try {
+            partResponse = await fetch(partUrl, {
+                method: 'PUT',
+                body: chunk,
+                signal,
+            })
+        } catch (fetchError) {
+            if (fetchError.name === 'AbortError') {
+                throw fetchError
+            }
+
+            // Phase 2.6: Classify fetch errors
+            const classifiedError = classifyUploadError(fetchError, {
+                requestPhase: 'multipart_upload_part',
+                uploadSessionId: upload.uploadSessionId,
+                fileName: upload.fileName,
+                fileSize: upload.fileSize,
+                presignedUrl: partUrl,
+            })
+            
+            upload.errorInfo = classifiedError
+            upload.diagnostics.last_error_type = classifiedError.type
+            upload.diagnostics.last_error_message = classifiedError.message
+            upload.diagnostics.last_http_status = classifiedError.http_status
+            upload.diagnostics.timestamp = classifiedError.timestamp
+            
+            sendDiagnostics(classifiedError).catch(() => {})
+            const error = new Error(classifiedError.message)
+            error.retryable = true
+            throw error
+        }
+
+        // Phase 2.5: Store HTTP status
+        upload.diagnostics.last_http_status = partResponse.status
+
+        if (!partResponse.ok) {
+            // Phase 2.6: Classify HTTP error
+            const errorBody = await partResponse.text().catch(() => '')
+            const errorResponse = {
+                message: `Failed to upload part ${partNumber}: ${partResponse.statusText}`,
+                response: { status: partResponse.status },
+                body: errorBody,
+            }
+            
+            const classifiedError = classifyUploadError(errorResponse, {
+                httpStatus: partResponse.status,
+                requestPhase: 'multipart_upload_part',
+                uploadSessionId: upload.uploadSessionId,
+                fileName: upload.fileName,
+                fileSize: upload.fileSize,
+                presignedUrl: partUrl,
+            })
+            
+            upload.errorInfo = classifiedError
+            upload.diagnostics.last_error_type = classifiedError.type
+            upload.diagnostics.last_error_message = classifiedError.message
+            upload.diagnostics.last_http_status = classifiedError.http_status
+            upload.diagnostics.timestamp = classifiedError.timestamp
+            
+            sendDiagnostics(classifiedError).catch(() => {})
+            const error = new Error(classifiedError.message)
+            error.retryable = partResponse.status >= 500
+            throw error
+        }
+
+        const etag = partResponse.headers.get('ETag')?.replace(/"/g, '')
+
+        if (!etag) {
+            throw new Error(`No ETag received for part ${partNumber}`)
+        }
+
+        this.partConcurrency.recordSuccess(chunk.size, Date.now() - startedAt)
+        // A retried part succeeded: the error belonged to an earlier attempt
+        upload.errorInfo = null
+        return etag
+    }
+
+    /**
+     * Wait until a multipart part may start (manager-wide adaptive limit).
+     * @param {AbortSignal} signal
+     */
+    async acquirePartSlot(signal) {
+        while (this.activePartRequests >= this.partSlotLimit()) {
+            if (signal.aborted) {
+                throw new Error('Upload cancelled')
+            }
+            await new Promise((resolve) => {
+                const wake = () => {
+                    this.partSlotWaiters.delete(wake)
+                    signal.removeEventListener('abort', wake)
+                    resolve()
+                }
+                this.partSlotWaiters.add(wake)
+                signal.addEventListener('abort', wake, { once: true })
+            })
+        }
+        if (signal.aborted) {
+            throw new Error('Upload cancelled')
+        }
+        this.activePartRequests++
+    }
+
+    /**
+     * Parts allowed in flight: the adaptive limit, or one at a time under a bandwidth cap so the link only ever
+     * carries a single paced part.
+     * @returns {number}
+     */
+    partSlotLimit() {
+        return this.isBandwidthCapped() ? 1 : this.partConcurrency.limit
+    }
+
+    /**
+     * Release a part slot and let waiting parts re-check the (possibly changed) limit.
+     */
+    releasePartSlot() {
+        this.activePartRequests = Math.max(0, this.activePartRequests - 1)
+        const waiters = Array.from(this.partSlotWaiters)
+        this.partSlotWaiters.clear()
+        waiters.forEach(wake => wake())
+    }
+
+    /**
+     * Hold a transfer of `bytes` back until the bandwidth cap allows it. Changing the cap re-schedules waiters.
+     * Also used by the upload dialog for its direct (single PUT) uploads.
+     *
+     * @param {number} bytes
+     * @param {AbortSignal|null} [signal]
+     */
+    async waitForBandwidth(bytes, signal = null) {
+        for (;;) {
+            if (signal?.aborted) {
+                throw new Error('Upload cancelled')
+            }
+            const delayMs = this.bandwidthLimiter.reserve(bytes)
+            if (delayMs <= 0) return
+
+            const rescheduled = await new Promise((resolve, reject) => {
+                let timer = null
+                const cleanup = () => {
+                    clearTimeout(timer)
+                    this.bandwidthWaiters.delete(wake)
+                    signal?.removeEventListener('abort', onAbort)
+                }
+                const wake = () => {
+                    cleanup()
+                    resolve(true)
+                }
+                const onAbort = () => {
+                    cleanup()
+                    reject(new Error('Upload cancelled'))
+                }
+                timer = setTimeout(() => {
+                    cleanup()
+                    resolve(false)
+                }, delayMs)
+                this.bandwidthWaiters.add(wake)
+                signal?.addEventListener('abort', onAbort, { once: true })
+            })
+            if (!rescheduled) return
+        }
+    }
+
+    /**
+     * @returns {boolean} true while an upload bandwidth cap is set
+     */
+    isBandwidthCapped() {
+        return this.bandwidthLimiter.bytesPerSecond > 0
+    }
+
+    /**
+     * Set the upload bandwidth cap (persisted).
+     * @param {number} bytesPerSecond - 0 for unlimited
+     */
+    setBandwidthLimit(bytesPerSecond) {
+        this.bandwidthLimiter.setRate(bytesPerSecond)
+        const waiters = [...this.bandwidthWaiters, ...this.partSlotWaiters]
+        this.bandwidthWaiters.clear()
+        this.partSlotWaiters.clear()
+        waiters.forEach(wake => wake())
+        this.persistSettings()
+        this.notifyListeners()
+    }
+
+    /**
+     * Register a direct PUT that runs outside the manager (upload dialog) so pauseAll() can abort it.
+     * @param {AbortController} controller
+     * @returns {Function} unregister, call when the transfer settles
+     */
+    registerDirectTransfer(controller) {
+        this.directTransfers.add(controller)
+        return () => this.directTransfers.delete(controller)
+    }
+
+    /**
+     * Pause the whole queue: in-flight multipart uploads stop (their finished parts stay on S3), in-flight direct
+     * PUTs are aborted (they restart from the beginning on resume) and nothing new starts until resumeAll().
+     */
+    pauseAll() {
+        if (this.queuePaused) return
+        this.queuePaused = true
+        this.uploads.forEach((upload, clientReference) => {
+            if (upload.status === 'pending') {
+                upload.status = 'paused'
+                upload.lastUpdatedAt = Date.now()
+            } else if (upload.status === 'initiating' || upload.status === 'uploading') {
+                this.abortControllers.get(clientReference)?.abort()
+            }
+        })
+        this.directTransfers.forEach(controller => controller.abort())
+        this.persistSettings()
+        this.persistToStorage()
+        this.notifyListeners()
+    }
+
+    /**
+     * Resume a paused queue; paused uploads whose File is attached restart from their completed parts.
+     */
+    resumeAll() {
+        if (!this.queuePaused) return
+        this.queuePaused = false
+        this.persistSettings()
+        this.uploads.forEach((upload, clientReference) => {
+            if (upload.status === 'paused' && upload.file) {
+                upload.status = 'pending'
+                this.startUpload(clientReference).catch(() => {})
+            }
+        })
+        this.notifyListeners()
+    }
+
+    /**
+     * Queue-level transfer state for the upload tray.
+     * @returns {{ paused: boolean, bandwidthLimit: number, bytesPerSecond: number, partConcurrency: number }}
+     */
+    getTransferState() {
+        return {
+            paused: this.queuePaused,
+            bandwidthLimit: this.bandwidthLimiter.bytesPerSecond,
+            bytesPerSecond: this.partConcurrency.bytesPerSecond(),
+            partConcurrency: this.partConcurrency.limit,
+        }
+    }
+
+    /**
+     * Find an interrupted multipart upload (e.g. from before a reload) for a re-selected file and re-attach it.
+     * The backend is asked first; sessions it can no longer resume are dropped.
+     *
+     * @param {File} file
+     * @param {Object} [options]
+     * @param {string} [options.brandId]
+     * @param {string|null} [options.replaceAssetId] - Only match sessions replacing this asset (null = new assets)
+     * @returns {Promise<string|null>} clientReference to startUpload(), or null to initiate a new upload
+     */
+    async findResumableUpload(file, options = {}) {
+        const match = this.getUploads().find(u =>
+            !u.file &&
+            u.uploadSessionId &&
+            u.uploadType === 'chunked' &&
+            ['paused', 'pending', 'failed'].includes(u.status) &&
+            u.fileName === file.name &&
+            u.fileSize === file.size &&
+            (u.lastModified == null || u.lastModified === file.lastModified) &&
+            (u.replaceAssetId || null) === (options.replaceAssetId || null) &&
+            (!options.brandId || !u.brandId || String(u.brandId) === String(options.brandId))
+        )
+        if (!match) return null
+
+        try {
+            const resumeData = await this.fetchResumeMetadata(match.uploadSessionId)
+            if (!resumeData.can_resume || resumeData.is_expired) {
+                this.removeUpload(match.clientReference)
+                return null
+            }
+        } catch (error) {
+            console.warn('[UploadManager] Failed to check resumable upload:', error)
+            return null
+        }
+
+        match.status = 'pending'
+        match.error = null
+        this.reattachFile(match.clientReference, file)
+        return match.clientReference
+    }
+
     /**
      * Phase 2.6: Complete multipart upload by assembling parts
      * 
@@ -1197,7 +1601,7 @@ class UploadManager {
 
         // Phase 2.6: Abort multipart upload on S3 if in progress
         if (upload.uploadSessionId && upload.multipartUploadId && 
-            (upload.status === 'initiating' || upload.status === 'uploading' || upload.status === 'completing')) {
+            (upload.status === 'initiating' || upload.status === 'uploading' || upload.status === 'paused' || upload.status === 'completing')) {
             try {
                 await window.axios.post(
                     `/app/uploads/${upload.uploadSessionId}/multipart/abort`
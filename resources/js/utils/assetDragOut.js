@@ -0,0 +1,35 @@
+/**
+ * Drag an asset out of the browser onto the desktop / another app as its original file.
+ *
+ * Chromium honours the `DownloadURL` drag type (`mime:filename:url`) and downloads the URL where it is dropped;
+ * the URL is the authenticated download route, which redirects to the original. Other browsers get the URL as
+ * a link (`text/uri-list`), which most desktops save as a shortcut.
+ */
+
+/**
+ * Filename for the dropped file: the original filename, else title + extension.
+ * `:` would break the DownloadURL format, and slashes are not valid in filenames.
+ * @param {{ original_filename?: string, title?: string, file_extension?: string, id?: string|number }} asset
+ * @returns {string}
+ */
+export function assetDragOutFileName(asset) {
+    let name = String(asset?.original_filename || '').trim()
+    if (!name) {
+        const base = String(asset?.title || '').trim() || `asset-${asset?.id ?? 'download'}`
+        const ext = String(asset?.file_extension || '').trim().replace(/^\./, '')
+        name = ext && !base.toLowerCase().endsWith(`.${ext.toLowerCase()}`) ? `${base}.${ext}` : base
+    }
+    return name.replace(/[:/\\]/g, '-')
+}
+
+/**
+ * `DownloadURL` drag payload for an asset.
+ * @param {{ mime_type?: string, original_filename?: string, title?: string, file_extension?: string }} asset
+ * @param {string} url - Download URL (resolved against `baseUrl` when relative)
+ * @param {string} baseUrl - e.g. `window.location.origin`
+ * @returns {string}
+ */
+export function assetDownloadUrlDragData(asset, url, baseUrl) {
+    const mime = String(asset?.mime_type || '').trim() || 'application/octet-stream'
+    return `${mime}:${assetDragOutFileName(asset)}:${new URL(url, baseUrl).href}`
+}
@@ -0,0 +1,25 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { assetDownloadUrlDragData, assetDragOutFileName } from './assetDragOut.js'
+
+test('assetDragOutFileName prefers the original filename and keeps it DownloadURL-safe', () => {
+    assert.equal(assetDragOutFileName({ original_filename: 'Hero 16:9.jpg', title: 'Hero' }), 'Hero 16-9.jpg')
+    assert.equal(assetDragOutFileName({ title: 'Logo', file_extension: 'svg' }), 'Logo.svg')
+    assert.equal(assetDragOutFileName({ title: 'Logo.svg', file_extension: 'svg' }), 'Logo.svg')
+    assert.equal(assetDragOutFileName({ id: 42 }), 'asset-42')
+})
+
+test('assetDownloadUrlDragData builds mime:filename:absolute-url', () => {
+    assert.equal(
+        assetDownloadUrlDragData(
+            { mime_type: 'image/png', original_filename: 'a.png' },
+            '/app/assets/9/download',
+            'https://dam.example.com',
+        ),
+        'image/png:a.png:https://dam.example.com/app/assets/9/download',
+    )
+    assert.equal(
+        assetDownloadUrlDragData({ original_filename: 'x' }, 'https://cdn.example.com/x', 'https://dam.example.com'),
+        'application/octet-stream:x:https://cdn.example.com/x',
+    )
+})
@@ -12,6 +12,7 @@ const SUPPORTED_LAYER_TYPES = new Set([
     'fill',
     'mask',
     'video',
+    'shape',
 ])
 
 function listUnsupportedLayerTypes(layers) {
@@ -33,6 +34,7 @@ test('listUnsupportedLayerTypes is empty for a normal studio stack', () => {
         { type: 'generative_image' },
         { type: 'mask' },
         { type: 'video' },
+        { type: 'shape' },
     ]
     assert.deepEqual(listUnsupportedLayerTypes(layers), [])
 })
@@ -430,3 +430,24 @@ export function snapResize(params: {
     }
     return snapRectResizeLineAlign(rect, corner, docW, docH, density, thresholdDoc)
 }
+
+/**
+ * Snap a single document-space point (shape vertex / line endpoint) to the
+ * nearest grid line or canvas edge within `thresholdDoc`. Both snap modes use
+ * line alignment here — a vertex has no size to center in a cell.
+ */
+export function snapPoint(params: {
+    x: number
+    y: number
+    docW: number
+    docH: number
+    mode: SnapMode
+    density: GridDensity
+    thresholdDoc: number
+}): MoveSnapResult {
+    const { x, y, docW, docH, mode, density, thresholdDoc } = params
+    if (mode === 'off') {
+        return { x, y, hits: [] }
+    }
+    return snapRectLineAlignCenterOnly({ x, y, width: 0, height: 0 }, docW, docH, density, thresholdDoc)
+}
@@ -0,0 +1,270 @@
+/**
+ * Multiple artboards in one Studio document.
+ *
+ * Storage: `doc.artboards` lists every board (name, size, position on the overview canvas). The ACTIVE
+ * board's content lives in the document's top-level `width` / `height` / `preset` / `layers` / `groups`, so
+ * the editor, renderers and exporters keep working on a single canvas; its entry in `artboards` carries no
+ * layers. Inactive boards keep their own `layers` / `groups`. Documents without `artboards` are one board.
+ */
+import { resizeLayerWithConstraints } from './studioConstraintResize.mjs'
+
+/**
+ * @typedef {{ id: string, z: number, groupId?: string, transform: { x: number, y: number, width: number, height: number }, [key: string]: any }} LayerLike
+ * @typedef {{ id: string, name: string, memberIds: string[], [key: string]: any }} GroupLike
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   width: number,
+ *   height: number,
+ *   x: number,
+ *   y: number,
+ *   preset?: string,
+ *   layers: LayerLike[],
+ *   groups?: GroupLike[],
+ * }} Artboard
+ * @typedef {{
+ *   width: number,
+ *   height: number,
+ *   preset?: string,
+ *   layers: LayerLike[],
+ *   groups?: GroupLike[],
+ *   artboards?: Artboard[],
+ *   activeArtboardId?: string,
+ *   [key: string]: any,
+ * }} DocumentLike
+ */
+
+/** Horizontal gap between boards on the overview canvas (doc px). */
+export const ARTBOARD_GAP = 160
+
+/** Id of the implicit board of a document that has never had artboards. */
+export const DEFAULT_ARTBOARD_ID = 'artboard-1'
+
+/**
+ * @param {DocumentLike} doc
+ * @returns {string}
+ */
+export function activeArtboardId(doc) {
+    const boards = doc.artboards ?? []
+    if (doc.activeArtboardId && boards.some((b) => b.id === doc.activeArtboardId)) return doc.activeArtboardId
+    return boards[0]?.id ?? DEFAULT_ARTBOARD_ID
+}
+
+/**
+ * Every board with its content resolved (the active one read from the top-level fields).
+ * @param {DocumentLike} doc
+ * @returns {Artboard[]}
+ */
+export function listArtboards(doc) {
+    const active = activeArtboardId(doc)
+    const boards = doc.artboards?.length
+        ? doc.artboards
+        : [{ id: DEFAULT_ARTBOARD_ID, name: 'Artboard 1', x: 0, y: 0, width: doc.width, height: doc.height, layers: [] }]
+    return boards.map((b) =>
+        b.id === active
+            ? { ...b, width: doc.width, height: doc.height, preset: doc.preset, layers: doc.layers, groups: doc.groups ?? [] }
+            : b
+    )
+}
+
+/**
+ * Write resolved boards back: `activeId`'s content moves to the top level, its entry keeps metadata only.
+ * @template {DocumentLike} D
+ * @param {D} doc
+ * @param {Artboard[]} boards
+ * @param {string} activeId
+ * @returns {D}
+ */
+function commitArtboards(doc, boards, activeId) {
+    const active = boards.find((b) => b.id === activeId) ?? boards[0]
+    /** @type {D} */
+    const next = {
+        ...doc,
+        width: active.width,
+        height: active.height,
+        layers: active.layers,
+        groups: active.groups ?? [],
+        artboards: boards.map((b) => (b.id === active.id ? { ...b, layers: [], groups: [] } : b)),
+        activeArtboardId: active.id,
+    }
+    if (active.preset) next.preset = active.preset
+    else delete next.preset
+    return next
+}
+
+/**
+ * Left-to-right row, top-aligned, {@link ARTBOARD_GAP} apart.
+ * @param {Artboard[]} boards
+ * @returns {Artboard[]}
+ */
+export function layoutArtboardsInRow(boards) {
+    let x = 0
+    return boards.map((b) => {
+        const placed = { ...b, x, y: 0 }
+        x += b.width + ARTBOARD_GAP
+        return placed
+    })
+}
+
+/**
+ * Make `id` the board being edited.
+ * @template {DocumentLike} D
+ * @param {D} doc
+ * @param {string} id
+ * @returns {D}
+ */
+export function switchArtboard(doc, id) {
+    const boards = listArtboards(doc)
+    if (!boards.some((b) => b.id === id) || (doc.artboards?.length && activeArtboardId(doc) === id)) return doc
+    return commitArtboards(doc, boards, id)
+}
+
+/**
+ * Append an empty board to the right of the others and switch to it.
+ * @template {DocumentLike} D
+ * @param {D} doc
+ * @param {{ name?: string, width: number, height: number, preset?: string }} spec
+ * @param {() => string} newId
+ * @returns {D}
+ */
+export function addArtboard(doc, spec, newId) {
+    const boards = listArtboards(doc)
+    const board = {
+        id: newId(),
+        name: spec.name?.trim() || `Artboard ${boards.length + 1}`,
+        width: Math.max(1, Math.round(spec.width)),
+        height: Math.max(1, Math.round(spec.height)),
+        x: 0,
+        y: 0,
+        ...(spec.preset ? { preset: spec.preset } : {}),
+        layers: [],
+        groups: [],
+    }
+    return commitArtboards(doc, layoutArtboardsInRow([...boards, board]), board.id)
+}
+
+/**
+ * Copies of layers (and groups whose members are all copied) with fresh ids; group links are remapped.
+ * @param {LayerLike[]} layers
+ * @param {GroupLike[]} groups
+ * @param {() => string} newId
+ * @returns {{ layers: LayerLike[], groups: GroupLike[] }}
+ */
+function cloneLayersWithGroups(layers, groups, newId) {
+    const ids = new Set(layers.map((l) => l.id))
+    /** @type {Map<string, string>} */
+    const groupIds = new Map()
+    /** @type {GroupLike[]} */
+    const clonedGroups = []
+    for (const g of groups) {
+        if (g.memberIds.length === 0 || !g.memberIds.every((m) => ids.has(m))) continue
+        groupIds.set(g.id, newId())
+    }
+    /** @type {Map<string, string>} */
+    const layerIds = new Map(layers.map((l) => [l.id, newId()]))
+    const clonedLayers = layers.map((l) => {
+        const { groupId, ...rest } = l
+        const gid = groupId ? groupIds.get(groupId) : undefined
+        return { ...structuredClone(rest), id: /** @type {string} */ (layerIds.get(l.id)), ...(gid ? { groupId: gid } : {}) }
+    })
+    for (const g of groups) {
+        const gid = groupIds.get(g.id)
+        if (!gid) continue
+        clonedGroups.push({ ...structuredClone(g), id: gid, memberIds: g.memberIds.map((m) => /** @type {string} */ (layerIds.get(m))) })
+    }
+    return { layers: clonedLayers, groups: clonedGroups }
+}
+
+/**
+ * Copy a board (content gets fresh ids) next to the last one and switch to it.
+ * @template {DocumentLike} D
+ * @param {D} doc
+ * @param {string} id
+ * @param {() => string} newId
+ * @returns {D}
+ */
+export function duplicateArtboard(doc, id, newId) {
+    const boards = listArtboards(doc)
+    const source = boards.find((b) => b.id === id)
+    if (!source) return doc
+    const { layers, groups } = cloneLayersWithGroups(source.layers, source.groups ?? [], newId)
+    const copy = { ...source, id: newId(), name: `${source.name} copy`, layers, groups }
+    return commitArtboards(doc, layoutArtboardsInRow([...boards, copy]), copy.id)
+}
+
+/**
+ * @template {DocumentLike} D
+ * @param {D} doc
+ * @param {string} id
+ * @param {string} name
+ * @returns {D}
+ */
+export function renameArtboard(doc, id, name) {
+    const trimmed = name.trim()
+    if (!trimmed) return doc
+    const boards = listArtboards(doc).map((b) => (b.id === id ? { ...b, name: trimmed } : b))
+    return commitArtboards(doc, boards, activeArtboardId(doc))
+}
+
+/**
+ * Remove a board; the last one can't be removed. Removing the active board switches to its neighbour.
+ * @template {DocumentLike} D
+ * @param {D} doc
+ * @param {string} id
+ * @returns {D}
+ */
+export function removeArtboard(doc, id) {
+    const boards = listArtboards(doc)
+    const index = boards.findIndex((b) => b.id === id)
+    if (index < 0 || boards.length < 2) return doc
+    const rest = layoutArtboardsInRow(boards.filter((b) => b.id !== id))
+    const active = activeArtboardId(doc)
+    return commitArtboards(doc, rest, active === id ? rest[Math.max(0, index - 1)].id : active)
+}
+
+/**
+ * Copy layers of the active board onto another board, re-flowed to its size with each layer's resize
+ * constraints. Copies get fresh ids and stack above the target's content; whole groups stay grouped.
+ * @template {DocumentLike} D
+ * @param {D} doc
+ * @param {string[]} layerIds
+ * @param {string} targetId
+ * @param {() => string} newId
+ * @returns {D}
+ */
+export function copyLayersToArtboard(doc, layerIds, targetId, newId) {
+    const active = activeArtboardId(doc)
+    const boards = listArtboards(doc)
+    const target = boards.find((b) => b.id === targetId)
+    const wanted = new Set(layerIds)
+    const picked = doc.layers.filter((l) => wanted.has(l.id)).sort((a, b) => a.z - b.z)
+    if (!target || targetId === active || picked.length === 0) return doc
+    const from = { width: Math.max(1, doc.width), height: Math.max(1, doc.height) }
+    const to = { width: Math.max(1, target.width), height: Math.max(1, target.height) }
+    const uniform = Math.min(to.width / from.width, to.height / from.height)
+    const { layers, groups } = cloneLayersWithGroups(picked, doc.groups ?? [], newId)
+    const topZ = target.layers.reduce((m, l) => Math.max(m, l.z), -1)
+    const placed = layers.map((l, i) => ({ ...resizeLayerWithConstraints(l, from, to, uniform), z: topZ + 1 + i }))
+    const next = boards.map((b) =>
+        b.id === targetId ? { ...b, layers: [...b.layers, ...placed], groups: [...(b.groups ?? []), ...groups] } : b
+    )
+    return commitArtboards(doc, next, active)
+}
+
+/**
+ * A standalone single-canvas document for one board — what exporters and renderers take.
+ * @template {DocumentLike} D
+ * @param {D} doc
+ * @param {string} id
+ * @returns {D | null}
+ */
+export function artboardDocument(doc, id) {
+    const board = listArtboards(doc).find((b) => b.id === id)
+    if (!board) return null
+    const { artboards: _boards, activeArtboardId: _active, ...rest } = doc
+    /** @type {any} */
+    const single = { ...rest, width: board.width, height: board.height, layers: board.layers, groups: board.groups ?? [] }
+    if (board.preset) single.preset = board.preset
+    else delete single.preset
+    return single
+}
@@ -0,0 +1,125 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    ARTBOARD_GAP,
+    activeArtboardId,
+    addArtboard,
+    artboardDocument,
+    copyLayersToArtboard,
+    duplicateArtboard,
+    listArtboards,
+    removeArtboard,
+    renameArtboard,
+    switchArtboard,
+} from './studioArtboards.mjs'
+
+function ids(prefix = 'n') {
+    let i = 0
+    return () => `${prefix}${++i}`
+}
+
+function fill(id, z, box, extra = {}) {
+    return { id, type: 'fill', fillKind: 'solid', color: '#ff0000', z, visible: true, locked: false, transform: box, ...extra }
+}
+
+const square = () => ({
+    width: 1080,
+    height: 1080,
+    preset: 'instagram_post',
+    layers: [fill('bg', 0, { x: 0, y: 0, width: 1080, height: 1080 })],
+    groups: [],
+})
+
+test('documents without artboards read as one board; adding a board lays it out to the right and switches', () => {
+    const doc = square()
+    assert.equal(activeArtboardId(doc), 'artboard-1')
+    assert.deepEqual(
+        listArtboards(doc).map((b) => [b.id, b.name, b.width, b.layers.length]),
+        [['artboard-1', 'Artboard 1', 1080, 1]]
+    )
+
+    const two = addArtboard(doc, { name: 'Story', width: 1080, height: 1920 }, ids())
+    assert.equal(two.activeArtboardId, 'n1')
+    assert.equal(two.width, 1080)
+    assert.equal(two.height, 1920)
+    assert.equal('preset' in two, false)
+    assert.deepEqual(two.layers, [])
+    assert.deepEqual(
+        two.artboards.map((b) => [b.id, b.name, b.x, b.layers.length]),
+        [
+            ['artboard-1', 'Artboard 1', 0, 1],
+            ['n1', 'Story', 1080 + ARTBOARD_GAP, 0],
+        ]
+    )
+
+    const back = switchArtboard(two, 'artboard-1')
+    assert.equal(back.width, 1080)
+    assert.equal(back.height, 1080)
+    assert.equal(back.preset, 'instagram_post')
+    assert.deepEqual(back.layers, doc.layers)
+    assert.deepEqual(back.artboards[0].layers, [], 'active board content lives at the top level')
+    assert.equal(switchArtboard(back, 'missing'), back)
+})
+
+test('rename, duplicate with fresh ids and remove (never the last board)', () => {
+    const grouped = {
+        ...square(),
+        layers: [
+            fill('a', 1, { x: 0, y: 0, width: 100, height: 100 }, { groupId: 'g' }),
+            fill('b', 2, { x: 100, y: 0, width: 100, height: 100 }, { groupId: 'g' }),
+        ],
+        groups: [{ id: 'g', name: 'Pair', memberIds: ['a', 'b'], locked: false, collapsed: false }],
+    }
+    const renamed = renameArtboard(grouped, 'artboard-1', '  Square  ')
+    assert.equal(listArtboards(renamed)[0].name, 'Square')
+    assert.equal(renameArtboard(renamed, 'artboard-1', '   '), renamed)
+
+    const dup = duplicateArtboard(renamed, 'artboard-1', ids('d'))
+    const [, copy] = listArtboards(dup)
+    assert.equal(copy.name, 'Square copy')
+    assert.equal(dup.activeArtboardId, copy.id)
+    assert.deepEqual(
+        dup.layers.map((l) => [l.id, l.groupId]),
+        [
+            ['d2', 'd1'],
+            ['d3', 'd1'],
+        ]
+    )
+    assert.deepEqual(dup.groups.map((g) => [g.id, g.memberIds]), [['d1', ['d2', 'd3']]])
+
+    const removed = removeArtboard(dup, copy.id)
+    assert.equal(removed.activeArtboardId, 'artboard-1')
+    assert.deepEqual(removed.layers.map((l) => l.id), ['a', 'b'])
+    assert.equal(removeArtboard(removed, 'artboard-1'), removed)
+})
+
+test('copies layers onto another board re-flowed to its size, above its content', () => {
+    let doc = addArtboard(square(), { name: 'Banner', width: 540, height: 540 }, ids('b'))
+    doc = copyLayersToArtboard(doc, ['missing'], 'artboard-1', ids('x'))
+    doc = { ...doc, layers: [fill('own', 0, { x: 0, y: 0, width: 540, height: 540 })] }
+    doc = switchArtboard(doc, 'artboard-1')
+    doc = { ...doc, layers: [...doc.layers, fill('badge', 3, { x: 880, y: 880, width: 160, height: 160 })] }
+
+    const copied = copyLayersToArtboard(doc, ['badge'], 'b1', ids('c'))
+    assert.equal(copied.activeArtboardId, 'artboard-1', 'stays on the source board')
+    assert.deepEqual(copied.layers, doc.layers)
+    const target = listArtboards(copied).find((b) => b.id === 'b1')
+    const badge = target.layers.at(-1)
+    assert.equal(badge.id, 'c1')
+    assert.equal(badge.z, 1)
+    assert.deepEqual(badge.transform, { x: 440, y: 440, width: 80, height: 80 })
+    assert.equal(copyLayersToArtboard(doc, ['badge'], 'artboard-1', ids()), doc, 'no copy onto the source board')
+})
+
+test('artboardDocument returns a standalone single-canvas document for export', () => {
+    const doc = addArtboard(square(), { name: 'Story', width: 1080, height: 1920 }, ids())
+    const first = artboardDocument(doc, 'artboard-1')
+    assert.equal(first.width, 1080)
+    assert.equal(first.height, 1080)
+    assert.equal(first.preset, 'instagram_post')
+    assert.deepEqual(first.layers.map((l) => l.id), ['bg'])
+    assert.equal('artboards' in first, false)
+    assert.equal('activeArtboardId' in first, false)
+    assert.equal(artboardDocument(doc, 'n1').height, 1920)
+    assert.equal(artboardDocument(doc, 'nope'), null)
+})
@@ -0,0 +1,380 @@
+/**
+ * Brand components ("symbols") — reusable layer groups stored per brand and placed into compositions as
+ * linked instances.
+ *
+ * A master's `definition` is `{ width, height, layers }` with layer transforms relative to the component's
+ * top-left and `z` 0…n-1 (paint order). An instance is an ordinary {@link Group} carrying
+ * `component: { componentId, revision, base }`; each member records the master layer it came from in
+ * `componentLayerId`. `base` holds the master values the instance was last materialized from (box + text /
+ * color), so overrides are simply the member values that differ from `base` — nothing else has to be tracked
+ * while the user edits. Re-materializing from a newer master keeps those overrides, member ids, visibility
+ * and lock state; geometry, styling and structure follow the master.
+ *
+ * `app/Support/StudioBrandComponentInstances.php` mirrors {@link syncComponentInstances} for server-side
+ * propagation — keep the two in step.
+ *
+ * @typedef {{ x: number, y: number, width: number, height: number, rotation?: number }} BoxLike
+ * @typedef {{ id: string, type: string, z: number, groupId?: string, componentLayerId?: string, transform: BoxLike, [key: string]: unknown }} LayerLike
+ * @typedef {{ content?: string, color?: string }} OverrideValues
+ * @typedef {OverrideValues & { x: number, y: number, width: number, height: number }} ComponentLayerBase
+ * @typedef {{ componentId: string, revision: number, base: Record<string, ComponentLayerBase> }} ComponentInstanceLink
+ * @typedef {{ id: string, name: string, memberIds: string[], locked: boolean, collapsed: boolean, component?: ComponentInstanceLink }} GroupLike
+ * @typedef {{ width: number, height: number, layers: LayerLike[] }} ComponentDefinition
+ * @typedef {{ id: string | number, name: string, revision: number, definition: ComponentDefinition }} ComponentLike
+ * @typedef {{ layers: LayerLike[], groups?: GroupLike[], [key: string]: unknown }} DocumentLike
+ * @typedef {{ x: number, y: number, scaleX: number, scaleY: number }} InstanceFrame
+ */
+
+/** Mirrors `StudioBrandComponentInstances::LAYERS_MAX`; the server rejects larger definitions. */
+export const COMPONENT_LAYERS_MAX = 40
+
+/** @type {readonly string[]} */
+export const COMPONENT_KINDS = Object.freeze(['logo', 'cta', 'disclaimer', 'other'])
+
+/**
+ * Values an instance may override: text content + color for text layers, the paint color for fill and
+ * shape layers. Other layer types have nothing overridable.
+ * @param {LayerLike} layer
+ * @returns {OverrideValues}
+ */
+export function componentLayerOverrideValues(layer) {
+    if (layer.type === 'text') {
+        const style = /** @type {{ color?: unknown } | undefined} */ (layer.style)
+        return {
+            content: typeof layer.content === 'string' ? layer.content : '',
+            ...(typeof style?.color === 'string' ? { color: style.color } : {}),
+        }
+    }
+    if (layer.type === 'fill' && typeof layer.color === 'string') {
+        return { color: layer.color }
+    }
+    if (layer.type === 'shape' && typeof layer.fill === 'string') {
+        return { color: layer.fill }
+    }
+    return {}
+}
+
+/**
+ * @param {LayerLike} layer
+ * @param {OverrideValues} values
+ * @param {LayerLike | undefined} source Instance layer the content override came from (keeps its rich text runs).
+ * @returns {LayerLike}
+ */
+function applyOverrideValues(layer, values, source) {
+    let next = layer
+    if (values.content !== undefined && layer.type === 'text') {
+        next = { ...next, content: values.content, runs: source?.runs }
+        if (next.runs === undefined) delete next.runs
+    }
+    if (values.color !== undefined) {
+        if (layer.type === 'text') {
+            next = { ...next, style: { .../** @type {object} */ (next.style), color: values.color } }
+        } else if (layer.type === 'fill') {
+            next = { ...next, color: values.color }
+        } else if (layer.type === 'shape') {
+            next = { ...next, fill: values.color }
+        }
+    }
+    return next
+}
+
+/**
+ * Overrides of one member against the master values it was materialized from.
+ * @param {LayerLike} member
+ * @param {ComponentLayerBase | undefined} base
+ * @returns {OverrideValues}
+ */
+function memberOverrides(member, base) {
+    if (!base) return {}
+    const current = componentLayerOverrideValues(member)
+    /** @type {OverrideValues} */
+    const out = {}
+    if (base.content !== undefined && current.content !== undefined && current.content !== base.content) {
+        out.content = current.content
+    }
+    if (base.color !== undefined && current.color !== undefined && current.color !== base.color) {
+        out.color = current.color
+    }
+    return out
+}
+
+/**
+ * Number of members whose text or color differs from the master (for the layer panel badge).
+ * @param {DocumentLike} doc
+ * @param {GroupLike} group
+ */
+export function componentInstanceOverrideCount(doc, group) {
+    const link = group.component
+    if (!link) return 0
+    return doc.layers.filter(
+        (l) => l.groupId === group.id && l.componentLayerId && Object.keys(memberOverrides(l, link.base[l.componentLayerId])).length > 0,
+    ).length
+}
+
+/**
+ * Library bucket for a new component, from the members' `studioSyncRole` tags (CTA button fills count as `cta`).
+ * @param {LayerLike[]} layers
+ * @returns {string}
+ */
+export function componentKindFromLayers(layers) {
+    const roles = new Set(layers.map((l) => (typeof l.studioSyncRole === 'string' ? l.studioSyncRole : '')))
+    if (layers.some((l) => l.type === 'fill' && l.fillRole === 'cta_button')) roles.add('cta')
+    return ['logo', 'cta', 'disclaimer'].find((k) => roles.has(k)) ?? 'other'
+}
+
+/**
+ * @param {LayerLike[]} layers
+ * @returns {BoxLike | null}
+ */
+function unionRect(layers) {
+    if (layers.length === 0) return null
+    let minX = Infinity
+    let minY = Infinity
+    let maxX = -Infinity
+    let maxY = -Infinity
+    for (const l of layers) {
+        const t = l.transform
+        minX = Math.min(minX, t.x)
+        minY = Math.min(minY, t.y)
+        maxX = Math.max(maxX, t.x + t.width)
+        maxY = Math.max(maxY, t.y + t.height)
+    }
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+}
+
+/**
+ * Snapshot layers into a master definition. Layer ids become the master layer ids (an instance member keeps
+ * the id of the master layer it came from, so pushing an instance back updates layers in place). When the
+ * layers come from a scaled instance, pass its `frame` so the master is stored at its own size.
+ * @param {LayerLike[]} layers
+ * @param {{ frame?: InstanceFrame | null }} [opts]
+ * @returns {ComponentDefinition}
+ */
+export function buildComponentDefinition(layers, opts = {}) {
+    const frame = opts.frame ?? { x: 0, y: 0, scaleX: 1, scaleY: 1 }
+    const local = [...layers]
+        .sort((a, b) => a.z - b.z)
+        .slice(0, COMPONENT_LAYERS_MAX)
+        .map((l) => {
+            const { groupId: _g, componentLayerId, ...rest } = l
+            const t = l.transform
+            return {
+                ...rest,
+                id: componentLayerId ?? l.id,
+                transform: {
+                    ...t,
+                    x: (t.x - frame.x) / frame.scaleX,
+                    y: (t.y - frame.y) / frame.scaleY,
+                    width: t.width / frame.scaleX,
+                    height: t.height / frame.scaleY,
+                },
+            }
+        })
+    const bounds = unionRect(local) ?? { x: 0, y: 0, width: 0, height: 0 }
+    return {
+        width: bounds.width,
+        height: bounds.height,
+        layers: local.map((l, z) => ({
+            ...l,
+            z,
+            transform: { ...l.transform, x: l.transform.x - bounds.x, y: l.transform.y - bounds.y },
+        })),
+    }
+}
+
+/**
+ * Where an instance sits: master coordinates map to `x + mx * scaleX`. Read from the first member whose
+ * master box is known, so moving or resizing the whole group carries over to the next sync.
+ * @param {LayerLike[]} members
+ * @param {ComponentInstanceLink} link
+ * @returns {InstanceFrame | null}
+ */
+export function componentInstanceFrame(members, link) {
+    for (const m of [...members].sort((a, b) => a.z - b.z)) {
+        const base = m.componentLayerId ? link.base[m.componentLayerId] : undefined
+        if (!base || base.width <= 0 || base.height <= 0) continue
+        const scaleX = m.transform.width / base.width
+        const scaleY = m.transform.height / base.height
+        return { x: m.transform.x - base.x * scaleX, y: m.transform.y - base.y * scaleY, scaleX, scaleY }
+    }
+    return null
+}
+
+/**
+ * Build instance layers for a master. `existing` members (matched by `componentLayerId`) keep their id,
+ * visibility, lock state and text / color overrides; master layers new to the instance get `newId()`.
+ * @param {ComponentLike} component
+ * @param {{ groupId: string, frame: InstanceFrame, existing?: LayerLike[], base?: Record<string, ComponentLayerBase>, newId: () => string }} opts
+ * @returns {{ layers: LayerLike[], link: ComponentInstanceLink }}
+ */
+export function materializeComponentInstance(component, opts) {
+    const { frame } = opts
+    const existingByMaster = new Map((opts.existing ?? []).filter((l) => l.componentLayerId).map((l) => [l.componentLayerId, l]))
+    /** @type {Record<string, ComponentLayerBase>} */
+    const base = {}
+    const layers = [...component.definition.layers]
+        .sort((a, b) => a.z - b.z)
+        .map((master) => {
+            const t = master.transform
+            base[master.id] = { x: t.x, y: t.y, width: t.width, height: t.height, ...componentLayerOverrideValues(master) }
+            const prev = existingByMaster.get(master.id)
+            /** @type {LayerLike} */
+            let layer = {
+                ...master,
+                id: prev?.id ?? opts.newId(),
+                groupId: opts.groupId,
+                componentLayerId: master.id,
+                transform: {
+                    ...t,
+                    x: frame.x + t.x * frame.scaleX,
+                    y: frame.y + t.y * frame.scaleY,
+                    width: t.width * frame.scaleX,
+                    height: t.height * frame.scaleY,
+                },
+            }
+            if (prev) {
+                layer = { ...layer, visible: prev.visible, locked: prev.locked }
+                layer = applyOverrideValues(layer, memberOverrides(prev, opts.base?.[master.id]), prev)
+            }
+            return layer
+        })
+    return { layers, link: { componentId: String(component.id), revision: component.revision, base } }
+}
+
+/**
+ * Stable 0…n-1 z-order (same rule as `normalizeZ` in `documentModel.ts`).
+ * @param {LayerLike[]} layers
+ */
+function normalizeZ(layers) {
+    return [...layers]
+        .sort((a, b) => a.z - b.z || a.id.localeCompare(b.id))
+        .map((l, z) => ({ ...l, z }))
+}
+
+/**
+ * Place a new instance with its top-left at (`x`, `y`) at the master's own size, on top of the stack.
+ * @param {DocumentLike} doc
+ * @param {ComponentLike} component
+ * @param {{ x: number, y: number, newId: () => string }} opts
+ * @returns {{ doc: DocumentLike, groupId: string }}
+ */
+export function placeComponentInstance(doc, component, opts) {
+    const groupId = opts.newId()
+    const { layers, link } = materializeComponentInstance(component, {
+        groupId,
+        frame: { x: opts.x, y: opts.y, scaleX: 1, scaleY: 1 },
+        newId: opts.newId,
+    })
+    const zBase = doc.layers.length
+    /** @type {GroupLike} */
+    const group = { id: groupId, name: component.name, memberIds: layers.map((l) => l.id), locked: false, collapsed: true, component: link }
+    return {
+        doc: {
+            ...doc,
+            layers: [...doc.layers, ...layers.map((l, i) => ({ ...l, z: zBase + i }))],
+            groups: [...(doc.groups ?? []), group],
+        },
+        groupId,
+    }
+}
+
+/**
+ * Turn an existing group into the first instance of a freshly saved master (built from the same layers with
+ * {@link buildComponentDefinition}), so the source composition is linked without moving anything.
+ * @param {DocumentLike} doc
+ * @param {string} groupId
+ * @param {ComponentLike} component
+ * @param {{ newId: () => string }} opts
+ * @returns {DocumentLike}
+ */
+export function linkGroupToComponent(doc, groupId, component, opts) {
+    const members = doc.layers.filter((l) => l.groupId === groupId)
+    const bounds = unionRect(members)
+    if (!bounds) return doc
+    const tagged = members.map((l) => ({ ...l, componentLayerId: l.componentLayerId ?? l.id }))
+    return replaceInstance(doc, groupId, component, tagged, { x: bounds.x, y: bounds.y, scaleX: 1, scaleY: 1 }, undefined, opts.newId)
+}
+
+/**
+ * @param {DocumentLike} doc
+ * @param {string} groupId
+ * @param {ComponentLike} component
+ * @param {LayerLike[]} members
+ * @param {InstanceFrame} frame
+ * @param {Record<string, ComponentLayerBase> | undefined} base
+ * @param {() => string} newId
+ * @returns {DocumentLike}
+ */
+function replaceInstance(doc, groupId, component, members, frame, base, newId) {
+    const { layers, link } = materializeComponentInstance(component, { groupId, frame, existing: members, base, newId })
+    // New members take the slot of the lowest old member, spread below the next integer z so the instance stays
+    // contiguous in the stack; normalizeZ folds the fractions back to 0…n-1.
+    const zStart = members.length > 0 ? Math.min(...members.map((m) => m.z)) : doc.layers.length
+    const memberIds = new Set(members.map((m) => m.id))
+    return {
+        ...doc,
+        layers: normalizeZ([
+            ...doc.layers.filter((l) => !memberIds.has(l.id) && l.groupId !== groupId),
+            ...layers.map((l, i) => ({ ...l, z: zStart + i / Math.max(1, layers.length) })),
+        ]),
+        groups: (doc.groups ?? []).map((g) => (g.id === groupId ? { ...g, memberIds: layers.map((l) => l.id), component: link } : g)),
+    }
+}
+
+/**
+ * Bring every instance of `component` in the document up to the master's revision (or all of them with
+ * `force`, or only `onlyGroupId`). `resetOverrides` drops text / color overrides instead of carrying them.
+ * @param {DocumentLike} doc
+ * @param {ComponentLike} component
+ * @param {{ newId: () => string, force?: boolean, onlyGroupId?: string, resetOverrides?: boolean }} opts
+ * @returns {{ doc: DocumentLike, updated: number }}
+ */
+export function syncComponentInstances(doc, component, opts) {
+    let next = doc
+    let updated = 0
+    for (const group of doc.groups ?? []) {
+        const link = group.component
+        if (!link || link.componentId !== String(component.id)) continue
+        if (opts.onlyGroupId !== undefined && group.id !== opts.onlyGroupId) continue
+        if (!opts.force && link.revision === component.revision) continue
+        const members = next.layers.filter((l) => l.groupId === group.id)
+        const bounds = unionRect(members)
+        const frame = componentInstanceFrame(members, link) ?? { x: bounds?.x ?? 0, y: bounds?.y ?? 0, scaleX: 1, scaleY: 1 }
+        next = replaceInstance(next, group.id, component, members, frame, opts.resetOverrides ? undefined : link.base, opts.newId)
+        updated++
+    }
+    return { doc: next, updated }
+}
+
+/**
+ * Unlink an instance: the group and its layers stay, but master edits no longer reach them.
+ * @param {DocumentLike} doc
+ * @param {string} groupId
+ * @returns {DocumentLike}
+ */
+export function detachComponentInstance(doc, groupId) {
+    const groups = doc.groups ?? []
+    if (!groups.some((g) => g.id === groupId && g.component)) return doc
+    return {
+        ...doc,
+        groups: groups.map((g) => {
+            if (g.id !== groupId) return g
+            const { component: _c, ...rest } = g
+            return rest
+        }),
+        layers: doc.layers.map((l) => {
+            if (l.groupId !== groupId || !l.componentLayerId) return l
+            const { componentLayerId: _m, ...rest } = l
+            return rest
+        }),
+    }
+}
+
+/**
+ * Component ids linked from the document (to fetch / refresh only what the composition uses).
+ * @param {DocumentLike} doc
+ * @returns {string[]}
+ */
+export function linkedComponentIds(doc) {
+    return [...new Set((doc.groups ?? []).flatMap((g) => (g.component ? [g.component.componentId] : [])))]
+}
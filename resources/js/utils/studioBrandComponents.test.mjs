@@ -0,0 +1,139 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    buildComponentDefinition,
+    componentInstanceOverrideCount,
+    componentKindFromLayers,
+    detachComponentInstance,
+    linkGroupToComponent,
+    linkedComponentIds,
+    placeComponentInstance,
+    syncComponentInstances,
+} from './studioBrandComponents.mjs'
+
+const box = (x, y, width, height) => ({ x, y, width, height })
+
+const button = {
+    id: 'btn',
+    type: 'fill',
+    z: 4,
+    visible: true,
+    locked: false,
+    groupId: 'g0',
+    fillRole: 'cta_button',
+    color: '#111111',
+    transform: box(100, 200, 200, 60),
+}
+const label = {
+    id: 'lbl',
+    type: 'text',
+    z: 5,
+    visible: true,
+    locked: false,
+    groupId: 'g0',
+    studioSyncRole: 'cta',
+    content: 'Shop now',
+    style: { fontSize: 24, color: '#ffffff' },
+    transform: box(120, 210, 160, 40),
+}
+
+function ids() {
+    let n = 0
+    return () => `id${++n}`
+}
+
+test('a master definition is normalized to its own top-left and keeps layer ids', () => {
+    const def = buildComponentDefinition([label, button])
+    assert.equal(def.width, 200)
+    assert.equal(def.height, 60)
+    assert.deepEqual(
+        def.layers.map((l) => [l.id, l.z, l.transform.x, l.transform.y, 'groupId' in l]),
+        [
+            ['btn', 0, 0, 0, false],
+            ['lbl', 1, 20, 10, false],
+        ],
+    )
+    assert.equal(componentKindFromLayers([button, label]), 'cta')
+    assert.equal(componentKindFromLayers([{ ...label, studioSyncRole: 'disclaimer' }]), 'disclaimer')
+    assert.equal(componentKindFromLayers([{ ...button, fillRole: undefined }]), 'other')
+})
+
+const master = { id: 7, name: 'CTA', revision: 1, definition: buildComponentDefinition([button, label]) }
+
+test('placing an instance adds a linked, collapsed group on top of the stack', () => {
+    const doc = { layers: [{ id: 'bg', type: 'fill', z: 0, color: '#fff', transform: box(0, 0, 1080, 1080) }], groups: [] }
+    const { doc: next, groupId } = placeComponentInstance(doc, master, { x: 40, y: 50, newId: ids() })
+    const group = next.groups[0]
+    assert.equal(group.id, groupId)
+    assert.equal(group.collapsed, true)
+    assert.deepEqual([group.component.componentId, group.component.revision], ['7', 1])
+    const members = next.layers.filter((l) => l.groupId === groupId)
+    assert.deepEqual(members.map((l) => [l.componentLayerId, l.z, l.transform.x, l.transform.y]), [
+        ['btn', 1, 40, 50],
+        ['lbl', 2, 60, 60],
+    ])
+    assert.deepEqual(linkedComponentIds(next), ['7'])
+})
+
+test('master edits reach instances and keep text / color overrides, ids and placement', () => {
+    const newId = ids()
+    let { doc } = placeComponentInstance({ layers: [], groups: [] }, master, { x: 0, y: 0, newId })
+    const groupId = doc.groups[0].id
+    // Instance edits: new copy (override) and the whole group moved + scaled 2×.
+    doc = {
+        ...doc,
+        layers: doc.layers.map((l) => {
+            const t = { ...l.transform, x: 500 + l.transform.x * 2, y: 600 + l.transform.y * 2, width: l.transform.width * 2, height: l.transform.height * 2 }
+            return l.type === 'text' ? { ...l, content: 'Jetzt kaufen', transform: t } : { ...l, transform: t }
+        }),
+    }
+    assert.equal(componentInstanceOverrideCount(doc, doc.groups[0]), 1)
+    const labelId = doc.layers.find((l) => l.type === 'text').id
+
+    const badge = { id: 'badge', type: 'shape', z: 2, visible: true, locked: false, fill: '#ff0000', transform: box(180, 0, 20, 20) }
+    const v2 = {
+        ...master,
+        revision: 2,
+        definition: {
+            ...master.definition,
+            layers: [
+                { ...master.definition.layers[0], color: '#0044ff' },
+                { ...master.definition.layers[1], content: 'Buy now', style: { fontSize: 24, color: '#ffff00' } },
+                badge,
+            ],
+        },
+    }
+    const { doc: synced, updated } = syncComponentInstances(doc, v2, { newId })
+    assert.equal(updated, 1)
+    const byMaster = Object.fromEntries(synced.layers.map((l) => [l.componentLayerId, l]))
+    assert.equal(byMaster.lbl.id, labelId)
+    assert.equal(byMaster.lbl.content, 'Jetzt kaufen')
+    assert.equal(byMaster.lbl.style.color, '#ffff00')
+    assert.equal(byMaster.btn.color, '#0044ff')
+    assert.deepEqual(byMaster.badge.transform, box(860, 600, 40, 40))
+    assert.deepEqual(synced.layers.map((l) => l.z), [0, 1, 2])
+    assert.deepEqual(synced.groups[0].memberIds, synced.layers.map((l) => l.id))
+    assert.equal(synced.groups[0].component.revision, 2)
+
+    assert.equal(syncComponentInstances(synced, v2, { newId }).updated, 0)
+    const reset = syncComponentInstances(synced, v2, { newId, force: true, onlyGroupId: groupId, resetOverrides: true }).doc
+    assert.equal(reset.layers.find((l) => l.componentLayerId === 'lbl').content, 'Buy now')
+})
+
+test('an existing group becomes the first instance in place; detaching unlinks it', () => {
+    const doc = {
+        layers: [button, label],
+        groups: [{ id: 'g0', name: 'CTA', memberIds: ['btn', 'lbl'], locked: false, collapsed: false }],
+    }
+    const linked = linkGroupToComponent(doc, 'g0', master, { newId: ids() })
+    assert.deepEqual(linked.layers.map((l) => [l.id, l.componentLayerId, l.transform.x, l.transform.y]), [
+        ['btn', 'btn', 100, 200],
+        ['lbl', 'lbl', 120, 210],
+    ])
+    assert.equal(linked.groups[0].component.componentId, '7')
+
+    const detached = detachComponentInstance(linked, 'g0')
+    assert.equal(detached.groups[0].component, undefined)
+    assert.ok(detached.layers.every((l) => !('componentLayerId' in l) && l.groupId === 'g0'))
+    assert.deepEqual(linkedComponentIds(detached), [])
+})
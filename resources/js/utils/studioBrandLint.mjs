@@ -0,0 +1,415 @@
+/**
+ * Brand compliance linter for Studio compositions: a rule-by-rule pass over the document that flags
+ * off-palette colors, off-brand fonts, WCAG contrast failures, logo clear-space / minimum-size breaches and
+ * text too small for the format. Every issue carries a layer patch that fixes it in one click (or `null`
+ * when no safe automatic fix exists).
+ *
+ * Pure and brand-agnostic: the editor resolves the palette, fonts and layer roles from its brand context.
+ */
+import { getContrastRatio } from './colorUtils.js'
+
+/**
+ * @typedef {'font' | 'off_palette' | 'contrast' | 'text_too_small' | 'logo_min_size' | 'logo_clear_space'} BrandLintRule
+ * @typedef {{ label: string, color: string }} BrandLintSwatch
+ * @typedef {{
+ *   palette?: BrandLintSwatch[],
+ *   fonts?: string[],
+ *   primaryFont?: string | null,
+ *   fontKeyFor?: (fontWeight: number) => string | undefined,
+ *   roleOf?: (layer: any) => string | null,
+ * }} BrandLintOptions
+ * @typedef {{ layerId: string, label: string, patch: Record<string, any> }} BrandLintFix
+ * @typedef {{
+ *   id: string,
+ *   rule: BrandLintRule,
+ *   level: 'error' | 'warning',
+ *   layerId: string,
+ *   message: string,
+ *   fix: BrandLintFix | null,
+ * }} BrandLintIssue
+ */
+
+/** Max RGB distance (0–441) for a color to count as a brand swatch. */
+export const PALETTE_TOLERANCE = 28
+/** Colors whose channels differ by at most this are neutrals (black, white, grays) and always allowed. */
+const NEUTRAL_CHROMA = 16
+/** WCAG AA: normal and large text. */
+export const CONTRAST_MIN_NORMAL = 4.5
+export const CONTRAST_MIN_LARGE = 3
+/** Clear space around a logo as a share of its shorter side. */
+export const LOGO_CLEAR_SPACE_RATIO = 0.25
+/** A logo's longer side must reach this share of the canvas' shorter side, and at least {@link LOGO_MIN_PX}. */
+export const LOGO_MIN_RATIO = 0.1
+export const LOGO_MIN_PX = 48
+/** Minimum font size as a share of the canvas' shorter side, and at least {@link TEXT_MIN_PX}. */
+export const TEXT_MIN_RATIO = 0.015
+export const TEXT_MIN_PX = 10
+
+const HEX = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i
+
+/**
+ * @param {unknown} value
+ * @returns {[number, number, number] | null}
+ */
+function parseHex(value) {
+    if (typeof value !== 'string') return null
+    const m = HEX.exec(value.trim())
+    if (!m) return null
+    const h = m[1].length === 3 ? m[1].replace(/./g, (c) => c + c) : m[1]
+    return [parseInt(h.slice(0, 2), 16), parseInt(h.slice(2, 4), 16), parseInt(h.slice(4, 6), 16)]
+}
+
+/** @param {[number, number, number]} a @param {[number, number, number]} b */
+const rgbDistance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2])
+
+/** @param {string} family */
+function firstFontToken(family) {
+    return family
+        .split(',')[0]
+        .trim()
+        .replace(/^["']|["']$/g, '')
+        .toLowerCase()
+}
+
+/** @param {any} layer */
+function layerLabel(layer) {
+    if (layer.name) return layer.name
+    if (layer.type === 'text' && typeof layer.content === 'string' && layer.content.trim()) {
+        const t = layer.content.trim().replace(/\s+/g, ' ')
+        return `“${t.length > 24 ? `${t.slice(0, 23)}…` : t}”`
+    }
+    return `${layer.type[0].toUpperCase()}${layer.type.slice(1).replace('_', ' ')} layer`
+}
+
+/**
+ * Nearest brand swatch to a color, or `null` when the color is on-palette or neutral (nothing to fix).
+ * @param {string} color
+ * @param {BrandLintSwatch[]} palette
+ * @returns {BrandLintSwatch | null}
+ */
+export function offPaletteSuggestion(color, palette) {
+    const rgb = parseHex(color)
+    if (!rgb || palette.length === 0) return null
+    if (Math.max(...rgb) - Math.min(...rgb) <= NEUTRAL_CHROMA) return null
+    /** @type {BrandLintSwatch | null} */
+    let best = null
+    let bestDistance = Infinity
+    for (const swatch of palette) {
+        const s = parseHex(swatch.color)
+        if (!s) continue
+        const d = rgbDistance(rgb, s)
+        if (d <= PALETTE_TOLERANCE) return null
+        if (d < bestDistance) {
+            best = swatch
+            bestDistance = d
+        }
+    }
+    return best
+}
+
+/**
+ * The solid color behind the center of `layer`: the topmost visible solid fill below it, else the white
+ * canvas. `null` when something we can't measure (image, gradient, blend mode) is in the way.
+ * @param {any} doc
+ * @param {any} layer
+ * @returns {string | null}
+ */
+export function solidBackgroundBehind(doc, layer) {
+    const cx = layer.transform.x + layer.transform.width / 2
+    const cy = layer.transform.y + layer.transform.height / 2
+    const below = doc.layers
+        .filter(
+            (/** @type {any} */ l) =>
+                l.visible &&
+                l.z < layer.z &&
+                l.type !== 'text' &&
+                l.type !== 'shape' &&
+                l.type !== 'mask' &&
+                cx >= l.transform.x &&
+                cx <= l.transform.x + l.transform.width &&
+                cy >= l.transform.y &&
+                cy <= l.transform.y + l.transform.height
+        )
+        .sort((/** @type {any} */ a, /** @type {any} */ b) => b.z - a.z)
+    const top = below[0]
+    if (!top) return '#ffffff'
+    if (top.type !== 'fill' || top.fillKind !== 'solid' || top.kind === 'text_boost') return null
+    if (top.blendMode && top.blendMode !== 'normal') return null
+    return parseHex(top.color) ? top.color : null
+}
+
+/**
+ * Highest-contrast candidate against `background`, preferring brand swatches that pass `min`.
+ * @param {string} background
+ * @param {BrandLintSwatch[]} palette
+ * @param {number} min
+ * @returns {BrandLintSwatch}
+ */
+function bestContrastSwatch(background, palette, min) {
+    const ranked = palette
+        .filter((s) => parseHex(s.color))
+        .map((s) => ({ s, ratio: getContrastRatio(s.color, background) }))
+        .sort((a, b) => b.ratio - a.ratio)
+    if (ranked[0] && ranked[0].ratio >= min) return ranked[0].s
+    return getContrastRatio('#000000', background) >= getContrastRatio('#ffffff', background)
+        ? { label: 'Black', color: '#000000' }
+        : { label: 'White', color: '#ffffff' }
+}
+
+/**
+ * Color properties a layer paints with, each with the patch that recolors it.
+ * @param {any} layer
+ * @returns {{ key: string, color: string, what: string, patch: (c: string) => Record<string, any> }[]}
+ */
+function layerColors(layer) {
+    /** @type {{ key: string, color: string, what: string, patch: (c: string) => Record<string, any> }[]} */
+    const out = []
+    if (layer.type === 'text') {
+        out.push({ key: 'color', color: layer.style.color, what: 'Text color', patch: (c) => ({ style: { color: c } }) })
+        if (layer.style.strokeWidth > 0 && layer.style.strokeColor) {
+            out.push({ key: 'strokeColor', color: layer.style.strokeColor, what: 'Text outline', patch: (c) => ({ style: { strokeColor: c } }) })
+        }
+        ;(layer.runs ?? []).forEach((/** @type {any} */ run, /** @type {number} */ i) => {
+            if (!run.color) return
+            out.push({
+                key: `run${i}`,
+                color: run.color,
+                what: 'Styled text color',
+                patch: (c) => ({ runs: layer.runs.map((/** @type {any} */ r, /** @type {number} */ j) => (j === i ? { ...r, color: c } : r)) }),
+            })
+        })
+    } else if (layer.type === 'fill') {
+        if (layer.kind === 'text_boost') {
+            if (layer.textBoostColor) out.push({ key: 'textBoostColor', color: layer.textBoostColor, what: 'Scrim color', patch: (c) => ({ textBoostColor: c }) })
+        } else if (layer.fillKind === 'gradient') {
+            if (layer.gradientStartColor) out.push({ key: 'gradientStartColor', color: layer.gradientStartColor, what: 'Gradient start', patch: (c) => ({ gradientStartColor: c }) })
+            if (layer.gradientEndColor) out.push({ key: 'gradientEndColor', color: layer.gradientEndColor, what: 'Gradient end', patch: (c) => ({ gradientEndColor: c }) })
+        } else {
+            out.push({ key: 'color', color: layer.color, what: 'Fill color', patch: (c) => ({ color: c }) })
+        }
+    } else if (layer.type === 'shape') {
+        out.push({ key: 'fill', color: layer.fill, what: 'Shape fill', patch: (c) => ({ fill: c }) })
+        if (layer.strokeWidth > 0) out.push({ key: 'stroke', color: layer.stroke, what: 'Shape stroke', patch: (c) => ({ stroke: c }) })
+    }
+    return out
+}
+
+/**
+ * @param {{ x: number, y: number, width: number, height: number }} a
+ * @param {{ x: number, y: number, width: number, height: number }} b
+ */
+const intersects = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height
+/**
+ * @param {{ x: number, y: number, width: number, height: number }} outer
+ * @param {{ x: number, y: number, width: number, height: number }} inner
+ */
+const contains = (outer, inner) =>
+    outer.x <= inner.x && outer.y <= inner.y && outer.x + outer.width >= inner.x + inner.width && outer.y + outer.height >= inner.y + inner.height
+
+/** @param {{ x: number, y: number, width: number, height: number }} box @param {number} m */
+const expand = (box, m) => ({ x: box.x - m, y: box.y - m, width: box.width + 2 * m, height: box.height + 2 * m })
+
+/**
+ * Layers inside the clear space of a logo box: they overlap the padded box without sitting behind the whole
+ * logo (a band or panel the logo is placed on is fine).
+ * @param {any} doc
+ * @param {any} logo
+ * @param {{ x: number, y: number, width: number, height: number }} box
+ */
+function clearSpaceIntruders(doc, logo, box) {
+    const padded = expand(box, LOGO_CLEAR_SPACE_RATIO * Math.min(box.width, box.height))
+    return doc.layers.filter(
+        (/** @type {any} */ l) =>
+            l.id !== logo.id && l.visible && l.type !== 'mask' && intersects(l.transform, padded) && !contains(l.transform, box)
+    )
+}
+
+/**
+ * Lint a composition against the brand. Issues are ordered by layer (top of the stack first), then rule.
+ * @param {any} doc
+ * @param {BrandLintOptions} [options]
+ * @returns {BrandLintIssue[]}
+ */
+export function lintCompositionForBrand(doc, options = {}) {
+    const palette = (options.palette ?? []).filter((s) => parseHex(s.color))
+    const brandFonts = new Set((options.fonts ?? []).filter(Boolean).map(firstFontToken))
+    const primaryFont = options.primaryFont?.trim() || (options.fonts ?? []).find(Boolean) || null
+    const roleOf = options.roleOf ?? ((/** @type {any} */ l) => l.studioSyncRole ?? null)
+    const shortSide = Math.min(doc.width, doc.height)
+    const minFont = Math.max(TEXT_MIN_PX, Math.round(shortSide * TEXT_MIN_RATIO))
+    const minLogo = Math.max(LOGO_MIN_PX, Math.round(shortSide * LOGO_MIN_RATIO))
+
+    /** @type {BrandLintIssue[]} */
+    const issues = []
+    const layers = [...doc.layers].filter((l) => l.visible).sort((a, b) => b.z - a.z)
+    for (const layer of layers) {
+        const name = layerLabel(layer)
+        /** @param {BrandLintRule} rule @param {string} key @param {'error' | 'warning'} level @param {string} message @param {BrandLintFix | null} fix */
+        const push = (rule, key, level, message, fix) =>
+            issues.push({ id: `${rule}:${layer.id}:${key}`, rule, level, layerId: layer.id, message, fix })
+
+        if (layer.type === 'text' && brandFonts.size > 0 && primaryFont) {
+            const families = [layer.style.fontFamily, ...(layer.runs ?? []).map((/** @type {any} */ r) => r.fontFamily)].filter(Boolean)
+            const off = families.find((f) => !brandFonts.has(firstFontToken(f)))
+            if (off) {
+                /** @type {Record<string, any>} */
+                const style = { fontFamily: primaryFont, fontLabel: undefined, fontAssetId: undefined }
+                style.fontKey = options.fontKeyFor ? options.fontKeyFor(layer.style.fontWeight ?? 400) : undefined
+                /** @type {Record<string, any>} */
+                const patch = { style }
+                if (layer.runs?.some((/** @type {any} */ r) => r.fontFamily)) {
+                    patch.runs = layer.runs.map((/** @type {any} */ r) => {
+                        const { fontFamily: _drop, ...rest } = r
+                        return rest
+                    })
+                }
+                push('font', 'fontFamily', 'warning', `${name} uses ${firstFontToken(off) || off}, which is not a brand font.`, {
+                    layerId: layer.id,
+                    label: `Use ${primaryFont.split(',')[0].trim()}`,
+                    patch,
+                })
+            }
+        }
+
+        for (const c of layerColors(layer)) {
+            const swatch = offPaletteSuggestion(c.color, palette)
+            if (!swatch) continue
+            push('off_palette', c.key, 'warning', `${c.what} ${c.color} on ${name} is not in the brand palette.`, {
+                layerId: layer.id,
+                label: `Use ${swatch.label} (${swatch.color})`,
+                patch: c.patch(swatch.color),
+            })
+        }
+
+        if (layer.type === 'text' && parseHex(layer.style.color) && String(layer.content ?? '').trim()) {
+            const background = solidBackgroundBehind(doc, layer)
+            if (background) {
+                const size = layer.style.fontSize
+                const large = size >= 24 || (size >= 18.66 && (layer.style.fontWeight ?? 400) >= 700)
+                const min = large ? CONTRAST_MIN_LARGE : CONTRAST_MIN_NORMAL
+                const ratio = getContrastRatio(layer.style.color, background)
+                if (ratio < min) {
+                    const swatch = bestContrastSwatch(background, palette, min)
+                    push(
+                        'contrast',
+                        'color',
+                        'error',
+                        `${name} has ${ratio.toFixed(1)}:1 contrast against ${background}; WCAG AA needs ${min}:1.`,
+                        { layerId: layer.id, label: `Use ${swatch.label} (${swatch.color})`, patch: { style: { color: swatch.color } } }
+                    )
+                }
+            }
+        }
+
+        if (layer.type === 'text' && layer.style.fontSize < minFont && String(layer.content ?? '').trim()) {
+            push('text_too_small', 'fontSize', 'warning', `${name} is ${layer.style.fontSize}px; text under ${minFont}px is hard to read at ${doc.width}×${doc.height}.`, {
+                layerId: layer.id,
+                label: `Set to ${minFont}px`,
+                patch: { style: { fontSize: minFont } },
+            })
+        }
+
+        if (roleOf(layer) === 'logo') {
+            const t = layer.transform
+            const box = { x: t.x, y: t.y, width: t.width, height: t.height }
+            const longSide = Math.max(box.width, box.height)
+            if (longSide > 0 && longSide < minLogo) {
+                const k = minLogo / longSide
+                const width = box.width * k
+                const height = box.height * k
+                const x = Math.min(Math.max(0, box.x - (width - box.width) / 2), Math.max(0, doc.width - width))
+                const y = Math.min(Math.max(0, box.y - (height - box.height) / 2), Math.max(0, doc.height - height))
+                push('logo_min_size', 'size', 'error', `${name} is ${Math.round(longSide)}px; logos need at least ${minLogo}px here.`, {
+                    layerId: layer.id,
+                    label: `Enlarge to ${minLogo}px`,
+                    patch: { transform: { x, y, width, height } },
+                })
+            }
+
+            const margin = LOGO_CLEAR_SPACE_RATIO * Math.min(box.width, box.height)
+            const edgeBreach = box.x < margin || box.y < margin || box.x + box.width > doc.width - margin || box.y + box.height > doc.height - margin
+            if (edgeBreach && box.width + 2 * margin <= doc.width && box.height + 2 * margin <= doc.height) {
+                const x = Math.min(Math.max(box.x, margin), doc.width - margin - box.width)
+                const y = Math.min(Math.max(box.y, margin), doc.height - margin - box.height)
+                push('logo_clear_space', 'edge', 'warning', `${name} is closer than ${Math.round(margin)}px to the canvas edge.`, {
+                    layerId: layer.id,
+                    label: 'Move inside the clear space',
+                    patch: { transform: { x, y } },
+                })
+            }
+
+            const intruders = clearSpaceIntruders(doc, layer, box)
+            if (intruders.length > 0) {
+                /** @type {BrandLintFix | null} */
+                let fix = null
+                // Shrink around the center until the clear space is free, but never below the minimum size.
+                for (let k = 0.95; Math.max(box.width, box.height) * k >= minLogo; k -= 0.05) {
+                    const width = box.width * k
+                    const height = box.height * k
+                    const next = { x: box.x + (box.width - width) / 2, y: box.y + (box.height - height) / 2, width, height }
+                    if (clearSpaceIntruders(doc, layer, next).length === 0) {
+                        fix = { layerId: layer.id, label: `Shrink to ${Math.round(k * 100)}%`, patch: { transform: next } }
+                        break
+                    }
+                }
+                push(
+                    'logo_clear_space',
+                    'layers',
+                    'warning',
+                    `${intruders.map(layerLabel).join(', ')} ${intruders.length === 1 ? 'sits' : 'sit'} inside the clear space of ${name}.`,
+                    fix
+                )
+            }
+        }
+    }
+    return issues
+}
+
+/**
+ * Apply one issue's fix: `style` and `transform` patches merge into the layer's, other keys replace.
+ * Returns the same document when the issue has no fix or its layer is gone.
+ * @template {{ layers: any[] }} D
+ * @param {D} doc
+ * @param {BrandLintIssue} issue
+ * @returns {D}
+ */
+export function applyBrandLintFix(doc, issue) {
+    const fix = issue.fix
+    if (!fix || !doc.layers.some((l) => l.id === fix.layerId)) return doc
+    const { style, transform, ...rest } = fix.patch
+    return {
+        ...doc,
+        layers: doc.layers.map((l) => {
+            if (l.id !== fix.layerId) return l
+            /** @type {any} */
+            const next = { ...l, ...rest }
+            if (style) {
+                next.style = { ...l.style, ...style }
+                for (const k of Object.keys(style)) {
+                    if (style[k] === undefined) delete next.style[k]
+                }
+            }
+            if (transform) next.transform = { ...l.transform, ...transform }
+            return next
+        }),
+    }
+}
+
+/**
+ * Apply every available fix, re-linting after each one so fixes build on each other (a contrast fix sees
+ * the palette fix before it). Issues without a fix are left for the user.
+ * @template {{ layers: any[] }} D
+ * @param {D} doc
+ * @param {BrandLintOptions} [options]
+ * @returns {D}
+ */
+export function applyAllBrandLintFixes(doc, options = {}) {
+    const applied = new Set()
+    let current = doc
+    for (;;) {
+        const next = lintCompositionForBrand(current, options).find((i) => i.fix && !applied.has(i.id))
+        if (!next) return current
+        applied.add(next.id)
+        current = applyBrandLintFix(current, next)
+    }
+}
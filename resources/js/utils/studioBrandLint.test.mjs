@@ -0,0 +1,127 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    applyAllBrandLintFixes,
+    applyBrandLintFix,
+    lintCompositionForBrand,
+    offPaletteSuggestion,
+    solidBackgroundBehind,
+} from './studioBrandLint.mjs'
+
+const palette = [
+    { label: 'Primary', color: '#1d4ed8' },
+    { label: 'Accent', color: '#f59e0b' },
+]
+const brand = { palette, fonts: ['Inter, sans-serif', 'Lora'], primaryFont: 'Inter' }
+
+function text(id, z, content, style = {}, box = {}) {
+    return {
+        id,
+        type: 'text',
+        z,
+        visible: true,
+        locked: false,
+        content,
+        style: { fontFamily: 'Inter', fontSize: 40, color: '#111111', ...style },
+        transform: { x: 100, y: 100, width: 600, height: 80, ...box },
+    }
+}
+
+function fill(id, z, color, box) {
+    return { id, type: 'fill', fillKind: 'solid', z, visible: true, locked: false, color, transform: box }
+}
+
+const logo = (box) => ({ id: 'logo', type: 'image', z: 9, visible: true, locked: false, src: 'l.png', studioSyncRole: 'logo', transform: box })
+
+test('off-palette colors suggest the nearest swatch; neutrals and near matches pass', () => {
+    assert.equal(offPaletteSuggestion('#ffffff', palette), null)
+    assert.equal(offPaletteSuggestion('#333333', palette), null)
+    assert.equal(offPaletteSuggestion('#1e50da', palette), null)
+    assert.deepEqual(offPaletteSuggestion('#dc2626', palette), { label: 'Accent', color: '#f59e0b' })
+    assert.equal(offPaletteSuggestion('transparent', palette), null)
+
+    const doc = {
+        width: 1080,
+        height: 1080,
+        layers: [fill('bg', 0, '#ffffff', { x: 0, y: 0, width: 1080, height: 1080 }), fill('band', 1, '#16a34a', { x: 0, y: 900, width: 1080, height: 180 })],
+    }
+    const issues = lintCompositionForBrand(doc, brand)
+    assert.deepEqual(
+        issues.map((i) => [i.id, i.level]),
+        [['off_palette:band:color', 'warning']]
+    )
+    const fixed = applyBrandLintFix(doc, issues[0])
+    assert.equal(fixed.layers[1].color, '#1d4ed8')
+    assert.equal(doc.layers[1].color, '#16a34a', 'document is not mutated')
+})
+
+test('flags off-brand fonts, low contrast and undersized text with fixes', () => {
+    const doc = {
+        width: 1080,
+        height: 1080,
+        layers: [
+            fill('bg', 0, '#1d4ed8', { x: 0, y: 0, width: 1080, height: 1080 }),
+            text('h', 2, 'Headline', { fontFamily: '"Comic Sans MS", cursive', fontKey: 'bundled:comic', color: '#1d4ed8' }),
+            text('legal', 3, 'Terms apply', { fontSize: 9, color: '#ffffff' }, { y: 1000 }),
+        ],
+    }
+    const issues = lintCompositionForBrand(doc, brand)
+    assert.deepEqual(
+        issues.map((i) => i.id),
+        ['text_too_small:legal:fontSize', 'font:h:fontFamily', 'contrast:h:color']
+    )
+    const [small, font, contrast] = issues
+    assert.match(small.message, /under 16px/)
+    assert.deepEqual(small.fix?.patch, { style: { fontSize: 16 } })
+    assert.match(font.message, /comic sans ms/)
+    assert.equal(contrast.level, 'error')
+    assert.match(contrast.message, /WCAG AA needs 3:1/)
+
+    const fixedFont = applyBrandLintFix(doc, font)
+    assert.equal(fixedFont.layers[1].style.fontFamily, 'Inter')
+    assert.equal('fontKey' in fixedFont.layers[1].style, false, 'stale font key is dropped')
+
+    const all = applyAllBrandLintFixes(doc, brand)
+    assert.deepEqual(lintCompositionForBrand(all, brand), [])
+    // Primary on primary fails; the accent swatch clears 3:1 for large text.
+    assert.equal(all.layers[1].style.color, '#f59e0b')
+})
+
+test('measures contrast only over solid backgrounds', () => {
+    const t = text('t', 5, 'Hi')
+    assert.equal(solidBackgroundBehind({ layers: [t] }, t), '#ffffff')
+    assert.equal(solidBackgroundBehind({ layers: [fill('f', 1, '#000000', { x: 0, y: 0, width: 1000, height: 1000 }), t] }, t), '#000000')
+    const photo = { id: 'p', type: 'image', z: 2, visible: true, locked: false, src: 'a.jpg', transform: { x: 0, y: 0, width: 1000, height: 1000 } }
+    assert.equal(solidBackgroundBehind({ layers: [photo, t] }, t), null)
+})
+
+test('logo minimum size and clear space', () => {
+    const small = { width: 1080, height: 1080, layers: [logo({ x: 500, y: 500, width: 60, height: 30 })] }
+    const [minSize] = lintCompositionForBrand(small, brand)
+    assert.equal(minSize.id, 'logo_min_size:logo:size')
+    assert.equal(minSize.level, 'error')
+    const grown = applyBrandLintFix(small, minSize).layers[0].transform
+    assert.equal(grown.width, 108)
+    assert.equal(grown.height, 54)
+
+    const edge = { width: 1080, height: 1080, layers: [logo({ x: 10, y: 20, width: 200, height: 100 })] }
+    const [edgeIssue] = lintCompositionForBrand(edge, brand)
+    assert.equal(edgeIssue.id, 'logo_clear_space:logo:edge')
+    assert.deepEqual(applyBrandLintFix(edge, edgeIssue).layers[0].transform, { x: 25, y: 25, width: 200, height: 100 })
+
+    const crowded = {
+        width: 1080,
+        height: 1080,
+        layers: [
+            fill('panel', 0, '#ffffff', { x: 0, y: 0, width: 1080, height: 1080 }),
+            logo({ x: 400, y: 400, width: 200, height: 100 }),
+            text('h', 3, 'Headline', {}, { x: 400, y: 515, width: 400, height: 60 }),
+        ],
+    }
+    const intrusion = lintCompositionForBrand(crowded, brand).find((i) => i.id === 'logo_clear_space:logo:layers')
+    assert.ok(intrusion)
+    assert.match(intrusion.message, /“Headline” sits inside the clear space/)
+    assert.ok(intrusion.fix)
+    const shrunk = applyBrandLintFix(crowded, intrusion)
+    assert.equal(lintCompositionForBrand(shrunk, brand).some((i) => i.rule === 'logo_clear_space'), false)
+})
@@ -0,0 +1,180 @@
+/**
+ * Pinned review comments on the Studio canvas: pin placement and @mention text handling.
+ *
+ * Threads are stored server-side (not in `document_json`), so nothing here touches the document itself.
+ */
+
+/**
+ * @typedef {{ id: string, transform: { x: number, y: number, width: number, height: number, rotation?: number }, [key: string]: any }} LayerLike
+ * @typedef {{ layers: LayerLike[], artboards?: { id: string, layers: LayerLike[] }[], [key: string]: any }} DocumentLike
+ * @typedef {{ x: number, y: number, layer_id: string | null, layer_rel_x: number | null, layer_rel_y: number | null }} CommentPin
+ * @typedef {{ id: number, name: string }} MentionUser
+ */
+
+/**
+ * Pin for a click at document px `(x, y)`, anchored to `layer` when given. The anchor is stored as a fraction of
+ * the layer's unrotated box so the pin follows moves and resizes.
+ * @param {number} x
+ * @param {number} y
+ * @param {LayerLike | null} layer
+ * @returns {CommentPin}
+ */
+export function commentPinAt(x, y, layer) {
+    if (!layer) {
+        return { x, y, layer_id: null, layer_rel_x: null, layer_rel_y: null }
+    }
+    const t = layer.transform
+    const [lx, ly] = rotateAround(x, y, t.x + t.width / 2, t.y + t.height / 2, -(t.rotation ?? 0))
+    return {
+        x,
+        y,
+        layer_id: layer.id,
+        layer_rel_x: clamp01(t.width > 0 ? (lx - t.x) / t.width : 0.5),
+        layer_rel_y: clamp01(t.height > 0 ? (ly - t.y) / t.height : 0.5),
+    }
+}
+
+/**
+ * Where to draw a pin on the current canvas (document px). Layer-anchored pins follow their layer; once the layer
+ * is gone they fall back to the stored point. Returns null when the layer lives on another artboard.
+ * @param {CommentPin} pin
+ * @param {DocumentLike} doc
+ * @returns {{ x: number, y: number, detached: boolean } | null}
+ */
+export function commentPinPosition(pin, doc) {
+    if (!pin.layer_id) {
+        return { x: pin.x, y: pin.y, detached: false }
+    }
+    const layer = doc.layers.find((l) => l.id === pin.layer_id)
+    if (!layer) {
+        const elsewhere = (doc.artboards ?? []).some((b) => b.layers.some((l) => l.id === pin.layer_id))
+        return elsewhere ? null : { x: pin.x, y: pin.y, detached: true }
+    }
+    const t = layer.transform
+    const [x, y] = rotateAround(
+        t.x + t.width * (pin.layer_rel_x ?? 0.5),
+        t.y + t.height * (pin.layer_rel_y ?? 0.5),
+        t.x + t.width / 2,
+        t.y + t.height / 2,
+        t.rotation ?? 0
+    )
+    return { x, y, detached: false }
+}
+
+/**
+ * The `@query` being typed at `caret`, if any: `@` must start the text or follow whitespace, and the query may
+ * contain single spaces so full names ("@Rex Rev") keep matching.
+ * @param {string} text
+ * @param {number} caret
+ * @returns {{ start: number, query: string } | null}
+ */
+export function mentionQueryAt(text, caret) {
+    const before = text.slice(0, caret)
+    const m = /(^|\s)@([^\s@]*(?: [^\s@]+)?)$/.exec(before)
+    if (!m) return null
+    return { start: before.length - m[2].length - 1, query: m[2] }
+}
+
+/**
+ * Users whose name matches an autocomplete query (prefix of the name or of any word in it), best first.
+ * @param {MentionUser[]} users
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {MentionUser[]}
+ */
+export function filterMentionables(users, query, limit = 6) {
+    const q = query.trim().toLowerCase()
+    if (!q) return users.slice(0, limit)
+    const scored = []
+    for (const u of users) {
+        const name = u.name.toLowerCase()
+        if (name.startsWith(q)) scored.push({ u, rank: 0 })
+        else if (name.split(/\s+/).some((w) => w.startsWith(q))) scored.push({ u, rank: 1 })
+    }
+    return scored
+        .sort((a, b) => a.rank - b.rank || a.u.name.localeCompare(b.u.name))
+        .slice(0, limit)
+        .map((s) => s.u)
+}
+
+/**
+ * Replace the `@query` that starts at `start` (up to `caret`) with `@Full Name `.
+ * @param {string} text
+ * @param {number} start
+ * @param {number} caret
+ * @param {string} name
+ * @returns {{ text: string, caret: number }}
+ */
+export function insertMention(text, start, caret, name) {
+    const token = `@${name} `
+    return { text: text.slice(0, start) + token + text.slice(caret).replace(/^ /, ''), caret: start + token.length }
+}
+
+/**
+ * Ids of users mentioned as `@Full Name` in `body` (longest names first, so "@Ann Lee" wins over "@Ann").
+ * @param {string} body
+ * @param {MentionUser[]} users
+ * @returns {number[]}
+ */
+export function mentionedUserIds(body, users) {
+    const ids = new Set()
+    let rest = body
+    for (const u of [...users].sort((a, b) => b.name.length - a.name.length)) {
+        const re = new RegExp(`(^|\\s)@${escapeRegExp(u.name)}(?![\\p{L}\\p{N}_])`, 'gu')
+        if (re.test(rest)) {
+            ids.add(u.id)
+            rest = rest.replace(re, '$1')
+        }
+    }
+    return [...ids].sort((a, b) => a - b)
+}
+
+/**
+ * Split a comment body into plain text and `@Name` segments for highlighting.
+ * @param {string} body
+ * @param {MentionUser[]} users Users that were mentioned in this comment.
+ * @returns {{ text: string, mention: boolean }[]}
+ */
+export function splitCommentBody(body, users) {
+    const names = users.map((u) => u.name).filter(Boolean).sort((a, b) => b.length - a.length)
+    if (names.length === 0) return [{ text: body, mention: false }]
+    const re = new RegExp(`@(?:${names.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'gu')
+    /** @type {{ text: string, mention: boolean }[]} */
+    const out = []
+    let last = 0
+    for (const m of body.matchAll(re)) {
+        const i = m.index ?? 0
+        if (i > 0 && !/\s/.test(body[i - 1])) continue
+        if (i > last) out.push({ text: body.slice(last, i), mention: false })
+        out.push({ text: m[0], mention: true })
+        last = i + m[0].length
+    }
+    if (last < body.length) out.push({ text: body.slice(last), mention: false })
+    return out
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} deg
+ * @returns {[number, number]}
+ */
+function rotateAround(x, y, cx, cy, deg) {
+    if (!deg) return [x, y]
+    const r = (deg * Math.PI) / 180
+    const dx = x - cx
+    const dy = y - cy
+    return [cx + dx * Math.cos(r) - dy * Math.sin(r), cy + dx * Math.sin(r) + dy * Math.cos(r)]
+}
+
+/** @param {number} v */
+function clamp01(v) {
+    return Math.min(1, Math.max(0, v))
+}
+
+/** @param {string} s */
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
@@ -0,0 +1,72 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    commentPinAt,
+    commentPinPosition,
+    filterMentionables,
+    insertMention,
+    mentionQueryAt,
+    mentionedUserIds,
+    splitCommentBody,
+} from './studioComments.mjs'
+
+const layer = (id, transform) => ({ id, transform })
+
+test('layer-anchored pins follow the layer and fall back to the stored point when it is deleted', () => {
+    const headline = layer('headline', { x: 100, y: 100, width: 400, height: 100 })
+    const pin = commentPinAt(300, 125, headline)
+    assert.deepEqual(pin, { x: 300, y: 125, layer_id: 'headline', layer_rel_x: 0.5, layer_rel_y: 0.25 })
+
+    const moved = { layers: [layer('headline', { x: 500, y: 0, width: 200, height: 200 })] }
+    assert.deepEqual(commentPinPosition(pin, moved), { x: 600, y: 50, detached: false })
+
+    assert.deepEqual(commentPinPosition(pin, { layers: [] }), { x: 300, y: 125, detached: true })
+    assert.equal(commentPinPosition(pin, { layers: [], artboards: [{ id: 'b2', layers: [headline] }] }), null)
+
+    const free = commentPinAt(10, 20, null)
+    assert.deepEqual(commentPinPosition(free, moved), { x: 10, y: 20, detached: false })
+})
+
+test('pins on rotated layers round-trip through the layer frame', () => {
+    const rotated = layer('r', { x: 0, y: 0, width: 100, height: 100, rotation: 90 })
+    const pin = commentPinAt(75, 25, rotated)
+    const at = commentPinPosition(pin, { layers: [rotated] })
+    assert.ok(at)
+    assert.ok(Math.abs(at.x - 75) < 1e-9 && Math.abs(at.y - 25) < 1e-9)
+    assert.ok(Math.abs((pin.layer_rel_x ?? 0) - 0.25) < 1e-9)
+})
+
+test('mention autocomplete finds the query at the caret and inserts full names', () => {
+    assert.deepEqual(mentionQueryAt('Hi @Re', 6), { start: 3, query: 'Re' })
+    assert.deepEqual(mentionQueryAt('@Rex Rev', 8), { start: 0, query: 'Rex Rev' })
+    assert.equal(mentionQueryAt('mail@example', 12), null)
+    assert.equal(mentionQueryAt('Hi @Rex  ', 9), null)
+
+    const users = [
+        { id: 1, name: 'Ada Owner' },
+        { id: 2, name: 'Rex Reviewer' },
+        { id: 3, name: 'Oren Rex' },
+    ]
+    assert.deepEqual(
+        filterMentionables(users, 'rex').map((u) => u.id),
+        [2, 3]
+    )
+    assert.deepEqual(insertMention('Hi @Re thanks', 3, 6, 'Rex Reviewer'), { text: 'Hi @Rex Reviewer thanks', caret: 17 })
+})
+
+test('mentioned ids and highlight segments only count whole @names', () => {
+    const users = [
+        { id: 1, name: 'Ann' },
+        { id: 2, name: 'Ann Lee' },
+        { id: 3, name: 'Bo' },
+    ]
+    assert.deepEqual(mentionedUserIds('@Ann Lee please check, cc @Bob', users), [2])
+    assert.deepEqual(mentionedUserIds('@Ann and @Ann Lee', users), [1, 2])
+    assert.deepEqual(mentionedUserIds('mail@Bo', users), [])
+
+    assert.deepEqual(splitCommentBody('@Ann Lee see logo', [users[1]]), [
+        { text: '@Ann Lee', mention: true },
+        { text: ' see logo', mention: false },
+    ])
+    assert.deepEqual(splitCommentBody('no mentions', []), [{ text: 'no mentions', mention: false }])
+})
@@ -0,0 +1,390 @@
+/**
+ * Constraint-based resize for Studio compositions — re-flows an existing document to another canvas size
+ * (e.g. a `FormatPackSize`) without a generation call.
+ *
+ * Each layer may carry `transform.constraints: { horizontal?, vertical? }`:
+ *   - `left` / `right` / `top` / `bottom` pin the layer to that canvas edge,
+ *   - `center` keeps its offset from the canvas center,
+ *   - `stretch` pins both edges so the layer grows / shrinks with the canvas,
+ *   - `scale` keeps its position and size as a fraction of the canvas (non-uniform).
+ * Margins and the size of pinned / centered layers scale by the uniform content factor
+ * `min(targetW / sourceW, targetH / sourceH)` so a 1080² creative still fits a 300×250 MREC.
+ *
+ * Layers without constraints get inferred ones (full-bleed → stretch, otherwise the nearest third of the
+ * canvas). Text font sizes follow the box and then shrink until the copy fits; `cover` images are re-cropped
+ * around the previously visible region.
+ *
+ * @typedef {'left' | 'right' | 'center' | 'stretch' | 'scale'} HorizontalConstraint
+ * @typedef {'top' | 'bottom' | 'center' | 'stretch' | 'scale'} VerticalConstraint
+ * @typedef {{ horizontal?: HorizontalConstraint, vertical?: VerticalConstraint }} LayerConstraintsLike
+ * @typedef {{ horizontal: HorizontalConstraint, vertical: VerticalConstraint }} ResolvedLayerConstraints
+ * @typedef {{ left: number, top: number, right: number, bottom: number }} CropInsets
+ * @typedef {{ x: number, y: number, width: number, height: number, rotation?: number, constraints?: LayerConstraintsLike }} TransformLike
+ * @typedef {{ id: string, type: string, transform: TransformLike, [key: string]: unknown }} LayerLike
+ * @typedef {{ width: number, height: number, layers: LayerLike[], [key: string]: unknown }} DocumentLike
+ */
+
+/** @type {readonly HorizontalConstraint[]} */
+export const HORIZONTAL_CONSTRAINTS = Object.freeze(['left', 'right', 'center', 'stretch', 'scale'])
+
+/** @type {readonly VerticalConstraint[]} */
+export const VERTICAL_CONSTRAINTS = Object.freeze(['top', 'bottom', 'center', 'stretch', 'scale'])
+
+/** Auto-fit never shrinks copy below this size (px). */
+export const RESIZE_MIN_FONT_SIZE = 6
+
+/** A layer covering at least this fraction of a canvas axis is treated as full-bleed on that axis. */
+const FULL_BLEED_FRACTION = 0.9
+
+/** Matches the composition renderer's default line height. */
+const DEFAULT_LINE_HEIGHT = 1.25
+
+/** Average glyph advance as a fraction of the font size; deliberately generous so estimates err toward fitting. */
+const AVG_GLYPH_WIDTH = 0.56
+
+/** @param {number} n */
+function round2(n) {
+    return Math.round(n * 100) / 100
+}
+
+/** @param {number} n */
+function round4(n) {
+    return Math.max(0, Math.round(n * 10000) / 10000)
+}
+
+/**
+ * @param {number} start
+ * @param {number} length
+ * @param {number} canvas
+ * @param {boolean} horizontal
+ */
+function inferAxis(start, length, canvas, horizontal) {
+    if (length >= canvas * FULL_BLEED_FRACTION) {
+        return 'stretch'
+    }
+    const center = (start + length / 2) / Math.max(1, canvas)
+    if (center < 1 / 3) {
+        return horizontal ? 'left' : 'top'
+    }
+    if (center > 2 / 3) {
+        return horizontal ? 'right' : 'bottom'
+    }
+    return 'center'
+}
+
+/**
+ * Constraints a layer would get if it had none, from where it sits on the canvas.
+ *
+ * @param {{ transform: TransformLike }} layer
+ * @param {{ width: number, height: number }} doc
+ * @returns {ResolvedLayerConstraints}
+ */
+export function inferLayerConstraints(layer, doc) {
+    const t = layer.transform
+    return {
+        horizontal: /** @type {HorizontalConstraint} */ (inferAxis(t.x, t.width, doc.width, true)),
+        vertical: /** @type {VerticalConstraint} */ (inferAxis(t.y, t.height, doc.height, false)),
+    }
+}
+
+/**
+ * Explicit constraints where set, inferred ones per missing axis.
+ *
+ * @param {{ transform: TransformLike }} layer
+ * @param {{ width: number, height: number }} doc
+ * @returns {ResolvedLayerConstraints}
+ */
+export function resolveLayerConstraints(layer, doc) {
+    const explicit = layer.transform.constraints ?? {}
+    const inferred = inferLayerConstraints(layer, doc)
+    return {
+        horizontal: HORIZONTAL_CONSTRAINTS.includes(/** @type {HorizontalConstraint} */ (explicit.horizontal))
+            ? /** @type {HorizontalConstraint} */ (explicit.horizontal)
+            : inferred.horizontal,
+        vertical: VERTICAL_CONSTRAINTS.includes(/** @type {VerticalConstraint} */ (explicit.vertical))
+            ? /** @type {VerticalConstraint} */ (explicit.vertical)
+            : inferred.vertical,
+    }
+}
+
+/**
+ * Maps one axis of a box from a `from`-sized canvas to a `to`-sized one.
+ *
+ * @param {string} mode
+ * @param {number} start
+ * @param {number} length
+ * @param {number} from
+ * @param {number} to
+ * @param {number} uniform content scale factor
+ * @returns {[number, number]} new start and length
+ */
+function resizeAxis(mode, start, length, from, to, uniform) {
+    const end = from - start - length
+    switch (mode) {
+        case 'scale': {
+            const s = to / from
+            return [start * s, length * s]
+        }
+        case 'stretch': {
+            const a = start * uniform
+            return [a, Math.max(1, to - a - end * uniform)]
+        }
+        case 'right':
+        case 'bottom': {
+            const l = length * uniform
+            return [to - end * uniform - l, l]
+        }
+        case 'center': {
+            const l = length * uniform
+            return [to / 2 + (start + length / 2 - from / 2) * uniform - l / 2, l]
+        }
+        default:
+            return [start * uniform, length * uniform]
+    }
+}
+
+/**
+ * Rough height of wrapped copy — average glyph advance, greedy word wrap. Used to pick a font size that fits;
+ * the renderer's `autoFit` does the exact pass.
+ *
+ * @param {{ content: string, fontSize: number, width: number, lineHeight?: number, letterSpacing?: number }} params
+ */
+export function estimateTextHeight(params) {
+    const fontSize = Math.max(1, params.fontSize)
+    const advance = fontSize * AVG_GLYPH_WIDTH + (params.letterSpacing ?? 0)
+    const perLine = Math.max(1, Math.floor(Math.max(1, params.width) / Math.max(1, advance)))
+    let lines = 0
+    for (const paragraph of String(params.content ?? '').split('\n')) {
+        let used = 0
+        let count = 1
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            if (used === 0) {
+                used = word.length
+            } else if (used + 1 + word.length <= perLine) {
+                used += 1 + word.length
+            } else {
+                count += 1
+                used = word.length
+            }
+            while (used > perLine) {
+                count += 1
+                used -= perLine
+            }
+        }
+        lines += count
+    }
+    return lines * fontSize * (params.lineHeight ?? DEFAULT_LINE_HEIGHT)
+}
+
+/**
+ * Largest font size ≤ `fontSize` whose estimated height fits the box (never below {@link RESIZE_MIN_FONT_SIZE}).
+ *
+ * @param {{ content: string, fontSize: number, width: number, height: number, lineHeight?: number, letterSpacing?: number }} params
+ */
+export function fitTextFontSize(params) {
+    let size = Math.max(RESIZE_MIN_FONT_SIZE, params.fontSize)
+    while (size > RESIZE_MIN_FONT_SIZE && estimateTextHeight({ ...params, fontSize: size }) > params.height) {
+        size = Math.max(RESIZE_MIN_FONT_SIZE, size * 0.95)
+    }
+    return round2(size)
+}
+
+/**
+ * Crop insets for a `cover` image whose box changes aspect: the new visible region is the smallest one with
+ * the new aspect that contains what was visible before (clamped to the source), centered on it.
+ *
+ * @param {{ naturalWidth?: number, naturalHeight?: number, crop?: CropInsets | null }} image
+ * @param {{ width: number, height: number }} fromBox
+ * @param {{ width: number, height: number }} toBox
+ * @returns {CropInsets | null | undefined} `undefined` when the source size is unknown (leave the crop alone)
+ */
+export function recropCoverImage(image, fromBox, toBox) {
+    const nw = Number(image.naturalWidth) || 0
+    const nh = Number(image.naturalHeight) || 0
+    if (nw <= 0 || nh <= 0) {
+        return undefined
+    }
+    const crop = image.crop ?? { left: 0, top: 0, right: 0, bottom: 0 }
+    const rx = crop.left * nw
+    const ry = crop.top * nh
+    const rw = Math.max(1, (1 - crop.left - crop.right) * nw)
+    const rh = Math.max(1, (1 - crop.top - crop.bottom) * nh)
+    const fromAspect = Math.max(1, fromBox.width) / Math.max(1, fromBox.height)
+    const toAspect = Math.max(1, toBox.width) / Math.max(1, toBox.height)
+
+    const [vw, vh] = rw / rh > fromAspect ? [rh * fromAspect, rh] : [rw, rw / fromAspect]
+    let [w, h] = vw / vh > toAspect ? [vw, vw / toAspect] : [vh * toAspect, vh]
+    if (w > nw) {
+        h *= nw / w
+        w = nw
+    }
+    if (h > nh) {
+        w *= nh / h
+        h = nh
+    }
+    const cx = Math.min(nw - w / 2, Math.max(w / 2, rx + rw / 2))
+    const cy = Math.min(nh - h / 2, Math.max(h / 2, ry + rh / 2))
+    const next = {
+        left: round4((cx - w / 2) / nw),
+        top: round4((cy - h / 2) / nh),
+        right: round4(1 - (cx + w / 2) / nw),
+        bottom: round4(1 - (cy + h / 2) / nh),
+    }
+    return Object.values(next).every((v) => v < 0.001) ? null : next
+}
+
+/**
+ * @param {Record<string, unknown> | undefined} effects
+ * @param {number} f
+ */
+function scaleEffects(effects, f) {
+    if (!effects || typeof effects !== 'object') {
+        return effects
+    }
+    /** @type {Record<string, unknown>} */
+    const out = {}
+    for (const [key, value] of Object.entries(effects)) {
+        if (value && typeof value === 'object') {
+            const e = /** @type {Record<string, number>} */ (value)
+            out[key] = {
+                ...e,
+                offsetX: round2((e.offsetX ?? 0) * f),
+                offsetY: round2((e.offsetY ?? 0) * f),
+                blur: round2((e.blur ?? 0) * f),
+                spread: round2((e.spread ?? 0) * f),
+            }
+        } else {
+            out[key] = value
+        }
+    }
+    return out
+}
+
+/**
+ * @param {{ tracks?: Record<string, { at_ms: number, value: number }[]> } | undefined} animation
+ * @param {number} sx
+ * @param {number} sy
+ */
+function scaleAnimation(animation, sx, sy) {
+    if (!animation?.tracks) {
+        return animation
+    }
+    /** @type {Record<string, unknown>} */
+    const tracks = { ...animation.tracks }
+    for (const [key, f] of /** @type {[string, number][]} */ ([
+        ['x', sx],
+        ['y', sy],
+    ])) {
+        const track = animation.tracks[key]
+        if (Array.isArray(track)) {
+            tracks[key] = track.map((k) => ({ ...k, value: round2(k.value * f) }))
+        }
+    }
+    return { ...animation, tracks }
+}
+
+/**
+ * Re-flows one layer. `uniform` is the content scale factor for the whole document.
+ *
+ * @param {LayerLike} layer
+ * @param {{ width: number, height: number }} from
+ * @param {{ width: number, height: number }} to
+ * @param {number} uniform
+ * @returns {LayerLike}
+ */
+export function resizeLayerWithConstraints(layer, from, to, uniform) {
+    const t = layer.transform
+    const c = resolveLayerConstraints(layer, from)
+    const [x, width] = resizeAxis(c.horizontal, t.x, t.width, from.width, to.width, uniform)
+    const [y, height] = resizeAxis(c.vertical, t.y, t.height, from.height, to.height, uniform)
+    const sx = width / Math.max(1, t.width)
+    const sy = height / Math.max(1, t.height)
+    /** Scale for px-valued styling (font size, strokes, radii, shadows). */
+    const f = Math.min(sx, sy)
+    /** @type {Record<string, any>} */
+    const next = {
+        ...layer,
+        transform: { ...t, x: round2(x), y: round2(y), width: round2(Math.max(1, width)), height: round2(Math.max(1, height)) },
+    }
+    if (layer.animation) {
+        next.animation = scaleAnimation(/** @type {any} */ (layer.animation), sx, sy)
+    }
+    if (layer.effects) {
+        next.effects = scaleEffects(/** @type {Record<string, unknown>} */ (layer.effects), f)
+    }
+
+    if (layer.type === 'text') {
+        const style = /** @type {Record<string, any>} */ (layer.style ?? {})
+        const scaled = {
+            ...style,
+            fontSize: round2(Math.max(RESIZE_MIN_FONT_SIZE, (Number(style.fontSize) || 16) * f)),
+        }
+        if (typeof style.letterSpacing === 'number') {
+            scaled.letterSpacing = round2(style.letterSpacing * f)
+        }
+        if (typeof style.strokeWidth === 'number') {
+            scaled.strokeWidth = round2(style.strokeWidth * f)
+        }
+        const fitted = fitTextFontSize({
+            content: String(layer.content ?? ''),
+            fontSize: scaled.fontSize,
+            width: next.transform.width,
+            height: next.transform.height,
+            lineHeight: scaled.lineHeight,
+            letterSpacing: scaled.letterSpacing,
+        })
+        next.style = fitted < scaled.fontSize ? { ...scaled, fontSize: fitted, autoFit: true } : scaled
+    } else if (layer.type === 'fill') {
+        if (typeof layer.borderRadius === 'number') {
+            next.borderRadius = round2(layer.borderRadius * f)
+        }
+        if (typeof layer.borderStrokeWidth === 'number') {
+            next.borderStrokeWidth = round2(layer.borderStrokeWidth * f)
+        }
+    } else if (layer.type === 'shape') {
+        if (typeof layer.strokeWidth === 'number') {
+            next.strokeWidth = round2(layer.strokeWidth * f)
+        }
+    } else if (layer.type === 'image' && (layer.fit ?? 'cover') === 'cover') {
+        const fromAspect = t.width / Math.max(1, t.height)
+        const toAspect = next.transform.width / Math.max(1, next.transform.height)
+        if (Math.abs(toAspect / fromAspect - 1) > 0.01) {
+            const adjustments = /** @type {Record<string, any>} */ (layer.adjustments ?? {})
+            const crop = recropCoverImage(
+                {
+                    naturalWidth: /** @type {number} */ (layer.naturalWidth),
+                    naturalHeight: /** @type {number} */ (layer.naturalHeight),
+                    crop: adjustments.crop ?? null,
+                },
+                t,
+                next.transform
+            )
+            if (crop !== undefined) {
+                next.adjustments = { ...adjustments, crop }
+            }
+        }
+    }
+    return /** @type {LayerLike} */ (next)
+}
+
+/**
+ * Re-flows a whole document to `target`. Groups and ids are kept, so the result can be saved as a sibling
+ * version of the source.
+ *
+ * @template {DocumentLike} T
+ * @param {T} doc
+ * @param {{ width: number, height: number }} target
+ * @returns {T}
+ */
+export function resizeDocumentWithConstraints(doc, target) {
+    const to = { width: Math.max(1, Math.round(target.width)), height: Math.max(1, Math.round(target.height)) }
+    const from = { width: Math.max(1, doc.width), height: Math.max(1, doc.height) }
+    const uniform = Math.min(to.width / from.width, to.height / from.height)
+    return {
+        ...doc,
+        width: to.width,
+        height: to.height,
+        preset: 'custom',
+        layers: doc.layers.map((l) => resizeLayerWithConstraints(l, from, to, uniform)),
+    }
+}
@@ -0,0 +1,107 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    estimateTextHeight,
+    fitTextFontSize,
+    inferLayerConstraints,
+    recropCoverImage,
+    resizeDocumentWithConstraints,
+    resolveLayerConstraints,
+} from './studioConstraintResize.mjs'
+
+const square = { width: 1000, height: 1000 }
+
+/** @param {string} id @param {Record<string, number>} box @param {Record<string, unknown>} [extra] */
+function layer(id, box, extra = {}) {
+    return { id, type: 'fill', z: 0, visible: true, locked: false, color: '#000000', transform: { ...box }, ...extra }
+}
+
+test('infers stretch for full-bleed layers and the nearest third otherwise', () => {
+    assert.deepEqual(inferLayerConstraints(layer('bg', { x: 0, y: 0, width: 1000, height: 1000 }), square), {
+        horizontal: 'stretch',
+        vertical: 'stretch',
+    })
+    assert.deepEqual(inferLayerConstraints(layer('logo', { x: 40, y: 860, width: 100, height: 100 }), square), {
+        horizontal: 'left',
+        vertical: 'bottom',
+    })
+    assert.deepEqual(inferLayerConstraints(layer('cta', { x: 400, y: 450, width: 200, height: 100 }), square), {
+        horizontal: 'center',
+        vertical: 'center',
+    })
+    const explicit = layer('x', { x: 40, y: 40, width: 100, height: 100, constraints: { horizontal: 'scale' } })
+    assert.deepEqual(resolveLayerConstraints(explicit, square), { horizontal: 'scale', vertical: 'top' })
+})
+
+test('pins, centers, stretches and scales each axis with the uniform content factor', () => {
+    const doc = {
+        id: 'd',
+        width: 1000,
+        height: 1000,
+        layers: [
+            layer('bg', { x: 0, y: 0, width: 1000, height: 1000 }),
+            layer('logo', { x: 40, y: 860, width: 100, height: 100 }),
+            layer('cta', { x: 400, y: 450, width: 200, height: 100 }),
+            layer('bar', { x: 100, y: 100, width: 200, height: 50, constraints: { horizontal: 'scale', vertical: 'scale' } }),
+        ],
+    }
+    const out = resizeDocumentWithConstraints(doc, { width: 2000, height: 500 })
+    assert.equal(out.width, 2000)
+    assert.equal(out.height, 500)
+    assert.equal(out.preset, 'custom')
+    const [bg, logo, cta, bar] = out.layers.map((l) => l.transform)
+    assert.deepEqual(bg, { x: 0, y: 0, width: 2000, height: 500 })
+    // uniform = min(2, 0.5) = 0.5: left margin 20, bottom margin 20, size 50.
+    assert.deepEqual(logo, { x: 20, y: 430, width: 50, height: 50 })
+    assert.deepEqual(cta, { x: 950, y: 225, width: 100, height: 50 })
+    assert.deepEqual(bar, { x: 200, y: 50, width: 400, height: 25, constraints: { horizontal: 'scale', vertical: 'scale' } })
+    assert.equal(doc.width, 1000, 'source document is not mutated')
+})
+
+test('text follows its box and shrinks until the copy fits', () => {
+    const text = {
+        id: 't',
+        type: 'text',
+        z: 1,
+        visible: true,
+        locked: false,
+        content: 'Spring collection now in stores everywhere',
+        style: { fontFamily: 'Inter', fontSize: 80, color: '#111111', letterSpacing: 2 },
+        transform: { x: 100, y: 100, width: 800, height: 240 },
+    }
+    const out = resizeDocumentWithConstraints({ id: 'd', width: 1000, height: 1000, layers: [text] }, { width: 300, height: 250 })
+    const t = /** @type {any} */ (out.layers[0])
+    assert.ok(t.style.fontSize <= 80 * 0.25)
+    assert.equal(t.style.letterSpacing, 0.5)
+    assert.ok(estimateTextHeight({ ...t.style, content: t.content, width: t.transform.width }) <= t.transform.height)
+
+    assert.equal(fitTextFontSize({ content: 'Hi', fontSize: 40, width: 400, height: 100 }), 40)
+    const fitted = fitTextFontSize({ content: 'A much longer line of copy that wraps', fontSize: 40, width: 200, height: 60 })
+    assert.ok(fitted < 40 && fitted >= 6)
+})
+
+test('cover images are re-cropped around the previously visible region', () => {
+    // 2000×1000 source in a square box shows the middle 1000×1000; a 2:1 box can show the whole source.
+    assert.equal(recropCoverImage({ naturalWidth: 2000, naturalHeight: 1000 }, { width: 500, height: 500 }, { width: 800, height: 400 }), null)
+    // Square source into a 4:1 banner: full width, a centered quarter-height strip.
+    assert.deepEqual(recropCoverImage({ naturalWidth: 1000, naturalHeight: 1000 }, { width: 500, height: 500 }, { width: 800, height: 200 }), {
+        left: 0,
+        top: 0.375,
+        right: 0,
+        bottom: 0.375,
+    })
+    // An existing off-center crop keeps its focus, clamped to the source.
+    const crop = recropCoverImage(
+        { naturalWidth: 1000, naturalHeight: 1000, crop: { left: 0.6, top: 0, right: 0, bottom: 0.6 } },
+        { width: 400, height: 400 },
+        { width: 400, height: 800 }
+    )
+    assert.deepEqual(crop, { left: 0.6, top: 0, right: 0, bottom: 0.2 })
+    assert.equal(recropCoverImage({}, { width: 1, height: 1 }, { width: 2, height: 1 }), undefined)
+
+    const image = layer('img', { x: 0, y: 0, width: 1000, height: 1000 }, { type: 'image', src: 'a.jpg', naturalWidth: 1000, naturalHeight: 1000 })
+    const out = resizeDocumentWithConstraints({ id: 'd', width: 1000, height: 1000, layers: [image] }, { width: 728, height: 90 })
+    const crop2 = /** @type {any} */ (out.layers[0]).adjustments.crop
+    assert.equal(crop2.left, 0)
+    assert.ok(Math.abs(crop2.top - crop2.bottom) < 0.001)
+})
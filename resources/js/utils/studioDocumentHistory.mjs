@@ -0,0 +1,333 @@
+/**
+ * Studio editor document history (undo / redo / visible history list).
+ *
+ * Entries hold the document *after* the labeled change; entry 0 is the state the editor opened with.
+ * The editor records every committed document change through {@link recordStudioHistory}; rapid edits of the
+ * same kind on the same target (typing, slider drags, nudges) coalesce into one entry.
+ *
+ * @typedef {{ id: string, type: string, name?: string, z?: number, transform?: Record<string, unknown>, [k: string]: unknown }} HistoryLayerLike
+ * @typedef {{ id: string, name?: string, memberIds?: string[], [k: string]: unknown }} HistoryGroupLike
+ * @typedef {{ width: number, height: number, layers: HistoryLayerLike[], groups?: HistoryGroupLike[], updated_at?: string, [k: string]: unknown }} HistoryDocLike
+ *
+ * @typedef {'open' | 'add_layer' | 'delete_layer' | 'replace_layers' | 'group' | 'ungroup' | 'edit_group' | 'z_order'
+ *   | 'move' | 'resize' | 'rotate' | 'text' | 'mask' | 'visibility' | 'lock' | 'rename' | 'style' | 'multi'
+ *   | 'animation' | 'canvas' | 'document' | 'restore' | 'server'} StudioHistoryKind
+ *
+ * @typedef {{ kind: StudioHistoryKind, label: string, coalesceKey: string | null }} StudioHistoryChange
+ *
+ * @typedef {{
+ *   id: number,
+ *   kind: StudioHistoryKind,
+ *   label: string,
+ *   coalesceKey: string | null,
+ *   at: number,
+ *   key: string,
+ *   document: HistoryDocLike,
+ * }} StudioHistoryEntry
+ *
+ * @typedef {{ entries: StudioHistoryEntry[], index: number, nextId: number }} StudioHistoryState
+ */
+
+/** Oldest entries are dropped past this (entry 0 becomes the new baseline). */
+export const STUDIO_HISTORY_MAX_ENTRIES = 100
+
+/** Same-target edits closer together than this merge into the previous entry. */
+export const STUDIO_HISTORY_COALESCE_MS = 800
+
+/**
+ * Comparable serialization — `updated_at` is bumped by every setter and must not count as a change.
+ * @param {HistoryDocLike} doc
+ * @returns {string}
+ */
+export function studioHistoryDocumentKey(doc) {
+    return JSON.stringify({ ...doc, updated_at: undefined })
+}
+
+/**
+ * @param {HistoryDocLike} doc
+ * @param {{ label?: string, now?: number }} [opts]
+ * @returns {StudioHistoryState}
+ */
+export function createStudioHistory(doc, opts = {}) {
+    return {
+        entries: [
+            {
+                id: 0,
+                kind: 'open',
+                label: opts.label ?? 'Opened',
+                coalesceKey: null,
+                at: opts.now ?? Date.now(),
+                key: studioHistoryDocumentKey(doc),
+                document: doc,
+            },
+        ],
+        index: 0,
+        nextId: 1,
+    }
+}
+
+/** @param {StudioHistoryState} state */
+export function canUndoStudioHistory(state) {
+    return state.index > 0
+}
+
+/** @param {StudioHistoryState} state */
+export function canRedoStudioHistory(state) {
+    return state.index < state.entries.length - 1
+}
+
+/**
+ * Record `doc` as the next history step. Returns the same state object when nothing changed.
+ * Recording after an undo discards the redo branch.
+ *
+ * @param {StudioHistoryState} state
+ * @param {HistoryDocLike} doc
+ * @param {{ now?: number, label?: string, kind?: StudioHistoryKind, maxEntries?: number, coalesceMs?: number }} [opts]
+ *   `label` / `kind` override the inferred description (server replaces, version restores); they never coalesce.
+ * @returns {StudioHistoryState}
+ */
+export function recordStudioHistory(state, doc, opts = {}) {
+    const head = state.entries[state.index]
+    const key = studioHistoryDocumentKey(doc)
+    if (head && head.key === key) {
+        return state
+    }
+    const now = opts.now ?? Date.now()
+    const maxEntries = Math.max(2, opts.maxEntries ?? STUDIO_HISTORY_MAX_ENTRIES)
+    const coalesceMs = opts.coalesceMs ?? STUDIO_HISTORY_COALESCE_MS
+    /** @type {StudioHistoryChange} */
+    const change =
+        opts.label != null
+            ? { kind: opts.kind ?? 'document', label: opts.label, coalesceKey: null }
+            : describeStudioDocumentChange(head.document, doc)
+
+    const kept = state.entries.slice(0, state.index + 1)
+    const canCoalesce =
+        state.index > 0 &&
+        change.coalesceKey !== null &&
+        head.coalesceKey === change.coalesceKey &&
+        now - head.at <= coalesceMs
+    if (canCoalesce) {
+        kept[kept.length - 1] = { ...head, at: now, key, document: doc }
+        return { entries: kept, index: kept.length - 1, nextId: state.nextId }
+    }
+    kept.push({
+        id: state.nextId,
+        kind: change.kind,
+        label: change.label,
+        coalesceKey: change.coalesceKey,
+        at: now,
+        key,
+        document: doc,
+    })
+    const overflow = Math.max(0, kept.length - maxEntries)
+    const entries = overflow > 0 ? kept.slice(overflow) : kept
+    return { entries, index: entries.length - 1, nextId: state.nextId + 1 }
+}
+
+/**
+ * Move the cursor to `index` (clamped). The caller applies `entries[index].document`.
+ * @param {StudioHistoryState} state
+ * @param {number} index
+ * @returns {StudioHistoryState}
+ */
+export function jumpStudioHistory(state, index) {
+    const i = Math.max(0, Math.min(state.entries.length - 1, Math.floor(index)))
+    if (i === state.index) {
+        return state
+    }
+    return { ...state, index: i }
+}
+
+/**
+ * Close the coalescing window so the next edit starts a fresh entry (e.g. after blur or gesture end).
+ * @param {StudioHistoryState} state
+ * @returns {StudioHistoryState}
+ */
+export function sealStudioHistory(state) {
+    const head = state.entries[state.index]
+    if (!head || head.coalesceKey === null) {
+        return state
+    }
+    const entries = state.entries.slice()
+    entries[state.index] = { ...head, coalesceKey: null }
+    return { ...state, entries }
+}
+
+const LAYER_TYPE_NOUN = {
+    image: 'image',
+    text: 'text',
+    generative_image: 'AI image',
+    fill: 'fill',
+    mask: 'mask',
+    video: 'video',
+    shape: 'shape',
+}
+
+/** @param {HistoryLayerLike} layer */
+function layerTitle(layer) {
+    const name = typeof layer.name === 'string' ? layer.name.trim() : ''
+    if (name) {
+        return name.length > 32 ? `${name.slice(0, 31)}…` : name
+    }
+    return LAYER_TYPE_NOUN[/** @type {keyof typeof LAYER_TYPE_NOUN} */ (layer.type)] ?? 'layer'
+}
+
+/** @param {unknown} a @param {unknown} b */
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Top-level keys that differ between two layers with the same id.
+ * @param {HistoryLayerLike} a
+ * @param {HistoryLayerLike} b
+ * @returns {string[]}
+ */
+function changedLayerKeys(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+    const out = []
+    for (const k of keys) {
+        if (!same(a[k], b[k])) {
+            out.push(k)
+        }
+    }
+    return out.sort()
+}
+
+/**
+ * @param {Record<string, unknown> | undefined} a
+ * @param {Record<string, unknown> | undefined} b
+ * @returns {'move' | 'resize' | 'rotate'}
+ */
+function transformKind(a, b) {
+    const ta = a ?? {}
+    const tb = b ?? {}
+    if (ta.width !== tb.width || ta.height !== tb.height) {
+        return 'resize'
+    }
+    if (ta.rotation !== tb.rotation) {
+        return 'rotate'
+    }
+    return 'move'
+}
+
+/** @param {number} n @param {string} one */
+function plural(n, one) {
+    return n === 1 ? `1 ${one}` : `${n} ${one}s`
+}
+
+/**
+ * Human-readable label for the change between two documents (for the history list).
+ * @param {HistoryDocLike} prev
+ * @param {HistoryDocLike} next
+ * @returns {StudioHistoryChange}
+ */
+export function describeStudioDocumentChange(prev, next) {
+    const prevById = new Map(prev.layers.map((l) => [l.id, l]))
+    const nextById = new Map(next.layers.map((l) => [l.id, l]))
+    const added = next.layers.filter((l) => !prevById.has(l.id))
+    const removed = prev.layers.filter((l) => !nextById.has(l.id))
+
+    if (added.length > 0 && removed.length > 0) {
+        return { kind: 'replace_layers', label: 'Replace layers', coalesceKey: null }
+    }
+    if (added.length > 0) {
+        const label = added.length === 1 ? `Add ${layerTitle(added[0])}` : `Add ${plural(added.length, 'layer')}`
+        return { kind: 'add_layer', label, coalesceKey: null }
+    }
+    if (removed.length > 0) {
+        const label =
+            removed.length === 1 ? `Delete ${layerTitle(removed[0])}` : `Delete ${plural(removed.length, 'layer')}`
+        return { kind: 'delete_layer', label, coalesceKey: null }
+    }
+
+    const prevGroups = prev.groups ?? []
+    const nextGroups = next.groups ?? []
+    const prevGroupIds = new Set(prevGroups.map((g) => g.id))
+    const nextGroupIds = new Set(nextGroups.map((g) => g.id))
+    if (nextGroups.some((g) => !prevGroupIds.has(g.id))) {
+        return { kind: 'group', label: 'Group layers', coalesceKey: null }
+    }
+    if (prevGroups.some((g) => !nextGroupIds.has(g.id))) {
+        return { kind: 'ungroup', label: 'Ungroup layers', coalesceKey: null }
+    }
+
+    const changed = next.layers.filter((l) => !same(prevById.get(l.id), l))
+    const groupsChanged = !same(prevGroups, nextGroups)
+
+    if (changed.length === 0) {
+        if (groupsChanged) {
+            const g = nextGroups.find((ng) => !same(prevGroups.find((pg) => pg.id === ng.id), ng))
+            const name = g && typeof g.name === 'string' && g.name.trim() ? g.name.trim() : 'group'
+            return { kind: 'edit_group', label: `Edit ${name}`, coalesceKey: g ? `group:${g.id}` : null }
+        }
+        if (prev.width !== next.width || prev.height !== next.height) {
+            return { kind: 'canvas', label: 'Resize canvas', coalesceKey: 'canvas' }
+        }
+        return { kind: 'document', label: 'Edit document', coalesceKey: 'document' }
+    }
+
+    const keysPerLayer = changed.map((l) => changedLayerKeys(/** @type {HistoryLayerLike} */ (prevById.get(l.id)), l))
+    const touched = new Set(keysPerLayer.flat())
+
+    if (touched.size === 1 && touched.has('z')) {
+        return { kind: 'z_order', label: 'Reorder layers', coalesceKey: null }
+    }
+
+    if (changed.length > 1) {
+        if (touched.size === 1 && touched.has('transform')) {
+            const kinds = new Set(
+                changed.map((l) => transformKind(prevById.get(l.id)?.transform, l.transform))
+            )
+            const kind = kinds.size === 1 ? [...kinds][0] : 'move'
+            const verb = kind === 'resize' ? 'Resize' : kind === 'rotate' ? 'Rotate' : 'Move'
+            const ids = changed.map((l) => l.id).sort().join(',')
+            return { kind, label: `${verb} ${plural(changed.length, 'layer')}`, coalesceKey: `${kind}:${ids}` }
+        }
+        const ids = changed.map((l) => l.id).sort().join(',')
+        return {
+            kind: 'multi',
+            label: `Edit ${plural(changed.length, 'layer')}`,
+            coalesceKey: `multi:${ids}:${[...touched].sort().join(',')}`,
+        }
+    }
+
+    const layer = changed[0]
+    const before = /** @type {HistoryLayerLike} */ (prevById.get(layer.id))
+    const keys = keysPerLayer[0]
+    const title = layerTitle(layer)
+    const only = (/** @type {string} */ k) => keys.length === 1 && keys[0] === k
+
+    if (only('transform')) {
+        const kind = transformKind(before.transform, layer.transform)
+        const verb = kind === 'resize' ? 'Resize' : kind === 'rotate' ? 'Rotate' : 'Move'
+        return { kind, label: `${verb} ${title}`, coalesceKey: `${kind}:${layer.id}` }
+    }
+    if (only('visible')) {
+        return {
+            kind: 'visibility',
+            label: `${layer.visible ? 'Show' : 'Hide'} ${title}`,
+            coalesceKey: null,
+        }
+    }
+    if (only('locked')) {
+        return { kind: 'lock', label: `${layer.locked ? 'Lock' : 'Unlock'} ${title}`, coalesceKey: null }
+    }
+    if (only('name')) {
+        return { kind: 'rename', label: `Rename ${layerTitle(before)} → ${title}`, coalesceKey: `rename:${layer.id}` }
+    }
+    if (layer.type === 'text' && keys.includes('content')) {
+        return { kind: 'text', label: `Edit text · ${title}`, coalesceKey: `text:${layer.id}` }
+    }
+    if (layer.type === 'mask') {
+        return { kind: 'mask', label: `Edit mask · ${title}`, coalesceKey: `mask:${layer.id}:${keys.join(',')}` }
+    }
+    if (only('z')) {
+        return { kind: 'z_order', label: `Reorder ${title}`, coalesceKey: null }
+    }
+    if (only('animation')) {
+        return { kind: 'animation', label: `Animate ${title}`, coalesceKey: `animation:${layer.id}` }
+    }
+    return { kind: 'style', label: `Edit ${title}`, coalesceKey: `style:${layer.id}:${keys.join(',')}` }
+}
@@ -0,0 +1,133 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    canRedoStudioHistory,
+    canUndoStudioHistory,
+    createStudioHistory,
+    describeStudioDocumentChange,
+    jumpStudioHistory,
+    recordStudioHistory,
+    sealStudioHistory,
+} from './studioDocumentHistory.mjs'
+
+const t = (x = 0, y = 0, width = 100, height = 50) => ({ x, y, width, height })
+const text = (id, content, extra = {}) => ({
+    id,
+    type: 'text',
+    name: 'Headline',
+    visible: true,
+    locked: false,
+    z: 1,
+    transform: t(),
+    content,
+    style: { fontSize: 40, color: '#000000' },
+    ...extra,
+})
+const fill = (id, extra = {}) => ({
+    id,
+    type: 'fill',
+    visible: true,
+    locked: false,
+    z: 0,
+    transform: t(0, 0, 1080, 1080),
+    color: '#ffffff',
+    ...extra,
+})
+const doc = (layers, groups) => ({ id: 'd', width: 1080, height: 1080, layers, groups, updated_at: 'x' })
+
+test('no entry when only updated_at changes', () => {
+    const a = doc([fill('bg')])
+    const h = createStudioHistory(a, { now: 0 })
+    const h2 = recordStudioHistory(h, { ...a, updated_at: 'y' }, { now: 10 })
+    assert.equal(h2, h)
+    assert.equal(canUndoStudioHistory(h2), false)
+})
+
+test('records labeled steps and supports undo / redo / truncating redo branch', () => {
+    const a = doc([fill('bg')])
+    let h = createStudioHistory(a, { now: 0 })
+    const b = doc([fill('bg'), text('t1', 'Hello')])
+    h = recordStudioHistory(h, b, { now: 5000 })
+    const c = doc([fill('bg', { color: '#ff0000' }), text('t1', 'Hello')])
+    h = recordStudioHistory(h, c, { now: 10000 })
+    assert.deepEqual(
+        h.entries.map((e) => e.label),
+        ['Opened', 'Add Headline', 'Edit fill']
+    )
+    h = jumpStudioHistory(h, h.index - 1)
+    assert.equal(h.entries[h.index].document, b)
+    assert.equal(canRedoStudioHistory(h), true)
+    const d = doc([fill('bg'), text('t1', 'Hello'), fill('f2', { z: 2 })])
+    h = recordStudioHistory(h, d, { now: 20000 })
+    assert.equal(canRedoStudioHistory(h), false)
+    assert.deepEqual(
+        h.entries.map((e) => e.label),
+        ['Opened', 'Add Headline', 'Add fill']
+    )
+})
+
+test('typing in the same text layer coalesces within the window', () => {
+    let h = createStudioHistory(doc([text('t1', 'H')]), { now: 0 })
+    h = recordStudioHistory(h, doc([text('t1', 'He')]), { now: 5000 })
+    h = recordStudioHistory(h, doc([text('t1', 'Hel')]), { now: 5300 })
+    h = recordStudioHistory(h, doc([text('t1', 'Hell')]), { now: 5600 })
+    assert.equal(h.entries.length, 2)
+    assert.equal(h.entries[1].label, 'Edit text · Headline')
+    assert.equal(h.entries[1].document.layers[0].content, 'Hell')
+    h = recordStudioHistory(h, doc([text('t1', 'Hello')]), { now: 9000 })
+    assert.equal(h.entries.length, 3)
+})
+
+test('sealed entries do not coalesce', () => {
+    let h = createStudioHistory(doc([fill('bg')]), { now: 0 })
+    h = recordStudioHistory(h, doc([fill('bg', { transform: t(5, 0, 1080, 1080) })]), { now: 5000 })
+    h = sealStudioHistory(h)
+    h = recordStudioHistory(h, doc([fill('bg', { transform: t(9, 0, 1080, 1080) })]), { now: 5100 })
+    assert.deepEqual(
+        h.entries.map((e) => e.label),
+        ['Opened', 'Move fill', 'Move fill']
+    )
+})
+
+test('explicit label overrides inference and never coalesces', () => {
+    let h = createStudioHistory(doc([fill('bg')]), { now: 0 })
+    h = recordStudioHistory(h, doc([fill('bg', { color: '#111111' })]), { now: 1, label: 'Restore version', kind: 'restore' })
+    h = recordStudioHistory(h, doc([fill('bg', { color: '#222222' })]), { now: 2, label: 'Restore version', kind: 'restore' })
+    assert.equal(h.entries.length, 3)
+    assert.equal(h.entries[2].kind, 'restore')
+})
+
+test('caps entries and keeps the cursor on the newest', () => {
+    let h = createStudioHistory(doc([fill('bg')]), { now: 0 })
+    for (let i = 1; i <= 10; i++) {
+        h = recordStudioHistory(h, doc([fill('bg', { color: `#00000${i % 10}`, name: `n${i}` })]), {
+            now: i * 10000,
+            maxEntries: 4,
+        })
+    }
+    assert.equal(h.entries.length, 4)
+    assert.equal(h.index, 3)
+})
+
+test('describe: group, ungroup, z-order, mask, visibility', () => {
+    const a = doc([fill('a'), fill('b', { z: 1 })])
+    const g = doc([fill('a', { groupId: 'g1' }), fill('b', { z: 1, groupId: 'g1' })], [
+        { id: 'g1', name: 'Group 1', memberIds: ['a', 'b'], locked: false, collapsed: false },
+    ])
+    assert.equal(describeStudioDocumentChange(a, g).kind, 'group')
+    assert.equal(describeStudioDocumentChange(g, a).kind, 'ungroup')
+    const swapped = doc([fill('a', { z: 1 }), fill('b', { z: 0 })])
+    assert.equal(describeStudioDocumentChange(a, swapped).label, 'Reorder layers')
+    const m = { id: 'm', type: 'mask', name: 'Vignette', visible: true, locked: false, z: 2, transform: t(), shape: 'rect', target: 'below_one' }
+    assert.equal(
+        describeStudioDocumentChange(doc([m]), doc([{ ...m, shape: 'ellipse' }])).label,
+        'Edit mask · Vignette'
+    )
+    assert.equal(describeStudioDocumentChange(a, doc([fill('a', { visible: false }), fill('b', { z: 1 })])).label, 'Hide fill')
+    assert.equal(
+        describeStudioDocumentChange(a, doc([fill('a', { transform: t(0, 0, 10, 10) }), fill('b', { z: 1, transform: t(0, 0, 10, 10) })])).label,
+        'Resize 2 layers'
+    )
+    const animated = fill('a', { animation: { tracks: { opacity: [{ at_ms: 0, value: 0 }] } } })
+    assert.equal(describeStudioDocumentChange(doc([fill('a')]), doc([animated])).label, 'Animate fill')
+})
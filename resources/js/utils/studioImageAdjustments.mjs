@@ -0,0 +1,225 @@
+/**
+ * Non-destructive tonal adjustments + crop for Studio `image` layers.
+ *
+ * The adjustment stack lives on the layer (`adjustments`) and is rendered by the shared composition
+ * renderer as a CSS `filter` chain (plus an inline SVG filter for duotone) and a clip box for crop,
+ * so the editor canvas, `CompositionExportRender` and the Playwright capture path all produce the same
+ * pixels from the same document JSON. Nothing here touches the source file.
+ *
+ * @typedef {{ left: number, top: number, right: number, bottom: number }} ImageCropInsets
+ *   Fractions (0–1) of the source removed from each side.
+ * @typedef {{ shadow: string, highlight: string }} ImageDuotone
+ * @typedef {{
+ *   brightness?: number,
+ *   contrast?: number,
+ *   saturation?: number,
+ *   hue?: number,
+ *   blur?: number,
+ *   grayscale?: number,
+ *   duotone?: ImageDuotone | null,
+ *   crop?: ImageCropInsets | null,
+ * }} ImageAdjustmentsLike
+ * @typedef {{ left: number, top: number, width: number, height: number }} PercentRect
+ */
+
+/**
+ * Slider ranges for the numeric adjustments. Brightness / contrast / saturation are relative (−100…100,
+ * 0 = unchanged); hue is degrees; blur is document px (the stage is CSS-scaled, so it stays resolution
+ * independent); grayscale is percent.
+ */
+export const IMAGE_ADJUSTMENT_RANGES = Object.freeze({
+    brightness: Object.freeze({ min: -100, max: 100 }),
+    contrast: Object.freeze({ min: -100, max: 100 }),
+    saturation: Object.freeze({ min: -100, max: 100 }),
+    hue: Object.freeze({ min: -180, max: 180 }),
+    blur: Object.freeze({ min: 0, max: 50 }),
+    grayscale: Object.freeze({ min: 0, max: 100 }),
+})
+
+/** Largest fraction a single crop side may remove; keeps at least 5% of the source visible per axis. */
+export const IMAGE_CROP_MAX_INSET = 0.95
+
+/** @param {unknown} v @param {number} lo @param {number} hi */
+function clampNum(v, lo, hi) {
+    const n = Number(v)
+    if (!Number.isFinite(n)) {
+        return 0
+    }
+    return Math.min(hi, Math.max(lo, n))
+}
+
+/** @param {unknown} v */
+function isHexColor(v) {
+    return typeof v === 'string' && /^#[0-9a-fA-F]{6}$/.test(v.trim())
+}
+
+/**
+ * Clamp crop insets so opposite sides never overlap. Returns `null` when nothing is cropped.
+ * @param {unknown} raw
+ * @returns {ImageCropInsets | null}
+ */
+export function normalizeImageCrop(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return null
+    }
+    const o = /** @type {Record<string, unknown>} */ (raw)
+    let left = clampNum(o.left, 0, IMAGE_CROP_MAX_INSET)
+    let top = clampNum(o.top, 0, IMAGE_CROP_MAX_INSET)
+    let right = clampNum(o.right, 0, IMAGE_CROP_MAX_INSET)
+    let bottom = clampNum(o.bottom, 0, IMAGE_CROP_MAX_INSET)
+    const minKeep = 1 - IMAGE_CROP_MAX_INSET
+    if (left + right > 1 - minKeep) {
+        right = Math.max(0, 1 - minKeep - left)
+    }
+    if (top + bottom > 1 - minKeep) {
+        bottom = Math.max(0, 1 - minKeep - top)
+    }
+    if (left === 0 && top === 0 && right === 0 && bottom === 0) {
+        return null
+    }
+    return { left, top, right, bottom }
+}
+
+/**
+ * Sanitize a persisted adjustment stack (unknown keys dropped, values clamped, neutral values omitted).
+ * Returns `undefined` when the stack is a no-op so documents stay clean.
+ *
+ * @param {unknown} raw
+ * @returns {ImageAdjustmentsLike | undefined}
+ */
+export function normalizeImageAdjustments(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return undefined
+    }
+    const o = /** @type {Record<string, unknown>} */ (raw)
+    /** @type {ImageAdjustmentsLike} */
+    const out = {}
+    for (const key of /** @type {Array<keyof typeof IMAGE_ADJUSTMENT_RANGES>} */ (Object.keys(IMAGE_ADJUSTMENT_RANGES))) {
+        const { min, max } = IMAGE_ADJUSTMENT_RANGES[key]
+        const v = Math.round(clampNum(o[key], min, max))
+        if (v !== 0) {
+            out[key] = v
+        }
+    }
+    const d = o.duotone
+    if (d && typeof d === 'object') {
+        const dd = /** @type {Record<string, unknown>} */ (d)
+        if (isHexColor(dd.shadow) && isHexColor(dd.highlight)) {
+            out.duotone = { shadow: String(dd.shadow).trim(), highlight: String(dd.highlight).trim() }
+        }
+    }
+    const crop = normalizeImageCrop(o.crop)
+    if (crop) {
+        out.crop = crop
+    }
+    return Object.keys(out).length > 0 ? out : undefined
+}
+
+/**
+ * @param {ImageAdjustmentsLike | null | undefined} adj
+ * @returns {boolean}
+ */
+export function hasImageAdjustments(adj) {
+    return normalizeImageAdjustments(adj) !== undefined
+}
+
+/**
+ * CSS `filter` value for the tonal stack. Order is fixed (tone → color → duotone → blur) so every
+ * render path composes the same way. Pass `duotoneFilterId` when an SVG duotone filter is mounted.
+ *
+ * @param {ImageAdjustmentsLike | null | undefined} adj
+ * @param {string | null} [duotoneFilterId]
+ * @returns {string | undefined}
+ */
+export function imageAdjustmentsCssFilter(adj, duotoneFilterId = null) {
+    const a = normalizeImageAdjustments(adj)
+    if (!a) {
+        return undefined
+    }
+    /** @type {string[]} */
+    const parts = []
+    if (a.brightness) parts.push(`brightness(${1 + a.brightness / 100})`)
+    if (a.contrast) parts.push(`contrast(${1 + a.contrast / 100})`)
+    if (a.saturation) parts.push(`saturate(${1 + a.saturation / 100})`)
+    if (a.hue) parts.push(`hue-rotate(${a.hue}deg)`)
+    if (a.grayscale) parts.push(`grayscale(${a.grayscale}%)`)
+    if (a.duotone && duotoneFilterId) parts.push(`url(#${duotoneFilterId})`)
+    if (a.blur) parts.push(`blur(${a.blur}px)`)
+    return parts.length > 0 ? parts.join(' ') : undefined
+}
+
+/** @param {string} hex */
+function hexChannels(hex) {
+    const h = hex.replace('#', '')
+    return [0, 2, 4].map((i) => Math.round((parseInt(h.slice(i, i + 2), 16) / 255) * 1000) / 1000)
+}
+
+/**
+ * `feComponentTransfer` table values mapping luminance 0 → shadow and 1 → highlight per channel.
+ * @param {ImageDuotone} duotone
+ * @returns {{ r: string, g: string, b: string }}
+ */
+export function duotoneTableValues(duotone) {
+    const s = hexChannels(duotone.shadow)
+    const h = hexChannels(duotone.highlight)
+    return { r: `${s[0]} ${h[0]}`, g: `${s[1]} ${h[1]}`, b: `${s[2]} ${h[2]}` }
+}
+
+/** Rec. 709 luminance into every channel (alpha untouched) — the first stage of the duotone filter. */
+export const DUOTONE_LUMINANCE_MATRIX =
+    '0.2126 0.7152 0.0722 0 0 0.2126 0.7152 0.0722 0 0 0.2126 0.7152 0.0722 0 0 0 0 0 1 0'
+
+/**
+ * Layout for a cropped image inside its layer box. `clip` is the visible rect in percent of the layer box
+ * (object-fit applied to the cropped region); `image` is the full source rect in percent of `clip`.
+ * Returns `null` when there is no crop (render with plain object-fit).
+ *
+ * When the source size is unknown the cropped region is assumed to match the box aspect (same as `fill`).
+ *
+ * @param {{
+ *   boxWidth: number,
+ *   boxHeight: number,
+ *   naturalWidth?: number | null,
+ *   naturalHeight?: number | null,
+ *   fit?: 'cover' | 'contain' | 'fill' | null,
+ *   crop?: ImageCropInsets | null,
+ * }} params
+ * @returns {{ clip: PercentRect, image: PercentRect } | null}
+ */
+export function imageCropLayout(params) {
+    const crop = normalizeImageCrop(params.crop)
+    if (!crop) {
+        return null
+    }
+    const bw = Math.max(1, Number(params.boxWidth) || 1)
+    const bh = Math.max(1, Number(params.boxHeight) || 1)
+    const fw = 1 - crop.left - crop.right
+    const fh = 1 - crop.top - crop.bottom
+    const nw = Number(params.naturalWidth) || 0
+    const nh = Number(params.naturalHeight) || 0
+    const fit = params.fit ?? 'cover'
+    let cw = bw
+    let ch = bh
+    if (fit !== 'fill' && nw > 0 && nh > 0) {
+        const srcW = nw * fw
+        const srcH = nh * fh
+        const s = fit === 'contain' ? Math.min(bw / srcW, bh / srcH) : Math.max(bw / srcW, bh / srcH)
+        cw = srcW * s
+        ch = srcH * s
+    }
+    const pct = (/** @type {number} */ n) => Math.round(n * 10000) / 100 || 0
+    return {
+        clip: {
+            left: pct((bw - cw) / 2 / bw),
+            top: pct((bh - ch) / 2 / bh),
+            width: pct(cw / bw),
+            height: pct(ch / bh),
+        },
+        image: {
+            left: pct(-crop.left / fw),
+            top: pct(-crop.top / fh),
+            width: pct(1 / fw),
+            height: pct(1 / fh),
+        },
+    }
+}
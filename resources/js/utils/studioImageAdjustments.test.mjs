@@ -0,0 +1,68 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    duotoneTableValues,
+    hasImageAdjustments,
+    imageAdjustmentsCssFilter,
+    imageCropLayout,
+    normalizeImageAdjustments,
+    normalizeImageCrop,
+} from './studioImageAdjustments.mjs'
+
+test('normalize drops neutral values, clamps ranges and rejects bad duotone colors', () => {
+    assert.equal(normalizeImageAdjustments({ brightness: 0, crop: { left: 0, top: 0, right: 0, bottom: 0 } }), undefined)
+    assert.equal(hasImageAdjustments(undefined), false)
+    assert.deepEqual(normalizeImageAdjustments({ brightness: 250, hue: -400, blur: 3.6, junk: 1 }), {
+        brightness: 100,
+        hue: -180,
+        blur: 4,
+    })
+    assert.equal(normalizeImageAdjustments({ duotone: { shadow: 'red', highlight: '#ffffff' } }), undefined)
+})
+
+test('css filter chain has a fixed order with duotone before blur', () => {
+    const f = imageAdjustmentsCssFilter(
+        { blur: 2, brightness: 10, contrast: -20, saturation: 50, hue: 30, grayscale: 40, duotone: { shadow: '#000000', highlight: '#ff8800' } },
+        'dt-1'
+    )
+    assert.equal(
+        f,
+        'brightness(1.1) contrast(0.8) saturate(1.5) hue-rotate(30deg) grayscale(40%) url(#dt-1) blur(2px)'
+    )
+    assert.equal(imageAdjustmentsCssFilter({ duotone: { shadow: '#000000', highlight: '#ffffff' } }), undefined)
+})
+
+test('duotone table maps shadow → highlight per channel', () => {
+    assert.deepEqual(duotoneTableValues({ shadow: '#000000', highlight: '#ff8000' }), {
+        r: '0 1',
+        g: '0 0.502',
+        b: '0 0',
+    })
+})
+
+test('crop insets never overlap', () => {
+    const c = normalizeImageCrop({ left: 0.6, right: 0.6, top: 0.1 })
+    assert.ok(c)
+    assert.ok(c.left + c.right <= 0.95 + 1e-9)
+    assert.equal(c.bottom, 0)
+})
+
+test('crop layout: fill stretches the cropped region, contain letterboxes it', () => {
+    assert.equal(imageCropLayout({ boxWidth: 100, boxHeight: 100, crop: null }), null)
+    const fill = imageCropLayout({ boxWidth: 200, boxHeight: 100, fit: 'fill', crop: { left: 0.25, right: 0.25, top: 0, bottom: 0 } })
+    assert.deepEqual(fill, {
+        clip: { left: 0, top: 0, width: 100, height: 100 },
+        image: { left: -50, top: 0, width: 200, height: 100 },
+    })
+    // 400×200 source, crop the right half → 200×200 region contained in a 200×100 box → 100×100 centered.
+    const contain = imageCropLayout({
+        boxWidth: 200,
+        boxHeight: 100,
+        naturalWidth: 400,
+        naturalHeight: 200,
+        fit: 'contain',
+        crop: { left: 0, right: 0.5, top: 0, bottom: 0 },
+    })
+    assert.deepEqual(contain?.clip, { left: 25, top: 0, width: 50, height: 100 })
+    assert.deepEqual(contain?.image, { left: 0, top: 0, width: 200, height: 100 })
+})
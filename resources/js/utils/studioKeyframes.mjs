@@ -0,0 +1,275 @@
+/**
+ * Deterministic keyframe animation for Studio layers.
+ *
+ * Stored on any layer as `animation: { tracks: { x?, y?, scale?, rotation?, opacity? } }`. Every value is
+ * relative to the layer's static transform so moving or resizing a layer keeps its motion: `x` / `y` are
+ * document-px offsets, `scale` multiplies around the layer center, `rotation` is degrees added to
+ * `transform.rotation`, `opacity` is 0–1. Sampling is a pure function of the timeline time, so the editor
+ * preview and the frame-stepping export render identical frames.
+ *
+ * A keyframe's `easing` shapes the segment that leaves it (the last keyframe's easing is unused). `hold`
+ * keeps the value until the next keyframe.
+ *
+ * @typedef {'x' | 'y' | 'scale' | 'rotation' | 'opacity'} KeyframeProperty
+ * @typedef {'linear' | 'ease_in' | 'ease_out' | 'ease_in_out' | 'hold'} KeyframeEasing
+ * @typedef {{ at_ms: number, value: number, easing?: KeyframeEasing }} LayerKeyframeLike
+ * @typedef {{ tracks: Partial<Record<KeyframeProperty, LayerKeyframeLike[]>> }} LayerAnimationLike
+ * @typedef {Record<KeyframeProperty, number>} LayerAnimationSample
+ */
+
+/** @type {readonly KeyframeProperty[]} */
+export const KEYFRAME_PROPERTIES = Object.freeze(['x', 'y', 'scale', 'rotation', 'opacity'])
+
+/** @type {readonly KeyframeEasing[]} */
+export const KEYFRAME_EASINGS = Object.freeze(['linear', 'ease_in', 'ease_out', 'ease_in_out', 'hold'])
+
+/** Value of a property with no keyframes (the layer as drawn). */
+export const KEYFRAME_DEFAULTS = Object.freeze({ x: 0, y: 0, scale: 1, rotation: 0, opacity: 1 })
+
+/** Per-track cap; the panel never gets near it, it only bounds hostile payloads. */
+export const KEYFRAMES_PER_TRACK_MAX = 200
+
+const LIMITS = Object.freeze({
+    x: [-100000, 100000],
+    y: [-100000, 100000],
+    scale: [0, 20],
+    rotation: [-3600, 3600],
+    opacity: [0, 1],
+})
+
+/** CSS cubic-bezier control points for the named curves. */
+const BEZIERS = Object.freeze({
+    ease_in: [0.42, 0, 1, 1],
+    ease_out: [0, 0, 0.58, 1],
+    ease_in_out: [0.42, 0, 0.58, 1],
+})
+
+/**
+ * Solve a CSS `cubic-bezier(x1, y1, x2, y2)` for progress `t` (0–1). Bisection on x keeps it exact enough
+ * for rendering and free of Newton edge cases.
+ * @param {number[]} curve
+ * @param {number} t
+ */
+function cubicBezierAt(curve, t) {
+    const [x1, y1, x2, y2] = curve
+    const axis = (/** @type {number} */ a, /** @type {number} */ b, /** @type {number} */ s) =>
+        3 * a * s * (1 - s) ** 2 + 3 * b * s ** 2 * (1 - s) + s ** 3
+    let lo = 0
+    let hi = 1
+    let s = t
+    for (let i = 0; i < 40; i++) {
+        const x = axis(x1, x2, s)
+        if (Math.abs(x - t) < 1e-7) {
+            break
+        }
+        if (x < t) {
+            lo = s
+        } else {
+            hi = s
+        }
+        s = (lo + hi) / 2
+    }
+    return axis(y1, y2, s)
+}
+
+/**
+ * Eased progress for `t` in 0–1.
+ * @param {KeyframeEasing | undefined} easing
+ * @param {number} t
+ */
+export function easeKeyframeProgress(easing, t) {
+    const p = Math.min(1, Math.max(0, t))
+    if (easing === 'hold') {
+        return p >= 1 ? 1 : 0
+    }
+    const curve = easing ? BEZIERS[/** @type {keyof typeof BEZIERS} */ (easing)] : undefined
+    return curve ? cubicBezierAt(curve, p) : p
+}
+
+/**
+ * Sanitize one track: drops junk, clamps values, sorts by time and keeps the last keyframe per instant.
+ * @param {KeyframeProperty} prop
+ * @param {unknown} raw
+ * @returns {LayerKeyframeLike[]}
+ */
+function normalizeTrack(prop, raw) {
+    if (!Array.isArray(raw)) {
+        return []
+    }
+    const [lo, hi] = LIMITS[prop]
+    /** @type {Map<number, LayerKeyframeLike>} */
+    const byTime = new Map()
+    for (const k of raw.slice(0, KEYFRAMES_PER_TRACK_MAX)) {
+        if (!k || typeof k !== 'object') {
+            continue
+        }
+        const o = /** @type {Record<string, unknown>} */ (k)
+        const at = Number(o.at_ms)
+        const value = Number(o.value)
+        if (!Number.isFinite(at) || !Number.isFinite(value)) {
+            continue
+        }
+        const atMs = Math.max(0, Math.round(at))
+        /** @type {LayerKeyframeLike} */
+        const kf = { at_ms: atMs, value: Math.min(hi, Math.max(lo, value)) }
+        if (typeof o.easing === 'string' && KEYFRAME_EASINGS.includes(/** @type {KeyframeEasing} */ (o.easing))) {
+            kf.easing = /** @type {KeyframeEasing} */ (o.easing)
+        }
+        byTime.set(atMs, kf)
+    }
+    return [...byTime.values()].sort((a, b) => a.at_ms - b.at_ms)
+}
+
+/**
+ * Sanitized animation, or `undefined` when no track has keyframes (callers drop the field).
+ * @param {unknown} raw
+ * @returns {LayerAnimationLike | undefined}
+ */
+export function normalizeLayerAnimation(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return undefined
+    }
+    const tracksRaw = /** @type {Record<string, unknown>} */ (raw).tracks
+    if (!tracksRaw || typeof tracksRaw !== 'object') {
+        return undefined
+    }
+    /** @type {LayerAnimationLike['tracks']} */
+    const tracks = {}
+    for (const prop of KEYFRAME_PROPERTIES) {
+        const track = normalizeTrack(prop, /** @type {Record<string, unknown>} */ (tracksRaw)[prop])
+        if (track.length > 0) {
+            tracks[prop] = track
+        }
+    }
+    return Object.keys(tracks).length > 0 ? { tracks } : undefined
+}
+
+/** @param {unknown} raw */
+export function hasLayerAnimation(raw) {
+    return normalizeLayerAnimation(raw) !== undefined
+}
+
+/**
+ * Value of one (sorted) track at `timeMs`; holds the first / last value outside the keyed range.
+ * @param {LayerKeyframeLike[] | undefined} track
+ * @param {number} timeMs
+ * @param {number} fallback
+ */
+export function sampleKeyframeTrack(track, timeMs, fallback) {
+    if (!track || track.length === 0) {
+        return fallback
+    }
+    if (timeMs <= track[0].at_ms) {
+        return track[0].value
+    }
+    const last = track[track.length - 1]
+    if (timeMs >= last.at_ms) {
+        return last.value
+    }
+    let i = 0
+    while (i < track.length - 2 && track[i + 1].at_ms <= timeMs) {
+        i++
+    }
+    const a = track[i]
+    const b = track[i + 1]
+    const span = b.at_ms - a.at_ms
+    const p = easeKeyframeProgress(a.easing, span > 0 ? (timeMs - a.at_ms) / span : 1)
+    return a.value + (b.value - a.value) * p
+}
+
+/**
+ * Every property at `timeMs` (defaults for untracked ones).
+ * @param {unknown} animation
+ * @param {number} timeMs
+ * @returns {LayerAnimationSample}
+ */
+export function sampleLayerAnimation(animation, timeMs) {
+    const a = normalizeLayerAnimation(animation)
+    /** @type {LayerAnimationSample} */
+    const out = { ...KEYFRAME_DEFAULTS }
+    if (!a) {
+        return out
+    }
+    for (const prop of KEYFRAME_PROPERTIES) {
+        out[prop] = sampleKeyframeTrack(a.tracks[prop], timeMs, KEYFRAME_DEFAULTS[prop])
+    }
+    return out
+}
+
+/**
+ * CSS for the layer wrapper: `translate` → `rotate` → `scale`, all around the box center.
+ * @param {LayerAnimationSample} sample
+ * @param {number} baseRotationDeg `transform.rotation` of the layer
+ * @returns {{ transform: string | undefined, opacity: number | undefined }}
+ */
+export function layerAnimationCss(sample, baseRotationDeg) {
+    const parts = []
+    if (sample.x !== 0 || sample.y !== 0) {
+        parts.push(`translate(${sample.x}px, ${sample.y}px)`)
+    }
+    const rot = (baseRotationDeg || 0) + sample.rotation
+    if (rot !== 0) {
+        parts.push(`rotate(${rot}deg)`)
+    }
+    if (sample.scale !== 1) {
+        parts.push(`scale(${sample.scale})`)
+    }
+    return {
+        transform: parts.length > 0 ? parts.join(' ') : undefined,
+        opacity: sample.opacity !== 1 ? sample.opacity : undefined,
+    }
+}
+
+/**
+ * Add or replace the keyframe at `atMs` on one track. Returns a new animation.
+ * @param {unknown} animation
+ * @param {KeyframeProperty} prop
+ * @param {number} atMs
+ * @param {number} value
+ * @param {KeyframeEasing} [easing]
+ * @returns {LayerAnimationLike}
+ */
+export function upsertKeyframe(animation, prop, atMs, value, easing) {
+    const a = normalizeLayerAnimation(animation) ?? { tracks: {} }
+    const at = Math.max(0, Math.round(atMs))
+    const existing = (a.tracks[prop] ?? []).find((k) => k.at_ms === at)
+    /** @type {LayerKeyframeLike} */
+    const kf = { at_ms: at, value }
+    const nextEasing = easing ?? existing?.easing
+    if (nextEasing) {
+        kf.easing = nextEasing
+    }
+    const track = [...(a.tracks[prop] ?? []).filter((k) => k.at_ms !== at), kf]
+    return /** @type {LayerAnimationLike} */ (normalizeLayerAnimation({ tracks: { ...a.tracks, [prop]: track } }))
+}
+
+/**
+ * Drop the keyframe at `atMs`; `undefined` when nothing is left.
+ * @param {unknown} animation
+ * @param {KeyframeProperty} prop
+ * @param {number} atMs
+ * @returns {LayerAnimationLike | undefined}
+ */
+export function removeKeyframe(animation, prop, atMs) {
+    const a = normalizeLayerAnimation(animation)
+    if (!a) {
+        return undefined
+    }
+    const track = (a.tracks[prop] ?? []).filter((k) => k.at_ms !== Math.round(atMs))
+    return normalizeLayerAnimation({ tracks: { ...a.tracks, [prop]: track } })
+}
+
+/**
+ * Time of the last keyframe across all layers (0 when nothing is animated).
+ * @param {Array<{ animation?: unknown }>} layers
+ */
+export function animationEndMs(layers) {
+    let end = 0
+    for (const layer of layers) {
+        const a = normalizeLayerAnimation(layer.animation)
+        for (const track of Object.values(a?.tracks ?? {})) {
+            end = Math.max(end, track[track.length - 1].at_ms)
+        }
+    }
+    return end
+}
@@ -0,0 +1,97 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    animationEndMs,
+    easeKeyframeProgress,
+    layerAnimationCss,
+    normalizeLayerAnimation,
+    removeKeyframe,
+    sampleKeyframeTrack,
+    sampleLayerAnimation,
+    upsertKeyframe,
+} from './studioKeyframes.mjs'
+
+test('normalize sorts, clamps, dedupes instants and drops empty tracks', () => {
+    const a = normalizeLayerAnimation({
+        tracks: {
+            opacity: [
+                { at_ms: 1000, value: 3 },
+                { at_ms: 0, value: 0, easing: 'ease_out' },
+                { at_ms: 1000, value: 0.5, easing: 'bounce' },
+                { at_ms: 'x', value: 1 },
+            ],
+            scale: [],
+            skew: [{ at_ms: 0, value: 1 }],
+        },
+    })
+    assert.deepEqual(a, {
+        tracks: {
+            opacity: [
+                { at_ms: 0, value: 0, easing: 'ease_out' },
+                { at_ms: 1000, value: 0.5 },
+            ],
+        },
+    })
+    assert.equal(normalizeLayerAnimation({ tracks: { x: [] } }), undefined)
+    assert.equal(normalizeLayerAnimation(null), undefined)
+})
+
+test('tracks hold outside the keyed range and interpolate between keys', () => {
+    const track = [
+        { at_ms: 500, value: 10 },
+        { at_ms: 1500, value: 30, easing: 'hold' },
+        { at_ms: 2500, value: 0 },
+    ]
+    assert.equal(sampleKeyframeTrack(track, 0, 99), 10)
+    assert.equal(sampleKeyframeTrack(track, 1000, 99), 20)
+    assert.equal(sampleKeyframeTrack(track, 2499, 99), 30)
+    assert.equal(sampleKeyframeTrack(track, 2500, 99), 0)
+    assert.equal(sampleKeyframeTrack(track, 9000, 99), 0)
+    assert.equal(sampleKeyframeTrack(undefined, 100, 99), 99)
+})
+
+test('easings follow the CSS curves', () => {
+    assert.equal(easeKeyframeProgress('linear', 0.25), 0.25)
+    assert.equal(easeKeyframeProgress('ease_in', 0), 0)
+    assert.equal(easeKeyframeProgress('ease_in', 1), 1)
+    assert.ok(easeKeyframeProgress('ease_in', 0.5) < 0.5)
+    assert.ok(easeKeyframeProgress('ease_out', 0.5) > 0.5)
+    assert.ok(Math.abs(easeKeyframeProgress('ease_in_out', 0.5) - 0.5) < 1e-4)
+    assert.equal(easeKeyframeProgress('hold', 0.99), 0)
+})
+
+test('samples map to wrapper CSS around the static rotation', () => {
+    const animation = {
+        tracks: {
+            x: [
+                { at_ms: 0, value: -200 },
+                { at_ms: 1000, value: 0 },
+            ],
+            opacity: [
+                { at_ms: 0, value: 0 },
+                { at_ms: 1000, value: 1 },
+            ],
+        },
+    }
+    const mid = sampleLayerAnimation(animation, 500)
+    assert.deepEqual(mid, { x: -100, y: 0, scale: 1, rotation: 0, opacity: 0.5 })
+    assert.deepEqual(layerAnimationCss(mid, 15), { transform: 'translate(-100px, 0px) rotate(15deg)', opacity: 0.5 })
+    assert.deepEqual(layerAnimationCss(sampleLayerAnimation(animation, 1000), 0), {
+        transform: undefined,
+        opacity: undefined,
+    })
+})
+
+test('upsert keeps easing, remove clears empty animations, end spans all layers', () => {
+    let a = upsertKeyframe(undefined, 'scale', 0, 0.5, 'ease_out')
+    a = upsertKeyframe(a, 'scale', 0, 0.8)
+    a = upsertKeyframe(a, 'scale', 1200.4, 1)
+    assert.deepEqual(a.tracks.scale, [
+        { at_ms: 0, value: 0.8, easing: 'ease_out' },
+        { at_ms: 1200, value: 1 },
+    ])
+    assert.equal(animationEndMs([{ animation: a }, {}, { animation: { tracks: { y: [{ at_ms: 3000, value: 4 }] } } }]), 3000)
+    const once = removeKeyframe(a, 'scale', 0)
+    assert.deepEqual(once?.tracks.scale, [{ at_ms: 1200, value: 1 }])
+    assert.equal(removeKeyframe(once, 'scale', 1200), undefined)
+})
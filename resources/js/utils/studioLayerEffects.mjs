@@ -0,0 +1,224 @@
+/**
+ * Layer effects (drop shadow, outer glow, inner shadow) for Studio `text` and `fill` layers.
+ *
+ * Stored on the layer as `effects`; the shared composition renderer draws fills with CSS `box-shadow`
+ * (honors border radius, spread and inset) and text with an inline SVG filter built from the glyph alpha,
+ * since `text-shadow` has neither spread nor inset. Blur follows CSS semantics everywhere: a blur of B px
+ * is a Gaussian with σ = B / 2, so both paths match visually.
+ *
+ * @typedef {'dropShadow' | 'outerGlow' | 'innerShadow'} LayerEffectKind
+ * @typedef {{
+ *   enabled: boolean,
+ *   color: string,
+ *   opacity: number,
+ *   offsetX: number,
+ *   offsetY: number,
+ *   blur: number,
+ *   spread: number,
+ * }} LayerShadowEffect
+ * @typedef {Partial<Record<LayerEffectKind, LayerShadowEffect>>} LayerEffectsLike
+ * @typedef {{ type: string, attrs: Record<string, string | number>, children?: SvgFilterPrimitive[] }} SvgFilterPrimitive
+ *   Element name + React-cased SVG attributes, ready for `createElement`.
+ */
+
+/** @type {readonly LayerEffectKind[]} */
+export const LAYER_EFFECT_KINDS = Object.freeze(['dropShadow', 'outerGlow', 'innerShadow'])
+
+/** Starting values when an effect is first switched on. */
+export const LAYER_EFFECT_DEFAULTS = Object.freeze({
+    dropShadow: Object.freeze({ enabled: true, color: '#000000', opacity: 0.45, offsetX: 0, offsetY: 6, blur: 16, spread: 0 }),
+    outerGlow: Object.freeze({ enabled: true, color: '#ffffff', opacity: 0.8, offsetX: 0, offsetY: 0, blur: 20, spread: 2 }),
+    innerShadow: Object.freeze({ enabled: true, color: '#000000', opacity: 0.5, offsetX: 0, offsetY: 2, blur: 6, spread: 0 }),
+})
+
+/** Slider limits shared by the panel and {@link normalizeLayerEffect}. Offsets / blur / spread are document px. */
+export const LAYER_EFFECT_LIMITS = Object.freeze({
+    offset: 100,
+    blur: 100,
+    spread: 50,
+})
+
+/** @param {unknown} v @param {number} lo @param {number} hi @param {number} fallback */
+function clampNum(v, lo, hi, fallback) {
+    const n = Number(v)
+    if (!Number.isFinite(n)) {
+        return fallback
+    }
+    return Math.min(hi, Math.max(lo, n))
+}
+
+/**
+ * Sanitize one effect. Glow is always centered (offsets forced to 0). Returns `null` for junk input.
+ * @param {LayerEffectKind} kind
+ * @param {unknown} raw
+ * @returns {LayerShadowEffect | null}
+ */
+export function normalizeLayerEffect(kind, raw) {
+    if (!raw || typeof raw !== 'object') {
+        return null
+    }
+    const o = /** @type {Record<string, unknown>} */ (raw)
+    const d = LAYER_EFFECT_DEFAULTS[kind]
+    const color = typeof o.color === 'string' && /^#[0-9a-fA-F]{6}$/.test(o.color.trim()) ? o.color.trim() : d.color
+    const centered = kind === 'outerGlow'
+    return {
+        enabled: o.enabled !== false,
+        color,
+        opacity: clampNum(o.opacity, 0, 1, d.opacity),
+        offsetX: centered ? 0 : clampNum(o.offsetX, -LAYER_EFFECT_LIMITS.offset, LAYER_EFFECT_LIMITS.offset, d.offsetX),
+        offsetY: centered ? 0 : clampNum(o.offsetY, -LAYER_EFFECT_LIMITS.offset, LAYER_EFFECT_LIMITS.offset, d.offsetY),
+        blur: clampNum(o.blur, 0, LAYER_EFFECT_LIMITS.blur, d.blur),
+        spread: clampNum(o.spread, 0, LAYER_EFFECT_LIMITS.spread, d.spread),
+    }
+}
+
+/**
+ * Enabled, sanitized effects only (disabled entries keep their settings in the document but don't render).
+ * @param {unknown} effects
+ * @returns {LayerEffectsLike}
+ */
+export function activeLayerEffects(effects) {
+    /** @type {LayerEffectsLike} */
+    const out = {}
+    if (!effects || typeof effects !== 'object') {
+        return out
+    }
+    const o = /** @type {Record<string, unknown>} */ (effects)
+    for (const kind of LAYER_EFFECT_KINDS) {
+        const e = normalizeLayerEffect(kind, o[kind])
+        if (e && e.enabled && e.opacity > 0) {
+            out[kind] = e
+        }
+    }
+    return out
+}
+
+/** @param {unknown} effects */
+export function hasActiveLayerEffects(effects) {
+    return Object.keys(activeLayerEffects(effects)).length > 0
+}
+
+/**
+ * True when something paints outside the layer box (drop shadow / glow) — the scene must not clip it.
+ * @param {unknown} effects
+ */
+export function hasOuterLayerEffects(effects) {
+    const a = activeLayerEffects(effects)
+    return Boolean(a.dropShadow || a.outerGlow)
+}
+
+/**
+ * @param {string} hex `#rrggbb`
+ * @param {number} opacity 0–1
+ */
+export function effectColorRgba(hex, opacity) {
+    const n = parseInt(hex.replace('#', ''), 16)
+    const a = Math.round(Math.min(1, Math.max(0, opacity)) * 1000) / 1000
+    return `rgba(${(n >> 16) & 0xff}, ${(n >> 8) & 0xff}, ${n & 0xff}, ${a})`
+}
+
+/**
+ * CSS `box-shadow` for fill layers (inner shadow last so it stacks on top of the fill).
+ * @param {unknown} effects
+ * @returns {string | undefined}
+ */
+export function layerEffectsBoxShadow(effects) {
+    const a = activeLayerEffects(effects)
+    /** @type {string[]} */
+    const parts = []
+    if (a.dropShadow) {
+        const e = a.dropShadow
+        parts.push(`${e.offsetX}px ${e.offsetY}px ${e.blur}px ${e.spread}px ${effectColorRgba(e.color, e.opacity)}`)
+    }
+    if (a.outerGlow) {
+        const e = a.outerGlow
+        parts.push(`0px 0px ${e.blur}px ${e.spread}px ${effectColorRgba(e.color, e.opacity)}`)
+    }
+    if (a.innerShadow) {
+        const e = a.innerShadow
+        parts.push(`inset ${e.offsetX}px ${e.offsetY}px ${e.blur}px ${e.spread}px ${effectColorRgba(e.color, e.opacity)}`)
+    }
+    return parts.length > 0 ? parts.join(', ') : undefined
+}
+
+/**
+ * @param {LayerShadowEffect} e
+ * @param {string} input
+ * @param {string} prefix
+ * @returns {SvgFilterPrimitive[]}
+ */
+function shapeShadowPrimitives(e, input, prefix) {
+    /** @type {SvgFilterPrimitive[]} */
+    const out = []
+    let src = input
+    if (e.offsetX !== 0 || e.offsetY !== 0) {
+        out.push({ type: 'feOffset', attrs: { in: src, dx: e.offsetX, dy: e.offsetY, result: `${prefix}Offset` } })
+        src = `${prefix}Offset`
+    }
+    if (e.spread > 0) {
+        out.push({ type: 'feMorphology', attrs: { in: src, operator: 'dilate', radius: e.spread, result: `${prefix}Spread` } })
+        src = `${prefix}Spread`
+    }
+    out.push({ type: 'feGaussianBlur', attrs: { in: src, stdDeviation: e.blur / 2, result: `${prefix}Blur` } })
+    out.push({ type: 'feFlood', attrs: { floodColor: e.color, floodOpacity: e.opacity, result: `${prefix}Color` } })
+    out.push({ type: 'feComposite', attrs: { in: `${prefix}Color`, in2: `${prefix}Blur`, operator: 'in', result: prefix } })
+    return out
+}
+
+/**
+ * SVG filter for text layers, driven by `SourceAlpha` so it follows glyph outlines. `region` is the filter
+ * region in objectBoundingBox fractions, padded so offsets + blur + spread are never cropped.
+ *
+ * @param {unknown} effects
+ * @param {number} width layer box width (document px)
+ * @param {number} height layer box height (document px)
+ * @returns {{ region: { x: number, y: number, width: number, height: number }, primitives: SvgFilterPrimitive[] } | null}
+ */
+export function layerEffectsSvgFilter(effects, width, height) {
+    const a = activeLayerEffects(effects)
+    if (!a.dropShadow && !a.outerGlow && !a.innerShadow) {
+        return null
+    }
+    /** @type {SvgFilterPrimitive[]} */
+    const primitives = []
+    /** @type {string[]} */
+    const below = []
+    let pad = 0
+    if (a.dropShadow) {
+        primitives.push(...shapeShadowPrimitives(a.dropShadow, 'SourceAlpha', 'drop'))
+        below.push('drop')
+        pad = Math.max(pad, Math.max(Math.abs(a.dropShadow.offsetX), Math.abs(a.dropShadow.offsetY)) + a.dropShadow.blur * 1.5 + a.dropShadow.spread)
+    }
+    if (a.outerGlow) {
+        primitives.push(...shapeShadowPrimitives(a.outerGlow, 'SourceAlpha', 'glow'))
+        below.push('glow')
+        pad = Math.max(pad, a.outerGlow.blur * 1.5 + a.outerGlow.spread)
+    }
+    /** @type {string[]} */
+    const merge = [...below, 'SourceGraphic']
+    if (a.innerShadow) {
+        // Shadow of the inverted alpha (the "hole" around the glyphs), kept only where the glyphs are.
+        primitives.push({
+            type: 'feComponentTransfer',
+            attrs: { in: 'SourceAlpha', result: 'innerInverse' },
+            children: [{ type: 'feFuncA', attrs: { type: 'table', tableValues: '1 0' } }],
+        })
+        primitives.push(...shapeShadowPrimitives(a.innerShadow, 'innerInverse', 'innerRaw'))
+        primitives.push({ type: 'feComposite', attrs: { in: 'innerRaw', in2: 'SourceAlpha', operator: 'in', result: 'inner' } })
+        merge.push('inner')
+    }
+    primitives.push({
+        type: 'feMerge',
+        attrs: {},
+        children: merge.map((n) => ({ type: 'feMergeNode', attrs: { in: n } })),
+    })
+    const w = Math.max(1, Number(width) || 1)
+    const h = Math.max(1, Number(height) || 1)
+    const px = Math.ceil(pad + 2) / w
+    const py = Math.ceil(pad + 2) / h
+    const r = (/** @type {number} */ n) => Math.round(n * 10000) / 10000
+    return {
+        region: { x: r(-px), y: r(-py), width: r(1 + px * 2), height: r(1 + py * 2) },
+        primitives,
+    }
+}
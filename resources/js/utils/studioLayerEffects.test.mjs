@@ -0,0 +1,62 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    activeLayerEffects,
+    effectColorRgba,
+    hasOuterLayerEffects,
+    layerEffectsBoxShadow,
+    layerEffectsSvgFilter,
+    normalizeLayerEffect,
+} from './studioLayerEffects.mjs'
+
+test('normalize clamps values, centers glow and falls back on bad colors', () => {
+    const glow = normalizeLayerEffect('outerGlow', { color: 'white', offsetX: 40, blur: 500, opacity: 2 })
+    assert.deepEqual(glow, { enabled: true, color: '#ffffff', opacity: 1, offsetX: 0, offsetY: 0, blur: 100, spread: 2 })
+    assert.equal(normalizeLayerEffect('dropShadow', null), null)
+})
+
+test('disabled or fully transparent effects are inactive', () => {
+    const a = activeLayerEffects({
+        dropShadow: { enabled: false, color: '#000000', opacity: 0.5 },
+        outerGlow: { color: '#ffffff', opacity: 0 },
+        innerShadow: { color: '#000000', opacity: 0.4 },
+    })
+    assert.deepEqual(Object.keys(a), ['innerShadow'])
+    assert.equal(hasOuterLayerEffects({ innerShadow: { color: '#000000', opacity: 0.4 } }), false)
+    assert.equal(hasOuterLayerEffects({ outerGlow: { color: '#ffffff', opacity: 0.4 } }), true)
+})
+
+test('box-shadow stacks drop, glow, then inset', () => {
+    assert.equal(effectColorRgba('#ff8000', 0.5), 'rgba(255, 128, 0, 0.5)')
+    assert.equal(
+        layerEffectsBoxShadow({
+            innerShadow: { color: '#000000', opacity: 0.5, offsetX: 0, offsetY: 2, blur: 6, spread: 1 },
+            dropShadow: { color: '#000000', opacity: 0.25, offsetX: 4, offsetY: 8, blur: 12, spread: 0 },
+        }),
+        '4px 8px 12px 0px rgba(0, 0, 0, 0.25), inset 0px 2px 6px 1px rgba(0, 0, 0, 0.5)'
+    )
+    assert.equal(layerEffectsBoxShadow({}), undefined)
+})
+
+test('svg filter merges shadows under the source and inner shadow on top, with padded region', () => {
+    assert.equal(layerEffectsSvgFilter(undefined, 100, 100), null)
+    const f = layerEffectsSvgFilter(
+        {
+            dropShadow: { color: '#000000', opacity: 0.5, offsetX: 0, offsetY: 10, blur: 20, spread: 0 },
+            innerShadow: { color: '#000000', opacity: 0.5, offsetX: 0, offsetY: 2, blur: 4, spread: 0 },
+        },
+        200,
+        100
+    )
+    assert.ok(f)
+    const merge = f.primitives[f.primitives.length - 1]
+    assert.equal(merge.type, 'feMerge')
+    assert.deepEqual(
+        merge.children?.map((c) => c.attrs.in),
+        ['drop', 'SourceGraphic', 'inner']
+    )
+    const blur = f.primitives.find((p) => p.type === 'feGaussianBlur')
+    assert.equal(blur?.attrs.stdDeviation, 10)
+    // pad = 10 + 20 * 1.5 = 40 (+2) → 42px on each side
+    assert.deepEqual(f.region, { x: -0.21, y: -0.42, width: 1.42, height: 1.84 })
+})
@@ -0,0 +1,434 @@
+/**
+ * Localization of Studio compositions: per-locale strings on text layers, CSV / XLIFF round trips, the
+ * right-to-left switch, and a fit check for translated copy.
+ *
+ * Storage: `doc.localization = { sourceLocale, locales }` lists the markets; each translatable text layer
+ * keeps `translations[locale]` next to its source `content`. A locale version of the composition (a creative
+ * set variant with a `locale` axis) is the source document passed through {@link applyLocale}; the server
+ * mirror is `App\Support\StudioCompositionLocalizer`.
+ */
+import { listArtboards } from './studioArtboards.mjs'
+
+/**
+ * @typedef {{ id: string, type: string, name?: string, z: number, content?: string, translations?: Record<string, string>, translatable?: boolean, style?: Record<string, any>, [key: string]: any }} LayerLike
+ * @typedef {{ width: number, height: number, layers: LayerLike[], localization?: { sourceLocale: string, locales: string[] }, locale?: string, artboards?: any[], [key: string]: any }} DocumentLike
+ * @typedef {{ id: string, name: string, source: string, translations: Record<string, string> }} TranslationRow
+ * @typedef {{ layerId: string, layerName: string, locale: string, kind: 'missing' | 'overflow' | 'shrinks', fontSize: number, fittedSize: number }} LocaleFitIssue
+ */
+
+/** Languages written right to left (ISO 639 primary subtags). */
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ks', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'])
+
+/** Fitted sizes within this many px of the reference count as fitting (probe rounding). */
+const FIT_TOLERANCE_PX = 0.5
+
+/**
+ * `de_de` → `de-DE`, `zh-hant-tw` → `zh-Hant-TW`. Returns null for anything that isn't a language tag.
+ * @param {string} raw
+ * @returns {string | null}
+ */
+export function normalizeLocale(raw) {
+    const parts = String(raw ?? '').trim().split(/[-_]/).filter(Boolean)
+    if (parts.length === 0 || !/^[a-z]{2,3}$/i.test(parts[0])) return null
+    const out = [parts[0].toLowerCase()]
+    for (const p of parts.slice(1)) {
+        if (/^[a-z]{4}$/i.test(p)) out.push(p.charAt(0).toUpperCase() + p.slice(1).toLowerCase())
+        else if (/^([a-z]{2}|\d{3})$/i.test(p)) out.push(p.toUpperCase())
+        else return null
+    }
+    return out.join('-')
+}
+
+/**
+ * @param {string | null | undefined} locale
+ * @returns {'ltr' | 'rtl'}
+ */
+export function localeDirection(locale) {
+    const tag = normalizeLocale(locale ?? '')
+    if (!tag) return 'ltr'
+    const [lang, ...rest] = tag.split('-')
+    const script = rest.find((p) => p.length === 4)
+    if (script) return script === 'Arab' || script === 'Hebr' || script === 'Thaa' || script === 'Syrc' ? 'rtl' : 'ltr'
+    return RTL_LANGUAGES.has(lang) ? 'rtl' : 'ltr'
+}
+
+/**
+ * Text layers that take part in localization, across every artboard, bottom to top per board.
+ * `includeExcluded` also lists the do-not-translate ones (for the translations grid).
+ * @param {DocumentLike} doc
+ * @param {{ includeExcluded?: boolean }} [options]
+ * @returns {LayerLike[]}
+ */
+export function translatableTextLayers(doc, { includeExcluded = false } = {}) {
+    return listArtboards(doc).flatMap((b) =>
+        [...b.layers]
+            .sort((x, y) => x.z - y.z)
+            .filter((l) => l.type === 'text' && (includeExcluded || l.translatable !== false) && (l.content ?? '').trim() !== '')
+    )
+}
+
+/**
+ * Mark a text layer (on any artboard) as do-not-translate, or back.
+ * @param {DocumentLike} doc
+ * @param {string} layerId
+ * @param {boolean} translatable
+ * @returns {DocumentLike}
+ */
+export function setTranslatable(doc, layerId, translatable) {
+    return mapLayers(doc, (l) => {
+        if (l.id !== layerId || l.type !== 'text') return l
+        const { translatable: _flag, ...rest } = l
+        return translatable ? rest : { ...rest, translatable: false }
+    })
+}
+
+/**
+ * @param {DocumentLike} doc
+ * @param {(layer: LayerLike) => LayerLike} fn
+ * @returns {DocumentLike}
+ */
+function mapLayers(doc, fn) {
+    const out = { ...doc, layers: doc.layers.map(fn) }
+    if (doc.artboards) out.artboards = doc.artboards.map((b) => (b.layers?.length ? { ...b, layers: b.layers.map(fn) } : b))
+    return out
+}
+
+/**
+ * @param {DocumentLike} doc
+ * @returns {TranslationRow[]}
+ */
+export function translationRows(doc) {
+    return translatableTextLayers(doc).map((l) => ({
+        id: l.id,
+        name: l.name || 'Text',
+        source: l.content ?? '',
+        translations: { ...(l.translations ?? {}) },
+    }))
+}
+
+/**
+ * Merge translations into the document's text layers (every artboard). Empty strings clear a translation;
+ * unknown layer ids are reported, not created.
+ * @param {DocumentLike} doc
+ * @param {{ id: string, locale: string, text: string }[]} entries
+ * @returns {{ doc: DocumentLike, updated: number, unknownIds: string[] }}
+ */
+export function setTranslations(doc, entries) {
+    /** @type {Map<string, Map<string, string>>} */
+    const byLayer = new Map()
+    for (const e of entries) {
+        const locale = normalizeLocale(e.locale)
+        if (!locale) continue
+        const forLayer = byLayer.get(e.id) ?? new Map()
+        forLayer.set(locale, e.text)
+        byLayer.set(e.id, forLayer)
+    }
+
+    const known = new Set()
+    let updated = 0
+    const out = mapLayers(doc, (l) => {
+        const next = l.type === 'text' ? byLayer.get(l.id) : undefined
+        if (!next) return l
+        known.add(l.id)
+        const translations = { ...(l.translations ?? {}) }
+        for (const [locale, text] of next) {
+            if (text === '') delete translations[locale]
+            else translations[locale] = text
+            if ((l.translations?.[locale] ?? '') !== text) updated++
+        }
+        return { ...l, translations }
+    })
+    return { doc: out, updated, unknownIds: [...byLayer.keys()].filter((id) => !known.has(id)) }
+}
+
+/**
+ * Add target locales to `doc.localization` (normalized, de-duplicated, source excluded).
+ * @param {DocumentLike} doc
+ * @param {string[]} locales
+ * @param {string} [sourceLocale]
+ * @returns {DocumentLike}
+ */
+export function withLocales(doc, locales, sourceLocale) {
+    const source = normalizeLocale(sourceLocale ?? doc.localization?.sourceLocale ?? 'en') ?? 'en'
+    const merged = []
+    for (const raw of [...(doc.localization?.locales ?? []), ...locales]) {
+        const tag = normalizeLocale(raw)
+        if (tag && tag !== source && !merged.includes(tag)) merged.push(tag)
+    }
+    return { ...doc, localization: { sourceLocale: source, locales: merged } }
+}
+
+/**
+ * The document as shown in `locale`: translated content (layers without a translation keep the source),
+ * rich-text runs dropped where the text changed, and text direction set — switching direction mirrors
+ * left / right alignment so RTL copy hugs the same edge the source did.
+ * @param {DocumentLike} doc
+ * @param {string} locale
+ * @returns {DocumentLike}
+ */
+export function applyLocale(doc, locale) {
+    const target = normalizeLocale(locale) ?? locale
+    const dir = localeDirection(target)
+    const sourceDir = localeDirection(doc.localization?.sourceLocale)
+
+    const out = mapLayers(doc, (l) => {
+        if (l.type !== 'text' || l.translatable === false) return l
+        const text = l.translations?.[target]
+        /** @type {LayerLike} */
+        const next = { ...l }
+        if (typeof text === 'string' && text !== '' && text !== l.content) {
+            next.content = text
+            delete next.runs
+            delete next.previousText
+        }
+        const style = { ...(l.style ?? {}) }
+        const current = style.direction ?? sourceDir
+        if (current !== dir) {
+            const align = style.textAlign ?? 'left'
+            style.textAlign = align === 'left' ? 'right' : align === 'right' ? 'left' : align
+        }
+        style.direction = dir
+        next.style = style
+        return next
+    })
+    return { ...out, locale: target }
+}
+
+/**
+ * Which locales' copy doesn't fit. `fit(layer, text)` returns the largest font size at which `text` fits the
+ * layer box (the editor passes `computeAutoFitTextFontSize`). Copy is flagged when it needs smaller type than
+ * the layer's size — `overflow` when the layer has a fixed size (text spills), `shrinks` when auto-fit would
+ * shrink it below the source's fitted size.
+ * @param {DocumentLike} doc
+ * @param {string[]} locales
+ * @param {(layer: LayerLike, text: string) => number} fit
+ * @returns {LocaleFitIssue[]}
+ */
+export function localeFitReport(doc, locales, fit) {
+    /** @type {LocaleFitIssue[]} */
+    const issues = []
+    for (const l of translatableTextLayers(doc)) {
+        const fontSize = Number(l.style?.fontSize) || 0
+        const autoFit = l.style?.autoFit === true
+        const reference = autoFit ? fit(l, l.content ?? '') : fontSize
+        for (const locale of locales) {
+            const text = l.translations?.[locale]
+            const base = { layerId: l.id, layerName: l.name || 'Text', locale, fontSize }
+            if (typeof text !== 'string' || text.trim() === '') {
+                issues.push({ ...base, kind: 'missing', fittedSize: fontSize })
+                continue
+            }
+            const fitted = fit(l, text)
+            if (fitted < reference - FIT_TOLERANCE_PX) {
+                issues.push({ ...base, kind: autoFit ? 'shrinks' : 'overflow', fittedSize: fitted })
+            }
+        }
+    }
+    return issues
+}
+
+// ── CSV ─────────────────────────────────────────────────────────────
+
+/**
+ * One row per translatable layer: `id, layer, <source>, <locale>…` (RFC 4180 quoting, CRLF).
+ * @param {DocumentLike} doc
+ * @param {string[]} [locales] Defaults to the document's target locales.
+ * @returns {string}
+ */
+export function localizationToCsv(doc, locales = doc.localization?.locales ?? []) {
+    const source = doc.localization?.sourceLocale ?? 'en'
+    const lines = [['id', 'layer', source, ...locales]]
+    for (const row of translationRows(doc)) {
+        lines.push([row.id, row.name, row.source, ...locales.map((loc) => row.translations[loc] ?? '')])
+    }
+    return lines.map((cells) => cells.map(csvCell).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Read a CSV written by {@link localizationToCsv} (or edited in a spreadsheet). The third column is the
+ * source text and is ignored; every later column is a target locale.
+ * @param {string} text
+ * @returns {{ locales: string[], entries: { id: string, locale: string, text: string }[] }}
+ */
+export function parseLocalizationCsv(text) {
+    const rows = parseCsv(text.replace(/^﻿/, ''))
+    const header = rows.shift() ?? []
+    if (header.length < 3 || header[0].trim().toLowerCase() !== 'id') {
+        throw new Error('Expected a header row starting with "id, layer, <source locale>".')
+    }
+    /** @type {(string | null)[]} */
+    const columns = header.map((h, i) => (i < 3 ? null : normalizeLocale(h)))
+    const entries = []
+    for (const row of rows) {
+        const id = (row[0] ?? '').trim()
+        if (!id) continue
+        columns.forEach((locale, i) => {
+            if (!locale || row[i] === undefined || row[i] === '') return
+            entries.push({ id, locale, text: row[i] })
+        })
+    }
+    return { locales: /** @type {string[]} */ (columns.filter(Boolean)), entries }
+}
+
+/** @param {string} v */
+function csvCell(v) {
+    const s = String(v ?? '')
+    return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+/**
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    /** @type {string[][]} */
+    const rows = []
+    /** @type {string[]} */
+    let row = []
+    let cell = ''
+    let quoted = false
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i]
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"'
+                i++
+            } else if (c === '"') {
+                quoted = false
+            } else {
+                cell += c
+            }
+        } else if (c === '"') {
+            quoted = true
+        } else if (c === ',') {
+            row.push(cell)
+            cell = ''
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++
+            row.push(cell)
+            if (row.some((v) => v !== '')) rows.push(row)
+            row = []
+            cell = ''
+        } else {
+            cell += c
+        }
+    }
+    row.push(cell)
+    if (row.some((v) => v !== '')) rows.push(row)
+    return rows
+}
+
+// ── XLIFF ───────────────────────────────────────────────────────────
+
+/**
+ * XLIFF 1.2 with one `<file>` per target locale; `resname` carries the layer name and a note the box size
+ * so translators know how much room there is.
+ * @param {DocumentLike} doc
+ * @param {string[]} [locales] Defaults to the document's target locales.
+ * @param {string} [original] `original` attribute (the composition name).
+ * @returns {string}
+ */
+export function localizationToXliff(doc, locales = doc.localization?.locales ?? [], original = 'composition') {
+    const source = doc.localization?.sourceLocale ?? 'en'
+    const rows = translatableTextLayers(doc)
+    const files = locales.map((locale) => {
+        const units = rows.map((l) => {
+            const target = l.translations?.[locale]
+            const t = l.transform
+            return [
+                `      <trans-unit id="${xmlEscape(l.id)}" resname="${xmlEscape(l.name || 'Text')}">`,
+                `        <source>${xmlEscape(l.content ?? '')}</source>`,
+                target ? `        <target state="translated">${xmlEscape(target)}</target>` : `        <target state="new"></target>`,
+                t ? `        <note>Text box ${Math.round(t.width)}×${Math.round(t.height)} px at ${l.style?.fontSize ?? '?'} px</note>` : '',
+                `      </trans-unit>`,
+            ]
+                .filter(Boolean)
+                .join('\n')
+        })
+        return [
+            `  <file original="${xmlEscape(original)}" source-language="${xmlEscape(source)}" target-language="${xmlEscape(locale)}" datatype="plaintext">`,
+            `    <body>`,
+            ...units,
+            `    </body>`,
+            `  </file>`,
+        ].join('\n')
+    })
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+        ...files,
+        '</xliff>',
+        '',
+    ].join('\n')
+}
+
+/**
+ * Read translations from XLIFF 1.2 (`<file target-language>` / `<trans-unit>`) or 2.x (`trgLang` /
+ * `<unit>` / `<segment>`). Inline markup inside targets is dropped; empty targets are skipped.
+ * @param {string} xml
+ * @returns {{ locales: string[], entries: { id: string, locale: string, text: string }[] }}
+ */
+export function parseLocalizationXliff(xml) {
+    const root = /<xliff\b([^>]*)>/i.exec(xml)
+    if (!root) throw new Error('Not an XLIFF file.')
+    const rootLocale = xmlAttrs(root[1]).trgLang
+
+    /** @type {string[]} */
+    const locales = []
+    const entries = []
+    const fileRe = /<file\b([^>]*)>([\s\S]*?)<\/file>/gi
+    for (let file; (file = fileRe.exec(xml)); ) {
+        const locale = normalizeLocale(xmlAttrs(file[1])['target-language'] ?? rootLocale ?? '')
+        if (!locale) continue
+        if (!locales.includes(locale)) locales.push(locale)
+        const unitRe = /<(trans-unit|unit)\b([^>]*)>([\s\S]*?)<\/\1>/gi
+        for (let unit; (unit = unitRe.exec(file[2])); ) {
+            const id = xmlAttrs(unit[2]).id
+            if (!id) continue
+            const targets = [...unit[3].matchAll(/<target\b[^>]*>([\s\S]*?)<\/target>/gi)].map((m) => xmlText(m[1]))
+            const text = targets.join('')
+            if (text.trim() !== '') entries.push({ id: xmlUnescape(id), locale, text })
+        }
+    }
+    return { locales, entries }
+}
+
+/** @param {string} s */
+function xmlEscape(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/** @param {string} s */
+function xmlUnescape(s) {
+    return s.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (_, e) => {
+        const k = e.toLowerCase()
+        if (k === 'lt') return '<'
+        if (k === 'gt') return '>'
+        if (k === 'amp') return '&'
+        if (k === 'quot') return '"'
+        if (k === 'apos') return "'"
+        return String.fromCodePoint(k.startsWith('#x') ? parseInt(k.slice(2), 16) : parseInt(k.slice(1), 10))
+    })
+}
+
+/**
+ * Element content → plain text: CDATA kept verbatim, inline tags dropped, entities decoded.
+ * @param {string} inner
+ */
+function xmlText(inner) {
+    return inner
+        .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+        .map((part) => (part.startsWith('<![CDATA[') ? part.slice(9, -3) : xmlUnescape(part.replace(/<[^>]+>/g, ''))))
+        .join('')
+}
+
+/**
+ * @param {string} raw
+ * @returns {Record<string, string>}
+ */
+function xmlAttrs(raw) {
+    /** @type {Record<string, string>} */
+    const out = {}
+    for (const m of raw.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) out[m[1]] = m[2] ?? m[3] ?? ''
+    return out
+}
@@ -0,0 +1,122 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    applyLocale,
+    localeDirection,
+    localeFitReport,
+    localizationToCsv,
+    localizationToXliff,
+    normalizeLocale,
+    parseLocalizationCsv,
+    parseLocalizationXliff,
+    setTranslatable,
+    setTranslations,
+    translatableTextLayers,
+    withLocales,
+} from './studioLocalization.mjs'
+
+const box = (x, y, width, height) => ({ x, y, width, height })
+
+const doc = {
+    width: 1080,
+    height: 1080,
+    localization: { sourceLocale: 'en', locales: ['de-DE', 'ar'] },
+    layers: [
+        { id: 'bg', type: 'fill', name: 'Background', z: 0, color: '#000', transform: box(0, 0, 1080, 1080) },
+        {
+            id: 'h',
+            type: 'text',
+            name: 'Headline',
+            z: 2,
+            content: 'Spring sale',
+            runs: [{ text: 'Spring sale', bold: true }],
+            translations: { 'de-DE': 'Frühlings-Sale, "jetzt"', ar: 'تخفيضات الربيع' },
+            style: { fontSize: 64, textAlign: 'left' },
+            transform: box(40, 40, 600, 120),
+        },
+        { id: 'cta', type: 'text', name: 'CTA', z: 3, content: 'Shop now', style: { fontSize: 24, textAlign: 'center' }, transform: box(40, 900, 200, 60) },
+        { id: 'brand', type: 'text', name: 'Wordmark', z: 4, content: 'ACME', translatable: false, style: { fontSize: 24 }, transform: box(900, 40, 100, 40) },
+    ],
+}
+
+test('normalizes language tags and picks text direction', () => {
+    assert.equal(normalizeLocale('de_de'), 'de-DE')
+    assert.equal(normalizeLocale('zh-hant-tw'), 'zh-Hant-TW')
+    assert.equal(normalizeLocale('es-419'), 'es-419')
+    assert.equal(normalizeLocale('German'), null)
+    assert.equal(localeDirection('ar-EG'), 'rtl')
+    assert.equal(localeDirection('he'), 'rtl')
+    assert.equal(localeDirection('az-Arab'), 'rtl')
+    assert.equal(localeDirection('ku-Latn'), 'ltr')
+    assert.equal(localeDirection('fr'), 'ltr')
+    assert.deepEqual(withLocales(doc, ['fr_fr', 'en', 'de-de']).localization, { sourceLocale: 'en', locales: ['de-DE', 'ar', 'fr-FR'] })
+})
+
+test('CSV and XLIFF round-trip translations and skip do-not-translate layers', () => {
+    const csv = localizationToCsv(doc)
+    assert.equal(csv.split('\r\n')[0], 'id,layer,en,de-DE,ar')
+    assert.ok(csv.includes('"Frühlings-Sale, ""jetzt"""'))
+    assert.ok(!csv.includes('ACME'))
+    const fromCsv = parseLocalizationCsv(csv.replace('Shop now,,', 'Shop now,"Jetzt\nkaufen",'))
+    assert.deepEqual(fromCsv.locales, ['de-DE', 'ar'])
+    assert.deepEqual(fromCsv.entries.find((e) => e.id === 'cta'), { id: 'cta', locale: 'de-DE', text: 'Jetzt\nkaufen' })
+    assert.throws(() => parseLocalizationCsv('foo,bar\n1,2'))
+
+    const xliff = localizationToXliff(doc, ['de-DE'], 'Spring')
+    assert.ok(xliff.includes('target-language="de-DE"'))
+    assert.ok(xliff.includes('<target state="translated">Frühlings-Sale, &quot;jetzt&quot;</target>'))
+    assert.deepEqual(parseLocalizationXliff(xliff).entries, [{ id: 'h', locale: 'de-DE', text: 'Frühlings-Sale, "jetzt"' }])
+
+    const v2 = `<?xml version="1.0"?><xliff version="2.0" srcLang="en" trgLang="fr"><file id="f1">
+      <unit id="cta"><segment><source>Shop now</source><target>Acheter <g id="1">&amp;</g> </target></segment>
+      <segment><target><![CDATA[<maintenant>]]></target></segment></unit></file></xliff>`
+    assert.deepEqual(parseLocalizationXliff(v2), { locales: ['fr'], entries: [{ id: 'cta', locale: 'fr', text: 'Acheter & <maintenant>' }] })
+
+    const merged = setTranslations(doc, [
+        { id: 'cta', locale: 'de_DE', text: 'Jetzt kaufen' },
+        { id: 'h', locale: 'ar', text: '' },
+        { id: 'gone', locale: 'fr', text: 'x' },
+    ])
+    assert.equal(merged.updated, 2)
+    assert.deepEqual(merged.unknownIds, ['gone'])
+    assert.deepEqual(merged.doc.layers[2].translations, { 'de-DE': 'Jetzt kaufen' })
+    assert.deepEqual(merged.doc.layers[1].translations, { 'de-DE': 'Frühlings-Sale, "jetzt"' })
+
+    const flagged = setTranslatable(setTranslatable(doc, 'cta', false), 'brand', true)
+    assert.deepEqual(translatableTextLayers(flagged).map((l) => l.id), ['h', 'brand'])
+    assert.equal(translatableTextLayers(flagged, { includeExcluded: true }).length, 3)
+})
+
+test('applies a locale with RTL mirroring and flags copy that does not fit', () => {
+    const ar = applyLocale(doc, 'ar')
+    assert.equal(ar.locale, 'ar')
+    const h = ar.layers[1]
+    assert.equal(h.content, 'تخفيضات الربيع')
+    assert.equal(h.runs, undefined)
+    assert.deepEqual([h.style.direction, h.style.textAlign], ['rtl', 'right'])
+    assert.deepEqual([ar.layers[2].content, ar.layers[2].style.textAlign], ['Shop now', 'center'])
+    assert.equal(ar.layers[3].style.direction, undefined, 'do-not-translate layers are left alone')
+    assert.equal(applyLocale(ar, 'ar').layers[1].style.textAlign, 'right', 'idempotent')
+    assert.equal(applyLocale(ar, 'de-DE').layers[1].style.textAlign, 'left')
+
+    // Pretend 10 characters fit per 64px line: longer copy needs proportionally smaller type.
+    const fit = (layer, text) => Math.min(layer.style.fontSize, (layer.style.fontSize * 10) / Math.max(10, text.length))
+    const issues = localeFitReport(doc, ['de-DE', 'ar'], fit)
+    assert.deepEqual(
+        issues.map((i) => [i.layerId, i.locale, i.kind]),
+        [
+            ['h', 'de-DE', 'overflow'],
+            ['h', 'ar', 'overflow'],
+            ['cta', 'de-DE', 'missing'],
+            ['cta', 'ar', 'missing'],
+        ]
+    )
+    const autoFit = { ...doc, layers: doc.layers.map((l) => (l.id === 'h' ? { ...l, style: { ...l.style, autoFit: true } } : l)) }
+    assert.deepEqual(
+        localeFitReport(autoFit, ['de-DE', 'ar'], fit).filter((i) => i.layerId === 'h').map((i) => [i.locale, i.kind]),
+        [
+            ['de-DE', 'shrinks'],
+            ['ar', 'shrinks'],
+        ]
+    )
+})
@@ -0,0 +1,203 @@
+/**
+ * PSD export mapping: the pure part of writing a Studio document as a layered PSD.
+ *
+ * The editor side (`Pages/Editor/studioPsdExport.ts`) rasterizes layers and writes the file with ag-psd;
+ * this module decides which layers export (and into which folders), blend modes, the Photoshop font name and
+ * the editable type-layer payload, so it runs under `node --test` without a DOM.
+ *
+ * @typedef {{
+ *   content: string,
+ *   transform: { x: number, y: number, width: number, height: number, rotation?: number },
+ *   style: {
+ *     fontKey?: string,
+ *     fontFamily?: string,
+ *     fontSize: number,
+ *     fontWeight?: number,
+ *     lineHeight?: number,
+ *     letterSpacing?: number,
+ *     color?: string,
+ *     strokeColor?: string,
+ *     strokeWidth?: number,
+ *     textAlign?: string,
+ *   },
+ * }} StudioTextLayerLike
+ */
+
+/**
+ * Studio (CSS `mix-blend-mode`) → Photoshop blend mode keys used by ag-psd.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const STUDIO_TO_PSD_BLEND_MODE = Object.freeze({
+    normal: 'normal',
+    multiply: 'multiply',
+    screen: 'screen',
+    overlay: 'overlay',
+    darken: 'darken',
+    lighten: 'lighten',
+    'color-dodge': 'color dodge',
+    'color-burn': 'color burn',
+    'hard-light': 'hard light',
+    'soft-light': 'soft light',
+    difference: 'difference',
+    exclusion: 'exclusion',
+    hue: 'hue',
+    saturation: 'saturation',
+    color: 'color',
+    luminosity: 'luminosity',
+})
+
+/** Studio layer types that become their own PSD layer. Video has no PSD equivalent and is skipped. */
+export const PSD_EXPORTABLE_LAYER_TYPES = Object.freeze(['image', 'generative_image', 'fill', 'text', 'shape', 'mask'])
+
+/**
+ * PSD layer tree for layers in paint order (back → front): one node per exportable layer, except that the
+ * layers of a Studio group are collected into one folder, placed where the group's first layer paints.
+ * Layers pointing at a missing group stay top-level.
+ * @template {{ type: string, groupId?: string }} L
+ * @template {{ id: string }} G
+ * @param {L[]} layers - back → front
+ * @param {G[]} groups
+ * @returns {Array<{ layer: L } | { group: G, layers: L[] }>}
+ */
+export function psdLayerTree(layers, groups) {
+    const groupsById = new Map((groups ?? []).map((g) => [g.id, g]))
+    /** @type {Map<string, { group: G, layers: L[] }>} */
+    const folders = new Map()
+    /** @type {Array<{ layer: L } | { group: G, layers: L[] }>} */
+    const nodes = []
+    for (const layer of layers) {
+        if (!PSD_EXPORTABLE_LAYER_TYPES.includes(layer.type)) {
+            continue
+        }
+        const group = layer.groupId ? groupsById.get(layer.groupId) : undefined
+        if (!group) {
+            nodes.push({ layer })
+            continue
+        }
+        let folder = folders.get(group.id)
+        if (!folder) {
+            folder = { group, layers: [] }
+            folders.set(group.id, folder)
+            nodes.push(folder)
+        }
+        folder.layers.push(layer)
+    }
+    return nodes
+}
+
+const GENERIC_CSS_FONT_FAMILIES = new Set([
+    'serif',
+    'sans-serif',
+    'monospace',
+    'cursive',
+    'fantasy',
+    'system-ui',
+    'ui-serif',
+    'ui-sans-serif',
+    'ui-monospace',
+    'ui-rounded',
+    '-apple-system',
+    'blinkmacsystemfont',
+])
+
+/**
+ * `#rgb` / `#rrggbb` → ag-psd 0–255 color; null for anything else.
+ * @param {string | undefined} raw
+ * @returns {{ r: number, g: number, b: number } | null}
+ */
+export function psdColorFromHex(raw) {
+    const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec((raw ?? '').trim())
+    if (!m) {
+        return null
+    }
+    const hex = m[1].length === 3 ? m[1].split('').map((c) => c + c).join('') : m[1]
+    const n = parseInt(hex, 16)
+    return { r: (n >> 16) & 0xff, g: (n >> 8) & 0xff, b: n & 0xff }
+}
+
+/**
+ * PostScript-style font name Photoshop can match for an editable text layer, or null when the
+ * face is unknown (generic CSS family, or not registered in this browser) — those export raster-only.
+ *
+ * - `bundled:` / `google:` keys map from the slug (`abril-fatface-regular` → `AbrilFatface-Regular`).
+ * - Other faces use the resolved canvas family (`Brand Sans` + weight 700 → `BrandSans-Bold`) when loaded.
+ *
+ * @param {StudioTextLayerLike} layer
+ * @param {string} canvasFontStack - the layer's family as the canvas renders it (brand fonts resolved)
+ * @param {(cssFont: string) => boolean} [isFaceLoaded] - e.g. `document.fonts.check`; omitted = assume loaded
+ * @returns {string | null}
+ */
+export function psdFontNameForTextLayer(layer, canvasFontStack, isFaceLoaded) {
+    const key = layer.style.fontKey?.trim() ?? ''
+    const slugMatch = /^(?:bundled|google):([a-z0-9-]+)$/i.exec(key)
+    if (slugMatch && !slugMatch[1].startsWith('system-ui')) {
+        const parts = slugMatch[1].split('-').filter(Boolean)
+        if (parts.length >= 2) {
+            const cap = (/** @type {string} */ s) => s.charAt(0).toUpperCase() + s.slice(1)
+            const style = /** @type {string} */ (parts.pop())
+            return `${parts.map(cap).join('')}-${cap(style)}`
+        }
+    }
+    const family = canvasFontStack.split(',')[0].trim().replace(/^["']|["']$/g, '')
+    if (!family || GENERIC_CSS_FONT_FAMILIES.has(family.toLowerCase())) {
+        return null
+    }
+    const weight = layer.style.fontWeight ?? 400
+    if (isFaceLoaded) {
+        const quoted = /^[a-zA-Z][a-zA-Z0-9_-]*$/.test(family) ? family : `"${family.replace(/"/g, '\\"')}"`
+        try {
+            if (!isFaceLoaded(`${weight} ${layer.style.fontSize}px ${quoted}`)) {
+                return null
+            }
+        } catch {
+            return null
+        }
+    }
+    const compact = family.replace(/\s+/g, '')
+    if (/(regular|bold|medium|light|black|thin|heavy|book)$/i.test(compact)) {
+        return compact
+    }
+    return `${compact}-${weight >= 600 ? 'Bold' : 'Regular'}`
+}
+
+/**
+ * ag-psd text payload (`LayerTextData`) for an editable Photoshop type layer. Box text sized to the
+ * Studio layer frame; rotation is applied about the frame center like the editor's CSS `rotate()`.
+ * @param {StudioTextLayerLike} layer
+ * @param {string} fontName - from {@link psdFontNameForTextLayer}
+ * @returns {Record<string, unknown>}
+ */
+export function buildPsdTextData(layer, fontName) {
+    const { x, y, width, height } = layer.transform
+    const rad = ((layer.transform.rotation ?? 0) * Math.PI) / 180
+    const cos = Math.cos(rad)
+    const sin = Math.sin(rad)
+    const cx = width / 2
+    const cy = height / 2
+    const fontSize = layer.style.fontSize
+    const weight = layer.style.fontWeight ?? 400
+    const fill = psdColorFromHex(layer.style.color) ?? { r: 0, g: 0, b: 0 }
+    const stroke = psdColorFromHex(layer.style.strokeColor ?? layer.style.color)
+    const strokeWidth = layer.style.strokeWidth ?? 0
+    return {
+        text: layer.content,
+        transform: [cos, sin, -sin, cos, x + cx - (cos * cx - sin * cy), y + cy - (sin * cx + cos * cy)],
+        antiAlias: 'smooth',
+        shapeType: 'box',
+        boxBounds: [0, 0, width, height],
+        style: {
+            font: { name: fontName },
+            fontSize,
+            fauxBold: weight >= 600 && !/bold|black|heavy/i.test(fontName),
+            autoLeading: false,
+            leading: Math.round(fontSize * (layer.style.lineHeight ?? 1.25)),
+            /** Photoshop tracking is in 1/1000 em. */
+            tracking: Math.round(((layer.style.letterSpacing ?? 0) / Math.max(1, fontSize)) * 1000),
+            fillColor: fill,
+            ...(strokeWidth > 0 && stroke ? { strokeFlag: true, strokeColor: stroke, outlineWidth: strokeWidth } : {}),
+        },
+        paragraphStyle: {
+            justification: layer.style.textAlign ?? 'left',
+        },
+    }
+}
@@ -0,0 +1,117 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    buildPsdTextData,
+    psdColorFromHex,
+    psdFontNameForTextLayer,
+    psdLayerTree,
+    STUDIO_TO_PSD_BLEND_MODE,
+} from './studioPsdExport.mjs'
+
+const textLayer = (style = {}, transform = {}) => ({
+    content: 'Hello',
+    transform: { x: 10, y: 20, width: 200, height: 100, ...transform },
+    style: { fontFamily: 'Inter', fontSize: 40, ...style },
+})
+
+test('blend modes map onto ag-psd keys', () => {
+    assert.equal(STUDIO_TO_PSD_BLEND_MODE.normal, 'normal')
+    assert.equal(STUDIO_TO_PSD_BLEND_MODE['color-dodge'], 'color dodge')
+    assert.equal(STUDIO_TO_PSD_BLEND_MODE['soft-light'], 'soft light')
+    assert.equal(Object.keys(STUDIO_TO_PSD_BLEND_MODE).length, 16)
+})
+
+test('psdLayerTree exports shapes as their own layers, skips video and folds groups into folders', () => {
+    const layers = [
+        { id: 'bg', type: 'fill' },
+        { id: 'clip', type: 'video' },
+        { id: 'arrow', type: 'shape' },
+        { id: 'logo', type: 'image', groupId: 'g1' },
+        { id: 'star', type: 'shape', groupId: 'g1' },
+        { id: 'title', type: 'text' },
+        { id: 'orphan', type: 'shape', groupId: 'gone' },
+    ]
+    const group = { id: 'g1', name: 'Badge' }
+    const tree = psdLayerTree(layers, [group])
+    assert.deepEqual(
+        tree.map((n) => ('layer' in n ? n.layer.id : { [n.group.name]: n.layers.map((l) => l.id) })),
+        ['bg', 'arrow', { Badge: ['logo', 'star'] }, 'title', 'orphan'],
+    )
+    assert.equal(tree[1].layer, layers[2])
+})
+
+test('psdColorFromHex reads short and long hex', () => {
+    assert.deepEqual(psdColorFromHex('#f80'), { r: 255, g: 136, b: 0 })
+    assert.deepEqual(psdColorFromHex(' #0080FF '), { r: 0, g: 128, b: 255 })
+    assert.equal(psdColorFromHex('rgb(0,0,0)'), null)
+    assert.equal(psdColorFromHex(undefined), null)
+})
+
+test('psdFontNameForTextLayer maps bundled/google slugs to PostScript names', () => {
+    assert.equal(psdFontNameForTextLayer(textLayer({ fontKey: 'google:abril-fatface-regular' }), 'Whatever'), 'AbrilFatface-Regular')
+    assert.equal(psdFontNameForTextLayer(textLayer({ fontKey: 'bundled:inter-bold' }), 'Inter'), 'Inter-Bold')
+    assert.equal(
+        psdFontNameForTextLayer(textLayer({ fontKey: 'bundled:system-ui-regular' }), 'system-ui, sans-serif'),
+        null,
+    )
+})
+
+test('psdFontNameForTextLayer uses the resolved canvas family when the face is loaded', () => {
+    assert.equal(psdFontNameForTextLayer(textLayer({ fontWeight: 700 }), '"Brand Sans", sans-serif'), 'BrandSans-Bold')
+    assert.equal(psdFontNameForTextLayer(textLayer(), 'Brand Sans'), 'BrandSans-Regular')
+    assert.equal(psdFontNameForTextLayer(textLayer(), 'GothamBook'), 'GothamBook')
+    assert.equal(psdFontNameForTextLayer(textLayer(), 'sans-serif'), null)
+
+    const checked = []
+    const loaded = (font) => {
+        checked.push(font)
+        return font.includes('Brand Sans')
+    }
+    assert.equal(psdFontNameForTextLayer(textLayer({ fontWeight: 600 }), 'Brand Sans', loaded), 'BrandSans-Bold')
+    assert.equal(psdFontNameForTextLayer(textLayer(), 'Missing', loaded), null)
+    assert.deepEqual(checked, ['600 40px "Brand Sans"', '400 40px Missing'])
+    assert.equal(
+        psdFontNameForTextLayer(textLayer(), 'Brand Sans', () => {
+            throw new Error('bad font')
+        }),
+        null,
+    )
+})
+
+test('buildPsdTextData sizes box text to the frame and converts leading and tracking', () => {
+    const data = buildPsdTextData(
+        textLayer({ fontWeight: 700, lineHeight: 1.5, letterSpacing: 2, color: '#ff0000', textAlign: 'center' }),
+        'Inter-Regular',
+    )
+    assert.equal(data.text, 'Hello')
+    assert.deepEqual(data.transform, [1, 0, -0, 1, 10, 20])
+    assert.equal(data.shapeType, 'box')
+    assert.deepEqual(data.boxBounds, [0, 0, 200, 100])
+    assert.deepEqual(data.style, {
+        font: { name: 'Inter-Regular' },
+        fontSize: 40,
+        fauxBold: true,
+        autoLeading: false,
+        leading: 60,
+        tracking: 50,
+        fillColor: { r: 255, g: 0, b: 0 },
+    })
+    assert.deepEqual(data.paragraphStyle, { justification: 'center' })
+})
+
+test('buildPsdTextData rotates about the frame center and carries the stroke', () => {
+    const data = buildPsdTextData(
+        textLayer({ fontWeight: 700, strokeWidth: 3, strokeColor: '#000' }, { rotation: 90 }),
+        'Inter-Bold',
+    )
+    const [a, b, c, d, tx, ty] = data.transform
+    assert.deepEqual([a, b, c, d].map((n) => Math.round(n)), [0, 1, -1, 0])
+    // Frame center (110, 70) stays put: origin maps to (110 + 50, 70 - 100).
+    assert.deepEqual([Math.round(tx), Math.round(ty)], [160, -30])
+    assert.equal(data.style.fauxBold, false)
+    assert.equal(data.style.strokeFlag, true)
+    assert.deepEqual(data.style.strokeColor, { r: 0, g: 0, b: 0 })
+    assert.equal(data.style.outlineWidth, 3)
+    assert.deepEqual(data.style.fillColor, { r: 0, g: 0, b: 0 })
+    assert.deepEqual(data.paragraphStyle, { justification: 'left' })
+})
@@ -0,0 +1,302 @@
+/**
+ * PSD import mapping: the pure part of turning an ag-psd layer tree into a Studio document.
+ *
+ * The editor side (`Pages/Editor/studioPsdImport.ts`) reads the PSD, bakes and uploads rasters and builds the
+ * {@link DocumentModel}; this module decides blend modes, fonts, text layers and how folders become Studio's
+ * flat groups, so it runs under `node --test` without a canvas.
+ *
+ * @typedef {{ r?: number, g?: number, b?: number, fr?: number, fg?: number, fb?: number }} PsdColor
+ * @typedef {{
+ *   font?: { name?: string },
+ *   fontSize?: number,
+ *   autoLeading?: boolean,
+ *   leading?: number,
+ *   tracking?: number,
+ *   fauxBold?: boolean,
+ *   fillColor?: PsdColor,
+ *   strokeFlag?: boolean,
+ *   strokeColor?: PsdColor,
+ *   outlineWidth?: number,
+ * }} PsdTextStyle
+ * @typedef {{
+ *   text: string,
+ *   transform?: number[],
+ *   style?: PsdTextStyle,
+ *   styleRuns?: Array<{ style: PsdTextStyle }>,
+ *   paragraphStyle?: { justification?: string },
+ *   paragraphStyleRuns?: Array<{ style: { justification?: string } }>,
+ * }} PsdText
+ * @typedef {{
+ *   name?: string,
+ *   hidden?: boolean,
+ *   opened?: boolean,
+ *   clipping?: boolean,
+ *   blendMode?: string,
+ *   left?: number, top?: number, right?: number, bottom?: number,
+ *   text?: PsdText,
+ *   children?: PsdNode[],
+ *   [key: string]: unknown,
+ * }} PsdNode
+ * @typedef {{ id: string, name: string, memberIds: string[], locked: boolean, collapsed: boolean }} StudioGroup
+ * @typedef {{ node: PsdNode, hidden: boolean, group: StudioGroup | null }} PsdLeaf
+ */
+
+/**
+ * Photoshop blend modes → Studio `LayerBlendMode`. Modes CSS cannot express map to the
+ * closest supported mode (e.g. linear burn → color burn) so imports never fail on blend mode.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const PSD_TO_STUDIO_BLEND_MODE = Object.freeze({
+    'pass through': 'normal',
+    normal: 'normal',
+    dissolve: 'normal',
+    darken: 'darken',
+    multiply: 'multiply',
+    'color burn': 'color-burn',
+    'linear burn': 'color-burn',
+    'darker color': 'darken',
+    lighten: 'lighten',
+    screen: 'screen',
+    'color dodge': 'color-dodge',
+    'linear dodge': 'color-dodge',
+    'lighter color': 'lighten',
+    overlay: 'overlay',
+    'soft light': 'soft-light',
+    'hard light': 'hard-light',
+    'vivid light': 'hard-light',
+    'linear light': 'hard-light',
+    'pin light': 'hard-light',
+    'hard mix': 'hard-light',
+    difference: 'difference',
+    exclusion: 'exclusion',
+    subtract: 'difference',
+    divide: 'difference',
+    hue: 'hue',
+    saturation: 'saturation',
+    color: 'color',
+    luminosity: 'luminosity',
+})
+
+/**
+ * Studio blend mode for a PSD layer; undefined for normal (the document default) and unknown modes.
+ * @param {PsdNode} node
+ * @returns {string | undefined}
+ */
+export function studioBlendModeFromPsd(node) {
+    const mode = node.blendMode ? PSD_TO_STUDIO_BLEND_MODE[node.blendMode] : undefined
+    return mode && mode !== 'normal' ? mode : undefined
+}
+
+/** @type {Array<[RegExp, number]>} */
+const PSD_WEIGHT_WORDS = [
+    [/thin|hairline/i, 100],
+    [/extralight|ultralight/i, 200],
+    [/light/i, 300],
+    [/semibold|demibold/i, 600],
+    [/extrabold|ultrabold/i, 800],
+    [/black|heavy/i, 900],
+    [/bold/i, 700],
+    [/medium/i, 500],
+]
+
+/**
+ * PostScript font name (`AbrilFatface-Regular`, `Inter-Bold`, `ArialMT`) → CSS family + weight.
+ * Best effort: the family is de-camel-cased so brand DNA / FontFace names have a chance to match.
+ * @param {string | undefined} postScriptName
+ * @returns {{ family: string, weight: number }}
+ */
+export function cssFontFromPsdFontName(postScriptName) {
+    const raw = (postScriptName ?? '').trim()
+    if (!raw) {
+        return { family: 'Inter', weight: 400 }
+    }
+    const [familyPart, stylePart = ''] = raw.split('-', 2)
+    const family = familyPart
+        .replace(/(MT|PS|Std|Pro)$/, '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .trim()
+    let weight = 400
+    for (const [re, w] of PSD_WEIGHT_WORDS) {
+        if (re.test(stylePart)) {
+            weight = w
+            break
+        }
+    }
+    return { family: family || familyPart, weight }
+}
+
+/**
+ * PSD color (0–255 `r g b`, or 0–1 `fr fg fb`) → `#rrggbb`; null when it is neither.
+ * @param {PsdColor | undefined} c
+ * @returns {string | null}
+ */
+export function psdColorToHex(c) {
+    if (!c || typeof c !== 'object') {
+        return null
+    }
+    let r
+    let g
+    let b
+    if (typeof c.r === 'number' && typeof c.g === 'number' && typeof c.b === 'number') {
+        ;[r, g, b] = [c.r, c.g, c.b]
+    } else if (typeof c.fr === 'number' && typeof c.fg === 'number' && typeof c.fb === 'number') {
+        ;[r, g, b] = [c.fr * 255, c.fg * 255, c.fb * 255]
+    } else {
+        return null
+    }
+    const hex = (/** @type {number} */ n) => Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0')
+    return `#${hex(r)}${hex(g)}${hex(b)}`
+}
+
+/**
+ * Layer box in document px (at least 1×1).
+ * @param {PsdNode} node
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function psdBounds(node) {
+    const left = node.left ?? 0
+    const top = node.top ?? 0
+    return {
+        x: left,
+        y: top,
+        width: Math.max(1, (node.right ?? left) - left),
+        height: Math.max(1, (node.bottom ?? top) - top),
+    }
+}
+
+/**
+ * PSD type layer → Studio text layer. Uses the first style run; the text transform's scale is folded into
+ * font size / leading / tracking and its angle becomes the layer rotation.
+ * @param {PsdNode & { text: PsdText }} node
+ * @param {{ id: string, z: number, hidden?: boolean }} placement
+ * @returns {Record<string, unknown>} a `TextLayer`
+ */
+export function studioTextLayerFromPsd(node, { id, z, hidden = Boolean(node.hidden) }) {
+    const text = node.text
+    const t = text.transform ?? [1, 0, 0, 1, 0, 0]
+    const scale = Math.sqrt(t[0] * t[0] + t[1] * t[1]) || 1
+    const rotation = Math.round((Math.atan2(t[1], t[0]) * 180) / Math.PI)
+    const style = text.style ?? text.styleRuns?.[0]?.style ?? {}
+    const { family, weight } = cssFontFromPsdFontName(style.font?.name)
+    const fontSize = Math.max(1, Math.round((style.fontSize ?? 24) * scale))
+    const leading = style.autoLeading === false && typeof style.leading === 'number' ? style.leading * scale : null
+    const justification = text.paragraphStyle?.justification ?? text.paragraphStyleRuns?.[0]?.style?.justification
+    const textAlign =
+        justification === 'center' || justification === 'justify-center'
+            ? 'center'
+            : justification === 'right' || justification === 'justify-right'
+              ? 'right'
+              : 'left'
+    const strokeColor = style.strokeFlag ? psdColorToHex(style.strokeColor) : null
+    return {
+        id,
+        type: 'text',
+        name: node.name?.trim() || 'Text',
+        visible: !hidden,
+        locked: false,
+        z,
+        blendMode: studioBlendModeFromPsd(node),
+        transform: { ...psdBounds(node), ...(rotation !== 0 ? { rotation } : {}) },
+        content: text.text.replace(/\r\n?/g, '\n'),
+        style: {
+            fontFamily: family,
+            fontSize,
+            fontWeight: style.fauxBold ? Math.max(700, weight) : weight,
+            lineHeight: leading ? Math.round((leading / fontSize) * 100) / 100 : 1.2,
+            letterSpacing: typeof style.tracking === 'number' ? Math.round((style.tracking / 1000) * fontSize * 10) / 10 : 0,
+            color: psdColorToHex(style.fillColor) ?? '#000000',
+            textAlign,
+            verticalAlign: 'top',
+            ...(strokeColor && (style.outlineWidth ?? 0) > 0 ? { strokeColor, strokeWidth: style.outlineWidth } : {}),
+        },
+    }
+}
+
+/**
+ * Walk the PSD layer tree (bottom layer first, as ag-psd lists it) into Studio's flat model: every non-folder
+ * layer in paint order with the top-level folder it belongs to. Studio groups are flat, so nested folders merge
+ * into their top-level folder; a hidden folder hides its contents. Clipping masks are noted (imported unclipped).
+ *
+ * Groups come back with empty `memberIds`; the caller adds the layers it actually imports, then
+ * {@link pruneImportedPsdGroups} drops groups that ended up too small.
+ *
+ * @param {PsdNode[] | undefined} children - `psd.children`
+ * @param {() => string} newId
+ * @returns {{ leaves: PsdLeaf[], groups: StudioGroup[], warnings: string[] }}
+ */
+export function flattenPsdLayerTree(children, newId) {
+    /** @type {PsdLeaf[]} */
+    const leaves = []
+    /** @type {StudioGroup[]} */
+    const groups = []
+    /** @type {string[]} */
+    const warnings = []
+
+    /**
+     * @param {PsdNode} node
+     * @param {StudioGroup | null} group
+     * @param {boolean} parentHidden
+     */
+    const visit = (node, group, parentHidden) => {
+        const hidden = parentHidden || Boolean(node.hidden)
+        if (node.children) {
+            if (group) {
+                warnings.push(`Nested folder “${node.name ?? 'Folder'}” was merged into “${group.name}”.`)
+            }
+            const own = group ?? {
+                id: newId(),
+                name: node.name?.trim() || 'Group',
+                memberIds: [],
+                locked: false,
+                collapsed: node.opened === false,
+            }
+            for (const child of node.children) {
+                visit(child, own, hidden)
+            }
+            if (!group) {
+                groups.push(own)
+            }
+            return
+        }
+        if (node.clipping) {
+            warnings.push(`Clipping mask on “${node.name?.trim() || 'Layer'}” is not supported; the layer was imported unclipped.`)
+        }
+        leaves.push({ node, hidden, group })
+    }
+
+    for (const child of children ?? []) {
+        visit(child, null, false)
+    }
+    return { leaves, groups, warnings }
+}
+
+/**
+ * Keep folder groups with at least two imported layers. Layers of the dropped ones are ungrouped in place
+ * (the importer still holds them to attach their uploaded rasters).
+ * @param {StudioGroup[]} groups
+ * @param {Array<{ groupId?: string }>} layers
+ * @returns {StudioGroup[]} the kept groups
+ */
+export function pruneImportedPsdGroups(groups, layers) {
+    const kept = groups.filter((g) => g.memberIds.length >= 2)
+    const keptIds = new Set(kept.map((g) => g.id))
+    for (const l of layers) {
+        if (l.groupId && !keptIds.has(l.groupId)) {
+            delete l.groupId
+        }
+    }
+    return kept
+}
+
+/**
+ * Toast copy after a PSD import; quotes the first notes on what was merged, unclipped or skipped.
+ * @param {string[]} warnings
+ * @returns {string}
+ */
+export function describePsdImportResult(warnings) {
+    if (warnings.length === 0) {
+        return 'PSD imported'
+    }
+    const more = warnings.length - 2
+    return `PSD imported — ${warnings.slice(0, 2).join(' ')}${more > 0 ? ` (+${more} more note${more === 1 ? '' : 's'})` : ''}`
+}
@@ -0,0 +1,153 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    PSD_TO_STUDIO_BLEND_MODE,
+    cssFontFromPsdFontName,
+    describePsdImportResult,
+    flattenPsdLayerTree,
+    psdColorToHex,
+    pruneImportedPsdGroups,
+    studioBlendModeFromPsd,
+    studioTextLayerFromPsd,
+} from './studioPsdImport.mjs'
+
+const ids = () => {
+    let n = 0
+    return () => `id-${++n}`
+}
+
+test('blend modes map onto CSS modes; normal and unknown modes stay unset', () => {
+    assert.equal(PSD_TO_STUDIO_BLEND_MODE['linear burn'], 'color-burn')
+    assert.equal(PSD_TO_STUDIO_BLEND_MODE['pin light'], 'hard-light')
+    assert.equal(studioBlendModeFromPsd({ blendMode: 'multiply' }), 'multiply')
+    assert.equal(studioBlendModeFromPsd({ blendMode: 'pass through' }), undefined)
+    assert.equal(studioBlendModeFromPsd({ blendMode: 'not a mode' }), undefined)
+    assert.equal(studioBlendModeFromPsd({}), undefined)
+})
+
+test('cssFontFromPsdFontName splits PostScript names into family and weight', () => {
+    assert.deepEqual(cssFontFromPsdFontName('AbrilFatface-Regular'), { family: 'Abril Fatface', weight: 400 })
+    assert.deepEqual(cssFontFromPsdFontName('Inter-SemiBold'), { family: 'Inter', weight: 600 })
+    assert.deepEqual(cssFontFromPsdFontName('Montserrat-ExtraLightItalic'), { family: 'Montserrat', weight: 200 })
+    assert.deepEqual(cssFontFromPsdFontName('ArialMT'), { family: 'Arial', weight: 400 })
+    assert.deepEqual(cssFontFromPsdFontName(''), { family: 'Inter', weight: 400 })
+})
+
+test('psdColorToHex reads 0–255 and 0–1 channels', () => {
+    assert.equal(psdColorToHex({ r: 255, g: 128, b: 0 }), '#ff8000')
+    assert.equal(psdColorToHex({ fr: 0, fg: 0.5, fb: 1 }), '#0080ff')
+    assert.equal(psdColorToHex(undefined), null)
+    assert.equal(psdColorToHex({ c: 1 }), null)
+})
+
+test('studioTextLayerFromPsd folds the text transform into size, spacing and rotation', () => {
+    const layer = studioTextLayerFromPsd(
+        {
+            name: ' Headline ',
+            left: 100,
+            top: 50,
+            right: 500,
+            bottom: 150,
+            blendMode: 'screen',
+            text: {
+                text: 'Summer\rSale',
+                transform: [0, 2, -2, 0, 0, 0],
+                style: {
+                    font: { name: 'Inter-Bold' },
+                    fontSize: 20,
+                    autoLeading: false,
+                    leading: 30,
+                    tracking: 50,
+                    fillColor: { r: 255, g: 0, b: 0 },
+                    strokeFlag: true,
+                    strokeColor: { r: 0, g: 0, b: 0 },
+                    outlineWidth: 2,
+                },
+                paragraphStyle: { justification: 'justify-center' },
+            },
+        },
+        { id: 't1', z: 3, hidden: true },
+    )
+    assert.equal(layer.id, 't1')
+    assert.equal(layer.name, 'Headline')
+    assert.equal(layer.visible, false)
+    assert.equal(layer.z, 3)
+    assert.equal(layer.blendMode, 'screen')
+    assert.equal(layer.content, 'Summer\nSale')
+    assert.deepEqual(layer.transform, { x: 100, y: 50, width: 400, height: 100, rotation: 90 })
+    assert.deepEqual(layer.style, {
+        fontFamily: 'Inter',
+        fontSize: 40,
+        fontWeight: 700,
+        lineHeight: 1.5,
+        letterSpacing: 2,
+        color: '#ff0000',
+        textAlign: 'center',
+        verticalAlign: 'top',
+        strokeColor: '#000000',
+        strokeWidth: 2,
+    })
+
+    const plain = studioTextLayerFromPsd({ text: { text: 'x', styleRuns: [{ style: { fontSize: 12 } }] } }, { id: 't2', z: 0 })
+    assert.equal(plain.visible, true)
+    assert.equal(plain.style.fontSize, 12)
+    assert.equal(plain.style.color, '#000000')
+    assert.equal(plain.style.textAlign, 'left')
+    assert.equal('strokeColor' in plain.style, false)
+})
+
+test('flattenPsdLayerTree merges nested folders into their top-level group and inherits hidden', () => {
+    const { leaves, groups, warnings } = flattenPsdLayerTree(
+        [
+            { name: 'Background' },
+            {
+                name: 'Card',
+                opened: false,
+                hidden: true,
+                children: [{ name: 'Shape' }, { name: 'Details', children: [{ name: 'Price', clipping: true }] }],
+            },
+        ],
+        ids(),
+    )
+    assert.deepEqual(
+        leaves.map((l) => [l.node.name, l.hidden, l.group?.id ?? null]),
+        [
+            ['Background', false, null],
+            ['Shape', true, 'id-1'],
+            ['Price', true, 'id-1'],
+        ],
+    )
+    assert.deepEqual(groups, [{ id: 'id-1', name: 'Card', memberIds: [], locked: false, collapsed: true }])
+    assert.deepEqual(warnings, [
+        'Nested folder “Details” was merged into “Card”.',
+        'Clipping mask on “Price” is not supported; the layer was imported unclipped.',
+    ])
+    assert.deepEqual(flattenPsdLayerTree(undefined, ids()), { leaves: [], groups: [], warnings: [] })
+})
+
+test('pruneImportedPsdGroups drops groups under two layers and ungroups their layer in place', () => {
+    const layers = [
+        { id: 'a', groupId: 'g1' },
+        { id: 'b', groupId: 'g1' },
+        { id: 'c', groupId: 'g2' },
+        { id: 'd' },
+    ]
+    const c = layers[2]
+    const kept = pruneImportedPsdGroups(
+        [
+            { id: 'g1', name: 'Kept', memberIds: ['a', 'b'], locked: false, collapsed: false },
+            { id: 'g2', name: 'Solo', memberIds: ['c'], locked: false, collapsed: false },
+        ],
+        layers,
+    )
+    assert.deepEqual(kept.map((g) => g.id), ['g1'])
+    assert.equal(layers[2], c)
+    assert.equal('groupId' in c, false)
+    assert.equal(layers[0].groupId, 'g1')
+})
+
+test('describePsdImportResult quotes the first two notes', () => {
+    assert.equal(describePsdImportResult([]), 'PSD imported')
+    assert.equal(describePsdImportResult(['One.']), 'PSD imported — One.')
+    assert.equal(describePsdImportResult(['One.', 'Two.', 'Three.', 'Four.']), 'PSD imported — One. Two. (+2 more notes)')
+})
@@ -0,0 +1,261 @@
+/**
+ * Pure geometry for Studio `shape` layers (lines, arrows, polygons, stars, freeform paths).
+ *
+ * Shape points are stored normalized (0–1) inside the layer's transform box so move / resize / group scale
+ * keep working through the ordinary transform. Everything here returns layer-local pixel geometry; the
+ * shared renderer draws it as SVG with `viewBox="0 0 width height"`.
+ *
+ * @typedef {{ x: number, y: number }} ShapePoint
+ * @typedef {'line' | 'arrow' | 'polygon' | 'star' | 'path'} ShapeKind
+ * @typedef {{
+ *   shape: ShapeKind,
+ *   points?: ShapePoint[],
+ *   closed?: boolean,
+ *   sides?: number,
+ *   starPoints?: number,
+ *   innerRadius?: number,
+ *   strokeWidth?: number,
+ *   arrowStart?: boolean,
+ *   arrowEnd?: boolean,
+ * }} ShapeLike
+ * @typedef {{ body: string, closed: boolean, heads: string[] }} ShapeGeometry
+ */
+
+export const SHAPE_MIN_SIDES = 3
+export const SHAPE_MAX_SIDES = 12
+
+/** @param {number} n */
+function r2(n) {
+    return Math.round(n * 100) / 100
+}
+
+/** @param {number} v @param {number} lo @param {number} hi */
+function clamp(v, lo, hi) {
+    return Math.min(hi, Math.max(lo, v))
+}
+
+/**
+ * Default normalized points for open shapes.
+ * @param {ShapeKind} kind
+ * @returns {ShapePoint[]}
+ */
+export function defaultShapePoints(kind) {
+    if (kind === 'line' || kind === 'arrow') {
+        return [
+            { x: 0, y: 0.5 },
+            { x: 1, y: 0.5 },
+        ]
+    }
+    if (kind === 'path') {
+        return [
+            { x: 0, y: 0.8 },
+            { x: 0.33, y: 0.2 },
+            { x: 0.66, y: 0.8 },
+            { x: 1, y: 0.2 },
+        ]
+    }
+    return []
+}
+
+/**
+ * Regular polygon vertices inscribed in the box (first vertex at top center).
+ * @param {number} sides
+ * @param {number} w
+ * @param {number} h
+ * @param {number} [inset] keep strokes inside the box
+ * @returns {ShapePoint[]}
+ */
+export function regularPolygonVertices(sides, w, h, inset = 0) {
+    const n = clamp(Math.round(sides) || SHAPE_MIN_SIDES, SHAPE_MIN_SIDES, SHAPE_MAX_SIDES)
+    const rx = Math.max(0, w / 2 - inset)
+    const ry = Math.max(0, h / 2 - inset)
+    const out = []
+    for (let i = 0; i < n; i++) {
+        const a = -Math.PI / 2 + (i * 2 * Math.PI) / n
+        out.push({ x: w / 2 + rx * Math.cos(a), y: h / 2 + ry * Math.sin(a) })
+    }
+    return out
+}
+
+/**
+ * Star vertices alternating outer / inner radius (first point at top center).
+ * @param {number} points
+ * @param {number} innerRatio 0.1–0.95 of the outer radius
+ * @param {number} w
+ * @param {number} h
+ * @param {number} [inset]
+ * @returns {ShapePoint[]}
+ */
+export function starVertices(points, innerRatio, w, h, inset = 0) {
+    const n = clamp(Math.round(points) || 5, SHAPE_MIN_SIDES, SHAPE_MAX_SIDES)
+    const k = clamp(Number.isFinite(innerRatio) ? innerRatio : 0.5, 0.1, 0.95)
+    const rx = Math.max(0, w / 2 - inset)
+    const ry = Math.max(0, h / 2 - inset)
+    const out = []
+    for (let i = 0; i < n * 2; i++) {
+        const a = -Math.PI / 2 + (i * Math.PI) / n
+        const f = i % 2 === 0 ? 1 : k
+        out.push({ x: w / 2 + rx * f * Math.cos(a), y: h / 2 + ry * f * Math.sin(a) })
+    }
+    return out
+}
+
+/**
+ * @param {ShapePoint[]} pts
+ * @param {boolean} closed
+ * @returns {string}
+ */
+export function pointsToSvgPath(pts, closed) {
+    if (pts.length === 0) {
+        return ''
+    }
+    const [first, ...rest] = pts
+    const d = [`M${r2(first.x)} ${r2(first.y)}`, ...rest.map((p) => `L${r2(p.x)} ${r2(p.y)}`)]
+    if (closed) {
+        d.push('Z')
+    }
+    return d.join(' ')
+}
+
+/**
+ * Arrowhead length for a given stroke width (px).
+ * @param {number} strokeWidth
+ */
+export function arrowHeadLength(strokeWidth) {
+    return Math.max(10, (Number(strokeWidth) || 0) * 3.5)
+}
+
+/**
+ * Filled triangular head with its tip on `tip`, pointing away from `from`.
+ * @param {ShapePoint} tip
+ * @param {ShapePoint} from
+ * @param {number} length
+ * @returns {ShapePoint[]}
+ */
+export function arrowHeadVertices(tip, from, length) {
+    const dx = tip.x - from.x
+    const dy = tip.y - from.y
+    const len = Math.hypot(dx, dy) || 1
+    const ux = dx / len
+    const uy = dy / len
+    const half = length * 0.45
+    const bx = tip.x - ux * length
+    const by = tip.y - uy * length
+    return [
+        { x: tip.x, y: tip.y },
+        { x: bx - uy * half, y: by + ux * half },
+        { x: bx + uy * half, y: by - ux * half },
+    ]
+}
+
+/**
+ * Pull an endpoint back toward its neighbour so a butt/round cap does not poke through the arrow tip.
+ * @param {ShapePoint} end
+ * @param {ShapePoint} neighbour
+ * @param {number} by
+ * @returns {ShapePoint}
+ */
+function retract(end, neighbour, by) {
+    const dx = end.x - neighbour.x
+    const dy = end.y - neighbour.y
+    const len = Math.hypot(dx, dy)
+    if (len <= by || len === 0) {
+        return { x: neighbour.x, y: neighbour.y }
+    }
+    return { x: end.x - (dx / len) * by, y: end.y - (dy / len) * by }
+}
+
+/**
+ * Layer-local geometry: `body` is stroked (and filled when closed); `heads` are filled with the stroke color.
+ * @param {ShapeLike} layer
+ * @param {number} w
+ * @param {number} h
+ * @returns {ShapeGeometry}
+ */
+export function buildShapeGeometry(layer, w, h) {
+    const sw = Math.max(0, Number(layer.strokeWidth) || 0)
+    const inset = sw / 2
+    if (layer.shape === 'polygon') {
+        return { body: pointsToSvgPath(regularPolygonVertices(layer.sides ?? 6, w, h, inset), true), closed: true, heads: [] }
+    }
+    if (layer.shape === 'star') {
+        const v = starVertices(layer.starPoints ?? 5, layer.innerRadius ?? 0.5, w, h, inset)
+        return { body: pointsToSvgPath(v, true), closed: true, heads: [] }
+    }
+    const norm = Array.isArray(layer.points) && layer.points.length >= 2 ? layer.points : defaultShapePoints(layer.shape)
+    const pts = norm.map((p) => ({ x: clamp(Number(p.x) || 0, 0, 1) * w, y: clamp(Number(p.y) || 0, 0, 1) * h }))
+    const closed = layer.shape === 'path' && Boolean(layer.closed)
+    if (closed || pts.length < 2) {
+        return { body: pointsToSvgPath(pts, closed), closed, heads: [] }
+    }
+    const wantEnd = layer.arrowEnd ?? layer.shape === 'arrow'
+    const wantStart = Boolean(layer.arrowStart)
+    const headLen = arrowHeadLength(sw)
+    const heads = []
+    const body = pts.slice()
+    const last = pts.length - 1
+    if (wantEnd) {
+        heads.push(pointsToSvgPath(arrowHeadVertices(pts[last], pts[last - 1], headLen), true))
+        body[last] = retract(pts[last], pts[last - 1], headLen * 0.8)
+    }
+    if (wantStart) {
+        heads.push(pointsToSvgPath(arrowHeadVertices(pts[0], pts[1], headLen), true))
+        body[0] = retract(pts[0], pts[1], headLen * 0.8)
+    }
+    return { body: pointsToSvgPath(body, false), closed: false, heads }
+}
+
+/**
+ * Fit absolute (document-space) points into a new transform box and return normalized points.
+ * A degenerate axis (e.g. a horizontal line) gets `minSize` so the box stays selectable.
+ *
+ * @param {ShapePoint[]} absPoints
+ * @param {number} [minSize]
+ * @returns {{ rect: { x: number, y: number, width: number, height: number }, points: ShapePoint[] }}
+ */
+export function reframeShapePoints(absPoints, minSize = 8) {
+    const xs = absPoints.map((p) => p.x)
+    const ys = absPoints.map((p) => p.y)
+    let x0 = Math.min(...xs)
+    let x1 = Math.max(...xs)
+    let y0 = Math.min(...ys)
+    let y1 = Math.max(...ys)
+    if (x1 - x0 < minSize) {
+        const c = (x0 + x1) / 2
+        x0 = c - minSize / 2
+        x1 = c + minSize / 2
+    }
+    if (y1 - y0 < minSize) {
+        const c = (y0 + y1) / 2
+        y0 = c - minSize / 2
+        y1 = c + minSize / 2
+    }
+    const width = x1 - x0
+    const height = y1 - y0
+    return {
+        rect: { x: x0, y: y0, width, height },
+        points: absPoints.map((p) => ({
+            x: Math.round(((p.x - x0) / width) * 10000) / 10000,
+            y: Math.round(((p.y - y0) / height) * 10000) / 10000,
+        })),
+    }
+}
+
+/**
+ * Constrain `p` so the segment from `anchor` lies on a 45° increment (Shift while dragging a point).
+ * @param {ShapePoint} anchor
+ * @param {ShapePoint} p
+ * @param {number} [stepDeg]
+ * @returns {ShapePoint}
+ */
+export function constrainToAngleStep(anchor, p, stepDeg = 45) {
+    const dx = p.x - anchor.x
+    const dy = p.y - anchor.y
+    const len = Math.hypot(dx, dy)
+    if (len === 0) {
+        return { x: p.x, y: p.y }
+    }
+    const step = (stepDeg * Math.PI) / 180
+    const a = Math.round(Math.atan2(dy, dx) / step) * step
+    return { x: anchor.x + Math.cos(a) * len, y: anchor.y + Math.sin(a) * len }
+}
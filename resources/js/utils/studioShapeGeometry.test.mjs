@@ -0,0 +1,79 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    arrowHeadLength,
+    buildShapeGeometry,
+    constrainToAngleStep,
+    pointsToSvgPath,
+    reframeShapePoints,
+    regularPolygonVertices,
+    starVertices,
+} from './studioShapeGeometry.mjs'
+
+test('pointsToSvgPath rounds and closes', () => {
+    assert.equal(
+        pointsToSvgPath(
+            [
+                { x: 0, y: 0 },
+                { x: 10.456, y: 5 },
+            ],
+            true
+        ),
+        'M0 0 L10.46 5 Z'
+    )
+    assert.equal(pointsToSvgPath([], false), '')
+})
+
+test('polygon and star vertex counts, first vertex at top center', () => {
+    const hex = regularPolygonVertices(6, 100, 100)
+    assert.equal(hex.length, 6)
+    assert.ok(Math.abs(hex[0].x - 50) < 1e-9)
+    assert.ok(Math.abs(hex[0].y - 0) < 1e-9)
+    assert.equal(regularPolygonVertices(50, 100, 100).length, 12)
+    const star = starVertices(5, 0.4, 100, 100, 2)
+    assert.equal(star.length, 10)
+    assert.ok(Math.abs(star[0].y - 2) < 1e-9)
+})
+
+test('arrow geometry: head at the end, body retracted', () => {
+    const g = buildShapeGeometry({ shape: 'arrow', strokeWidth: 4, points: [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }] }, 200, 20)
+    assert.equal(g.closed, false)
+    assert.equal(g.heads.length, 1)
+    assert.ok(g.heads[0].startsWith('M200 10'))
+    const headLen = arrowHeadLength(4)
+    assert.ok(g.body.endsWith(`L${200 - headLen * 0.8} 10`))
+})
+
+test('line with both heads; closed path has no heads', () => {
+    const line = buildShapeGeometry({ shape: 'line', strokeWidth: 2, arrowStart: true, arrowEnd: true }, 100, 10)
+    assert.equal(line.heads.length, 2)
+    const path = buildShapeGeometry(
+        { shape: 'path', closed: true, arrowEnd: true, points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0.5, y: 1 }] },
+        10,
+        10
+    )
+    assert.equal(path.heads.length, 0)
+    assert.equal(path.body, 'M0 0 L10 0 L5 10 Z')
+})
+
+test('reframeShapePoints normalizes into the bounding box and pads flat lines', () => {
+    const r = reframeShapePoints(
+        [
+            { x: 100, y: 200 },
+            { x: 300, y: 200 },
+        ],
+        10
+    )
+    assert.deepEqual(r.rect, { x: 100, y: 195, width: 200, height: 10 })
+    assert.deepEqual(r.points, [
+        { x: 0, y: 0.5 },
+        { x: 1, y: 0.5 },
+    ])
+})
+
+test('constrainToAngleStep snaps to 45 degree increments', () => {
+    const p = constrainToAngleStep({ x: 0, y: 0 }, { x: 10, y: 1 })
+    assert.ok(Math.abs(p.y) < 1e-9)
+    const d = constrainToAngleStep({ x: 0, y: 0 }, { x: 10, y: 9 })
+    assert.ok(Math.abs(d.x - d.y) < 1e-9)
+})
@@ -0,0 +1,414 @@
+/**
+ * Object-to-object smart guides for the Studio canvas: snapping a dragged box to the edges and centers of
+ * the other layers, equal-spacing detection, live distance readouts, and the align / distribute commands.
+ *
+ * Complements the grid snap in `snapEngine.ts` — everything here is in document pixels and ignores
+ * rotation (layers are measured by their transform box, like the grid snap).
+ */
+
+/**
+ * @typedef {{ x: number, y: number, width: number, height: number }} Rect
+ * @typedef {'nw' | 'ne' | 'sw' | 'se'} ResizeCorner
+ */
+
+/**
+ * A matched alignment: `kind: 'v'` is a vertical line at x = `at` spanning y `from`…`to`; `'h'` is horizontal.
+ * @typedef {{ kind: 'v' | 'h', at: number, from: number, to: number }} SmartGuide
+ */
+
+/**
+ * A distance readout: `axis: 'x'` measures horizontally from x `from` to x `to`, drawn at y = `at`.
+ * `equal` marks gaps matched by equal-spacing snap.
+ * @typedef {{ axis: 'x' | 'y', from: number, to: number, at: number, distance: number, equal?: boolean }} SpacingMark
+ */
+
+/**
+ * @typedef {{ x: number, y: number, snappedX: boolean, snappedY: boolean, equalSpacing: SpacingMark[] }} SmartMoveSnap
+ * @typedef {Rect & { snappedX: boolean, snappedY: boolean }} SmartResizeSnap
+ * @typedef {'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom'} AlignMode
+ */
+
+/** Positions closer than this (doc px) count as aligned when drawing guides. */
+const ALIGNED_EPSILON = 0.5
+
+/** @param {'x' | 'y'} axis */
+const startKey = (axis) => (axis === 'x' ? 'x' : 'y')
+/** @param {'x' | 'y'} axis */
+const sizeKey = (axis) => (axis === 'x' ? 'width' : 'height')
+/** @param {'x' | 'y'} axis */
+const crossAxis = (axis) => (axis === 'x' ? 'y' : 'x')
+
+/**
+ * Start, center and end of a rect along one axis.
+ * @param {Rect} r
+ * @param {'x' | 'y'} axis
+ * @returns {[number, number, number]}
+ */
+function anchors(r, axis) {
+    const s = r[startKey(axis)]
+    const len = r[sizeKey(axis)]
+    return [s, s + len / 2, s + len]
+}
+
+/**
+ * Whether two rects overlap on the cross axis of `axis` (i.e. sit in the same row for `x`, column for `y`).
+ * @param {Rect} a
+ * @param {Rect} b
+ * @param {'x' | 'y'} axis
+ */
+function sharesBand(a, b, axis) {
+    const c = crossAxis(axis)
+    const a0 = a[startKey(c)]
+    const b0 = b[startKey(c)]
+    return a0 < b0 + b[sizeKey(c)] && b0 < a0 + a[sizeKey(c)]
+}
+
+/**
+ * Alignment targets along one axis: every other layer's start / center / end plus the canvas edges and center.
+ * @param {Rect[]} others
+ * @param {'x' | 'y'} axis
+ * @param {number} docLen
+ */
+function alignmentTargets(others, axis, docLen) {
+    /** @type {number[]} */
+    const out = [0, docLen / 2, docLen]
+    for (const o of others) out.push(...anchors(o, axis))
+    return out
+}
+
+/**
+ * The smallest shift (within `threshold`) that lands one of `moving` on one of `targets`.
+ * @param {number[]} moving
+ * @param {number[]} targets
+ * @param {number} threshold
+ * @returns {number | null}
+ */
+function nearestDelta(moving, targets, threshold) {
+    /** @type {number | null} */
+    let best = null
+    for (const m of moving) {
+        for (const t of targets) {
+            const d = t - m
+            if (Math.abs(d) <= threshold && (best === null || Math.abs(d) < Math.abs(best))) {
+                best = d
+            }
+        }
+    }
+    return best
+}
+
+/**
+ * Gap readout between two rects along `axis` (`a` before `b`), drawn through the middle of their shared band.
+ * @param {Rect} a
+ * @param {Rect} b
+ * @param {'x' | 'y'} axis
+ * @returns {SpacingMark}
+ */
+function gapMark(a, b, axis) {
+    const c = crossAxis(axis)
+    const lo = Math.max(a[startKey(c)], b[startKey(c)])
+    const hi = Math.min(a[startKey(c)] + a[sizeKey(c)], b[startKey(c)] + b[sizeKey(c)])
+    const from = a[startKey(axis)] + a[sizeKey(axis)]
+    const to = b[startKey(axis)]
+    return { axis, from, to, at: (lo + hi) / 2, distance: Math.round(to - from) }
+}
+
+/**
+ * Equal-spacing candidates along `axis` for `rect` among the layers sharing its row / column:
+ * centered between its two neighbours, or repeating a gap that already exists between two neighbours.
+ * @param {Rect} rect
+ * @param {Rect[]} others
+ * @param {'x' | 'y'} axis
+ * @param {number} threshold
+ * @returns {{ delta: number, marks: SpacingMark[] } | null}
+ */
+function equalSpacingCandidate(rect, others, axis, threshold) {
+    const s = startKey(axis)
+    const z = sizeKey(axis)
+    const peers = others.filter((o) => sharesBand(o, rect, axis)).sort((a, b) => a[s] - b[s])
+    const start = rect[s]
+    const end = rect[s] + rect[z]
+    /** @type {Rect | null} */
+    let before = null
+    /** @type {Rect | null} */
+    let after = null
+    for (const p of peers) {
+        if (p[s] + p[z] <= start + threshold && (!before || p[s] + p[z] > before[s] + before[z])) before = p
+        if (p[s] >= end - threshold && (!after || p[s] < after[s])) after = p
+    }
+
+    /** @type {{ delta: number, marks: SpacingMark[] } | null} */
+    let best = null
+    /** @param {number} delta @param {() => SpacingMark[]} marks */
+    const consider = (delta, marks) => {
+        if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+            best = { delta, marks: marks() }
+        }
+    }
+    /** @param {number} delta */
+    const moved = (delta) => ({ ...rect, [s]: rect[s] + delta })
+
+    if (before && after) {
+        const b = before
+        const a = after
+        const delta = (b[s] + b[z] + a[s] - rect[z]) / 2 - start
+        consider(delta, () => {
+            const r = moved(delta)
+            return [gapMark(b, r, axis), gapMark(r, a, axis)]
+        })
+    }
+    for (let i = 1; i < peers.length; i++) {
+        const p = peers[i - 1]
+        const q = peers[i]
+        const gap = q[s] - (p[s] + p[z])
+        if (gap <= 0 || p === rect || q === rect) continue
+        const existing = gapMark(p, q, axis)
+        if (before) {
+            const b = before
+            const delta = b[s] + b[z] + gap - start
+            consider(delta, () => [existing, gapMark(b, moved(delta), axis)])
+        }
+        if (after) {
+            const a = after
+            const delta = a[s] - gap - rect[z] - start
+            consider(delta, () => [gapMark(moved(delta), a, axis), existing])
+        }
+    }
+    if (!best) return null
+    const found = /** @type {{ delta: number, marks: SpacingMark[] }} */ (best)
+    return { delta: found.delta, marks: found.marks.map((m) => ({ ...m, equal: true })) }
+}
+
+/**
+ * Snap a dragged box to the other layers: its left / center / right (top / middle / bottom) onto theirs or the
+ * canvas', or into an equal-spacing slot. Each axis snaps independently to its nearest candidate.
+ * @param {{ rect: Rect, others: Rect[], docW: number, docH: number, thresholdDoc: number }} args
+ * @returns {SmartMoveSnap}
+ */
+export function snapRectToObjects({ rect, others, docW, docH, thresholdDoc }) {
+    let x = rect.x
+    let y = rect.y
+    let snappedX = false
+    let snappedY = false
+    /** @type {SpacingMark[]} */
+    const equalSpacing = []
+    for (const axis of /** @type {const} */ (['x', 'y'])) {
+        const align = nearestDelta(anchors(rect, axis), alignmentTargets(others, axis, axis === 'x' ? docW : docH), thresholdDoc)
+        const spacing = equalSpacingCandidate(rect, others, axis, thresholdDoc)
+        /** @type {number | null} */
+        let delta = align
+        if (spacing && (delta === null || Math.abs(spacing.delta) <= Math.abs(delta) + ALIGNED_EPSILON)) {
+            delta = spacing.delta
+            equalSpacing.push(...spacing.marks)
+        }
+        if (delta === null) continue
+        if (axis === 'x') {
+            x += delta
+            snappedX = true
+        } else {
+            y += delta
+            snappedY = true
+        }
+    }
+    return { x, y, snappedX, snappedY, equalSpacing }
+}
+
+/**
+ * Snap the edges a resize handle moves onto the other layers' edges / centers or the canvas'.
+ * Only call for free (not aspect-locked) resizes — each edge moves independently.
+ * @param {{ rect: Rect, corner: ResizeCorner, others: Rect[], docW: number, docH: number, thresholdDoc: number, minSize?: number }} args
+ * @returns {SmartResizeSnap}
+ */
+export function snapResizeToObjects({ rect, corner, others, docW, docH, thresholdDoc, minSize = 1 }) {
+    const out = { ...rect, snappedX: false, snappedY: false }
+    const movesLeft = corner === 'nw' || corner === 'sw'
+    const movesTop = corner === 'nw' || corner === 'ne'
+
+    const dx = nearestDelta([movesLeft ? rect.x : rect.x + rect.width], alignmentTargets(others, 'x', docW), thresholdDoc)
+    if (dx !== null && rect.width + (movesLeft ? -dx : dx) >= minSize) {
+        if (movesLeft) out.x += dx
+        out.width += movesLeft ? -dx : dx
+        out.snappedX = true
+    }
+    const dy = nearestDelta([movesTop ? rect.y : rect.y + rect.height], alignmentTargets(others, 'y', docH), thresholdDoc)
+    if (dy !== null && rect.height + (movesTop ? -dy : dy) >= minSize) {
+        if (movesTop) out.y += dy
+        out.height += movesTop ? -dy : dy
+        out.snappedY = true
+    }
+    return out
+}
+
+/**
+ * Guides for every alignment the box currently has with the other layers or the canvas center / edges.
+ * Layer guides span both boxes; canvas guides span the canvas.
+ * @param {Rect} rect
+ * @param {Rect[]} others
+ * @param {number} docW
+ * @param {number} docH
+ * @returns {SmartGuide[]}
+ */
+export function smartGuidesForRect(rect, others, docW, docH) {
+    /** @type {Map<string, SmartGuide>} */
+    const byLine = new Map()
+    /** @param {'v' | 'h'} kind @param {number} at @param {number} from @param {number} to */
+    const add = (kind, at, from, to) => {
+        const key = `${kind}:${Math.round(at * 2) / 2}`
+        const prev = byLine.get(key)
+        byLine.set(key, prev ? { ...prev, from: Math.min(prev.from, from), to: Math.max(prev.to, to) } : { kind, at, from, to })
+    }
+    for (const axis of /** @type {const} */ (['x', 'y'])) {
+        const kind = axis === 'x' ? 'v' : 'h'
+        const c = crossAxis(axis)
+        const mine = anchors(rect, axis)
+        const rectLo = rect[startKey(c)]
+        const rectHi = rectLo + rect[sizeKey(c)]
+        for (const o of others) {
+            const lo = Math.min(rectLo, o[startKey(c)])
+            const hi = Math.max(rectHi, o[startKey(c)] + o[sizeKey(c)])
+            for (const t of anchors(o, axis)) {
+                if (mine.some((m) => Math.abs(m - t) < ALIGNED_EPSILON)) add(kind, t, lo, hi)
+            }
+        }
+        const docLen = axis === 'x' ? docW : docH
+        const docCross = axis === 'x' ? docH : docW
+        for (const t of [0, docLen / 2, docLen]) {
+            if (mine.some((m) => Math.abs(m - t) < ALIGNED_EPSILON)) add(kind, t, 0, docCross)
+        }
+    }
+    return [...byLine.values()]
+}
+
+/**
+ * Distance readouts from the box to its nearest neighbour on each side (layers sharing its row / column),
+ * falling back to the canvas edge. Overlapping neighbours and zero distances are skipped.
+ * @param {Rect} rect
+ * @param {Rect[]} others
+ * @param {number} docW
+ * @param {number} docH
+ * @returns {SpacingMark[]}
+ */
+export function measureSpacing(rect, others, docW, docH) {
+    /** @type {SpacingMark[]} */
+    const out = []
+    for (const axis of /** @type {const} */ (['x', 'y'])) {
+        const s = startKey(axis)
+        const z = sizeKey(axis)
+        const c = crossAxis(axis)
+        const mid = rect[startKey(c)] + rect[sizeKey(c)] / 2
+        const start = rect[s]
+        const end = rect[s] + rect[z]
+        /** @type {Rect | null} */
+        let before = null
+        /** @type {Rect | null} */
+        let after = null
+        for (const o of others) {
+            if (!sharesBand(o, rect, axis)) continue
+            if (o[s] + o[z] <= start && (!before || o[s] + o[z] > before[s] + before[z])) before = o
+            if (o[s] >= end && (!after || o[s] < after[s])) after = o
+        }
+        const docLen = axis === 'x' ? docW : docH
+        const beforeMark = before
+            ? gapMark(before, rect, axis)
+            : { axis, from: 0, to: start, at: mid, distance: Math.round(start) }
+        const afterMark = after
+            ? gapMark(rect, after, axis)
+            : { axis, from: end, to: docLen, at: mid, distance: Math.round(docLen - end) }
+        for (const m of [beforeMark, afterMark]) {
+            if (m.to - m.from > ALIGNED_EPSILON) out.push(m)
+        }
+    }
+    return out
+}
+
+/**
+ * Merge readouts, letting equal-spacing marks replace plain readouts of the same gap.
+ * @param {SpacingMark[]} equal
+ * @param {SpacingMark[]} measured
+ * @returns {SpacingMark[]}
+ */
+export function mergeSpacingMarks(equal, measured) {
+    const same = (/** @type {SpacingMark} */ a, /** @type {SpacingMark} */ b) =>
+        a.axis === b.axis && Math.abs(a.from - b.from) < ALIGNED_EPSILON && Math.abs(a.to - b.to) < ALIGNED_EPSILON
+    return [...equal, ...measured.filter((m) => !equal.some((e) => same(e, m)))]
+}
+
+/**
+ * Bounding box of several rects.
+ * @param {Rect[]} rects
+ * @returns {Rect | null}
+ */
+export function unionRect(rects) {
+    if (rects.length === 0) return null
+    let x0 = Infinity
+    let y0 = Infinity
+    let x1 = -Infinity
+    let y1 = -Infinity
+    for (const r of rects) {
+        x0 = Math.min(x0, r.x)
+        y0 = Math.min(y0, r.y)
+        x1 = Math.max(x1, r.x + r.width)
+        y1 = Math.max(y1, r.y + r.height)
+    }
+    return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 }
+}
+
+/**
+ * Align boxes to an edge or center of `bounds` (their union by default — pass the canvas to align one box
+ * to the page). Returns copies in input order; only `x` or `y` changes.
+ * @template {Rect} T
+ * @param {T[]} rects
+ * @param {AlignMode} mode
+ * @param {Rect | null} [bounds]
+ * @returns {T[]}
+ */
+export function alignRects(rects, mode, bounds = null) {
+    const b = bounds ?? unionRect(rects)
+    if (!b) return []
+    return rects.map((r) => {
+        switch (mode) {
+            case 'left':
+                return { ...r, x: b.x }
+            case 'center':
+                return { ...r, x: b.x + (b.width - r.width) / 2 }
+            case 'right':
+                return { ...r, x: b.x + b.width - r.width }
+            case 'top':
+                return { ...r, y: b.y }
+            case 'middle':
+                return { ...r, y: b.y + (b.height - r.height) / 2 }
+            case 'bottom':
+                return { ...r, y: b.y + b.height - r.height }
+            default:
+                return { ...r }
+        }
+    })
+}
+
+/**
+ * Distribute boxes so the gaps between them are equal along `axis`; the first and last (by position) stay put.
+ * Needs three or more boxes — fewer are returned unchanged. Returns copies in input order.
+ * @template {Rect} T
+ * @param {T[]} rects
+ * @param {'x' | 'y'} axis
+ * @returns {T[]}
+ */
+export function distributeRects(rects, axis) {
+    if (rects.length < 3) return rects.map((r) => ({ ...r }))
+    const s = startKey(axis)
+    const z = sizeKey(axis)
+    const order = rects.map((r, i) => ({ r, i })).sort((a, b) => a.r[s] - b.r[s] || a.i - b.i)
+    const first = order[0].r
+    const last = order[order.length - 1].r
+    const span = last[s] + last[z] - first[s]
+    const total = rects.reduce((sum, r) => sum + r[z], 0)
+    const gap = (span - total) / (rects.length - 1)
+    /** @type {T[]} */
+    const out = rects.map((r) => ({ ...r }))
+    let cursor = first[s]
+    for (const { r, i } of order) {
+        out[i] = { ...r, [s]: cursor }
+        cursor += r[z] + gap
+    }
+    return out
+}
@@ -0,0 +1,120 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    alignRects,
+    distributeRects,
+    measureSpacing,
+    mergeSpacingMarks,
+    smartGuidesForRect,
+    snapRectToObjects,
+    snapResizeToObjects,
+} from './studioSmartGuides.mjs'
+
+const doc = { docW: 1000, docH: 1000 }
+
+test('snaps edges and centers to other layers and draws the matched guides', () => {
+    const others = [{ x: 100, y: 100, width: 200, height: 100 }]
+    // Left edge 3px off the other layer's left edge, center 4px off its vertical center.
+    const res = snapRectToObjects({ rect: { x: 103, y: 404, width: 50, height: 50 }, others, ...doc, thresholdDoc: 8 })
+    assert.equal(res.x, 100)
+    assert.equal(res.snappedX, true)
+    // Nearest y candidate is the canvas center (429 → 500 is too far; top 404 has nothing near): no y snap.
+    assert.equal(res.snappedY, false)
+    assert.equal(res.y, 404)
+
+    const guides = smartGuidesForRect({ x: 100, y: 404, width: 50, height: 50 }, others, doc.docW, doc.docH)
+    assert.deepEqual(guides, [{ kind: 'v', at: 100, from: 100, to: 454 }])
+
+    const centered = smartGuidesForRect({ x: 475, y: 475, width: 50, height: 50 }, [], doc.docW, doc.docH)
+    assert.deepEqual(centered, [
+        { kind: 'v', at: 500, from: 0, to: 1000 },
+        { kind: 'h', at: 500, from: 0, to: 1000 },
+    ])
+})
+
+test('detects equal spacing between neighbours and repeats existing gaps', () => {
+    const a = { x: 0, y: 0, width: 100, height: 100 }
+    const b = { x: 400, y: 0, width: 100, height: 100 }
+    // Between a and b: the centered slot is x = 200 (gaps of 100 on both sides).
+    const between = snapRectToObjects({ rect: { x: 205, y: 0, width: 100, height: 100 }, others: [a, b], ...doc, thresholdDoc: 8 })
+    assert.equal(between.x, 200)
+    assert.deepEqual(
+        between.equalSpacing.map((m) => [m.from, m.to, m.distance, m.equal]),
+        [
+            [100, 200, 100, true],
+            [300, 400, 100, true],
+        ]
+    )
+
+    // Right of b: repeat the a→b gap of 300.
+    const repeat = snapRectToObjects({ rect: { x: 795, y: 10, width: 50, height: 50 }, others: [a, b], ...doc, thresholdDoc: 8 })
+    assert.equal(repeat.x, 800)
+    assert.deepEqual(
+        repeat.equalSpacing.map((m) => m.distance),
+        [300, 300]
+    )
+})
+
+test('measures distances to the nearest neighbour or canvas edge and snaps moving resize edges', () => {
+    const rect = { x: 300, y: 300, width: 100, height: 100 }
+    const marks = measureSpacing(rect, [{ x: 100, y: 350, width: 50, height: 20 }], doc.docW, doc.docH)
+    assert.deepEqual(
+        marks.map((m) => [m.axis, m.from, m.to, m.distance]),
+        [
+            ['x', 150, 300, 150],
+            ['x', 400, 1000, 600],
+            ['y', 0, 300, 300],
+            ['y', 400, 1000, 600],
+        ]
+    )
+    const merged = mergeSpacingMarks([{ axis: 'x', from: 150, to: 300, at: 360, distance: 150, equal: true }], marks)
+    assert.equal(merged.length, 4)
+    assert.equal(merged[0].equal, true)
+
+    const resized = snapResizeToObjects({
+        rect: { x: 300, y: 300, width: 196, height: 103 },
+        corner: 'se',
+        others: [{ x: 500, y: 0, width: 100, height: 100 }],
+        ...doc,
+        thresholdDoc: 8,
+    })
+    assert.deepEqual(resized, { x: 300, y: 300, width: 200, height: 103, snappedX: true, snappedY: false })
+})
+
+test('aligns to the selection bounds and distributes with equal gaps', () => {
+    const rects = [
+        { id: 'a', x: 10, y: 0, width: 100, height: 50 },
+        { id: 'b', x: 200, y: 100, width: 50, height: 20 },
+    ]
+    assert.deepEqual(
+        alignRects(rects, 'right').map((r) => [r.id, r.x]),
+        [
+            ['a', 150],
+            ['b', 200],
+        ]
+    )
+    assert.deepEqual(
+        alignRects(rects, 'middle').map((r) => r.y),
+        [35, 50]
+    )
+    assert.deepEqual(
+        alignRects([rects[0]], 'center', { x: 0, y: 0, width: 1000, height: 1000 }).map((r) => r.x),
+        [450]
+    )
+
+    const row = [
+        { id: 'c', x: 500, y: 0, width: 100, height: 10 },
+        { id: 'a', x: 0, y: 0, width: 100, height: 10 },
+        { id: 'b', x: 120, y: 0, width: 60, height: 10 },
+    ]
+    const out = distributeRects(row, 'x')
+    assert.deepEqual(
+        out.map((r) => [r.id, r.x]),
+        [
+            ['c', 500],
+            ['a', 0],
+            ['b', 270],
+        ]
+    )
+    assert.deepEqual(distributeRects(row.slice(0, 2), 'x'), row.slice(0, 2))
+})
@@ -0,0 +1,303 @@
+/**
+ * Rich text runs for Studio `text` layers.
+ *
+ * `content` stays the canonical plain string (auto-fit, copy assist, semantic sync and exports all read it);
+ * `runs` is an optional styling overlay whose texts concatenate to `content`. Anything that rewrites
+ * `content` without knowing about runs (copy assist, `previousText` revert, older clients) leaves the overlay
+ * stale — {@link reconcileTextRuns} maps it onto the new string by keeping the styles of the unchanged
+ * prefix and suffix, so styling degrades gracefully instead of being lost or misapplied.
+ *
+ * Offsets are UTF-16 indices into `content` (same as DOM `Selection` offsets).
+ *
+ * @typedef {{
+ *   text: string,
+ *   bold?: boolean,
+ *   italic?: boolean,
+ *   underline?: boolean,
+ *   color?: string,
+ *   fontFamily?: string,
+ * }} TextRunLike
+ * @typedef {Omit<TextRunLike, 'text'>} TextRunStyle
+ * @typedef {'none' | 'bullet' | 'number'} TextListStyle
+ */
+
+/** Style keys a run may carry; everything else on the layer `style` applies to the whole text. */
+export const TEXT_RUN_STYLE_KEYS = Object.freeze(['bold', 'italic', 'underline', 'color', 'fontFamily'])
+
+/** Upper bound on stored runs (mirrors the semantic apply validation on the server). */
+export const TEXT_RUNS_MAX = 512
+
+/**
+ * @param {unknown} raw
+ * @returns {TextRunStyle}
+ */
+function runStyle(raw) {
+    /** @type {TextRunStyle} */
+    const out = {}
+    if (!raw || typeof raw !== 'object') {
+        return out
+    }
+    const o = /** @type {Record<string, unknown>} */ (raw)
+    if (o.bold === true) out.bold = true
+    if (o.italic === true) out.italic = true
+    if (o.underline === true) out.underline = true
+    if (typeof o.color === 'string' && /^#[0-9a-fA-F]{6}$/.test(o.color.trim())) out.color = o.color.trim()
+    if (typeof o.fontFamily === 'string' && o.fontFamily.trim() !== '') out.fontFamily = o.fontFamily.trim()
+    return out
+}
+
+/** @param {TextRunStyle} a @param {TextRunStyle} b */
+function sameStyle(a, b) {
+    return TEXT_RUN_STYLE_KEYS.every((k) => a[/** @type {keyof TextRunStyle} */ (k)] === b[/** @type {keyof TextRunStyle} */ (k)])
+}
+
+/** @param {TextRunStyle} s */
+function isPlainStyle(s) {
+    return Object.keys(s).length === 0
+}
+
+/**
+ * @param {unknown} runs
+ * @returns {string}
+ */
+export function textRunsPlainText(runs) {
+    if (!Array.isArray(runs)) {
+        return ''
+    }
+    return runs.map((r) => (r && typeof r === 'object' && typeof r.text === 'string' ? r.text : '')).join('')
+}
+
+/**
+ * Sanitize runs: unknown keys dropped, empty runs removed, adjacent runs with identical style merged, and
+ * runs past {@link TEXT_RUNS_MAX} folded into one unstyled last run. Returns `undefined` when nothing is
+ * styled so plain layers stay plain.
+ *
+ * @param {unknown} runs
+ * @returns {TextRunLike[] | undefined}
+ */
+export function normalizeTextRuns(runs) {
+    if (!Array.isArray(runs)) {
+        return undefined
+    }
+    /** @type {TextRunLike[]} */
+    const out = []
+    for (const r of runs) {
+        if (!r || typeof r !== 'object' || typeof r.text !== 'string' || r.text === '') {
+            continue
+        }
+        const style = runStyle(r)
+        const prev = out[out.length - 1]
+        if (prev && sameStyle(runStyle(prev), style)) {
+            prev.text += r.text
+        } else {
+            out.push({ text: r.text, ...style })
+        }
+    }
+    if (out.length > TEXT_RUNS_MAX) {
+        // Over the cap: the overflow becomes one unstyled run so the runs still spell out the whole text.
+        const tail = out.splice(TEXT_RUNS_MAX - 1).map((r) => r.text).join('')
+        const prev = out[out.length - 1]
+        if (prev && isPlainStyle(runStyle(prev))) {
+            prev.text += tail
+        } else {
+            out.push({ text: tail })
+        }
+    }
+    if (out.length === 0 || out.every((r) => isPlainStyle(runStyle(r)))) {
+        return undefined
+    }
+    return out
+}
+
+/**
+ * One style per UTF-16 unit of the runs' text.
+ * @param {TextRunLike[]} runs
+ * @returns {TextRunStyle[]}
+ */
+function expandStyles(runs) {
+    /** @type {TextRunStyle[]} */
+    const out = []
+    for (const r of runs) {
+        const s = runStyle(r)
+        for (let i = 0; i < r.text.length; i++) {
+            out.push(s)
+        }
+    }
+    return out
+}
+
+/**
+ * @param {string} text
+ * @param {TextRunStyle[]} styles same length as `text`
+ * @returns {TextRunLike[] | undefined}
+ */
+function collapseStyles(text, styles) {
+    /** @type {TextRunLike[]} */
+    const runs = []
+    for (let i = 0; i < text.length; i++) {
+        runs.push({ text: text[i], ...(styles[i] ?? {}) })
+    }
+    return normalizeTextRuns(runs)
+}
+
+/**
+ * Map `runs` onto `content`. Exact matches are returned normalized; otherwise the common prefix and suffix
+ * keep their styles; replaced characters take the style of what they replaced and pure insertions the style
+ * of the character before the caret (like typing in any text editor).
+ *
+ * @param {string} content
+ * @param {unknown} runs
+ * @returns {TextRunLike[] | undefined}
+ */
+export function reconcileTextRuns(content, runs) {
+    const norm = normalizeTextRuns(runs)
+    if (!norm) {
+        return undefined
+    }
+    const text = String(content ?? '')
+    const old = textRunsPlainText(norm)
+    if (old === text) {
+        return norm
+    }
+    if (text === '') {
+        return undefined
+    }
+    const oldStyles = expandStyles(norm)
+    let prefix = 0
+    const maxPrefix = Math.min(old.length, text.length)
+    while (prefix < maxPrefix && old[prefix] === text[prefix]) {
+        prefix++
+    }
+    let suffix = 0
+    const maxSuffix = Math.min(old.length, text.length) - prefix
+    while (suffix < maxSuffix && old[old.length - 1 - suffix] === text[text.length - 1 - suffix]) {
+        suffix++
+    }
+    // Replacements take the style of the first replaced character; pure insertions the one before the caret.
+    const replaced = old.length - prefix - suffix > 0
+    const inherit = (replaced || prefix === 0 ? oldStyles[prefix] : oldStyles[prefix - 1]) ?? {}
+    /** @type {TextRunStyle[]} */
+    const styles = []
+    for (let i = 0; i < text.length; i++) {
+        if (i < prefix) {
+            styles.push(oldStyles[i])
+        } else if (i >= text.length - suffix) {
+            styles.push(oldStyles[old.length - (text.length - i)])
+        } else {
+            styles.push(inherit)
+        }
+    }
+    return collapseStyles(text, styles)
+}
+
+/**
+ * Apply a style patch to `[start, end)`. `false` / `null` / `''` values clear that key.
+ *
+ * @param {string} content
+ * @param {unknown} runs current overlay (may be stale or absent)
+ * @param {number} start
+ * @param {number} end
+ * @param {Partial<Record<keyof TextRunStyle, boolean | string | null>>} patch
+ * @returns {TextRunLike[] | undefined}
+ */
+export function applyTextRunStyle(content, runs, start, end, patch) {
+    const text = String(content ?? '')
+    const lo = Math.max(0, Math.min(text.length, Math.min(start, end)))
+    const hi = Math.max(0, Math.min(text.length, Math.max(start, end)))
+    const base = reconcileTextRuns(text, runs)
+    const styles = base ? expandStyles(base) : text.split('').map(() => /** @type {TextRunStyle} */ ({}))
+    for (let i = lo; i < hi; i++) {
+        /** @type {Record<string, unknown>} */
+        const next = { ...styles[i] }
+        for (const [k, v] of Object.entries(patch)) {
+            if (!TEXT_RUN_STYLE_KEYS.includes(k)) {
+                continue
+            }
+            if (v === false || v === null || v === '' || v === undefined) {
+                delete next[k]
+            } else {
+                next[k] = v
+            }
+        }
+        styles[i] = runStyle(next)
+    }
+    return collapseStyles(text, styles)
+}
+
+/**
+ * Style shared by every character in `[start, end)` (collapsed ranges report the character before the caret).
+ * Boolean keys are `true` only when the whole range has them; color / font only when uniform.
+ *
+ * @param {string} content
+ * @param {unknown} runs
+ * @param {number} start
+ * @param {number} end
+ * @returns {TextRunStyle}
+ */
+export function textRunStyleInRange(content, runs, start, end) {
+    const text = String(content ?? '')
+    const base = reconcileTextRuns(text, runs)
+    if (!base || text === '') {
+        return {}
+    }
+    const styles = expandStyles(base)
+    let lo = Math.max(0, Math.min(text.length, Math.min(start, end)))
+    let hi = Math.max(0, Math.min(text.length, Math.max(start, end)))
+    if (lo === hi) {
+        lo = Math.max(0, lo - 1)
+        hi = lo + 1
+    }
+    const slice = styles.slice(lo, hi)
+    /** @type {TextRunStyle} */
+    const out = { ...slice[0] }
+    for (const s of slice) {
+        for (const k of /** @type {Array<keyof TextRunStyle>} */ (TEXT_RUN_STYLE_KEYS)) {
+            if (out[k] !== undefined && s[k] !== out[k]) {
+                delete out[k]
+            }
+        }
+    }
+    return out
+}
+
+/**
+ * Split into lines (on `\n`) of styled segments, for list rendering. Empty lines yield an empty array.
+ *
+ * @param {string} content
+ * @param {unknown} runs
+ * @returns {TextRunLike[][]}
+ */
+export function textRunsToParagraphs(content, runs) {
+    const text = String(content ?? '')
+    const base = reconcileTextRuns(text, runs) ?? (text === '' ? [] : [{ text }])
+    /** @type {TextRunLike[][]} */
+    const lines = [[]]
+    for (const r of base) {
+        const parts = r.text.split('\n')
+        parts.forEach((part, i) => {
+            if (i > 0) {
+                lines.push([])
+            }
+            if (part !== '') {
+                lines[lines.length - 1].push({ ...r, text: part })
+            }
+        })
+    }
+    return lines
+}
+
+/**
+ * Marker for the `index`-th non-empty list line (empty lines are skipped so spacing lines stay unmarked).
+ * @param {TextListStyle | null | undefined} listStyle
+ * @param {number} index
+ * @returns {string}
+ */
+export function textListMarker(listStyle, index) {
+    if (listStyle === 'bullet') {
+        return '•'
+    }
+    if (listStyle === 'number') {
+        return `${index + 1}.`
+    }
+    return ''
+}
@@ -0,0 +1,80 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    applyTextRunStyle,
+    normalizeTextRuns,
+    reconcileTextRuns,
+    TEXT_RUNS_MAX,
+    textListMarker,
+    textRunStyleInRange,
+    textRunsPlainText,
+    textRunsToParagraphs,
+} from './studioTextRuns.mjs'
+
+test('normalize merges equal neighbours, drops junk and collapses unstyled runs', () => {
+    assert.deepEqual(
+        normalizeTextRuns([
+            { text: 'Big ', bold: true },
+            { text: 'bold', bold: true, size: 99 },
+            { text: '' },
+            { text: ' deal', color: 'red' },
+        ]),
+        [{ text: 'Big bold', bold: true }, { text: ' deal' }]
+    )
+    assert.equal(normalizeTextRuns([{ text: 'plain' }, { text: ' text', italic: false }]), undefined)
+    assert.equal(textRunsPlainText([{ text: 'a' }, null, { text: 'b' }]), 'ab')
+})
+
+test('normalize folds runs past the cap into one unstyled run without losing text', () => {
+    const runs = Array.from({ length: TEXT_RUNS_MAX + 20 }, (_, i) => ({ text: `w${i} `, bold: i % 2 === 0 }))
+    const text = runs.map((r) => r.text).join('')
+    const out = normalizeTextRuns(runs)
+    assert.equal(out.length, TEXT_RUNS_MAX)
+    assert.equal(textRunsPlainText(out), text)
+    assert.deepEqual(out[TEXT_RUNS_MAX - 1], { text: runs.slice(TEXT_RUNS_MAX - 1).map((r) => r.text).join('') })
+    // A plain run right before the cut absorbs the overflow instead of leaving two plain neighbours.
+    const plainBeforeCut = normalizeTextRuns([{ text: 'x' }, ...runs])
+    assert.equal(textRunsPlainText(plainBeforeCut), `x${text}`)
+    assert.equal(plainBeforeCut.length, TEXT_RUNS_MAX - 1)
+})
+
+test('reconcile keeps prefix / suffix styles and types with the preceding style', () => {
+    const runs = [{ text: 'Save ' }, { text: '50%', bold: true }, { text: ' today' }]
+    assert.deepEqual(reconcileTextRuns('Save 50% today', runs), runs)
+    // Edit inside the bold word keeps it bold.
+    assert.deepEqual(reconcileTextRuns('Save 60% today', runs), [
+        { text: 'Save ' },
+        { text: '60%', bold: true },
+        { text: ' today' },
+    ])
+    // Text typed right after the bold word inherits bold (caret style), the suffix is untouched.
+    assert.deepEqual(reconcileTextRuns('Save 50%!! today', runs), [
+        { text: 'Save ' },
+        { text: '50%!!', bold: true },
+        { text: ' today' },
+    ])
+    // Copy assist rewrote the whole line — nothing styled survives.
+    assert.equal(reconcileTextRuns('Fresh copy', runs), undefined)
+    assert.equal(reconcileTextRuns('', runs), undefined)
+})
+
+test('apply toggles a range and reports the shared style', () => {
+    const runs = applyTextRunStyle('Hello brand world', undefined, 6, 11, { bold: true, color: '#ff0000' })
+    assert.deepEqual(runs, [
+        { text: 'Hello ' },
+        { text: 'brand', bold: true, color: '#ff0000' },
+        { text: ' world' },
+    ])
+    assert.deepEqual(textRunStyleInRange('Hello brand world', runs, 6, 11), { bold: true, color: '#ff0000' })
+    assert.deepEqual(textRunStyleInRange('Hello brand world', runs, 4, 11), {})
+    assert.equal(applyTextRunStyle('Hello brand world', runs, 0, 17, { bold: false, color: null }), undefined)
+})
+
+test('paragraphs split on newlines and list markers skip nothing but empty lines', () => {
+    const lines = textRunsToParagraphs('One\n\nTwo', [{ text: 'One\n', italic: true }, { text: '\nTwo' }])
+    assert.deepEqual(lines, [[{ text: 'One', italic: true }], [], [{ text: 'Two' }]])
+    assert.deepEqual(textRunsToParagraphs('a\nb', undefined), [[{ text: 'a' }], [{ text: 'b' }]])
+    assert.equal(textListMarker('bullet', 3), '•')
+    assert.equal(textListMarker('number', 1), '2.')
+    assert.equal(textListMarker('none', 0), '')
+})
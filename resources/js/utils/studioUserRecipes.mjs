@@ -0,0 +1,304 @@
+/**
+ * User-authored Brand-DNA recipes: a finished Studio document captured as ratio-based layer blueprints
+ * whose text, image and color slots are bound to brand context, then resolved again for any format.
+ *
+ * The output blueprints are the same shape the built-in recipes emit, so the template wizard, the
+ * brief auto-fill and `blueprintToLayersAndGroups` treat both alike.
+ */
+
+/**
+ * @typedef {'fixed' | 'headline' | 'subheadline' | 'cta' | 'body' | 'product_name' | 'url' | 'brand_name'} TextBinding
+ * @typedef {'fixed' | 'hero' | 'secondary_hero' | 'texture' | 'logo' | 'empty'} ImageBinding
+ * @typedef {'fixed' | 'primary' | 'secondary' | 'accent'} ColorBinding
+ * @typedef {{ content?: TextBinding | ImageBinding, color?: ColorBinding }} SlotBinding
+ * @typedef {{ primary?: string | null, secondary?: string | null, accent?: string | null }} BrandPalette
+ * @typedef {{
+ *   name: string,
+ *   type: 'text' | 'fill' | 'image' | 'generative_image' | 'mask',
+ *   role: string,
+ *   xRatio: number,
+ *   yRatio: number,
+ *   widthRatio: number,
+ *   heightRatio: number,
+ *   groupKey?: string,
+ *   defaults: Record<string, any>,
+ *   bind?: SlotBinding,
+ * }} RecipeBlueprint
+ * @typedef {{ version: 1, width: number, height: number, blueprints: RecipeBlueprint[] }} UserRecipeDefinition
+ * @typedef {{
+ *   colors?: BrandPalette,
+ *   text?: Partial<Record<TextBinding, string | null | undefined>>,
+ *   images?: Partial<Record<ImageBinding, string | null | undefined>>,
+ * }} RecipeContext
+ * @typedef {{ id: string, type: string, name?: string, z: number, visible?: boolean, transform: { x: number, y: number, width: number, height: number }, [key: string]: any }} LayerLike
+ * @typedef {{ width: number, height: number, layers: LayerLike[], groups?: { id: string, name: string, memberIds: string[] }[] }} DocumentLike
+ */
+
+/** @type {TextBinding[]} */
+export const TEXT_BINDINGS = ['fixed', 'headline', 'subheadline', 'cta', 'body', 'product_name', 'url', 'brand_name']
+
+/** @type {ImageBinding[]} */
+export const IMAGE_BINDINGS = ['fixed', 'hero', 'secondary_hero', 'texture', 'logo', 'empty']
+
+/** @type {ColorBinding[]} */
+export const COLOR_BINDINGS = ['fixed', 'primary', 'secondary', 'accent']
+
+/** Layer types the blueprint materializer can rebuild; video and vector shapes are left out of recipes. */
+const RECIPE_LAYER_TYPES = new Set(['text', 'fill', 'image', 'generative_image', 'mask'])
+
+/** Pixel-valued defaults that scale with the format (font sizes, strokes, radii). */
+const SCALED_KEYS = ['fontSize', 'strokeWidth', 'borderRadius', 'borderStrokeWidth', 'featherPx', 'radius']
+
+const TEXT_STYLE_KEYS = ['fontSize', 'fontWeight', 'color', 'textAlign', 'lineHeight', 'letterSpacing', 'verticalAlign', 'strokeWidth', 'strokeColor']
+const FILL_KEYS = ['fillKind', 'color', 'gradientStartColor', 'gradientEndColor', 'gradientAngleDeg', 'borderRadius', 'borderStrokeWidth', 'borderStrokeColor']
+const MASK_KEYS = ['shape', 'radius', 'featherPx', 'invert', 'target', 'gradientAngle', 'gradientStops']
+
+/**
+ * First-guess slot bindings for the recipe builder: sync-role text becomes the matching brief slot (the
+ * biggest unlabelled text becomes the headline when there is none), the brand logo and the largest other
+ * image become logo / hero, and colors equal to a brand color bind to that slot.
+ * @param {DocumentLike} doc
+ * @param {{ palette?: BrandPalette, logoAssetId?: string | null }} [brand]
+ * @returns {Record<string, SlotBinding>}
+ */
+export function suggestRecipeBindings(doc, brand = {}) {
+    const layers = recipeLayers(doc)
+    /** @type {Record<string, SlotBinding>} */
+    const out = {}
+
+    const texts = layers.filter((l) => l.type === 'text')
+    const hasHeadline = texts.some((l) => l.studioSyncRole === 'headline')
+    const biggestText = hasHeadline
+        ? null
+        : [...texts].filter((l) => !l.studioSyncRole).sort((a, b) => (b.style?.fontSize ?? 0) - (a.style?.fontSize ?? 0))[0]
+
+    const images = layers.filter((l) => l.type === 'image')
+    const isLogo = (/** @type {LayerLike} */ l) =>
+        l.studioSyncRole === 'logo' || (!!brand.logoAssetId && l.assetId === brand.logoAssetId) || /\blogo\b/i.test(l.name ?? '')
+    const hero = [...images].filter((l) => !isLogo(l)).sort((a, b) => area(b) - area(a))[0]
+
+    for (const l of layers) {
+        /** @type {SlotBinding} */
+        const bind = {}
+        if (l.type === 'text') {
+            const role = l.studioSyncRole
+            bind.content = role === 'headline' || role === 'subheadline' || role === 'cta' ? role : l === biggestText ? 'headline' : 'fixed'
+            bind.color = paletteSlotOf(l.style?.color, brand.palette)
+        } else if (l.type === 'image') {
+            bind.content = isLogo(l) ? 'logo' : l === hero ? 'hero' : 'fixed'
+        } else if (l.type === 'fill') {
+            bind.color = paletteSlotOf(l.color, brand.palette)
+        }
+        out[l.id] = bind
+    }
+    return out
+}
+
+/**
+ * Capture a document as a recipe definition. Hidden layers and layer types the materializer can't rebuild
+ * are skipped (returned by name so the builder can say so).
+ * @param {DocumentLike} doc
+ * @param {Record<string, SlotBinding>} bindings Per layer id; missing entries count as `fixed`.
+ * @returns {{ definition: UserRecipeDefinition, skipped: string[] }}
+ */
+export function recipeDefinitionFromDocument(doc, bindings) {
+    const W = Math.max(1, doc.width)
+    const H = Math.max(1, doc.height)
+    const layers = recipeLayers(doc)
+    const captured = new Set(layers.map((l) => l.id))
+    const skipped = [...doc.layers]
+        .sort((a, b) => a.z - b.z)
+        .filter((l) => l.visible !== false && !captured.has(l.id))
+        .map((l) => l.name || l.type)
+
+    /** @type {Map<string, { key: string, name: string }>} */
+    const groupByLayer = new Map()
+    for (const g of doc.groups ?? []) {
+        const members = g.memberIds.filter((id) => captured.has(id))
+        if (members.length < 2) continue
+        for (const id of members) groupByLayer.set(id, { key: g.id, name: g.name })
+    }
+
+    const blueprints = layers.map((l) => {
+        const bind = normalizeBinding(l.type, bindings[l.id])
+        const t = l.transform
+        const fullBleed = t.x <= 0.5 && t.y <= 0.5 && t.width >= W - 1 && t.height >= H - 1
+        const group = groupByLayer.get(l.id)
+        /** @type {RecipeBlueprint} */
+        const bp = {
+            name: l.name || defaultName(l.type),
+            type: /** @type {RecipeBlueprint['type']} */ (l.type),
+            role: roleFor(l, bind, fullBleed),
+            xRatio: ratio(t.x / W),
+            yRatio: ratio(t.y / H),
+            widthRatio: ratio(t.width / W),
+            heightRatio: ratio(t.height / H),
+            defaults: { ...defaultsFor(l, bind), ...(group ? { groupName: group.name } : {}) },
+            ...(group ? { groupKey: group.key } : {}),
+        }
+        if (bind.content || bind.color) bp.bind = bind
+        return bp
+    })
+
+    return { definition: { version: 1, width: Math.round(W), height: Math.round(H), blueprints }, skipped }
+}
+
+/**
+ * Resolve a recipe for a format and brand: fills bound slots from `context` (unset values keep what was
+ * captured, except image slots which fall back to an empty placeholder) and scales pixel-valued defaults.
+ * @param {UserRecipeDefinition} definition
+ * @param {{ width: number, height: number }} format
+ * @param {RecipeContext} context
+ * @returns {Omit<RecipeBlueprint, 'bind'>[]}
+ */
+export function resolveUserRecipe(definition, format, context) {
+    const scale = Math.min(format.width / Math.max(1, definition.width), format.height / Math.max(1, definition.height))
+
+    return definition.blueprints.map(({ bind, ...bp }) => {
+        /** @type {Record<string, any>} */
+        const defaults = { ...(bp.defaults ?? {}) }
+        for (const key of SCALED_KEYS) {
+            if (typeof defaults[key] === 'number') defaults[key] = Math.round(defaults[key] * scale * 100) / 100
+        }
+
+        const content = bind?.content
+        if (content && content !== 'fixed') {
+            if (bp.type === 'text') {
+                const value = context.text?.[/** @type {TextBinding} */ (content)]
+                if (typeof value === 'string' && value.trim() !== '') defaults.content = value
+            } else if (bp.type === 'image') {
+                const assetId = content === 'empty' ? null : context.images?.[/** @type {ImageBinding} */ (content)]
+                delete defaults.naturalWidth
+                delete defaults.naturalHeight
+                if (assetId) defaults.assetId = String(assetId)
+                else delete defaults.assetId
+            }
+        }
+
+        const color = bind?.color
+        if (color && color !== 'fixed') {
+            const value = context.colors?.[color]
+            if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) defaults.color = value
+        }
+
+        return { ...bp, defaults }
+    })
+}
+
+/**
+ * Visible layers the materializer can rebuild, bottom to top.
+ * @param {DocumentLike} doc
+ */
+function recipeLayers(doc) {
+    return [...doc.layers].sort((a, b) => a.z - b.z).filter((l) => l.visible !== false && RECIPE_LAYER_TYPES.has(l.type))
+}
+
+/**
+ * Drop bindings that don't apply to the layer type.
+ * @param {string} type
+ * @param {SlotBinding | undefined} bind
+ * @returns {SlotBinding}
+ */
+function normalizeBinding(type, bind) {
+    /** @type {SlotBinding} */
+    const out = {}
+    const content = bind?.content
+    if (type === 'text' && TEXT_BINDINGS.includes(/** @type {TextBinding} */ (content))) out.content = content
+    if (type === 'image' && IMAGE_BINDINGS.includes(/** @type {ImageBinding} */ (content))) out.content = content
+    if ((type === 'text' || type === 'fill') && bind?.color && COLOR_BINDINGS.includes(bind.color)) out.color = bind.color
+    return out
+}
+
+/**
+ * Blueprint role. Only brief-bound text gets `headline` / `subheadline` so the wizard's brief auto-fill
+ * never overwrites fixed copy.
+ * @param {LayerLike} l
+ * @param {SlotBinding} bind
+ * @param {boolean} fullBleed
+ */
+function roleFor(l, bind, fullBleed) {
+    switch (l.type) {
+        case 'text':
+            if (bind.content === 'headline' || bind.content === 'subheadline' || bind.content === 'cta') return bind.content
+            return 'body'
+        case 'fill':
+            if (l.fillRole === 'cta_button') return 'cta_button'
+            if (l.kind === 'text_boost') return 'text_boost'
+            return fullBleed ? 'background' : 'overlay'
+        case 'image':
+            if (bind.content === 'logo') return 'logo'
+            if (fullBleed) return 'background'
+            return bind.content === 'hero' || bind.content === 'secondary_hero' ? 'hero_image' : 'overlay'
+        case 'generative_image':
+            return fullBleed ? 'background' : 'hero_image'
+        default:
+            return 'overlay'
+    }
+}
+
+/**
+ * @param {LayerLike} l
+ * @param {SlotBinding} bind
+ * @returns {Record<string, any>}
+ */
+function defaultsFor(l, bind) {
+    switch (l.type) {
+        case 'text':
+            return { content: l.content ?? '', ...pick(l.style ?? {}, TEXT_STYLE_KEYS) }
+        case 'fill':
+            return pick(l, FILL_KEYS)
+        case 'mask':
+            return pick(l, MASK_KEYS)
+        case 'image': {
+            const fixed = !bind.content || bind.content === 'fixed'
+            return {
+                ...(l.fit ? { fit: l.fit } : {}),
+                ...(fixed ? pick(l, ['assetId', 'naturalWidth', 'naturalHeight']) : {}),
+            }
+        }
+        default:
+            return {}
+    }
+}
+
+/**
+ * @param {string | undefined} color
+ * @param {BrandPalette | undefined} palette
+ * @returns {ColorBinding}
+ */
+function paletteSlotOf(color, palette) {
+    if (!color || !palette) return 'fixed'
+    const c = color.toLowerCase()
+    for (const slot of /** @type {const} */ (['primary', 'secondary', 'accent'])) {
+        if (palette[slot] && palette[slot].toLowerCase() === c) return slot
+    }
+    return 'fixed'
+}
+
+/**
+ * @param {Record<string, any>} obj
+ * @param {string[]} keys
+ */
+function pick(obj, keys) {
+    /** @type {Record<string, any>} */
+    const out = {}
+    for (const k of keys) {
+        if (obj[k] !== undefined && obj[k] !== null) out[k] = obj[k]
+    }
+    return out
+}
+
+/** @param {LayerLike} l */
+function area(l) {
+    return l.transform.width * l.transform.height
+}
+
+/** @param {number} n */
+function ratio(n) {
+    return Math.round(n * 10000) / 10000
+}
+
+/** @param {string} type */
+function defaultName(type) {
+    return type.charAt(0).toUpperCase() + type.slice(1).replace(/_/g, ' ')
+}
@@ -0,0 +1,80 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { recipeDefinitionFromDocument, resolveUserRecipe, suggestRecipeBindings } from './studioUserRecipes.mjs'
+
+const box = (x, y, width, height) => ({ x, y, width, height })
+
+const doc = {
+    width: 1000,
+    height: 500,
+    layers: [
+        { id: 'bg', type: 'fill', name: 'Background', z: 0, fillKind: 'solid', color: '#0044FF', transform: box(0, 0, 1000, 500) },
+        { id: 'photo', type: 'image', name: 'Photo', z: 1, assetId: 'a-photo', naturalWidth: 800, naturalHeight: 600, fit: 'cover', transform: box(500, 0, 500, 500) },
+        { id: 'logo', type: 'image', name: 'Mark', z: 2, assetId: 'a-logo', fit: 'contain', transform: box(40, 40, 100, 50) },
+        { id: 'h', type: 'text', name: 'Title', z: 3, content: 'Spring sale', style: { fontSize: 64, fontWeight: 700, color: '#ffffff' }, transform: box(40, 150, 400, 80) },
+        { id: 'legal', type: 'text', name: 'Legal', z: 4, content: 'T&Cs apply', style: { fontSize: 12, color: '#ffffff' }, transform: box(40, 450, 400, 20) },
+        { id: 'cta-bg', type: 'fill', name: 'CTA', z: 5, fillRole: 'cta_button', color: '#ff9900', borderRadius: 20, transform: box(40, 300, 200, 60) },
+        { id: 'cta', type: 'text', name: 'CTA label', z: 6, studioSyncRole: 'cta', content: 'Shop now', style: { fontSize: 24, color: '#111111' }, transform: box(40, 300, 200, 60) },
+        { id: 'clip', type: 'video', name: 'Clip', z: 7, transform: box(0, 0, 10, 10) },
+        { id: 'off', type: 'text', name: 'Hidden', z: 8, visible: false, content: 'x', style: {}, transform: box(0, 0, 10, 10) },
+    ],
+    groups: [{ id: 'g-cta', name: 'CTA button', memberIds: ['cta-bg', 'cta'] }],
+}
+
+test('suggests brief, logo / hero and brand-color bindings', () => {
+    const b = suggestRecipeBindings(doc, { palette: { primary: '#0044ff', accent: '#FF9900' }, logoAssetId: 'a-logo' })
+    assert.deepEqual(b.bg, { color: 'primary' })
+    assert.deepEqual(b.photo, { content: 'hero' })
+    assert.deepEqual(b.logo, { content: 'logo' })
+    assert.deepEqual(b.h, { content: 'headline', color: 'fixed' })
+    assert.deepEqual(b.legal, { content: 'fixed', color: 'fixed' })
+    assert.deepEqual(b['cta-bg'], { color: 'accent' })
+    assert.deepEqual(b.cta.content, 'cta')
+    assert.equal(b.clip, undefined)
+})
+
+test('captures ratio blueprints with roles, groups and only the defaults the slot needs', () => {
+    const bindings = suggestRecipeBindings(doc, { palette: { primary: '#0044ff' }, logoAssetId: 'a-logo' })
+    const { definition, skipped } = recipeDefinitionFromDocument(doc, bindings)
+    assert.deepEqual(skipped, ['Clip'])
+    assert.equal(definition.version, 1)
+    assert.deepEqual(
+        definition.blueprints.map((bp) => [bp.name, bp.role]),
+        [
+            ['Background', 'background'],
+            ['Photo', 'hero_image'],
+            ['Mark', 'logo'],
+            ['Title', 'headline'],
+            ['Legal', 'body'],
+            ['CTA', 'cta_button'],
+            ['CTA label', 'cta'],
+        ]
+    )
+    const photo = definition.blueprints[1]
+    assert.deepEqual([photo.xRatio, photo.yRatio, photo.widthRatio, photo.heightRatio], [0.5, 0, 0.5, 1])
+    assert.deepEqual(photo.defaults, { fit: 'cover' })
+    assert.deepEqual(definition.blueprints[3].defaults, { content: 'Spring sale', fontSize: 64, fontWeight: 700, color: '#ffffff' })
+    assert.deepEqual(definition.blueprints[4].bind, { content: 'fixed', color: 'fixed' })
+    assert.equal(definition.blueprints[5].groupKey, 'g-cta')
+    assert.equal(definition.blueprints[6].defaults.groupName, 'CTA button')
+})
+
+test('resolves slots from brand context for a new format', () => {
+    const bindings = suggestRecipeBindings(doc, { palette: { primary: '#0044ff' }, logoAssetId: 'a-logo' })
+    bindings.legal = { content: 'brand_name' }
+    const { definition } = recipeDefinitionFromDocument(doc, bindings)
+    const bps = resolveUserRecipe(definition, { width: 500, height: 500 }, {
+        colors: { primary: '#22aa44' },
+        text: { headline: 'Summer sale', cta: '  ', brand_name: 'Acme' },
+        images: { logo: 'b-logo' },
+    })
+    assert.ok(bps.every((bp) => !('bind' in bp)))
+    assert.equal(bps[0].defaults.color, '#22aa44')
+    assert.deepEqual(bps[1].defaults, { fit: 'cover' }, 'no hero picked → empty placeholder')
+    assert.equal(bps[2].defaults.assetId, 'b-logo')
+    assert.equal(bps[3].defaults.content, 'Summer sale')
+    assert.equal(bps[3].defaults.fontSize, 32)
+    assert.equal(bps[4].defaults.content, 'Acme')
+    assert.equal(bps[5].defaults.borderRadius, 10)
+    assert.equal(bps[6].defaults.content, 'Shop now', 'blank context value keeps the captured copy')
+})
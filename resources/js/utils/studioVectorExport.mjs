@@ -0,0 +1,901 @@
+/**
+ * Vector export for Studio compositions: standalone SVG for one composition and a print PDF with one page
+ * per creative-set version.
+ *
+ * The editor side (`Pages/Editor/studioVectorExport.ts`) turns a rendered composition into a
+ * {@link VectorPage} — fills, shapes and text as vectors, everything else as trimmed per-layer rasters —
+ * and this module serializes it. Coordinates are document px with y pointing down (the canvas space);
+ * the PDF maps 1 px to 0.75 pt (96 dpi), so a 1080 px wide composition prints 285.75 mm wide.
+ *
+ * PDF text is real text: TrueType / CFF programs are embedded whole as Type0 fonts (Identity-H, glyph ids
+ * as codes) with a ToUnicode map so copy / search work. Fonts that can't be embedded reach this module
+ * already converted to outlines — see {@link textNeedsOutlines}; that includes license-restricted fonts in SVG.
+ *
+ * @typedef {[number, number, number, number, number, number]} Matrix affine `a b c d e f`, SVG / PDF order
+ * @typedef {{ r: number, g: number, b: number, a: number }} Rgba channels 0–255, alpha 0–1
+ * @typedef {{ kind: 'solid', color: Rgba }
+ *   | { kind: 'linear', x1: number, y1: number, x2: number, y2: number, from: Rgba, to: Rgba }} VectorPaint
+ * @typedef {{ color: Rgba, width: number, dash?: number[], cap?: 'butt' | 'round' }} VectorStroke
+ * @typedef {{ opacity?: number, blend?: string, matrix?: Matrix }} VectorItemBase
+ * @typedef {VectorItemBase & { type: 'path', d: string, fill?: VectorPaint, stroke?: VectorStroke }} VectorPathItem
+ * @typedef {VectorItemBase & {
+ *   type: 'image',
+ *   x: number, y: number, width: number, height: number,
+ *   pixelWidth: number, pixelHeight: number,
+ *   rgba: Uint8Array | Uint8ClampedArray,
+ *   dataUrl: string,
+ * }} VectorImageItem
+ * @typedef {{ ch: string, gid: number, x: number, y: number }} VectorGlyph `y` is the baseline
+ * @typedef {{
+ *   id: string,
+ *   postscriptName: string,
+ *   program: Uint8Array | null,
+ *   cff: boolean,
+ *   unitsPerEm: number,
+ *   ascender: number,
+ *   descender: number,
+ *   capHeight: number,
+ *   italicAngle: number,
+ *   bbox: [number, number, number, number],
+ *   advanceWidths: Record<number, number>,
+ *   restricted: boolean,
+ *   dataUrl: string,
+ * }} VectorFont `program` is the raw sfnt for PDF embedding; `dataUrl` feeds the SVG `@font-face`;
+ *   `restricted` fonts carry neither
+ * @typedef {VectorItemBase & {
+ *   type: 'text',
+ *   font: VectorFont,
+ *   size: number,
+ *   color: Rgba,
+ *   stroke?: { color: Rgba, width: number },
+ *   glyphs: VectorGlyph[],
+ * }} VectorTextItem
+ * @typedef {VectorPathItem | VectorImageItem | VectorTextItem} VectorItem
+ * @typedef {{ width: number, height: number, label?: string, items: VectorItem[] }} VectorPage
+ * @typedef {{ bleedMm?: number, cropMarks?: boolean }} PrintOptions
+ */
+
+/** PDF points per document px (CSS 96 dpi). */
+export const PT_PER_PX = 0.75
+
+const PT_PER_MM = 72 / 25.4
+
+export const PRINT_BLEED_MM_MAX = 10
+
+/** Gap between the bleed edge and a crop mark, and the mark length (pt). */
+const CROP_MARK_OFFSET_PT = 3
+const CROP_MARK_LENGTH_PT = 14
+
+/** CSS `mix-blend-mode` → PDF `/BM` (every Studio blend mode has a native PDF equivalent). */
+const PDF_BLEND_MODES = Object.freeze({
+    normal: 'Normal',
+    multiply: 'Multiply',
+    screen: 'Screen',
+    overlay: 'Overlay',
+    darken: 'Darken',
+    lighten: 'Lighten',
+    'color-dodge': 'ColorDodge',
+    'color-burn': 'ColorBurn',
+    'hard-light': 'HardLight',
+    'soft-light': 'SoftLight',
+    difference: 'Difference',
+    exclusion: 'Exclusion',
+    hue: 'Hue',
+    saturation: 'Saturation',
+    color: 'Color',
+    luminosity: 'Luminosity',
+})
+
+/**
+ * Whether the OS/2 `fsType` forbids shipping the font program: bit 1 (restricted license) or bit 9
+ * (bitmap embedding only).
+ * @param {number | undefined} fsType
+ * @returns {boolean}
+ */
+export function fontEmbeddingRestricted(fsType) {
+    return Boolean((fsType ?? 0) & 0x0202)
+}
+
+/**
+ * Whether text in `font` has to be exported as glyph outlines: restricted fonts never ship in either
+ * format, and the PDF can only embed raw TrueType / CFF programs (no WOFF).
+ * @param {Pick<VectorFont, 'restricted' | 'program'>} font
+ * @param {'svg' | 'pdf'} target
+ * @returns {boolean}
+ */
+export function textNeedsOutlines(font, target) {
+    return font.restricted || (target === 'pdf' && !font.program)
+}
+
+/** @param {number} v */
+function num(v) {
+    if (!Number.isFinite(v)) {
+        return '0'
+    }
+    const s = (Math.round(v * 1000) / 1000).toFixed(3)
+    return s.replace(/\.?0+$/, '') || '0'
+}
+
+/** @param {number} v @param {number} lo @param {number} hi */
+function clamp(v, lo, hi) {
+    return Math.min(hi, Math.max(lo, v))
+}
+
+/**
+ * Parse `#rgb[a]`, `#rrggbb[aa]`, `rgb()` / `rgba()` (comma or space syntax) and `transparent`. Named colors
+ * are normalized by the caller (the editor resolves them through a canvas context).
+ * @param {string | null | undefined} raw
+ * @returns {Rgba | null}
+ */
+export function parseCssColor(raw) {
+    const s = String(raw ?? '').trim().toLowerCase()
+    if (s === 'transparent') {
+        return { r: 0, g: 0, b: 0, a: 0 }
+    }
+    const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(s)
+    if (hex) {
+        let h = hex[1]
+        if (h.length <= 4) {
+            h = h
+                .split('')
+                .map((c) => c + c)
+                .join('')
+        }
+        const n = (/** @type {number} */ i) => parseInt(h.slice(i, i + 2), 16)
+        return { r: n(0), g: n(2), b: n(4), a: h.length === 8 ? Math.round((n(6) / 255) * 1000) / 1000 : 1 }
+    }
+    const fn = /^rgba?\(([^)]*)\)$/.exec(s)
+    if (!fn) {
+        return null
+    }
+    const parts = fn[1]
+        .split(/[\s,/]+/)
+        .map((p) => p.trim())
+        .filter(Boolean)
+    if (parts.length < 3) {
+        return null
+    }
+    const channel = (/** @type {string} */ p) => (p.endsWith('%') ? (parseFloat(p) / 100) * 255 : parseFloat(p))
+    const [r, g, b] = parts.slice(0, 3).map(channel)
+    const alphaRaw = parts[3]
+    const a = alphaRaw === undefined ? 1 : alphaRaw.endsWith('%') ? parseFloat(alphaRaw) / 100 : parseFloat(alphaRaw)
+    if (![r, g, b, a].every(Number.isFinite)) {
+        return null
+    }
+    return { r: clamp(Math.round(r), 0, 255), g: clamp(Math.round(g), 0, 255), b: clamp(Math.round(b), 0, 255), a: clamp(a, 0, 1) }
+}
+
+/**
+ * Gradient line of CSS `linear-gradient(<angle>deg, …)` over a `width`×`height` box (0deg = to top).
+ * @param {number} angleDeg
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ x1: number, y1: number, x2: number, y2: number }}
+ */
+export function cssLinearGradientLine(angleDeg, width, height) {
+    const rad = (angleDeg * Math.PI) / 180
+    const dx = Math.sin(rad)
+    const dy = -Math.cos(rad)
+    const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2
+    const cx = width / 2
+    const cy = height / 2
+    const r4 = (/** @type {number} */ v) => Math.round(v * 1e4) / 1e4 + 0
+    return { x1: r4(cx - dx * half), y1: r4(cy - dy * half), x2: r4(cx + dx * half), y2: r4(cy + dy * half) }
+}
+
+/**
+ * CSS interpolates gradients in premultiplied alpha, so a fully transparent stop takes the other stop's
+ * color (fading `#f00 → transparent` never goes through black). Returns stops safe for straight-alpha
+ * renderers (SVG, PDF shadings).
+ * @param {Rgba} from
+ * @param {Rgba} to
+ * @returns {[Rgba, Rgba]}
+ */
+export function straightAlphaGradientStops(from, to) {
+    if (from.a === 0 && to.a > 0) {
+        return [{ ...to, a: 0 }, to]
+    }
+    if (to.a === 0 && from.a > 0) {
+        return [from, { ...from, a: 0 }]
+    }
+    return [from, to]
+}
+
+/**
+ * Rounded rectangle path (corner radius clamped like CSS `border-radius`).
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [radius]
+ */
+export function roundedRectPath(x, y, width, height, radius = 0) {
+    const r = clamp(radius || 0, 0, Math.min(width, height) / 2)
+    if (r <= 0) {
+        return `M${num(x)} ${num(y)}H${num(x + width)}V${num(y + height)}H${num(x)}Z`
+    }
+    const k = r * 0.5523
+    const x2 = x + width
+    const y2 = y + height
+    return [
+        `M${num(x + r)} ${num(y)}`,
+        `H${num(x2 - r)}`,
+        `C${num(x2 - r + k)} ${num(y)} ${num(x2)} ${num(y + r - k)} ${num(x2)} ${num(y + r)}`,
+        `V${num(y2 - r)}`,
+        `C${num(x2)} ${num(y2 - r + k)} ${num(x2 - r + k)} ${num(y2)} ${num(x2 - r)} ${num(y2)}`,
+        `H${num(x + r)}`,
+        `C${num(x + r - k)} ${num(y2)} ${num(x)} ${num(y2 - r + k)} ${num(x)} ${num(y2 - r)}`,
+        `V${num(y + r)}`,
+        `C${num(x)} ${num(y + r - k)} ${num(x + r - k)} ${num(y)} ${num(x + r)} ${num(y)}`,
+        'Z',
+    ].join('')
+}
+
+/**
+ * Matrix placing layer-local geometry (origin at the box's top-left) on the page, matching the scene's
+ * wrapper CSS: `translate(dx, dy) rotate(deg) scale(s)` around the box center.
+ * @param {{ x: number, y: number, width: number, height: number }} box
+ * @param {{ rotationDeg?: number, dx?: number, dy?: number, scale?: number }} [motion]
+ * @returns {Matrix}
+ */
+export function layerBoxMatrix(box, motion = {}) {
+    const rad = ((motion.rotationDeg ?? 0) * Math.PI) / 180
+    const s = motion.scale ?? 1
+    const cos = Math.cos(rad) * s
+    const sin = Math.sin(rad) * s
+    const cx = box.width / 2
+    const cy = box.height / 2
+    const r6 = (/** @type {number} */ v) => Math.round(v * 1e6) / 1e6 + 0
+    return [
+        r6(cos),
+        r6(sin),
+        r6(-sin),
+        r6(cos),
+        r6(box.x + (motion.dx ?? 0) + cx - (cos * cx - sin * cy)),
+        r6(box.y + (motion.dy ?? 0) + cy - (sin * cx + cos * cy)),
+    ]
+}
+
+/**
+ * Tokenize SVG path data into absolute `M` / `L` / `C` / `Z` segments (handles `H V Q` and relative forms —
+ * everything the shape geometry and font outlines emit).
+ * @param {string} d
+ * @returns {Array<{ op: 'M' | 'L' | 'C' | 'Z', pts: number[] }>}
+ */
+export function normalizePathData(d) {
+    const tokens = String(d).match(/[MLHVCQZmlhvcqz]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) ?? []
+    /** @type {Array<{ op: 'M' | 'L' | 'C' | 'Z', pts: number[] }>} */
+    const out = []
+    let i = 0
+    let cmd = ''
+    let x = 0
+    let y = 0
+    let sx = 0
+    let sy = 0
+    const next = () => Number(tokens[i++])
+    while (i < tokens.length) {
+        if (/[a-z]/i.test(tokens[i])) {
+            cmd = tokens[i++]
+        }
+        const rel = cmd === cmd.toLowerCase()
+        const ox = rel ? x : 0
+        const oy = rel ? y : 0
+        switch (cmd.toUpperCase()) {
+            case 'M':
+                x = ox + next()
+                y = oy + next()
+                sx = x
+                sy = y
+                out.push({ op: 'M', pts: [x, y] })
+                cmd = rel ? 'l' : 'L'
+                break
+            case 'L':
+                x = ox + next()
+                y = oy + next()
+                out.push({ op: 'L', pts: [x, y] })
+                break
+            case 'H':
+                x = ox + next()
+                out.push({ op: 'L', pts: [x, y] })
+                break
+            case 'V':
+                y = oy + next()
+                out.push({ op: 'L', pts: [x, y] })
+                break
+            case 'C': {
+                const p = [ox + next(), oy + next(), ox + next(), oy + next(), ox + next(), oy + next()]
+                ;[x, y] = [p[4], p[5]]
+                out.push({ op: 'C', pts: p })
+                break
+            }
+            case 'Q': {
+                const qx = ox + next()
+                const qy = oy + next()
+                const ex = ox + next()
+                const ey = oy + next()
+                out.push({
+                    op: 'C',
+                    pts: [x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y), ex + (2 / 3) * (qx - ex), ey + (2 / 3) * (qy - ey), ex, ey],
+                })
+                x = ex
+                y = ey
+                break
+            }
+            case 'Z':
+                out.push({ op: 'Z', pts: [] })
+                x = sx
+                y = sy
+                break
+            default:
+                // Unknown token: stop rather than emit garbage geometry.
+                return out
+        }
+        if (out.length > 0 && Number.isNaN(out[out.length - 1].pts.reduce((a, b) => a + b, 0))) {
+            out.pop()
+            return out
+        }
+    }
+    return out
+}
+
+/**
+ * Print geometry for one page (all values in pt, PDF y-up). Without crop marks the media box is the bleed
+ * box; with marks a slug around the bleed carries them so they never touch the artwork.
+ * @param {number} widthPx
+ * @param {number} heightPx
+ * @param {PrintOptions} [opts]
+ */
+export function printPageBoxes(widthPx, heightPx, opts = {}) {
+    const bleed = clamp(Number(opts.bleedMm) || 0, 0, PRINT_BLEED_MM_MAX) * PT_PER_MM
+    const w = widthPx * PT_PER_PX
+    const h = heightPx * PT_PER_PX
+    const markStart = bleed + CROP_MARK_OFFSET_PT
+    const margin = opts.cropMarks ? markStart + CROP_MARK_LENGTH_PT + 4 : bleed
+    const trim = [margin, margin, margin + w, margin + h]
+    /** @type {Array<[number, number, number, number]>} */
+    const marks = []
+    if (opts.cropMarks) {
+        for (const x of [trim[0], trim[2]]) {
+            for (const y of [trim[1], trim[3]]) {
+                const sxDir = x === trim[0] ? -1 : 1
+                const syDir = y === trim[1] ? -1 : 1
+                marks.push([x + sxDir * markStart, y, x + sxDir * (markStart + CROP_MARK_LENGTH_PT), y])
+                marks.push([x, y + syDir * markStart, x, y + syDir * (markStart + CROP_MARK_LENGTH_PT)])
+            }
+        }
+    }
+    return {
+        media: [0, 0, w + margin * 2, h + margin * 2],
+        trim,
+        bleed: [margin - bleed, margin - bleed, margin + w + bleed, margin + h + bleed],
+        bleedPx: bleed / PT_PER_PX,
+        marks,
+    }
+}
+
+/** @param {string} s */
+function xmlEscape(s) {
+    return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/** @param {Rgba} c */
+function svgColor(c) {
+    return `rgb(${c.r},${c.g},${c.b})`
+}
+
+/** @param {VectorItem} item */
+function svgItemAttrs(item) {
+    const attrs = []
+    if (item.matrix) {
+        attrs.push(`transform="matrix(${item.matrix.map(num).join(' ')})"`)
+    }
+    if (item.opacity !== undefined && item.opacity < 1) {
+        attrs.push(`opacity="${num(item.opacity)}"`)
+    }
+    if (item.blend && item.blend !== 'normal') {
+        attrs.push(`style="mix-blend-mode:${item.blend}"`)
+    }
+    return attrs.length ? ` ${attrs.join(' ')}` : ''
+}
+
+/**
+ * Standalone SVG for one page: fonts are embedded as `@font-face` data URLs so text stays live text,
+ * rasters as PNG data URLs. Background is white like the raster exports. Restricted fonts arrive as
+ * outline paths; a text run in one is never embedded.
+ * @param {VectorPage} page
+ * @returns {string}
+ */
+export function vectorPageToSvg(page) {
+    /** @type {Map<string, string>} */
+    const fontFamilies = new Map()
+    const defs = []
+    const body = []
+    let gradientSeq = 0
+    for (const item of page.items) {
+        const attrs = svgItemAttrs(item)
+        if (item.type === 'path') {
+            const parts = [`d="${xmlEscape(item.d)}"`]
+            if (item.fill?.kind === 'solid') {
+                parts.push(`fill="${svgColor(item.fill.color)}"`)
+                if (item.fill.color.a < 1) {
+                    parts.push(`fill-opacity="${num(item.fill.color.a)}"`)
+                }
+            } else if (item.fill?.kind === 'linear') {
+                const id = `g${++gradientSeq}`
+                const [from, to] = straightAlphaGradientStops(item.fill.from, item.fill.to)
+                defs.push(
+                    `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${num(item.fill.x1)}" y1="${num(item.fill.y1)}" x2="${num(item.fill.x2)}" y2="${num(item.fill.y2)}">` +
+                        `<stop offset="0" stop-color="${svgColor(from)}" stop-opacity="${num(from.a)}"/>` +
+                        `<stop offset="1" stop-color="${svgColor(to)}" stop-opacity="${num(to.a)}"/></linearGradient>`,
+                )
+                parts.push(`fill="url(#${id})"`)
+            } else {
+                parts.push('fill="none"')
+            }
+            if (item.stroke && item.stroke.width > 0) {
+                parts.push(
+                    `stroke="${svgColor(item.stroke.color)}"`,
+                    `stroke-width="${num(item.stroke.width)}"`,
+                    `stroke-linecap="${item.stroke.cap ?? 'butt'}"`,
+                    'stroke-linejoin="round"',
+                )
+                if (item.stroke.color.a < 1) {
+                    parts.push(`stroke-opacity="${num(item.stroke.color.a)}"`)
+                }
+                if (item.stroke.dash?.length) {
+                    parts.push(`stroke-dasharray="${item.stroke.dash.map(num).join(' ')}"`)
+                }
+            }
+            body.push(`<path ${parts.join(' ')}${attrs}/>`)
+        } else if (item.type === 'image') {
+            body.push(
+                `<image x="${num(item.x)}" y="${num(item.y)}" width="${num(item.width)}" height="${num(item.height)}" preserveAspectRatio="none" href="${item.dataUrl}"${attrs}/>`,
+            )
+        } else if (item.type === 'text' && item.glyphs.length > 0 && !item.font.restricted) {
+            let family = fontFamilies.get(item.font.id)
+            if (!family) {
+                family = `studio-font-${fontFamilies.size + 1}`
+                fontFamilies.set(item.font.id, family)
+                defs.push(`<style>@font-face{font-family:"${family}";src:url("${item.font.dataUrl}")}</style>`)
+            }
+            const parts = [
+                `font-family="${family}"`,
+                `font-size="${num(item.size)}"`,
+                `fill="${svgColor(item.color)}"`,
+                `x="${item.glyphs.map((g) => num(g.x)).join(' ')}"`,
+                `y="${item.glyphs.map((g) => num(g.y)).join(' ')}"`,
+            ]
+            if (item.color.a < 1) {
+                parts.push(`fill-opacity="${num(item.color.a)}"`)
+            }
+            if (item.stroke && item.stroke.width > 0) {
+                parts.push(`stroke="${svgColor(item.stroke.color)}"`, `stroke-width="${num(item.stroke.width)}"`)
+            }
+            body.push(
+                `<text xml:space="preserve" ${parts.join(' ')}${attrs}>${xmlEscape(item.glyphs.map((g) => g.ch).join(''))}</text>`,
+            )
+        }
+    }
+    const w = num(page.width)
+    const h = num(page.height)
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+        page.label ? `<title>${xmlEscape(page.label)}</title>` : '',
+        defs.length ? `<defs>${defs.join('')}</defs>` : '',
+        `<rect width="${w}" height="${h}" fill="#ffffff"/>`,
+        `<g style="isolation:isolate">${body.join('')}</g>`,
+        '</svg>',
+    ].join('')
+}
+
+/**
+ * zlib-deflate for `/FlateDecode` (CompressionStream exists in browsers and Node 18+).
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'))
+    return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/** @param {string} s latin-1 only (callers hex-encode anything else) */
+function latin1(s) {
+    const out = new Uint8Array(s.length)
+    for (let i = 0; i < s.length; i++) {
+        out[i] = s.charCodeAt(i) & 0xff
+    }
+    return out
+}
+
+/** @param {string} s */
+function utf16beHex(s) {
+    let hex = ''
+    for (let i = 0; i < s.length; i++) {
+        hex += s.charCodeAt(i).toString(16).padStart(4, '0')
+    }
+    return hex
+}
+
+/** PDF text string (UTF-16BE with BOM) for metadata. @param {string} s */
+function pdfTextString(s) {
+    return `<FEFF${utf16beHex(s).toUpperCase()}>`
+}
+
+/** @param {string} name */
+function pdfName(name) {
+    return name.replace(/[^A-Za-z0-9_.+-]/g, '').slice(0, 120) || 'Font'
+}
+
+/**
+ * ToUnicode CMap so text extracted from the PDF maps back to the characters that were typed.
+ * @param {Map<number, string>} gidToText
+ */
+function toUnicodeCmap(gidToText) {
+    const entries = [...gidToText.entries()].sort((a, b) => a[0] - b[0])
+    const blocks = []
+    for (let i = 0; i < entries.length; i += 100) {
+        const chunk = entries.slice(i, i + 100)
+        blocks.push(
+            `${chunk.length} beginbfchar\n${chunk
+                .map(([gid, text]) => `<${gid.toString(16).padStart(4, '0')}> <${utf16beHex(text)}>`)
+                .join('\n')}\nendbfchar`,
+        )
+    }
+    return [
+        '/CIDInit /ProcSet findresource begin',
+        '12 dict begin',
+        'begincmap',
+        '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+        '/CMapName /Adobe-Identity-UCS def',
+        '/CMapType 2 def',
+        '1 begincodespacerange',
+        '<0000> <FFFF>',
+        'endcodespacerange',
+        ...blocks,
+        'endcmap',
+        'CMapName currentdict /CMap defineresource pop',
+        'end',
+        'end',
+    ].join('\n')
+}
+
+/**
+ * Append PDF path construction operators for `d` (already in the current user space).
+ * @param {string} d
+ */
+function pdfPathOps(d) {
+    return normalizePathData(d)
+        .map((s) => (s.op === 'Z' ? 'h' : `${s.pts.map(num).join(' ')} ${s.op === 'M' ? 'm' : s.op === 'L' ? 'l' : 'c'}`))
+        .join('\n')
+}
+
+/**
+ * Bounds of path data (control points included — good enough for a soft-mask bbox).
+ * @param {string} d
+ * @returns {[number, number, number, number]}
+ */
+function pathBounds(d) {
+    let x0 = Infinity
+    let y0 = Infinity
+    let x1 = -Infinity
+    let y1 = -Infinity
+    for (const s of normalizePathData(d)) {
+        for (let i = 0; i < s.pts.length; i += 2) {
+            x0 = Math.min(x0, s.pts[i])
+            x1 = Math.max(x1, s.pts[i])
+            y0 = Math.min(y0, s.pts[i + 1])
+            y1 = Math.max(y1, s.pts[i + 1])
+        }
+    }
+    return Number.isFinite(x0) ? [x0, y0, x1, y1] : [0, 0, 0, 0]
+}
+
+/** @param {Rgba} c */
+function rgbOperands(c) {
+    return `${num(c.r / 255)} ${num(c.g / 255)} ${num(c.b / 255)}`
+}
+
+/**
+ * Print-ready PDF, one page per {@link VectorPage} (page sizes may differ — versions can be different
+ * formats). Each page gets TrimBox / BleedBox; the white background runs to the bleed edge and vector
+ * artwork that overhangs the canvas fills the bleed.
+ * @param {VectorPage[]} pages
+ * @param {PrintOptions & { title?: string }} [opts]
+ * @returns {Promise<Uint8Array>}
+ */
+export async function buildVectorPdf(pages, opts = {}) {
+    /** @type {Array<Uint8Array | null>} */
+    const objects = [null]
+    const reserve = () => {
+        objects.push(null)
+        return objects.length - 1
+    }
+    /** @param {number} id @param {string} dict */
+    const setDict = (id, dict) => {
+        objects[id] = latin1(`${id} 0 obj\n${dict}\nendobj\n`)
+    }
+    /** @param {number} id @param {string} dict @param {Uint8Array} data @param {boolean} [compress] */
+    const setStream = async (id, dict, data, compress = true) => {
+        const body = compress ? await deflate(data) : data
+        const head = latin1(`${id} 0 obj\n<< ${dict}${compress ? ' /Filter /FlateDecode' : ''} /Length ${body.length} >>\nstream\n`)
+        const tail = latin1('\nendstream\nendobj\n')
+        const all = new Uint8Array(head.length + body.length + tail.length)
+        all.set(head, 0)
+        all.set(body, head.length)
+        all.set(tail, head.length + body.length)
+        objects[id] = all
+    }
+
+    const catalogId = reserve()
+    const pagesId = reserve()
+    const resourcesId = reserve()
+    const registrationId = reserve()
+    setDict(
+        registrationId,
+        '[/Separation /All /DeviceCMYK << /FunctionType 2 /Domain [0 1] /C0 [0 0 0 0] /C1 [1 1 1 1] /N 1 >>]',
+    )
+
+    /** Shared resources across pages. */
+    const fontRes = new Map() // font.id → { name, font, gids: Map<gid, text> }
+    const gsRes = new Map() // key → name
+    /** @type {string[]} */
+    const gsDicts = []
+    /** @type {string[]} */
+    const xobjectEntries = []
+    /** @type {string[]} */
+    const shadingEntries = []
+
+    /** @param {number} fillAlpha @param {number} strokeAlpha @param {string | undefined} blend @param {number} [smaskId] */
+    const gsName = (fillAlpha, strokeAlpha, blend, smaskId) => {
+        const bm = PDF_BLEND_MODES[/** @type {keyof typeof PDF_BLEND_MODES} */ (blend ?? 'normal')] ?? 'Normal'
+        const key = `${num(fillAlpha)}|${num(strokeAlpha)}|${bm}|${smaskId ?? ''}`
+        let name = gsRes.get(key)
+        if (!name) {
+            name = `GS${gsRes.size + 1}`
+            gsRes.set(key, name)
+            gsDicts.push(
+                `/${name} << /Type /ExtGState /ca ${num(fillAlpha)} /CA ${num(strokeAlpha)} /BM /${bm}${
+                    smaskId ? ` /SMask << /S /Luminosity /G ${smaskId} 0 R >>` : ''
+                } >>`,
+            )
+        }
+        return name
+    }
+
+    /** @param {VectorFont} font */
+    const fontName = (font) => {
+        let entry = fontRes.get(font.id)
+        if (!entry) {
+            entry = { name: `F${fontRes.size + 1}`, font, gids: new Map() }
+            fontRes.set(font.id, entry)
+        }
+        return entry
+    }
+
+    let shadingSeq = 0
+    let imageSeq = 0
+    const pageIds = []
+
+    for (const page of pages) {
+        const boxes = printPageBoxes(page.width, page.height, opts)
+        const [, , mw, mh] = boxes.media
+        const [tx0, , , ty1] = boxes.trim
+        const bpx = boxes.bleedPx
+        const ops = []
+        // Page space: document px, y down, origin at the trim box top-left.
+        ops.push('q', `${num(PT_PER_PX)} 0 0 ${num(-PT_PER_PX)} ${num(tx0)} ${num(ty1)} cm`)
+        ops.push(`${num(-bpx)} ${num(-bpx)} ${num(page.width + bpx * 2)} ${num(page.height + bpx * 2)} re W n`)
+        ops.push('1 1 1 rg', `${num(-bpx)} ${num(-bpx)} ${num(page.width + bpx * 2)} ${num(page.height + bpx * 2)} re f`)
+
+        for (const item of page.items) {
+            const opacity = clamp(item.opacity ?? 1, 0, 1)
+            ops.push('q')
+            if (item.matrix) {
+                ops.push(`${item.matrix.map(num).join(' ')} cm`)
+            }
+            if (item.type === 'path') {
+                const path = pdfPathOps(item.d)
+                if (!path) {
+                    ops.push('Q')
+                    continue
+                }
+                if (item.fill?.kind === 'solid') {
+                    ops.push(`/${gsName(opacity * item.fill.color.a, opacity, item.blend)} gs`)
+                    ops.push(`${rgbOperands(item.fill.color)} rg`, path, 'f')
+                } else if (item.fill?.kind === 'linear') {
+                    const [from, to] = straightAlphaGradientStops(item.fill.from, item.fill.to)
+                    const coords = `[${[item.fill.x1, item.fill.y1, item.fill.x2, item.fill.y2].map(num).join(' ')}]`
+                    const shId = reserve()
+                    setDict(
+                        shId,
+                        `<< /ShadingType 2 /ColorSpace /DeviceRGB /Coords ${coords} /Extend [true true] /Function << /FunctionType 2 /Domain [0 1] /C0 [${rgbOperands(from)}] /C1 [${rgbOperands(to)}] /N 1 >> >>`,
+                    )
+                    const shName = `Sh${++shadingSeq}`
+                    shadingEntries.push(`/${shName} ${shId} 0 R`)
+                    let smaskId
+                    if (from.a !== to.a) {
+                        // Varying alpha: luminosity soft mask painted with a gray shading along the same line.
+                        const maskShId = reserve()
+                        setDict(
+                            maskShId,
+                            `<< /ShadingType 2 /ColorSpace /DeviceGray /Coords ${coords} /Extend [true true] /Function << /FunctionType 2 /Domain [0 1] /C0 [${num(from.a)}] /C1 [${num(to.a)}] /N 1 >> >>`,
+                        )
+                        smaskId = reserve()
+                        const [bx0, by0, bx1, by1] = pathBounds(item.d)
+                        await setStream(
+                            smaskId,
+                            `/Type /XObject /Subtype /Form /BBox [${[bx0, by0, bx1, by1].map(num).join(' ')}] /Group << /S /Transparency /CS /DeviceGray >> /Resources << /Shading << /M ${maskShId} 0 R >> >>`,
+                            latin1('/M sh'),
+                        )
+                    }
+                    const alpha = from.a === to.a ? from.a : 1
+                    // Own q/Q: the soft mask must not fade the border stroked below.
+                    ops.push('q', `/${gsName(opacity * alpha, opacity, item.blend, smaskId)} gs`)
+                    ops.push(path, 'W n', `/${shName} sh`, 'Q')
+                }
+                if (item.stroke && item.stroke.width > 0) {
+                    ops.push(`/${gsName(opacity, opacity * item.stroke.color.a, item.blend)} gs`)
+                    ops.push(`${rgbOperands(item.stroke.color)} RG`, `${num(item.stroke.width)} w`)
+                    ops.push(`${item.stroke.cap === 'round' ? 1 : 0} J`, '1 j')
+                    if (item.stroke.dash?.length) {
+                        ops.push(`[${item.stroke.dash.map(num).join(' ')}] 0 d`)
+                    }
+                    ops.push(path, 'S')
+                }
+            } else if (item.type === 'image') {
+                const pixels = item.pixelWidth * item.pixelHeight
+                const rgb = new Uint8Array(pixels * 3)
+                const alpha = new Uint8Array(pixels)
+                let opaque = true
+                for (let p = 0; p < pixels; p++) {
+                    rgb[p * 3] = item.rgba[p * 4]
+                    rgb[p * 3 + 1] = item.rgba[p * 4 + 1]
+                    rgb[p * 3 + 2] = item.rgba[p * 4 + 2]
+                    alpha[p] = item.rgba[p * 4 + 3]
+                    if (alpha[p] !== 255) {
+                        opaque = false
+                    }
+                }
+                const size = `/Width ${item.pixelWidth} /Height ${item.pixelHeight} /BitsPerComponent 8`
+                let smask = ''
+                if (!opaque) {
+                    const smaskId = reserve()
+                    await setStream(smaskId, `/Type /XObject /Subtype /Image ${size} /ColorSpace /DeviceGray`, alpha)
+                    smask = ` /SMask ${smaskId} 0 R`
+                }
+                const imgId = reserve()
+                await setStream(imgId, `/Type /XObject /Subtype /Image ${size} /ColorSpace /DeviceRGB${smask}`, rgb)
+                const imgName = `Im${++imageSeq}`
+                xobjectEntries.push(`/${imgName} ${imgId} 0 R`)
+                ops.push(`/${gsName(opacity, opacity, item.blend)} gs`)
+                // Image space is y-up; flip it back into the y-down page space.
+                ops.push(`${num(item.width)} 0 0 ${num(-item.height)} ${num(item.x)} ${num(item.y + item.height)} cm`, `/${imgName} Do`)
+            } else if (item.type === 'text' && item.font.program) {
+                const entry = fontName(item.font)
+                const stroking = Boolean(item.stroke && item.stroke.width > 0)
+                ops.push(`/${gsName(opacity * item.color.a, opacity * (item.stroke?.color.a ?? 1), item.blend)} gs`)
+                ops.push(`${rgbOperands(item.color)} rg`)
+                if (stroking && item.stroke) {
+                    ops.push(`${rgbOperands(item.stroke.color)} RG`, `${num(item.stroke.width)} w`, '1 j')
+                }
+                ops.push('BT', `/${entry.name} 1 Tf`, `${stroking ? 2 : 0} Tr`)
+                for (const g of item.glyphs) {
+                    if (!entry.gids.has(g.gid)) {
+                        entry.gids.set(g.gid, g.ch)
+                    }
+                    ops.push(
+                        `${num(item.size)} 0 0 ${num(-item.size)} ${num(g.x)} ${num(g.y)} Tm <${g.gid.toString(16).padStart(4, '0')}> Tj`,
+                    )
+                }
+                ops.push('ET')
+            }
+            ops.push('Q')
+        }
+        ops.push('Q')
+
+        if (boxes.marks.length > 0) {
+            ops.push('q', '/CSReg CS', '1 SCN', '0.25 w', '0 J')
+            for (const [x1, y1, x2, y2] of boxes.marks) {
+                ops.push(`${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`)
+            }
+            ops.push('Q')
+        }
+
+        const contentId = reserve()
+        await setStream(contentId, '', latin1(ops.join('\n')))
+        const pageId = reserve()
+        const box = (/** @type {number[]} */ b) => `[${b.map(num).join(' ')}]`
+        setDict(
+            pageId,
+            `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox ${box([0, 0, mw, mh])} /BleedBox ${box(boxes.bleed)} /TrimBox ${box(
+                boxes.trim,
+            )} /Resources ${resourcesId} 0 R /Contents ${contentId} 0 R >>`,
+        )
+        pageIds.push(pageId)
+    }
+
+    /** @type {string[]} */
+    const fontEntries = []
+    for (const { name, font, gids } of fontRes.values()) {
+        const program = /** @type {Uint8Array} */ (font.program)
+        const fileId = reserve()
+        await setStream(fileId, font.cff ? '/Subtype /OpenType' : `/Length1 ${program.length}`, program)
+        const upm = font.unitsPerEm || 1000
+        const scale = (/** @type {number} */ v) => Math.round((v * 1000) / upm)
+        const descriptorId = reserve()
+        setDict(
+            descriptorId,
+            `<< /Type /FontDescriptor /FontName /${pdfName(font.postscriptName)} /Flags ${font.italicAngle ? 32 | 64 : 32} /FontBBox [${font.bbox
+                .map(scale)
+                .join(' ')}] /ItalicAngle ${num(font.italicAngle)} /Ascent ${scale(font.ascender)} /Descent ${scale(
+                font.descender,
+            )} /CapHeight ${scale(font.capHeight || font.ascender)} /StemV 80 /${font.cff ? 'FontFile3' : 'FontFile2'} ${fileId} 0 R >>`,
+        )
+        const widths = [...gids.keys()]
+            .sort((a, b) => a - b)
+            .map((gid) => `${gid} [${scale(font.advanceWidths[gid] ?? upm)}]`)
+            .join(' ')
+        const cidId = reserve()
+        setDict(
+            cidId,
+            `<< /Type /Font /Subtype /${font.cff ? 'CIDFontType0' : 'CIDFontType2'} /BaseFont /${pdfName(
+                font.postscriptName,
+            )} /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${descriptorId} 0 R /DW 1000 /W [${widths}]${
+                font.cff ? '' : ' /CIDToGIDMap /Identity'
+            } >>`,
+        )
+        const cmapId = reserve()
+        await setStream(cmapId, '', latin1(toUnicodeCmap(gids)))
+        const fontId = reserve()
+        setDict(
+            fontId,
+            `<< /Type /Font /Subtype /Type0 /BaseFont /${pdfName(font.postscriptName)} /Encoding /Identity-H /DescendantFonts [${cidId} 0 R] /ToUnicode ${cmapId} 0 R >>`,
+        )
+        fontEntries.push(`/${name} ${fontId} 0 R`)
+    }
+
+    setDict(
+        resourcesId,
+        `<< /ColorSpace << /CSReg ${registrationId} 0 R >> /ExtGState << ${gsDicts.join(' ')} >> /Font << ${fontEntries.join(
+            ' ',
+        )} >> /XObject << ${xobjectEntries.join(' ')} >> /Shading << ${shadingEntries.join(' ')} >> >>`,
+    )
+    setDict(pagesId, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`)
+    setDict(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`)
+    const infoId = reserve()
+    setDict(
+        infoId,
+        `<< /Producer ${pdfTextString('Studio')}${opts.title ? ` /Title ${pdfTextString(opts.title)}` : ''} >>`,
+    )
+
+    const header = latin1('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n')
+    const offsets = []
+    let offset = header.length
+    for (let id = 1; id < objects.length; id++) {
+        offsets.push(offset)
+        offset += /** @type {Uint8Array} */ (objects[id]).length
+    }
+    const xref = [
+        'xref',
+        `0 ${objects.length}`,
+        '0000000000 65535 f ',
+        ...offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+        '',
+    ].join('\n')
+    const tail = latin1(xref)
+    const out = new Uint8Array(offset + tail.length)
+    out.set(header, 0)
+    let at = header.length
+    for (let id = 1; id < objects.length; id++) {
+        const obj = /** @type {Uint8Array} */ (objects[id])
+        out.set(obj, at)
+        at += obj.length
+    }
+    out.set(tail, at)
+    return out
+}
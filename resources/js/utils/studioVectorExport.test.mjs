@@ -0,0 +1,221 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { inflateSync } from 'node:zlib'
+import {
+    buildVectorPdf,
+    cssLinearGradientLine,
+    fontEmbeddingRestricted,
+    layerBoxMatrix,
+    normalizePathData,
+    parseCssColor,
+    printPageBoxes,
+    roundedRectPath,
+    straightAlphaGradientStops,
+    textNeedsOutlines,
+    vectorPageToSvg,
+} from './studioVectorExport.mjs'
+
+const latin1 = (/** @type {Uint8Array} */ b) => Buffer.from(b).toString('latin1')
+
+/** Every `N 0 obj` with its decoded stream (when Flate-compressed). */
+function pdfObjects(bytes) {
+    const raw = latin1(bytes)
+    const out = new Map()
+    const re = /(\d+) 0 obj\n([\s\S]*?)\nendobj\n/g
+    let m
+    while ((m = re.exec(raw))) {
+        const body = m[2]
+        const s = body.indexOf('stream\n')
+        let stream = null
+        if (s >= 0) {
+            const data = Buffer.from(body.slice(s + 7, body.lastIndexOf('\nendstream')), 'latin1')
+            stream = body.includes('/FlateDecode') ? inflateSync(data).toString('latin1') : data.toString('latin1')
+        }
+        out.set(Number(m[1]), { dict: s >= 0 ? body.slice(0, s) : body, stream, offset: m.index })
+    }
+    return { raw, objects: out }
+}
+
+test('colors, gradient lines and premultiplied stops follow CSS', () => {
+    assert.deepEqual(parseCssColor('#f80'), { r: 255, g: 136, b: 0, a: 1 })
+    assert.deepEqual(parseCssColor('#00000080'), { r: 0, g: 0, b: 0, a: 0.502 })
+    assert.deepEqual(parseCssColor('rgba(10, 20, 30, 0.5)'), { r: 10, g: 20, b: 30, a: 0.5 })
+    assert.deepEqual(parseCssColor('rgb(10 20 30 / 25%)'), { r: 10, g: 20, b: 30, a: 0.25 })
+    assert.deepEqual(parseCssColor('transparent'), { r: 0, g: 0, b: 0, a: 0 })
+    assert.equal(parseCssColor('papayawhip'), null)
+
+    assert.deepEqual(cssLinearGradientLine(180, 200, 100), { x1: 100, y1: 0, x2: 100, y2: 100 })
+    assert.deepEqual(cssLinearGradientLine(90, 200, 100), { x1: 0, y1: 50, x2: 200, y2: 50 })
+    const diag = cssLinearGradientLine(45, 100, 100)
+    assert.ok(Math.abs(diag.x1 - 0) < 1e-3 && Math.abs(diag.y1 - 100) < 1e-3)
+
+    const red = { r: 255, g: 0, b: 0, a: 1 }
+    assert.deepEqual(straightAlphaGradientStops(red, { r: 0, g: 0, b: 0, a: 0 }), [red, { ...red, a: 0 }])
+})
+
+test('path data normalizes to absolute M / L / C / Z', () => {
+    assert.deepEqual(normalizePathData('M10 10h5v5l-5 0z'), [
+        { op: 'M', pts: [10, 10] },
+        { op: 'L', pts: [15, 10] },
+        { op: 'L', pts: [15, 15] },
+        { op: 'L', pts: [10, 15] },
+        { op: 'Z', pts: [] },
+    ])
+    const q = normalizePathData('M0 0Q3 3 6 0')
+    assert.deepEqual(q[1], { op: 'C', pts: [2, 2, 4, 2, 6, 0] })
+    assert.equal(roundedRectPath(0, 0, 10, 4), 'M0 0H10V4H0Z')
+    assert.equal(normalizePathData(roundedRectPath(0, 0, 40, 20, 100)).filter((s) => s.op === 'C').length, 4)
+})
+
+test('layer matrix rotates and scales around the box center', () => {
+    assert.deepEqual(layerBoxMatrix({ x: 10, y: 20, width: 100, height: 50 }), [1, 0, 0, 1, 10, 20])
+    const m = layerBoxMatrix({ x: 0, y: 0, width: 100, height: 100 }, { rotationDeg: 90, dx: 5 })
+    // Center (50, 50) stays put (plus the offset); local top-left lands at the top-right.
+    assert.deepEqual(
+        [m[0] * 50 + m[2] * 50 + m[4], m[1] * 50 + m[3] * 50 + m[5]],
+        [55, 50],
+    )
+    assert.deepEqual([m[4], m[5]], [105, 0])
+})
+
+test('print boxes add bleed and keep crop marks outside it', () => {
+    const plain = printPageBoxes(1080, 1080)
+    assert.deepEqual(plain.media, [0, 0, 810, 810])
+    assert.deepEqual(plain.trim, plain.bleed)
+    assert.equal(plain.marks.length, 0)
+
+    const print = printPageBoxes(1080, 1080, { bleedMm: 3, cropMarks: true })
+    const bleedPt = (3 * 72) / 25.4
+    assert.ok(Math.abs(print.trim[0] - print.bleed[0] - bleedPt) < 1e-9)
+    assert.equal(print.marks.length, 8)
+    for (const [x1, y1, x2, y2] of print.marks) {
+        const insideBleed = (x, y) => x > print.bleed[0] && x < print.bleed[2] && y > print.bleed[1] && y < print.bleed[3]
+        assert.ok(!insideBleed(x1, y1) && !insideBleed(x2, y2))
+    }
+    assert.equal(printPageBoxes(100, 100, { bleedMm: 99 }).bleedPx, (10 * 72) / 25.4 / 0.75)
+})
+
+const font = {
+    id: 'f1',
+    postscriptName: 'Brand Sans-Bold',
+    program: new Uint8Array([0, 1, 0, 0, 1, 2, 3, 4]),
+    cff: false,
+    unitsPerEm: 2000,
+    ascender: 1800,
+    descender: -400,
+    capHeight: 1400,
+    italicAngle: 0,
+    bbox: [-100, -400, 2000, 1800],
+    advanceWidths: { 36: 1200, 37: 1100 },
+    restricted: false,
+    dataUrl: 'data:font/ttf;base64,AAEAAA==',
+}
+
+const page = {
+    width: 400,
+    height: 200,
+    label: 'Hero <A>',
+    items: [
+        {
+            type: 'path',
+            d: roundedRectPath(0, 0, 100, 50, 8),
+            matrix: [1, 0, 0, 1, 10, 10],
+            fill: { kind: 'linear', ...cssLinearGradientLine(180, 100, 50), from: parseCssColor('#ff0000'), to: parseCssColor('transparent') },
+            stroke: { color: parseCssColor('#000'), width: 2 },
+            blend: 'multiply',
+        },
+        {
+            type: 'text',
+            font,
+            size: 32,
+            color: parseCssColor('rgba(0, 0, 0, 0.5)'),
+            matrix: [1, 0, 0, 1, 20, 100],
+            glyphs: [
+                { ch: 'A', gid: 36, x: 0, y: 30 },
+                { ch: 'B', gid: 37, x: 19, y: 30 },
+            ],
+        },
+        {
+            type: 'image',
+            x: 200,
+            y: 20,
+            width: 2,
+            height: 1,
+            pixelWidth: 2,
+            pixelHeight: 1,
+            rgba: new Uint8Array([255, 0, 0, 255, 0, 0, 255, 128]),
+            dataUrl: 'data:image/png;base64,AAAA',
+        },
+    ],
+}
+
+test('SVG keeps text live with an embedded font and carries gradients, blends and rasters', () => {
+    const svg = vectorPageToSvg(page)
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="400" height="200" viewBox="0 0 400 200">/)
+    assert.match(svg, /<title>Hero &lt;A&gt;<\/title>/)
+    assert.match(svg, /@font-face\{font-family:"studio-font-1";src:url\("data:font\/ttf;base64,AAEAAA=="\)\}/)
+    assert.match(svg, /<text xml:space="preserve" font-family="studio-font-1" font-size="32" fill="rgb\(0,0,0\)" x="0 19" y="30 30" fill-opacity="0.5" transform="matrix\(1 0 0 1 20 100\)">AB<\/text>/)
+    assert.match(svg, /<stop offset="1" stop-color="rgb\(255,0,0\)" stop-opacity="0"\/>/)
+    assert.match(svg, /fill="url\(#g1\)"/)
+    assert.match(svg, /style="mix-blend-mode:multiply"/)
+    assert.match(svg, /<image x="200" y="20" width="2" height="1" preserveAspectRatio="none" href="data:image\/png;base64,AAAA"\/>/)
+})
+
+test('license-restricted fonts are outlined in SVG and PDF; WOFF only in PDF', () => {
+    assert.equal(fontEmbeddingRestricted(0), false)
+    assert.equal(fontEmbeddingRestricted(0x0008), false)
+    assert.equal(fontEmbeddingRestricted(0x0002), true)
+    assert.equal(fontEmbeddingRestricted(0x0200), true)
+    assert.equal(fontEmbeddingRestricted(undefined), false)
+
+    const restricted = { ...font, program: null, restricted: true, dataUrl: '' }
+    const woff = { ...font, program: null }
+    assert.equal(textNeedsOutlines(font, 'svg'), false)
+    assert.equal(textNeedsOutlines(font, 'pdf'), false)
+    assert.equal(textNeedsOutlines(woff, 'svg'), false)
+    assert.equal(textNeedsOutlines(woff, 'pdf'), true)
+    assert.equal(textNeedsOutlines(restricted, 'svg'), true)
+    assert.equal(textNeedsOutlines(restricted, 'pdf'), true)
+
+    const svg = vectorPageToSvg({ ...page, items: page.items.map((i) => (i.type === 'text' ? { ...i, font: restricted } : i)) })
+    assert.doesNotMatch(svg, /@font-face|<text/)
+})
+
+test('PDF has one page per version with print boxes, embedded fonts and a valid xref', async () => {
+    const second = { width: 300, height: 600, items: [] }
+    const bytes = await buildVectorPdf([page, second], { bleedMm: 3, cropMarks: true, title: 'Spring set' })
+    const { raw, objects } = pdfObjects(bytes)
+    assert.ok(raw.startsWith('%PDF-1.7\n'))
+    assert.ok(raw.trimEnd().endsWith('%%EOF'))
+
+    const xrefAt = Number(/startxref\n(\d+)/.exec(raw)[1])
+    assert.ok(raw.slice(xrefAt).startsWith('xref'))
+    const rows = raw.slice(xrefAt).split('\n').filter((l) => / 00000 n $/.test(l))
+    assert.equal(rows.length, objects.size)
+    rows.forEach((row, i) => {
+        assert.ok(raw.slice(Number(row.slice(0, 10))).startsWith(`${i + 1} 0 obj`))
+    })
+
+    const pages = [...objects.values()].filter((o) => o.dict.includes('/Type /Page '))
+    assert.equal(pages.length, 2)
+    assert.match(pages[1].dict, /\/TrimBox \[\d+(\.\d+)? \d+(\.\d+)? \d+(\.\d+)? \d+(\.\d+)?\]/)
+    const trim = /\/TrimBox \[([^\]]+)\]/.exec(pages[1].dict)[1].split(' ').map(Number)
+    assert.ok(Math.abs(trim[2] - trim[0] - 225) < 1e-6 && Math.abs(trim[3] - trim[1] - 450) < 1e-6)
+
+    const type0 = [...objects.values()].find((o) => o.dict.includes('/Subtype /Type0'))
+    assert.match(type0.dict, /\/BaseFont \/BrandSans-Bold \/Encoding \/Identity-H/)
+    const cid = [...objects.values()].find((o) => o.dict.includes('/CIDFontType2'))
+    assert.match(cid.dict, /\/W \[36 \[600\] 37 \[550\]\] \/CIDToGIDMap \/Identity/)
+    assert.ok([...objects.values()].some((o) => o.dict.includes('/FontFile2') && o.dict.includes('/Flags 32')))
+    const cmap = [...objects.values()].find((o) => o.stream?.includes('beginbfchar'))
+    assert.match(cmap.stream, /<0024> <0041>\n<0025> <0042>/)
+
+    const content = [...objects.values()].find((o) => o.stream?.includes('BT'))
+    assert.match(content.stream, /0\.75 0 0 -0\.75 [\d.]+ [\d.]+ cm/)
+    assert.match(content.stream, /32 0 0 -32 19 30 Tm <0025> Tj/)
+    assert.match(content.stream, /\/Sh1 sh/)
+    assert.match(content.stream, /\/CSReg CS/)
+    assert.ok([...objects.values()].some((o) => o.dict.includes('/BM /Multiply') && o.dict.includes('/SMask << /S /Luminosity')))
+    assert.ok([...objects.values()].some((o) => /\/Subtype \/Image \/Width 2 \/Height 1 \/BitsPerComponent 8 \/ColorSpace \/DeviceRGB \/SMask \d+ 0 R/.test(o.dict)))
+    assert.match(raw, /\/Title <FEFF0053007000720069006E00670020007300650074>/)
+})
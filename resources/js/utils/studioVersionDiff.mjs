@@ -0,0 +1,226 @@
+/**
+ * Structural diff between two saved versions of a Studio document, for the "Compare versions" dialog:
+ * layers added / removed, text edits, transform deltas, style changes and stacking-order moves.
+ */
+
+/**
+ * @typedef {{ x: number, y: number, width: number, height: number, rotation?: number, [key: string]: any }} Box
+ * @typedef {{ id: string, type: string, name?: string, z: number, content?: string, transform: Box, [key: string]: any }} LayerLike
+ * @typedef {{ width: number, height: number, layers: LayerLike[], [key: string]: any }} DocumentLike
+ * @typedef {'text' | 'position' | 'size' | 'rotation' | 'style' | 'order' | 'rename'} ChangeKind
+ * @typedef {{ kind: ChangeKind, field: string, before: any, after: any }} LayerChange
+ * @typedef {{ id: string, name: string, type: string, before: Box | null, after: Box | null }} LayerRef
+ * @typedef {{
+ *   canvas: { field: 'width' | 'height', before: number, after: number }[],
+ *   added: LayerRef[],
+ *   removed: LayerRef[],
+ *   changed: (LayerRef & { changes: LayerChange[] })[],
+ *   total: number,
+ * }} VersionDiff
+ */
+
+/** Position / size deltas below this (doc px) are rounding noise from drags and resizes. */
+const PX_TOLERANCE = 0.5
+
+/** Keys that are bookkeeping rather than something a reviewer would call a change. */
+const IGNORED_KEYS = new Set(['id', 'type', 'name', 'z', 'transform', 'content', 'previousText', 'groupId'])
+
+/**
+ * @param {DocumentLike} before Version A.
+ * @param {DocumentLike} after Version B.
+ * @returns {VersionDiff}
+ */
+export function diffDocumentVersions(before, after) {
+    /** @type {VersionDiff['canvas']} */
+    const canvas = []
+    for (const field of /** @type {const} */ (['width', 'height'])) {
+        if (before[field] !== after[field]) canvas.push({ field, before: before[field], after: after[field] })
+    }
+
+    const beforeById = new Map(before.layers.map((l) => [l.id, l]))
+    const afterById = new Map(after.layers.map((l) => [l.id, l]))
+    const added = after.layers.filter((l) => !beforeById.has(l.id)).map((l) => layerRef(null, l))
+    const removed = before.layers.filter((l) => !afterById.has(l.id)).map((l) => layerRef(l, null))
+
+    const rankBefore = stackRanks(before.layers.filter((l) => afterById.has(l.id)))
+    const rankAfter = stackRanks(after.layers.filter((l) => beforeById.has(l.id)))
+
+    /** @type {VersionDiff['changed']} */
+    const changed = []
+    for (const b of after.layers) {
+        const a = beforeById.get(b.id)
+        if (!a) continue
+        const changes = diffLayer(a, b)
+        const ra = rankBefore.get(a.id)
+        const rb = rankAfter.get(b.id)
+        if (ra !== rb) changes.push({ kind: 'order', field: 'z', before: ra, after: rb })
+        if (changes.length > 0) changed.push({ ...layerRef(a, b), changes })
+    }
+
+    return {
+        canvas,
+        added,
+        removed,
+        changed,
+        total: canvas.length + added.length + removed.length + changed.reduce((n, c) => n + c.changes.length, 0),
+    }
+}
+
+/**
+ * One-line, human description of a layer change.
+ * @param {LayerChange} change
+ * @returns {string}
+ */
+export function describeLayerChange(change) {
+    const { before: a, after: b } = change
+    switch (change.kind) {
+        case 'text':
+            return `Text “${clip(a)}” → “${clip(b)}”`
+        case 'rename':
+            return `Renamed “${a}” → “${b}”`
+        case 'position':
+            return `Moved ${signed(b.x - a.x)}, ${signed(b.y - a.y)} px`
+        case 'size':
+            return `Resized ${round(a.width)}×${round(a.height)} → ${round(b.width)}×${round(b.height)}`
+        case 'rotation':
+            return `Rotated ${round(a)}° → ${round(b)}°`
+        case 'order':
+            return b > a ? 'Brought forward' : 'Sent backward'
+        default:
+            return `${change.field}: ${formatValue(a)} → ${formatValue(b)}`
+    }
+}
+
+/**
+ * @param {LayerLike} a
+ * @param {LayerLike} b
+ * @returns {LayerChange[]}
+ */
+function diffLayer(a, b) {
+    /** @type {LayerChange[]} */
+    const out = []
+    if ((a.name ?? '') !== (b.name ?? '')) out.push({ kind: 'rename', field: 'name', before: a.name ?? '', after: b.name ?? '' })
+    if (typeof a.content === 'string' || typeof b.content === 'string') {
+        if ((a.content ?? '') !== (b.content ?? '')) out.push({ kind: 'text', field: 'content', before: a.content ?? '', after: b.content ?? '' })
+    }
+
+    const ta = a.transform
+    const tb = b.transform
+    if (Math.abs(ta.x - tb.x) > PX_TOLERANCE || Math.abs(ta.y - tb.y) > PX_TOLERANCE) {
+        out.push({ kind: 'position', field: 'transform', before: { x: ta.x, y: ta.y }, after: { x: tb.x, y: tb.y } })
+    }
+    if (Math.abs(ta.width - tb.width) > PX_TOLERANCE || Math.abs(ta.height - tb.height) > PX_TOLERANCE) {
+        out.push({
+            kind: 'size',
+            field: 'transform',
+            before: { width: ta.width, height: ta.height },
+            after: { width: tb.width, height: tb.height },
+        })
+    }
+    if (Math.abs((ta.rotation ?? 0) - (tb.rotation ?? 0)) > 0.05) {
+        out.push({ kind: 'rotation', field: 'transform.rotation', before: ta.rotation ?? 0, after: tb.rotation ?? 0 })
+    }
+
+    for (const key of unionKeys(a, b)) {
+        if (IGNORED_KEYS.has(key)) continue
+        diffValue(key, a[key], b[key], out)
+    }
+    return out
+}
+
+/**
+ * Style values compare one object level deep (`style.fontSize`); deeper structures compare as a whole.
+ * @param {string} field
+ * @param {any} a
+ * @param {any} b
+ * @param {LayerChange[]} out
+ */
+function diffValue(field, a, b, out) {
+    if (isPlainObject(a) && isPlainObject(b)) {
+        for (const key of unionKeys(a, b)) {
+            if (!sameValue(a[key], b[key])) out.push({ kind: 'style', field: `${field}.${key}`, before: a[key], after: b[key] })
+        }
+        return
+    }
+    if (!sameValue(a, b)) out.push({ kind: 'style', field, before: a, after: b })
+}
+
+/**
+ * Bottom-to-top index of each layer among the given ones.
+ * @param {LayerLike[]} layers
+ * @returns {Map<string, number>}
+ */
+function stackRanks(layers) {
+    return new Map([...layers].sort((p, q) => (p.z ?? 0) - (q.z ?? 0)).map((l, i) => [l.id, i]))
+}
+
+/**
+ * @param {LayerLike | null} a
+ * @param {LayerLike | null} b
+ * @returns {LayerRef}
+ */
+function layerRef(a, b) {
+    const l = /** @type {LayerLike} */ (b ?? a)
+    return { id: l.id, name: l.name || l.type, type: l.type, before: a ? boxOf(a) : null, after: b ? boxOf(b) : null }
+}
+
+/** @param {LayerLike} l */
+function boxOf(l) {
+    const t = l.transform
+    return { x: t.x, y: t.y, width: t.width, height: t.height, rotation: t.rotation ?? 0 }
+}
+
+/**
+ * @param {Record<string, any>} a
+ * @param {Record<string, any>} b
+ */
+function unionKeys(a, b) {
+    return [...new Set([...Object.keys(a ?? {}), ...Object.keys(b ?? {})])].sort()
+}
+
+/** @param {any} v */
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v)
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ */
+function sameValue(a, b) {
+    if (a === b) return true
+    if (a === undefined || b === undefined) return false
+    return stableJson(a) === stableJson(b)
+}
+
+/** @param {any} v @returns {string} */
+function stableJson(v) {
+    if (Array.isArray(v)) return `[${v.map(stableJson).join(',')}]`
+    if (isPlainObject(v)) return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stableJson(v[k])}`).join(',')}}`
+    return JSON.stringify(v) ?? 'undefined'
+}
+
+/** @param {any} v */
+function formatValue(v) {
+    if (v === undefined || v === null) return '—'
+    if (typeof v === 'number') return String(round(v))
+    if (typeof v === 'string') return clip(v)
+    return clip(JSON.stringify(v))
+}
+
+/** @param {string} s */
+function clip(s, max = 40) {
+    const one = String(s).replace(/\s+/g, ' ').trim()
+    return one.length > max ? `${one.slice(0, max - 1)}…` : one
+}
+
+/** @param {number} n */
+function round(n) {
+    return Math.round(n * 10) / 10
+}
+
+/** @param {number} n */
+function signed(n) {
+    const r = round(n)
+    return r > 0 ? `+${r}` : String(r)
+}
@@ -0,0 +1,84 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { describeLayerChange, diffDocumentVersions } from './studioVersionDiff.mjs'
+
+const text = (id, z, content, extra = {}) => ({
+    id,
+    type: 'text',
+    name: 'Headline',
+    z,
+    visible: true,
+    locked: false,
+    content,
+    previousText: [],
+    style: { fontFamily: 'Inter', fontSize: 48, color: '#111111' },
+    transform: { x: 100, y: 100, width: 600, height: 120 },
+    ...extra,
+})
+
+const fill = (id, z, extra = {}) => ({
+    id,
+    type: 'fill',
+    z,
+    visible: true,
+    locked: false,
+    fillKind: 'solid',
+    color: '#ffffff',
+    transform: { x: 0, y: 0, width: 1080, height: 1080 },
+    ...extra,
+})
+
+const doc = (layers, extra = {}) => ({ width: 1080, height: 1080, layers, ...extra })
+
+test('identical versions have no changes; drag jitter below half a pixel is ignored', () => {
+    const a = doc([fill('bg', 0), text('h', 1, 'Spring sale')])
+    const b = doc([fill('bg', 0), text('h', 1, 'Spring sale', { transform: { x: 100.3, y: 99.8, width: 600, height: 120 }, previousText: ['x'] })])
+    assert.deepEqual(diffDocumentVersions(a, b), { canvas: [], added: [], removed: [], changed: [], total: 0 })
+})
+
+test('lists added / removed layers, text edits, transform and style deltas', () => {
+    const a = doc([fill('bg', 0), text('h', 1, 'Spring sale'), fill('badge', 2, { color: '#ff0000' })])
+    const b = doc(
+        [
+            fill('bg', 0, { color: '#000000' }),
+            text('h', 3, 'Summer sale', {
+                style: { fontFamily: 'Inter', fontSize: 56, color: '#111111' },
+                transform: { x: 120, y: 90, width: 640, height: 120, rotation: 5 },
+            }),
+            fill('cta', 2),
+        ],
+        { width: 1200 }
+    )
+    const d = diffDocumentVersions(a, b)
+    assert.deepEqual(d.canvas, [{ field: 'width', before: 1080, after: 1200 }])
+    assert.deepEqual(d.added.map((l) => [l.id, l.name, l.before]), [['cta', 'fill', null]])
+    assert.deepEqual(d.removed.map((l) => l.id), ['badge'])
+    assert.ok(d.removed[0].before && d.removed[0].after === null)
+
+    const byId = Object.fromEntries(d.changed.map((c) => [c.id, c.changes.map(describeLayerChange)]))
+    assert.deepEqual(byId.bg, ['color: #ffffff → #000000'])
+    assert.deepEqual(byId.h, [
+        'Text “Spring sale” → “Summer sale”',
+        'Moved +20, -10 px',
+        'Resized 600×120 → 640×120',
+        'Rotated 0° → 5°',
+        'style.fontSize: 48 → 56',
+    ])
+    assert.equal(d.total, 1 + 1 + 1 + 1 + 5)
+})
+
+test('stacking order only counts relative moves between layers present in both versions', () => {
+    const a = doc([fill('bg', 0), text('h', 1, 'A'), fill('logo', 2)])
+    const renumbered = doc([fill('bg', 10), text('h', 20, 'A'), fill('logo', 30)])
+    assert.equal(diffDocumentVersions(a, renumbered).total, 0)
+
+    const swapped = doc([fill('bg', 0), text('h', 2, 'A'), fill('logo', 1)])
+    const d = diffDocumentVersions(a, swapped)
+    assert.deepEqual(
+        d.changed.map((c) => [c.id, describeLayerChange(c.changes[0])]),
+        [
+            ['h', 'Brought forward'],
+            ['logo', 'Sent backward'],
+        ]
+    )
+})
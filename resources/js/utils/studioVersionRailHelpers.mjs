@@ -16,11 +16,11 @@ export function variantHasAxisMetadata(axis) {
         return false
     }
     const a = /** @type {Record<string, unknown>} */ (axis)
-    return Boolean(a.color || a.scene || a.format)
+    return Boolean(a.color || a.scene || a.format || a.locale)
 }
 
 /**
- * Short labels for micro-chips (max 3).
+ * Short labels for micro-chips (max 3): color, scene, format, locale.
  * @param {unknown} axis
  * @returns {string[]}
  */
@@ -56,6 +56,14 @@ export function getVariantAxisChipTexts(axis) {
             out.push(`${w}×${h}`)
         }
     }
+    const locale = a.locale
+    if (locale && typeof locale === 'object') {
+        const l = /** @type {Record<string, unknown>} */ (locale)
+        const label = String(l.label ?? l.id ?? '').trim()
+        if (label) {
+            out.push(label)
+        }
+    }
     return out.slice(0, 3)
 }
 
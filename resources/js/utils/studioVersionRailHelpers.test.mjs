@@ -22,6 +22,11 @@ test('axis chips collect color scene format', () => {
     assert.deepEqual(chips, ['Navy', 'Studio', 'Portrait'])
 })
 
+test('axis chips include the locale of a locale version', () => {
+    assert.deepEqual(getVariantAxisChipTexts({ locale: { id: 'de-DE', label: 'de-DE', direction: 'ltr' } }), ['de-DE'])
+    assert.equal(variantHasAxisMetadata({ locale: { id: 'ar' } }), true)
+})
+
 test('variantHasAxisMetadata', () => {
     assert.equal(variantHasAxisMetadata({ color: { id: 'x' } }), true)
     assert.equal(variantHasAxisMetadata({}), false)
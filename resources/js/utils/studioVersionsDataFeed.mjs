@@ -0,0 +1,434 @@
+/**
+ * Data-driven Studio versions: one version per row of a CSV / JSON feed applied to a master composition.
+ *
+ * Columns are matched by normalized header (`Sub Headline` → `sub_headline`) against {@link DATA_FEED_FIELDS}
+ * and their aliases. Text fields replace the copy of text layers with the matching sync role (`price` fills
+ * `badge` text); any column can also be referenced as a `{{column}}` placeholder inside a text layer.
+ * `product_image_asset_id` swaps the master's product image (an image layer named "product…", else the
+ * largest non-logo image) for that DAM asset.
+ *
+ * Nothing is created until {@link validateDataFeedRows} has reported per-row overflow / missing-asset issues;
+ * callers create only rows without errors.
+ *
+ * @typedef {'headline' | 'subheadline' | 'cta' | 'logo' | 'badge' | 'disclaimer'} SyncRole
+ * @typedef {Record<string, string>} DataFeedRow Values keyed by normalized column header.
+ * @typedef {{ columns: string[], rows: DataFeedRow[], error: string | null }} ParsedDataFeed
+ * @typedef {{ id: string, file_url: string, width?: number, height?: number, name?: string }} DataFeedAsset
+ * @typedef {Record<string, DataFeedAsset | null>} DataFeedAssets Looked-up assets by id; `null` = not found.
+ * @typedef {(layer: any) => SyncRole | null} SyncRoleResolver
+ * @typedef {{ level: 'error' | 'warning', field: string, message: string }} DataFeedIssue
+ * @typedef {{ index: number, name: string, issues: DataFeedIssue[], hasErrors: boolean }} DataFeedRowReport
+ */
+
+import { estimateTextHeight } from './studioConstraintResize.mjs'
+import { reconcileTextRuns } from './studioTextRuns.mjs'
+
+/** Hard cap per import; keeps a pasted export from spawning thousands of compositions. */
+export const DATA_FEED_ROWS_MAX = 200
+
+/** Overflow tolerance for the height estimate used when no `fit` measurement is passed. */
+const OVERFLOW_TOLERANCE = 1.05
+
+/** A measured fit this close to the layer's font size still counts as fitting. */
+const FIT_TOLERANCE_PX = 0.5
+
+/** @type {Readonly<Record<string, readonly string[]>>} */
+const FIELD_ALIASES = Object.freeze({
+    name: ['name', 'label', 'version', 'version_name'],
+    headline: ['headline', 'title', 'heading'],
+    subheadline: ['subheadline', 'sub_headline', 'subhead', 'subtitle'],
+    cta: ['cta', 'call_to_action', 'button'],
+    price: ['price', 'offer_price'],
+    disclaimer: ['disclaimer', 'legal', 'fine_print'],
+    product_image_asset_id: ['product_image_asset_id', 'product_image', 'image_asset_id', 'asset_id'],
+})
+
+export const DATA_FEED_FIELDS = Object.freeze(Object.keys(FIELD_ALIASES))
+
+/** Text fields and the sync role of the layers they fill. */
+const TEXT_FIELD_ROLES = Object.freeze({
+    headline: 'headline',
+    subheadline: 'subheadline',
+    cta: 'cta',
+    price: 'badge',
+    disclaimer: 'disclaimer',
+})
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g
+const HAS_PLACEHOLDER = /\{\{[^{}]+\}\}/
+
+/** @param {string} header */
+export function normalizeFeedHeader(header) {
+    return String(header ?? '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+}
+
+/**
+ * @param {string} line
+ */
+function detectDelimiter(line) {
+    let best = ','
+    let bestCount = -1
+    for (const d of [',', ';', '\t']) {
+        let count = 0
+        let quoted = false
+        for (const ch of line) {
+            if (ch === '"') quoted = !quoted
+            else if (ch === d && !quoted) count++
+        }
+        if (count > bestCount) {
+            best = d
+            bestCount = count
+        }
+    }
+    return best
+}
+
+/**
+ * RFC 4180-ish CSV: quoted fields, doubled quotes, CRLF, delimiter sniffed from the header (`,` `;` or tab).
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsvRecords(text) {
+    const src = String(text ?? '')
+    const delimiter = detectDelimiter(src.split(/\r?\n/, 1)[0] ?? '')
+    /** @type {string[][]} */
+    const records = []
+    /** @type {string[]} */
+    let record = []
+    let field = ''
+    let quoted = false
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i]
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (ch === '"') {
+                quoted = false
+            } else {
+                field += ch
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true
+        } else if (ch === delimiter) {
+            record.push(field)
+            field = ''
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++
+            record.push(field)
+            records.push(record)
+            record = []
+            field = ''
+        } else {
+            field += ch
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field)
+        records.push(record)
+    }
+    return records
+}
+
+/**
+ * Parses a CSV (header row first) or JSON (array of objects, or `{ rows: [...] }`) feed. Blank rows are dropped.
+ *
+ * @param {string} text
+ * @returns {ParsedDataFeed}
+ */
+export function parseDataFeed(text) {
+    const src = String(text ?? '').replace(/^\uFEFF/, '')
+    const trimmed = src.trim()
+    if (trimmed === '') {
+        return { columns: [], rows: [], error: 'The feed is empty.' }
+    }
+
+    /** @type {Record<string, unknown>[]} */
+    let objects
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let data
+        try {
+            data = JSON.parse(trimmed)
+        } catch {
+            return { columns: [], rows: [], error: 'The JSON feed could not be parsed.' }
+        }
+        const list = Array.isArray(data) ? data : Array.isArray(data?.rows) ? data.rows : null
+        if (!list || list.some((r) => !r || typeof r !== 'object' || Array.isArray(r))) {
+            return { columns: [], rows: [], error: 'JSON feeds must be an array of objects (or { "rows": [...] }).' }
+        }
+        objects = list
+    } else {
+        const [header, ...records] = parseCsvRecords(src)
+        objects = records.map((r) => Object.fromEntries((header ?? []).map((h, i) => [h, r[i] ?? ''])))
+    }
+
+    /** @type {string[]} */
+    const columns = []
+    /** @type {DataFeedRow[]} */
+    const rows = []
+    for (const obj of objects) {
+        /** @type {DataFeedRow} */
+        const row = {}
+        for (const [key, value] of Object.entries(obj)) {
+            const k = normalizeFeedHeader(key)
+            if (!k || value === null || value === undefined || typeof value === 'object') continue
+            row[k] = String(value).trim()
+            if (!columns.includes(k)) columns.push(k)
+        }
+        if (Object.values(row).some((v) => v !== '')) {
+            rows.push(row)
+        }
+    }
+    if (rows.length === 0) {
+        return { columns, rows, error: 'The feed has no data rows.' }
+    }
+    if (rows.length > DATA_FEED_ROWS_MAX) {
+        return {
+            columns,
+            rows: rows.slice(0, DATA_FEED_ROWS_MAX),
+            error: `Only the first ${DATA_FEED_ROWS_MAX} rows are used.`,
+        }
+    }
+    return { columns, rows, error: null }
+}
+
+/**
+ * Value of a known field in a row (first non-empty alias), or `''`.
+ *
+ * @param {DataFeedRow} row
+ * @param {string} field
+ */
+export function dataFeedFieldValue(row, field) {
+    for (const alias of FIELD_ALIASES[field] ?? [field]) {
+        const v = row[alias]
+        if (typeof v === 'string' && v !== '') return v
+    }
+    return ''
+}
+
+/**
+ * @param {DataFeedRow} row
+ * @param {number} index
+ */
+export function dataFeedRowName(row, index) {
+    return dataFeedFieldValue(row, 'name') || dataFeedFieldValue(row, 'headline').slice(0, 60) || `Row ${index + 1}`
+}
+
+/**
+ * Image layer a `product_image_asset_id` replaces, or null.
+ *
+ * @param {{ layers: any[] }} doc
+ * @param {SyncRoleResolver} roleOf
+ */
+export function dataFeedProductImageLayer(doc, roleOf) {
+    const images = doc.layers.filter((l) => l.type === 'image' && roleOf(l) !== 'logo' && roleOf(l) !== 'badge')
+    const named = images.find((l) => /product/i.test(l.name ?? ''))
+    if (named) return named
+    let best = null
+    for (const l of images) {
+        if (!best || l.transform.width * l.transform.height > best.transform.width * best.transform.height) {
+            best = l
+        }
+    }
+    return best
+}
+
+/**
+ * @param {any} layer
+ * @param {string} content
+ */
+function withContent(layer, content) {
+    if (layer.content === content) return layer
+    const runs = reconcileTextRuns(content, layer.runs)
+    const next = { ...layer, content }
+    if (runs) next.runs = runs
+    else delete next.runs
+    return next
+}
+
+/**
+ * @param {{ layers: any[] }} doc
+ * @param {DataFeedRow} row
+ * @param {{ roleOf: SyncRoleResolver, assets?: DataFeedAssets }} opts
+ */
+function applyRow(doc, row, opts) {
+    /** @type {Map<string, string>} layer id → field that set its copy */
+    const textFields = new Map()
+    /** @type {string[]} */
+    const unresolvedPlaceholders = []
+    /** @type {string[]} */
+    const unusedFields = []
+    const usedTokens = new Set()
+    for (const l of doc.layers) {
+        if (l.type !== 'text') continue
+        for (const m of String(l.content ?? '').matchAll(PLACEHOLDER)) usedTokens.add(normalizeFeedHeader(m[1]))
+    }
+
+    let layers = doc.layers
+    for (const [field, role] of Object.entries(TEXT_FIELD_ROLES)) {
+        const value = dataFeedFieldValue(row, field)
+        if (value === '') continue
+        let hit = false
+        layers = layers.map((l) => {
+            if (l.type !== 'text' || opts.roleOf(l) !== role) return l
+            hit = true
+            textFields.set(l.id, field)
+            return withContent(l, value)
+        })
+        if (!hit && !(FIELD_ALIASES[field] ?? []).some((a) => usedTokens.has(a))) {
+            unusedFields.push(field)
+        }
+    }
+
+    layers = layers.map((l) => {
+        if (l.type !== 'text' || textFields.has(l.id) || !HAS_PLACEHOLDER.test(String(l.content ?? ''))) return l
+        let field = ''
+        const content = String(l.content).replace(PLACEHOLDER, (match, key) => {
+            const k = normalizeFeedHeader(key)
+            const value = row[k] ?? (DATA_FEED_FIELDS.includes(k) ? dataFeedFieldValue(row, k) : '')
+            if (value === '') {
+                unresolvedPlaceholders.push(k)
+                return match
+            }
+            field ||= k
+            return value
+        })
+        if (field) textFields.set(l.id, field)
+        return withContent(l, content)
+    })
+
+    const assetId = dataFeedFieldValue(row, 'product_image_asset_id')
+    let productLayerId = null
+    if (assetId !== '') {
+        const target = dataFeedProductImageLayer({ layers }, opts.roleOf)
+        const asset = opts.assets?.[assetId]
+        if (target) {
+            productLayerId = target.id
+            if (asset) {
+                layers = layers.map((l) => {
+                    if (l.id !== target.id) return l
+                    const next = {
+                        ...l,
+                        assetId: asset.id,
+                        src: asset.file_url,
+                        naturalWidth: asset.width ?? l.naturalWidth,
+                        naturalHeight: asset.height ?? l.naturalHeight,
+                    }
+                    delete next.assetVersionId
+                    return next
+                })
+            }
+        }
+    }
+
+    return {
+        doc: layers === doc.layers ? doc : { ...doc, layers },
+        textFields,
+        unresolvedPlaceholders: [...new Set(unresolvedPlaceholders)],
+        unusedFields,
+        productLayerId,
+    }
+}
+
+/**
+ * The master with one row's copy and product image applied (ids and everything else unchanged).
+ *
+ * @template {{ layers: any[] }} T
+ * @param {T} doc
+ * @param {DataFeedRow} row
+ * @param {{ roleOf: SyncRoleResolver, assets?: DataFeedAssets }} opts
+ * @returns {T}
+ */
+export function applyDataFeedRow(doc, row, opts) {
+    return /** @type {T} */ (applyRow(doc, row, opts).doc)
+}
+
+/**
+ * Per-row report: text that overflows its box, unknown / missing assets, unfilled placeholders and values
+ * with nowhere to go.
+ *
+ * `opts.fit(layer, text)` returns the largest font size at which `text` fits the layer box (the editor passes
+ * `computeAutoFitTextFontSize`); copy that needs smaller type is an error, or a warning when the layer auto-fits.
+ * Without `fit` only a rough height estimate is available, so overflow is reported as a warning.
+ *
+ * @param {{ layers: any[] }} doc
+ * @param {DataFeedRow[]} rows
+ * @param {{ roleOf: SyncRoleResolver, assets: DataFeedAssets, fit?: (layer: any, text: string) => number }} opts
+ * @returns {DataFeedRowReport[]}
+ */
+export function validateDataFeedRows(doc, rows, opts) {
+    return rows.map((row, index) => {
+        /** @type {DataFeedIssue[]} */
+        const issues = []
+        const applied = applyRow(doc, row, opts)
+
+        if (applied.textFields.size === 0 && dataFeedFieldValue(row, 'product_image_asset_id') === '') {
+            issues.push({ level: 'error', field: '', message: 'Nothing in this row maps onto the master.' })
+        }
+        for (const field of applied.unusedFields) {
+            issues.push({ level: 'warning', field, message: `The master has no ${field} layer; this value is ignored.` })
+        }
+        for (const key of applied.unresolvedPlaceholders) {
+            issues.push({ level: 'error', field: key, message: `Placeholder {{${key}}} has no value in this row.` })
+        }
+
+        for (const layer of applied.doc.layers) {
+            const field = applied.textFields.get(layer.id)
+            if (!field) continue
+            const style = layer.style ?? {}
+            const fontSize = Number(style.fontSize) || 16
+            if (opts.fit) {
+                if (opts.fit(layer, layer.content ?? '') >= fontSize - FIT_TOLERANCE_PX) continue
+            } else {
+                const needed = estimateTextHeight({
+                    content: layer.content,
+                    fontSize,
+                    width: layer.transform.width,
+                    lineHeight: style.lineHeight,
+                    letterSpacing: style.letterSpacing,
+                })
+                if (needed <= layer.transform.height * OVERFLOW_TOLERANCE) continue
+            }
+            if (style.autoFit) {
+                issues.push({ level: 'warning', field, message: `${field} is long for its box and will be shrunk to fit.` })
+            } else if (opts.fit) {
+                issues.push({ level: 'error', field, message: `${field} overflows its text box.` })
+            } else {
+                issues.push({ level: 'warning', field, message: `${field} may overflow its text box.` })
+            }
+        }
+
+        const assetId = dataFeedFieldValue(row, 'product_image_asset_id')
+        if (assetId !== '') {
+            if (!applied.productLayerId) {
+                issues.push({
+                    level: 'warning',
+                    field: 'product_image_asset_id',
+                    message: 'The master has no product image layer; the asset is ignored.',
+                })
+            } else if (!opts.assets[assetId]) {
+                issues.push({
+                    level: 'error',
+                    field: 'product_image_asset_id',
+                    message: `Asset ${assetId} was not found in the library.`,
+                })
+            }
+        }
+
+        return { index, name: dataFeedRowName(row, index), issues, hasErrors: issues.some((i) => i.level === 'error') }
+    })
+}
+
+/**
+ * Distinct product image asset ids referenced by the feed (to look up before validating).
+ *
+ * @param {DataFeedRow[]} rows
+ */
+export function dataFeedAssetIds(rows) {
+    return [...new Set(rows.map((r) => dataFeedFieldValue(r, 'product_image_asset_id')).filter((v) => v !== ''))]
+}
@@ -0,0 +1,112 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    applyDataFeedRow,
+    dataFeedAssetIds,
+    parseCsvRecords,
+    parseDataFeed,
+    validateDataFeedRows,
+} from './studioVersionsDataFeed.mjs'
+
+/** @param {any} layer */
+const roleOf = (layer) => layer.studioSyncRole ?? null
+
+function text(id, role, content, box, style = {}) {
+    return {
+        id,
+        type: 'text',
+        z: 1,
+        visible: true,
+        locked: false,
+        content,
+        ...(role ? { studioSyncRole: role } : {}),
+        style: { fontFamily: 'Inter', fontSize: 40, color: '#111111', ...style },
+        transform: { x: 0, y: 0, ...box },
+    }
+}
+
+const master = {
+    id: 'doc',
+    width: 1080,
+    height: 1080,
+    layers: [
+        { id: 'bg', type: 'image', z: 0, visible: true, locked: false, src: 'bg.jpg', assetId: 'a-bg', transform: { x: 0, y: 0, width: 1080, height: 1080 } },
+        { id: 'shot', type: 'image', name: 'Product shot', z: 1, visible: true, locked: false, src: 'p.jpg', assetId: 'a-old', assetVersionId: 'v1', transform: { x: 300, y: 300, width: 400, height: 400 } },
+        { id: 'logo', type: 'image', z: 2, visible: true, locked: false, src: 'l.png', studioSyncRole: 'logo', transform: { x: 20, y: 20, width: 100, height: 50 } },
+        text('h', 'headline', 'Master headline', { width: 1000, height: 60 }),
+        text('c', 'cta', 'Shop', { width: 300, height: 60 }, { fontSize: 24 }),
+        text('p', null, 'Now {{ price }} only', { width: 600, height: 60 }, { fontSize: 24 }),
+    ],
+}
+
+test('parses CSV with quotes, semicolons and normalized headers', () => {
+    assert.deepEqual(parseCsvRecords('a;b\r\n"x;1";"say ""hi"""\n'), [
+        ['a', 'b'],
+        ['x;1', 'say "hi"'],
+    ])
+    const feed = parseDataFeed('\uFEFFHeadline,Sub Headline,Price\nSpring sale,"New, fresh",$9\n,,\n')
+    assert.equal(feed.error, null)
+    assert.deepEqual(feed.columns, ['headline', 'sub_headline', 'price'])
+    assert.deepEqual(feed.rows, [{ headline: 'Spring sale', sub_headline: 'New, fresh', price: '$9' }])
+})
+
+test('parses JSON arrays and { rows } and rejects other shapes', () => {
+    assert.deepEqual(parseDataFeed('[{"Headline":"A","price":9.5}]').rows, [{ headline: 'A', price: '9.5' }])
+    assert.deepEqual(parseDataFeed('{"rows":[{"cta":"Go"}]}').rows, [{ cta: 'Go' }])
+    assert.match(parseDataFeed('[1,2]').error ?? '', /array of objects/)
+    assert.match(parseDataFeed('{"rows": ').error ?? '', /could not be parsed/)
+    assert.match(parseDataFeed('').error ?? '', /empty/)
+})
+
+test('applies copy by sync role, fills placeholders and swaps the product image', () => {
+    const row = { headline: 'Big news', cta: 'Buy now', price: '$19', product_image_asset_id: 'a-new' }
+    const assets = { 'a-new': { id: 'a-new', file_url: 'https://cdn/new.jpg', width: 800, height: 800 } }
+    const out = applyDataFeedRow(master, row, { roleOf, assets })
+    const byId = Object.fromEntries(out.layers.map((l) => [l.id, l]))
+    assert.equal(byId.h.content, 'Big news')
+    assert.equal(byId.c.content, 'Buy now')
+    assert.equal(byId.p.content, 'Now $19 only')
+    assert.equal(byId.shot.assetId, 'a-new')
+    assert.equal(byId.shot.src, 'https://cdn/new.jpg')
+    assert.equal(byId.shot.assetVersionId, undefined)
+    assert.equal(byId.bg.assetId, 'a-bg')
+    assert.equal(master.layers[3].content, 'Master headline', 'master is not mutated')
+    assert.deepEqual(dataFeedAssetIds([row, { asset_id: 'a-new' }, { image_asset_id: 'x' }]), ['a-new', 'x'])
+})
+
+test('reports overflow, missing assets, unfilled placeholders and unmapped rows per row', () => {
+    const rows = [
+        { name: 'OK', headline: 'Short', price: '$5' },
+        { headline: 'A headline far too long to ever fit on a single short line of this box', price: '$5' },
+        { cta: 'Go', product_image_asset_id: 'missing' },
+        { unrelated: 'x' },
+    ]
+    // Pretend 30 characters fit per line at the layer's size: longer copy needs proportionally smaller type.
+    const fit = (layer, text) => Math.min(layer.style.fontSize, (layer.style.fontSize * 30) / Math.max(30, text.length))
+    const report = validateDataFeedRows(master, rows, { roleOf, assets: { missing: null }, fit })
+    assert.equal(report[0].name, 'OK')
+    assert.deepEqual(report[0].issues, [])
+    assert.equal(report[1].hasErrors, true)
+    assert.match(report[1].issues[0].message, /headline overflows/)
+    assert.equal(report[2].hasErrors, true)
+    assert.ok(report[2].issues.some((i) => /Placeholder \{\{price\}\}/.test(i.message)))
+    assert.ok(report[2].issues.some((i) => /Asset missing was not found/.test(i.message)))
+    assert.equal(report[3].name, 'Row 4')
+    assert.match(report[3].issues[0].message, /Nothing in this row/)
+
+    const autoFit = { ...master, layers: master.layers.map((l) => (l.id === 'h' ? { ...l, style: { ...l.style, autoFit: true } } : l)) }
+    const soft = validateDataFeedRows(autoFit, [rows[1]], { roleOf, assets: {}, fit })[0]
+    assert.equal(soft.hasErrors, false)
+    assert.equal(soft.issues[0].level, 'warning')
+    assert.match(soft.issues[0].message, /will be shrunk to fit/)
+})
+
+test('without a fit measurement the overflow estimate only warns', () => {
+    const long = { headline: 'A headline far too long to ever fit on a single short line of this box', price: '$5' }
+    const [estimated] = validateDataFeedRows(master, [long], { roleOf, assets: {} })
+    assert.equal(estimated.hasErrors, false)
+    assert.deepEqual(estimated.issues, [{ level: 'warning', field: 'headline', message: 'headline may overflow its text box.' }])
+
+    const [measured] = validateDataFeedRows(master, [long], { roleOf, assets: {}, fit: (layer) => layer.style.fontSize })
+    assert.deepEqual(measured.issues, [])
+})
@@ -43,6 +43,16 @@ export function studioHandoffBundleZipFilename(p) {
     return `Studio-Versions_${setPart}_${idPart}_${kind}_${stamp}.zip`
 }
 
+/**
+ * Download name for the multi-page print PDF (one page per version).
+ */
+export function studioHandoffPrintPdfFilename(p) {
+    const setPart = sanitizeExportSegment(p.setName || 'versions-set', 32)
+    const idPart = sanitizeExportSegment(String(p.setId ?? 'set').replace(/[^a-z0-9-_]+/gi, '_'), 16)
+    const stamp = sanitizeExportSegment(p.stamp, 24)
+    return `Studio-Versions_${setPart}_${idPart}_print_${stamp}.pdf`
+}
+
 /**
  * When hero is in the set, move it to the front; preserve relative order of other ids.
  * @param {string[]} sortedIds already in deterministic order (e.g. variant sort_order)
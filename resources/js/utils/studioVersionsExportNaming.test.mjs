@@ -4,6 +4,7 @@ import {
     orderExportCompositionIdsHeroFirst,
     sanitizeExportSegment,
     studioHandoffBundleZipFilename,
+    studioHandoffPrintPdfFilename,
     studioHandoffVersionRasterFilename,
     zeroPadSequence,
 } from './studioVersionsExportNaming.mjs'
@@ -41,6 +42,13 @@ test('studioHandoffBundleZipFilename is stable shape', () => {
     assert.ok(z.endsWith('.zip'))
 })
 
+test('studioHandoffPrintPdfFilename marks the print bundle', () => {
+    assert.equal(
+        studioHandoffPrintPdfFilename({ setName: 'Spring Drop', setId: 'cs-abc', stamp: '2026-04-22_12-00-00' }),
+        'Studio-Versions_Spring_Drop_cs-abc_print_2026-04-22_12-00-00.pdf',
+    )
+})
+
 test('orderExportCompositionIdsHeroFirst pulls hero only when present', () => {
     assert.deepEqual(orderExportCompositionIdsHeroFirst(['a', 'b', 'c'], null), ['a', 'b', 'c'])
     assert.deepEqual(orderExportCompositionIdsHeroFirst(['a', 'b', 'c'], 'x'), ['a', 'b', 'c'])
@@ -0,0 +1,199 @@
+/**
+ * Streamed SHA-256 fingerprints for Add Asset duplicate detection.
+ *
+ * Web Crypto's `subtle.digest` only hashes a whole buffer, which would mean holding a multi-GB video in memory,
+ * so this is an incremental SHA-256 fed from `Blob.slice()` chunks. `createUploadContentHasher()` runs it in a
+ * Web Worker (uploadContentHash.worker.js) so preflight and the dialog stay responsive.
+ */
+
+/** Bytes read per slice — large enough to amortize reads, small enough to keep worker memory flat. */
+export const UPLOAD_HASH_CHUNK_BYTES = 8 * 1024 * 1024
+
+const K = new Int32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5, 0xd807aa98,
+    0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+    0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da, 0x983e5152, 0xa831c66d, 0xb00327c8,
+    0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+    0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819,
+    0xd6990624, 0xf40e3585, 0x106aa070, 0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+    0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7,
+    0xc67178f2,
+])
+
+/**
+ * Incremental SHA-256.
+ * @returns {{ update: (bytes: Uint8Array) => void, digestHex: () => string }}
+ */
+export function createSha256() {
+    const state = new Int32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+    ])
+    const w = new Int32Array(64)
+    const block = new Uint8Array(64)
+    let blockLen = 0
+    let totalBytes = 0
+    let finished = null
+
+    const compress = (bytes, offset) => {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3]
+        }
+        for (let i = 16; i < 64; i++) {
+            const x = w[i - 15]
+            const y = w[i - 2]
+            const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3)
+            const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10)
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0
+        }
+        let a = state[0]
+        let b = state[1]
+        let c = state[2]
+        let d = state[3]
+        let e = state[4]
+        let f = state[5]
+        let g = state[6]
+        let h = state[7]
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7))
+            const t1 = (h + S1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10))
+            const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0
+            h = g
+            g = f
+            f = e
+            e = (d + t1) | 0
+            d = c
+            c = b
+            b = a
+            a = (t1 + t2) | 0
+        }
+        state[0] = (state[0] + a) | 0
+        state[1] = (state[1] + b) | 0
+        state[2] = (state[2] + c) | 0
+        state[3] = (state[3] + d) | 0
+        state[4] = (state[4] + e) | 0
+        state[5] = (state[5] + f) | 0
+        state[6] = (state[6] + g) | 0
+        state[7] = (state[7] + h) | 0
+    }
+
+    const update = (bytes) => {
+        if (finished !== null) throw new Error('SHA-256 already finalized')
+        let i = 0
+        totalBytes += bytes.length
+        if (blockLen > 0) {
+            const take = Math.min(64 - blockLen, bytes.length)
+            block.set(bytes.subarray(0, take), blockLen)
+            blockLen += take
+            i = take
+            if (blockLen < 64) return
+            compress(block, 0)
+            blockLen = 0
+        }
+        for (; i + 64 <= bytes.length; i += 64) compress(bytes, i)
+        if (i < bytes.length) {
+            block.set(bytes.subarray(i), 0)
+            blockLen = bytes.length - i
+        }
+    }
+
+    const digestHex = () => {
+        if (finished !== null) return finished
+        const bitsHi = Math.floor(totalBytes / 0x20000000)
+        const bitsLo = (totalBytes * 8) >>> 0
+        const pad = new Uint8Array(blockLen < 56 ? 64 - blockLen : 128 - blockLen)
+        pad[0] = 0x80
+        const view = new DataView(pad.buffer)
+        view.setUint32(pad.length - 8, bitsHi)
+        view.setUint32(pad.length - 4, bitsLo)
+        update(pad)
+        finished = Array.from(state, (v) => (v >>> 0).toString(16).padStart(8, '0')).join('')
+        return finished
+    }
+
+    return { update, digestHex }
+}
+
+/**
+ * SHA-256 of a Blob / File, read slice by slice.
+ * @param {Blob} blob
+ * @param {{ chunkBytes?: number, onProgress?: (hashedBytes: number, totalBytes: number) => void, signal?: AbortSignal }} [options]
+ * @returns {Promise<string>} lowercase hex digest
+ */
+export async function hashBlobSha256(blob, { chunkBytes = UPLOAD_HASH_CHUNK_BYTES, onProgress, signal } = {}) {
+    const sha = createSha256()
+    for (let offset = 0; offset < blob.size; offset += chunkBytes) {
+        if (signal?.aborted) throw new DOMException('Hashing aborted', 'AbortError')
+        const end = Math.min(offset + chunkBytes, blob.size)
+        sha.update(new Uint8Array(await blob.slice(offset, end).arrayBuffer()))
+        onProgress?.(end, blob.size)
+    }
+    return sha.digestHex()
+}
+
+/**
+ * Hash files off the main thread, one at a time (hashing is disk-bound; parallel reads only thrash).
+ * Falls back to hashing on the main thread where module workers are unavailable.
+ *
+ * @returns {{ hash: (file: Blob, onProgress?: (hashedBytes: number, totalBytes: number) => void) => Promise<string>, terminate: () => void }}
+ */
+export function createUploadContentHasher() {
+    let worker = null
+    try {
+        worker =
+            typeof Worker === 'undefined'
+                ? null
+                : new Worker(new URL('./uploadContentHash.worker.js', import.meta.url), { type: 'module' })
+    } catch {
+        worker = null
+    }
+
+    if (!worker) {
+        let chain = Promise.resolve()
+        const controller = new AbortController()
+        return {
+            hash: (file, onProgress) => {
+                const run = chain.then(() => hashBlobSha256(file, { onProgress, signal: controller.signal }))
+                chain = run.catch(() => {})
+                return run
+            },
+            terminate: () => controller.abort(),
+        }
+    }
+
+    let nextId = 0
+    const pending = new Map()
+    worker.onmessage = (event) => {
+        const { id, type, sha256, hashedBytes, totalBytes, error } = event.data || {}
+        const job = pending.get(id)
+        if (!job) return
+        if (type === 'progress') {
+            job.onProgress?.(hashedBytes, totalBytes)
+            return
+        }
+        pending.delete(id)
+        if (type === 'done') job.resolve(sha256)
+        else job.reject(new Error(error || 'Hashing failed'))
+    }
+    worker.onerror = (event) => {
+        const err = new Error(event?.message || 'Hashing worker failed')
+        pending.forEach((job) => job.reject(err))
+        pending.clear()
+    }
+
+    return {
+        hash: (file, onProgress) =>
+            new Promise((resolve, reject) => {
+                const id = ++nextId
+                pending.set(id, { resolve, reject, onProgress })
+                worker.postMessage({ id, file })
+            }),
+        terminate: () => {
+            worker.terminate()
+            const err = new DOMException('Hashing aborted', 'AbortError')
+            pending.forEach((job) => job.reject(err))
+            pending.clear()
+        },
+    }
+}
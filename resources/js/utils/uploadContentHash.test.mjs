@@ -0,0 +1,44 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createHash } from 'node:crypto'
+import { createSha256, hashBlobSha256 } from './uploadContentHash.js'
+
+const nodeSha256 = (bytes) => createHash('sha256').update(bytes).digest('hex')
+
+test('createSha256 matches known digests', () => {
+    const empty = createSha256()
+    assert.equal(empty.digestHex(), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855')
+
+    const abc = createSha256()
+    abc.update(new TextEncoder().encode('abc'))
+    assert.equal(abc.digestHex(), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+})
+
+test('createSha256 is independent of how the input is split (block and padding boundaries)', () => {
+    for (const length of [55, 56, 63, 64, 65, 119, 128, 1000]) {
+        const bytes = Uint8Array.from({ length }, (_, i) => (i * 31 + 7) & 0xff)
+        const sha = createSha256()
+        for (let i = 0; i < bytes.length; i += 13) sha.update(bytes.subarray(i, i + 13))
+        assert.equal(sha.digestHex(), nodeSha256(bytes), `length ${length}`)
+    }
+})
+
+test('hashBlobSha256 hashes a blob slice by slice and reports progress', async () => {
+    const bytes = Uint8Array.from({ length: 100_003 }, (_, i) => (i * 131) & 0xff)
+    const progress = []
+    const hex = await hashBlobSha256(new Blob([bytes]), {
+        chunkBytes: 16_384,
+        onProgress: (done, total) => progress.push([done, total]),
+    })
+    assert.equal(hex, nodeSha256(bytes))
+    assert.equal(progress.length, 7)
+    assert.deepEqual(progress.at(-1), [100_003, 100_003])
+})
+
+test('hashBlobSha256 stops when aborted', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    await assert.rejects(hashBlobSha256(new Blob([new Uint8Array(10)]), { signal: controller.signal }), {
+        name: 'AbortError',
+    })
+})
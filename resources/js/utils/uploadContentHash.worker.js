@@ -0,0 +1,24 @@
+/**
+ * Web Worker for createUploadContentHasher(): hashes posted Files one at a time and reports progress.
+ *
+ * In:  { id, file }
+ * Out: { id, type: 'progress', hashedBytes, totalBytes } | { id, type: 'done', sha256 } | { id, type: 'error', error }
+ */
+
+import { hashBlobSha256 } from './uploadContentHash.js'
+
+let queue = Promise.resolve()
+
+self.onmessage = (event) => {
+    const { id, file } = event.data || {}
+    queue = queue.then(async () => {
+        try {
+            const sha256 = await hashBlobSha256(file, {
+                onProgress: (hashedBytes, totalBytes) => self.postMessage({ id, type: 'progress', hashedBytes, totalBytes }),
+            })
+            self.postMessage({ id, type: 'done', sha256 })
+        } catch (e) {
+            self.postMessage({ id, type: 'error', error: e?.message || String(e) })
+        }
+    })
+}
@@ -0,0 +1,277 @@
+/**
+ * Folder (directory tree) uploads for Add Asset: keep each file's path relative to the dropped / picked folder,
+ * and turn folder levels into a category, a metadata field value or tags before preflight.
+ *
+ * A mapping is one rule per folder level (level 0 = the folder that was dropped or picked):
+ *   { target: 'ignore' } | { target: 'category' } | { target: 'tags' } | { target: 'metadata', fieldKey }
+ */
+
+import { isFieldSatisfied } from './metadataValidation.js'
+import { normalizeTagString } from './tagInputNormalize.js'
+
+/** Metadata field types a folder name can fill in. */
+export const FOLDER_MAPPABLE_FIELD_TYPES = ['text', 'textarea', 'select', 'multiselect', 'number']
+
+/**
+ * @typedef {{ file: File, relativePath: string }} FolderUploadEntry
+ * @typedef {{ target: 'ignore'|'category'|'tags'|'metadata', fieldKey?: string }} FolderLevelRule
+ */
+
+/**
+ * Normalize a relative path: forward slashes, no leading slash, no empty / `.` segments.
+ * @param {string|null|undefined} path
+ * @returns {string}
+ */
+export function normalizeRelativePath(path) {
+    if (!path || typeof path !== 'string') return ''
+    return path
+        .replace(/\\/g, '/')
+        .split('/')
+        .filter((s) => s !== '' && s !== '.')
+        .join('/')
+}
+
+/**
+ * Folder names of a relative path, without the file name.
+ * @param {string} relativePath
+ * @returns {string[]}
+ */
+export function folderSegments(relativePath) {
+    const parts = normalizeRelativePath(relativePath).split('/')
+    return parts.length > 1 ? parts.slice(0, -1) : []
+}
+
+/**
+ * Entries for a file input (`webkitdirectory` sets `webkitRelativePath`; a plain picker leaves it empty).
+ * @param {FileList|File[]} fileList
+ * @returns {FolderUploadEntry[]}
+ */
+export function entriesFromFileList(fileList) {
+    return Array.from(fileList || []).map((file) => ({
+        file,
+        relativePath: normalizeRelativePath(file.webkitRelativePath || '') || file.name,
+    }))
+}
+
+/**
+ * Entries for a drop, walking dropped directories. Entry handles are taken synchronously — the DataTransfer
+ * is cleared once the drop handler returns — then directories are read asynchronously.
+ * Falls back to `dataTransfer.files` when the browser has no `webkitGetAsEntry`.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<FolderUploadEntry[]>}
+ */
+export function entriesFromDataTransfer(dataTransfer) {
+    const items = Array.from(dataTransfer?.items || [])
+    const roots = items
+        .filter((item) => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+        .map((item) => item.webkitGetAsEntry())
+        .filter(Boolean)
+    if (roots.length === 0) {
+        return Promise.resolve(entriesFromFileList(dataTransfer?.files))
+    }
+
+    const readFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject))
+    // readEntries returns at most ~100 children per call; keep reading until it returns an empty batch.
+    const readAll = async (dirEntry) => {
+        const reader = dirEntry.createReader()
+        const out = []
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+            if (batch.length === 0) return out
+            out.push(...batch)
+        }
+    }
+    const walk = async (entry, prefix) => {
+        const path = prefix ? `${prefix}/${entry.name}` : entry.name
+        if (entry.isFile) {
+            const file = await readFile(entry)
+            return [{ file, relativePath: path }]
+        }
+        if (!entry.isDirectory) return []
+        const children = await readAll(entry)
+        const nested = []
+        for (const child of children) {
+            nested.push(...(await walk(child, path)))
+        }
+        return nested
+    }
+
+    return (async () => {
+        const out = []
+        for (const root of roots) {
+            out.push(...(await walk(root, '')))
+        }
+        // OS metadata files never belong in the DAM.
+        return out.filter((e) => !/^(\.DS_Store|Thumbs\.db|desktop\.ini)$/i.test(e.file.name))
+    })()
+}
+
+/**
+ * True when any entry sits inside a folder, i.e. the folder mapping step is worth showing.
+ * @param {FolderUploadEntry[]} entries
+ */
+export function hasFolderStructure(entries) {
+    return (entries || []).some((e) => folderSegments(e.relativePath).length > 0)
+}
+
+/**
+ * Distinct folder names per level, with file counts, for the mapping UI.
+ * @param {FolderUploadEntry[]} entries
+ * @returns {Array<{ level: number, folders: Array<{ name: string, files: number }> }>}
+ */
+export function folderLevels(entries) {
+    /** @type {Array<Map<string, number>>} */
+    const levels = []
+    for (const e of entries || []) {
+        folderSegments(e.relativePath).forEach((name, i) => {
+            levels[i] = levels[i] || new Map()
+            levels[i].set(name, (levels[i].get(name) || 0) + 1)
+        })
+    }
+    return levels.map((m, level) => ({
+        level,
+        folders: [...m].map(([name, files]) => ({ name, files })).sort((a, b) => a.name.localeCompare(b.name)),
+    }))
+}
+
+/** Case / punctuation-insensitive key for matching folder names to categories and options. */
+function matchKey(value) {
+    return String(value ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '')
+}
+
+/**
+ * Category whose name or slug matches a folder name, or null.
+ * @param {string} folderName
+ * @param {Array<{ id: number|string, name?: string, slug?: string }>} categories
+ */
+export function matchCategoryForFolder(folderName, categories) {
+    const key = matchKey(folderName)
+    if (!key) return null
+    return (categories || []).find((c) => matchKey(c.name) === key || matchKey(c.slug) === key) || null
+}
+
+/**
+ * Value a folder name gives a metadata field, or undefined when the field cannot take it
+ * (no matching option, not a number, unsupported type).
+ * @param {string} folderName
+ * @param {{ key: string, type: string, options?: Array<{ value: unknown, label?: string, display_label?: string }> }} field
+ */
+export function metadataValueForFolder(folderName, field) {
+    if (!field || !FOLDER_MAPPABLE_FIELD_TYPES.includes(field.type)) return undefined
+    if (field.type === 'text' || field.type === 'textarea') return folderName
+    if (field.type === 'number') {
+        const n = Number(folderName.replace(',', '.'))
+        return Number.isFinite(n) ? n : undefined
+    }
+    const key = matchKey(folderName)
+    const option = (field.options || []).find(
+        (o) => matchKey(o.value) === key || matchKey(o.label) === key || matchKey(o.display_label) === key,
+    )
+    return option ? option.value : undefined
+}
+
+/**
+ * Per-file category and metadata drafts from a folder-level mapping.
+ * `unmatched` lists folder names that did not resolve (no category / option with that name) so the UI can say so.
+ *
+ * @param {FolderUploadEntry[]} entries
+ * @param {FolderLevelRule[]} rules - indexed by folder level
+ * @param {{ categories?: Array<{ id: number|string, name?: string, slug?: string }>, fields?: Array<Object> }} ctx
+ * @returns {{ assignments: Array<{ categoryId: number|string|null, metadataDraft: Record<string, unknown> }>, unmatched: Array<{ level: number, name: string, target: string }> }}
+ */
+export function applyFolderMapping(entries, rules, ctx = {}) {
+    const fieldsByKey = new Map((ctx.fields || []).map((f) => [f.key, f]))
+    const unmatched = new Map()
+    const miss = (level, name, target) => unmatched.set(`${level}\u0000${name}`, { level, name, target })
+
+    const assignments = (entries || []).map((entry) => {
+        let categoryId = null
+        /** @type {Record<string, unknown>} */
+        const metadataDraft = {}
+        folderSegments(entry.relativePath).forEach((name, level) => {
+            const rule = rules?.[level]
+            if (!rule || rule.target === 'ignore') return
+            if (rule.target === 'category') {
+                const category = matchCategoryForFolder(name, ctx.categories)
+                if (category) categoryId = category.id
+                else miss(level, name, 'category')
+                return
+            }
+            if (rule.target === 'tags') {
+                const tag = normalizeTagString(name)
+                const tags = Array.isArray(metadataDraft.tags) ? metadataDraft.tags : []
+                if (tag && !tags.includes(tag)) metadataDraft.tags = [...tags, tag]
+                return
+            }
+            const field = fieldsByKey.get(rule.fieldKey)
+            const value = metadataValueForFolder(name, field)
+            if (value === undefined) {
+                miss(level, name, rule.fieldKey || 'metadata')
+                return
+            }
+            if (field.type === 'multiselect') {
+                const prev = Array.isArray(metadataDraft[field.key]) ? metadataDraft[field.key] : []
+                if (!prev.includes(value)) metadataDraft[field.key] = [...prev, value]
+            } else {
+                // Deeper folders win when two levels feed the same single-value field.
+                metadataDraft[field.key] = value
+            }
+        })
+        return { categoryId, metadataDraft }
+    })
+
+    return { assignments, unmatched: [...unmatched.values()] }
+}
+
+/**
+ * Batch draft merged with a file's own draft. Per-file values win, except `tags`, which are combined so folder
+ * tags add to (rather than replace) the tags typed for the whole batch.
+ * @param {Record<string, unknown>} globalDraft
+ * @param {Record<string, unknown>} fileDraft
+ */
+export function mergeUploadMetadataDrafts(globalDraft, fileDraft) {
+    const merged = { ...(globalDraft || {}), ...(fileDraft || {}) }
+    if (Array.isArray(globalDraft?.tags) && Array.isArray(fileDraft?.tags)) {
+        merged.tags = [...new Set([...globalDraft.tags, ...fileDraft.tags])]
+    }
+    return merged
+}
+
+/**
+ * The batch form only shows the batch category's upload schema, so files a folder mapping put in another category
+ * are checked against that category's own schema before finalize. One entry per such category with the labels of
+ * required fields its files leave empty; `loading` while the schema has not arrived (`undefined`). A category
+ * whose schema failed to load (`null`) is not checked, like the batch category.
+ *
+ * @param {Array<{ categoryId?: number|string|null, metadataDraft?: Record<string, unknown> }>} files
+ * @param {number|string|null} batchCategoryId
+ * @param {Record<string, { groups?: Array<{ fields?: Array<Object> }> } | null | undefined>} schemasByCategoryId
+ * @param {Record<string, unknown>} globalDraft
+ * @returns {Array<{ categoryId: number|string, loading: boolean, missingFields: string[], fileCount: number }>}
+ */
+export function folderCategoryMetadataGaps(files, batchCategoryId, schemasByCategoryId, globalDraft) {
+    /** @type {Map<string, { categoryId: number|string, loading: boolean, missingFields: string[], fileCount: number }>} */
+    const gaps = new Map()
+    for (const file of files || []) {
+        const categoryId = file?.categoryId
+        if (categoryId == null || String(categoryId) === String(batchCategoryId)) continue
+        const schema = schemasByCategoryId?.[categoryId]
+        if (schema === null) continue
+        const values = mergeUploadMetadataDrafts(globalDraft, file.metadataDraft)
+        const missing =
+            schema === undefined
+                ? []
+                : (schema.groups || [])
+                      .flatMap((g) => g.fields || [])
+                      .filter((f) => !isFieldSatisfied(f, values[f.key]))
+                      .map((f) => f.display_label || f.key)
+        if (schema !== undefined && missing.length === 0) continue
+        const gap = gaps.get(String(categoryId)) || { categoryId, loading: schema === undefined, missingFields: [], fileCount: 0 }
+        gap.fileCount += 1
+        gap.missingFields = [...new Set([...gap.missingFields, ...missing])]
+        gaps.set(String(categoryId), gap)
+    }
+    return [...gaps.values()]
+}
@@ -0,0 +1,131 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    applyFolderMapping,
+    entriesFromDataTransfer,
+    entriesFromFileList,
+    folderCategoryMetadataGaps,
+    folderLevels,
+    hasFolderStructure,
+    mergeUploadMetadataDrafts,
+} from './uploadFolderMapping.js'
+
+const file = (name, webkitRelativePath = '') => ({ name, size: 1, type: 'image/jpeg', webkitRelativePath })
+
+const shoot = [
+    { file: file('a.jpg'), relativePath: 'Spring Shoot/Photography/Outdoor/a.jpg' },
+    { file: file('b.jpg'), relativePath: 'Spring Shoot/Photography/Studio/b.jpg' },
+    { file: file('c.mp4'), relativePath: 'Spring Shoot/Video/Behind the scenes/c.mp4' },
+    { file: file('d.jpg'), relativePath: 'Spring Shoot/Moodboard/d.jpg' },
+]
+
+test('entriesFromFileList keeps webkitRelativePath and falls back to the file name', () => {
+    const entries = entriesFromFileList([file('a.jpg', 'Shoot\\Day 1/a.jpg'), file('b.jpg')])
+    assert.deepEqual(
+        entries.map((e) => e.relativePath),
+        ['Shoot/Day 1/a.jpg', 'b.jpg'],
+    )
+    assert.equal(hasFolderStructure(entries), true)
+    assert.equal(hasFolderStructure(entries.slice(1)), false)
+})
+
+test('folderLevels lists distinct folder names per level with file counts', () => {
+    const levels = folderLevels(shoot)
+    assert.equal(levels.length, 3)
+    assert.deepEqual(levels[0].folders, [{ name: 'Spring Shoot', files: 4 }])
+    assert.deepEqual(levels[1].folders.map((f) => f.name), ['Moodboard', 'Photography', 'Video'])
+    assert.deepEqual(levels[2].folders.map((f) => f.files), [1, 1, 1])
+})
+
+test('applyFolderMapping assigns categories, field values and tags, and reports unmatched folders', () => {
+    const categories = [
+        { id: 11, name: 'Photography', slug: 'photography' },
+        { id: 12, name: 'Videos', slug: 'video' },
+    ]
+    const fields = [
+        { key: 'campaign', type: 'text' },
+        { key: 'scene', type: 'select', options: [{ value: 'outdoor', display_label: 'Outdoor' }, { value: 'studio', display_label: 'Studio' }] },
+    ]
+    const rules = [{ target: 'metadata', fieldKey: 'campaign' }, { target: 'category' }, { target: 'metadata', fieldKey: 'scene' }]
+    const { assignments, unmatched } = applyFolderMapping(shoot, rules, { categories, fields })
+
+    assert.deepEqual(assignments[0], { categoryId: 11, metadataDraft: { campaign: 'Spring Shoot', scene: 'outdoor' } })
+    assert.deepEqual(assignments[1].metadataDraft.scene, 'studio')
+    assert.equal(assignments[2].categoryId, 12)
+    assert.equal(assignments[3].categoryId, null)
+    assert.deepEqual(unmatched, [
+        { level: 2, name: 'Behind the scenes', target: 'scene' },
+        { level: 1, name: 'Moodboard', target: 'category' },
+    ])
+
+    const tagged = applyFolderMapping(shoot, [{ target: 'ignore' }, { target: 'tags' }, { target: 'tags' }], {})
+    assert.deepEqual(tagged.assignments[2].metadataDraft, { tags: ['video', 'behind-the-scenes'] })
+})
+
+test('mergeUploadMetadataDrafts lets file values win but combines tags', () => {
+    assert.deepEqual(
+        mergeUploadMetadataDrafts({ tags: ['spring'], campaign: 'Batch' }, { tags: ['outdoor', 'spring'], campaign: 'Folder' }),
+        { tags: ['spring', 'outdoor'], campaign: 'Folder' },
+    )
+    assert.deepEqual(mergeUploadMetadataDrafts({ tags: ['spring'] }, {}), { tags: ['spring'] })
+})
+
+test('entriesFromDataTransfer walks dropped directories across readEntries batches', async () => {
+    const fileEntry = (name) => ({ name, isFile: true, isDirectory: false, file: (ok) => ok(file(name)) })
+    const dirEntry = (name, children) => ({
+        name,
+        isFile: false,
+        isDirectory: true,
+        createReader() {
+            const batches = [children.slice(0, 1), children.slice(1), []]
+            return { readEntries: (ok) => ok(batches.shift()) }
+        },
+    })
+    const root = dirEntry('Shoot', [fileEntry('a.jpg'), dirEntry('Day 2', [fileEntry('b.jpg'), fileEntry('.DS_Store')])])
+    const dt = { items: [{ kind: 'file', webkitGetAsEntry: () => root }, { kind: 'file', webkitGetAsEntry: () => fileEntry('loose.png') }] }
+
+    const entries = await entriesFromDataTransfer(dt)
+    assert.deepEqual(entries.map((e) => e.relativePath), ['Shoot/a.jpg', 'Shoot/Day 2/b.jpg', 'loose.png'])
+})
+
+test('folderCategoryMetadataGaps checks folder-mapped files against their own category schema', () => {
+    const schemas = {
+        7: {
+            groups: [
+                {
+                    fields: [
+                        { key: 'usage_rights', display_label: 'Usage rights', type: 'select', is_required: true },
+                        { key: 'region', display_label: 'Region', type: 'text', is_required: true },
+                        { key: 'notes', display_label: 'Notes', type: 'text', is_required: false },
+                    ],
+                },
+            ],
+        },
+        8: null,
+    }
+    const files = [
+        { categoryId: null, metadataDraft: {} },
+        { categoryId: 3, metadataDraft: {} },
+        { categoryId: 7, metadataDraft: { usage_rights: 'internal' } },
+        { categoryId: '7', metadataDraft: {} },
+        { categoryId: 7, metadataDraft: { usage_rights: 'web', region: 'EU' } },
+        { categoryId: 8, metadataDraft: {} },
+        { categoryId: 9, metadataDraft: {} },
+    ]
+
+    assert.deepEqual(folderCategoryMetadataGaps(files, 3, schemas, { region: '' }), [
+        { categoryId: 7, loading: false, missingFields: ['Region', 'Usage rights'], fileCount: 2 },
+        { categoryId: 9, loading: true, missingFields: [], fileCount: 1 },
+    ])
+    assert.deepEqual(
+        folderCategoryMetadataGaps(files.slice(2, 5), 3, schemas, { region: 'US', usage_rights: 'web' }),
+        [],
+    )
+    assert.deepEqual(
+        folderCategoryMetadataGaps(files, 7, schemas, {}).map((g) => [g.categoryId, g.loading]),
+        [
+            [3, true],
+            [9, true],
+        ],
+    )
+})
@@ -0,0 +1,357 @@
+/**
+ * Add Asset image preparation: HEIC conversion, EXIF orientation and per-category downscale, in the browser.
+ *
+ * Runs before preflight / hashing so the server sees the bytes that will actually be uploaded. By default the
+ * browser-normalised file is uploaded: HEIC as JPEG, rotation baked in, long edge capped (category
+ * `upload_image_processing.max_long_edge`). Categories with `keep_original` upload the original untouched and only
+ * get an immediate local preview for files the tray cannot show (HEIC).
+ *
+ * Re-encoded JPEGs keep the source's Exif (Orientation reset to 1) and ICC profile. Other sources lose embedded
+ * metadata: HEIC Exif is not readable here, and PNG / WebP are drawn as sRGB and written without their chunks.
+ *
+ * HEIC decoding uses the browser's own decoder (Safari); elsewhere HEIC uploads unchanged with a file-type tile.
+ */
+
+/** Larger files are uploaded as-is: decoding them would need hundreds of MB of canvas memory. */
+export const MAX_PREPROCESS_BYTES = 60 * 1024 * 1024
+
+/** Long edge of tray / grid previews generated here. */
+export const PREVIEW_LONG_EDGE = 512
+
+const ENCODE_QUALITY = 0.92
+
+/** Read from the start of a JPEG for its Exif and ICC segments (profiles rarely exceed a few hundred KB). */
+const JPEG_HEAD_BYTES = 512 * 1024
+
+const OUTPUT_TYPE_BY_INPUT = {
+    'image/jpeg': 'image/jpeg',
+    'image/png': 'image/png',
+    'image/webp': 'image/webp',
+    'image/heic': 'image/jpeg',
+    'image/heif': 'image/jpeg',
+}
+
+const EXTENSION_MIME = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    heic: 'image/heic',
+    heif: 'image/heif',
+}
+
+const extensionOf = (name) => {
+    const n = String(name || '')
+    const i = n.lastIndexOf('.')
+    return i > 0 ? n.slice(i + 1).toLowerCase() : ''
+}
+
+/**
+ * MIME type used for decisions: the browser often reports '' for HEIC, so fall back to the extension.
+ * @param {{ name?: string, type?: string }} file
+ * @returns {string}
+ */
+export function uploadImageMimeType(file) {
+    const type = String(file?.type || '').toLowerCase()
+    if (OUTPUT_TYPE_BY_INPUT[type]) return type
+    return EXTENSION_MIME[extensionOf(file?.name)] || type
+}
+
+/**
+ * Whether this file is an image the browser preparation can decode and re-encode.
+ * @param {{ name?: string, type?: string }} file
+ */
+export function isPreparableUploadImage(file) {
+    return Boolean(OUTPUT_TYPE_BY_INPUT[uploadImageMimeType(file)])
+}
+
+/**
+ * @param {{ name?: string, type?: string }} file
+ */
+export function isHeicLike(file) {
+    const type = uploadImageMimeType(file)
+    return type === 'image/heic' || type === 'image/heif'
+}
+
+/**
+ * Category policy as sent by the server (`upload_image_processing`), with safe defaults.
+ * @param {{ upload_image_processing?: { max_long_edge?: number|null, keep_original?: boolean } }|null|undefined} category
+ * @returns {{ maxLongEdge: number|null, keepOriginal: boolean }}
+ */
+export function resolveUploadImagePolicy(category) {
+    const policy = category?.upload_image_processing || {}
+    const maxLongEdge = Number(policy.max_long_edge) || 0
+    return {
+        maxLongEdge: maxLongEdge > 0 ? maxLongEdge : null,
+        keepOriginal: policy.keep_original === true,
+    }
+}
+
+/**
+ * Identity of a resolved policy: a file prepared under one key must be prepared again (from its original) when
+ * the category it uploads into changes to a policy with a different key.
+ * @param {{ maxLongEdge: number|null, keepOriginal: boolean }} policy
+ * @returns {string}
+ */
+export function uploadImagePolicyKey(policy) {
+    return `${policy.keepOriginal ? 'keep' : 'prepare'}:${policy.maxLongEdge ?? ''}`
+}
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0, 0] // "Exif\0\0"
+const ICC_HEADER = [0x49, 0x43, 0x43, 0x5f, 0x50, 0x52, 0x4f, 0x46, 0x49, 0x4c, 0x45, 0] // "ICC_PROFILE\0"
+
+const hasHeaderAt = (bytes, offset, header) =>
+    offset + header.length <= bytes.length && header.every((b, i) => bytes[offset + i] === b)
+
+/**
+ * Marker segments before the image data (start of scan) of a JPEG; [] for anything else.
+ * @param {Uint8Array} bytes
+ * @returns {{ marker: number, start: number, end: number }[]} `end` may lie past `bytes` for a truncated head
+ */
+function readJpegHeaderSegments(bytes) {
+    if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== 0xd8) return []
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const segments = []
+    let offset = 2
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xff) break
+        const marker = bytes[offset + 1]
+        if (marker === 0xda) break
+        const end = offset + 2 + view.getUint16(offset + 2)
+        segments.push({ marker, start: offset, end })
+        offset = end
+    }
+    return segments
+}
+
+const isExifSegment = (bytes, segment) => segment.marker === 0xe1 && hasHeaderAt(bytes, segment.start + 4, EXIF_HEADER)
+const isIccSegment = (bytes, segment) => segment.marker === 0xe2 && hasHeaderAt(bytes, segment.start + 4, ICC_HEADER)
+
+/**
+ * Byte offset of the IFD0 Orientation value inside an APP1 Exif segment starting at `start`, or null.
+ * @returns {{ offset: number, little: boolean }|null}
+ */
+function findExifOrientation(bytes, start) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const tiff = start + 10
+    if (tiff + 8 > bytes.length) return null
+    const little = view.getUint16(tiff) === 0x4949
+    const ifd = tiff + view.getUint32(tiff + 4, little)
+    if (ifd + 2 > bytes.length) return null
+    const entries = view.getUint16(ifd, little)
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12
+        if (entry + 12 > bytes.length) return null
+        if (view.getUint16(entry, little) === 0x0112) return { offset: entry + 8, little }
+    }
+    return null
+}
+
+/**
+ * EXIF orientation (1–8) from the start of a JPEG; 1 when absent or unreadable.
+ * @param {Uint8Array} bytes - At least the APP1 segment (the first 128 KB is plenty)
+ * @returns {number}
+ */
+export function readJpegExifOrientation(bytes) {
+    const exif = readJpegHeaderSegments(bytes).find((segment) => isExifSegment(bytes, segment))
+    const found = exif ? findExifOrientation(bytes, exif.start) : null
+    if (!found) return 1
+    const value = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint16(found.offset, found.little)
+    return value >= 1 && value <= 8 ? value : 1
+}
+
+/**
+ * Exif and ICC profile segments from the head of a JPEG, copied so a re-encoded JPEG can carry them (canvas
+ * encoders write neither). The Exif copy gets Orientation 1: the pixels it travels with are already upright.
+ * Segments cut off by the end of `bytes` are left out.
+ * @param {Uint8Array} bytes
+ * @returns {{ exif: Uint8Array|null, icc: Uint8Array[] }}
+ */
+export function extractJpegMetadataSegments(bytes) {
+    let exif = null
+    const icc = []
+    for (const segment of readJpegHeaderSegments(bytes)) {
+        if (segment.end > bytes.length) break
+        if (!exif && isExifSegment(bytes, segment)) {
+            exif = bytes.slice(segment.start, segment.end)
+            const found = findExifOrientation(exif, 0)
+            if (found) new DataView(exif.buffer).setUint16(found.offset, 1, found.little)
+        } else if (isIccSegment(bytes, segment)) {
+            icc.push(bytes.slice(segment.start, segment.end))
+        }
+    }
+    return { exif, icc }
+}
+
+/**
+ * Put metadata segments into an encoded JPEG right after SOI (and a JFIF APP0, which must come first),
+ * replacing any Exif / ICC segments the encoder wrote.
+ * @param {Uint8Array} encoded
+ * @param {{ exif: Uint8Array|null, icc: Uint8Array[] }} metadata
+ * @returns {Uint8Array}
+ */
+export function insertJpegMetadataSegments(encoded, { exif, icc }) {
+    if (encoded.length < 2 || encoded[0] !== 0xff || encoded[1] !== 0xd8) return encoded
+    const segments = readJpegHeaderSegments(encoded)
+    const parts = [encoded.subarray(0, 2)]
+    let offset = 2
+    const app0 = segments[0]?.marker === 0xe0 ? segments[0] : null
+    if (app0) {
+        parts.push(encoded.subarray(app0.start, app0.end))
+        offset = app0.end
+    }
+    if (exif) parts.push(exif)
+    parts.push(...icc)
+    for (const segment of segments) {
+        if (segment === app0) continue
+        if (isExifSegment(encoded, segment) || isIccSegment(encoded, segment)) {
+            parts.push(encoded.subarray(offset, segment.start))
+            offset = segment.end
+        }
+    }
+    parts.push(encoded.subarray(offset))
+
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+    let at = 0
+    for (const part of parts) {
+        out.set(part, at)
+        at += part.length
+    }
+    return out
+}
+
+/**
+ * Decide what to do with one decoded image.
+ *
+ * @param {{ name: string, type: string, width: number, height: number, orientation?: number,
+ *   policy: { maxLongEdge: number|null, keepOriginal: boolean } }} input - width/height as displayed (after orientation)
+ * @returns {{ replaceUpload: boolean, converted: boolean, rotated: boolean, downscaled: boolean,
+ *   width: number, height: number, outputType: string|null, outputName: string }}
+ */
+export function planUploadImagePreprocess({ name, type, width, height, orientation = 1, policy }) {
+    const mime = uploadImageMimeType({ name, type })
+    const outputType = OUTPUT_TYPE_BY_INPUT[mime] || null
+    const converted = mime === 'image/heic' || mime === 'image/heif'
+    const rotated = orientation > 1
+    const longEdge = Math.max(width, height)
+    const downscaled = Boolean(policy.maxLongEdge && longEdge > policy.maxLongEdge)
+    const scale = downscaled ? policy.maxLongEdge / longEdge : 1
+
+    let outputName = name
+    if (converted) {
+        const dot = name.lastIndexOf('.')
+        outputName = `${dot > 0 ? name.slice(0, dot) : name}.jpg`
+    }
+
+    return {
+        replaceUpload: !policy.keepOriginal && outputType !== null && (converted || rotated || downscaled),
+        converted,
+        rotated,
+        downscaled,
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+        outputType,
+        outputName,
+    }
+}
+
+/**
+ * One-line note for the upload tray row, or null when the upload was not changed.
+ * @param {{ replaced?: boolean, converted?: boolean, rotated?: boolean, downscaled?: boolean, width?: number, height?: number }|null} imagePrep
+ * @returns {string|null}
+ */
+export function describeUploadImagePrep(imagePrep) {
+    if (!imagePrep?.replaced) return null
+    const parts = []
+    if (imagePrep.converted) parts.push('Converted to JPEG')
+    if (imagePrep.rotated) parts.push('orientation fixed')
+    if (imagePrep.downscaled) parts.push(`resized to ${imagePrep.width} × ${imagePrep.height} px`)
+    if (parts.length === 0) return null
+    const text = parts.join(' · ')
+    return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+const encodeBitmap = async (bitmap, width, height, type) => {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        const canvas = new OffscreenCanvas(width, height)
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height)
+        return canvas.convertToBlob({ type, quality: ENCODE_QUALITY })
+    }
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height)
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Image encoding failed'))), type, ENCODE_QUALITY)
+    })
+}
+
+/**
+ * Prepare one picked file. Resolves null when there is nothing to do (or the browser cannot decode it);
+ * never throws — preparation is best-effort and the original always remains uploadable.
+ *
+ * @param {File} file
+ * @param {{ maxLongEdge: number|null, keepOriginal: boolean }} policy
+ * @returns {Promise<null|{ file: File|null, previewBlob: Blob|null, plan: ReturnType<typeof planUploadImagePreprocess> }>}
+ *   `file` replaces the upload when set; `previewBlob` is a local preview for files the tray cannot show
+ */
+export async function preprocessUploadImage(file, policy) {
+    const mime = uploadImageMimeType(file)
+    if (!isPreparableUploadImage(file) || file.size === 0 || file.size > MAX_PREPROCESS_BYTES) return null
+    const heic = isHeicLike(file)
+    if (!heic && (policy.keepOriginal || typeof createImageBitmap === 'undefined')) return null
+
+    try {
+        const head = mime === 'image/jpeg' ? new Uint8Array(await file.slice(0, JPEG_HEAD_BYTES).arrayBuffer()) : null
+        const orientation = head ? readJpegExifOrientation(head) : 1
+        if (!heic && orientation === 1 && !policy.maxLongEdge) return null
+
+        // A JPEG keeps its Exif and colour profile. With a profile the pixels stay in its colour space (no
+        // conversion while decoding) so the copied profile still describes them; everything else is drawn as sRGB.
+        const metadata = head ? extractJpegMetadataSegments(head) : null
+        // from-image applies EXIF orientation while decoding, so width/height are as displayed
+        const bitmap = await createImageBitmap(file, {
+            imageOrientation: 'from-image',
+            ...(metadata?.icc.length ? { colorSpaceConversion: 'none' } : {}),
+        })
+        try {
+            const plan = planUploadImagePreprocess({
+                name: file.name,
+                type: mime,
+                width: bitmap.width,
+                height: bitmap.height,
+                orientation,
+                policy,
+            })
+
+            let processed = null
+            if (plan.replaceUpload) {
+                let blob = await encodeBitmap(bitmap, plan.width, plan.height, plan.outputType)
+                if (metadata && plan.outputType === 'image/jpeg' && (metadata.exif || metadata.icc.length)) {
+                    blob = new Blob([insertJpegMetadataSegments(new Uint8Array(await blob.arrayBuffer()), metadata)], {
+                        type: plan.outputType,
+                    })
+                }
+                processed = new File([blob], plan.outputName, { type: plan.outputType, lastModified: file.lastModified })
+            }
+
+            let previewBlob = null
+            if (heic && !processed) {
+                const scale = Math.min(1, PREVIEW_LONG_EDGE / Math.max(bitmap.width, bitmap.height))
+                previewBlob = await encodeBitmap(
+                    bitmap,
+                    Math.max(1, Math.round(bitmap.width * scale)),
+                    Math.max(1, Math.round(bitmap.height * scale)),
+                    'image/jpeg',
+                )
+            }
+
+            if (!processed && !previewBlob) return null
+            return { file: processed, previewBlob, plan }
+        } finally {
+            bitmap.close?.()
+        }
+    } catch {
+        return null
+    }
+}
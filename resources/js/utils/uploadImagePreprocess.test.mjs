@@ -0,0 +1,164 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    describeUploadImagePrep,
+    extractJpegMetadataSegments,
+    insertJpegMetadataSegments,
+    isHeicLike,
+    isPreparableUploadImage,
+    planUploadImagePreprocess,
+    readJpegExifOrientation,
+    resolveUploadImagePolicy,
+    uploadImagePolicyKey,
+} from './uploadImagePreprocess.js'
+
+/** Minimal JPEG head: SOI, optional APP0, APP1 Exif with a single Orientation entry in IFD0. */
+const jpegWithOrientation = (orientation, { littleEndian = false, withApp0 = false } = {}) => {
+    const tiff = new DataView(new ArrayBuffer(8 + 2 + 12 + 4))
+    tiff.setUint16(0, littleEndian ? 0x4949 : 0x4d4d)
+    tiff.setUint16(2, 42, littleEndian)
+    tiff.setUint32(4, 8, littleEndian)
+    tiff.setUint16(8, 1, littleEndian)
+    tiff.setUint16(10, 0x0112, littleEndian)
+    tiff.setUint16(12, 3, littleEndian)
+    tiff.setUint32(14, 1, littleEndian)
+    tiff.setUint16(18, orientation, littleEndian)
+    const exif = [0x45, 0x78, 0x69, 0x66, 0, 0, ...new Uint8Array(tiff.buffer)]
+    const app1 = [0xff, 0xe1, (exif.length + 2) >> 8, (exif.length + 2) & 0xff, ...exif]
+    const app0 = withApp0 ? [0xff, 0xe0, 0x00, 0x04, 0x4a, 0x46] : []
+    return Uint8Array.from([0xff, 0xd8, ...app0, ...app1, 0xff, 0xda, 0x00, 0x02])
+}
+
+test('readJpegExifOrientation reads big- and little-endian Exif, after other segments', () => {
+    assert.equal(readJpegExifOrientation(jpegWithOrientation(6)), 6)
+    assert.equal(readJpegExifOrientation(jpegWithOrientation(8, { littleEndian: true })), 8)
+    assert.equal(readJpegExifOrientation(jpegWithOrientation(3, { withApp0: true })), 3)
+})
+
+test('readJpegExifOrientation falls back to 1 for non-JPEG, missing or invalid data', () => {
+    assert.equal(readJpegExifOrientation(Uint8Array.from([0x89, 0x50, 0x4e, 0x47])), 1)
+    assert.equal(readJpegExifOrientation(Uint8Array.from([0xff, 0xd8, 0xff, 0xda, 0x00, 0x02])), 1)
+    assert.equal(readJpegExifOrientation(jpegWithOrientation(42)), 1)
+    assert.equal(readJpegExifOrientation(jpegWithOrientation(6).subarray(0, 20)), 1)
+})
+
+const iccSegment = (payload) => {
+    const body = [...new TextEncoder().encode('ICC_PROFILE'), 0, 1, 1, ...payload]
+    return [0xff, 0xe2, (body.length + 2) >> 8, (body.length + 2) & 0xff, ...body]
+}
+
+test('extractJpegMetadataSegments copies Exif with Orientation reset to 1, and ICC profile segments', () => {
+    const source = jpegWithOrientation(6, { withApp0: true })
+    const sos = source.length - 4
+    const withIcc = Uint8Array.from([...source.subarray(0, sos), ...iccSegment([7, 7, 7]), ...source.subarray(sos)])
+
+    const { exif, icc } = extractJpegMetadataSegments(withIcc)
+    assert.deepEqual([exif[0], exif[1]], [0xff, 0xe1])
+    assert.equal(readJpegExifOrientation(Uint8Array.from([0xff, 0xd8, ...exif])), 1)
+    assert.equal(readJpegExifOrientation(withIcc), 6, 'source bytes are not modified')
+    assert.equal(icc.length, 1)
+    assert.deepEqual([...icc[0].subarray(-3)], [7, 7, 7])
+
+    assert.deepEqual(extractJpegMetadataSegments(Uint8Array.from([0x89, 0x50, 0x4e, 0x47])), { exif: null, icc: [] })
+    // Truncated head: a segment running past the bytes read is left out
+    assert.equal(extractJpegMetadataSegments(withIcc.subarray(0, 20)).exif, null)
+})
+
+test('insertJpegMetadataSegments goes after SOI and JFIF, replacing encoder Exif / ICC', () => {
+    const app0 = [0xff, 0xe0, 0x00, 0x04, 0x4a, 0x46]
+    const scan = [0xff, 0xda, 0x00, 0x02, 0x11, 0x22]
+    const encoded = Uint8Array.from([0xff, 0xd8, ...app0, ...iccSegment([1]), 0xff, 0xdb, 0x00, 0x03, 0x00, ...scan])
+    const metadata = extractJpegMetadataSegments(
+        Uint8Array.from([...jpegWithOrientation(3).subarray(0, -4), ...iccSegment([9, 9]), 0xff, 0xda, 0x00, 0x02]),
+    )
+
+    const out = insertJpegMetadataSegments(encoded, metadata)
+    assert.deepEqual([...out.subarray(0, 8)], [0xff, 0xd8, ...app0])
+    assert.deepEqual([...out.subarray(8, 10)], [0xff, 0xe1])
+    assert.equal(readJpegExifOrientation(out), 1)
+    const rest = out.subarray(8 + metadata.exif.length)
+    assert.deepEqual([...rest], [...metadata.icc[0], 0xff, 0xdb, 0x00, 0x03, 0x00, ...scan])
+
+    const png = Uint8Array.from([0x89, 0x50, 0x4e, 0x47])
+    assert.equal(insertJpegMetadataSegments(png, metadata), png)
+})
+
+test('resolveUploadImagePolicy prepares images unless the category keeps originals', () => {
+    assert.deepEqual(resolveUploadImagePolicy(null), { maxLongEdge: null, keepOriginal: false })
+    assert.deepEqual(resolveUploadImagePolicy({ upload_image_processing: { keep_original: true } }), {
+        maxLongEdge: null,
+        keepOriginal: true,
+    })
+    assert.deepEqual(
+        resolveUploadImagePolicy({ upload_image_processing: { max_long_edge: 4096, keep_original: false } }),
+        { maxLongEdge: 4096, keepOriginal: false },
+    )
+})
+
+test('uploadImagePolicyKey changes only when the preparation would', () => {
+    const key = (category) => uploadImagePolicyKey(resolveUploadImagePolicy(category))
+    assert.equal(key(null), key({ upload_image_processing: { max_long_edge: 0 } }))
+    assert.notEqual(key(null), key({ upload_image_processing: { keep_original: true } }))
+    assert.notEqual(
+        key({ upload_image_processing: { max_long_edge: 2048, keep_original: false } }),
+        key({ upload_image_processing: { max_long_edge: 4096, keep_original: false } }),
+    )
+})
+
+test('isPreparableUploadImage covers the decodable raster types only', () => {
+    assert.equal(isPreparableUploadImage({ name: 'IMG_0001.HEIC', type: '' }), true)
+    assert.equal(isPreparableUploadImage({ name: 'a.webp', type: 'image/webp' }), true)
+    assert.equal(isPreparableUploadImage({ name: 'logo.svg', type: 'image/svg+xml' }), false)
+    assert.equal(isPreparableUploadImage({ name: 'brief.pdf', type: 'application/pdf' }), false)
+})
+
+test('isHeicLike falls back to the extension when the browser reports no type', () => {
+    assert.equal(isHeicLike({ name: 'IMG_0001.HEIC', type: '' }), true)
+    assert.equal(isHeicLike({ name: 'photo.heif', type: 'image/heif' }), true)
+    assert.equal(isHeicLike({ name: 'photo.jpg', type: 'image/jpeg' }), false)
+})
+
+test('planUploadImagePreprocess converts, rotates and downscales only when originals are not kept', () => {
+    const replace = { maxLongEdge: 2048, keepOriginal: false }
+    const heic = planUploadImagePreprocess({ name: 'IMG_0001.HEIC', type: '', width: 3024, height: 4032, policy: replace })
+    assert.equal(heic.replaceUpload, true)
+    assert.equal(heic.converted, true)
+    assert.equal(heic.downscaled, true)
+    assert.equal(heic.outputType, 'image/jpeg')
+    assert.equal(heic.outputName, 'IMG_0001.jpg')
+    assert.deepEqual([heic.width, heic.height], [1536, 2048])
+
+    const rotated = planUploadImagePreprocess({
+        name: 'a.jpg',
+        type: 'image/jpeg',
+        width: 1200,
+        height: 1600,
+        orientation: 6,
+        policy: { maxLongEdge: null, keepOriginal: false },
+    })
+    assert.equal(rotated.replaceUpload, true)
+    assert.equal(rotated.downscaled, false)
+    assert.deepEqual([rotated.width, rotated.height], [1200, 1600])
+
+    const small = planUploadImagePreprocess({ name: 'a.png', type: 'image/png', width: 800, height: 600, policy: replace })
+    assert.equal(small.replaceUpload, false)
+
+    const kept = planUploadImagePreprocess({
+        name: 'IMG_0001.HEIC',
+        type: 'image/heic',
+        width: 3024,
+        height: 4032,
+        policy: { maxLongEdge: 2048, keepOriginal: true },
+    })
+    assert.equal(kept.replaceUpload, false)
+})
+
+test('describeUploadImagePrep summarises what changed in the uploaded file', () => {
+    assert.equal(describeUploadImagePrep(null), null)
+    assert.equal(describeUploadImagePrep({ replaced: false, converted: true }), null)
+    assert.equal(
+        describeUploadImagePrep({ replaced: true, converted: true, rotated: false, downscaled: true, width: 1536, height: 2048 }),
+        'Converted to JPEG · resized to 1536 × 2048 px',
+    )
+    assert.equal(describeUploadImagePrep({ replaced: true, rotated: true }), 'Orientation fixed')
+})
@@ -0,0 +1,64 @@
+/**
+ * Paste-to-upload: turn files / images on the clipboard (screenshots, copied files) into upload Files.
+ *
+ * Browsers name every pasted bitmap `image.png` (or give no name at all), so those get a generated,
+ * timestamped filename; files copied from the OS file manager keep their own names.
+ */
+
+const EXTENSION_BY_MIME = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/bmp': 'bmp',
+    'image/tiff': 'tiff',
+    'image/svg+xml': 'svg',
+    'image/heic': 'heic',
+    'application/pdf': 'pdf',
+}
+
+/** Names browsers give clipboard bitmaps that carry no meaning of their own. */
+const GENERIC_PASTE_NAME = /^(image|blob|pasted graphic)(\s*\d+)?\.[a-z0-9]+$/i
+
+const pad = (n) => String(n).padStart(2, '0')
+
+/**
+ * Generated name for a pasted file, e.g. `Pasted image 2026-10-19 at 14.03.12.png` (`… (2).png` for the second
+ * file of the same paste).
+ * @param {string} mimeType
+ * @param {Date} date
+ * @param {number} [index=0] - Position within one paste
+ * @returns {string}
+ */
+export function pastedUploadFileName(mimeType, date, index = 0) {
+    const type = String(mimeType || '').toLowerCase()
+    const ext = EXTENSION_BY_MIME[type] || (type.includes('/') ? type.split('/')[1].replace(/[^a-z0-9]/g, '') : '') || 'bin'
+    const kind = type.startsWith('image/') ? 'image' : 'file'
+    const stamp =
+        `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} at ` +
+        `${pad(date.getHours())}.${pad(date.getMinutes())}.${pad(date.getSeconds())}`
+    return `Pasted ${kind} ${stamp}${index > 0 ? ` (${index + 1})` : ''}.${ext}`
+}
+
+/**
+ * Files from a paste event's clipboard, renamed when the browser gave them a placeholder name.
+ * @param {DataTransfer|null|undefined} clipboardData
+ * @param {{ now?: Date }} [options]
+ * @returns {File[]}
+ */
+export function filesFromClipboardData(clipboardData, { now = new Date() } = {}) {
+    if (!clipboardData) return []
+    let files = Array.from(clipboardData.items || [])
+        .filter((item) => item.kind === 'file')
+        .map((item) => item.getAsFile())
+        .filter(Boolean)
+    if (files.length === 0) files = Array.from(clipboardData.files || [])
+
+    return files.map((file, index) => {
+        if (file.name && !GENERIC_PASTE_NAME.test(file.name)) return file
+        return new File([file], pastedUploadFileName(file.type, now, index), {
+            type: file.type,
+            lastModified: now.getTime(),
+        })
+    })
+}
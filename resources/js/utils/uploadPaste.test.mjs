@@ -0,0 +1,40 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { filesFromClipboardData, pastedUploadFileName } from './uploadPaste.js'
+
+const NOW = new Date(2026, 9, 19, 14, 3, 7)
+
+const clipboard = (files, { asItems = true } = {}) => ({
+    items: asItems
+        ? [{ kind: 'string', getAsFile: () => null }, ...files.map((f) => ({ kind: 'file', getAsFile: () => f }))]
+        : [],
+    files,
+})
+
+test('pastedUploadFileName stamps the time and picks the extension from the MIME type', () => {
+    assert.equal(pastedUploadFileName('image/png', NOW), 'Pasted image 2026-10-19 at 14.03.07.png')
+    assert.equal(pastedUploadFileName('image/jpeg', NOW, 1), 'Pasted image 2026-10-19 at 14.03.07 (2).jpg')
+    assert.equal(pastedUploadFileName('application/pdf', NOW), 'Pasted file 2026-10-19 at 14.03.07.pdf')
+    assert.equal(pastedUploadFileName('', NOW), 'Pasted file 2026-10-19 at 14.03.07.bin')
+})
+
+test('filesFromClipboardData renames placeholder names and keeps real ones', async () => {
+    const screenshot = new File(['png-bytes'], 'image.png', { type: 'image/png' })
+    const copied = new File(['doc'], 'Brief.pdf', { type: 'application/pdf' })
+    const files = filesFromClipboardData(clipboard([screenshot, copied]), { now: NOW })
+
+    assert.equal(files.length, 2)
+    assert.equal(files[0].name, 'Pasted image 2026-10-19 at 14.03.07.png')
+    assert.equal(files[0].type, 'image/png')
+    assert.equal(await files[0].text(), 'png-bytes')
+    assert.equal(files[1], copied)
+})
+
+test('filesFromClipboardData falls back to clipboardData.files and ignores text-only pastes', () => {
+    const unnamed = new File(['x'], '', { type: 'image/webp' })
+    const [file] = filesFromClipboardData(clipboard([unnamed], { asItems: false }), { now: NOW })
+    assert.equal(file.name, 'Pasted image 2026-10-19 at 14.03.07.webp')
+
+    assert.deepEqual(filesFromClipboardData({ items: [{ kind: 'string', getAsFile: () => null }], files: [] }), [])
+    assert.deepEqual(filesFromClipboardData(null), [])
+})
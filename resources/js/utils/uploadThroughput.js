@@ -0,0 +1,148 @@
+/**
+ * Multipart transfer tuning for UploadManager: adaptive part concurrency and an upload bandwidth cap.
+ *
+ * Pure (clock injectable) so the policies can be tested without a network.
+ */
+
+/** Upload bandwidth cap presets (bytes per second; 0 = unlimited) offered in the upload tray. */
+export const UPLOAD_BANDWIDTH_PRESETS = [0, 1, 2, 5, 10, 25, 50].map((mb) => mb * 1024 * 1024)
+
+/** Aggregate rate must improve by this fraction after adding a part before the extra part is kept. */
+const PROBE_GAIN = 0.1
+
+/** Decisions to sit at a level after stepping back before probing upwards again (links change). */
+const HOLD_DECISIONS = 6
+
+/** Window for the aggregate upload rate shown to users. */
+const RATE_WINDOW_MS = 10000
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b)
+    const mid = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * Hill-climbing concurrency for multipart part uploads.
+ *
+ * After enough parts finish at the current level it estimates the aggregate rate (median per-part rate × level).
+ * A level is only kept when it beat the level below by {@link PROBE_GAIN}; otherwise the link is saturated and it
+ * steps back. Failed parts halve the level (congestion, flaky wifi).
+ *
+ * @param {{ min?: number, max?: number, initial?: number, now?: () => number }} [options]
+ */
+export function createAdaptiveConcurrency({ min = 1, max = 6, initial = 2, now = () => Date.now() } = {}) {
+    let limit = Math.min(max, Math.max(min, initial))
+    let samples = []
+    let hold = 0
+    /** Level we probed up from; its rate is the baseline for the next decision. */
+    let probedFrom = null
+    /** @type {Map<number, number>} level → aggregate bytes/ms */
+    const levelRates = new Map()
+    /** @type {Array<{ at: number, bytes: number }>} */
+    let recent = []
+
+    const decide = () => {
+        const aggregate = median(samples) * limit
+        samples = []
+        levelRates.set(limit, aggregate)
+
+        if (probedFrom !== null) {
+            const baseline = levelRates.get(probedFrom)
+            const from = probedFrom
+            probedFrom = null
+            if (baseline !== undefined && aggregate < baseline * (1 + PROBE_GAIN)) {
+                limit = from
+                hold = HOLD_DECISIONS
+                return
+            }
+        }
+        if (hold > 0) {
+            hold--
+            return
+        }
+        if (limit < max) {
+            probedFrom = limit
+            limit++
+        }
+    }
+
+    return {
+        /** Parts that may be in flight right now. */
+        get limit() {
+            return limit
+        },
+
+        /**
+         * @param {number} bytes - Part size
+         * @param {number} durationMs - Request time (excludes bandwidth-cap waits)
+         * @returns {number} the (possibly new) limit
+         */
+        recordSuccess(bytes, durationMs) {
+            recent.push({ at: now(), bytes })
+            samples.push(bytes / Math.max(1, durationMs))
+            if (samples.length >= Math.max(2, limit)) decide()
+            return limit
+        },
+
+        /** @returns {number} the reduced limit */
+        recordFailure() {
+            limit = Math.max(min, Math.floor(limit / 2))
+            samples = []
+            probedFrom = null
+            hold = HOLD_DECISIONS
+            levelRates.clear()
+            return limit
+        },
+
+        /** Bytes per second over the last few seconds of completed parts (0 when idle). */
+        bytesPerSecond() {
+            const cutoff = now() - RATE_WINDOW_MS
+            recent = recent.filter((r) => r.at >= cutoff)
+            if (recent.length === 0) return 0
+            const bytes = recent.reduce((sum, r) => sum + r.bytes, 0)
+            return Math.round((bytes * 1000) / RATE_WINDOW_MS)
+        },
+    }
+}
+
+/**
+ * Average-rate upload cap.
+ *
+ * Requests cannot be slowed mid-flight from the browser, so the cap paces when transfers start: each reservation
+ * books `bytes / rate` of airtime and the next one waits until the previous booking has elapsed. The first transfer
+ * after an idle period starts immediately; the long-run average stays at the cap. Transfers are kept small so the
+ * bursts between waits are short: under a cap UploadManager sends files above 5 MB as one 5 MB part at a time.
+ *
+ * @param {{ bytesPerSecond?: number, now?: () => number }} [options]
+ */
+export function createBandwidthLimiter({ bytesPerSecond = 0, now = () => Date.now() } = {}) {
+    let rate = bytesPerSecond > 0 ? bytesPerSecond : 0
+    let nextFreeAt = 0
+
+    return {
+        /** Current cap in bytes per second (0 = unlimited). */
+        get bytesPerSecond() {
+            return rate
+        },
+
+        /** Change the cap; pending bookings are forgiven so a raised cap applies at once. */
+        setRate(bytesPerSecond) {
+            rate = bytesPerSecond > 0 ? bytesPerSecond : 0
+            nextFreeAt = 0
+        },
+
+        /**
+         * Book airtime for a transfer.
+         * @param {number} bytes
+         * @returns {number} milliseconds to wait before starting it
+         */
+        reserve(bytes) {
+            if (!rate) return 0
+            const t = now()
+            const start = Math.max(t, nextFreeAt)
+            nextFreeAt = start + (bytes / rate) * 1000
+            return start - t
+        },
+    }
+}
@@ -0,0 +1,61 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createAdaptiveConcurrency, createBandwidthLimiter } from './uploadThroughput.js'
+
+const MB = 1024 * 1024
+
+/** Simulated link: `capacity` bytes/ms shared by however many parts are in flight. */
+const runLink = (controller, capacity, parts) => {
+    for (let i = 0; i < parts; i++) {
+        const perPart = capacity / controller.limit
+        controller.recordSuccess(10 * MB, (10 * MB) / perPart)
+    }
+}
+
+test('createAdaptiveConcurrency climbs while extra parts add throughput', () => {
+    const controller = createAdaptiveConcurrency({ min: 1, max: 6, initial: 2 })
+    // Each part is limited to ~1 MB/s (per-connection cap), so more parts scale linearly
+    for (let i = 0; i < 40; i++) controller.recordSuccess(10 * MB, 10000)
+    assert.equal(controller.limit, 6)
+})
+
+test('createAdaptiveConcurrency steps back once the link is saturated', () => {
+    const controller = createAdaptiveConcurrency({ min: 1, max: 6, initial: 2 })
+    runLink(controller, 1000, 12)
+    // Shared capacity: going from 2 to 3 parts gains nothing, so it returns to 2 and holds
+    assert.equal(controller.limit, 2)
+})
+
+test('createAdaptiveConcurrency halves on failures but stays within bounds', () => {
+    const controller = createAdaptiveConcurrency({ min: 1, max: 6, initial: 6 })
+    assert.equal(controller.recordFailure(), 3)
+    assert.equal(controller.recordFailure(), 1)
+    assert.equal(controller.recordFailure(), 1)
+    assert.equal(createAdaptiveConcurrency({ min: 2, max: 4, initial: 9 }).limit, 4)
+})
+
+test('createAdaptiveConcurrency reports the recent aggregate rate', () => {
+    let clock = 0
+    const controller = createAdaptiveConcurrency({ now: () => clock })
+    controller.recordSuccess(5 * MB, 1000)
+    clock = 2000
+    controller.recordSuccess(5 * MB, 1000)
+    assert.equal(controller.bytesPerSecond(), MB)
+    clock = 30000
+    assert.equal(controller.bytesPerSecond(), 0)
+})
+
+test('createBandwidthLimiter paces transfers to the cap', () => {
+    let clock = 1000
+    const limiter = createBandwidthLimiter({ bytesPerSecond: 2 * MB, now: () => clock })
+    assert.equal(limiter.reserve(4 * MB), 0)
+    assert.equal(limiter.reserve(4 * MB), 2000)
+    clock = 2000
+    assert.equal(limiter.reserve(MB), 3000)
+
+    limiter.setRate(0)
+    assert.equal(limiter.reserve(100 * MB), 0)
+    limiter.setRate(MB)
+    assert.equal(limiter.bytesPerSecond, MB)
+    assert.equal(limiter.reserve(MB), 0)
+})
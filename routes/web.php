@@ -833,6 +833,27 @@
                 Route::post('/api/compositions/{id}/versions', [\App\Http\Controllers\Editor\EditorCompositionController::class, 'versionsStore'])->whereNumber('id')->name('api.editor.compositions.versions.store');
                 Route::get('/api/compositions/{id}/versions/{versionId}', [\App\Http\Controllers\Editor\EditorCompositionController::class, 'versionsShow'])->whereNumber('id')->whereNumber('versionId')->name('api.editor.compositions.versions.show');
 
+                // Review comments pinned to the Studio canvas
+                Route::get('/api/compositions/comment-summary', [\App\Http\Controllers\Editor\EditorCompositionCommentController::class, 'summary'])->name('api.editor.compositions.comments.summary');
+                Route::get('/api/compositions/{id}/comments', [\App\Http\Controllers\Editor\EditorCompositionCommentController::class, 'index'])->whereNumber('id')->name('api.editor.compositions.comments.index');
+                Route::post('/api/compositions/{id}/comments', [\App\Http\Controllers\Editor\EditorCompositionCommentController::class, 'store'])->whereNumber('id')->name('api.editor.compositions.comments.store');
+                Route::post('/api/compositions/{id}/comments/{threadId}/replies', [\App\Http\Controllers\Editor\EditorCompositionCommentController::class, 'reply'])->whereNumber('id')->whereNumber('threadId')->name('api.editor.compositions.comments.reply');
+                Route::patch('/api/compositions/{id}/comments/{threadId}', [\App\Http\Controllers\Editor\EditorCompositionCommentController::class, 'update'])->whereNumber('id')->whereNumber('threadId')->name('api.editor.compositions.comments.update');
+                Route::delete('/api/compositions/{id}/comments/{threadId}', [\App\Http\Controllers\Editor\EditorCompositionCommentController::class, 'destroy'])->whereNumber('id')->whereNumber('threadId')->name('api.editor.compositions.comments.destroy');
+                Route::get('/api/compositions/{id}/comment-mentionables', [\App\Http\Controllers\Editor\EditorCompositionCommentController::class, 'mentionables'])->whereNumber('id')->name('api.editor.compositions.comments.mentionables');
+
+                // Studio brand component library (linked layer groups reused across compositions)
+                Route::get('/api/studio-components', [\App\Http\Controllers\Editor\EditorStudioBrandComponentController::class, 'index'])->name('api.editor.studio-components.index');
+                Route::post('/api/studio-components', [\App\Http\Controllers\Editor\EditorStudioBrandComponentController::class, 'store'])->name('api.editor.studio-components.store');
+                Route::put('/api/studio-components/{id}', [\App\Http\Controllers\Editor\EditorStudioBrandComponentController::class, 'update'])->whereNumber('id')->name('api.editor.studio-components.update');
+                Route::delete('/api/studio-components/{id}', [\App\Http\Controllers\Editor\EditorStudioBrandComponentController::class, 'destroy'])->whereNumber('id')->name('api.editor.studio-components.destroy');
+
+                // Brand recipe library (compositions saved as template-wizard recipes)
+                Route::get('/api/studio-recipes', [\App\Http\Controllers\Editor\EditorStudioBrandRecipeController::class, 'index'])->name('api.editor.studio-recipes.index');
+                Route::post('/api/studio-recipes', [\App\Http\Controllers\Editor\EditorStudioBrandRecipeController::class, 'store'])->name('api.editor.studio-recipes.store');
+                Route::put('/api/studio-recipes/{id}', [\App\Http\Controllers\Editor\EditorStudioBrandRecipeController::class, 'update'])->whereNumber('id')->name('api.editor.studio-recipes.update');
+                Route::delete('/api/studio-recipes/{id}', [\App\Http\Controllers\Editor\EditorStudioBrandRecipeController::class, 'destroy'])->whereNumber('id')->name('api.editor.studio-recipes.destroy');
+
                 Route::post('/api/compositions/{id}/studio/video-layer', [\App\Http\Controllers\Editor\EditorCompositionStudioVideoController::class, 'storeVideoLayer'])
                     ->whereNumber('id')
                     ->name('api.editor.compositions.studio.video-layer');
@@ -870,6 +891,9 @@
                 Route::post('/api/creative-sets/{id}/variants', [\App\Http\Controllers\Editor\EditorCreativeSetController::class, 'storeVariant'])
                     ->whereNumber('id')
                     ->name('api.editor.creative-sets.variants.store');
+                Route::post('/api/creative-sets/{id}/locale-variants', [\App\Http\Controllers\Editor\EditorCreativeSetController::class, 'storeLocaleVariants'])
+                    ->whereNumber('id')
+                    ->name('api.editor.creative-sets.locale-variants.store');
                 Route::delete('/api/creative-sets/{id}/variants/{variantId}', [\App\Http\Controllers\Editor\EditorCreativeSetController::class, 'destroyVariant'])
                     ->whereNumber('id')
                     ->whereNumber('variantId')
@@ -1131,6 +1155,7 @@
                 Route::get('/uploads/storage-check', [\App\Http\Controllers\UploadController::class, 'checkStorageLimits'])->name('uploads.storage-check');
                 Route::post('/uploads/validate', [\App\Http\Controllers\UploadController::class, 'validateUpload'])->middleware('throttle:upload')->name('uploads.validate');
                 Route::post('/uploads/preflight', [\App\Http\Controllers\UploadController::class, 'preflight'])->middleware('throttle:upload')->name('uploads.preflight');
+                Route::post('/uploads/duplicates', [\App\Http\Controllers\UploadController::class, 'duplicates'])->middleware('throttle:upload')->name('uploads.duplicates');
                 Route::post('/uploads/initiate', [\App\Http\Controllers\UploadController::class, 'initiate'])->middleware('throttle:upload')->name('uploads.initiate');
                 Route::post('/uploads/initiate-batch', [\App\Http\Controllers\UploadController::class, 'initiateBatch'])->middleware('throttle:upload')->name('uploads.initiate-batch');
                 Route::get('/uploads/metadata-schema', [\App\Http\Controllers\UploadController::class, 'getMetadataSchema'])->name('uploads.metadata-schema');
@@ -1281,6 +1306,7 @@
             Route::patch('/api/brands/{brand}/categories/{category}/visibility', [\App\Http\Controllers\CategoryController::class, 'updateVisibility'])->name('brands.categories.visibility');
             Route::patch('/api/brands/{brand}/categories/{category}/ebi-enabled', [\App\Http\Controllers\CategoryController::class, 'patchEbiEnabled'])->name('brands.categories.ebi-enabled');
             Route::patch('/api/brands/{brand}/categories/{category}/ai-library-references', [\App\Http\Controllers\CategoryController::class, 'patchAiLibraryReferences'])->name('brands.categories.ai-library-references');
+            Route::patch('/api/brands/{brand}/categories/{category}/upload-image-processing', [\App\Http\Controllers\CategoryController::class, 'patchUploadImageProcessing'])->name('brands.categories.upload-image-processing');
             Route::delete('/brands/{brand}/categories/{category}', [\App\Http\Controllers\CategoryController::class, 'destroy'])->name('brands.categories.destroy');
             Route::put('/api/brands/{brand}/categories/reorder', [\App\Http\Controllers\CategoryController::class, 'reorder'])->name('brands.categories.reorder');
             Route::post('/brands/{brand}/categories/update-order', [\App\Http\Controllers\CategoryController::class, 'updateOrder'])->name('brands.categories.update-order');
@@ -12,8 +12,12 @@ import { chromium } from 'playwright'
 
 const MANIFEST_SCHEMA = 'studio_canvas_capture_manifest_v1'
 
-/** @param {string[]} argv */
-export function parseStudioCanvasExportArgs(argv) {
+/**
+ * `--key=value` flags → `{ key: 'value' }`; a bare `--flag` reads as `'true'`.
+ * @param {string[]} argv
+ * @returns {Record<string, string>}
+ */
+export function readCliFlags(argv) {
     const raw = {}
     for (const a of argv) {
         if (!a.startsWith('--')) {
@@ -27,6 +31,27 @@ export function parseStudioCanvasExportArgs(argv) {
             raw[body.slice(0, eq)] = body.slice(eq + 1)
         }
     }
+    return raw
+}
+
+/**
+ * Scene time of every captured frame: `i * 1000 / fps` rounded, with the last frame pinned to `durationMs`.
+ * @param {number} durationMs
+ * @param {number} fps
+ * @returns {number[]}
+ */
+export function captureFrameTimesMs(durationMs, fps) {
+    const totalFrames = Math.max(1, Math.ceil((durationMs / 1000) * fps - 1e-12))
+    const times = []
+    for (let i = 0; i < totalFrames; i++) {
+        times.push(i === totalFrames - 1 ? durationMs : Math.min(durationMs, Math.round((i * 1000) / fps)))
+    }
+    return times
+}
+
+/** @param {string[]} argv */
+export function parseStudioCanvasExportArgs(argv) {
+    const raw = readCliFlags(argv)
     const required = ['url', 'output-dir', 'fps', 'duration-ms', 'width', 'height', 'export-job-id']
     const missing = required.filter((k) => raw[k] == null || String(raw[k]).trim() === '')
     if (missing.length > 0) {
@@ -90,7 +115,8 @@ async function writeDiagnosticsFile(outputDir, payload) {
     }
 }
 
-async function settleAfterTimeStep(page, frameSettleMs) {
+/** Two animation frames plus an optional fixed wait, after a bridge `setTimeMs` step. */
+export async function settleAfterTimeStep(page, frameSettleMs) {
     await page.evaluate(() => {
         return new Promise((resolve) => {
             requestAnimationFrame(() => {
@@ -174,7 +200,8 @@ async function main() {
         bridgeAfterReady = await page.evaluate(() => window.__COMPOSITION_EXPORT_BRIDGE__?.getState?.() ?? null)
         bridgeSnapshots.push({ label: 'after_ready', state: bridgeAfterReady, at_ms: Date.now() - startedAt })
 
-        const totalFrames = Math.max(1, Math.ceil((cfg.durationMs / 1000) * cfg.fps - 1e-12))
+        const frameTimes = captureFrameTimesMs(cfg.durationMs, cfg.fps)
+        const totalFrames = frameTimes.length
         const pad = String(totalFrames).length
         const padN = Math.max(6, pad)
 
@@ -182,10 +209,19 @@ async function main() {
             if (Date.now() - startedAt > cfg.totalTimeoutMs) {
                 throw new Error(`total capture wall time exceeded total-timeout-ms=${cfg.totalTimeoutMs}`)
             }
-            const frameTimeMs = i === totalFrames - 1 ? cfg.durationMs : Math.min(cfg.durationMs, Math.round((i * 1000) / cfg.fps))
+            const frameTimeMs = frameTimes[i]
             await page.evaluate((ms) => {
                 window.__COMPOSITION_EXPORT_BRIDGE__?.setTimeMs?.(ms)
             }, frameTimeMs)
+            // Keyframe poses are sampled from the scene time: never capture a frame React has not committed yet.
+            await page.waitForFunction(
+                (ms) => {
+                    const s = window.__COMPOSITION_EXPORT_BRIDGE__?.getState?.()
+                    return !s || typeof s.renderedTimeMs !== 'number' || s.renderedTimeMs === ms
+                },
+                frameTimeMs,
+                { timeout: cfg.readinessTimeoutMs },
+            )
             await settleAfterTimeStep(page, cfg.frameSettleMs)
 
             const name = `frame_${String(i).padStart(padN, '0')}.png`
@@ -0,0 +1,536 @@
+#!/usr/bin/env node
+/**
+ * Offline Playwright driver: render a CompositionRenderPayloadV1 JSON file (resources/js/Pages/StudioExport/
+ * compositionRenderContract.ts) against a local asset directory — no Laravel server, signed URL or network.
+ * Serves the `npm run build:headless-render` bundle from an intercepted origin, mounts the same export surface
+ * and bridge as the signed render page, and captures a still or a frame sequence as PNG, JPEG or WebP.
+ *
+ * Every request is answered from the bundle, the asset directory or `--asset-map`; anything else is blocked and
+ * listed in the manifest. Asset lookup for a URL: `--asset-map` entry (full URL or path) → `{assetId}.*` for the
+ * layer / brand font asset it belongs to → the URL's file name.
+ *
+ * `--browser-executable` runs a system Chrome/Chromium when Playwright's own browser is not installed.
+ *
+ * Exit codes: 0 success | 1 Node/bootstrap | 2 bad args, payload or bundle | 3 navigation | 4 readiness | 5 capture | 6 manifest I/O
+ */
+import { createHash } from 'node:crypto'
+import { existsSync, readdirSync, statSync } from 'node:fs'
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { basename, dirname, extname, join, relative, resolve, sep } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { chromium } from 'playwright'
+import { captureFrameTimesMs, readCliFlags, settleAfterTimeStep } from './studio-canvas-export.mjs'
+
+const MANIFEST_SCHEMA = 'studio_headless_capture_manifest_v1'
+const DIAGNOSTICS_SCHEMA = 'studio_headless_capture_diagnostics_v1'
+const RENDER_CONTRACT_VERSION = 1
+const HOST_ORIGIN = 'http://studio-headless.invalid'
+const BUNDLE_ENTRY = 'resources/js/studioHeadlessRender.tsx'
+const FORMATS = ['png', 'jpeg', 'webp']
+
+const repoRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+    '.woff2': 'font/woff2',
+    '.woff': 'font/woff',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+}
+
+/** @param {string[]} argv */
+export function parseStudioHeadlessExportArgs(argv) {
+    const raw = readCliFlags(argv)
+    const missing = ['payload', 'output-dir'].filter((k) => raw[k] == null || String(raw[k]).trim() === '')
+    if (missing.length > 0) {
+        return {
+            ok: false,
+            error: `missing required flags: ${missing.map((m) => `--${m}`).join(', ')}`,
+            raw,
+        }
+    }
+    const format = String(raw.format ?? 'png').toLowerCase().replace(/^jpg$/, 'jpeg')
+    if (!FORMATS.includes(format)) {
+        return { ok: false, error: `--format must be one of ${FORMATS.join(', ')}`, raw }
+    }
+    const quality = Number(raw.quality ?? 90)
+    if (!Number.isFinite(quality) || quality < 1 || quality > 100) {
+        return { ok: false, error: '--quality must be a number between 1 and 100', raw }
+    }
+    const optionalNumber = (key, min, max) => {
+        if (raw[key] == null) {
+            return { ok: true, value: null }
+        }
+        const n = Number(raw[key])
+        return Number.isFinite(n) && n >= min && n <= max
+            ? { ok: true, value: n }
+            : { ok: false, error: `--${key} must be a number between ${min} and ${max}` }
+    }
+    const fps = optionalNumber('fps', 1, 120)
+    const durationMs = optionalNumber('duration-ms', 1, Number.MAX_SAFE_INTEGER)
+    const timeMs = optionalNumber('time-ms', 0, Number.MAX_SAFE_INTEGER)
+    for (const r of [fps, durationMs, timeMs]) {
+        if (!r.ok) {
+            return { ok: false, error: r.error, raw }
+        }
+    }
+    const sequence = raw.sequence === 'true' || raw.sequence === '1'
+    if (sequence && timeMs.value != null) {
+        return { ok: false, error: '--time-ms selects a still; drop it or --sequence', raw }
+    }
+    const clampMs = (n, fallback, min) => (Number.isFinite(n) && n >= min ? Math.floor(n) : fallback)
+    const deviceScaleRaw = Number(raw['device-scale-factor'] ?? 1)
+    const payloadPath = resolve(String(raw.payload))
+
+    return {
+        ok: true,
+        config: {
+            payloadPath,
+            assetDir: resolve(String(raw['asset-dir'] ?? dirname(payloadPath))),
+            assetMapPath: raw['asset-map'] ? resolve(String(raw['asset-map'])) : null,
+            outputDir: resolve(String(raw['output-dir'])),
+            bundleDir: resolve(String(raw['bundle-dir'] ?? join(repoRoot, 'build', 'studio-headless-render'))),
+            browserExecutable: raw['browser-executable'] ? String(raw['browser-executable']) : null,
+            format,
+            quality: Math.round(quality),
+            sequence,
+            timeMs: timeMs.value ?? 0,
+            fps: fps.value,
+            durationMs: durationMs.value,
+            deviceScaleFactor: Number.isFinite(deviceScaleRaw) && deviceScaleRaw > 0 ? deviceScaleRaw : 1,
+            readinessTimeoutMs: clampMs(Number(raw['readiness-timeout-ms'] ?? 60_000), 60_000, 1_000),
+            frameSettleMs: clampMs(Number(raw['frame-settle-ms'] ?? 50), 50, 0),
+            totalTimeoutMs: clampMs(Number(raw['total-timeout-ms'] ?? 3_600_000), 3_600_000, 60_000),
+        },
+    }
+}
+
+/**
+ * Structural check of a render payload file; the scene itself reports unsupported layers at runtime.
+ * @param {unknown} payload
+ * @returns {string|null} error message, or null when usable
+ */
+export function validateRenderPayload(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return 'payload must be a JSON object'
+    }
+    const p = /** @type {Record<string, unknown>} */ (payload)
+    if (p.version !== RENDER_CONTRACT_VERSION) {
+        return `unsupported payload version ${JSON.stringify(p.version)} (expected ${RENDER_CONTRACT_VERSION})`
+    }
+    for (const key of ['width', 'height']) {
+        if (typeof p[key] !== 'number' || !(p[key] > 0)) {
+            return `payload.${key} must be a positive number`
+        }
+    }
+    if (!Array.isArray(p.layers)) {
+        return 'payload.layers must be an array'
+    }
+    return null
+}
+
+/**
+ * Asset id embedded in an app asset URL (`/app/api/assets/{id}/file`, `/assets/{id}/download`), else null.
+ * @param {string} url
+ */
+export function assetIdFromAppUrl(url) {
+    const m = /\/assets\/([^/?#]+)\/(?:file|download)(?:[?#]|$)/i.exec(url)
+    return m ? decodeURIComponent(m[1]) : null
+}
+
+/**
+ * URL → asset id for every layer source and brand font file the payload references.
+ * @param {Record<string, any>} payload
+ * @returns {Map<string, string>}
+ */
+export function collectPayloadAssetIds(payload) {
+    /** @type {Map<string, string>} */
+    const byUrl = new Map()
+    const visit = (node) => {
+        if (Array.isArray(node)) {
+            node.forEach(visit)
+            return
+        }
+        if (!node || typeof node !== 'object') {
+            return
+        }
+        const id = node.assetId ?? node.asset_id
+        if (id != null && String(id).trim() !== '') {
+            for (const key of ['src', 'url', 'file_url', 'resultSrc']) {
+                if (typeof node[key] === 'string' && node[key] !== '') {
+                    byUrl.set(node[key], String(id))
+                }
+            }
+        }
+        Object.values(node).forEach(visit)
+    }
+    visit(payload.layers)
+    visit(payload.brand_context)
+    return byUrl
+}
+
+/**
+ * Local file for a requested URL, or null. Never resolves outside `assetDir`.
+ * @param {string} url
+ * @param {{ assetDir: string, assetMap?: Record<string, string>|null, assetIdsByUrl?: Map<string, string>, files?: string[] }} ctx
+ *   `files` are asset-dir file names (default: read from disk).
+ */
+export function resolveHeadlessAssetPath(url, ctx) {
+    const root = resolve(ctx.assetDir)
+    const inside = (rel) => {
+        const abs = resolve(root, rel)
+        return abs === root || !abs.startsWith(root + sep) ? null : abs
+    }
+    let pathname = url
+    try {
+        pathname = decodeURIComponent(new URL(url, HOST_ORIGIN).pathname)
+    } catch {
+        /* keep raw */
+    }
+
+    const mapped = ctx.assetMap?.[url] ?? ctx.assetMap?.[pathname]
+    if (typeof mapped === 'string') {
+        return inside(mapped)
+    }
+
+    const files = ctx.files ?? listAssetFiles(root)
+    const assetId = ctx.assetIdsByUrl?.get(url) ?? assetIdFromAppUrl(url)
+    if (assetId) {
+        const hit = files.find((f) => f === assetId || basename(f, extname(f)) === assetId)
+        if (hit) {
+            return inside(hit)
+        }
+    }
+
+    const name = basename(pathname)
+    return name && files.includes(name) ? inside(name) : null
+}
+
+/** @param {string} dir */
+function listAssetFiles(dir) {
+    try {
+        return readdirSync(dir).filter((f) => statSync(join(dir, f)).isFile())
+    } catch {
+        return []
+    }
+}
+
+/**
+ * Host page for the built render bundle, from the Vite manifest.
+ * @param {Record<string, { file: string, css?: string[] }>} viteManifest
+ */
+export function headlessRenderHtml(viteManifest) {
+    const entry = viteManifest[BUNDLE_ENTRY]
+    if (!entry?.file) {
+        throw new Error(`${BUNDLE_ENTRY} missing from the bundle manifest — run \`npm run build:headless-render\``)
+    }
+    const css = (entry.css ?? []).map((href) => `<link rel="stylesheet" href="/${href}">`).join('')
+    return (
+        '<!doctype html><html><head><meta charset="utf-8"><title>Composition headless render</title>' +
+        `${css}<script type="module" src="/${entry.file}"></script></head>` +
+        '<body style="margin:0"><div id="app"></div></body></html>'
+    )
+}
+
+/** @param {Buffer} buf */
+function sha256(buf) {
+    return createHash('sha256').update(buf).digest('hex')
+}
+
+/** Re-encode a PNG screenshot as WebP with the page's own encoder (Playwright screenshots are PNG/JPEG only). */
+async function pngToWebp(page, png, quality) {
+    const b64 = await page.evaluate(
+        async ({ data, q }) => {
+            const blob = await (await fetch(`data:image/png;base64,${data}`)).blob()
+            const bitmap = await createImageBitmap(blob)
+            const canvas = new OffscreenCanvas(bitmap.width, bitmap.height)
+            canvas.getContext('2d').drawImage(bitmap, 0, 0)
+            const out = await canvas.convertToBlob({ type: 'image/webp', quality: q / 100 })
+            const bytes = new Uint8Array(await out.arrayBuffer())
+            let s = ''
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                s += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+            }
+            return btoa(s)
+        },
+        { data: png.toString('base64'), q: quality },
+    )
+    return Buffer.from(b64, 'base64')
+}
+
+async function writeDiagnosticsFile(outputDir, payload) {
+    try {
+        await mkdir(outputDir, { recursive: true })
+        await writeFile(join(outputDir, 'capture-diagnostics.json'), JSON.stringify(payload, null, 2), 'utf8')
+    } catch {
+        /* best-effort */
+    }
+}
+
+function exitWithArgsError(error) {
+    // eslint-disable-next-line no-console -- CLI contract
+    console.error(JSON.stringify({ schema: DIAGNOSTICS_SCHEMA, phase: 'args', error }))
+    process.exit(2)
+}
+
+async function main() {
+    const parsed = parseStudioHeadlessExportArgs(process.argv.slice(2))
+    if (!parsed.ok) {
+        exitWithArgsError(parsed.error)
+    }
+    const cfg = parsed.config
+    const startedAt = Date.now()
+
+    let payloadBytes
+    let payload
+    let assetMap = null
+    let html
+    try {
+        payloadBytes = await readFile(cfg.payloadPath)
+        payload = JSON.parse(payloadBytes.toString('utf8'))
+        const invalid = validateRenderPayload(payload)
+        if (invalid) {
+            throw new Error(invalid)
+        }
+        if (cfg.assetMapPath) {
+            assetMap = JSON.parse(await readFile(cfg.assetMapPath, 'utf8'))
+        }
+        html = headlessRenderHtml(JSON.parse(await readFile(join(cfg.bundleDir, '.vite', 'manifest.json'), 'utf8')))
+        if (!existsSync(cfg.assetDir)) {
+            throw new Error(`--asset-dir ${cfg.assetDir} does not exist`)
+        }
+    } catch (e) {
+        exitWithArgsError(e instanceof Error ? e.message : String(e))
+    }
+
+    const fps = cfg.fps ?? (Number(payload.fps) > 0 ? Number(payload.fps) : 30)
+    const durationMs = cfg.durationMs ?? (Number(payload.duration_ms) > 0 ? Number(payload.duration_ms) : 1000)
+    const frameTimes = cfg.sequence ? captureFrameTimesMs(durationMs, fps) : [cfg.timeMs]
+    const ext = cfg.format === 'jpeg' ? 'jpg' : cfg.format
+    const padN = Math.max(6, String(frameTimes.length).length)
+    const assetIdsByUrl = collectPayloadAssetIds(payload)
+    const assetFiles = listAssetFiles(cfg.assetDir)
+
+    const consoleLines = []
+    const pageErrors = []
+    /** @type {Map<string, string>} */
+    const assetsResolved = new Map()
+    /** @type {Set<string>} */
+    const requestsBlocked = new Set()
+    const frames = []
+    let phase = 'navigation'
+    let readinessMs = null
+    let bridgeAfterReady = null
+    let browser = null
+
+    await mkdir(cfg.outputDir, { recursive: true })
+
+    try {
+        browser = await chromium.launch({
+            headless: true,
+            // Build boxes without network cannot `npx playwright install`; point at a system Chrome instead.
+            ...(cfg.browserExecutable ? { executablePath: cfg.browserExecutable } : {}),
+            args: [
+                '--disable-dev-shm-usage',
+                '--disable-background-networking',
+                '--disable-background-timer-throttling',
+                '--disable-renderer-backgrounding',
+                '--disable-component-update',
+                '--disable-domain-reliability',
+                '--no-first-run',
+                '--force-color-profile=srgb',
+                '--font-render-hinting=none',
+            ],
+        })
+        const context = await browser.newContext({
+            viewport: { width: Math.ceil(payload.width), height: Math.ceil(payload.height) },
+            deviceScaleFactor: cfg.deviceScaleFactor,
+            javaScriptEnabled: true,
+            serviceWorkers: 'block',
+            timezoneId: 'UTC',
+            locale: 'en-US',
+        })
+        await context.route('**/*', async (route) => {
+            const url = route.request().url()
+            const fromHost = url.startsWith(`${HOST_ORIGIN}/`)
+            if (fromHost) {
+                const path = decodeURIComponent(new URL(url).pathname)
+                if (path === '/' || path === '/index.html') {
+                    return route.fulfill({ status: 200, contentType: CONTENT_TYPES['.html'], body: html })
+                }
+                const bundled = resolve(cfg.bundleDir, `.${path}`)
+                if (bundled.startsWith(cfg.bundleDir + sep) && existsSync(bundled) && statSync(bundled).isFile()) {
+                    return route.fulfill({
+                        status: 200,
+                        contentType: CONTENT_TYPES[extname(bundled).toLowerCase()] ?? 'application/octet-stream',
+                        body: await readFile(bundled),
+                    })
+                }
+            }
+            const file = resolveHeadlessAssetPath(url, { assetDir: cfg.assetDir, assetMap, assetIdsByUrl, files: assetFiles })
+            if (file && existsSync(file)) {
+                assetsResolved.set(url, relative(cfg.assetDir, file))
+                return route.fulfill({
+                    status: 200,
+                    contentType: CONTENT_TYPES[extname(file).toLowerCase()] ?? 'application/octet-stream',
+                    headers: { 'Access-Control-Allow-Origin': '*' },
+                    body: await readFile(file),
+                })
+            }
+            requestsBlocked.add(url)
+            return route.abort('blockedbyclient')
+        })
+
+        const page = await context.newPage()
+        page.setDefaultTimeout(cfg.readinessTimeoutMs)
+        page.on('console', (msg) => {
+            const t = msg.type()
+            if (t === 'error' || t === 'warning') {
+                consoleLines.push({ type: t, text: msg.text() })
+            }
+        })
+        page.on('pageerror', (err) => {
+            pageErrors.push(String(err?.stack || err))
+        })
+        await page.addInitScript((p) => {
+            window.__COMPOSITION_RENDER_PAYLOAD__ = p
+        }, payload)
+
+        const navStart = Date.now()
+        await page.goto(`${HOST_ORIGIN}/`, { waitUntil: 'domcontentloaded', timeout: cfg.readinessTimeoutMs })
+
+        phase = 'readiness'
+        // Offline there is nothing to retry: stop on the first readiness error instead of waiting out the timeout.
+        await page.waitForFunction(
+            () => {
+                const s = window.__COMPOSITION_EXPORT_BRIDGE__?.getState?.()
+                return Boolean(s && (s.ready === true || s.lastError))
+            },
+            undefined,
+            { timeout: cfg.readinessTimeoutMs },
+        )
+        readinessMs = Date.now() - navStart
+        bridgeAfterReady = await page.evaluate(() => window.__COMPOSITION_EXPORT_BRIDGE__?.getState?.() ?? null)
+        if (!bridgeAfterReady?.ready) {
+            throw new Error(`render surface not ready: ${bridgeAfterReady?.lastError ?? 'unknown error'}`)
+        }
+
+        phase = 'capture'
+        const sceneRoot = page.locator('[data-jp-composition-scene-root]').first()
+        if ((await sceneRoot.count()) < 1) {
+            throw new Error('missing [data-jp-composition-scene-root] for screenshot')
+        }
+        for (let i = 0; i < frameTimes.length; i++) {
+            if (Date.now() - startedAt > cfg.totalTimeoutMs) {
+                throw new Error(`total capture wall time exceeded total-timeout-ms=${cfg.totalTimeoutMs}`)
+            }
+            const frameTimeMs = frameTimes[i]
+            await page.evaluate((ms) => {
+                window.__COMPOSITION_EXPORT_BRIDGE__?.setTimeMs?.(ms)
+            }, frameTimeMs)
+            await page.waitForFunction(
+                (ms) => window.__COMPOSITION_EXPORT_BRIDGE__?.getState?.()?.renderedTimeMs === ms,
+                frameTimeMs,
+                { timeout: cfg.readinessTimeoutMs },
+            )
+            await settleAfterTimeStep(page, cfg.frameSettleMs)
+
+            let image =
+                cfg.format === 'jpeg'
+                    ? await sceneRoot.screenshot({ type: 'jpeg', quality: cfg.quality })
+                    : await sceneRoot.screenshot({ type: 'png' })
+            if (cfg.format === 'webp') {
+                image = await pngToWebp(page, image, cfg.quality)
+            }
+            const name = cfg.sequence ? `frame_${String(i).padStart(padN, '0')}.${ext}` : `still.${ext}`
+            await writeFile(join(cfg.outputDir, name), image)
+            frames.push({ index: i, file: name, time_ms: frameTimeMs, bytes: image.length, sha256: sha256(image) })
+        }
+
+        phase = 'manifest'
+        const manifest = {
+            schema: MANIFEST_SCHEMA,
+            render_contract_version: payload.version,
+            payload_path: cfg.payloadPath,
+            payload_sha256: sha256(payloadBytes),
+            composition_id: payload.composition_id ?? null,
+            mode: cfg.sequence ? 'sequence' : 'still',
+            format: cfg.format,
+            quality: cfg.format === 'png' ? null : cfg.quality,
+            width: payload.width,
+            height: payload.height,
+            device_scale_factor: cfg.deviceScaleFactor,
+            fps: cfg.sequence ? fps : null,
+            duration_ms: cfg.sequence ? durationMs : null,
+            frame_filename_pattern: cfg.sequence ? `frame_%0${padN}d.${ext}` : `still.${ext}`,
+            total_captured_frames: frames.length,
+            frames,
+            asset_dir: cfg.assetDir,
+            assets_resolved: [...assetsResolved].map(([url, file]) => ({ url, file })),
+            requests_blocked: [...requestsBlocked],
+            readiness_wait_ms: readinessMs,
+            wall_clock_total_ms: Date.now() - startedAt,
+            unsupported_layer_types: bridgeAfterReady?.unsupportedLayerTypes ?? [],
+            assets_failed: bridgeAfterReady?.assetsFailed ?? [],
+            fonts_failed: bridgeAfterReady?.fontsFailed ?? [],
+            console_lines: consoleLines,
+            page_errors: pageErrors,
+            playwright_browser_version: browser.version(),
+        }
+        const manifestPath = join(cfg.outputDir, 'capture-manifest.json')
+        await writeFile(manifestPath, JSON.stringify(manifest, null, 2), 'utf8')
+        // eslint-disable-next-line no-console -- CLI contract: single-line path for optional parsers
+        console.log(JSON.stringify({ ok: true, manifest_path: manifestPath }))
+        process.exit(0)
+    } catch (e) {
+        const message = e instanceof Error ? e.message : String(e)
+        let bridgeState = null
+        try {
+            const p = browser?.contexts().flatMap((c) => c.pages())[0]
+            if (p) {
+                await p.screenshot({ path: join(cfg.outputDir, 'failure-fullpage.png'), type: 'png' }).catch(() => {})
+                bridgeState = await p.evaluate(() => window.__COMPOSITION_EXPORT_BRIDGE__?.getState?.() ?? null)
+            }
+        } catch {
+            /* ignore */
+        }
+        await writeDiagnosticsFile(cfg.outputDir, {
+            schema: DIAGNOSTICS_SCHEMA,
+            phase,
+            error: message,
+            readiness_wait_ms: readinessMs,
+            bridge_state: bridgeState,
+            frames_captured: frames.length,
+            assets_resolved: [...assetsResolved].map(([url, file]) => ({ url, file })),
+            requests_blocked: [...requestsBlocked],
+            console_lines: consoleLines,
+            page_errors: pageErrors,
+        })
+        // eslint-disable-next-line no-console
+        console.error(JSON.stringify({ ok: false, phase, error: message }))
+        process.exit({ navigation: 3, readiness: 4, capture: 5, manifest: 6 }[phase] ?? 5)
+    } finally {
+        if (browser) {
+            await browser.close().catch(() => {})
+        }
+    }
+}
+
+const isMain = Boolean(process.argv[1] && fileURLToPath(import.meta.url) === resolve(process.argv[1]))
+if (isMain) {
+    void main()
+}
@@ -0,0 +1,97 @@
+import { strict as assert } from 'node:assert'
+import { spawnSync } from 'node:child_process'
+import { mkdtempSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { dirname, join, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import test from 'node:test'
+
+const repoRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+
+test('parseStudioHeadlessExportArgs defaults to a PNG still and validates format and mode', async () => {
+    const { parseStudioHeadlessExportArgs } = await import('./studio-headless-export.mjs')
+    assert.match(String(parseStudioHeadlessExportArgs(['--format=png']).error), /--payload, --output-dir/)
+
+    const still = parseStudioHeadlessExportArgs(['--payload=/tmp/p/payload.json', '--output-dir=/tmp/out'])
+    assert.equal(still.ok, true)
+    assert.equal(still.config.format, 'png')
+    assert.equal(still.config.sequence, false)
+    assert.equal(still.config.timeMs, 0)
+    assert.equal(still.config.assetDir, resolve('/tmp/p'))
+
+    const seq = parseStudioHeadlessExportArgs([
+        '--payload=p.json',
+        '--output-dir=out',
+        '--format=jpg',
+        '--quality=70',
+        '--sequence',
+        '--fps=12',
+    ])
+    assert.equal(seq.ok, true)
+    assert.equal(seq.config.format, 'jpeg')
+    assert.equal(seq.config.fps, 12)
+    assert.equal(seq.config.durationMs, null)
+
+    assert.equal(parseStudioHeadlessExportArgs(['--payload=p', '--output-dir=o', '--format=gif']).ok, false)
+    assert.equal(parseStudioHeadlessExportArgs(['--payload=p', '--output-dir=o', '--sequence', '--time-ms=500']).ok, false)
+    assert.equal(parseStudioHeadlessExportArgs(['--payload=p', '--output-dir=o', '--fps=500']).ok, false)
+})
+
+test('captureFrameTimesMs is shared with the signed-URL driver and pins the last frame', async () => {
+    const { captureFrameTimesMs } = await import('./studio-canvas-export.mjs')
+    assert.deepEqual(captureFrameTimesMs(250, 10), [0, 100, 250])
+    assert.deepEqual(captureFrameTimesMs(1, 30), [1])
+})
+
+test('resolveHeadlessAssetPath looks up asset map, asset id, then file name — never outside the asset dir', async () => {
+    const { collectPayloadAssetIds, resolveHeadlessAssetPath } = await import('./studio-headless-export.mjs')
+    const dir = mkdtempSync(join(tmpdir(), 'jp-headless-'))
+    const payload = {
+        layers: [{ id: 'img', type: 'image', assetId: 'a-1', src: 'https://cdn.test/signed/xyz?sig=1' }],
+        brand_context: { typography: { fonts: [{ asset_id: 9, url: 'https://cdn.test/f/brand.woff2' }] } },
+    }
+    const ctx = {
+        assetDir: dir,
+        assetMap: { 'https://cdn.test/hero.jpg': 'photos/hero.jpg', '/evil': '../../etc/passwd' },
+        assetIdsByUrl: collectPayloadAssetIds(payload),
+        files: ['a-1.png', '9.woff2', 'logo.svg'],
+    }
+
+    assert.equal(resolveHeadlessAssetPath('https://cdn.test/hero.jpg', ctx), join(dir, 'photos', 'hero.jpg'))
+    assert.equal(resolveHeadlessAssetPath('https://cdn.test/signed/xyz?sig=1', ctx), join(dir, 'a-1.png'))
+    assert.equal(resolveHeadlessAssetPath('https://cdn.test/f/brand.woff2', ctx), join(dir, '9.woff2'))
+    assert.equal(resolveHeadlessAssetPath('http://studio-headless.invalid/app/api/assets/9/file', ctx), join(dir, '9.woff2'))
+    assert.equal(resolveHeadlessAssetPath('https://other.test/static/logo.svg?v=3', ctx), join(dir, 'logo.svg'))
+    assert.equal(resolveHeadlessAssetPath('https://other.test/missing.png', ctx), null)
+    assert.equal(resolveHeadlessAssetPath('http://studio-headless.invalid/evil', ctx), null)
+})
+
+test('validateRenderPayload and headlessRenderHtml', async () => {
+    const { headlessRenderHtml, validateRenderPayload } = await import('./studio-headless-export.mjs')
+    assert.equal(validateRenderPayload({ version: 1, width: 1080, height: 1080, layers: [] }), null)
+    assert.match(String(validateRenderPayload({ version: 2, width: 1, height: 1, layers: [] })), /version/)
+    assert.match(String(validateRenderPayload({ version: 1, width: 0, height: 1, layers: [] })), /width/)
+
+    const html = headlessRenderHtml({
+        'resources/js/studioHeadlessRender.tsx': { file: 'assets/entry-1.js', css: ['assets/entry-1.css'] },
+    })
+    assert.match(html, /<script type="module" src="\/assets\/entry-1\.js">/)
+    assert.match(html, /<link rel="stylesheet" href="\/assets\/entry-1\.css">/)
+    assert.throws(() => headlessRenderHtml({}), /build:headless-render/)
+})
+
+test('CLI exits 2 on missing args or an unusable payload', () => {
+    const script = join(repoRoot, 'scripts', 'studio-headless-export.mjs')
+    const noArgs = spawnSync(process.execPath, [script], { encoding: 'utf8', cwd: repoRoot })
+    assert.equal(noArgs.status, 2)
+    assert.doesNotThrow(() => JSON.parse(noArgs.stderr.trim()))
+
+    const dir = mkdtempSync(join(tmpdir(), 'jp-headless-'))
+    writeFileSync(join(dir, 'payload.json'), JSON.stringify({ version: 9 }))
+    const bad = spawnSync(process.execPath, [script, `--payload=${join(dir, 'payload.json')}`, `--output-dir=${join(dir, 'out')}`], {
+        encoding: 'utf8',
+        cwd: repoRoot,
+    })
+    assert.equal(bad.status, 2)
+    assert.match(JSON.parse(bad.stderr.trim()).error, /unsupported payload version/)
+})
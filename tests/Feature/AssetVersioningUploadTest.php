@@ -7,16 +7,19 @@
 use App\Enums\StorageBucketStatus;
 use App\Enums\UploadStatus;
 use App\Enums\UploadType;
+use App\Jobs\VerifyAssetVersionContentHashJob;
 use App\Models\Asset;
 use App\Models\AssetVersion;
 use App\Models\Brand;
 use App\Models\StorageBucket;
+use App\Models\SystemIncident;
 use App\Models\Tenant;
 use App\Models\UploadSession;
 use App\Models\User;
 use App\Services\UploadCompletionService;
 use Aws\Result;
 use Aws\S3\S3Client;
+use GuzzleHttp\Psr7\Utils;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Illuminate\Support\Facades\Queue;
 use Mockery;
@@ -843,4 +846,82 @@ public function test_no_legacy_path_for_normal_starter_assets(): void
 
         $this->assertNotNull($asset->currentVersion);
     }
+
+    public function test_content_sha256_from_session_is_stored_on_version_and_queued_for_verification(): void
+    {
+        $sha256 = hash('sha256', 'original bytes');
+
+        $uploadSession = UploadSession::create([
+            'tenant_id' => $this->tenant->id,
+            'brand_id' => $this->brand->id,
+            'storage_bucket_id' => $this->bucket->id,
+            'status' => UploadStatus::UPLOADING,
+            'type' => UploadType::DIRECT,
+            'expected_size' => 1024,
+            'uploaded_size' => 1024,
+            'content_sha256' => $sha256,
+        ]);
+
+        $asset = $this->completionService->complete(
+            $uploadSession,
+            'asset',
+            'photo.jpg',
+            'Photo',
+            null,
+            null,
+            [],
+            $this->user->id
+        );
+
+        $this->assertSame($sha256, $asset->currentVersion->content_sha256);
+        Queue::assertPushed(
+            VerifyAssetVersionContentHashJob::class,
+            fn (VerifyAssetVersionContentHashJob $job) => $job->versionId === $asset->currentVersion->id
+        );
+    }
+
+    public function test_content_hash_mismatch_replaces_the_hash_raises_an_incident_and_flags_the_version(): void
+    {
+        $clientHash = hash('sha256', 'original bytes');
+        $serverHash = hash('sha256', 'stored bytes');
+
+        $uploadSession = UploadSession::create([
+            'tenant_id' => $this->tenant->id,
+            'brand_id' => $this->brand->id,
+            'storage_bucket_id' => $this->bucket->id,
+            'status' => UploadStatus::UPLOADING,
+            'type' => UploadType::DIRECT,
+            'expected_size' => 1024,
+            'uploaded_size' => 1024,
+            'content_sha256' => $clientHash,
+        ]);
+
+        $asset = $this->completionService->complete(
+            $uploadSession,
+            'asset',
+            'photo.jpg',
+            'Photo',
+            null,
+            null,
+            [],
+            $this->user->id
+        );
+        $version = $asset->currentVersion;
+
+        $s3Client = Mockery::mock(S3Client::class);
+        $s3Client->shouldReceive('getObject')->andReturn(new Result(['Body' => Utils::streamFor('stored bytes')]));
+        $this->app->instance(S3Client::class, $s3Client);
+
+        (new VerifyAssetVersionContentHashJob($version->id))->handle();
+
+        $version->refresh();
+        $this->assertSame($serverHash, $version->content_sha256);
+        $this->assertSame('mismatch', $version->metadata['content_integrity']['status']);
+        $this->assertSame($clientHash, $version->metadata['content_integrity']['client_sha256']);
+
+        $incident = SystemIncident::where('source_type', 'asset')->where('source_id', $asset->id)->sole();
+        $this->assertSame('error', $incident->severity);
+        $this->assertSame($version->id, $incident->metadata['version_id']);
+        $this->assertSame("content_integrity_mismatch:{$version->id}", $incident->metadata['unique_signature']);
+    }
 }
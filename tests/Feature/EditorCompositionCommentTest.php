@@ -0,0 +1,201 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Brand;
+use App\Models\Composition;
+use App\Models\CompositionCommentThread;
+use App\Models\Notification;
+use App\Models\Tenant;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class EditorCompositionCommentTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * @return array{0: Tenant, 1: Brand, 2: User}
+     */
+    private function workspace(string $role = 'admin'): array
+    {
+        $tenant = Tenant::create(['name' => 'T', 'slug' => 't']);
+        $brand = Brand::create(['tenant_id' => $tenant->id, 'name' => 'B', 'slug' => 'b']);
+        $user = User::factory()->create(['first_name' => 'Ada', 'last_name' => 'Owner']);
+        $user->tenants()->attach($tenant->id);
+        $user->brands()->attach($brand->id, ['role' => $role, 'removed_at' => null]);
+
+        return [$tenant, $brand, $user];
+    }
+
+    private function member(Tenant $tenant, Brand $brand, string $role = 'contributor'): User
+    {
+        $member = User::factory()->create(['first_name' => 'Rex', 'last_name' => 'Reviewer']);
+        $member->tenants()->attach($tenant->id);
+        $member->brands()->attach($brand->id, ['role' => $role, 'removed_at' => null]);
+
+        return $member;
+    }
+
+    private function composition(Tenant $tenant, Brand $brand, User $owner, string $visibility = Composition::VISIBILITY_SHARED): Composition
+    {
+        return Composition::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $owner->id,
+            'visibility' => $visibility,
+            'name' => 'Spring sale',
+            'document_json' => ['width' => 1080, 'height' => 1080, 'layers' => []],
+        ]);
+    }
+
+    public function test_pinned_thread_with_mentions_notifies_brand_members_only(): void
+    {
+        [$tenant, $brand, $owner] = $this->workspace();
+        $reviewer = $this->member($tenant, $brand);
+        $outsider = User::factory()->create();
+        $composition = $this->composition($tenant, $brand, $owner);
+
+        $res = $this->actingAs($owner)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson("/app/api/compositions/{$composition->id}/comments", [
+                'x' => 540,
+                'y' => 200.5,
+                'layer_id' => 'headline',
+                'layer_rel_x' => 0.5,
+                'layer_rel_y' => 0,
+                'body' => '@Rex Reviewer can we tighten this headline?',
+                'mentioned_user_ids' => [$reviewer->id, $outsider->id, $owner->id],
+            ])
+            ->assertOk()
+            ->assertJsonPath('thread.layer_id', 'headline')
+            ->assertJsonPath('thread.layer_rel_x', 0.5)
+            ->assertJsonPath('thread.y', 200.5)
+            ->assertJsonPath('thread.resolved_at', null)
+            ->assertJsonPath('thread.comments.0.mentioned_user_ids', [$owner->id, $reviewer->id]);
+        $this->assertSame('Ada Owner', $res->json('thread.author.name'));
+
+        $notification = Notification::query()->where('user_id', $reviewer->id)->sole();
+        $this->assertSame('studio_comment.mentioned', $notification->type);
+        $this->assertSame('Spring sale', $notification->data['composition_name']);
+        $this->assertStringContainsString("comment={$res->json('thread.id')}", $notification->data['action_url']);
+        $this->assertSame(0, Notification::query()->whereIn('user_id', [$owner->id, $outsider->id])->count());
+
+        $this->actingAs($reviewer)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->getJson("/app/api/compositions/{$composition->id}/comment-mentionables")
+            ->assertOk()
+            ->assertJsonCount(2, 'users');
+    }
+
+    public function test_reply_resolve_reopen_and_rail_summary(): void
+    {
+        [$tenant, $brand, $owner] = $this->workspace();
+        $reviewer = $this->member($tenant, $brand);
+        $a = $this->composition($tenant, $brand, $owner);
+        $b = $this->composition($tenant, $brand, $owner);
+        $hidden = $this->composition($tenant, $brand, $owner, Composition::VISIBILITY_PRIVATE);
+        $session = ['tenant_id' => $tenant->id, 'brand_id' => $brand->id];
+
+        $threadId = $this->actingAs($reviewer)->withSession($session)
+            ->postJson("/app/api/compositions/{$a->id}/comments", ['x' => 10, 'y' => 20, 'body' => 'Logo is too small'])
+            ->assertOk()
+            ->json('thread.id');
+        $this->actingAs($reviewer)->withSession($session)
+            ->postJson("/app/api/compositions/{$a->id}/comments", ['x' => 30, 'y' => 40, 'body' => 'Typo in CTA'])
+            ->assertOk();
+
+        $this->actingAs($owner)->withSession($session)
+            ->postJson("/app/api/compositions/{$a->id}/comments/{$threadId}/replies", ['body' => 'Bumped it to 120px'])
+            ->assertOk()
+            ->assertJsonCount(2, 'thread.comments');
+
+        $this->actingAs($owner)->withSession($session)
+            ->patchJson("/app/api/compositions/{$a->id}/comments/{$threadId}", ['resolved' => true])
+            ->assertOk()
+            ->assertJsonPath('thread.resolved_by.id', $owner->id);
+
+        $this->actingAs($reviewer)->withSession($session)
+            ->getJson('/app/api/compositions/comment-summary?'.http_build_query(['ids' => [$a->id, $b->id, $hidden->id]]))
+            ->assertOk()
+            ->assertJsonPath("summary.{$a->id}.open", 1)
+            ->assertJsonPath("summary.{$a->id}.resolved", 1)
+            ->assertJsonPath("summary.{$a->id}.open_previews", ['Typo in CTA'])
+            ->assertJsonPath("summary.{$b->id}.open", 0)
+            ->assertJsonMissingPath("summary.{$hidden->id}");
+
+        // Brand admins can open private compositions, so the rail counts them too.
+        $admin = $this->member($tenant, $brand, 'admin');
+        $this->actingAs($admin)->withSession($session)
+            ->getJson('/app/api/compositions/comment-summary?'.http_build_query(['ids' => [$a->id, $hidden->id]]))
+            ->assertOk()
+            ->assertJsonPath("summary.{$a->id}.open", 1)
+            ->assertJsonPath("summary.{$hidden->id}.open", 0);
+
+        $this->actingAs($reviewer)->withSession($session)
+            ->patchJson("/app/api/compositions/{$a->id}/comments/{$threadId}", ['resolved' => false])
+            ->assertOk()
+            ->assertJsonPath('thread.resolved_at', null)
+            ->assertJsonPath('thread.resolved_by', null);
+
+        // Threads are scoped to their composition.
+        $this->actingAs($owner)->withSession($session)
+            ->patchJson("/app/api/compositions/{$b->id}/comments/{$threadId}", ['resolved' => true])
+            ->assertNotFound();
+    }
+
+    public function test_mentions_on_private_compositions_reach_only_users_who_can_open_them(): void
+    {
+        [$tenant, $brand, $owner] = $this->workspace('contributor');
+        $colleague = $this->member($tenant, $brand);
+        $admin = $this->member($tenant, $brand, 'admin');
+        $private = $this->composition($tenant, $brand, $owner, Composition::VISIBILITY_PRIVATE);
+        $session = ['tenant_id' => $tenant->id, 'brand_id' => $brand->id];
+
+        $mentionables = $this->actingAs($owner)->withSession($session)
+            ->getJson("/app/api/compositions/{$private->id}/comment-mentionables")
+            ->assertOk()
+            ->json('users');
+        $this->assertEqualsCanonicalizing([$owner->id, $admin->id], array_column($mentionables, 'id'));
+
+        $this->actingAs($owner)->withSession($session)
+            ->postJson("/app/api/compositions/{$private->id}/comments", [
+                'x' => 1,
+                'y' => 1,
+                'body' => 'Thoughts before I share this?',
+                'mentioned_user_ids' => [$colleague->id, $admin->id],
+            ])
+            ->assertOk()
+            ->assertJsonPath('thread.comments.0.mentioned_user_ids', [$admin->id]);
+
+        $this->assertSame(1, Notification::query()->where('user_id', $admin->id)->count());
+        $this->assertSame(0, Notification::query()->where('user_id', $colleague->id)->count());
+    }
+
+    public function test_private_compositions_and_thread_deletion_are_restricted(): void
+    {
+        [$tenant, $brand, $owner] = $this->workspace('contributor');
+        $other = $this->member($tenant, $brand);
+        $private = $this->composition($tenant, $brand, $owner, Composition::VISIBILITY_PRIVATE);
+        $shared = $this->composition($tenant, $brand, $owner);
+        $session = ['tenant_id' => $tenant->id, 'brand_id' => $brand->id];
+
+        $this->actingAs($other)->withSession($session)
+            ->getJson("/app/api/compositions/{$private->id}/comments")
+            ->assertNotFound();
+
+        $threadId = $this->actingAs($owner)->withSession($session)
+            ->postJson("/app/api/compositions/{$shared->id}/comments", ['x' => 1, 'y' => 1, 'body' => 'Check bleed'])
+            ->json('thread.id');
+
+        $this->actingAs($other)->withSession($session)
+            ->deleteJson("/app/api/compositions/{$shared->id}/comments/{$threadId}")
+            ->assertForbidden();
+
+        $this->actingAs($owner)->withSession($session)
+            ->deleteJson("/app/api/compositions/{$shared->id}/comments/{$threadId}")
+            ->assertOk();
+        $this->assertSame(0, CompositionCommentThread::query()->count());
+    }
+}
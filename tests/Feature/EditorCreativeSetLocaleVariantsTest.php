@@ -0,0 +1,178 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Brand;
+use App\Models\Composition;
+use App\Models\CompositionVersion;
+use App\Models\CreativeSet;
+use App\Models\CreativeSetVariant;
+use App\Models\Tenant;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class EditorCreativeSetLocaleVariantsTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function document(string $german = 'Frühlings-Sale'): array
+    {
+        return [
+            'width' => 1080,
+            'height' => 1080,
+            'localization' => ['sourceLocale' => 'en', 'locales' => ['de-DE', 'ar']],
+            'layers' => [
+                ['id' => 'h', 'type' => 'text', 'z' => 0, 'content' => 'Spring sale', 'translations' => ['de-DE' => $german, 'ar' => 'تخفيضات الربيع'], 'style' => ['fontSize' => 64, 'textAlign' => 'left'], 'transform' => ['x' => 40, 'y' => 40, 'width' => 600, 'height' => 120]],
+            ],
+        ];
+    }
+
+    /**
+     * @return array{0: Tenant, 1: Brand, 2: User, 3: CreativeSet, 4: Composition}
+     */
+    private function workspace(): array
+    {
+        $tenant = Tenant::create(['name' => 'T', 'slug' => 't-loc']);
+        $brand = Brand::create(['tenant_id' => $tenant->id, 'name' => 'B', 'slug' => 'b-loc']);
+        $user = User::factory()->create();
+        $user->tenants()->attach($tenant->id);
+        $user->brands()->attach($brand->id, ['role' => 'admin', 'removed_at' => null]);
+
+        $source = Composition::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $user->id,
+            'visibility' => Composition::VISIBILITY_SHARED,
+            'name' => 'Spring',
+            'document_json' => $this->document(),
+        ]);
+        $set = CreativeSet::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $user->id,
+            'name' => 'Set',
+            'status' => CreativeSet::STATUS_ACTIVE,
+        ]);
+        CreativeSetVariant::create([
+            'creative_set_id' => $set->id,
+            'composition_id' => $source->id,
+            'sort_order' => 0,
+            'label' => 'Base',
+            'status' => CreativeSetVariant::STATUS_READY,
+            'axis' => null,
+        ]);
+
+        return [$tenant, $brand, $user, $set, $source];
+    }
+
+    public function test_creates_locale_versions_then_refreshes_their_copy(): void
+    {
+        [$tenant, $brand, $user, $set, $source] = $this->workspace();
+
+        $response = $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson("/app/api/creative-sets/{$set->id}/locale-variants", ['source_composition_id' => $source->id, 'locales' => ['de_de', 'ar']])
+            ->assertOk()
+            ->assertJsonCount(2, 'created_variant_ids')
+            ->assertJsonCount(3, 'creative_set.variants')
+            ->assertJsonPath('creative_set.variants.1.axis.locale.id', 'de-DE')
+            ->assertJsonPath('creative_set.variants.2.axis.locale.direction', 'rtl');
+
+        $arabic = Composition::query()->find($response->json('creative_set.variants.2.composition_id'));
+        $this->assertSame('تخفيضات الربيع', $arabic->document_json['layers'][0]['content']);
+        $this->assertSame('right', $arabic->document_json['layers'][0]['style']['textAlign']);
+
+        $german = Composition::query()->find($response->json('creative_set.variants.1.composition_id'));
+        $doc = $german->document_json;
+        $doc['layers'][0]['style']['fontSize'] = 48;
+        $german->update(['document_json' => $doc]);
+        $source->update(['document_json' => $this->document('Frühjahrsangebot')]);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson("/app/api/creative-sets/{$set->id}/locale-variants", ['source_composition_id' => $source->id, 'locales' => ['de-DE', 'ar']])
+            ->assertOk()
+            ->assertJsonCount(0, 'created_variant_ids')
+            ->assertJsonPath('updated_variant_ids.0', $response->json('creative_set.variants.1.id'))
+            ->assertJsonCount(3, 'creative_set.variants');
+
+        $layer = $german->fresh()->document_json['layers'][0];
+        $this->assertSame('Frühjahrsangebot', $layer['content']);
+        $this->assertSame(48, $layer['style']['fontSize']);
+    }
+
+    public function test_refresh_backs_up_the_locale_version_and_rejects_stale_saves(): void
+    {
+        [$tenant, $brand, $user, $set, $source] = $this->workspace();
+
+        $response = $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson("/app/api/creative-sets/{$set->id}/locale-variants", ['source_composition_id' => $source->id, 'locales' => ['de-DE']])
+            ->assertOk();
+
+        $german = Composition::query()->find($response->json('creative_set.variants.1.composition_id'));
+        $openedRevision = (int) $german->external_revision;
+        $openedDocument = $german->document_json;
+        $source->update(['document_json' => $this->document('Frühjahrsangebot')]);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson("/app/api/creative-sets/{$set->id}/locale-variants", ['source_composition_id' => $source->id, 'locales' => ['de-DE']])
+            ->assertOk()
+            ->assertJsonCount(1, 'updated_variant_ids');
+
+        $german->refresh();
+        $this->assertSame($openedRevision + 1, (int) $german->external_revision);
+        $backup = CompositionVersion::query()
+            ->where('composition_id', $german->id)
+            ->where('label', 'Before translation refresh')
+            ->first();
+        $this->assertNotNull($backup);
+        $this->assertSame('Frühlings-Sale', $backup->document_json['layers'][0]['content']);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->putJson("/app/api/compositions/{$german->id}", [
+                'document' => $openedDocument,
+                'create_version' => false,
+                'base_external_revision' => $openedRevision,
+            ])
+            ->assertStatus(409)
+            ->assertJsonPath('code', 'external_revision_conflict');
+        $this->assertSame('Frühjahrsangebot', $german->fresh()->document_json['layers'][0]['content']);
+    }
+
+    public function test_rejects_invalid_locales_and_sources_outside_the_set(): void
+    {
+        [$tenant, $brand, $user, $set, $source] = $this->workspace();
+        $outsider = Composition::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $user->id,
+            'visibility' => Composition::VISIBILITY_SHARED,
+            'name' => 'Other',
+            'document_json' => $this->document(),
+        ]);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson("/app/api/creative-sets/{$set->id}/locale-variants", ['source_composition_id' => $source->id, 'locales' => ['German']])
+            ->assertStatus(422);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson("/app/api/creative-sets/{$set->id}/locale-variants", ['source_composition_id' => $source->id, 'locales' => ['en']])
+            ->assertStatus(422);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson("/app/api/creative-sets/{$set->id}/locale-variants", ['source_composition_id' => $outsider->id, 'locales' => ['fr']])
+            ->assertStatus(422);
+
+        $this->assertSame(1, CreativeSetVariant::query()->where('creative_set_id', $set->id)->count());
+    }
+}
@@ -308,6 +308,104 @@ public function test_apply_updates_matching_sibling_headline_text(): void
         $this->assertSame('Source text', $headline['content'] ?? null);
     }
 
+    public function test_apply_syncs_rich_text_runs_and_list_style_to_sibling(): void
+    {
+        $c1 = Composition::create([
+            'tenant_id' => $this->tenant->id,
+            'brand_id' => $this->brand->id,
+            'user_id' => $this->user->id,
+            'visibility' => Composition::VISIBILITY_SHARED,
+            'name' => 'V1',
+            'document_json' => $this->documentWithHeadline('h1', 'g1', 'Save 50% today'),
+        ]);
+        $c2 = Composition::create([
+            'tenant_id' => $this->tenant->id,
+            'brand_id' => $this->brand->id,
+            'user_id' => $this->user->id,
+            'visibility' => Composition::VISIBILITY_SHARED,
+            'name' => 'V2',
+            'document_json' => $this->documentWithHeadline('h2', 'g2', 'Old'),
+        ]);
+        $set = CreativeSet::create([
+            'tenant_id' => $this->tenant->id,
+            'brand_id' => $this->brand->id,
+            'user_id' => $this->user->id,
+            'name' => 'Set',
+            'status' => CreativeSet::STATUS_ACTIVE,
+        ]);
+        foreach ([$c1, $c2] as $i => $c) {
+            CreativeSetVariant::create([
+                'creative_set_id' => $set->id,
+                'composition_id' => $c->id,
+                'sort_order' => $i,
+                'label' => $i === 0 ? 'A' : 'B',
+                'status' => CreativeSetVariant::STATUS_READY,
+                'axis' => null,
+            ]);
+        }
+        $runs = [
+            ['text' => 'Save '],
+            ['text' => '50%', 'bold' => true, 'color' => '#ff0000'],
+            ['text' => ' today'],
+        ];
+
+        $response = $this->actingAs($this->user)
+            ->withSession(['tenant_id' => $this->tenant->id, 'brand_id' => $this->brand->id])
+            ->postJson("/app/api/creative-sets/{$set->id}/apply", [
+                'source_composition_id' => $c1->id,
+                'commands' => [
+                    [
+                        'type' => 'update_text_content',
+                        'role' => 'headline',
+                        'text' => 'Save 50% today',
+                        'runs' => $runs,
+                        'listStyle' => 'bullet',
+                    ],
+                ],
+            ]);
+
+        $response->assertOk();
+        $response->assertJsonPath('sibling_compositions_updated', 1);
+        $headline = collect($c2->fresh()->document_json['layers'] ?? [])->firstWhere('id', 'h2');
+        $this->assertSame('Save 50% today', $headline['content'] ?? null);
+        $this->assertSame($runs, $headline['runs'] ?? null);
+        $this->assertSame('bullet', $headline['style']['listStyle'] ?? null);
+    }
+
+    public function test_service_rejects_runs_that_do_not_spell_out_text(): void
+    {
+        $this->expectException(\Illuminate\Validation\ValidationException::class);
+
+        $c1 = Composition::create([
+            'tenant_id' => $this->tenant->id,
+            'brand_id' => $this->brand->id,
+            'user_id' => $this->user->id,
+            'visibility' => Composition::VISIBILITY_SHARED,
+            'name' => 'V1',
+            'document_json' => $this->documentWithHeadline('h1', 'g1'),
+        ]);
+        $set = CreativeSet::create([
+            'tenant_id' => $this->tenant->id,
+            'brand_id' => $this->brand->id,
+            'user_id' => $this->user->id,
+            'name' => 'Set',
+            'status' => CreativeSet::STATUS_ACTIVE,
+        ]);
+        CreativeSetVariant::create([
+            'creative_set_id' => $set->id,
+            'composition_id' => $c1->id,
+            'sort_order' => 0,
+            'label' => 'A',
+            'status' => CreativeSetVariant::STATUS_READY,
+            'axis' => null,
+        ]);
+
+        $svc = app(CreativeSetApplyCommandsService::class);
+        $svc->applyToAllVariants($set->fresh(['variants']), $this->user, $c1->id, [
+            ['type' => 'update_text_content', 'role' => 'headline', 'text' => 'Hello', 'runs' => [['text' => 'Help', 'bold' => true]]],
+        ]);
+    }
+
     public function test_apply_cta_visibility_syncs_entire_group_on_sibling(): void
     {
         $c1 = Composition::create([
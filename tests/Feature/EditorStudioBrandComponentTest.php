@@ -0,0 +1,293 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Brand;
+use App\Models\Composition;
+use App\Models\StudioBrandComponent;
+use App\Models\Tenant;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class EditorStudioBrandComponentTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function definition(string $label): array
+    {
+        return [
+            'width' => 200,
+            'height' => 60,
+            'layers' => [
+                ['id' => 'btn', 'type' => 'fill', 'z' => 0, 'visible' => true, 'locked' => false, 'color' => '#111111', 'transform' => ['x' => 0, 'y' => 0, 'width' => 200, 'height' => 60]],
+                ['id' => 'lbl', 'type' => 'text', 'z' => 1, 'visible' => true, 'locked' => false, 'content' => $label, 'style' => ['fontSize' => 24, 'color' => '#ffffff'], 'transform' => ['x' => 20, 'y' => 10, 'width' => 160, 'height' => 40]],
+            ],
+        ];
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function documentWithInstance(string $componentId, string $content): array
+    {
+        return [
+            'width' => 1080,
+            'height' => 1080,
+            'layers' => [
+                ['id' => 'i-btn', 'type' => 'fill', 'z' => 0, 'visible' => true, 'locked' => false, 'groupId' => 'g1', 'componentLayerId' => 'btn', 'color' => '#111111', 'transform' => ['x' => 40, 'y' => 50, 'width' => 200, 'height' => 60]],
+                ['id' => 'i-lbl', 'type' => 'text', 'z' => 1, 'visible' => true, 'locked' => false, 'groupId' => 'g1', 'componentLayerId' => 'lbl', 'content' => $content, 'style' => ['fontSize' => 24, 'color' => '#ffffff'], 'transform' => ['x' => 60, 'y' => 60, 'width' => 160, 'height' => 40]],
+            ],
+            'groups' => [[
+                'id' => 'g1',
+                'name' => 'CTA',
+                'memberIds' => ['i-btn', 'i-lbl'],
+                'locked' => false,
+                'collapsed' => true,
+                'component' => [
+                    'componentId' => $componentId,
+                    'revision' => 1,
+                    'base' => [
+                        'btn' => ['x' => 0, 'y' => 0, 'width' => 200, 'height' => 60, 'color' => '#111111'],
+                        'lbl' => ['x' => 20, 'y' => 10, 'width' => 160, 'height' => 40, 'content' => 'Shop now', 'color' => '#ffffff'],
+                    ],
+                ],
+            ]],
+        ];
+    }
+
+    /**
+     * @return array{0: Tenant, 1: Brand, 2: User}
+     */
+    private function workspace(string $role = 'admin'): array
+    {
+        $tenant = Tenant::create(['name' => 'T', 'slug' => 't']);
+        $brand = Brand::create(['tenant_id' => $tenant->id, 'name' => 'B', 'slug' => 'b']);
+        $user = User::factory()->create();
+        $user->tenants()->attach($tenant->id);
+        $user->brands()->attach($brand->id, ['role' => $role, 'removed_at' => null]);
+
+        return [$tenant, $brand, $user];
+    }
+
+    public function test_store_and_list_components_for_the_brand(): void
+    {
+        [$tenant, $brand, $user] = $this->workspace();
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson('/app/api/studio-components', ['name' => 'CTA button', 'kind' => 'cta', 'definition' => $this->definition('Shop now')])
+            ->assertOk()
+            ->assertJsonPath('component.revision', 1)
+            ->assertJsonPath('component.kind', 'cta');
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson('/app/api/studio-components', ['name' => 'Empty', 'definition' => ['layers' => []]])
+            ->assertStatus(422);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->getJson('/app/api/studio-components')
+            ->assertOk()
+            ->assertJsonCount(1, 'components')
+            ->assertJsonPath('components.0.name', 'CTA button');
+    }
+
+    public function test_master_edit_propagates_to_instances_and_keeps_overrides(): void
+    {
+        [$tenant, $brand, $user] = $this->workspace();
+        $component = StudioBrandComponent::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $user->id,
+            'name' => 'CTA',
+            'kind' => 'cta',
+            'definition_json' => $this->definition('Shop now'),
+            'revision' => 1,
+        ]);
+        $overridden = Composition::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $user->id,
+            'visibility' => Composition::VISIBILITY_PRIVATE,
+            'name' => 'DE',
+            'document_json' => $this->documentWithInstance((string) $component->id, 'Jetzt kaufen'),
+        ]);
+        $plain = Composition::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $user->id,
+            'visibility' => Composition::VISIBILITY_SHARED,
+            'name' => 'EN',
+            'document_json' => $this->documentWithInstance((string) $component->id, 'Shop now'),
+        ]);
+        $unrelated = Composition::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $user->id,
+            'visibility' => Composition::VISIBILITY_SHARED,
+            'name' => 'Other',
+            'document_json' => ['layers' => []],
+        ]);
+
+        $definition = $this->definition('Buy now');
+        $definition['layers'][0]['color'] = '#0044ff';
+
+        $res = $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->putJson("/app/api/studio-components/{$component->id}", ['definition' => $definition])
+            ->assertOk()
+            ->assertJsonPath('component.revision', 2);
+        $ids = $res->json('propagation.updated_composition_ids');
+        sort($ids);
+        $this->assertSame([(string) $overridden->id, (string) $plain->id], $ids);
+
+        $de = $overridden->fresh()->document_json;
+        $this->assertSame('Jetzt kaufen', $de['layers'][1]['content']);
+        $this->assertSame('#0044ff', $de['layers'][0]['color']);
+        $this->assertSame(2, $de['groups'][0]['component']['revision']);
+        $this->assertSame('Buy now', $plain->fresh()->document_json['layers'][1]['content']);
+        $this->assertSame(['layers' => []], $unrelated->fresh()->document_json);
+        $this->assertSame(1, (int) $overridden->fresh()->external_revision);
+        $this->assertSame(0, (int) $unrelated->fresh()->external_revision);
+        $snapshot = $overridden->versions()->first();
+        $this->assertSame('Before component update: CTA', $snapshot->label);
+        $this->assertSame('#111111', $snapshot->document_json['layers'][0]['color']);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->putJson("/app/api/studio-components/{$component->id}", ['name' => 'Primary CTA'])
+            ->assertOk()
+            ->assertJsonPath('component.revision', 2)
+            ->assertJsonPath('propagation.updated_composition_ids', []);
+    }
+
+    public function test_stale_autosave_after_propagation_is_rejected(): void
+    {
+        [$tenant, $brand, $user] = $this->workspace();
+        $component = StudioBrandComponent::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $user->id,
+            'name' => 'CTA',
+            'kind' => 'cta',
+            'definition_json' => $this->definition('Shop now'),
+            'revision' => 1,
+        ]);
+        $composition = Composition::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $user->id,
+            'visibility' => Composition::VISIBILITY_SHARED,
+            'name' => 'EN',
+            'document_json' => $this->documentWithInstance((string) $component->id, 'Shop now'),
+        ]);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->putJson("/app/api/studio-components/{$component->id}", ['definition' => $this->definition('Buy now')])
+            ->assertOk();
+
+        $staleDocument = $this->documentWithInstance((string) $component->id, 'Shop now');
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->putJson("/app/api/compositions/{$composition->id}", [
+                'document' => $staleDocument,
+                'create_version' => false,
+                'base_external_revision' => 0,
+            ])
+            ->assertStatus(409)
+            ->assertJsonPath('code', 'external_revision_conflict')
+            ->assertJsonPath('composition.external_revision', 1);
+        $this->assertSame('Buy now', $composition->fresh()->document_json['layers'][1]['content']);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->putJson("/app/api/compositions/{$composition->id}", [
+                'document' => $composition->fresh()->document_json,
+                'create_version' => false,
+                'base_external_revision' => 1,
+            ])
+            ->assertOk();
+    }
+
+    public function test_update_is_limited_to_creator_or_admin(): void
+    {
+        [$tenant, $brand, $owner] = $this->workspace();
+        $member = User::factory()->create();
+        $member->tenants()->attach($tenant->id);
+        $member->brands()->attach($brand->id, ['role' => 'contributor', 'removed_at' => null]);
+
+        $component = StudioBrandComponent::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $owner->id,
+            'name' => 'CTA',
+            'kind' => 'cta',
+            'definition_json' => $this->definition('Shop now'),
+            'revision' => 1,
+        ]);
+        $composition = Composition::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $owner->id,
+            'visibility' => Composition::VISIBILITY_PRIVATE,
+            'name' => 'EN',
+            'document_json' => $this->documentWithInstance((string) $component->id, 'Shop now'),
+        ]);
+
+        $this->actingAs($member)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->putJson("/app/api/studio-components/{$component->id}", ['definition' => $this->definition('Hacked')])
+            ->assertStatus(403);
+
+        $this->assertSame(1, (int) $component->fresh()->revision);
+        $this->assertSame('Shop now', $composition->fresh()->document_json['layers'][1]['content']);
+    }
+
+    public function test_delete_detaches_instances_and_is_limited_to_creator_or_admin(): void
+    {
+        [$tenant, $brand, $owner] = $this->workspace();
+        $member = User::factory()->create();
+        $member->tenants()->attach($tenant->id);
+        $member->brands()->attach($brand->id, ['role' => 'contributor', 'removed_at' => null]);
+
+        $component = StudioBrandComponent::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $owner->id,
+            'name' => 'CTA',
+            'kind' => 'cta',
+            'definition_json' => $this->definition('Shop now'),
+            'revision' => 1,
+        ]);
+        $composition = Composition::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $owner->id,
+            'visibility' => Composition::VISIBILITY_SHARED,
+            'name' => 'EN',
+            'document_json' => $this->documentWithInstance((string) $component->id, 'Shop now'),
+        ]);
+
+        $this->actingAs($member)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->deleteJson("/app/api/studio-components/{$component->id}")
+            ->assertStatus(403);
+
+        $this->actingAs($owner)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->deleteJson("/app/api/studio-components/{$component->id}")
+            ->assertOk()
+            ->assertJsonPath('propagation.updated_composition_ids', [(string) $composition->id]);
+
+        $doc = $composition->fresh()->document_json;
+        $this->assertArrayNotHasKey('component', $doc['groups'][0]);
+        $this->assertArrayNotHasKey('componentLayerId', $doc['layers'][0]);
+        $this->assertNull(StudioBrandComponent::query()->find($component->id));
+    }
+}
@@ -0,0 +1,145 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Brand;
+use App\Models\StudioBrandRecipe;
+use App\Models\Tenant;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class EditorStudioBrandRecipeTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function definition(): array
+    {
+        return [
+            'version' => 1,
+            'width' => 1080,
+            'height' => 1080,
+            'blueprints' => [
+                ['name' => 'Background', 'type' => 'fill', 'role' => 'background', 'xRatio' => 0, 'yRatio' => 0, 'widthRatio' => 1, 'heightRatio' => 1, 'defaults' => ['color' => '#111111'], 'bind' => ['color' => 'primary']],
+                ['name' => 'Headline', 'type' => 'text', 'role' => 'headline', 'xRatio' => 0.1, 'yRatio' => 0.1, 'widthRatio' => 0.8, 'heightRatio' => 0.2, 'defaults' => ['content' => 'Spring sale', 'fontSize' => 72], 'bind' => ['content' => 'headline', 'color' => 'fixed']],
+            ],
+        ];
+    }
+
+    /**
+     * @return array{0: Tenant, 1: Brand, 2: User}
+     */
+    private function workspace(string $role = 'brand_manager'): array
+    {
+        $tenant = Tenant::create(['name' => 'T', 'slug' => 't']);
+        $brand = Brand::create(['tenant_id' => $tenant->id, 'name' => 'B', 'slug' => 'b']);
+        $user = User::factory()->create();
+        $user->tenants()->attach($tenant->id);
+        $user->brands()->attach($brand->id, ['role' => $role, 'removed_at' => null]);
+
+        return [$tenant, $brand, $user];
+    }
+
+    public function test_brand_manager_saves_and_lists_recipes(): void
+    {
+        [$tenant, $brand, $user] = $this->workspace();
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson('/app/api/studio-recipes', ['name' => 'Sale hero', 'category' => 'retail', 'definition' => $this->definition()])
+            ->assertOk()
+            ->assertJsonPath('recipe.name', 'Sale hero')
+            ->assertJsonPath('recipe.category', 'retail')
+            ->assertJsonPath('recipe.definition.blueprints.1.bind.content', 'headline');
+
+        $bad = $this->definition();
+        $bad['blueprints'][0]['bind']['color'] = 'neon';
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson('/app/api/studio-recipes', ['name' => 'Broken', 'definition' => $bad])
+            ->assertStatus(422);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->getJson('/app/api/studio-recipes')
+            ->assertOk()
+            ->assertJsonPath('can_author', true)
+            ->assertJsonCount(1, 'recipes');
+    }
+
+    public function test_contributors_can_list_but_not_author_recipes(): void
+    {
+        [$tenant, $brand, $manager] = $this->workspace();
+        $member = User::factory()->create();
+        $member->tenants()->attach($tenant->id);
+        $member->brands()->attach($brand->id, ['role' => 'contributor', 'removed_at' => null]);
+
+        $recipe = StudioBrandRecipe::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $manager->id,
+            'name' => 'Sale hero',
+            'category' => 'brand',
+            'definition_json' => $this->definition(),
+        ]);
+
+        $this->actingAs($member)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->getJson('/app/api/studio-recipes')
+            ->assertOk()
+            ->assertJsonPath('can_author', false)
+            ->assertJsonPath('recipes.0.id', (string) $recipe->id);
+
+        $this->actingAs($member)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->postJson('/app/api/studio-recipes', ['name' => 'Mine', 'definition' => $this->definition()])
+            ->assertStatus(403);
+
+        $this->actingAs($member)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->deleteJson("/app/api/studio-recipes/{$recipe->id}")
+            ->assertStatus(403);
+
+        $this->actingAs($manager)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->putJson("/app/api/studio-recipes/{$recipe->id}", ['name' => 'Spring hero', 'description' => 'Full-bleed colour with a big headline'])
+            ->assertOk()
+            ->assertJsonPath('recipe.name', 'Spring hero')
+            ->assertJsonPath('recipe.definition.width', 1080);
+
+        $this->actingAs($manager)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->deleteJson("/app/api/studio-recipes/{$recipe->id}")
+            ->assertOk();
+        $this->assertNull($recipe->fresh());
+    }
+
+    public function test_recipes_are_scoped_to_the_active_brand(): void
+    {
+        [$tenant, $brand, $user] = $this->workspace('admin');
+        $other = Brand::create(['tenant_id' => $tenant->id, 'name' => 'Other', 'slug' => 'other']);
+        $user->brands()->attach($other->id, ['role' => 'admin', 'removed_at' => null]);
+        $recipe = StudioBrandRecipe::create([
+            'tenant_id' => $tenant->id,
+            'brand_id' => $other->id,
+            'user_id' => $user->id,
+            'name' => 'Other brand',
+            'category' => 'brand',
+            'definition_json' => $this->definition(),
+        ]);
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->getJson('/app/api/studio-recipes')
+            ->assertOk()
+            ->assertJsonCount(0, 'recipes');
+
+        $this->actingAs($user)
+            ->withSession(['tenant_id' => $tenant->id, 'brand_id' => $brand->id])
+            ->putJson("/app/api/studio-recipes/{$recipe->id}", ['name' => 'Hijack'])
+            ->assertNotFound();
+    }
+}
@@ -0,0 +1,140 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Enums\AssetStatus;
+use App\Enums\AssetType;
+use App\Enums\StorageBucketStatus;
+use App\Models\Asset;
+use App\Models\AssetVersion;
+use App\Models\Brand;
+use App\Models\StorageBucket;
+use App\Models\Tenant;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Str;
+use Spatie\Permission\Models\Permission;
+use Spatie\Permission\Models\Role;
+use Tests\TestCase;
+
+class UploadDuplicatesHttpTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected Tenant $tenant;
+
+    protected Brand $brand;
+
+    protected User $user;
+
+    protected StorageBucket $bucket;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Permission::firstOrCreate(['name' => 'asset.upload', 'guard_name' => 'web']);
+
+        $this->tenant = Tenant::create([
+            'name' => 'Duplicates Tenant',
+            'slug' => 'duplicates-tenant',
+            'manual_plan_override' => 'enterprise',
+        ]);
+        $this->brand = $this->tenant->brands()->where('is_default', true)->firstOrFail();
+        $this->bucket = StorageBucket::create([
+            'tenant_id' => $this->tenant->id,
+            'name' => 'duplicates-bucket',
+            'status' => StorageBucketStatus::ACTIVE,
+            'region' => 'us-east-1',
+        ]);
+
+        $this->user = User::create([
+            'email' => 'uploader@example.com',
+            'password' => bcrypt('password'),
+            'first_name' => 'Up',
+            'last_name' => 'Loader',
+        ]);
+        $this->user->forceFill(['email_verified_at' => now()])->save();
+        $this->user->tenants()->attach($this->tenant->id, ['role' => 'owner']);
+        $this->user->brands()->attach($this->brand->id, ['role' => 'admin', 'removed_at' => null]);
+
+        $role = Role::firstOrCreate(['name' => 'admin', 'guard_name' => 'web']);
+        $role->givePermissionTo('asset.upload');
+        $this->user->assignRole($role);
+    }
+
+    protected function createAssetWithHash(Brand $brand, string $sha256, int $size): Asset
+    {
+        $asset = Asset::create([
+            'tenant_id' => $this->tenant->id,
+            'brand_id' => $brand->id,
+            'user_id' => $this->user->id,
+            'storage_bucket_id' => $this->bucket->id,
+            'status' => AssetStatus::VISIBLE,
+            'type' => AssetType::ASSET,
+            'title' => 'Launch film',
+            'original_filename' => 'launch.mp4',
+            'mime_type' => 'video/mp4',
+            'size_bytes' => $size,
+            'storage_root_path' => 'tenants/x/assets/y/v1/original.mp4',
+        ]);
+
+        AssetVersion::create([
+            'id' => (string) Str::uuid(),
+            'asset_id' => $asset->id,
+            'version_number' => 1,
+            'file_path' => $asset->storage_root_path,
+            'file_size' => $size,
+            'mime_type' => 'video/mp4',
+            'checksum' => 'etag',
+            'content_sha256' => $sha256,
+            'pipeline_status' => 'complete',
+            'is_current' => true,
+        ]);
+
+        return $asset;
+    }
+
+    public function test_duplicates_matches_hash_and_size_in_the_active_brand(): void
+    {
+        $sha256 = hash('sha256', 'launch film bytes');
+        $asset = $this->createAssetWithHash($this->brand, $sha256, 2048);
+        $otherBrand = Brand::create(['tenant_id' => $this->tenant->id, 'name' => 'Other', 'slug' => 'other']);
+        $this->createAssetWithHash($otherBrand, hash('sha256', 'other brand bytes'), 2048);
+
+        $dupId = (string) Str::uuid();
+        $wrongSizeId = (string) Str::uuid();
+        $otherBrandId = (string) Str::uuid();
+
+        $response = $this->actingAs($this->user)
+            ->withSession(['tenant_id' => $this->tenant->id, 'brand_id' => $this->brand->id])
+            ->postJson('/app/uploads/duplicates', [
+                'brand_id' => $this->brand->id,
+                'files' => [
+                    ['client_file_id' => $dupId, 'sha256' => strtoupper($sha256), 'size' => 2048],
+                    ['client_file_id' => $wrongSizeId, 'sha256' => $sha256, 'size' => 4096],
+                    ['client_file_id' => $otherBrandId, 'sha256' => hash('sha256', 'other brand bytes'), 'size' => 2048],
+                ],
+            ]);
+
+        $response->assertOk();
+        $response->assertJsonPath("duplicates.{$dupId}.0.asset_id", $asset->id);
+        $response->assertJsonPath("duplicates.{$dupId}.0.version_number", 1);
+        $response->assertJsonMissingPath("duplicates.{$wrongSizeId}");
+        $response->assertJsonMissingPath("duplicates.{$otherBrandId}");
+    }
+
+    public function test_duplicates_rejects_malformed_hashes(): void
+    {
+        $response = $this->actingAs($this->user)
+            ->withSession(['tenant_id' => $this->tenant->id, 'brand_id' => $this->brand->id])
+            ->postJson('/app/uploads/duplicates', [
+                'brand_id' => $this->brand->id,
+                'files' => [
+                    ['client_file_id' => (string) Str::uuid(), 'sha256' => 'not-a-hash', 'size' => 10],
+                ],
+            ]);
+
+        $response->assertStatus(422);
+    }
+}
@@ -0,0 +1,43 @@
+<?php
+
+namespace Tests\Unit\Models;
+
+use App\Models\Category;
+use Tests\TestCase;
+
+class CategoryUploadImageProcessingTest extends TestCase
+{
+    public function test_defaults_prepare_images_without_downscaling(): void
+    {
+        $category = new Category(['settings' => []]);
+
+        $this->assertSame(['max_long_edge' => null, 'keep_original' => false], $category->uploadImageProcessing());
+    }
+
+    public function test_reads_the_configured_policy(): void
+    {
+        $category = new Category(['settings' => [
+            'upload_image_processing' => ['max_long_edge' => '4096', 'keep_original' => false],
+        ]]);
+
+        $this->assertSame(['max_long_edge' => 4096, 'keep_original' => false], $category->uploadImageProcessing());
+    }
+
+    public function test_keeping_the_original_drops_the_size_cap(): void
+    {
+        $category = new Category(['settings' => [
+            'upload_image_processing' => ['max_long_edge' => 4096, 'keep_original' => true],
+        ]]);
+
+        $this->assertSame(['max_long_edge' => null, 'keep_original' => true], $category->uploadImageProcessing());
+    }
+
+    public function test_ignores_non_positive_or_malformed_values(): void
+    {
+        $zero = new Category(['settings' => ['upload_image_processing' => ['max_long_edge' => 0]]]);
+        $malformed = new Category(['settings' => ['upload_image_processing' => 'downscale']]);
+
+        $this->assertSame(['max_long_edge' => null, 'keep_original' => false], $zero->uploadImageProcessing());
+        $this->assertSame(['max_long_edge' => null, 'keep_original' => false], $malformed->uploadImageProcessing());
+    }
+}
@@ -35,6 +35,85 @@ public function test_mask_is_unsupported(): void
         $this->assertContains('mask_layer', StudioCompositionFfmpegNativeFeaturePolicy::unsupportedCodes($c));
     }
 
+    public function test_shape_is_unsupported(): void
+    {
+        $c = new Composition([
+            'document_json' => [
+                'layers' => [
+                    ['id' => 'v1', 'type' => 'video', 'visible' => true, 'z' => 0, 'assetId' => 'a'],
+                    ['id' => 's1', 'type' => 'shape', 'visible' => true, 'z' => 1, 'shape' => 'arrow'],
+                ],
+            ],
+        ]);
+        $this->assertFalse(StudioCompositionFfmpegNativeFeaturePolicy::isSupported($c));
+        $this->assertContains('shape_layer', StudioCompositionFfmpegNativeFeaturePolicy::unsupportedCodes($c));
+    }
+
+    public function test_image_adjustments_are_unsupported(): void
+    {
+        $c = new Composition([
+            'document_json' => [
+                'layers' => [
+                    ['id' => 'v1', 'type' => 'video', 'visible' => true, 'z' => 0, 'assetId' => 'a'],
+                    ['id' => 'i1', 'type' => 'image', 'visible' => true, 'z' => 1, 'assetId' => 'b', 'adjustments' => ['brightness' => 20]],
+                ],
+            ],
+        ]);
+        $this->assertFalse(StudioCompositionFfmpegNativeFeaturePolicy::isSupported($c));
+        $this->assertContains('image_adjustments', StudioCompositionFfmpegNativeFeaturePolicy::unsupportedCodes($c));
+    }
+
+    public function test_enabled_layer_effects_are_unsupported_disabled_ones_are_ignored(): void
+    {
+        $c = new Composition([
+            'document_json' => [
+                'layers' => [
+                    ['id' => 't1', 'type' => 'text', 'visible' => true, 'z' => 0, 'effects' => ['dropShadow' => ['enabled' => true, 'color' => '#000000']]],
+                ],
+            ],
+        ]);
+        $this->assertContains('layer_effects', StudioCompositionFfmpegNativeFeaturePolicy::unsupportedCodes($c));
+
+        $off = new Composition([
+            'document_json' => [
+                'layers' => [
+                    ['id' => 'f1', 'type' => 'fill', 'visible' => true, 'z' => 0, 'effects' => ['outerGlow' => ['enabled' => false]]],
+                ],
+            ],
+        ]);
+        $this->assertSame([], StudioCompositionFfmpegNativeFeaturePolicy::unsupportedCodes($off));
+    }
+
+    public function test_styled_runs_and_lists_are_unsupported_plain_runs_are_ignored(): void
+    {
+        $c = new Composition([
+            'document_json' => [
+                'layers' => [
+                    ['id' => 't1', 'type' => 'text', 'visible' => true, 'z' => 0, 'content' => 'Hi there', 'runs' => [['text' => 'Hi', 'bold' => true], ['text' => ' there']]],
+                ],
+            ],
+        ]);
+        $this->assertContains('rich_text', StudioCompositionFfmpegNativeFeaturePolicy::unsupportedCodes($c));
+
+        $list = new Composition([
+            'document_json' => [
+                'layers' => [
+                    ['id' => 't1', 'type' => 'text', 'visible' => true, 'z' => 0, 'content' => 'a', 'style' => ['listStyle' => 'bullet']],
+                ],
+            ],
+        ]);
+        $this->assertContains('rich_text', StudioCompositionFfmpegNativeFeaturePolicy::unsupportedCodes($list));
+
+        $plain = new Composition([
+            'document_json' => [
+                'layers' => [
+                    ['id' => 't1', 'type' => 'text', 'visible' => true, 'z' => 0, 'content' => 'a', 'runs' => [['text' => 'a']], 'style' => ['listStyle' => 'none']],
+                ],
+            ],
+        ]);
+        $this->assertSame([], StudioCompositionFfmpegNativeFeaturePolicy::unsupportedCodes($plain));
+    }
+
     public function test_gradient_fill_is_allowed_pad_color_is_approximated_elsewhere(): void
     {
         $c = new Composition([
@@ -74,4 +153,19 @@ public function test_non_normal_blend_on_video_layer_is_unsupported(): void
         $this->assertFalse(StudioCompositionFfmpegNativeFeaturePolicy::isSupported($c));
         $this->assertContains('non_normal_blend:video', StudioCompositionFfmpegNativeFeaturePolicy::unsupportedCodes($c));
     }
+
+    public function test_keyframe_animation_is_unsupported_and_detected_per_document(): void
+    {
+        $animated = ['id' => 'i1', 'type' => 'image', 'visible' => true, 'z' => 0, 'assetId' => 'a', 'animation' => [
+            'tracks' => ['opacity' => [['at_ms' => 0, 'value' => 0], ['at_ms' => 1000, 'value' => 1]]],
+        ]];
+        $c = new Composition(['document_json' => ['layers' => [$animated]]]);
+        $this->assertContains('keyframe_animation', StudioCompositionFfmpegNativeFeaturePolicy::unsupportedCodes($c));
+        $this->assertTrue(StudioCompositionFfmpegNativeFeaturePolicy::documentHasKeyframeAnimation(['layers' => [$animated]]));
+
+        $emptyTracks = array_merge($animated, ['animation' => ['tracks' => ['x' => []]]]);
+        $this->assertFalse(StudioCompositionFfmpegNativeFeaturePolicy::layerHasKeyframeAnimation($emptyTracks));
+        $hidden = array_merge($animated, ['visible' => false]);
+        $this->assertFalse(StudioCompositionFfmpegNativeFeaturePolicy::documentHasKeyframeAnimation(['layers' => [$hidden]]));
+    }
 }
@@ -0,0 +1,150 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Support\StudioBrandComponentInstances;
+use PHPUnit\Framework\TestCase;
+
+class StudioBrandComponentInstancesTest extends TestCase
+{
+    /**
+     * @return array<string, mixed>
+     */
+    private function definition(string $buttonColor, string $label, string $labelColor): array
+    {
+        return [
+            'width' => 200,
+            'height' => 60,
+            'layers' => [
+                ['id' => 'btn', 'type' => 'fill', 'z' => 0, 'visible' => true, 'locked' => false, 'color' => $buttonColor, 'transform' => ['x' => 0, 'y' => 0, 'width' => 200, 'height' => 60]],
+                ['id' => 'lbl', 'type' => 'text', 'z' => 1, 'visible' => true, 'locked' => false, 'content' => $label, 'style' => ['fontSize' => 24, 'color' => $labelColor], 'transform' => ['x' => 20, 'y' => 10, 'width' => 160, 'height' => 40]],
+            ],
+        ];
+    }
+
+    /**
+     * Instance of revision 1 placed at (500, 600) at 2× with an overridden label.
+     *
+     * @return array<string, mixed>
+     */
+    private function document(): array
+    {
+        return [
+            'layers' => [
+                ['id' => 'bg', 'type' => 'fill', 'z' => 0, 'color' => '#fff', 'transform' => ['x' => 0, 'y' => 0, 'width' => 1080, 'height' => 1080]],
+                ['id' => 'i-btn', 'type' => 'fill', 'z' => 1, 'visible' => true, 'locked' => true, 'groupId' => 'g1', 'componentLayerId' => 'btn', 'color' => '#111111', 'transform' => ['x' => 500, 'y' => 600, 'width' => 400, 'height' => 120]],
+                ['id' => 'i-lbl', 'type' => 'text', 'z' => 2, 'visible' => true, 'locked' => false, 'groupId' => 'g1', 'componentLayerId' => 'lbl', 'content' => 'Jetzt kaufen', 'style' => ['fontSize' => 24, 'color' => '#ffffff'], 'transform' => ['x' => 540, 'y' => 620, 'width' => 320, 'height' => 80]],
+                ['id' => 'top', 'type' => 'text', 'z' => 3, 'content' => 'Headline', 'transform' => ['x' => 0, 'y' => 0, 'width' => 100, 'height' => 40]],
+            ],
+            'groups' => [
+                [
+                    'id' => 'g1',
+                    'name' => 'CTA',
+                    'memberIds' => ['i-btn', 'i-lbl'],
+                    'locked' => false,
+                    'collapsed' => true,
+                    'component' => [
+                        'componentId' => '7',
+                        'revision' => 1,
+                        'base' => [
+                            'btn' => ['x' => 0, 'y' => 0, 'width' => 200, 'height' => 60, 'color' => '#111111'],
+                            'lbl' => ['x' => 20, 'y' => 10, 'width' => 160, 'height' => 40, 'content' => 'Shop now', 'color' => '#ffffff'],
+                        ],
+                    ],
+                ],
+            ],
+        ];
+    }
+
+    public function test_sync_applies_master_and_keeps_overrides_and_placement(): void
+    {
+        $svc = new StudioBrandComponentInstances;
+        $definition = $this->definition('#0044ff', 'Buy now', '#ffff00');
+        $definition['layers'][] = ['id' => 'badge', 'type' => 'shape', 'z' => 2, 'visible' => true, 'locked' => false, 'fill' => '#ff0000', 'transform' => ['x' => 180, 'y' => 0, 'width' => 20, 'height' => 20]];
+
+        $out = $svc->sync($this->document(), '7', 2, $definition);
+        $this->assertSame(1, $out['updated']);
+
+        $layers = $out['document']['layers'];
+        $this->assertSame(['bg', 'i-btn', 'i-lbl'], array_slice(array_column($layers, 'id'), 0, 3));
+        $this->assertSame('top', $layers[4]['id']);
+        $this->assertSame([0, 1, 2, 3, 4], array_column($layers, 'z'));
+
+        $byMaster = [];
+        foreach ($layers as $l) {
+            if (isset($l['componentLayerId'])) {
+                $byMaster[$l['componentLayerId']] = $l;
+            }
+        }
+        $this->assertSame('#0044ff', $byMaster['btn']['color']);
+        $this->assertTrue($byMaster['btn']['locked']);
+        $this->assertSame('Jetzt kaufen', $byMaster['lbl']['content']);
+        $this->assertSame('#ffff00', $byMaster['lbl']['style']['color']);
+        $this->assertEquals(['x' => 860, 'y' => 600, 'width' => 40, 'height' => 40], $byMaster['badge']['transform']);
+        $this->assertSame('g1', $byMaster['badge']['groupId']);
+
+        $group = $out['document']['groups'][0];
+        $this->assertSame(2, $group['component']['revision']);
+        $this->assertSame('Buy now', $group['component']['base']['lbl']['content']);
+        $this->assertCount(3, $group['memberIds']);
+
+        $again = $svc->sync($out['document'], '7', 2, $definition);
+        $this->assertSame(0, $again['updated']);
+    }
+
+    public function test_detach_unlinks_instances_without_touching_layers(): void
+    {
+        $svc = new StudioBrandComponentInstances;
+        $this->assertTrue($svc->documentLinksComponent($this->document(), '7'));
+        $this->assertFalse($svc->documentLinksComponent($this->document(), '8'));
+
+        $out = $svc->detach($this->document(), '7');
+        $this->assertSame(1, $out['updated']);
+        $this->assertArrayNotHasKey('component', $out['document']['groups'][0]);
+        $this->assertArrayNotHasKey('componentLayerId', $out['document']['layers'][1]);
+        $this->assertSame('g1', $out['document']['layers'][1]['groupId']);
+    }
+
+    public function test_sync_and_detach_reach_instances_on_inactive_artboards(): void
+    {
+        $svc = new StudioBrandComponentInstances;
+        $board = $this->document();
+        $document = [
+            'layers' => [['id' => 'hero', 'type' => 'fill', 'z' => 0, 'color' => '#000', 'transform' => ['x' => 0, 'y' => 0, 'width' => 1080, 'height' => 1920]]],
+            'groups' => [],
+            'activeArtboardId' => 'story',
+            'artboards' => [
+                ['id' => 'story', 'name' => 'Story', 'width' => 1080, 'height' => 1920, 'x' => 0, 'y' => 0],
+                ['id' => 'square', 'name' => 'Square', 'width' => 1080, 'height' => 1080, 'x' => 1200, 'y' => 0, 'layers' => $board['layers'], 'groups' => $board['groups']],
+            ],
+        ];
+
+        $this->assertTrue($svc->documentLinksComponent($document, '7'));
+
+        $out = $svc->sync($document, '7', 2, $this->definition('#0044ff', 'Buy now', '#ffff00'));
+        $this->assertSame(1, $out['updated']);
+        $this->assertSame($document['layers'], $out['document']['layers']);
+        $square = $out['document']['artboards'][1];
+        $this->assertSame(2, $square['groups'][0]['component']['revision']);
+        $this->assertSame('#0044ff', $square['layers'][1]['color']);
+        $this->assertSame('Jetzt kaufen', $square['layers'][2]['content']);
+
+        $detached = $svc->detach($out['document'], '7');
+        $this->assertSame(1, $detached['updated']);
+        $this->assertArrayNotHasKey('component', $detached['document']['artboards'][1]['groups'][0]);
+        $this->assertArrayNotHasKey('componentLayerId', $detached['document']['artboards'][1]['layers'][1]);
+    }
+
+    public function test_normalize_definition_rejects_malformed_payloads(): void
+    {
+        $svc = new StudioBrandComponentInstances;
+        $this->assertNotNull($svc->normalizeDefinition($this->definition('#000', 'Go', '#fff')));
+        $this->assertNull($svc->normalizeDefinition(['layers' => []]));
+        $dupe = $this->definition('#000', 'Go', '#fff');
+        $dupe['layers'][1]['id'] = 'btn';
+        $this->assertNull($svc->normalizeDefinition($dupe));
+        $noBox = $this->definition('#000', 'Go', '#fff');
+        unset($noBox['layers'][0]['transform']['width']);
+        $this->assertNull($svc->normalizeDefinition($noBox));
+    }
+}
@@ -110,6 +110,48 @@ public function test_invoker_failure_persists_exit_code_in_diagnostics(): void
         }
     }
 
+    public function test_frames_only_encode_needs_no_base_video_and_reports_invoker_failure(): void
+    {
+        $dir = sys_get_temp_dir().'/jp-merger-test-'.bin2hex(random_bytes(4));
+        File::ensureDirectoryExists($dir);
+        try {
+            file_put_contents($dir.'/frame_000000.png', $this->minimalPngBytes());
+            file_put_contents($dir.'/frame_000001.png', $this->minimalPngBytes());
+
+            $invoker = Mockery::mock(StudioCanvasRuntimeFfmpegProcessInvokerContract::class);
+            $invoker->shouldReceive('run')->once()->withArgs(function (array $argv): bool {
+                return ! in_array('-filter_complex', $argv, true) && in_array('-an', $argv, true);
+            })->andReturn([
+                'exitCode' => 1,
+                'stdout' => '',
+                'stderr' => 'mock encode error',
+            ]);
+            $this->app->instance(StudioCanvasRuntimeFfmpegProcessInvokerContract::class, $invoker);
+
+            $merger = $this->app->make(StudioCompositionCanvasRuntimeFfmpegMerger::class);
+            $r = $merger->encodeFrameSequenceToTempMp4($dir, $this->validManifest(2), 2 / 30.0, 1080, 1920);
+
+            $this->assertFalse($r['ok']);
+            Assert::assertSame('ffmpeg_failed', $r['diagnostics']['phase'] ?? null);
+            Assert::assertSame('png_sequence_only_no_base_video', $r['diagnostics']['merge_visual_policy'] ?? null);
+        } finally {
+            File::deleteDirectory($dir);
+        }
+    }
+
+    public function test_frames_only_encode_validates_frames(): void
+    {
+        $invoker = Mockery::mock(StudioCanvasRuntimeFfmpegProcessInvokerContract::class);
+        $invoker->shouldReceive('run')->never();
+        $this->app->instance(StudioCanvasRuntimeFfmpegProcessInvokerContract::class, $invoker);
+
+        $merger = $this->app->make(StudioCompositionCanvasRuntimeFfmpegMerger::class);
+        $r = $merger->encodeFrameSequenceToTempMp4('/no/such/canvas-runtime-dir', $this->validManifest(2), 0.066, 1080, 1920);
+
+        $this->assertFalse($r['ok']);
+        Assert::assertSame('working_directory_missing', $r['diagnostics']['validation']['code'] ?? null);
+    }
+
     /**
      * @return array<string, mixed>
      */
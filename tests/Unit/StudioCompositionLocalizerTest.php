@@ -0,0 +1,79 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Support\StudioCompositionLocalizer;
+use PHPUnit\Framework\TestCase;
+
+class StudioCompositionLocalizerTest extends TestCase
+{
+    /**
+     * @return array<string, mixed>
+     */
+    private function document(): array
+    {
+        return [
+            'width' => 1080,
+            'height' => 1080,
+            'localization' => ['sourceLocale' => 'en', 'locales' => ['de-DE', 'ar']],
+            'layers' => [
+                ['id' => 'bg', 'type' => 'fill', 'z' => 0, 'color' => '#000', 'transform' => ['x' => 0, 'y' => 0, 'width' => 1080, 'height' => 1080]],
+                ['id' => 'h', 'type' => 'text', 'z' => 1, 'content' => 'Spring sale', 'runs' => [['text' => 'Spring sale']], 'translations' => ['de-DE' => 'Frühlings-Sale', 'ar' => 'تخفيضات الربيع'], 'style' => ['fontSize' => 64, 'textAlign' => 'left'], 'transform' => ['x' => 40, 'y' => 40, 'width' => 600, 'height' => 120]],
+                ['id' => 'brand', 'type' => 'text', 'z' => 2, 'content' => 'ACME', 'translatable' => false, 'style' => ['fontSize' => 24], 'transform' => ['x' => 900, 'y' => 40, 'width' => 100, 'height' => 40]],
+            ],
+            'artboards' => [
+                ['id' => 'a1', 'name' => 'Square', 'x' => 0, 'y' => 0, 'width' => 1080, 'height' => 1080, 'layers' => []],
+                ['id' => 'a2', 'name' => 'Story', 'x' => 1240, 'y' => 0, 'width' => 1080, 'height' => 1920, 'layers' => [
+                    ['id' => 'h2', 'type' => 'text', 'z' => 0, 'content' => 'Spring sale', 'translations' => ['ar' => 'تخفيضات'], 'style' => ['textAlign' => 'center'], 'transform' => ['x' => 0, 'y' => 0, 'width' => 1080, 'height' => 200]],
+                ]],
+            ],
+            'activeArtboardId' => 'a1',
+        ];
+    }
+
+    public function test_normalizes_tags_and_detects_right_to_left_scripts(): void
+    {
+        $l = new StudioCompositionLocalizer;
+
+        $this->assertSame('de-DE', $l->normalizeLocale('de_de'));
+        $this->assertSame('zh-Hant-TW', $l->normalizeLocale('zh-hant-tw'));
+        $this->assertNull($l->normalizeLocale('German'));
+        $this->assertSame('rtl', $l->direction('ar-EG'));
+        $this->assertSame('rtl', $l->direction('az-Arab'));
+        $this->assertSame('ltr', $l->direction('ku-Latn'));
+        $this->assertSame('ltr', $l->direction('fr'));
+    }
+
+    public function test_localize_translates_every_artboard_and_mirrors_alignment_for_rtl(): void
+    {
+        $doc = (new StudioCompositionLocalizer)->localize($this->document(), 'ar');
+
+        $this->assertSame('ar', $doc['locale']);
+        $this->assertSame('تخفيضات الربيع', $doc['layers'][1]['content']);
+        $this->assertArrayNotHasKey('runs', $doc['layers'][1]);
+        $this->assertSame(['fontSize' => 64, 'textAlign' => 'right', 'direction' => 'rtl'], $doc['layers'][1]['style']);
+        $this->assertSame('ACME', $doc['layers'][2]['content']);
+        $this->assertArrayNotHasKey('direction', $doc['layers'][2]['style']);
+        $this->assertSame('تخفيضات', $doc['artboards'][1]['layers'][0]['content']);
+        $this->assertSame('center', $doc['artboards'][1]['layers'][0]['style']['textAlign']);
+    }
+
+    public function test_sync_takes_new_translations_and_keeps_locale_layout_edits(): void
+    {
+        $l = new StudioCompositionLocalizer;
+        $variant = $l->localize($this->document(), 'de-DE');
+        $variant['layers'][1]['style']['fontSize'] = 48;
+        $variant['layers'][1]['transform']['width'] = 700;
+
+        $source = $this->document();
+        $source['layers'][1]['translations']['de-DE'] = 'Frühjahrsangebot';
+        $out = $l->syncFromSource($variant, $source, 'de-DE');
+
+        $this->assertSame(1, $out['updated']);
+        $this->assertSame('Frühjahrsangebot', $out['document']['layers'][1]['content']);
+        $this->assertSame(48, $out['document']['layers'][1]['style']['fontSize']);
+        $this->assertSame('left', $out['document']['layers'][1]['style']['textAlign']);
+        $this->assertSame(700, $out['document']['layers'][1]['transform']['width']);
+        $this->assertSame(0, $l->syncFromSource($out['document'], $source, 'de-DE')['updated']);
+    }
+}
@@ -0,0 +1,18 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// Offline render bundle for scripts/studio-headless-export.mjs: just the export surface, no Inertia / Laravel plugin.
+// The CLI serves this directory itself and builds the host page from .vite/manifest.json.
+export default defineConfig({
+    plugins: [react()],
+    publicDir: false,
+    base: '/',
+    build: {
+        outDir: 'build/studio-headless-render',
+        emptyOutDir: true,
+        manifest: true,
+        rollupOptions: {
+            input: 'resources/js/studioHeadlessRender.tsx',
+        },
+    },
+})